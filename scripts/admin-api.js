@@ -9,6 +9,27 @@
  *   npm run api -- systemDiagnosis
  *   npm run api -- getUsers
  *   npm run api -- getLogs --limit 20
+ *   npm run api -- getAuditLog --operation setUserConfig --since 2026-04-01 --limit 100
+ *   npm run api -- getAuditLog --targetUserId <uuid>          # そのユーザーに対する操作
+ *   npm run api -- getAuditLog --operation lesson. --lessonId <id>   # 末尾 . は前方一致
+ *   npm run api -- getModerationRules
+ *   npm run api -- setModerationRules --rules '{"words":["ばか","きもい"],"patterns":["\\d{3}-\\d{4}-\\d{4}"]}'
+ *   npm run api -- roles.list
+ *   npm run api -- roles.set --email kyoto@example.ed.jp --role school_admin --scope '{"domain":"example.ed.jp"}'
+ *   npm run api -- roles.set --email jisshu@example.ed.jp --role observer --scope '{"teachers":["t1@example.ed.jp"]}'
+ *   npm run api -- roles.remove --email jisshu@example.ed.jp
+ *   npm run api -- tenants.list
+ *   npm run api -- tenants.provision --tenant '{"id":"minami-es","name":"南小学校","domains":["minami.example.ed.jp"],"databaseId":"<SS ID>","adminEmails":["kyoto@minami.example.ed.jp"],"saSlots":[2,3]}'
+ *   npm run api -- tenants.suspend --tenantId minami-es --reason '年度末で利用終了'
+ *   npm run api -- tenants.resume --tenantId minami-es
+ *   npm run api -- retention.get
+ *   npm run api -- retention.setPolicy --policy '{"basis":"schoolYear","days":30,"action":"purge"}'
+ *   npm run api -- retention.run --dryRun                    # 何も消さずに件数だけ
+ *   npm run api -- lesson.setRetention --userId <uuid> --lessonId <id> --retention '{"keep":true}'
+ *   npm run api -- student.export --email jido@example.ed.jp --output jido.json
+ *   npm run api -- student.export --email jido@example.ed.jp --format csv     # data.csv に CSV
+ *   npm run api -- student.delete --email jido@example.ed.jp --action delete  # 試算 (件数だけ)
+ *   npm run api -- student.delete --email jido@example.ed.jp --action anonymize --commit
  *   npm run api -- perfMetrics --category api
  *   npm run api -- listProperties
  *
@@ -48,12 +69,22 @@ const OPERATIONS = [
   'getUsers', 'toggleUserActive', 'toggleUserBoard',
   // Board publish lifecycle (unified)
   'unpublishBoard', 'republishMyBoard',
-  'getLogs', 'disableApp', 'enableApp', 'getAppStatus',
+  'getLogs', 'getAuditLog', 'disableApp', 'enableApp', 'getAppStatus',
   // system
   'systemDiagnosis', 'autoRepair', 'cacheReset',
   'perfMetrics', 'perfDiagnosis',
   // properties
   'getProperty', 'setProperty', 'listProperties',
+  // moderation (学校全体の NG ワード)
+  'getModerationRules', 'setModerationRules',
+  // roles (school_admin / grade_leader / observer)
+  'roles.list', 'roles.set', 'roles.remove', 'roles.boards',
+  // tenants (学校ごとの DB / 管理者 / ドメイン / SA スロット。 デプロイ全体の管理者だけ)
+  'tenants.list', 'tenants.provision', 'tenants.suspend', 'tenants.resume',
+  // retention (lesson_responses の保存期間と消去・匿名化)
+  'retention.get', 'retention.setPolicy', 'retention.run',
+  // student (児童 1 人のデータの書き出し・削除 / 匿名化。 --commit を付けるまで試算)
+  'student.export', 'student.delete',
   // user config (v2)
   'findUser', 'getUserConfig', 'exportConfigs',
   'setUserConfig', 'bulkSetUserConfig',
@@ -79,7 +110,7 @@ const OPERATIONS = [
   'lesson.advance', 'lesson.end',
   'lesson.list', 'lesson.review', 'lesson.delete',
   'lesson.duplicate', 'lesson.templates', 'lesson.knownClasses',
-  'lesson.importFromProfiles',
+  'lesson.importFromProfiles', 'lesson.setRetention',
 ];
 
 /**
@@ -100,7 +131,7 @@ function parseArgs(args) {
   const params = {};
   let outputPath = null;
 
-  const JSON_KEYS = new Set(['json', 'patch', 'filter', 'options', 'templateOptions', 'schema', 'snapshot', 'rows', 'order']);
+  const JSON_KEYS = new Set(['json', 'patch', 'filter', 'options', 'templateOptions', 'schema', 'snapshot', 'rows', 'order', 'rules', 'scope', 'tenant', 'policy', 'retention']);
   // value は lesson.updateDraft の汎用引数。JSON parse 試行 → 失敗時は raw string fallback
   //   (`--value '["5-1"]'` で array、`--value foo` で string が両方扱える)。
   const JSON_OR_STRING_KEYS = new Set(['value']);
@@ -188,6 +219,15 @@ if (!remainingArgs[0] || remainingArgs[0] === '--help' || remainingArgs[0] === '
   console.log("  npm run api -- setUserConfig --userId <uuid> --patch '{\"displaySettings\":{\"boardMode\":\"numberline\"}}'");
   console.log("  npm run api -- exportConfigs --output configs.json");
   console.log("  npm run api -- bulkSetUserConfig --filter '{\"isPublished\":false}' --patch '{\"allowResubmit\":true}' --dryRun");
+  console.log("  npm run api -- getAuditLog --operation setUserConfig --since 2026-04-01 --limit 100");
+  console.log("  npm run api -- setModerationRules --rules '{\"words\":[\"ばか\"],\"patterns\":[]}'");
+  console.log("  npm run api -- roles.set --email leader@example.com --role grade_leader --scope '{\"teachers\":[\"t1@example.com\"]}'");
+  console.log("  npm run api -- tenants.provision --tenant '{\"id\":\"minami-es\",\"domains\":[\"minami.example.ed.jp\"],\"databaseId\":\"<SS ID>\",\"adminEmails\":[\"kyoto@minami.example.ed.jp\"]}'");
+  console.log("  npm run api -- tenants.suspend --tenantId minami-es --reason '年度末で利用終了'");
+  console.log("  npm run api -- retention.setPolicy --policy '{\"basis\":\"schoolYear\",\"days\":30,\"action\":\"purge\"}'");
+  console.log("  npm run api -- retention.run --dryRun");
+  console.log("  npm run api -- student.export --email jido@example.com --format csv --output jido.json");
+  console.log("  npm run api -- student.delete --email jido@example.com --action anonymize --commit");
   console.log('\nLesson workspace (Phase 1+2):');
   console.log("  npm run api -- lesson.list --userId <uuid>");
   console.log("  npm run api -- lesson.create --userId <uuid> --name '5/15 道徳テスト' --template doutoku-3phase");
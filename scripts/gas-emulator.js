@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * gas-emulator.js — Google アカウント無しでアプリ全体をローカルで動かす。
+ *
+ * Why: 画面の確認は clasp push → デプロイ → 本番 URL を開く、しか手段が無く、
+ *   view / admin / review の各モードを複数アカウントで行き来するには教師・生徒の
+ *   テストアカウントが要った。ここでは src/*.js をそのまま scripts/lib/gas-emulator の
+ *   ランタイムに載せ、doGet / doPost / google.script.run を localhost で提供する。
+ *   シート・フォーム・Drive・Script Properties は --data 配下の JSON に保存される。
+ *
+ *   ログインはクッキーで「誰として操作するか」を切り替えるだけ (認証は無い)。
+ *   フォームは Google フォームの代わりに /__gas/forms/<id> の簡易ページから回答する。
+ *
+ * Usage:
+ *   npm run emulator                            # http://localhost:8787/
+ *   npm run emulator -- --reset --sample        # データを作り直し、公開済みサンプルボード付き
+ *   node scripts/gas-emulator.js --port 9000 --data /tmp/board
+ *
+ * オプション:
+ *   --port <n>     待ち受けポート (既定 8787)
+ *   --data <dir>   保存先 (既定 .gas-emulator/)
+ *   --reset        起動前に保存先を消す
+ *   --seed         初期設定 (DB 作成 + setupApp + 教師ログイン) を行う。未設定なら自動で行う
+ *   --sample       教師アカウントに回答入りの公開ボードを 1 つ作る
+ *
+ * 注意: UrlFetchApp の外部通信 (Google API 以外) は行わない。
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createGasRuntime, seed, seedSampleBoard, DEFAULT_ACCOUNTS } = require('./lib/gas-emulator');
+const { escapeHtml } = require('./lib/gas-emulator/html');
+
+const args = process.argv.slice(2);
+function getArg(name, dflt) {
+  const i = args.indexOf('--' + name);
+  if (i >= 0 && args[i + 1]) return args[i + 1];
+  return dflt;
+}
+const PORT = parseInt(getArg('port', '8787'), 10);
+const DATA_DIR = path.resolve(getArg('data', path.resolve(__dirname, '../.gas-emulator')));
+const USER_COOKIE = 'gas_emu_user';
+
+if (args.includes('--reset')) fs.rmSync(DATA_DIR, { recursive: true, force: true });
+
+const rt = createGasRuntime({
+  dataDir: DATA_DIR,
+  scriptOwner: DEFAULT_ACCOUNTS.admin,
+  webAppUrl: `http://localhost:${PORT}/exec`,
+  onLog: ({ level, args: logArgs, user, fn }) => {
+    const text = logArgs.map((a) => (a && a.stack) || (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ');
+    console.log(`[${fn}${user ? ` ${user}` : ''}] ${level === 'log' ? '' : `${level}: `}${text}`);
+  }
+});
+
+const configured = () => Boolean((rt.store.properties.script || {}).DATABASE_SPREADSHEET_ID);
+if (args.includes('--seed') || !configured()) {
+  const seeded = seed(rt);
+  console.log(`seed: DB ${seeded.databaseId} / 管理者 ${DEFAULT_ACCOUNTS.admin}`);
+}
+if (args.includes('--sample')) {
+  const board = seedSampleBoard(rt, DEFAULT_ACCOUNTS.teachers[0]);
+  console.log(`sample: ${board.sheetName} (${board.spreadsheetId})`);
+}
+
+// ─── helpers ─────────────────────────────────────────────────
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || '').split(/;\s*/).find((c) => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : '';
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, code, type, body, headers = {}) {
+  res.writeHead(code, { 'Content-Type': `${type}; charset=utf-8`, ...headers });
+  res.end(body);
+}
+
+function page(title, body) {
+  return `<!doctype html><html lang="ja"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:880px;margin:2rem auto;padding:0 1rem;line-height:1.6}
+table{border-collapse:collapse;width:100%}td,th{border-bottom:1px solid #ddd;padding:.3rem .5rem;text-align:left}
+label{display:block;margin-top:1rem;font-weight:600}.err{color:#b00020}.muted{color:#666}</style></head>
+<body>${body}</body></html>`;
+}
+
+/** DB の users シートを store から直接読む (index ページ用。アプリの権限判定は通さない)。 */
+function listUsers() {
+  const dbId = (rt.store.properties.script || {}).DATABASE_SPREADSHEET_ID;
+  const doc = dbId && rt.store.spreadsheets.get(dbId);
+  const sheet = doc && doc.sheets.find((s) => s.title === 'users');
+  if (!sheet || !sheet.values.length) return [];
+  const [header, ...rows] = sheet.values;
+  return rows.filter((r) => r && r.length).map((r) => {
+    const record = Object.fromEntries(header.map((h, i) => [h, r[i]]));
+    let config = {};
+    try { config = JSON.parse(record.configJson || '{}'); } catch (_) { /* 壊れた行は無視 */ }
+    return { userId: record.userId, email: record.userEmail, config };
+  });
+}
+
+function accounts() {
+  const known = new Set([DEFAULT_ACCOUNTS.admin, ...DEFAULT_ACCOUNTS.teachers, ...DEFAULT_ACCOUNTS.students]);
+  listUsers().forEach((u) => u.email && known.add(String(u.email)));
+  return Array.from(known);
+}
+
+// ─── google.script.run shim ──────────────────────────────────
+
+function clientShim(user, functions) {
+  const script = `
+(function () {
+  var FUNCTIONS = ${JSON.stringify(functions)};
+  function call(name, args, success, failure, userObject) {
+    fetch('/__gas/run', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fn: name, args: args })
+    }).then(function (r) { return r.json(); }).then(function (res) {
+      if (res.ok) { if (success) success(res.value, userObject); return; }
+      var err = new Error(res.error.message);
+      err.name = res.error.name;
+      if (failure) failure(err, userObject); else console.error(name + ':', err);
+    }, function (e) { if (failure) failure(e, userObject); });
+  }
+  function runner(success, failure, userObject) {
+    var r = {
+      withSuccessHandler: function (f) { return runner(f, failure, userObject); },
+      withFailureHandler: function (f) { return runner(success, f, userObject); },
+      withUserObject: function (o) { return runner(success, failure, o); }
+    };
+    FUNCTIONS.forEach(function (name) {
+      r[name] = function () { call(name, Array.prototype.slice.call(arguments), success, failure, userObject); };
+    });
+    return r;
+  }
+  function location() {
+    var q = new URLSearchParams(window.location.search), parameter = {}, parameters = {};
+    q.forEach(function (v, k) { if (!(k in parameter)) parameter[k] = v; (parameters[k] = parameters[k] || []).push(v); });
+    return { hash: window.location.hash.slice(1), parameter: parameter, parameters: parameters };
+  }
+  window.google = window.google || {};
+  window.google.script = {
+    run: runner(null, null, undefined),
+    host: { close: function () {}, setHeight: function () {}, setWidth: function () {}, origin: window.location.origin, editor: { focus: function () {} } },
+    url: { getLocation: function (cb) { cb(location()); } },
+    history: { push: function (s, p, h) { history.pushState(s, '', '?' + new URLSearchParams(p || {}) + (h ? '#' + h : '')); }, replace: function (s, p, h) { history.replaceState(s, '', '?' + new URLSearchParams(p || {}) + (h ? '#' + h : '')); }, setChangeHandler: function () {} }
+  };
+  document.addEventListener('DOMContentLoaded', function () {
+    var badge = document.createElement('a');
+    badge.href = '/';
+    badge.textContent = 'emulator: ' + (${JSON.stringify(user)} || '未ログイン');
+    badge.style.cssText = 'position:fixed;left:8px;bottom:8px;z-index:2147483647;font:12px system-ui;padding:2px 8px;border-radius:4px;background:#333;color:#fff;opacity:.75;text-decoration:none';
+    document.body.appendChild(badge);
+  });
+})();`;
+  return `<script>${script.replace(/<\/script/gi, '<\\/script')}</script>`;
+}
+
+// ─── pages ───────────────────────────────────────────────────
+
+function indexPage(user) {
+  const userLinks = accounts().map((email) => `<a href="/__gas/login?as=${encodeURIComponent(email)}&next=/">${escapeHtml(email)}</a>${email === user ? ' ✓' : ''}`).join(' / ');
+  const boards = listUsers().map((u) => {
+    const q = `userId=${encodeURIComponent(u.userId)}`;
+    return `<tr><td>${escapeHtml(u.email)}</td><td>${escapeHtml(u.config.sheetName || '—')}${u.config.isPublished ? ' (公開中)' : ''}</td>
+<td><a href="/exec?mode=admin&${q}">admin</a> · <a href="/exec?mode=view&${q}">view</a> · <a href="/exec?mode=review&${q}">review</a></td></tr>`;
+  }).join('');
+  const forms = Array.from(rt.store.forms.values()).map((f) => `<li><a href="/__gas/forms/${encodeURIComponent(f.id)}">${escapeHtml(f.title || f.id)}</a> <span class="muted">回答 ${f.responses.length} 件${f.acceptingResponses ? '' : ' / 受付終了'}</span></li>`).join('');
+  return page('GAS emulator', `<h1>みんなの回答ボード (emulator)</h1>
+<p>操作中: <strong>${escapeHtml(user || '未ログイン')}</strong> — <a href="/__gas/login?as=&next=/">ログアウト</a></p>
+<p>切り替え: ${userLinks}</p>
+<p><a href="/exec">トップ (mode=main)</a> · <a href="/exec?mode=appSetup">アプリ設定</a></p>
+<h2>ボード</h2><table><tr><th>ユーザー</th><th>シート</th><th>ページ</th></tr>${boards}</table>
+<h2>フォーム</h2><ul>${forms || '<li class="muted">なし</li>'}</ul>
+<p class="muted">保存先: ${escapeHtml(DATA_DIR)}</p>`);
+}
+
+function findForm(key) {
+  return rt.store.forms.get(key) || Array.from(rt.store.forms.values()).find((f) => f.publishedId === key);
+}
+
+function formPage(form, user, error) {
+  const fields = form.items.map((item) => {
+    const name = `item_${item.id}`;
+    const label = `<label>${escapeHtml(item.title)}${item.required ? ' *' : ''}</label>${item.helpText ? `<div class="muted">${escapeHtml(item.helpText)}</div>` : ''}`;
+    if (item.type === 'SECTION_HEADER') return `<h3>${escapeHtml(item.title)}</h3><p class="muted">${escapeHtml(item.helpText || '')}</p>`;
+    if (['PAGE_BREAK', 'IMAGE', 'VIDEO'].includes(item.type)) return '';
+    if (item.type === 'SCALE') {
+      const options = [];
+      for (let n = item.bounds.lower; n <= item.bounds.upper; n++) options.push(`<label style="display:inline;font-weight:normal"><input type="radio" name="${name}" value="${n}"> ${n}</label>`);
+      return `${label}${escapeHtml((item.labels && item.labels.left) || '')} ${options.join(' ')} ${escapeHtml((item.labels && item.labels.right) || '')}`;
+    }
+    if (['LIST', 'MULTIPLE_CHOICE'].includes(item.type)) {
+      return `${label}<select name="${name}"><option value=""></option>${item.choices.map((c) => `<option>${escapeHtml(c)}</option>`).join('')}</select>`;
+    }
+    if (item.type === 'CHECKBOX') {
+      return `${label}${item.choices.map((c) => `<label style="display:inline;font-weight:normal"><input type="checkbox" name="${name}" value="${escapeHtml(c)}"> ${escapeHtml(c)}</label>`).join(' ')}`;
+    }
+    if (item.type === 'PARAGRAPH_TEXT') return `${label}<textarea name="${name}" rows="4" cols="60"></textarea>`;
+    return `${label}<input name="${name}" size="60">`;
+  }).join('\n');
+  return page(form.title, `<p><a href="/">← emulator</a></p><h1>${escapeHtml(form.title)}</h1>
+<p>${escapeHtml(form.description || '')}</p><p class="muted">回答者: ${escapeHtml(user || '未ログイン')}</p>
+${error ? `<p class="err">${escapeHtml(error)}</p>` : ''}
+<form method="post">${fields}<p><button type="submit">送信</button></p></form>`);
+}
+
+// ─── routes ──────────────────────────────────────────────────
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const params = Object.fromEntries(url.searchParams);
+  if (url.searchParams.has('as') && url.pathname === '/exec') {
+    const { as, ...rest } = params;
+    const next = `/exec?${new URLSearchParams(rest)}`;
+    return send(res, 302, 'text/plain', '', { 'Set-Cookie': `${USER_COOKIE}=${encodeURIComponent(as)}; Path=/`, Location: next });
+  }
+  const user = readCookie(req, USER_COOKIE);
+
+  if (url.pathname === '/') return send(res, 200, 'text/html', indexPage(user));
+
+  if (url.pathname === '/__gas/login') {
+    return send(res, 302, 'text/plain', '', {
+      'Set-Cookie': `${USER_COOKIE}=${encodeURIComponent(params.as || '')}; Path=/`,
+      Location: params.next && params.next.startsWith('/') ? params.next : '/'
+    });
+  }
+
+  if (url.pathname === '/exec' && req.method === 'GET') {
+    const out = rt.doGet(params, { as: user });
+    const shim = clientShim(user, rt.publicFunctions());
+    const html = /<head[^>]*>/i.test(out.content)
+      ? out.content.replace(/<head[^>]*>/i, (m) => `${m}${shim}`)
+      : `${shim}${out.content}`;
+    const titled = out.title && !/<title>/i.test(html) ? html.replace(/<head[^>]*>/i, (m) => `${m}<title>${escapeHtml(out.title)}</title>`) : html;
+    return send(res, 200, 'text/html', titled);
+  }
+
+  if (url.pathname === '/exec' && req.method === 'POST') {
+    const body = await readBody(req);
+    const out = rt.doPost(body, { as: user, parameter: params, contentType: req.headers['content-type'] || 'text/plain' });
+    return send(res, 200, out.mimeType, out.content);
+  }
+
+  if (url.pathname === '/__gas/run' && req.method === 'POST') {
+    const { fn, args: callArgs } = JSON.parse(await readBody(req) || '{}');
+    try {
+      const value = rt.run(fn, Array.isArray(callArgs) ? callArgs : [], { as: user });
+      return send(res, 200, 'application/json', JSON.stringify({ ok: true, value }));
+    } catch (error) {
+      console.log(`[${fn} ${user}] error: ${(error && error.stack) || error}`);
+      return send(res, 200, 'application/json', JSON.stringify({ ok: false, error: { name: (error && error.name) || 'Error', message: String((error && error.message) || error) } }));
+    }
+  }
+
+  const formMatch = /^\/__gas\/forms\/([\w-]+)$/.exec(url.pathname);
+  if (formMatch) {
+    const form = findForm(formMatch[1]);
+    if (!form) return send(res, 404, 'text/plain', 'Form not found');
+    if (req.method === 'GET') return send(res, 200, 'text/html', formPage(form, user));
+    const posted = new URLSearchParams(await readBody(req));
+    const answers = {};
+    for (const item of form.items) {
+      const values = posted.getAll(`item_${item.id}`).filter((v) => v !== '');
+      if (values.length) answers[item.id] = item.type === 'CHECKBOX' ? values : values[0];
+    }
+    try {
+      rt.submitFormResponse(form.id, { email: user, answers });
+    } catch (error) {
+      return send(res, 400, 'text/html', formPage(form, user, error.message));
+    }
+    return send(res, 200, 'text/html', page(form.title, `<p>${escapeHtml(form.confirmationMessage || '回答を記録しました。')}</p><p><a href="${escapeHtml(url.pathname)}">別の回答を送信</a> · <a href="/">emulator</a></p>`));
+  }
+
+  return send(res, 404, 'text/plain', 'Not found');
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(error);
+    if (!res.headersSent) send(res, 500, 'text/plain', String((error && error.stack) || error));
+  });
+}).listen(PORT, () => {
+  console.log(`GAS emulator: http://localhost:${PORT}/  (data: ${DATA_DIR})`);
+});
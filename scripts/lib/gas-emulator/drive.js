@@ -0,0 +1,213 @@
+/**
+ * drive.js — DriveApp と Blob。
+ *
+ * Why: このアプリの権限モデルは Drive の共有設定そのものに乗っている。教師の回答シートを
+ *   SA に editor 共有する (SharingHelper)、画像フォルダを SA に viewer 共有する、共同編集者を
+ *   Drive の permission から判定する (AccessControl) — どれも DriveApp で書いて REST で
+ *   読む。ファイルごとの owner / editors / viewers / sharing を store に持ち、ここと
+ *   google-apis.js の両方から同じものを見せる。
+ */
+'use strict';
+const { MIME } = require('./store');
+
+const ACCESS = ['ANYONE', 'ANYONE_WITH_LINK', 'DOMAIN', 'DOMAIN_WITH_LINK', 'PRIVATE'];
+const PERMISSION = ['VIEW', 'EDIT', 'COMMENT', 'OWNER', 'ORGANIZER', 'FILE_ORGANIZER', 'NONE'];
+
+const toBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return Buffer.from(data);
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(Array.from(data || [], (b) => b & 0xff));
+};
+
+/** GAS の Byte[] は符号付き (-128..127)。 */
+const toSignedBytes = (buf) => Array.from(buf, (b) => (b > 127 ? b - 256 : b));
+
+function createBlobFactory(realm) {
+  function newBlob(data, contentType, name) {
+    let bytes = toBuffer(data);
+    let type = contentType || null;
+    let blobName = name || null;
+    const blob = {
+      getBytes: () => realm.array(toSignedBytes(bytes)),
+      setBytes: (next) => { bytes = toBuffer(next); return blob; },
+      getDataAsString: (charset) => bytes.toString(String(charset || 'UTF-8').toLowerCase().replace('-', '') === 'usascii' ? 'ascii' : 'utf8'),
+      setDataFromString: (s) => { bytes = Buffer.from(String(s), 'utf8'); return blob; },
+      getContentType: () => type,
+      setContentType: (t) => { type = t; return blob; },
+      getName: () => blobName,
+      setName: (n) => { blobName = n; return blob; },
+      copyBlob: () => newBlob(bytes, type, blobName),
+      getBlob: () => blob,
+      getAs: (t) => newBlob(bytes, t, blobName),
+      isGoogleType: () => false,
+      /** エミュレータ内部用: Buffer のまま取り出す。 */
+      __buffer: () => bytes
+    };
+    return blob;
+  }
+  return { newBlob, toBuffer, toSignedBytes };
+}
+
+/**
+ * @param {Object} env 1 実行ぶんの環境
+ */
+function createDriveApp(env) {
+  const { store, realm, fail } = env;
+  const notFound = () => fail('No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it.');
+
+  function iterator(items) {
+    let i = 0;
+    return {
+      hasNext: () => i < items.length,
+      next: () => {
+        if (i >= items.length) fail('Cannot retrieve the next object: iterator has reached the end.');
+        return items[i++];
+      },
+      getContinuationToken: () => String(i)
+    };
+  }
+
+  function requireWrite(id) {
+    const role = store.roleOf(id, env.user());
+    if (role !== 'owner' && role !== 'writer') fail('Access denied: DriveApp.');
+  }
+
+  function visibleFiles(predicate) {
+    return Array.from(store.files.values())
+      .filter((f) => !f.trashed && predicate(f) && store.roleOf(f.id, env.user()));
+  }
+
+  function wrap(file) {
+    return file.mimeType === MIME.FOLDER ? wrapFolder(file) : wrapFile(file);
+  }
+
+  function common(file, self) {
+    return {
+      getId: () => file.id,
+      getName: () => file.name,
+      setName: (name) => { requireWrite(file.id); file.name = String(name); store.touchFile(file.id); return self; },
+      getDescription: () => file.description || null,
+      setDescription: (d) => { requireWrite(file.id); file.description = String(d); store.touchFile(file.id); return self; },
+      getUrl: () => file.mimeType === MIME.FOLDER
+        ? `https://drive.google.com/drive/folders/${file.id}`
+        : `https://drive.google.com/file/d/${file.id}/view?usp=drivesdk`,
+      getDateCreated: () => new realm.Date(file.createdAt),
+      getLastUpdated: () => new realm.Date(file.updatedAt),
+      getOwner: () => env.makeUser(file.owner),
+      getEditors: () => realm.array(file.editors.map(env.makeUser)),
+      getViewers: () => realm.array(file.viewers.map(env.makeUser)),
+      addEditor: (who) => { env.share(file.id, 'editors', who); return self; },
+      addEditors: (list) => { list.forEach((who) => env.share(file.id, 'editors', who)); return self; },
+      removeEditor: (who) => { env.unshare(file.id, 'editors', who); return self; },
+      addViewer: (who) => { env.share(file.id, 'viewers', who); return self; },
+      addViewers: (list) => { list.forEach((who) => env.share(file.id, 'viewers', who)); return self; },
+      removeViewer: (who) => { env.unshare(file.id, 'viewers', who); return self; },
+      getSharingAccess: () => file.sharing.access,
+      getSharingPermission: () => file.sharing.permission,
+      setSharing: (access, permission) => {
+        if (file.owner !== String(env.user() || '').toLowerCase()) requireWrite(file.id);
+        if (!ACCESS.includes(String(access)) || !PERMISSION.includes(String(permission))) fail('Invalid argument: accessType');
+        file.sharing = { access: String(access), permission: String(permission) };
+        store.touchFile(file.id);
+        return self;
+      },
+      isTrashed: () => Boolean(file.trashed),
+      setTrashed: (trashed) => { requireWrite(file.id); file.trashed = Boolean(trashed); store.touchFile(file.id); return self; },
+      getParents: () => iterator(file.parents.map((id) => store.files.get(id)).filter(Boolean).map(wrapFolder)),
+      moveTo: (folder) => {
+        requireWrite(file.id);
+        file.parents = [folder.getId()];
+        store.touchFile(file.id);
+        return self;
+      }
+    };
+  }
+
+  function wrapFile(file) {
+    const self = {};
+    const blob = () => env.blobs.newBlob(store.blobs.get(file.id) || Buffer.alloc(0), file.mimeType, file.name);
+    Object.assign(self, common(file, self), {
+      getMimeType: () => file.mimeType,
+      getSize: () => (store.blobs.get(file.id) || Buffer.alloc(0)).length,
+      getBlob: () => blob(),
+      getAs: (type) => blob().getAs(type),
+      getThumbnail: () => (String(file.mimeType).startsWith('image/') ? blob() : null),
+      makeCopy: (name) => {
+        const copy = store.createFile({ name: name || `${file.name} のコピー`, mimeType: file.mimeType, owner: env.user(), parents: file.parents.slice() });
+        if (store.blobs.has(file.id)) store.putBlob(copy.id, store.blobs.get(file.id));
+        return wrapFile(copy);
+      }
+    });
+    return self;
+  }
+
+  function wrapFolder(folder) {
+    const self = {};
+    const children = (predicate) => visibleFiles((f) => f.parents.includes(folder.id) && predicate(f));
+    Object.assign(self, common(folder, self), {
+      createFile: (blobOrName, content, mimeType) => {
+        requireWrite(folder.id);
+        return createFileIn(folder.id, blobOrName, content, mimeType);
+      },
+      createFolder: (name) => {
+        requireWrite(folder.id);
+        return wrapFolder(store.createFile({ name, mimeType: MIME.FOLDER, owner: env.user(), parents: [folder.id] }));
+      },
+      addFile: (child) => {
+        requireWrite(folder.id);
+        const f = store.files.get(child.getId());
+        if (!f.parents.includes(folder.id)) f.parents.push(folder.id);
+        store.touchFile(f.id);
+        return self;
+      },
+      removeFile: (child) => {
+        const f = store.files.get(child.getId());
+        f.parents = f.parents.filter((id) => id !== folder.id);
+        store.touchFile(f.id);
+        return self;
+      },
+      getFiles: () => iterator(children((f) => f.mimeType !== MIME.FOLDER).map(wrapFile)),
+      getFilesByName: (name) => iterator(children((f) => f.mimeType !== MIME.FOLDER && f.name === name).map(wrapFile)),
+      getFilesByType: (type) => iterator(children((f) => f.mimeType === type).map(wrapFile)),
+      getFolders: () => iterator(children((f) => f.mimeType === MIME.FOLDER).map(wrapFolder)),
+      getFoldersByName: (name) => iterator(children((f) => f.mimeType === MIME.FOLDER && f.name === name).map(wrapFolder))
+    });
+    return self;
+  }
+
+  function createFileIn(parentId, blobOrName, content, mimeType) {
+    const isBlob = blobOrName && typeof blobOrName === 'object' && typeof blobOrName.getBytes === 'function';
+    const name = isBlob ? (blobOrName.getName() || '無題') : String(blobOrName);
+    const type = isBlob ? (blobOrName.getContentType() || 'application/octet-stream') : (mimeType || 'text/plain');
+    const bytes = isBlob ? (blobOrName.__buffer ? blobOrName.__buffer() : env.blobs.toBuffer(blobOrName.getBytes())) : Buffer.from(String(content || ''), 'utf8');
+    const file = store.createFile({ name, mimeType: type, owner: env.user(), parents: [parentId] });
+    store.putBlob(file.id, bytes);
+    return wrapFile(file);
+  }
+
+  function getById(id, kind) {
+    const file = store.files.get(String(id || ''));
+    if (!file || !store.roleOf(file.id, env.user())) notFound();
+    if (kind === 'folder' && file.mimeType !== MIME.FOLDER) notFound();
+    return wrap(file);
+  }
+
+  const root = () => store.rootFolderOf(env.user());
+
+  return {
+    Access: Object.fromEntries(ACCESS.map((a) => [a, a])),
+    Permission: Object.fromEntries(PERMISSION.map((p) => [p, p])),
+    getFileById: (id) => getById(id, 'file'),
+    getFolderById: (id) => getById(id, 'folder'),
+    getRootFolder: () => wrapFolder(root()),
+    createFolder: (name) => wrapFolder(store.createFile({ name, mimeType: MIME.FOLDER, owner: env.user(), parents: [root().id] })),
+    createFile: (blobOrName, content, mimeType) => createFileIn(root().id, blobOrName, content, mimeType),
+    getFiles: () => iterator(visibleFiles((f) => f.mimeType !== MIME.FOLDER).map(wrapFile)),
+    getFilesByName: (name) => iterator(visibleFiles((f) => f.mimeType !== MIME.FOLDER && f.name === name).map(wrapFile)),
+    getFilesByType: (type) => iterator(visibleFiles((f) => f.mimeType === type).map(wrapFile)),
+    getFolders: () => iterator(visibleFiles((f) => f.mimeType === MIME.FOLDER).map(wrapFolder)),
+    getFoldersByName: (name) => iterator(visibleFiles((f) => f.mimeType === MIME.FOLDER && f.name === name).map(wrapFolder))
+  };
+}
+
+module.exports = { createDriveApp, createBlobFactory, toBuffer, toSignedBytes };
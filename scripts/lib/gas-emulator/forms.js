@@ -0,0 +1,387 @@
+/**
+ * forms.js — FormApp と、フォーム回答がシートに流れ込む連携。
+ *
+ * Why: ボードのデータ源は「Google フォームの回答シート」で、列見出しは設問タイトルから
+ *   フォーム側が作る。列推定 (ColumnMappingService) も タイムスタンプ列の扱いも、この
+ *   「フォームが作ったシート」の形を前提にしている。空シートに手で見出しを書いた
+ *   フィクスチャでは、設問名の変更で見出しが追従する / メール列が B 列に入る /
+ *   時刻が Date 型で入る、といった本番の形がずれる。なので setDestination で
+ *   「フォームの回答 N」シートを作り、回答は submitResponse でフォームを通して書く。
+ */
+'use strict';
+const crypto = require('crypto');
+const { MIME } = require('./store');
+const { newSheetDoc, nextSheetId, writeCell, appendValues, formViewUrl } = require('./spreadsheet');
+
+const ITEM_TYPES = [
+  'TEXT', 'PARAGRAPH_TEXT', 'MULTIPLE_CHOICE', 'CHECKBOX', 'LIST', 'SCALE', 'DATE', 'TIME',
+  'DATETIME', 'DURATION', 'GRID', 'CHECKBOX_GRID', 'SECTION_HEADER', 'PAGE_BREAK', 'IMAGE', 'VIDEO'
+];
+/** 回答列を持たない項目。シートに列を作らない。 */
+const LAYOUT_TYPES = new Set(['SECTION_HEADER', 'PAGE_BREAK', 'IMAGE', 'VIDEO']);
+const AS_METHODS = {
+  asTextItem: 'TEXT', asParagraphTextItem: 'PARAGRAPH_TEXT', asMultipleChoiceItem: 'MULTIPLE_CHOICE',
+  asCheckboxItem: 'CHECKBOX', asListItem: 'LIST', asScaleItem: 'SCALE', asDateItem: 'DATE',
+  asTimeItem: 'TIME', asSectionHeaderItem: 'SECTION_HEADER', asPageBreakItem: 'PAGE_BREAK', asImageItem: 'IMAGE'
+};
+
+function newFormDoc(id, title) {
+  return {
+    id,
+    publishedId: `1FAIpQLS${crypto.randomBytes(36).toString('base64url').slice(0, 48)}`,
+    title: String(title || ''),
+    description: '',
+    items: [],
+    destination: null,
+    collectEmail: false,
+    emailCollectionType: 'DO_NOT_COLLECT',
+    limitOneResponsePerUser: false,
+    allowResponseEdits: false,
+    confirmationMessage: '',
+    acceptingResponses: true,
+    responses: []
+  };
+}
+
+function destinationSheet(store, form) {
+  if (!form.destination) return null;
+  const ss = store.spreadsheets.get(form.destination.spreadsheetId);
+  const sheet = ss && ss.sheets.find((s) => s.sheetId === form.destination.sheetId);
+  return sheet ? { ss, sheet } : null;
+}
+
+/**
+ * フォームを通して回答を 1 件送信する (エミュレータ専用。GAS に対応 API は無い)。
+ * @param {Object} store
+ * @param {string} formId
+ * @param {{ email?: string, answers: Object|Array, timestamp?: Date }} submission
+ *   answers は設問タイトル → 値 の object か、回答列のある設問順の配列
+ */
+function submitResponse(store, formId, submission) {
+  const form = store.forms.get(formId);
+  if (!form) throw new Error(`Form not found: ${formId}`);
+  if (!form.acceptingResponses) throw new Error('This form is no longer accepting responses.');
+  const email = String(submission.email || '').toLowerCase();
+  if ((form.collectEmail || form.limitOneResponsePerUser) && !email) throw new Error('This form requires sign-in.');
+  if (form.limitOneResponsePerUser && form.responses.some((r) => r.email === email)) {
+    throw new Error('You can only fill out this form once.');
+  }
+  const questions = form.items.filter((it) => !LAYOUT_TYPES.has(it.type));
+  const raw = submission.answers || {};
+  const answers = {};
+  questions.forEach((item, i) => {
+    const value = Array.isArray(raw) ? raw[i] : (raw[item.title] !== undefined ? raw[item.title] : raw[item.id]);
+    const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+    if (empty) {
+      if (item.required) throw new Error(`This is a required question: ${item.title}`);
+      return;
+    }
+    if (item.type === 'SCALE') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < item.bounds.lower || n > item.bounds.upper) {
+        throw new Error(`${item.title}: ${item.bounds.lower}〜${item.bounds.upper} の整数で答えてください`);
+      }
+      answers[item.id] = n;
+      return;
+    }
+    if (['LIST', 'MULTIPLE_CHOICE', 'CHECKBOX'].includes(item.type)) {
+      const picked = Array.isArray(value) ? value.map(String) : [String(value)];
+      const bad = picked.find((v) => !item.choices.includes(v) && !item.otherOption);
+      if (bad) throw new Error(`${item.title}: 選択肢にない値です (${bad})`);
+      answers[item.id] = item.type === 'CHECKBOX' ? picked : picked[0];
+      return;
+    }
+    answers[item.id] = String(value);
+  });
+  const timestamp = new Date(submission.timestamp || store.now());
+  const response = {
+    id: `2_ABaOnu${crypto.randomBytes(24).toString('base64url')}`,
+    timestamp: timestamp.toISOString(),
+    email,
+    answers
+  };
+  form.responses.push(response);
+  store.touchForm(form.id);
+  writeResponseRow(store, form, response);
+  return response;
+}
+
+function writeResponseRow(store, form, response) {
+  const dest = destinationSheet(store, form);
+  if (!dest) return;
+  const row = [];
+  // シートの時刻は秒精度 (FormResponse 側はミリ秒まで持つ)。
+  row[0] = new Date(Math.floor(Date.parse(response.timestamp) / 1000) * 1000);
+  if (form.emailColumn) row[form.emailColumn - 1] = response.email;
+  for (const item of form.items) {
+    if (!item.column || response.answers[item.id] === undefined) continue;
+    const v = response.answers[item.id];
+    row[item.column - 1] = Array.isArray(v) ? v.join(', ') : v;
+  }
+  appendValues(dest.sheet, [Array.from(row, (v) => (v === undefined ? '' : v))]);
+  store.touchSpreadsheet(dest.ss.id);
+}
+
+/**
+ * @param {Object} env 1 実行ぶんの環境
+ */
+function createFormApp(env) {
+  const { store, realm, fail } = env;
+
+  function requireEdit(form) {
+    const role = store.roleOf(form.id, env.user());
+    if (role !== 'owner' && role !== 'writer') fail('You do not have permission to edit this form.');
+  }
+
+  function open(id) {
+    const form = store.forms.get(String(id || ''));
+    if (!form) fail(`No item with the given ID could be found, or you do not have permission to access it.`);
+    if (!store.roleOf(form.id, env.user())) fail('You do not have permission to access the requested document.');
+    return wrapForm(form);
+  }
+
+  function updateHeader(form, item) {
+    const dest = destinationSheet(store, form);
+    if (!dest || !item.column) return;
+    writeCell(dest.sheet, 1, item.column, item.title);
+    store.touchSpreadsheet(dest.ss.id);
+  }
+
+  function nextColumn(form) {
+    const used = [1, form.emailColumn || 0, ...form.items.map((it) => it.column || 0)];
+    return Math.max(...used) + 1;
+  }
+
+  function wrapItem(form, item) {
+    const self = {};
+    const touch = () => store.touchForm(form.id);
+    const chain = (fn) => (...args) => { requireEdit(form); fn(...args); touch(); return self; };
+    Object.assign(self, {
+      getId: () => item.id,
+      getIndex: () => form.items.indexOf(item),
+      getType: () => item.type,
+      getTitle: () => item.title,
+      setTitle: chain((t) => { item.title = String(t); updateHeader(form, item); }),
+      getHelpText: () => item.helpText,
+      setHelpText: chain((t) => { item.helpText = String(t); }),
+      isRequired: () => Boolean(item.required),
+      setRequired: chain((b) => { item.required = Boolean(b); }),
+      setChoiceValues: chain((values) => { item.choices = Array.from(values, String); }),
+      setChoices: chain((choices) => { item.choices = Array.from(choices, (c) => String(c.getValue())); }),
+      getChoices: () => realm.array(item.choices.map((v) => ({ getValue: () => v }))),
+      createChoice: (value) => ({ getValue: () => String(value) }),
+      showOtherOption: chain((b) => { item.otherOption = Boolean(b); }),
+      hasOtherOption: () => Boolean(item.otherOption),
+      setBounds: chain((lower, upper) => {
+        if (!(lower === 0 || lower === 1) || !(upper >= 3 && upper <= 10)) fail('Invalid argument: bounds');
+        item.bounds = { lower, upper };
+      }),
+      getLowerBound: () => item.bounds.lower,
+      getUpperBound: () => item.bounds.upper,
+      setLabels: chain((left, right) => { item.labels = { left: String(left), right: String(right) }; }),
+      getLeftLabel: () => item.labels.left,
+      getRightLabel: () => item.labels.right,
+      setImage: chain((blob) => { item.image = { contentType: blob.getContentType(), size: blob.getBytes().length }; }),
+      setAlignment: () => self,
+      setWidth: () => self
+    });
+    for (const [method, type] of Object.entries(AS_METHODS)) {
+      self[method] = () => {
+        if (item.type !== type) fail(`Item is not of type ${type}.`);
+        return self;
+      };
+    }
+    return self;
+  }
+
+  function wrapForm(form) {
+    const self = {};
+    const touch = () => store.touchForm(form.id);
+    const chain = (fn) => (...args) => { requireEdit(form); fn(...args); touch(); return self; };
+    const addItem = (type) => () => {
+      requireEdit(form);
+      const item = {
+        id: crypto.randomInt(1e8, 2e9),
+        type,
+        title: '',
+        helpText: '',
+        required: false,
+        choices: [],
+        bounds: { lower: 1, upper: 5 },
+        labels: { left: '', right: '' }
+      };
+      form.items.push(item);
+      if (!LAYOUT_TYPES.has(type) && form.destination) {
+        item.column = nextColumn(form);
+        updateHeader(form, item);
+      }
+      touch();
+      return wrapItem(form, item);
+    };
+    Object.assign(self, {
+      getId: () => form.id,
+      getTitle: () => form.title,
+      setTitle: chain((t) => { form.title = String(t); }),
+      getDescription: () => form.description,
+      setDescription: chain((d) => { form.description = String(d); }),
+      getPublishedUrl: () => formViewUrl(form),
+      getEditUrl: () => `https://docs.google.com/forms/d/${form.id}/edit`,
+      shortenFormUrl: (url) => url,
+      collectsEmail: () => Boolean(form.collectEmail),
+      setCollectEmail: chain((b) => {
+        form.collectEmail = Boolean(b);
+        form.emailCollectionType = b ? 'RESPONDER_INPUT' : 'DO_NOT_COLLECT';
+        addEmailColumnIfLinked(form);
+      }),
+      setLimitOneResponsePerUser: chain((b) => { form.limitOneResponsePerUser = Boolean(b); }),
+      hasLimitOneResponsePerUser: () => Boolean(form.limitOneResponsePerUser),
+      setAllowResponseEdits: chain((b) => { form.allowResponseEdits = Boolean(b); }),
+      setConfirmationMessage: chain((m) => { form.confirmationMessage = String(m); }),
+      getConfirmationMessage: () => form.confirmationMessage,
+      setAcceptingResponses: chain((b) => { form.acceptingResponses = Boolean(b); }),
+      isAcceptingResponses: () => Boolean(form.acceptingResponses),
+      setShowLinkToRespondAgain: () => self,
+      setProgressBar: () => self,
+      setShuffleQuestions: () => self,
+      setPublishingSummary: () => self,
+      setRequireLogin: () => self,
+      addTextItem: addItem('TEXT'),
+      addParagraphTextItem: addItem('PARAGRAPH_TEXT'),
+      addMultipleChoiceItem: addItem('MULTIPLE_CHOICE'),
+      addCheckboxItem: addItem('CHECKBOX'),
+      addListItem: addItem('LIST'),
+      addScaleItem: addItem('SCALE'),
+      addDateItem: addItem('DATE'),
+      addTimeItem: addItem('TIME'),
+      addSectionHeaderItem: addItem('SECTION_HEADER'),
+      addPageBreakItem: addItem('PAGE_BREAK'),
+      addImageItem: addItem('IMAGE'),
+      getItems: (type) => realm.array(form.items
+        .filter((it) => type === undefined || it.type === String(type))
+        .map((it) => wrapItem(form, it))),
+      getItemById: (id) => {
+        const item = form.items.find((it) => it.id === Number(id));
+        return item ? wrapItem(form, item) : null;
+      },
+      deleteItem: chain((itemOrIndex) => {
+        const index = typeof itemOrIndex === 'number' ? itemOrIndex : form.items.findIndex((it) => it.id === itemOrIndex.getId());
+        if (index < 0 || index >= form.items.length) fail('Invalid argument: index');
+        // 回答済みの列はシートに残る (本番も設問を消しても列は消えない)。
+        form.items.splice(index, 1);
+      }),
+      moveItem: chain((from, to) => {
+        const index = typeof from === 'number' ? from : form.items.findIndex((it) => it.id === from.getId());
+        const [item] = form.items.splice(index, 1);
+        form.items.splice(to, 0, item);
+      }),
+      setDestination: chain((type, spreadsheetId) => {
+        if (String(type) !== 'SPREADSHEET') fail('Invalid argument: type');
+        const ss = store.spreadsheets.get(String(spreadsheetId));
+        const role = ss && store.roleOf(ss.id, env.user());
+        if (role !== 'owner' && role !== 'writer') fail('You do not have permission to access the requested document.');
+        linkDestination(form, ss);
+      }),
+      removeDestination: chain(() => { form.destination = null; }),
+      getDestinationId: () => {
+        if (!form.destination) fail('The form currently has no response destination.');
+        return form.destination.spreadsheetId;
+      },
+      getDestinationType: () => (form.destination ? 'SPREADSHEET' : null),
+      getResponses: (since) => {
+        const from = since ? since.getTime() : -Infinity;
+        return realm.array(form.responses
+          .filter((r) => Date.parse(r.timestamp) >= from)
+          .map((r) => wrapResponse(form, r)));
+      },
+      getResponse: (id) => {
+        const r = form.responses.find((x) => x.id === id);
+        if (!r) fail('No response with ID ' + id + ' exists for this form.');
+        return wrapResponse(form, r);
+      },
+      deleteResponse: chain((id) => {
+        const before = form.responses.length;
+        form.responses = form.responses.filter((r) => r.id !== id);
+        if (form.responses.length === before) fail('No response with ID ' + id + ' exists for this form.');
+      }),
+      deleteAllResponses: chain(() => { form.responses = []; }),
+      addEditor: (who) => { env.share(form.id, 'editors', who); return self; },
+      getEditors: () => realm.array([store.files.get(form.id).owner, ...store.files.get(form.id).editors].map(env.makeUser))
+    });
+    return self;
+  }
+
+  function addEmailColumnIfLinked(form) {
+    const dest = destinationSheet(store, form);
+    if (!dest || !form.collectEmail || form.emailColumn) return;
+    // メール列は常に B 列。既存の設問列を 1 つ右へずらす。
+    dest.sheet.values.forEach((row) => { if (row.length > 1) row.splice(1, 0, ''); });
+    form.items.forEach((it) => { if (it.column) it.column += 1; });
+    form.emailColumn = 2;
+    writeCell(dest.sheet, 1, 2, 'メールアドレス');
+    store.touchSpreadsheet(dest.ss.id);
+  }
+
+  function linkDestination(form, ss) {
+    let n = 1;
+    while (ss.sheets.some((s) => s.title === `フォームの回答 ${n}`)) n++;
+    const sheet = newSheetDoc(nextSheetId(ss), `フォームの回答 ${n}`);
+    ss.sheets.unshift(sheet);
+    form.destination = { spreadsheetId: ss.id, sheetId: sheet.sheetId };
+    form.emailColumn = form.collectEmail ? 2 : 0;
+    writeCell(sheet, 1, 1, 'タイムスタンプ');
+    if (form.emailColumn) writeCell(sheet, 1, 2, 'メールアドレス');
+    let col = form.emailColumn ? 3 : 2;
+    for (const item of form.items) {
+      if (LAYOUT_TYPES.has(item.type)) continue;
+      item.column = col++;
+      writeCell(sheet, 1, item.column, item.title);
+    }
+    for (const r of form.responses) writeResponseRow(store, form, r);
+    store.touchSpreadsheet(ss.id);
+  }
+
+  function wrapResponse(form, r) {
+    return {
+      getId: () => r.id,
+      getTimestamp: () => new realm.Date(r.timestamp),
+      getRespondentEmail: () => r.email,
+      getItemResponses: () => realm.array(form.items
+        .filter((it) => r.answers[it.id] !== undefined)
+        .map((it) => ({
+          getItem: () => wrapItem(form, it),
+          getResponse: () => realm.from(r.answers[it.id])
+        })))
+    };
+  }
+
+  function create(title) {
+    const owner = env.user();
+    if (!owner) fail('Authorization is required to perform that action.');
+    const file = store.createFile({ name: title, mimeType: MIME.FORM, owner, parents: [store.rootFolderOf(owner).id] });
+    const form = newFormDoc(file.id, title);
+    store.addForm(form);
+    return wrapForm(form);
+  }
+
+  return {
+    ItemType: Object.fromEntries(ITEM_TYPES.map((t) => [t, t])),
+    DestinationType: { SPREADSHEET: 'SPREADSHEET' },
+    create,
+    openById: open,
+    openByUrl: (url) => {
+      const text = String(url || '');
+      const published = /\/forms\/d\/e\/([^/]+)/.exec(text);
+      if (published) {
+        const form = Array.from(store.forms.values()).find((f) => f.publishedId === published[1]);
+        if (!form) fail('No item with the given ID could be found, or you do not have permission to access it.');
+        return open(form.id);
+      }
+      const m = /\/forms\/d\/([^/]+)/.exec(text);
+      if (!m) fail('Invalid argument: url');
+      return open(m[1]);
+    },
+    getActiveForm: () => null
+  };
+}
+
+module.exports = { createFormApp, submitResponse, LAYOUT_TYPES };
@@ -0,0 +1,292 @@
+/**
+ * google-apis.js — UrlFetchApp の向こう側 (OAuth / Sheets REST / Drive REST / Forms REST)。
+ *
+ * Why: 閲覧者のボード読み込みは SpreadsheetApp ではなく、サービスアカウント (SA) の JWT を
+ *   token に交換して Sheets REST を叩く経路で動く (DatabaseCore の SA proxy)。ここを
+ *   スタブで素通しにすると「SA にシートを共有し忘れると閲覧者だけ 403」という、この
+ *   アプリで一番起きる本番障害がオフラインで見えなくなる。なので token に呼び出し主体
+ *   (SA のメール / 利用者のメール) を埋め込み、各 endpoint で store の共有設定と照合する。
+ *
+ *   応答の形は DatabaseCore が読む部分だけでなく本番の既定に揃える。特に values.get は
+ *   全セルを表示文字列で返し、行末・末尾行の空セルを詰める (FORMATTED_VALUE の既定)。
+ */
+'use strict';
+const {
+  parseRange, columnLetter, newSheetDoc, nextSheetId, lastRowOf, lastColumnOf,
+  readCell, writeCell, appendValues, coerceRaw, formatCell
+} = require('./spreadsheet');
+
+const TOKEN_PREFIX = 'ya29.emu-';
+
+function issueToken(subject) {
+  return TOKEN_PREFIX + Buffer.from(JSON.stringify(subject)).toString('base64url');
+}
+
+/** @returns {{email:string, kind:'sa'|'user'}|null} */
+function readToken(headers) {
+  const auth = Object.keys(headers || {}).find((k) => k.toLowerCase() === 'authorization');
+  const value = auth ? String(headers[auth]) : '';
+  const m = /^Bearer\s+(\S+)$/.exec(value);
+  if (!m || !m[1].startsWith(TOKEN_PREFIX)) return null;
+  try {
+    return JSON.parse(Buffer.from(m[1].slice(TOKEN_PREFIX.length), 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function json(code, body) {
+  return { code, headers: { 'Content-Type': 'application/json; charset=UTF-8' }, body: Buffer.from(JSON.stringify(body)) };
+}
+
+function apiError(code, message, status) {
+  return json(code, { error: { code, message, status } });
+}
+
+const DENIED = () => apiError(403, 'The caller does not have permission', 'PERMISSION_DENIED');
+const UNAUTHENTICATED = () => apiError(401, 'Request had invalid authentication credentials.', 'UNAUTHENTICATED');
+const NOT_FOUND = (what) => apiError(404, `Requested entity was not found. (${what})`, 'NOT_FOUND');
+
+function decodeSegment(segment) {
+  try { return decodeURIComponent(segment); } catch (_) { return segment; }
+}
+
+/**
+ * @param {Object} store
+ * @param {{ externalFetch?: Function }} [opts]
+ */
+function createGoogleApis(store, opts = {}) {
+  const canRead = (id, who) => Boolean(store.roleOf(id, who.email));
+  const canWrite = (id, who) => ['owner', 'writer'].includes(store.roleOf(id, who.email));
+
+  // ------------------------------------------------------------ OAuth
+  function tokenEndpoint(req) {
+    const form = new URLSearchParams(req.payload || '');
+    const assertion = form.get('assertion') || '';
+    const [, payloadB64] = assertion.split('.');
+    let claims = null;
+    try { claims = JSON.parse(Buffer.from(payloadB64 || '', 'base64url').toString('utf8')); } catch (_) { /* 下で弾く */ }
+    if (form.get('grant_type') !== 'urn:ietf:params:oauth:grant-type:jwt-bearer' || !claims || !claims.iss) {
+      return json(400, { error: 'invalid_grant', error_description: 'Invalid JWT Signature.' });
+    }
+    if (claims.aud !== 'https://oauth2.googleapis.com/token') {
+      return json(400, { error: 'invalid_grant', error_description: 'Invalid JWT: Token must be a short-lived token' });
+    }
+    if (Number(claims.exp) * 1000 < store.now()) {
+      return json(400, { error: 'invalid_grant', error_description: 'Invalid JWT: Token must be a short-lived token (60 minutes) and in a reasonable timeframe.' });
+    }
+    return json(200, {
+      access_token: issueToken({ email: String(claims.iss).toLowerCase(), kind: 'sa' }),
+      expires_in: 3599,
+      token_type: 'Bearer'
+    });
+  }
+
+  // ------------------------------------------------------------ Sheets
+  function sheetsEndpoint(req, url, who) {
+    const m = /^\/v4\/spreadsheets\/([^/:]+)(.*)$/.exec(url.pathname);
+    if (!m) return NOT_FOUND(url.pathname);
+    const id = m[1];
+    const tail = m[2];
+    const doc = store.spreadsheets.get(id);
+    if (!doc) return NOT_FOUND(`spreadsheet ${id}`);
+    const method = req.method;
+    const write = method !== 'GET';
+    if (!(write ? canWrite(id, who) : canRead(id, who))) return DENIED();
+
+    const sheetMeta = (s, index) => ({
+      properties: {
+        sheetId: s.sheetId,
+        title: s.title,
+        index,
+        sheetType: 'GRID',
+        gridProperties: { rowCount: s.rowCount, columnCount: s.columnCount }
+      }
+    });
+
+    if (tail === '' && method === 'GET') {
+      return json(200, {
+        spreadsheetId: id,
+        properties: { title: store.files.get(id).name, locale: doc.locale, timeZone: doc.timeZone },
+        sheets: doc.sheets.map(sheetMeta),
+        spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${id}/edit`
+      });
+    }
+
+    if (tail === ':batchUpdate' && method === 'POST') {
+      const body = JSON.parse(req.payload || '{}');
+      const replies = [];
+      for (const [i, request] of (body.requests || []).entries()) {
+        if (!request.addSheet) {
+          return apiError(400, `Invalid requests[${i}]: the emulator only implements addSheet.`, 'INVALID_ARGUMENT');
+        }
+        const title = String((request.addSheet.properties || {}).title || `シート${doc.sheets.length + 1}`);
+        if (doc.sheets.some((s) => s.title === title)) {
+          return apiError(400, `Invalid requests[${i}].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`, 'INVALID_ARGUMENT');
+        }
+        const sheet = newSheetDoc(nextSheetId(doc), title);
+        doc.sheets.push(sheet);
+        replies.push({ addSheet: sheetMeta(sheet, doc.sheets.length - 1) });
+      }
+      store.touchSpreadsheet(id);
+      return json(200, { spreadsheetId: id, replies });
+    }
+
+    const values = /^\/values\/(.+?)(:append)?$/.exec(tail);
+    if (!values) return NOT_FOUND(tail);
+    const range = parseRange(decodeSegment(values[1]));
+    const sheet = range && doc.sheets.find((s) => s.title === (range.sheetName === null ? doc.sheets[0].title : range.sheetName));
+    if (!sheet) return apiError(400, `Unable to parse range: ${decodeSegment(values[1])}`, 'INVALID_ARGUMENT');
+    const a1 = (r1, c1, r2, c2) => `'${sheet.title.replace(/'/g, "''")}'!${columnLetter(c1)}${r1}:${columnLetter(c2)}${r2}`;
+
+    if (values[2]) {
+      if (method !== 'POST') return apiError(405, 'Method not allowed', 'INVALID_ARGUMENT');
+      const rows = (JSON.parse(req.payload || '{}').values || []).map((row) => row.map(coerceRaw));
+      if (!rows.length) return json(200, { spreadsheetId: id, updates: { spreadsheetId: id, updatedRows: 0 } });
+      const { start, width } = appendValues(sheet, rows);
+      store.touchSpreadsheet(id);
+      const updatedRange = a1(start, 1, start + rows.length - 1, Math.max(1, width));
+      return json(200, {
+        spreadsheetId: id,
+        tableRange: lastRowOf(sheet) > rows.length ? a1(1, 1, start - 1, lastColumnOf(sheet)) : undefined,
+        updates: { spreadsheetId: id, updatedRange, updatedRows: rows.length, updatedColumns: width, updatedCells: rows.length * width }
+      });
+    }
+
+    if (method === 'GET') {
+      const r2 = Math.min(range.r2 || sheet.rowCount, sheet.rowCount);
+      const c2 = Math.min(range.c2 || sheet.columnCount, sheet.columnCount);
+      const out = [];
+      for (let r = range.r1; r <= r2; r++) {
+        const row = [];
+        for (let c = range.c1; c <= c2; c++) row.push(formatCell(readCell(sheet, r, c), doc.timeZone));
+        while (row.length && row[row.length - 1] === '') row.pop();
+        out.push(row);
+      }
+      while (out.length && out[out.length - 1].length === 0) out.pop();
+      const body = { range: a1(range.r1, range.c1, r2, c2), majorDimension: 'ROWS' };
+      if (out.length) body.values = out;
+      return json(200, body);
+    }
+
+    if (method === 'PUT') {
+      const rows = (JSON.parse(req.payload || '{}').values || []).map((row) => row.map(coerceRaw));
+      const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+      const r2 = range.r1 + rows.length - 1;
+      const c2 = range.c1 + width - 1;
+      if ((range.r2 && r2 > range.r2) || (range.c2 && c2 > range.c2)) {
+        return apiError(400, 'Requested writing within range, but tried writing beyond the range.', 'INVALID_ARGUMENT');
+      }
+      if (r2 > sheet.rowCount || c2 > sheet.columnCount) {
+        return apiError(400, `Range (${sheet.title}!${columnLetter(c2)}${r2}) exceeds grid limits. Max rows: ${sheet.rowCount}, max columns: ${sheet.columnCount}`, 'INVALID_ARGUMENT');
+      }
+      rows.forEach((row, i) => row.forEach((v, j) => writeCell(sheet, range.r1 + i, range.c1 + j, v)));
+      store.touchSpreadsheet(id);
+      return json(200, {
+        spreadsheetId: id,
+        updatedRange: a1(range.r1, range.c1, Math.max(range.r1, r2), Math.max(range.c1, c2)),
+        updatedRows: rows.length,
+        updatedColumns: width,
+        updatedCells: rows.reduce((n, r) => n + r.length, 0)
+      });
+    }
+    return apiError(405, 'Method not allowed', 'INVALID_ARGUMENT');
+  }
+
+  // ------------------------------------------------------------ Drive
+  function permissionsOf(file) {
+    const list = [{ id: `u-${file.owner}`, type: 'user', role: 'owner', emailAddress: file.owner }];
+    file.editors.forEach((e) => list.push({ id: `u-${e}`, type: 'user', role: 'writer', emailAddress: e }));
+    file.viewers.forEach((e) => list.push({ id: `u-${e}`, type: 'user', role: 'reader', emailAddress: e }));
+    const { access, permission } = file.sharing || {};
+    if (access && access !== 'PRIVATE') {
+      const role = permission === 'EDIT' ? 'writer' : 'reader';
+      const domain = file.owner.split('@')[1];
+      if (access.startsWith('DOMAIN')) list.push({ id: 'domain', type: 'domain', role, domain });
+      else list.push({ id: 'anyoneWithLink', type: 'anyone', role });
+    }
+    return list;
+  }
+
+  function driveEndpoint(req, url, who) {
+    const m = /^\/drive\/v3\/files\/([^/]+)(\/permissions(?:\/([^/]+))?)?$/.exec(url.pathname);
+    if (!m) return NOT_FOUND(url.pathname);
+    const id = decodeSegment(m[1]);
+    const file = store.files.get(id);
+    if (!file || !canRead(id, who)) return NOT_FOUND(`File not found: ${id}.`);
+    if (m[2]) {
+      if (m[3]) {
+        if (req.method !== 'DELETE') return apiError(405, 'Method not allowed', 'INVALID_ARGUMENT');
+        if (!canWrite(id, who)) return DENIED();
+        const pid = decodeSegment(m[3]);
+        if (pid === 'domain' || pid === 'anyoneWithLink') file.sharing = { access: 'PRIVATE', permission: 'NONE' };
+        else {
+          const email = pid.replace(/^u-/, '');
+          file.editors = file.editors.filter((e) => e !== email);
+          file.viewers = file.viewers.filter((e) => e !== email);
+        }
+        store.touchFile(id);
+        return { code: 204, headers: {}, body: Buffer.alloc(0) };
+      }
+      return json(200, { permissions: permissionsOf(file) });
+    }
+    const bytes = store.blobs.get(id) || Buffer.alloc(0);
+    if (url.searchParams.get('alt') === 'media') {
+      return { code: 200, headers: { 'Content-Type': file.mimeType }, body: bytes };
+    }
+    const meta = { kind: 'drive#file', id, name: file.name, mimeType: file.mimeType, size: String(bytes.length) };
+    if (String(file.mimeType).startsWith('image/')) meta.thumbnailLink = `https://lh3.googleusercontent.com/drive-storage/${id}=s220`;
+    return json(200, meta);
+  }
+
+  function thumbnailEndpoint(req, url) {
+    const m = /^\/drive-storage\/([^=]+)=s\d+$/.exec(url.pathname);
+    const file = m && store.files.get(m[1]);
+    if (!file) return NOT_FOUND(url.pathname);
+    return { code: 200, headers: { 'Content-Type': file.mimeType }, body: store.blobs.get(file.id) || Buffer.alloc(0) };
+  }
+
+  // ------------------------------------------------------------ Forms
+  function formsEndpoint(req, url, who) {
+    const m = /^\/v1\/forms\/([^/:]+):batchUpdate$/.exec(url.pathname);
+    const form = m && store.forms.get(m[1]);
+    if (!form) return NOT_FOUND(url.pathname);
+    if (!canWrite(form.id, who)) return DENIED();
+    for (const request of JSON.parse(req.payload || '{}').requests || []) {
+      const settings = request.updateSettings && request.updateSettings.settings;
+      if (settings && settings.emailCollectionType) {
+        form.emailCollectionType = settings.emailCollectionType;
+        form.collectEmail = settings.emailCollectionType !== 'DO_NOT_COLLECT';
+      }
+    }
+    store.touchForm(form.id);
+    return json(200, { form: { formId: form.id }, replies: [] });
+  }
+
+  /**
+   * @param {{ url: string, method: string, headers: Object, payload: string }} req
+   * @returns {{ code: number, headers: Object, body: Buffer }}
+   */
+  function handle(req) {
+    const url = new URL(req.url);
+    if (url.host === 'oauth2.googleapis.com' && url.pathname === '/token') return tokenEndpoint(req);
+    if (url.host === 'lh3.googleusercontent.com') return thumbnailEndpoint(req, url);
+    const routes = {
+      'sheets.googleapis.com': sheetsEndpoint,
+      'www.googleapis.com': driveEndpoint,
+      'forms.googleapis.com': formsEndpoint
+    };
+    const route = routes[url.host];
+    if (route) {
+      const who = readToken(req.headers);
+      if (!who) return UNAUTHENTICATED();
+      return route(req, url, who);
+    }
+    if (typeof opts.externalFetch === 'function') return opts.externalFetch(req);
+    return null;
+  }
+
+  return { handle };
+}
+
+module.exports = { createGoogleApis, issueToken, readToken };
@@ -0,0 +1,118 @@
+/**
+ * html.js — HtmlService (テンプレート評価 / HtmlOutput)。
+ *
+ * Why: ページは createTemplateFromFile().evaluate() で組み立てられ、scriptlet は
+ *   サーバ側のグローバル関数 (include / boardModeOptionsHtml) とテンプレート変数の両方を
+ *   見る。評価を実行コンテキストの中で行わないと、include() が本物の HtmlService を
+ *   経由しない / テンプレート変数がグローバル関数名を隠す (AccessRestricted の
+ *   isAdministrator) といった本番の解決順がずれる。なので scriptlet は GAS と同じく
+ *   JS に変換し、実行中の vm コンテキストで with (テンプレート変数) 付きで評価する。
+ *
+ *   <?= ?> は HTML エスケープのみ (本番の文脈依存エスケープのうち、このアプリが
+ *   使っている属性値・本文の場合だけ)。<?!= ?> は無加工、<? ?> は文。
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/** テンプレート本文を「出力配列へ push する JS」に変換する。 */
+function compileTemplate(text) {
+  const code = [];
+  const re = /<\?(!=|=)?([\s\S]*?)\?>/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m.index > last) code.push(`__out.push(${JSON.stringify(text.slice(last, m.index))});`);
+    const body = m[2].trim().replace(/;+\s*$/, '');
+    if (m[1] === '=') code.push(`__out.push(__esc(${body}));`);
+    else if (m[1] === '!=') code.push(`__out.push(__raw(${body}));`);
+    else code.push(m[2]);
+    last = re.lastIndex;
+  }
+  if (last < text.length) code.push(`__out.push(${JSON.stringify(text.slice(last))});`);
+  return code.join('\n');
+}
+
+/**
+ * @param {Object} env 1 実行ぶんの環境 (ctx / srcDir / fail を使う)
+ */
+function createHtmlService(env) {
+  const { fail } = env;
+
+  function readFile(name) {
+    const base = String(name || '');
+    const candidates = base.endsWith('.html') ? [base] : [`${base}.html`, base];
+    for (const candidate of candidates) {
+      const file = path.join(env.srcDir, candidate);
+      if (path.dirname(file) === env.srcDir && candidate.endsWith('.html') && fs.existsSync(file)) {
+        return fs.readFileSync(file, 'utf8');
+      }
+    }
+    return fail(`No HTML file named ${base} was found.`);
+  }
+
+  function output(initial) {
+    let content = String(initial || '');
+    let title = '';
+    const meta = [];
+    const self = {
+      getContent: () => content,
+      setContent: (c) => { content = String(c); return self; },
+      append: (c) => { content += String(c); return self; },
+      appendUntrusted: (c) => { content += escapeHtml(c); return self; },
+      clear: () => { content = ''; return self; },
+      getTitle: () => title,
+      setTitle: (t) => { title = String(t); return self; },
+      addMetaTag: (name, value) => { meta.push({ name, content: value }); return self; },
+      getMetaTags: () => meta.slice(),
+      setXFrameOptionsMode: (mode) => { self.__xFrameOptionsMode = mode; return self; },
+      setSandboxMode: () => self,
+      setFaviconUrl: () => self,
+      setWidth: () => self,
+      setHeight: () => self,
+      getWidth: () => 0,
+      getHeight: () => 0,
+      asTemplate: () => template(content)
+    };
+    return self;
+  }
+
+  function template(source) {
+    const reserved = new Set(['evaluate', 'getCode', 'getCodeWithComments', 'getRawContent']);
+    const tpl = {
+      getRawContent: () => source,
+      getCode: () => compileTemplate(source),
+      getCodeWithComments: () => compileTemplate(source),
+      evaluate: () => {
+        const vars = {};
+        for (const key of Object.keys(tpl)) if (!reserved.has(key)) vars[key] = tpl[key];
+        const fn = vm.runInContext(
+          `(function (__vars, __out, __esc, __raw) { with (__vars) {\n${compileTemplate(source)}\n} })`,
+          env.ctx,
+          { filename: 'HtmlTemplate' }
+        );
+        const out = [];
+        const str = (v) => (v === null || v === undefined ? '' : String(v));
+        fn(vars, out, (v) => escapeHtml(str(v)), str);
+        return output(out.join(''));
+      }
+    };
+    return tpl;
+  }
+
+  return {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { IFRAME: 'IFRAME', NATIVE: 'NATIVE', EMULATED: 'EMULATED' },
+    createHtmlOutput: (html) => output(html),
+    createHtmlOutputFromFile: (name) => output(readFile(name)),
+    createTemplate: (html) => template(String(html)),
+    createTemplateFromFile: (name) => template(readFile(name))
+  };
+}
+
+module.exports = { createHtmlService, compileTemplate, escapeHtml };
@@ -0,0 +1,12 @@
+/**
+ * gas-emulator — src/*.js をローカルで動かすための GAS ランタイム。
+ *
+ * 入口は createGasRuntime (runtime.js)。HTTP で画面を触るときは scripts/gas-emulator.js、
+ * テストから直接呼ぶときはこのモジュールを require する。
+ */
+'use strict';
+const { createGasRuntime } = require('./runtime');
+const { createStore } = require('./store');
+const { seed, seedSampleBoard, DEFAULT_ACCOUNTS } = require('./seed');
+
+module.exports = { createGasRuntime, createStore, seed, seedSampleBoard, DEFAULT_ACCOUNTS };
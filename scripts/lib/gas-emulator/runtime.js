@@ -0,0 +1,324 @@
+/**
+ * runtime.js — src/*.js を 1 つのグローバルスコープに載せて「実行」単位で動かす。
+ *
+ * Why: node --test は各ファイルを個別の vm に流し込み、他ファイルの関数はスタブで
+ *   置き換える。ファイル間の呼び出しが本当に噛み合っているかは、デプロイして
+ *   触るまで分からなかった。ここでは GAS と同じく全ファイルを 1 つのコンテキストへ
+ *   filePushOrder 順に読み込み、本物のサービス実装 (の代わり) と繋いで動かす。
+ *
+ *   実行 (doGet / doPost / google.script.run / トリガー) ごとにコンテキストを作り直す。
+ *   GAS もグローバル変数を実行間で持ち越さないので、saTokenCache_ のような
+ *   モジュール変数に頼った実装は本番どおり「次の実行では空」になる。ソースの
+ *   コンパイル結果は使い回し、ファイルが更新されていればその実行から読み直す。
+ *
+ *   値の受け渡しはコンテキスト (realm) をまたぐので、サービスが返す配列・Date・エラーは
+ *   realm 側のコンストラクタで作る。そうしないとアプリ側の `instanceof Date` が偽になる。
+ *
+ * Usage:
+ *   const { createGasRuntime } = require('./lib/gas-emulator');
+ *   const rt = createGasRuntime({ dataDir: '.gas-emulator' });
+ *   rt.run('getCurrentEmail', [], { as: 'teacher@example.com' });
+ *   rt.doGet({ mode: 'admin', userId }, { as: 'teacher@example.com' }).content;
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createStore, MIME } = require('./store');
+const { createSpreadsheetApp } = require('./spreadsheet');
+const { createGoogleApis } = require('./google-apis');
+const { createDriveApp, createBlobFactory } = require('./drive');
+const { createFormApp, submitResponse } = require('./forms');
+const { createHtmlService } = require('./html');
+const services = require('./services');
+
+const DEFAULT_SRC = path.resolve(__dirname, '../../../src');
+const SERVICE_NAMES = new Set([
+  'SpreadsheetApp', 'DriveApp', 'FormApp', 'HtmlService', 'ContentService', 'UrlFetchApp', 'Utilities',
+  'Session', 'PropertiesService', 'CacheService', 'LockService', 'ScriptApp', 'Logger', 'console', 'URL'
+]);
+
+// realm 内で評価する変換関数。コンテキスト側の Array / Date / Object で作り直す。
+const REALM_HELPERS = `({
+  from: function convert(v) {
+    if (Array.isArray(v)) return Array.prototype.map.call(v, convert);
+    if (Object.prototype.toString.call(v) === '[object Date]') return new Date(v.getTime());
+    if (v && typeof v === 'object') {
+      var proto = Object.getPrototypeOf(v);
+      if (proto === null || Object.getPrototypeOf(proto) === null) {
+        var out = {};
+        Object.keys(v).forEach(function (k) { out[k] = convert(v[k]); });
+        return out;
+      }
+    }
+    return v;
+  },
+  array: function (list) { return Array.from(list); }
+})`;
+
+// 引数なしの new Date() / Date.now() を模擬時計 (store.now) に合わせる。
+//   インスタンスは元の Date のままなので instanceof / toString は変わらない。
+const CLOCK_DATE = `(function (now) {
+  var Base = Date;
+  function ClockDate() {
+    if (!new.target) return new Base(now()).toString();
+    return arguments.length === 0 ? new Base(now()) : Reflect.construct(Base, arguments);
+  }
+  Object.defineProperty(ClockDate, 'name', { value: 'Date' });
+  ClockDate.prototype = Base.prototype;
+  ClockDate.now = now;
+  ClockDate.parse = Base.parse;
+  ClockDate.UTC = Base.UTC;
+  globalThis.Date = ClockDate;
+})`;
+
+/** .clasp.json(.template) の filePushOrder。記載の無いファイルは名前順で後ろに付ける。 */
+function loadOrder(srcDir) {
+  const all = fs.readdirSync(srcDir).filter((f) => f.endsWith('.js')).sort();
+  const root = path.dirname(srcDir);
+  let pushOrder = [];
+  for (const name of ['.clasp.json', '.clasp.json.template']) {
+    try {
+      pushOrder = (JSON.parse(fs.readFileSync(path.join(root, name), 'utf8')).filePushOrder || [])
+        .map((p) => path.basename(p));
+      break;
+    } catch (_) { /* 次の候補 */ }
+  }
+  const listed = pushOrder.filter((f) => all.includes(f));
+  return [...listed, ...all.filter((f) => !listed.includes(f))];
+}
+
+function readManifest(srcDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(srcDir, 'appsscript.json'), 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+/** google.script.run の受け渡しと同じ制約。Date を含む戻り値は null になる。 */
+function serializeForClient(value) {
+  let hasDate = false;
+  const text = JSON.stringify(value, function (key, v) {
+    if (Object.prototype.toString.call(this[key]) === '[object Date]') hasDate = true;
+    return v;
+  });
+  if (hasDate) return { value: null, dropped: 'Date' };
+  return { value: text === undefined ? null : JSON.parse(text) };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.dataDir]   永続化先。省略時はメモリのみ
+ * @param {Object} [options.store]          既存の store を共有する場合
+ * @param {string} [options.srcDir]         GAS ソース (既定: リポジトリの src/)
+ * @param {string} [options.scriptOwner]    スクリプトの所有者 (トリガーの実行者)
+ * @param {string} [options.webAppUrl]      ScriptApp.getService().getUrl() の値
+ * @param {Function} [options.onLog]        ({level, args, user, fn}) を受け取る
+ * @param {Function} [options.externalFetch] Google API 以外への UrlFetchApp を処理する
+ */
+function createGasRuntime(options = {}) {
+  const srcDir = path.resolve(options.srcDir || DEFAULT_SRC);
+  const manifest = readManifest(srcDir);
+  const timeZone = options.timeZone || manifest.timeZone || 'Asia/Tokyo';
+  // Why: GAS の V8 はスクリプトのタイムゾーンで動く。new Date('2026/04/01 9:00') の解釈や
+  //   getHours() がそれに従うので、プロセス側も合わせないと表示時刻が 9 時間ずれる。
+  process.env.TZ = timeZone;
+  const store = options.store || createStore({ dataDir: options.dataDir || null });
+  const scriptOwner = String(options.scriptOwner || 'admin@example.com').toLowerCase();
+  const cacheEntries = new Map();
+  const apis = createGoogleApis(store, { externalFetch: options.externalFetch });
+  const compiled = new Map();
+  const runtime = { webAppUrl: options.webAppUrl || 'https://script.google.com/macros/s/EMULATOR/exec' };
+
+  function scripts() {
+    return loadOrder(srcDir).map((name) => {
+      const file = path.join(srcDir, name);
+      const mtime = fs.statSync(file).mtimeMs;
+      const hit = compiled.get(name);
+      if (hit && hit.mtime === mtime) return hit.script;
+      const script = new vm.Script(fs.readFileSync(file, 'utf8'), { filename: name });
+      compiled.set(name, { mtime, script });
+      return script;
+    });
+  }
+
+  /** GAS プロジェクト本体を Drive 上に置く (createDatabase が親フォルダを辿る)。 */
+  function scriptId() {
+    const existing = Array.from(store.files.values()).find((f) => f.mimeType === MIME.SCRIPT);
+    if (existing) return existing.id;
+    const folder = store.createFile({
+      name: 'みんなの回答ボード', mimeType: MIME.FOLDER, owner: scriptOwner, parents: [store.rootFolderOf(scriptOwner).id]
+    });
+    return store.createFile({ name: 'みんなの回答ボード', mimeType: MIME.SCRIPT, owner: scriptOwner, parents: [folder.id] }).id;
+  }
+
+  function emit(level, args, meta) {
+    if (typeof options.onLog === 'function') options.onLog({ level, args, ...meta });
+  }
+
+  /**
+   * 1 実行ぶんのコンテキストを作り、body を走らせ、store を書き戻す。
+   * @param {string} user    Session.getActiveUser() のメール ('' で未ログイン)
+   * @param {string} label   ログ用の実行名
+   * @param {(ctx: Object, env: Object) => *} body
+   */
+  function execute(user, label, body) {
+    const email = String(user || '').toLowerCase();
+    const ctx = vm.createContext({});
+    vm.runInContext(CLOCK_DATE, ctx)(() => store.now());
+    const realmHelpers = vm.runInContext(REALM_HELPERS, ctx);
+    const RealmError = vm.runInContext('Error', ctx);
+    const env = {
+      store,
+      ctx,
+      srcDir,
+      timeZone,
+      apis,
+      webAppUrl: runtime.webAppUrl,
+      slept: 0,
+      scriptId,
+      user: () => email,
+      realm: { ...realmHelpers, Date: vm.runInContext('Date', ctx) },
+      fail: (message) => { throw new RealmError(message); },
+      log: (level, args) => emit(level, args, { user: email, fn: label }),
+      makeUser: (who) => ({ getEmail: () => String(who || ''), getUsername: () => String(who || '').split('@')[0], toString: () => String(who || '') })
+    };
+    env.blobs = createBlobFactory(env.realm);
+    const emailOf = (who) => String(who && typeof who.getEmail === 'function' ? who.getEmail() : who || '').trim().toLowerCase();
+    env.share = (fileId, list, who) => {
+      const role = store.roleOf(fileId, email);
+      if (role !== 'owner' && role !== 'writer') env.fail('Access denied: DriveApp.');
+      const file = store.files.get(fileId);
+      const target = emailOf(who);
+      if (!/^[^@\s]+@[^@\s]+$/.test(target)) env.fail(`Invalid email: ${target}`);
+      if (target === file.owner || file.editors.includes(target)) return;
+      if (list === 'editors') file.viewers = file.viewers.filter((e) => e !== target);
+      if (!file[list].includes(target)) file[list].push(target);
+      store.touchFile(fileId);
+    };
+    env.unshare = (fileId, list, who) => {
+      const file = store.files.get(fileId);
+      file[list] = file[list].filter((e) => e !== emailOf(who));
+      store.touchFile(fileId);
+    };
+
+    const consoleShim = {};
+    for (const level of ['log', 'info', 'warn', 'error', 'debug']) consoleShim[level] = (...args) => env.log(level, args);
+    consoleShim.time = () => {};
+    consoleShim.timeEnd = () => {};
+
+    Object.assign(ctx, {
+      console: consoleShim,
+      URL,
+      Logger: services.createLogger(env),
+      SpreadsheetApp: createSpreadsheetApp(env),
+      DriveApp: createDriveApp(env),
+      FormApp: createFormApp(env),
+      HtmlService: createHtmlService(env),
+      ContentService: services.createContentService(),
+      UrlFetchApp: services.createUrlFetchApp(env),
+      Utilities: services.createUtilities(env),
+      Session: services.createSession(env),
+      PropertiesService: services.createPropertiesService(env),
+      CacheService: services.createCacheService(env, cacheEntries),
+      LockService: services.createLockService(),
+      ScriptApp: services.createScriptApp(env)
+    });
+    try {
+      for (const script of scripts()) script.runInContext(ctx);
+      return body(ctx, env);
+    } finally {
+      store.flush();
+    }
+  }
+
+  function resolveFunction(ctx, name) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(String(name))) return null;
+    const fn = vm.runInContext(`typeof ${name} === 'function' ? ${name} : null`, ctx);
+    return fn;
+  }
+
+  /**
+   * google.script.run と同じ条件でサーバ関数を呼ぶ (末尾 _ の関数は呼べない)。
+   * @returns {*} クライアントに届く形 (JSON 化済み) の戻り値
+   */
+  function run(fnName, args = [], opts = {}) {
+    return execute(opts.as, fnName, (ctx, env) => {
+      const fn = String(fnName).endsWith('_') ? null : resolveFunction(ctx, fnName);
+      if (!fn || SERVICE_NAMES.has(fnName)) env.fail(`Script function not found: ${fnName}`);
+      const result = serializeForClient(fn(...env.realm.from(JSON.parse(JSON.stringify(args)))));
+      if (result.dropped) env.log('warn', [`${fnName}: 戻り値に Date を含むため google.script.run では null になります`]);
+      return result.value;
+    });
+  }
+
+  /** @returns {{ title: string, content: string }} */
+  function doGet(parameter = {}, opts = {}) {
+    return execute(opts.as, 'doGet', (ctx, env) => {
+      const parameters = Object.fromEntries(Object.entries(parameter).map(([k, v]) => [k, [String(v)]]));
+      const out = resolveFunction(ctx, 'doGet')(env.realm.from({ parameter: { ...parameter }, parameters, queryString: new URLSearchParams(parameter).toString() }));
+      return { title: out.getTitle(), content: out.getContent() };
+    });
+  }
+
+  /** @returns {{ mimeType: string, content: string }} */
+  function doPost(contents, opts = {}) {
+    return execute(opts.as, 'doPost', (ctx, env) => {
+      const e = env.realm.from({
+        parameter: { ...(opts.parameter || {}) },
+        postData: { contents: String(contents), type: opts.contentType || 'application/json', length: String(contents).length }
+      });
+      const out = resolveFunction(ctx, 'doPost')(e);
+      return { mimeType: services.CONTENT_MIME[out.getMimeType()] || 'text/plain', content: out.getContent() };
+    });
+  }
+
+  /** 時間主導トリガーを 1 回発火させる。トリガーの作成者として実行する。 */
+  function runTrigger(handler) {
+    const trigger = store.triggers.find((t) => t.handler === handler);
+    if (!trigger) throw new Error(`No trigger installed for ${handler}`);
+    return execute(trigger.owner || scriptOwner, handler, (ctx, env) => {
+      const fn = resolveFunction(ctx, handler);
+      if (!fn) env.fail(`Script function not found: ${handler}`);
+      return fn(env.realm.from({ triggerUid: trigger.id, authMode: 'FULL' }));
+    });
+  }
+
+  /** フォームに回答を 1 件送信する (formId か、公開 URL / 編集 URL)。 */
+  function submitFormResponse(formIdOrUrl, submission) {
+    const text = String(formIdOrUrl || '');
+    const published = /\/forms\/d\/e\/([^/]+)/.exec(text);
+    const direct = /\/forms\/d\/([^/]+)/.exec(text);
+    const form = published
+      ? Array.from(store.forms.values()).find((f) => f.publishedId === published[1])
+      : store.forms.get(direct ? direct[1] : text);
+    if (!form) throw new Error(`Form not found: ${text}`);
+    const response = submitResponse(store, form.id, submission);
+    store.flush();
+    return response;
+  }
+
+  /** google.script.run から呼べる関数名 (クライアント shim が使う)。 */
+  function publicFunctions() {
+    return execute('', 'publicFunctions', (ctx) => Object.keys(ctx)
+      .filter((name) => !SERVICE_NAMES.has(name) && !name.endsWith('_') && typeof ctx[name] === 'function')
+      .sort());
+  }
+
+  return Object.assign(runtime, {
+    store,
+    scriptOwner,
+    timeZone,
+    execute: (user, body) => execute(user, 'execute', body),
+    advanceClock: (ms) => store.advanceClock(ms),
+    run,
+    doGet,
+    doPost,
+    runTrigger,
+    submitFormResponse,
+    publicFunctions
+  });
+}
+
+module.exports = { createGasRuntime, loadOrder, serializeForClient };
@@ -0,0 +1,104 @@
+/**
+ * seed.js — 空の store に「初期設定済み」の状態を作る。
+ *
+ * Why: 初期設定ページ (SetupPage) の操作をそのまま再現する。createDatabase →
+ *   setupApp を管理者として呼び、教師は processLoginAction でユーザー行を作る。
+ *   store に直接行を書くと、アプリ側の列構成や既定 config が変わったときに
+ *   シードだけが古いまま残るので、必ずアプリの公開関数を経由する。
+ *
+ *   SA の秘密鍵は本物の RSA 鍵を生成する。トークン交換で JWT の署名まで
+ *   Utilities.computeRsaSha256Signature を通すため。
+ */
+'use strict';
+const crypto = require('crypto');
+
+const DEFAULT_ACCOUNTS = {
+  admin: 'admin@example.com',
+  teachers: ['teacher@example.com'],
+  students: ['student1@example.com', 'student2@example.com', 'student3@example.com']
+};
+
+function createServiceAccountJson() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  return JSON.stringify({
+    type: 'service_account',
+    project_id: 'emulator',
+    private_key_id: crypto.randomBytes(20).toString('hex'),
+    private_key: privateKey,
+    client_email: 'emulator-sa@emulator.iam.gserviceaccount.com',
+    client_id: '100000000000000000000',
+    token_uri: 'https://oauth2.googleapis.com/token'
+  });
+}
+
+/**
+ * @param {Object} rt createGasRuntime の戻り値
+ * @param {Object} [accounts] { admin, teachers, students }
+ * @returns {{ databaseId: string, accounts: Object, users: Object<string, string> }}
+ *   users は教師メール → userId
+ */
+function seed(rt, accounts = DEFAULT_ACCOUNTS) {
+  const admin = accounts.admin;
+  const created = rt.run('createDatabase', [], { as: admin });
+  if (!created || !created.success) throw new Error(`createDatabase failed: ${created && created.message}`);
+  const setup = rt.run('setupApp', [createServiceAccountJson(), created.spreadsheetId, admin], { as: admin });
+  if (!setup || !setup.success) throw new Error(`setupApp failed: ${setup && setup.message}`);
+
+  const users = {};
+  for (const email of [admin, ...(accounts.teachers || [])]) {
+    const login = rt.run('processLoginAction', [], { as: email });
+    if (!login || !login.success) throw new Error(`processLoginAction failed for ${email}: ${login && login.message}`);
+    users[email] = login.data.userId;
+  }
+  return { databaseId: created.spreadsheetId, accounts, users };
+}
+
+/** 選択肢・尺度・記述のどれにでも、それらしい回答を 1 つ作る。 */
+function sampleAnswer(item, index) {
+  if (item.type === 'SCALE') return item.bounds.lower + (index % (item.bounds.upper - item.bounds.lower + 1));
+  if (Array.isArray(item.choices) && item.choices.length) return item.choices[index % item.choices.length];
+  return `${item.title}の回答 ${index + 1}`;
+}
+
+/**
+ * 教師の管理画面と同じ手順で、回答が入った公開済みボードを 1 つ作る。
+ *   テンプレートフォーム作成 → 設定保存 → データソース接続 (列推定) → 生徒が回答 → 公開
+ * @param {Object} rt
+ * @param {string} teacher
+ * @param {Object} [opts] { templateType, lessonName, students }
+ * @returns {{ formId: string, formUrl: string, spreadsheetId: string, sheetName: string }}
+ */
+function seedSampleBoard(rt, teacher, opts = {}) {
+  const as = { as: teacher };
+  const form = rt.run('createTemplateForm', [opts.templateType || 'board', { lessonName: opts.lessonName || 'サンプル授業' }], as);
+  if (!form || !form.success) throw new Error(`createTemplateForm failed: ${form && form.error}`);
+  const { spreadsheetId, sheetName, formUrl, formId } = form;
+
+  const saved = rt.run('saveConfig', [{ spreadsheetId, sheetName, formUrl }], as);
+  if (!saved || !saved.success) throw new Error(`saveConfig failed: ${saved && saved.message}`);
+  const target = { spreadsheetId, sheetName };
+  const connected = rt.run('connectDataSource', [spreadsheetId, sheetName, [
+    { type: 'validateAccess', ...target },
+    { type: 'getFormInfo', ...target },
+    { type: 'connectDataSource', ...target }
+  ]], as);
+  if (!connected || !connected.success) throw new Error(`connectDataSource failed: ${connected && (connected.error || connected.message)}`);
+
+  const items = rt.store.forms.get(formId).items.filter((item) => item.type !== 'SECTION_HEADER');
+  (opts.students || DEFAULT_ACCOUNTS.students).forEach((email, i) => {
+    const answers = Object.fromEntries(items.map((item) => [item.title, sampleAnswer(item, i)]));
+    rt.submitFormResponse(formId, { email, answers });
+  });
+
+  const published = rt.run('publishApp', [{
+    spreadsheetId, sheetName, formUrl, columnMapping: connected.mapping, etag: saved.etag
+  }], as);
+  if (!published || !published.success) throw new Error(`publishApp failed: ${published && published.message}`);
+  return { formId, formUrl, spreadsheetId, sheetName };
+}
+
+module.exports = { seed, seedSampleBoard, createServiceAccountJson, DEFAULT_ACCOUNTS };
@@ -0,0 +1,364 @@
+/**
+ * services.js — 状態の小さい GAS サービス群 (Properties / Cache / Lock / Session /
+ *   Utilities / ScriptApp / ContentService / Logger / UrlFetchApp)。
+ *
+ * Why: どれも単体では薄いが、本番の制約をそのまま持たせておくと「ローカルでは通るが
+ *   本番で落ちる」類を手前で拾える。値の上限 (Cache 100KB / Property 9KB)、
+ *   muteHttpExceptions 無しの 4xx で例外、Byte[] が符号付き、Session が本人以外を
+ *   返さない、といった点は本番の文言・形に合わせてある。
+ *
+ *   Utilities.sleep は待たない。429 の backoff が実時間で効くと対話操作が止まるため
+ *   (呼ばれた合計時間は env.slept に積み、模擬時計をそのぶん進める)。
+ */
+'use strict';
+const crypto = require('crypto');
+const { issueToken } = require('./google-apis');
+const { toBuffer, toSignedBytes } = require('./drive');
+
+const CACHE_MAX_TTL_SEC = 21600;
+const CACHE_MAX_VALUE_BYTES = 100 * 1024;
+const CACHE_MAX_KEY_LENGTH = 250;
+const PROPERTY_MAX_VALUE_BYTES = 9 * 1024;
+
+// ---------------------------------------------------------------- PropertiesService
+
+function createPropertiesService(env) {
+  const { store, fail } = env;
+  function bag(scope) {
+    const all = store.properties;
+    if (!all[scope]) all[scope] = {};
+    return all[scope];
+  }
+  function wrap(scope) {
+    const save = () => store.setProperties(store.properties);
+    const self = {
+      getProperty: (key) => (Object.prototype.hasOwnProperty.call(bag(scope), key) ? bag(scope)[key] : null),
+      setProperty: (key, value) => {
+        const v = String(value);
+        if (Buffer.byteLength(v) > PROPERTY_MAX_VALUE_BYTES) fail('Argument too large: value');
+        bag(scope)[String(key)] = v;
+        save();
+        return self;
+      },
+      getProperties: () => env.realm.from({ ...bag(scope) }),
+      setProperties: (props, deleteAllOthers) => {
+        if (deleteAllOthers) store.properties[scope] = {};
+        for (const [k, v] of Object.entries(props || {})) self.setProperty(k, v);
+        save();
+        return self;
+      },
+      getKeys: () => env.realm.array(Object.keys(bag(scope))),
+      deleteProperty: (key) => { delete bag(scope)[key]; save(); return self; },
+      deleteAllProperties: () => { store.properties[scope] = {}; save(); return self; }
+    };
+    return self;
+  }
+  return {
+    getScriptProperties: () => wrap('script'),
+    getUserProperties: () => wrap(`user:${env.user() || ''}`),
+    getDocumentProperties: () => null
+  };
+}
+
+// ---------------------------------------------------------------- CacheService
+
+/** cache の実体は runtime が持つ (実行をまたいで残る。永続化はしない — 本番も揮発)。 */
+function createCacheService(env, entries) {
+  const { fail } = env;
+  function wrap(prefix) {
+    const k = (key) => {
+      if (String(key).length > CACHE_MAX_KEY_LENGTH) fail('Argument too large: key');
+      return prefix + String(key);
+    };
+    const get = (key) => {
+      const hit = entries.get(k(key));
+      if (!hit) return null;
+      if (hit.expiresAt <= env.store.now()) { entries.delete(k(key)); return null; }
+      return hit.value;
+    };
+    const put = (key, value, ttlSec) => {
+      const v = String(value);
+      if (Buffer.byteLength(v) > CACHE_MAX_VALUE_BYTES) fail('Argument too large: value');
+      const ttl = Math.min(ttlSec === undefined ? 600 : Number(ttlSec), CACHE_MAX_TTL_SEC);
+      entries.set(k(key), { value: v, expiresAt: env.store.now() + Math.max(1, ttl) * 1000 });
+    };
+    return {
+      get,
+      put,
+      remove: (key) => { entries.delete(k(key)); },
+      getAll: (keys) => {
+        const out = {};
+        for (const key of keys) { const v = get(key); if (v !== null) out[key] = v; }
+        return env.realm.from(out);
+      },
+      putAll: (values, ttlSec) => { for (const [key, v] of Object.entries(values)) put(key, v, ttlSec); },
+      removeAll: (keys) => { for (const key of keys) entries.delete(k(key)); }
+    };
+  }
+  return {
+    getScriptCache: () => wrap('script:'),
+    getUserCache: () => wrap(`user:${env.user() || ''}:`),
+    getDocumentCache: () => null
+  };
+}
+
+// ---------------------------------------------------------------- LockService
+
+/**
+ * 実行は 1 本ずつ同期で流れるので、他の実行とロックを奪い合うことはない。
+ *   取りっぱなしのロックは実行終了で解放される (本番と同じ)。
+ */
+function createLockService() {
+  const make = () => {
+    let held = false;
+    return {
+      tryLock: () => { held = true; return true; },
+      waitLock: () => { held = true; },
+      releaseLock: () => { held = false; },
+      hasLock: () => held
+    };
+  };
+  return { getScriptLock: make, getUserLock: make, getDocumentLock: () => null };
+}
+
+// ---------------------------------------------------------------- Session
+
+function createSession(env) {
+  return {
+    getActiveUser: () => env.makeUser(env.user() || ''),
+    getEffectiveUser: () => env.makeUser(env.user() || ''),
+    getScriptTimeZone: () => env.timeZone,
+    getActiveUserLocale: () => 'ja',
+    getTemporaryActiveUserKey: () => crypto.createHash('sha256').update(`emu:${env.user() || ''}`).digest('base64url')
+  };
+}
+
+// ---------------------------------------------------------------- Utilities
+
+const DIGEST = { MD2: 'md2', MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' };
+
+/** java.text.SimpleDateFormat の、このアプリで使う範囲のパターン。 */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'short'
+  }).formatToParts(date).forEach((p) => { parts[p.type] = p.value; });
+  const pad = (n, width) => String(n).padStart(width, '0');
+  const hour = Number(parts.hour) % 24;
+  const offsetMin = Math.round((Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour,
+    Number(parts.minute), Number(parts.second)) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMin >= 0 ? '+' : '-';
+  const abs = Math.abs(offsetMin);
+  const fields = {
+    y: (n) => (n === 2 ? pad(Number(parts.year) % 100, 2) : pad(parts.year, n)),
+    M: (n) => pad(parts.month, n),
+    d: (n) => pad(parts.day, n),
+    H: (n) => pad(hour, n),
+    h: (n) => pad(hour % 12 || 12, n),
+    m: (n) => pad(parts.minute, n),
+    s: (n) => pad(parts.second, n),
+    S: (n) => pad(date.getTime() % 1000, n),
+    E: () => parts.weekday,
+    a: () => (hour < 12 ? 'AM' : 'PM'),
+    Z: () => `${sign}${pad(Math.floor(abs / 60), 2)}${pad(abs % 60, 2)}`,
+    X: (n) => (abs === 0 ? 'Z' : `${sign}${pad(Math.floor(abs / 60), 2)}${n >= 3 ? ':' : ''}${pad(abs % 60, 2)}`)
+  };
+  return String(pattern).replace(/'([^']*)'|([A-Za-z])\2*/g, (token, literal) => {
+    if (literal !== undefined) return literal || "'";
+    const fn = fields[token[0]];
+    return fn ? fn(token.length) : token;
+  });
+}
+
+function createUtilities(env) {
+  const { realm, fail } = env;
+  const bytesOf = (value) => (typeof value === 'string' ? Buffer.from(value, 'utf8') : toBuffer(value));
+  const signed = (buf) => realm.array(toSignedBytes(buf));
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(DIGEST).map((k) => [k, k])),
+    MacAlgorithm: { HMAC_MD5: 'md5', HMAC_SHA_1: 'sha1', HMAC_SHA_256: 'sha256', HMAC_SHA_384: 'sha384', HMAC_SHA_512: 'sha512' },
+    Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+    getUuid: () => crypto.randomUUID(),
+    computeDigest: (algorithm, value) => {
+      const alg = DIGEST[String(algorithm)];
+      if (!alg) fail('Invalid argument: algorithm');
+      return signed(crypto.createHash(alg).update(bytesOf(value)).digest());
+    },
+    computeHmacSha256Signature: (value, key) => signed(crypto.createHmac('sha256', bytesOf(key)).update(bytesOf(value)).digest()),
+    computeHmacSignature: (algorithm, value, key) => signed(crypto.createHmac(String(algorithm).replace('HMAC_', '').replace('_', '').toLowerCase(), bytesOf(key)).update(bytesOf(value)).digest()),
+    computeRsaSha256Signature: (value, key) => {
+      try {
+        return signed(crypto.sign('RSA-SHA256', bytesOf(value), String(key)));
+      } catch (_) {
+        return fail('Invalid argument: key');
+      }
+    },
+    base64Encode: (data) => bytesOf(data).toString('base64'),
+    base64EncodeWebSafe: (data) => bytesOf(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: (s) => signed(Buffer.from(String(s), 'base64')),
+    base64DecodeWebSafe: (s) => signed(Buffer.from(String(s).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+    newBlob: (data, contentType, name) => env.blobs.newBlob(data, contentType, name),
+    formatDate: (date, timeZone, pattern) => formatDate(date, timeZone, pattern),
+    formatString: (template, ...args) => {
+      let i = 0;
+      return String(template).replace(/%[sdif]/g, () => String(args[i++]));
+    },
+    sleep: (ms) => { env.slept += Number(ms) || 0; env.store.advanceClock(ms); },
+    jsonParse: (s) => realm.from(JSON.parse(s)),
+    jsonStringify: (v) => JSON.stringify(v)
+  };
+}
+
+// ---------------------------------------------------------------- ScriptApp
+
+function createScriptApp(env) {
+  const { store, realm, fail } = env;
+  const wrapTrigger = (t) => ({
+    getUniqueId: () => t.id,
+    getHandlerFunction: () => t.handler,
+    getEventType: () => t.eventType,
+    getTriggerSource: () => 'CLOCK',
+    getTriggerSourceId: () => null
+  });
+  function newTrigger(handler) {
+    const spec = {};
+    const builder = {
+      everyMinutes: (n) => { spec.everyMinutes = n; return builder; },
+      everyHours: (n) => { spec.everyHours = n; return builder; },
+      everyDays: (n) => { spec.everyDays = n; return builder; },
+      everyWeeks: (n) => { spec.everyWeeks = n; return builder; },
+      onWeekDay: (d) => { spec.onWeekDay = String(d); return builder; },
+      atHour: (h) => { spec.atHour = h; return builder; },
+      nearMinute: (m) => { spec.nearMinute = m; return builder; },
+      inTimezone: (tz) => { spec.timeZone = tz; return builder; },
+      at: (date) => { spec.at = new Date(date.getTime()).toISOString(); return builder; },
+      after: (ms) => { spec.at = new Date(store.now() + ms).toISOString(); return builder; },
+      create: () => {
+        const trigger = { id: String(crypto.randomInt(1e9, 9e9)), handler: String(handler), eventType: 'CLOCK', owner: env.user(), spec };
+        store.setTriggers([...store.triggers, trigger]);
+        return wrapTrigger(trigger);
+      }
+    };
+    return { timeBased: () => builder };
+  }
+  const identity = () => {
+    const email = env.user() || '';
+    const now = Math.floor(store.now() / 1000);
+    const sub = BigInt(`0x${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`).toString().padStart(21, '1').slice(0, 21);
+    const enc = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+    return `${enc({ alg: 'RS256', typ: 'JWT' })}.${enc({ iss: 'https://accounts.google.com', aud: 'emulator', sub, email, email_verified: true, iat: now, exp: now + 3600 })}.emulator`;
+  };
+  return {
+    AuthMode: { NONE: 'NONE', LIMITED: 'LIMITED', FULL: 'FULL' },
+    EventType: { CLOCK: 'CLOCK', ON_OPEN: 'ON_OPEN', ON_EDIT: 'ON_EDIT', ON_FORM_SUBMIT: 'ON_FORM_SUBMIT' },
+    WeekDay: Object.fromEntries(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'].map((d) => [d, d])),
+    getScriptId: () => env.scriptId(),
+    getService: () => ({ getUrl: () => env.webAppUrl, isEnabled: () => true }),
+    getOAuthToken: () => issueToken({ email: String(env.user() || '').toLowerCase(), kind: 'user' }),
+    getIdentityToken: identity,
+    getProjectTriggers: () => realm.array(store.triggers.map(wrapTrigger)),
+    getUserTriggers: () => realm.array(store.triggers.filter((t) => t.owner === env.user()).map(wrapTrigger)),
+    newTrigger,
+    deleteTrigger: (trigger) => {
+      const id = trigger && trigger.getUniqueId ? trigger.getUniqueId() : null;
+      if (!store.triggers.some((t) => t.id === id)) fail('Invalid argument: trigger');
+      store.setTriggers(store.triggers.filter((t) => t.id !== id));
+    }
+  };
+}
+
+// ---------------------------------------------------------------- ContentService / Logger
+
+const CONTENT_MIME = {
+  ATOM: 'application/atom+xml', CSV: 'text/csv', ICAL: 'text/calendar', JAVASCRIPT: 'application/javascript',
+  JSON: 'application/json', RSS: 'application/rss+xml', TEXT: 'text/plain', VCARD: 'text/vcard', XML: 'application/xml'
+};
+
+function createContentService() {
+  const createTextOutput = (initial) => {
+    let content = initial === undefined ? '' : String(initial);
+    let mimeType = 'TEXT';
+    const self = {
+      getContent: () => content,
+      setContent: (c) => { content = String(c); return self; },
+      append: (c) => { content += String(c); return self; },
+      clear: () => { content = ''; return self; },
+      getMimeType: () => mimeType,
+      setMimeType: (m) => { mimeType = String(m); return self; },
+      downloadAsFile: () => self,
+      getFileName: () => null
+    };
+    return self;
+  };
+  return { MimeType: Object.fromEntries(Object.keys(CONTENT_MIME).map((k) => [k, k])), createTextOutput };
+}
+
+function createLogger(env) {
+  const lines = [];
+  const self = {
+    log: (format, ...args) => {
+      const text = args.length ? String(format).replace(/%s/g, () => String(args.shift())) : String(format);
+      lines.push(text);
+      env.log('info', [text]);
+      return self;
+    },
+    getLog: () => lines.join('\n'),
+    clear: () => { lines.length = 0; }
+  };
+  return self;
+}
+
+// ---------------------------------------------------------------- UrlFetchApp
+
+function createUrlFetchApp(env) {
+  const { fail } = env;
+  function response(res) {
+    const text = () => res.body.toString('utf8');
+    const contentType = Object.entries(res.headers || {}).find(([k]) => k.toLowerCase() === 'content-type');
+    return {
+      getResponseCode: () => res.code,
+      getContentText: () => text(),
+      getContent: () => env.realm.array(toSignedBytes(res.body)),
+      getBlob: () => env.blobs.newBlob(res.body, contentType ? String(contentType[1]).split(';')[0] : null),
+      getAs: (type) => env.blobs.newBlob(res.body, type),
+      getHeaders: () => env.realm.from({ ...(res.headers || {}) }),
+      getAllHeaders: () => env.realm.from({ ...(res.headers || {}) })
+    };
+  }
+  function fetch(url, params = {}) {
+    const method = String(params.method || 'get').toUpperCase();
+    let payload = params.payload;
+    if (payload && typeof payload === 'object' && typeof payload.getBytes !== 'function') {
+      payload = new URLSearchParams(Object.entries(payload).map(([k, v]) => [k, String(v)])).toString();
+    } else if (payload && typeof payload.getBytes === 'function') {
+      payload = toBuffer(payload.getBytes()).toString('utf8');
+    }
+    const res = env.apis.handle({ url: String(url), method, headers: { ...(params.headers || {}) }, payload: payload === undefined ? '' : String(payload) });
+    if (!res) return fail(`Address unavailable: ${url}`);
+    if (res.code >= 400 && !params.muteHttpExceptions) {
+      const preview = res.body.toString('utf8').slice(0, 200);
+      fail(`Request failed for ${new URL(String(url)).origin} returned code ${res.code}. Truncated server response: ${preview} (use muteHttpExceptions option to examine full response)`);
+    }
+    return response(res);
+  }
+  return {
+    fetch,
+    fetchAll: (requests) => env.realm.array(requests.map((r) => (typeof r === 'string' ? fetch(r) : fetch(r.url, r)))),
+    getRequest: (url, params = {}) => ({ url, method: params.method || 'get', headers: params.headers || {}, payload: params.payload })
+  };
+}
+
+module.exports = {
+  createPropertiesService,
+  createCacheService,
+  createLockService,
+  createSession,
+  createUtilities,
+  createScriptApp,
+  createContentService,
+  createLogger,
+  createUrlFetchApp,
+  formatDate,
+  CONTENT_MIME
+};
@@ -0,0 +1,478 @@
+/**
+ * spreadsheet.js — SpreadsheetApp と、シートのセル格子そのもの。
+ *
+ * Why: 本番のシートには「データ」と「格子 (grid)」の 2 つの大きさがある。getLastRow は
+ *   データの最終行、Sheets REST の gridProperties.rowCount は格子の行数 (新規シートなら
+ *   1000) で、SA proxy の getLastRow は後者を返す。両者を 1 つの数で済ませると、
+ *   proxy 経由の読み込みが「空行 1000 行」を相手にする本番の挙動が再現できない。
+ *   なので格子 (rowCount / columnCount) を実データと別に持ち、範囲外アクセスは本番と
+ *   同じ文言で落とす。
+ *
+ *   書き込みの型変換も本番に合わせる。SpreadsheetApp の setValue(s) は手入力と同じ
+ *   解釈 ("12" → 12、"true" → TRUE、先頭 ' は文字列固定) をし、Sheets REST の RAW
+ *   書き込みは値をそのまま置く。読み戻した型が経路で変わるのは本番どおり。
+ */
+'use strict';
+const { MIME } = require('./store');
+
+const DEFAULT_ROWS = 1000;
+const DEFAULT_COLUMNS = 26;
+const OUT_OF_BOUNDS = 'The coordinates of the range are outside the dimensions of the sheet.';
+
+const isDate = (v) => Object.prototype.toString.call(v) === '[object Date]';
+const isEmptyCell = (v) => v === '' || v === null || v === undefined;
+
+function columnLetter(n) {
+  let s = '';
+  for (let x = n; x > 0; x = Math.floor((x - 1) / 26)) s = String.fromCharCode(65 + ((x - 1) % 26)) + s;
+  return s;
+}
+
+function columnNumber(letters) {
+  return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+/**
+ * 'Sheet!A1:C3' / "'My Sheet'!R1C1:R2C3" / 'A:A' / '2:5' / 'Sheet' を解析する。
+ *   端が開いている範囲 (A:A など) は r2 / c2 を null で返す。
+ * @returns {{sheetName:string|null, r1:number, c1:number, r2:number|null, c2:number|null}|null}
+ */
+function parseRange(text) {
+  let rest = String(text || '');
+  let sheetName = null;
+  const bang = rest.lastIndexOf('!');
+  if (bang >= 0) {
+    sheetName = rest.slice(0, bang);
+    rest = rest.slice(bang + 1);
+  }
+  const unquote = (s) => (/^'.*'$/.test(s) ? s.slice(1, -1).replace(/''/g, "'") : s);
+  if (sheetName !== null) sheetName = unquote(sheetName);
+
+  // 列記号は最大 3 文字 (XFD)。'users' のような語はシート名として扱う。
+  const a1Cell = /^([A-Za-z]{0,3})(\d*)$/;
+  const r1c1Cell = /^R(\d+)C(\d+)$/i;
+  const parts = rest.split(':');
+  if (parts.length > 2) return null;
+  const cells = parts.map((p) => {
+    const r1c1 = r1c1Cell.exec(p);
+    if (r1c1) return { row: Number(r1c1[1]), col: Number(r1c1[2]) };
+    const a1 = a1Cell.exec(p);
+    if (!a1 || (!a1[1] && !a1[2])) return null;
+    return { row: a1[2] ? Number(a1[2]) : null, col: a1[1] ? columnNumber(a1[1]) : null };
+  });
+  if (cells.some((c) => !c)) {
+    // 範囲部分が解釈できなければシート名だけの指定 ('users' など) とみなす。
+    if (sheetName === null && parts.length === 1) return { sheetName: unquote(rest), r1: 1, c1: 1, r2: null, c2: null };
+    return null;
+  }
+  const [start, end = start] = cells;
+  return {
+    sheetName,
+    r1: start.row || 1,
+    c1: start.col || 1,
+    r2: end.row || (start.row && parts.length === 1 ? start.row : null),
+    c2: end.col || (start.col && parts.length === 1 ? start.col : null)
+  };
+}
+
+// ---------------------------------------------------------------- grid
+
+function newSheetDoc(sheetId, title, rows = DEFAULT_ROWS, columns = DEFAULT_COLUMNS) {
+  return { sheetId, title, rowCount: rows, columnCount: columns, values: [] };
+}
+
+function lastRowOf(sheet) {
+  for (let r = sheet.values.length; r > 0; r--) {
+    if ((sheet.values[r - 1] || []).some((v) => !isEmptyCell(v))) return r;
+  }
+  return 0;
+}
+
+function lastColumnOf(sheet) {
+  let last = 0;
+  for (const row of sheet.values) {
+    for (let c = (row || []).length; c > last; c--) {
+      if (!isEmptyCell(row[c - 1])) { last = c; break; }
+    }
+  }
+  return last;
+}
+
+function readCell(sheet, row, col) {
+  const r = sheet.values[row - 1];
+  const v = r ? r[col - 1] : undefined;
+  return isEmptyCell(v) ? '' : v;
+}
+
+function writeCell(sheet, row, col, value) {
+  while (sheet.values.length < row) sheet.values.push([]);
+  const r = sheet.values[row - 1];
+  while (r.length < col) r.push('');
+  r[col - 1] = isDate(value) ? new Date(value.getTime()) : value;
+}
+
+/** 格子を必要な大きさまで広げる (append 系だけが使う。本番でも append は格子を伸ばす)。 */
+function growGrid(sheet, rows, columns) {
+  if (rows > sheet.rowCount) sheet.rowCount = rows;
+  if (columns > sheet.columnCount) sheet.columnCount = columns;
+}
+
+function appendValues(sheet, rows) {
+  const start = lastRowOf(sheet) + 1;
+  const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+  growGrid(sheet, start + rows.length - 1, width);
+  rows.forEach((row, i) => row.forEach((v, j) => writeCell(sheet, start + i, j + 1, v)));
+  return { start, width };
+}
+
+/** 手入力と同じ解釈で値を正規化する (SpreadsheetApp の setValue(s) / appendRow 用)。 */
+function coerceUserEntered(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number') return Number.isFinite(v) ? v : '#NUM!';
+  if (typeof v === 'boolean' || isDate(v)) return v;
+  const s = String(v);
+  if (s.startsWith("'")) return s.slice(1);
+  const t = s.trim();
+  if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(t)) return Number(t);
+  if (/^(true|false)$/i.test(t)) return t.toLowerCase() === 'true';
+  return s;
+}
+
+/** Sheets REST の RAW 書き込み。JSON の型をそのまま置く。 */
+function coerceRaw(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number' || typeof v === 'boolean' || typeof v === 'string') return v;
+  return String(v);
+}
+
+function formatDateTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: 'numeric', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach((p) => { parts[p.type] = p.value; });
+  return `${parts.year}/${parts.month}/${parts.day} ${Number(parts.hour)}:${parts.minute}:${parts.second}`;
+}
+
+/** Sheets REST の既定 (FORMATTED_VALUE) と同じく、全セルを表示文字列にする。 */
+function formatCell(v, timeZone) {
+  if (isEmptyCell(v)) return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  if (isDate(v)) return formatDateTime(v, timeZone);
+  return String(v);
+}
+
+// ---------------------------------------------------------------- SpreadsheetApp
+
+/**
+ * @param {Object} env 1 実行ぶんの環境 ({ store, realm, user, timeZone, fail })
+ */
+function createSpreadsheetApp(env) {
+  const { store, realm, fail } = env;
+
+  function openDoc(id) {
+    const doc = store.spreadsheets.get(String(id || ''));
+    const file = doc && store.files.get(doc.id);
+    if (!doc || !file) fail('Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+    const role = store.roleOf(doc.id, env.user());
+    if (!role) fail('You do not have permission to access the requested document.');
+    return wrapSpreadsheet(doc, role === 'owner' || role === 'writer');
+  }
+
+  function requireEdit(canEdit) {
+    if (!canEdit) fail('You do not have permission to edit this spreadsheet.');
+  }
+
+  function wrapSpreadsheet(doc, canEdit) {
+    const file = () => store.files.get(doc.id);
+    const ss = {
+      getId: () => doc.id,
+      getName: () => file().name,
+      rename: (name) => { requireEdit(canEdit); file().name = String(name); store.touchFile(doc.id); },
+      getUrl: () => `https://docs.google.com/spreadsheets/d/${doc.id}/edit`,
+      getSpreadsheetTimeZone: () => doc.timeZone,
+      getSpreadsheetLocale: () => doc.locale,
+      getSheets: () => realm.array(doc.sheets.map((s) => wrapSheet(doc, s, canEdit, ss))),
+      getActiveSheet: () => wrapSheet(doc, doc.sheets[0], canEdit, ss),
+      getSheetByName: (name) => {
+        const sheet = doc.sheets.find((s) => s.title === String(name));
+        return sheet ? wrapSheet(doc, sheet, canEdit, ss) : null;
+      },
+      getSheetById: (sheetId) => {
+        const sheet = doc.sheets.find((s) => s.sheetId === Number(sheetId));
+        return sheet ? wrapSheet(doc, sheet, canEdit, ss) : null;
+      },
+      insertSheet: (name) => {
+        requireEdit(canEdit);
+        const title = name === undefined ? `シート${doc.sheets.length + 1}` : String(name);
+        if (doc.sheets.some((s) => s.title === title)) {
+          fail(`A sheet with the name "${title}" already exists. Please enter another name.`);
+        }
+        const sheet = newSheetDoc(nextSheetId(doc), title);
+        doc.sheets.push(sheet);
+        store.touchSpreadsheet(doc.id);
+        return wrapSheet(doc, sheet, canEdit, ss);
+      },
+      deleteSheet: (sheet) => {
+        requireEdit(canEdit);
+        if (doc.sheets.length <= 1) fail("You can't remove all the sheets in a document.");
+        doc.sheets = doc.sheets.filter((s) => s.sheetId !== sheet.getSheetId());
+        store.touchSpreadsheet(doc.id);
+      },
+      getFormUrl: () => {
+        const form = Array.from(store.forms.values()).find((f) => f.destination && f.destination.spreadsheetId === doc.id);
+        return form ? formViewUrl(form) : null;
+      },
+      getOwner: () => env.makeUser(file().owner),
+      getEditors: () => realm.array([file().owner, ...file().editors].map(env.makeUser)),
+      getViewers: () => realm.array(file().viewers.map(env.makeUser)),
+      addEditor: (who) => { env.share(doc.id, 'editors', who); return ss; },
+      addEditors: (list) => { list.forEach((who) => env.share(doc.id, 'editors', who)); return ss; },
+      removeEditor: (who) => { env.unshare(doc.id, 'editors', who); return ss; },
+      addViewer: (who) => { env.share(doc.id, 'viewers', who); return ss; },
+      addViewers: (list) => { list.forEach((who) => env.share(doc.id, 'viewers', who)); return ss; },
+      removeViewer: (who) => { env.unshare(doc.id, 'viewers', who); return ss; },
+      getRange: (a1) => {
+        const parsed = parseRange(a1);
+        const sheet = parsed && (parsed.sheetName === null ? doc.sheets[0] : doc.sheets.find((s) => s.title === parsed.sheetName));
+        if (!sheet) fail(`Range not found: ${a1}`);
+        return wrapSheet(doc, sheet, canEdit, ss).getRange(a1.slice(a1.lastIndexOf('!') + 1));
+      },
+      toast: () => {}
+    };
+    return ss;
+  }
+
+  function wrapSheet(doc, sheet, canEdit, ss) {
+    const touch = () => store.touchSpreadsheet(doc.id);
+    const api = {
+      getName: () => sheet.title,
+      setName: (name) => {
+        requireEdit(canEdit);
+        if (doc.sheets.some((s) => s !== sheet && s.title === String(name))) {
+          fail(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        sheet.title = String(name);
+        touch();
+        return api;
+      },
+      getSheetId: () => sheet.sheetId,
+      getIndex: () => doc.sheets.indexOf(sheet) + 1,
+      getParent: () => ss,
+      getLastRow: () => lastRowOf(sheet),
+      getLastColumn: () => lastColumnOf(sheet),
+      getMaxRows: () => sheet.rowCount,
+      getMaxColumns: () => sheet.columnCount,
+      getRange: (row, col, numRows, numCols) => {
+        if (typeof row === 'string') {
+          const parsed = parseRange(row);
+          if (!parsed) fail(`Range not found: ${row}`);
+          const r2 = parsed.r2 || sheet.rowCount;
+          const c2 = parsed.c2 || sheet.columnCount;
+          return makeRange(doc, sheet, canEdit, api, parsed.r1, parsed.c1, r2 - parsed.r1 + 1, c2 - parsed.c1 + 1);
+        }
+        return makeRange(doc, sheet, canEdit, api, row, col, numRows === undefined ? 1 : numRows, numCols === undefined ? 1 : numCols);
+      },
+      getDataRange: () => makeRange(doc, sheet, canEdit, api, 1, 1, Math.max(1, lastRowOf(sheet)), Math.max(1, lastColumnOf(sheet))),
+      appendRow: (rowContents) => {
+        requireEdit(canEdit);
+        appendValues(sheet, [Array.from(rowContents || [], coerceUserEntered)]);
+        touch();
+        return api;
+      },
+      deleteRow: (row) => api.deleteRows(row, 1),
+      deleteRows: (row, howMany) => {
+        requireEdit(canEdit);
+        if (row < 1 || row + howMany - 1 > sheet.rowCount) fail('Those rows are out of bounds.');
+        sheet.values.splice(row - 1, howMany);
+        sheet.rowCount -= howMany;
+        touch();
+        return api;
+      },
+      insertRowsAfter: (afterRow, howMany) => {
+        requireEdit(canEdit);
+        while (sheet.values.length < afterRow) sheet.values.push([]);
+        sheet.values.splice(afterRow, 0, ...Array.from({ length: howMany }, () => []));
+        sheet.rowCount += howMany;
+        touch();
+        return api;
+      },
+      clear: () => { requireEdit(canEdit); sheet.values = []; touch(); return api; },
+      clearContents: () => { requireEdit(canEdit); sheet.values = []; touch(); return api; },
+      setFrozenRows: () => api,
+      createTextFinder: (text) => createTextFinder(doc, sheet, canEdit, api, String(text), null),
+      getFormUrl: () => {
+        const form = Array.from(store.forms.values()).find((f) => f.destination &&
+          f.destination.spreadsheetId === doc.id && f.destination.sheetId === sheet.sheetId);
+        return form ? formViewUrl(form) : null;
+      }
+    };
+    return api;
+  }
+
+  function makeRange(doc, sheet, canEdit, sheetApi, row, col, numRows, numCols) {
+    if (!(numRows >= 1)) fail('The number of rows in the range must be at least 1.');
+    if (!(numCols >= 1)) fail('The number of columns in the range must be at least 1.');
+    if (row < 1 || col < 1 || row + numRows - 1 > sheet.rowCount || col + numCols - 1 > sheet.columnCount) {
+      fail(OUT_OF_BOUNDS);
+    }
+    const each = (fn) => {
+      for (let r = 0; r < numRows; r++) for (let c = 0; c < numCols; c++) fn(row + r, col + c, r, c);
+    };
+    const write = (values, coerce) => {
+      requireEdit(canEdit);
+      if (!Array.isArray(values) || values.length !== numRows) {
+        fail(`The number of rows in the data does not match the number of rows in the range. The data has ${Array.isArray(values) ? values.length : 0} but the range has ${numRows}.`);
+      }
+      values.forEach((line) => {
+        if (!Array.isArray(line) || line.length !== numCols) {
+          fail(`The number of columns in the data does not match the number of columns in the range. The data has ${Array.isArray(line) ? line.length : 0} but the range has ${numCols}.`);
+        }
+      });
+      each((r, c, i, j) => writeCell(sheet, r, c, coerce(values[i][j])));
+      store.touchSpreadsheet(doc.id);
+    };
+    const range = {
+      getRow: () => row,
+      getColumn: () => col,
+      getLastRow: () => row + numRows - 1,
+      getLastColumn: () => col + numCols - 1,
+      getNumRows: () => numRows,
+      getNumColumns: () => numCols,
+      getSheet: () => sheetApi,
+      getA1Notation: () => {
+        const start = `${columnLetter(col)}${row}`;
+        return numRows === 1 && numCols === 1 ? start : `${start}:${columnLetter(col + numCols - 1)}${row + numRows - 1}`;
+      },
+      getCell: (r, c) => makeRange(doc, sheet, canEdit, sheetApi, row + r - 1, col + c - 1, 1, 1),
+      offset: (dr, dc, nr, nc) => makeRange(doc, sheet, canEdit, sheetApi, row + dr, col + dc, nr || numRows, nc || numCols),
+      getValues: () => {
+        const out = Array.from({ length: numRows }, () => new Array(numCols).fill(''));
+        each((r, c, i, j) => { out[i][j] = readCell(sheet, r, c); });
+        return realm.from(out);
+      },
+      getDisplayValues: () => {
+        const out = Array.from({ length: numRows }, () => new Array(numCols).fill(''));
+        each((r, c, i, j) => { out[i][j] = formatCell(readCell(sheet, r, c), doc.timeZone); });
+        return realm.from(out);
+      },
+      getValue: () => realm.from(readCell(sheet, row, col)),
+      getDisplayValue: () => formatCell(readCell(sheet, row, col), doc.timeZone),
+      setValues: (values) => { write(values, coerceUserEntered); return range; },
+      setValue: (value) => {
+        write(Array.from({ length: numRows }, () => new Array(numCols).fill(value)), coerceUserEntered);
+        return range;
+      },
+      clearContent: () => {
+        requireEdit(canEdit);
+        each((r, c) => { if (sheet.values[r - 1]) writeCell(sheet, r, c, ''); });
+        store.touchSpreadsheet(doc.id);
+        return range;
+      },
+      clear: () => range.clearContent(),
+      setNumberFormat: () => range,
+      setFontWeight: () => range,
+      setBackground: () => range,
+      createTextFinder: (text) => createTextFinder(doc, sheet, canEdit, sheetApi, String(text), { row, col, numRows, numCols })
+    };
+    return range;
+  }
+
+  function createTextFinder(doc, sheet, canEdit, sheetApi, text, scope) {
+    const opts = { matchCase: false, entireCell: false, regex: false, startAfter: null };
+    const matches = (v) => {
+      const cell = formatCell(v, doc.timeZone);
+      if (!cell) return false;
+      if (opts.regex) return new RegExp(text, opts.matchCase ? '' : 'i').test(cell);
+      const a = opts.matchCase ? cell : cell.toLowerCase();
+      const b = opts.matchCase ? text : text.toLowerCase();
+      return opts.entireCell ? a === b : a.includes(b);
+    };
+    const hits = () => {
+      const bounds = scope || { row: 1, col: 1, numRows: lastRowOf(sheet), numCols: lastColumnOf(sheet) };
+      const found = [];
+      for (let r = bounds.row; r < bounds.row + bounds.numRows; r++) {
+        for (let c = bounds.col; c < bounds.col + bounds.numCols; c++) {
+          if (matches(readCell(sheet, r, c))) found.push({ r, c });
+        }
+      }
+      return found;
+    };
+    const finder = {
+      matchCase: (b) => { opts.matchCase = Boolean(b); return finder; },
+      matchEntireCell: (b) => { opts.entireCell = Boolean(b); return finder; },
+      useRegularExpression: (b) => { opts.regex = Boolean(b); return finder; },
+      matchFormulaText: () => finder,
+      ignoreDiacritics: () => finder,
+      startFrom: (range) => { opts.startAfter = { r: range.getRow(), c: range.getColumn() }; return finder; },
+      findAll: () => realm.array(hits().map(({ r, c }) => makeRange(doc, sheet, canEdit, sheetApi, r, c, 1, 1))),
+      findNext: () => {
+        const all = hits();
+        const after = opts.startAfter;
+        const next = after ? all.find(({ r, c }) => r > after.r || (r === after.r && c > after.c)) : all[0];
+        if (!next) return null;
+        opts.startAfter = next;
+        return makeRange(doc, sheet, canEdit, sheetApi, next.r, next.c, 1, 1);
+      }
+    };
+    return finder;
+  }
+
+  function create(name, rows, columns) {
+    const owner = env.user();
+    if (!owner) fail('Authorization is required to perform that action.');
+    const file = store.createFile({ name, mimeType: MIME.SPREADSHEET, owner, parents: [store.rootFolderOf(owner).id] });
+    const doc = {
+      id: file.id,
+      locale: 'ja_JP',
+      timeZone: env.timeZone,
+      sheets: [newSheetDoc(0, 'シート1', rows || DEFAULT_ROWS, columns || DEFAULT_COLUMNS)]
+    };
+    store.addSpreadsheet(doc);
+    return wrapSpreadsheet(doc, true);
+  }
+
+  return {
+    openById: openDoc,
+    openByUrl: (url) => {
+      const m = /\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/.exec(String(url || ''));
+      if (!m) fail('Invalid argument: url');
+      return openDoc(m[1]);
+    },
+    create,
+    flush: () => {},
+    getActiveSpreadsheet: () => null,
+    getActiveSheet: () => null
+  };
+}
+
+function nextSheetId(doc) {
+  return doc.sheets.reduce((max, s) => Math.max(max, s.sheetId), 0) + 1 + Math.floor(Math.random() * 1e6);
+}
+
+/** フォームの回答用 URL。本番と同じ docs.google.com の形にしておく (URL 形式検査を通すため)。 */
+function formViewUrl(form) {
+  return `https://docs.google.com/forms/d/e/${form.publishedId}/viewform`;
+}
+
+module.exports = {
+  createSpreadsheetApp,
+  parseRange,
+  columnLetter,
+  newSheetDoc,
+  nextSheetId,
+  lastRowOf,
+  lastColumnOf,
+  readCell,
+  writeCell,
+  growGrid,
+  appendValues,
+  coerceRaw,
+  coerceUserEntered,
+  formatCell,
+  formatDateTime,
+  formViewUrl,
+  isDate,
+  DEFAULT_ROWS,
+  DEFAULT_COLUMNS
+};
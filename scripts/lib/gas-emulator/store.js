@@ -0,0 +1,267 @@
+/**
+ * store.js — エミュレータの「Google 側の状態」を 1 箇所に持つ。
+ *
+ * Why: GAS のサービスは互いに同じ実体を見ている。FormApp.setDestination で増えた
+ *   シートは SpreadsheetApp からも Sheets REST からも見え、DriveApp.addEditor した
+ *   相手はその瞬間から openById できる。サービスごとに状態を持つと、この「同じものを
+ *   別の窓から見る」関係が崩れて、本番でだけ起きる権限エラーを再現できない。
+ *   なので状態はここだけに置き、各サービスは薄い窓として実装する。
+ *
+ * 永続化 (dataDir 指定時):
+ *   drive.json               Drive メタデータ (owner / editors / viewers / parents / sharing)
+ *   properties.json          Script Properties
+ *   triggers.json            ScriptApp のトリガー
+ *   spreadsheets/<id>.json   シートの中身。日付セルは { "$date": ISO } で表す
+ *   forms/<id>.json          フォームの設問と回答
+ *   blobs/<id>               Drive にアップロードされたファイルの中身
+ *
+ *   実行 1 回ごとに変更のあった文書だけを書き戻すので、サーバ起動中にシートの JSON を
+ *   手で書き換えても (その文書を誰も触らない限り) 上書きされない。
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIME = {
+  SPREADSHEET: 'application/vnd.google-apps.spreadsheet',
+  FORM: 'application/vnd.google-apps.form',
+  FOLDER: 'application/vnd.google-apps.folder',
+  SCRIPT: 'application/vnd.google-apps.script'
+};
+
+/** Drive の ID と同じ字種・長さ (44 文字)。setupApp の DB ID 形式チェックを通す。 */
+function newDriveId() {
+  return '1' + crypto.randomBytes(33).toString('base64url').slice(0, 43);
+}
+
+function domainOf(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at >= 0 ? String(email).slice(at + 1).toLowerCase() : '';
+}
+
+function encodeCells(values) {
+  return values.map((row) => row.map((v) => (v instanceof Date ? { $date: v.toISOString() } : v)));
+}
+
+function decodeCells(values) {
+  return (values || []).map((row) => (row || []).map((v) => (
+    v && typeof v === 'object' && typeof v.$date === 'string' ? new Date(v.$date) : v
+  )));
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * @param {{ dataDir?: string|null }} [opts] dataDir 省略時はメモリのみ (テスト用)
+ */
+function createStore(opts = {}) {
+  const dataDir = opts.dataDir ? path.resolve(opts.dataDir) : null;
+  const files = new Map();
+  const spreadsheets = new Map();
+  const forms = new Map();
+  const blobs = new Map();
+  let properties = {};
+  let triggers = [];
+  // 模擬時計のずれ (ms)。キャッシュ TTL や「5 分後」の判定をテストから進めるため。保存はしない。
+  let clockOffset = 0;
+  const now = () => Date.now() + clockOffset;
+  const dirty = { drive: false, properties: false, triggers: false, spreadsheets: new Set(), forms: new Set(), blobs: new Set() };
+
+  function load() {
+    if (!dataDir || !fs.existsSync(dataDir)) return;
+    for (const f of readJson(path.join(dataDir, 'drive.json'), [])) files.set(f.id, f);
+    properties = readJson(path.join(dataDir, 'properties.json'), {});
+    triggers = readJson(path.join(dataDir, 'triggers.json'), []);
+    const ssDir = path.join(dataDir, 'spreadsheets');
+    if (fs.existsSync(ssDir)) {
+      for (const name of fs.readdirSync(ssDir).filter((n) => n.endsWith('.json'))) {
+        const doc = readJson(path.join(ssDir, name), null);
+        if (!doc || !doc.id) continue;
+        doc.sheets = (doc.sheets || []).map((s) => ({ ...s, values: decodeCells(s.values) }));
+        spreadsheets.set(doc.id, doc);
+      }
+    }
+    const formDir = path.join(dataDir, 'forms');
+    if (fs.existsSync(formDir)) {
+      for (const name of fs.readdirSync(formDir).filter((n) => n.endsWith('.json'))) {
+        const doc = readJson(path.join(formDir, name), null);
+        if (doc && doc.id) forms.set(doc.id, doc);
+      }
+    }
+    const blobDir = path.join(dataDir, 'blobs');
+    if (fs.existsSync(blobDir)) {
+      for (const name of fs.readdirSync(blobDir)) blobs.set(name, fs.readFileSync(path.join(blobDir, name)));
+    }
+  }
+
+  function flush() {
+    if (!dataDir) {
+      dirty.spreadsheets.clear(); dirty.forms.clear(); dirty.blobs.clear();
+      return;
+    }
+    if (dirty.drive) writeJson(path.join(dataDir, 'drive.json'), Array.from(files.values()));
+    if (dirty.properties) writeJson(path.join(dataDir, 'properties.json'), properties);
+    if (dirty.triggers) writeJson(path.join(dataDir, 'triggers.json'), triggers);
+    for (const id of dirty.spreadsheets) {
+      const doc = spreadsheets.get(id);
+      const file = path.join(dataDir, 'spreadsheets', `${id}.json`);
+      if (!doc) { fs.rmSync(file, { force: true }); continue; }
+      writeJson(file, { ...doc, sheets: doc.sheets.map((s) => ({ ...s, values: encodeCells(s.values) })) });
+    }
+    for (const id of dirty.forms) {
+      const doc = forms.get(id);
+      const file = path.join(dataDir, 'forms', `${id}.json`);
+      if (!doc) { fs.rmSync(file, { force: true }); continue; }
+      writeJson(file, doc);
+    }
+    for (const id of dirty.blobs) {
+      const dir = path.join(dataDir, 'blobs');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, id), blobs.get(id) || Buffer.alloc(0));
+    }
+    dirty.drive = dirty.properties = dirty.triggers = false;
+    dirty.spreadsheets.clear(); dirty.forms.clear(); dirty.blobs.clear();
+  }
+
+  // ---------------------------------------------------------------- Drive
+
+  function createFile({ name, mimeType, owner, parents, id }) {
+    const createdAt = new Date(now()).toISOString();
+    const file = {
+      id: id || newDriveId(),
+      name: String(name || '無題'),
+      mimeType,
+      owner: String(owner || '').toLowerCase(),
+      editors: [],
+      viewers: [],
+      parents: parents || [],
+      sharing: { access: 'PRIVATE', permission: 'NONE' },
+      trashed: false,
+      createdAt,
+      updatedAt: createdAt
+    };
+    files.set(file.id, file);
+    dirty.drive = true;
+    return file;
+  }
+
+  function touchFile(id) {
+    const file = files.get(id);
+    if (file) file.updatedAt = new Date(now()).toISOString();
+    dirty.drive = true;
+  }
+
+  /**
+   * 利用者から見たファイルの権限。'owner' | 'writer' | 'reader' | null。
+   *   リンク共有 / ドメイン共有は owner のドメインを基準に判定する (Workspace と同じ)。
+   */
+  function roleOf(id, email) {
+    const file = files.get(id);
+    if (!file || !email) return null;
+    const who = String(email).toLowerCase();
+    if (file.owner === who) return 'owner';
+    if (file.editors.includes(who)) return 'writer';
+    let role = file.viewers.includes(who) ? 'reader' : null;
+    const { access, permission } = file.sharing || {};
+    const sharedToCaller = access === 'ANYONE' || access === 'ANYONE_WITH_LINK' ||
+      ((access === 'DOMAIN' || access === 'DOMAIN_WITH_LINK') && domainOf(who) === domainOf(file.owner));
+    if (sharedToCaller) {
+      if (permission === 'EDIT') return 'writer';
+      if (permission === 'VIEW' || permission === 'COMMENT') role = 'reader';
+    }
+    if (!role) {
+      // 親フォルダの共有は中身に継承される (Drive の仕様)。
+      for (const parentId of file.parents) {
+        const inherited = roleOf(parentId, who);
+        if (inherited === 'owner' || inherited === 'writer') return 'writer';
+        if (inherited) role = 'reader';
+      }
+    }
+    return role;
+  }
+
+  function rootFolderOf(email) {
+    const owner = String(email || '').toLowerCase();
+    const id = `root-${crypto.createHash('sha1').update(owner).digest('hex').slice(0, 24)}`;
+    if (!files.has(id)) createFile({ id, name: 'マイドライブ', mimeType: MIME.FOLDER, owner });
+    return files.get(id);
+  }
+
+  // ---------------------------------------------------------------- documents
+
+  function addSpreadsheet(doc) {
+    spreadsheets.set(doc.id, doc);
+    dirty.spreadsheets.add(doc.id);
+  }
+
+  function addForm(doc) {
+    forms.set(doc.id, doc);
+    dirty.forms.add(doc.id);
+  }
+
+  function touchSpreadsheet(id) {
+    dirty.spreadsheets.add(id);
+    touchFile(id);
+  }
+
+  function touchForm(id) {
+    dirty.forms.add(id);
+    touchFile(id);
+  }
+
+  function putBlob(id, bytes) {
+    blobs.set(id, Buffer.from(bytes));
+    dirty.blobs.add(id);
+  }
+
+  function setProperties(next) {
+    properties = next;
+    dirty.properties = true;
+  }
+
+  function setTriggers(next) {
+    triggers = next;
+    dirty.triggers = true;
+  }
+
+  load();
+
+  return {
+    dataDir,
+    files,
+    spreadsheets,
+    forms,
+    blobs,
+    get properties() { return properties; },
+    get triggers() { return triggers; },
+    setProperties,
+    setTriggers,
+    createFile,
+    touchFile,
+    roleOf,
+    rootFolderOf,
+    addSpreadsheet,
+    addForm,
+    touchSpreadsheet,
+    touchForm,
+    putBlob,
+    flush,
+    now,
+    advanceClock: (ms) => { clockOffset += Number(ms) || 0; },
+    newId: newDriveId
+  };
+}
+
+module.exports = { createStore, newDriveId, domainOf, MIME };
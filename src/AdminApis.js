@@ -4,7 +4,7 @@
  *   global 宣言を参照。
  */
 
-/* global TEMPLATE_BOARD_MODES, getCurrentEmail, isAdministrator, findUserById, findUserByEmail, getAllUsers, updateUser, getUserConfig, saveUserConfig, getColumnAnalysis, getPublishedSheetData, getPublishedSheetDataForProfile, createTemplateForm, customizeForm, setFormAllowResubmit, uploadLessonImage, processFormUrlInput, getForms, isValidFormUrl, applySpreadsheetSharingDefaults, listServiceAccountPool, getServiceAccountUsage, addServiceAccountToPool, addServiceAccountsToPoolBatch, reverifyServiceAccountInPool, removeServiceAccountFromPool, bumpBoardDataVersion_, createAdminRequiredError, createAuthError, createUserNotFoundError, createErrorResponse, createSuccessResponse, createExceptionResponse, requireAdmin, getConfigOrDefault, isPlainObject, createLessonDraft, updateLessonDraft, startLesson, advanceLessonPhase, getActiveLessonNav, endLesson, reopenLesson, reorderLessonPhases, listLessons, getLessonForReview, deleteLesson, getKnownClassesForUser, duplicateLesson, listLessonTemplates, importLessonFromProfiles, migrateLessonArchive, recaptureLessonArchive, __projectBoardRowForExport_, __maybeAutoArchiveLesson_, isBoardCollaborator, logError_, safeJsonParse_, sameEmail_ */
+/* global TEMPLATE_BOARD_MODES, getAuditLog, exportStudentData, deleteStudentData, getRetentionSettings, setRetentionPolicy, runRetentionSweep, setLessonRetention, listRoles, setRole, removeRole, listRoleBoards, getRoleGrant_, getCurrentTenant_, listTenants, provisionTenant, suspendTenant, resumeTenant, recordAuditEvent_, recordAuditEvents_, getModerationRules, setModerationRules, getCurrentEmail, isAdministrator, findUserById, findUserByEmail, getAllUsers, updateUser, getUserConfig, saveUserConfig, getColumnAnalysis, getPublishedSheetData, getPublishedSheetDataForProfile, createTemplateForm, customizeForm, setFormAllowResubmit, uploadLessonImage, processFormUrlInput, getForms, isValidFormUrl, applySpreadsheetSharingDefaults, listServiceAccountPool, getServiceAccountUsage, addServiceAccountToPool, addServiceAccountsToPoolBatch, reverifyServiceAccountInPool, removeServiceAccountFromPool, bumpBoardDataVersion_, createAdminRequiredError, createAuthError, createUserNotFoundError, createErrorResponse, createSuccessResponse, createExceptionResponse, requireAdmin, getConfigOrDefault, isPlainObject, createLessonDraft, updateLessonDraft, startLesson, advanceLessonPhase, getActiveLessonNav, endLesson, reopenLesson, reorderLessonPhases, listLessons, getLessonForReview, deleteLesson, getKnownClassesForUser, duplicateLesson, scheduleLesson, prepareScheduledLessons, createLessonSeries, cancelLessonSeries, listLessonTemplates, importLessonFromProfiles, migrateLessonArchive, recaptureLessonArchive, __projectBoardRowForExport_, buildPiiMatcher_, __maybeAutoArchiveLesson_, isBoardCollaborator, logError_, safeJsonParse_, sameEmail_ */
 
 
 // Admin API経由での読み書きから保護する Script Properties キー。
@@ -14,7 +14,8 @@
 // 'APP_DISABLED' substring は緊急停止フラグとその監査メタ (APP_DISABLED_REASON/BY/AT) を
 //   一括ブロックする。 これらは enableApp/disableApp の専用 op (監査証跡付き) でのみ変更させ、
 //   generic setProperty による証跡バイパスを防ぐ。
-const PROTECTED_PROPERTY_SUBSTRINGS = ['KEY', 'CREDS', 'SECRET', 'TOKEN', 'PASSWORD', 'SALT', 'APP_DISABLED'];
+// 'TENANT_' は学校 (テナント) の記録と索引。 tenants.* の専用 op (検証 + 監査付き) でのみ変更させる。
+const PROTECTED_PROPERTY_SUBSTRINGS = ['KEY', 'CREDS', 'SECRET', 'TOKEN', 'PASSWORD', 'SALT', 'APP_DISABLED', 'TENANT_'];
 const PROTECTED_PROPERTY_EXACT_KEYS = ['ADMIN_EMAIL', 'DATABASE_SPREADSHEET_ID', 'DEPLOYED_WEB_APP_URL'];
 
 // Magic-number elimination (Clean Code: replace literal numbers with named constants).
@@ -52,6 +53,12 @@ function assertManagedSpreadsheet_(spreadsheetId) {
 }
 
 
+// 監査ログ (AuditLogService.js) への入口。書込失敗は recordAuditEvents_ 側で握りつぶされ、
+//   本来の操作の結果を変えない。typeof は AdminApis を単独 load する test 用。
+function __recordAdminAudit_(operation, fields) {
+  if (typeof recordAuditEvent_ === 'function') recordAuditEvent_(operation, fields);
+}
+
 // admin API の対象ユーザー解決: params.userId 指定があればそのユーザー、無ければ
 //   呼び出し元 (gcloud user) の userId に自動解決。見つからなければ null。
 //   connectForm / createForm など「対象ユーザー特定」を 1 箇所に統一。
@@ -100,6 +107,7 @@ function toggleUserActiveStatus(targetUserId) {
     const newIsActive = !targetUser.isActive;
     const result = updateUser(targetUserId, { isActive: newIsActive });
     if (result.success) {
+      __recordAdminAudit_('toggleUserActive', { targetUserId, diff: { isActive: { before: !newIsActive, after: newIsActive } } });
       return {
         success: true,
         message: `ユーザー状態を${newIsActive ? 'アクティブ' : '非アクティブ'}に変更しました`,
@@ -236,6 +244,13 @@ function __applyPublishStateChange(targetUserId, newState, options = {}) {
   if (wasPublished !== targetIsPublished && typeof invalidateBoardCaches_ === 'function') {
     invalidateBoardCaches_(currentConfig, targetUser.userId);
   }
+  if (wasPublished !== targetIsPublished) {
+    __recordAdminAudit_(targetIsPublished ? 'board.publish' : 'board.unpublish', {
+      targetUserId: targetUser.userId,
+      before: currentConfig,
+      after: updatedConfig
+    });
+  }
 
   const redirectUrl = getWebAppUrl() + '?mode=view&userId=' + targetUser.userId;
   return {
@@ -320,6 +335,9 @@ function getLogs(options = {}) {
   try {
     const auth = requireAdmin();
     if (!auth) return createAdminRequiredError();
+    // google.script.run から直接呼ばれても、学校の管理者には他校を含むログを返さない
+    const tenantRejection = __rejectTenantAdmin_();
+    if (tenantRejection) return tenantRejection;
 
     const limit = Math.max(1, Math.min(Number(options.limit || 50), 200));
     const props = PropertiesService.getScriptProperties().getProperties();
@@ -378,6 +396,15 @@ function checkAppAccessRestriction() {
   }
 }
 
+// 学校 (TenantService.js) の管理者は isAdministrator を通るが、 デプロイ全体の設定
+//   (アプリ停止・Script Properties・SA pool・テナント管理) は触らせない。
+function __rejectTenantAdmin_() {
+  if (typeof getCurrentTenant_ === 'function' && getCurrentTenant_()) {
+    return createErrorResponse('この操作はデプロイ全体の管理者だけが行えます', null, { error: 'DEPLOYMENT_ADMIN_REQUIRED' });
+  }
+  return null;
+}
+
 /**
  * アプリ全体のアクセスを停止する（管理者専用）
  * @param {string} reason - 停止理由
@@ -387,6 +414,8 @@ function disableAppAccess(reason = 'システムメンテナンス') {
   try {
     const auth = requireAdmin();
     if (!auth) return createAdminRequiredError();
+    const tenantRejection = __rejectTenantAdmin_();
+    if (tenantRejection) return tenantRejection;
     const currentEmail = auth.email;
 
     PropertiesService.getScriptProperties().setProperties({
@@ -395,6 +424,7 @@ function disableAppAccess(reason = 'システムメンテナンス') {
       APP_DISABLED_BY: currentEmail,
       APP_DISABLED_AT: new Date().toISOString()
     });
+    __recordAdminAudit_('disableApp', { target: 'APP_DISABLED', diff: { APP_DISABLED: { before: null, after: reason } } });
 
     return createSuccessResponse('アプリケーションを停止しました', {
       reason,
@@ -415,6 +445,8 @@ function enableAppAccess() {
   try {
     const auth = requireAdmin();
     if (!auth) return createAdminRequiredError();
+    const tenantRejection = __rejectTenantAdmin_();
+    if (tenantRejection) return tenantRejection;
 
     const props = PropertiesService.getScriptProperties();
 
@@ -431,6 +463,7 @@ function enableAppAccess() {
     });
 
     props.setProperty('APP_ENABLED_AT', new Date().toISOString());
+    __recordAdminAudit_('enableApp', { target: 'APP_DISABLED', diff: { APP_DISABLED: { before: disabledReason || null, after: null } } });
 
     return createSuccessResponse('アプリケーションを再開しました', {
       previousRestriction: {
@@ -541,9 +574,27 @@ const __FRONTEND_USER_DISPATCH_OPS = Object.freeze(new Set([
   'lesson.list', 'lesson.create', 'lesson.delete', 'lesson.duplicate',
   'lesson.templates', 'lesson.review', 'lesson.updateDraft',
   'lesson.start', 'lesson.advance', 'lesson.end', 'lesson.knownClasses',
+  'lesson.schedule', 'lesson.prepareScheduled', 'lesson.createSeries', 'lesson.cancelSeries',
   'uploadLessonImage'
 ]));
 
+// 役割 (RoleService.js: school_admin / grade_leader / observer) を持つ人が呼べる read-only ops。
+//   handler 側で役割の範囲に絞って返すので、管理者でなくても役割があれば通す。
+const __ROLE_DISPATCH_OPS = Object.freeze(new Set([
+  'roles.boards'
+]));
+
+// デプロイ全体に効く ops。 学校 (テナント) の管理者からは呼べない。
+const __DEPLOYMENT_DISPATCH_OPS = Object.freeze(new Set([
+  'disableApp', 'enableApp', 'cacheReset',
+  'getProperty', 'setProperty', 'listProperties',
+  'listServiceAccountPool', 'getServiceAccountUsage', 'addServiceAccountToPool',
+  'addServiceAccountsToPoolBatch', 'reverifyServiceAccountInPool', 'removeServiceAccountFromPool',
+  'tenants.list', 'tenants.provision', 'tenants.suspend', 'tenants.resume',
+  // security_log_* / 診断 / 性能計測は Script Property とデプロイ全体を読む (学校ごとに分かれていない)
+  'getLogs', 'systemDiagnosis', 'autoRepair', 'perfMetrics', 'perfDiagnosis'
+]));
+
 function dispatchAdminOperation(operation, params) {
   if (!operation || typeof operation !== 'string') {
     return createErrorResponse('operation is required', null, { error: 'MISSING_OPERATION' });
@@ -558,10 +609,17 @@ function dispatchAdminOperation(operation, params) {
   //   getCurrentEmail() = ADMIN_EMAIL となり isAdministrator が true を返すので
   //   この gate を通過できる。
   if (!__FRONTEND_USER_DISPATCH_OPS.has(op)) {
-    if (!isAdministrator(getCurrentEmail())) {
+    const callerEmail = getCurrentEmail();
+    const allowedByRole = __ROLE_DISPATCH_OPS.has(op)
+      && typeof getRoleGrant_ === 'function' && Boolean(getRoleGrant_(callerEmail));
+    if (!allowedByRole && !isAdministrator(callerEmail)) {
       return createAdminRequiredError();
     }
   }
+  if (__DEPLOYMENT_DISPATCH_OPS.has(op)) {
+    const tenantRejection = __rejectTenantAdmin_();
+    if (tenantRejection) return tenantRejection;
+  }
 
   // case ブランチ冒頭の param 検証を一行に圧縮するためのヘルパー。
   //   `const e = reqStr('userId'); if (e) return e;` の形で使う。
@@ -607,6 +665,73 @@ function dispatchAdminOperation(operation, params) {
     case 'getLogs':
       return getLogs({ limit: Number(params.limit) || 50 });
 
+    // --- Roles (RoleService.js) ---
+    case 'roles.list':
+      return listRoles();
+
+    case 'roles.set':
+      { const e = reqStr('email'); if (e) return e; }
+      { const e = reqStr('role'); if (e) return e; }
+      return setRole(params.email, params.role, isPlainObject(params.scope) ? params.scope : {});
+
+    case 'roles.remove':
+      { const e = reqStr('email'); if (e) return e; }
+      return removeRole(params.email);
+
+    case 'roles.boards':
+      return listRoleBoards();
+
+    // --- Tenants (TenantService.js、 デプロイ全体の管理者だけ) ---
+    case 'tenants.list':
+      return listTenants();
+
+    case 'tenants.provision':
+      { const e = reqObj('tenant'); if (e) return e; }
+      return provisionTenant(params.tenant);
+
+    case 'tenants.suspend':
+      { const e = reqStr('tenantId'); if (e) return e; }
+      return suspendTenant(params.tenantId, typeof params.reason === 'string' ? params.reason : '');
+
+    case 'tenants.resume':
+      { const e = reqStr('tenantId'); if (e) return e; }
+      return resumeTenant(params.tenantId);
+
+    // --- Retention (RetentionService.js、 lesson_responses の保存期間。 学校の管理者は学校の分) ---
+    case 'retention.get':
+      return getRetentionSettings({ limit: params.limit });
+
+    case 'retention.setPolicy':
+      { const e = reqObj('policy'); if (e) return e; }
+      return setRetentionPolicy(params.policy);
+
+    case 'retention.run':
+      return runRetentionSweep({ dryRun: params.dryRun === true || params.dryRun === 'true' });
+
+    // --- 児童 1 人のデータ (DataSubjectService.js、 保護者・本人からの開示 / 削除の依頼) ---
+    case 'student.export':
+      { const e = reqStr('email'); if (e) return e; }
+      return exportStudentData(params.email, { format: params.format });
+
+    case 'student.delete':
+      { const e = reqStr('email'); if (e) return e; }
+      return deleteStudentData(params.email, {
+        action: typeof params.action === 'string' ? params.action : undefined,
+        commit: params.commit === true || params.commit === 'true'
+      });
+
+    case 'getAuditLog':
+      return getAuditLog({
+        operation: params.operation,
+        actorEmail: params.actorEmail,
+        actorHash: params.actorHash,
+        targetUserId: params.targetUserId,
+        lessonId: params.lessonId,
+        since: params.since,
+        until: params.until,
+        limit: params.limit
+      });
+
     case 'disableApp':
       return disableAppAccess(typeof params.reason === 'string' ? params.reason : 'システムメンテナンス');
 
@@ -655,7 +780,11 @@ function dispatchAdminOperation(operation, params) {
       if (isProtectedPropertyKey(params.key)) {
         return createErrorResponse(`Property "${params.key}" is protected and cannot be modified via admin API. Use the GAS editor to rotate secrets.`, null, { error: 'PROTECTED_PROPERTY' });
       }
-      PropertiesService.getScriptProperties().setProperty(params.key, params.value);
+      const props = PropertiesService.getScriptProperties();
+      // lint-disable-next-line no-direct-property-fetch
+      const previous = props.getProperty(params.key);
+      props.setProperty(params.key, params.value);
+      __recordAdminAudit_('setProperty', { target: params.key, diff: { value: { before: previous, after: params.value } } });
       return createSuccessResponse('Property set', { key: params.key });
     }
 
@@ -671,6 +800,26 @@ function dispatchAdminOperation(operation, params) {
       return createSuccessResponse('Properties listed', { properties: masked });
     }
 
+    // --- Moderation (学校全体の NG ワード / 正規表現) ---
+    // ボードごとの追加語・許可語は config.moderation (setUserConfig / 教師の管理画面) で持つ。
+    case 'getModerationRules':
+      return getModerationRules();
+
+    case 'setModerationRules': {
+      { const e = reqObj('rules'); if (e) return e; }
+      const before = getModerationRules();
+      const result = setModerationRules(params.rules);
+      if (result.success) {
+        const pick = (rules) => (rules ? { words: rules.words, patterns: rules.patterns } : null);
+        __recordAdminAudit_('setModerationRules', {
+          target: 'MODERATION_RULES',
+          before: pick(before.success && before.data ? before.data.rules : null),
+          after: pick(result.data.rules)
+        });
+      }
+      return result;
+    }
+
     // --- User Config Operations ---
     // Why: 既存の getUsers は users 行を返すだけで、config JSON が文字列のまま。
     //      CLI から「ユーザー A の boardMode を numberline に」など個別操作するには
@@ -730,7 +879,8 @@ function dispatchAdminOperation(operation, params) {
       { const e = reqStr('userId'); if (e) return e; }
       { const e = reqObj('patch'); if (e) return e; }
       return applyConfigPatch_(params.userId, params.patch, {
-        publish: Boolean(params.publish)
+        publish: Boolean(params.publish),
+        auditOperation: 'setUserConfig'
       });
     }
 
@@ -752,10 +902,13 @@ function dispatchAdminOperation(operation, params) {
         });
       }
       const results = [];
+      const auditEvents = [];
       for (const u of matched) {
-        const r = applyConfigPatch_(u.userId, params.patch, { publish: false });
+        const r = applyConfigPatch_(u.userId, params.patch, { publish: false, auditOperation: 'bulkSetUserConfig', auditEvents });
         results.push({ userId: u.userId, userEmail: u.userEmail, success: r.success, message: r.message });
       }
+      // 1 ユーザー 1 行のまま、:append は 1 回にまとめる (対象 N 人で N 回叩かない)。
+      if (typeof recordAuditEvents_ === 'function') recordAuditEvents_(auditEvents);
       const okCount = results.filter(r => r.success).length;
       return createSuccessResponse(`bulkSetUserConfig: ${okCount}/${results.length} succeeded`, {
         results,
@@ -866,7 +1019,7 @@ function dispatchAdminOperation(operation, params) {
         spreadsheetId: procResult.spreadsheetId || '',
         sheetName: procResult.sheetName || 'フォームの回答 1'
       };
-      const saveResult = applyConfigPatch_(user.userId, patch, { publish: false });
+      const saveResult = applyConfigPatch_(user.userId, patch, { publish: false, auditOperation: 'connectForm' });
       // config 保存が失敗したら全体を失敗として返す。 旧実装は top-level success:true で
       //   失敗を nested configSave に埋もれさせており、 .success を見る CLI が「接続済」と
       //   誤認していた。
@@ -918,17 +1071,19 @@ function dispatchAdminOperation(operation, params) {
       const createResult = createTemplateForm(templateType, params.templateOptions || {});
       if (!createResult.success) return createResult;
 
-      // config に紐付け。numberline/matrix の場合は boardMode も auto / 明示モードに揃える。
+      // config に紐付け。board 以外のテンプレートは boardMode も明示モードに揃える。
       const patch = {
         formUrl: createResult.formUrl || '',
         formTitle: createResult.formTitle || '',
         spreadsheetId: createResult.spreadsheetId || '',
         sheetName: createResult.sheetName || 'フォームの回答 1'
       };
-      if (templateType === 'numberline' || templateType === 'matrix' || templateType === 'pie') {
+      // Why templateType !== 'board': TEMPLATE_BOARD_MODES に足したモード (ranking 等) を
+      //   ここで列挙し直すと追加漏れで boardMode が auto のまま残る。board だけが既定値。
+      if (templateType !== 'board') {
         patch.displaySettings = { boardMode: templateType };
       }
-      const saveResult = applyConfigPatch_(user.userId, patch, { publish: false });
+      const saveResult = applyConfigPatch_(user.userId, patch, { publish: false, auditOperation: 'createForm' });
       // Form は作成済だが config 保存が失敗した場合は全体を失敗として返す (created は同梱して
       //   作成済 Form URL を呼び出し側に残す)。 top-level success に保存結果を反映する。
       if (!saveResult.success) {
@@ -1000,7 +1155,11 @@ function dispatchAdminOperation(operation, params) {
         if (typeof addServiceAccountToPool !== 'function') {
           return createErrorResponse('addServiceAccountToPool not available');
         }
-        return addServiceAccountToPool(params.json);
+        const added = addServiceAccountToPool(params.json);
+        if (added && added.success) {
+          __recordAdminAudit_('addServiceAccountToPool', { target: added.slot, diff: { clientEmail: { before: null, after: added.clientEmail } } });
+        }
+        return added;
       } catch (e) {
         return createExceptionResponse(e);
       }
@@ -1042,7 +1201,11 @@ function dispatchAdminOperation(operation, params) {
         if (typeof removeServiceAccountFromPool !== 'function') {
           return createErrorResponse('removeServiceAccountFromPool not available');
         }
-        return removeServiceAccountFromPool(slot);
+        const removed = removeServiceAccountFromPool(slot);
+        if (removed && removed.success) {
+          __recordAdminAudit_('removeServiceAccountFromPool', { target: removed.slot, diff: { removed: { before: false, after: true } } });
+        }
+        return removed;
       } catch (e) {
         return createExceptionResponse(e);
       }
@@ -1095,6 +1258,10 @@ function dispatchAdminOperation(operation, params) {
         const oldHeader = String(cell.getValue() || '');
         const cleanHeader = String(params.newHeader).trim().substring(0, 200);
         cell.setValue(cleanHeader);
+        __recordAdminAudit_('setSheetHeader', {
+          target: `${params.spreadsheetId}/${params.sheetName}`,
+          diff: { [`header[${params.columnIndex}]`]: { before: oldHeader, after: cleanHeader } }
+        });
         // Why: SHEET_HEADERS は 10 分 TTL でキャッシュされる (SystemController.DATABASE_LONG)。
         //   invalidate しないと getQuestionText が古い「回答」を返し続け、headingLabel が
         //   更新されない (CLAUDE.md: setupColumns 時は明示的に invalidate せよ規約と同じ)。
@@ -1142,6 +1309,10 @@ function dispatchAdminOperation(operation, params) {
         //   から書ける。Reaction 列等の lazy provisioning ヘッダーも保持される。
         const lastCol = Math.max(1, sheet.getLastColumn());
         sheet.getRange(2, 1, lastRow - 1, lastCol).clearContent();
+        __recordAdminAudit_('clearDataRows', {
+          target: `${params.spreadsheetId}/${params.sheetName}`,
+          diff: { dataRows: { before: lastRow - 1, after: 0 } }
+        });
         return createSuccessResponse('Data rows cleared', {
           spreadsheetId: params.spreadsheetId,
           sheetName: params.sheetName,
@@ -1169,6 +1340,7 @@ function dispatchAdminOperation(operation, params) {
         const oldName = file.getName();
         const cleanName = String(params.newName).trim().substring(0, SHEET_NAME_MAX_LEN);
         file.setName(cleanName);
+        __recordAdminAudit_('renameDriveFile', { target: params.fileId, diff: { name: { before: oldName, after: cleanName } } });
         return createSuccessResponse('Drive file renamed', {
           fileId: params.fileId,
           oldName,
@@ -1236,6 +1408,10 @@ function dispatchAdminOperation(operation, params) {
 
         const startRow = sheet.getLastRow() + 1;
         sheet.getRange(startRow, 1, padded.length, maxLen).setValues(padded);
+        __recordAdminAudit_('appendRows', {
+          target: `${params.spreadsheetId}/${params.sheetName}`,
+          diff: { dataRows: { before: startRow - 2, after: startRow - 2 + padded.length } }
+        });
 
         return createSuccessResponse('Rows appended', {
           spreadsheetId: params.spreadsheetId,
@@ -1290,11 +1466,13 @@ function dispatchAdminOperation(operation, params) {
       { const e = reqStr('userId'); if (e) return e; }
       const profileName = typeof params.profileName === 'string' && params.profileName ? params.profileName : null;
       const stripName = params.stripName !== false; // default true
+      //   - 本文の個人情報は __projectBoardRowForExport_ がまとめて伏せる (adminMode=true で伏せる前の行を受け取る)
       const result = profileName
-        ? getPublishedSheetDataForProfile(params.userId, profileName, params.classFilter || null, params.sortOrder || 'newest')
-        : getPublishedSheetData(params.classFilter || null, params.sortOrder || 'newest', false, params.userId);
+        ? getPublishedSheetDataForProfile(params.userId, profileName, params.classFilter || null, params.sortOrder || 'newest', true)
+        : getPublishedSheetData(params.classFilter || null, params.sortOrder || 'newest', true, params.userId);
       const rows = Array.isArray(result.data) ? result.data : [];
-      const slim = rows.map(r => __projectBoardRowForExport_(r, { includeName: !stripName }));
+      const piiMatcher = typeof buildPiiMatcher_ === 'function' ? buildPiiMatcher_(rows) : null;
+      const slim = rows.map(r => __projectBoardRowForExport_(r, { includeName: !stripName, piiMatcher }));
       return createSuccessResponse('Board data export', {
         success: result.success,
         header: result.header || '',
@@ -1336,6 +1514,27 @@ function dispatchAdminOperation(operation, params) {
       { const e = reqStr('lessonId'); if (e) return e; }
       return endLesson(params.userId, params.lessonId);
     }
+    case 'lesson.schedule': {
+      // startAt=null で予約を外す。
+      { const e = reqStr('userId'); if (e) return e; }
+      { const e = reqStr('lessonId'); if (e) return e; }
+      return scheduleLesson(params.userId, params.lessonId, params.startAt || null, params.expectedEtag);
+    }
+    case 'lesson.prepareScheduled': {
+      { const e = reqStr('userId'); if (e) return e; }
+      return prepareScheduledLessons(params.userId);
+    }
+    case 'lesson.createSeries': {
+      { const e = reqStr('userId'); if (e) return e; }
+      { const e = reqStr('lessonId'); if (e) return e; }
+      if (!isPlainObject(params.options)) return createErrorResponse('options (object) が必要です');
+      return createLessonSeries(params.userId, params.lessonId, params.options);
+    }
+    case 'lesson.cancelSeries': {
+      { const e = reqStr('userId'); if (e) return e; }
+      { const e = reqStr('seriesId'); if (e) return e; }
+      return cancelLessonSeries(params.userId, params.seriesId);
+    }
     case 'lesson.list': {
       { const e = reqStr('userId'); if (e) return e; }
       return listLessons(params.userId);
@@ -1385,6 +1584,15 @@ function dispatchAdminOperation(operation, params) {
       if (!Number.isInteger(params.phaseIndex)) return createErrorResponse('phaseIndex (整数) が必要です');
       return recaptureLessonArchive(params.userId, params.lessonId, params.phaseIndex);
     }
+    case 'lesson.setRetention': {
+      // 授業ごとの保存期間 ({keep:true} / {basis,days,action})。null で学校全体の設定に戻す。
+      { const e = reqStr('userId'); if (e) return e; }
+      { const e = reqStr('lessonId'); if (e) return e; }
+      if (params.retention !== null && !isPlainObject(params.retention)) {
+        return createErrorResponse('retention (object か null) が必要です');
+      }
+      return setLessonRetention(params.userId, params.lessonId, params.retention);
+    }
     case 'lesson.importFromProfiles': {
       // 既存 profiles[] (= plain profile 構成) を「過去授業の lesson 記録」として
       //   lessons シートに取り込む。lesson 機能 (Phase 1+2) 導入以前に運用していた授業を
@@ -1459,6 +1667,8 @@ function matchesUserFilter_(user, filter) {
  *      関数の allowlist が最終ゲート。
  *
  *      protected fields (userId/userEmail/etag) は明示的に削除。
+ *
+ * @param {Object} [options] - { publish?, auditOperation?, auditEvents? }
  */
 function applyConfigPatch_(userId, patch, options) {
   if (!userId || typeof userId !== 'string') {
@@ -1489,6 +1699,18 @@ function applyConfigPatch_(userId, patch, options) {
   // Save through existing sanitizing pipeline (validateAndSanitizeConfig handles everything)
   const saveOptions = options && options.publish ? { isPublish: true } : { isMainConfig: true };
   const result = saveUserConfig(userId, merged, saveOptions);
+
+  // auditOperation を渡した呼び出し (admin API 経由の書き換え) だけ監査ログに残す。
+  //   lesson のフェーズ切替など内部の自動 patch は、呼び出し元が自分の操作として記録する。
+  //   auditEvents を渡すと書かずに積むだけにする (bulkSetUserConfig が 1 回の追記にまとめる)。
+  if (result && result.success && options && options.auditOperation) {
+    const event = { operation: options.auditOperation, targetUserId: userId, before: cur.config || {}, after: result.config || merged };
+    if (Array.isArray(options.auditEvents)) {
+      options.auditEvents.push(event);
+    } else {
+      __recordAdminAudit_(event.operation, event);
+    }
+  }
   return result;
 }
 
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview AuditLogService - admin 操作とボード / 授業の状態遷移を DB SS の audit_log シートに残す。
+ *
+ * Why 別シート: getLogs が読む security_log_* (ScriptProperties) は容量上限があり検索もできない。
+ *   dispatchAdminOperation の setUserConfig / bulkSetUserConfig / clearDataRows などは
+ *   何も痕跡を残さなかった。監査ログは「無界・追記一回きり」のデータなので、
+ *   ARCHITECTURE.md のデータ保存則どおり 1 イベント 1 行で追記のみ (書き換え・削除 API は持たない)。
+ *
+ * 書込は SA proxy の appendRows (values:append / RAW)。呼び出し元の権限に依らず書け、
+ *   RAW なので「=」始まりの値が数式として評価されることもない。
+ *
+ * 記録は fail-soft: 監査ログの書込失敗で本来の操作を失敗させない (WARN ログのみ)。
+ * 記録しないもの: リアクション / ハイライト / 回答送信。数百人が数秒おきに叩く経路で、
+ *   1 件ごとに :append を足すと Sheets API quota を先に食い潰す。
+ */
+
+/* global openDatabase, getCurrentEmail, emailToShortHash, requireAdmin, AUDIT_LOG_SHEET_HEADERS, __dbSheetExists_, createAdminRequiredError, createSuccessResponse, createErrorResponse, createExceptionResponse, logError_ */
+
+const AUDIT_LOG_SHEET = 'audit_log';
+// Sheets 1 cell 50,000 字上限に対する余裕込みの上限。超えた diff は変更キー名だけ残す。
+const AUDIT_DIFF_MAX_CHARS = 40000;
+// getAuditLog 1 回で読む最大行数 (末尾から)。これより古いイベントはシートを直接開いて見る。
+const AUDIT_QUERY_MAX_SCAN_ROWS = 5000;
+const AUDIT_QUERY_DEFAULT_LIMIT = 50;
+const AUDIT_QUERY_MAX_LIMIT = 500;
+// 差分に出しても意味のない「保存するたびに変わる」キー。
+const AUDIT_DIFF_IGNORED_KEYS = ['etag', 'lastModified', 'lastAccessedAt'];
+// トリガー実行 (23:00 sweep 等) は実行ユーザーが取れない。
+const AUDIT_SYSTEM_ACTOR = 'system';
+
+// lesson_responses と同じ lazy bootstrap。setup 済みテナントは setupApp で作成済み。
+function __getAuditLogSheet_(opts) {
+  const spreadsheet = openDatabase();
+  if (!spreadsheet) return null;
+  if (!__dbSheetExists_(spreadsheet, AUDIT_LOG_SHEET)) {
+    if (!opts || !opts.createIfMissing) return null;
+    try {
+      const newSheet = spreadsheet.insertSheet(AUDIT_LOG_SHEET);
+      if (newSheet && newSheet.appendRow) newSheet.appendRow(AUDIT_LOG_SHEET_HEADERS);
+    } catch (createErr) {
+      logError_('__getAuditLogSheet_:create', createErr);
+      return null;
+    }
+  }
+  return spreadsheet.getSheetByName(AUDIT_LOG_SHEET) || null;
+}
+
+/**
+ * before / after のトップレベルキーを比べ、変わったキーだけ { key: { before, after } } で返す。
+ *   入れ子 (displaySettings 等) はキー単位で丸ごと並べる。深い diff は読み手が比べる方が速い。
+ * @param {*} before
+ * @param {*} after
+ * @returns {Object}
+ */
+function buildAuditDiff_(before, after) {
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObj(before) || !isObj(after)) {
+    return JSON.stringify(before) === JSON.stringify(after) ? {} : { value: { before, after } };
+  }
+  const diff = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach((key) => {
+    if (AUDIT_DIFF_IGNORED_KEYS.includes(key)) return;
+    const b = before[key];
+    const a = after[key];
+    if (JSON.stringify(b) === JSON.stringify(a)) return;
+    diff[key] = { before: b === undefined ? null : b, after: a === undefined ? null : a };
+  });
+  return diff;
+}
+
+function __serializeAuditDiff_(diff) {
+  const json = JSON.stringify(diff || {});
+  if (json.length <= AUDIT_DIFF_MAX_CHARS) return json;
+  return JSON.stringify({ truncated: true, keys: Object.keys(diff) });
+}
+
+/**
+ * 監査イベントを 1 件 1 行で audit_log に追記する (1 回の :append にまとめる)。
+ *
+ * @param {Array<Object>} events - { operation, targetUserId?, lessonId?, target?, diff? | before?/after? }
+ *   diff を省略すると before / after から buildAuditDiff_ で作る。
+ *   target は userId / lessonId で表せない対象 (spreadsheetId/sheetName、Property 名など)。
+ * @returns {boolean} 書けたら true。失敗しても throw しない
+ */
+function recordAuditEvents_(events) {
+  const list = (Array.isArray(events) ? events : []).filter(e => e && e.operation);
+  if (list.length === 0) return false;
+  try {
+    const email = getCurrentEmail();
+    const actorHash = (email && emailToShortHash(email)) || AUDIT_SYSTEM_ACTOR;
+    const timestamp = new Date().toISOString();
+    const values = list.map(e => [
+      timestamp,
+      actorHash,
+      String(e.operation),
+      e.targetUserId || '',
+      e.lessonId || '',
+      e.target || '',
+      __serializeAuditDiff_(e.diff || buildAuditDiff_(e.before, e.after))
+    ]);
+
+    const sheet = __getAuditLogSheet_({ createIfMissing: true });
+    if (!sheet) return false;
+    if (typeof sheet.appendRows === 'function') {
+      sheet.appendRows(values);
+    } else {
+      // fallback (test harness / native Sheet): 単一実行内なので getLastRow → setValues で足りる
+      sheet.getRange(sheet.getLastRow() + 1, 1, values.length, values[0].length).setValues(values);
+    }
+    return true;
+  } catch (error) {
+    console.warn('recordAuditEvents_: audit log write failed', {
+      operations: list.map(e => e.operation),
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/** recordAuditEvents_ の 1 件版。 */
+function recordAuditEvent_(operation, fields) {
+  return recordAuditEvents_([{ ...(fields || {}), operation }]);
+}
+
+function __auditRowToEvent_(row, rowIndex) {
+  return {
+    rowIndex,
+    timestamp: String(row[0] || ''),
+    actorHash: String(row[1] || ''),
+    operation: String(row[2] || ''),
+    targetUserId: String(row[3] || ''),
+    lessonId: String(row[4] || ''),
+    target: String(row[5] || ''),
+    diff: (() => {
+      try { return row[6] ? JSON.parse(row[6]) : {}; } catch (_) { return { unparsable: String(row[6]) }; }
+    })()
+  };
+}
+
+/**
+ * audit_log を新しい順に絞り込んで返す (管理者専用)。
+ *
+ * @param {Object} [options]
+ * @param {string} [options.operation] - 完全一致。末尾が '.' なら前方一致 (例: 'lesson.')
+ * @param {string} [options.actorEmail] - 同じ salt でハッシュ化して actorHash と照合する
+ * @param {string} [options.actorHash]
+ * @param {string} [options.targetUserId]
+ * @param {string} [options.lessonId]
+ * @param {string} [options.since] - ISO 8601 (この時刻以降)
+ * @param {string} [options.until] - ISO 8601 (この時刻以前)
+ * @param {number} [options.limit=50] - 最大 500
+ * @returns {Object} { success, data: { events, count, scannedRows, hasMore } }
+ *
+ * 読むのは末尾 AUDIT_QUERY_MAX_SCAN_ROWS 行まで。追記のみ = 行順が時系列なので、
+ *   since より古い行に当たった時点で打ち切る。
+ */
+function getAuditLog(options = {}) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+
+    const limit = Math.max(1, Math.min(Number(options.limit) || AUDIT_QUERY_DEFAULT_LIMIT, AUDIT_QUERY_MAX_LIMIT));
+    const toIso = (v) => {
+      if (!v) return null;
+      const d = new Date(v);
+      return Number.isFinite(d.getTime()) ? d.toISOString() : undefined;
+    };
+    const since = toIso(options.since);
+    const until = toIso(options.until);
+    if (since === undefined || until === undefined) {
+      return createErrorResponse('since / until は ISO 8601 形式で指定してください');
+    }
+    const actorHash = options.actorHash
+      || (options.actorEmail ? emailToShortHash(String(options.actorEmail)) : null);
+    const operation = typeof options.operation === 'string' ? options.operation.trim() : '';
+
+    const matches = (event) => {
+      if (operation) {
+        const ok = operation.endsWith('.')
+          ? event.operation.startsWith(operation)
+          : event.operation === operation;
+        if (!ok) return false;
+      }
+      if (actorHash && event.actorHash !== actorHash) return false;
+      if (options.targetUserId && event.targetUserId !== options.targetUserId) return false;
+      if (options.lessonId && event.lessonId !== options.lessonId) return false;
+      if (until && event.timestamp > until) return false;
+      return true;
+    };
+
+    const sheet = __getAuditLogSheet_();
+    const empty = { events: [], count: 0, scannedRows: 0, hasMore: false };
+    if (!sheet) return createSuccessResponse('監査ログはありません', empty);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return createSuccessResponse('監査ログはありません', empty);
+
+    const startRow = Math.max(2, lastRow - AUDIT_QUERY_MAX_SCAN_ROWS + 1);
+    // SA proxy の getLastRow はグリッド行数を返す (末尾の空行込み)。values.get は末尾の空行を
+    //   返さないので、行番号は startRow + 配列位置で振り直す。
+    const rows = sheet.getRange(startRow, 1, lastRow - startRow + 1, AUDIT_LOG_SHEET_HEADERS.length).getValues() || [];
+
+    const events = [];
+    let scannedRows = 0;
+    let hasMore = false;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const row = rows[i];
+      if (!row || !row[0]) continue;
+      scannedRows++;
+      const event = __auditRowToEvent_(row, startRow + i);
+      if (since && event.timestamp < since) break;
+      if (!matches(event)) continue;
+      if (events.length >= limit) { hasMore = true; break; }
+      events.push(event);
+    }
+
+    return createSuccessResponse(
+      events.length > 0 ? '監査ログを取得しました' : '条件に合う監査ログはありません',
+      { events, count: events.length, scannedRows, hasMore }
+    );
+  } catch (error) {
+    logError_('getAuditLog', error);
+    return createExceptionResponse(error);
+  }
+}
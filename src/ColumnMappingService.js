@@ -4,7 +4,8 @@
  * 統合スコアリング (L1 + L2 + L3):
  *   L1 Header pattern: ヘッダー文字列 vs 役割辞書 (exact/keywords/questionPatterns/regex)
  *   L2 Data shape:     サンプル値の型・分布から役割を補強
- *                      (integer 1..N → numericScale, email format → email,
+ *                      (integer 1..N → numericScale, 小数/広レンジ数値 → continuous,
+ *                       email format → email, Drive URL → image,
  *                       avg length → answer/reason vs name/class)
  *   L3 Board mode:     表示モードが要求する役割への bias (pie → answer 重視 等)
  *
@@ -16,6 +17,8 @@
  *   inferColumnRoles(headers, sampleData, options)        ← 統合分析 (内部 + 直接呼び)
  *   performIntegratedColumnDiagnostics(headers, options)  ← getColumnAnalysis 用
  *   detectNumericScaleColumns(headers, sampleData)        ← 線形尺度のみ (互換)
+ *   parseNumericAnswer(raw)                               ← 自由記述の数値回答 (DataService 共用)
+ *   parseDriveFileIds(raw)                                ← 画像回答セル → Drive file ID (DataService 共用)
  *   resolveColumnIndex(headers, fieldType, mapping)       ← 行処理 hot path (DataService)
  *   filterSystemColumns(headers)                          ← resolveColumnIndex 内部 + テスト
  */
@@ -28,7 +31,9 @@
 
 const __SYSTEM_HEADER_PATTERNS = [
   /^タイムスタンプ$/i, /^timestamp$/i, /^日時$/i, /^日付$/i,
-  /^UNDERSTAND$/i, /^LIKE$/i, /^CURIOUS$/i, /^HIGHLIGHT$/i,
+  /^UNDERSTAND$/i, /^LIKE$/i, /^CURIOUS$/i, /^HIGHLIGHT$/i, /^QA_ANSWER$/i, /^RUBRIC$/i, /^MODERATION$/i,
+  // ボードごとのリアクション語彙 (ReactionService の REACTION_KEY_PATTERN と同じ接頭辞)
+  /^REACTION_[A-Z0-9]+$/i,
   /^理解$/i, /^いいね$/i, /^気になる$/i, /^ハイライト$/i,
   /^_/
 ];
@@ -36,7 +41,7 @@ const __SYSTEM_HEADER_PATTERNS = [
 const __ROLE_PATTERNS = {
   answer: {
     exact: ['回答', 'answer'],
-    keywords: ['回答', '答え', 'answer', '意見', '考え', '感想', 'コメント'],
+    keywords: ['回答', '答え', 'answer', '意見', '考え', '感想', 'コメント', 'アイデア', '質問'],
     // 「質問らしさ」を表すパターン群。フォーム作成者が自由記述で書いた質問文を answer 列として捕捉する。
     // 末尾の ？/? と「どう...する」「なぜ」「何」も含める (児童向けフォームで頻出)。
     questionPatterns: [
@@ -70,12 +75,18 @@ const __ROLE_PATTERNS = {
     exact: ['メール', 'email'],
     keywords: ['メール', 'email', 'mail', 'アドレス'],
     regex: /(メール|email|mail|アドレス)/i
+  },
+  // Forms の「ファイルのアップロード」列と、 ボードのお絵かき回答の列。
+  image: {
+    exact: ['画像', 'image'],
+    keywords: ['画像', '写真', 'イラスト', 'お絵かき', 'ファイル', 'アップロード', 'image', 'photo', 'drawing', 'upload'],
+    regex: /(画像|写真|絵|図|image|photo|picture|drawing)/i
   }
 };
 
-const __DEFAULT_ROLES = ['answer', 'reason', 'email', 'name', 'class'];
-// 優先度: answer/reason が割り当てを先に取り、email > name > class で衝突を解消する。
-const __ROLE_PRIORITY = { answer: 10, reason: 8, email: 6, name: 4, class: 2 };
+const __DEFAULT_ROLES = ['answer', 'reason', 'email', 'name', 'class', 'image'];
+// 優先度: answer/reason が割り当てを先に取り、email > image > name > class で衝突を解消する。
+const __ROLE_PRIORITY = { answer: 10, reason: 8, email: 6, image: 5, name: 4, class: 2 };
 
 // =====================================================================
 // system column filtering
@@ -142,6 +153,50 @@ function __headerPatternScore(header, role) {
 
 const __EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// 「12.5cm」「約 300 g」「-3.2℃」のような数値 + 短い単位。単位部は数字を含まない 4 文字まで。
+const __NUMERIC_ANSWER_REGEX = /^(?:約|およそ)?\s*([-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?)\s*([^\d]{0,4})$/i;
+
+/**
+ * 自由記述で入力された数値回答を number に正規化する。解釈できなければ null。
+ * Why: 測定値・見積もりは Forms の「記述式」で集めることが多く、児童は全角数字や
+ *      単位付き (12.5cm) で入力する。Number() だけだと大半が NaN になり分布が描けない。
+ *      日付 (2024/1/1) や範囲 (3-5) は単位部に数字が残るので数値扱いしない。
+ */
+function parseNumericAnswer(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  const str = String(raw).normalize('NFKC').trim()
+    .replace(/(\d),(?=\d{3}(?:\D|$))/g, '$1')
+    .replace(/^[−–]/, '-');
+  if (!str) return null;
+  const m = __NUMERIC_ANSWER_REGEX.exec(str);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Forms のアップロード回答は「https://drive.google.com/open?id=<ID>」 をカンマ区切りで並べる。
+//   ボードのお絵かき回答は file ID だけを書く。 どちらも file ID の配列に揃える。
+const __DRIVE_URL_ID_REGEX = /^https:\/\/(?:drive|docs)\.google\.com\/(?:open\?(?:[^#]*&)?id=|file\/d\/|uc\?(?:[^#]*&)?id=)([\w-]{20,})/;
+const __DRIVE_FILE_ID_REGEX = /^[\w-]{25,}$/;
+
+/**
+ * 画像回答セルの値を Drive file ID の配列にする。 画像として読めない値は捨てる。
+ * @param {*} raw - セル値 (URL のカンマ区切り / file ID)
+ * @returns {Array<string>}
+ */
+function parseDriveFileIds(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return [];
+  const ids = [];
+  for (const token of raw.split(/[,\s]+/)) {
+    if (!token) continue;
+    const m = __DRIVE_URL_ID_REGEX.exec(token);
+    const id = m ? m[1] : (__DRIVE_FILE_ID_REGEX.test(token) ? token : '');
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
 /**
  * 列の非空サンプル値から型・分布を抽出する。
  * Why: dataType を 1 回計算しておけば、複数役割への boost 判定で再走査不要。
@@ -152,7 +207,10 @@ function __analyzeColumnData(values) {
     dataType: 'empty',
     allInteger: false,
     integerMin: Infinity, integerMax: -Infinity,
+    allNumeric: false, hasDecimal: false,
+    numericMin: Infinity, numericMax: -Infinity,
     emailRatio: 0,
+    driveFileRatio: 0,
     avgLength: 0, maxLength: 0,
     cardinality: 0
   };
@@ -167,7 +225,9 @@ function __analyzeColumnData(values) {
   stats.sampleCount = nonEmpty.length;
 
   let intCount = 0;
+  let numCount = 0;
   let emailCount = 0;
+  let driveFileCount = 0;
   let lenSum = 0;
   const unique = new Set();
 
@@ -179,24 +239,42 @@ function __analyzeColumnData(values) {
       if (n < stats.integerMin) stats.integerMin = n;
       if (n > stats.integerMax) stats.integerMax = n;
     }
+    const num = parseNumericAnswer(v);
+    if (num !== null) {
+      numCount++;
+      if (!Number.isInteger(num)) stats.hasDecimal = true;
+      if (num < stats.numericMin) stats.numericMin = num;
+      if (num > stats.numericMax) stats.numericMax = num;
+    }
     if (__EMAIL_REGEX.test(str)) emailCount++;
+    if (parseDriveFileIds(str).length > 0) driveFileCount++;
     lenSum += str.length;
     if (str.length > stats.maxLength) stats.maxLength = str.length;
     unique.add(str);
   }
 
   stats.allInteger = (intCount === nonEmpty.length);
+  stats.allNumeric = (numCount === nonEmpty.length);
   stats.emailRatio = emailCount / nonEmpty.length;
+  stats.driveFileRatio = driveFileCount / nonEmpty.length;
   stats.avgLength = lenSum / nonEmpty.length;
   stats.cardinality = unique.size;
 
   // dataType 判定. integer-scale は範囲 1..9 の整数列のみ採用。
+  // continuous-numeric は「全値が数値として読めるが線形尺度ではない」列 (小数・広いレンジ・単位付き)。
+  // Why: 3 件未満だと学年 (1,2,3) やクラス番号と区別できないため最小件数を設ける。
   if (stats.allInteger && stats.sampleCount >= 2
       && stats.integerMax - stats.integerMin >= 1
       && stats.integerMax - stats.integerMin <= 9) {
     stats.dataType = 'integer-scale';
+  } else if (stats.allNumeric && stats.sampleCount >= 3
+      && stats.numericMax > stats.numericMin) {
+    stats.dataType = 'continuous-numeric';
   } else if (stats.emailRatio >= 0.7) {
     stats.dataType = 'email';
+  } else if (stats.driveFileRatio >= 0.7) {
+    // URL は長いので long-text より先に判定しないと answer 候補に化ける。
+    stats.dataType = 'drive-file';
   } else if (stats.avgLength >= 20) {
     stats.dataType = 'long-text';
   } else if (stats.avgLength <= 8) {
@@ -223,23 +301,25 @@ function __dataTypeBoost(stats, role) {
     case 'answer':
       if (t === 'long-text') return 8;
       if (t === 'medium-text') return 3;
-      if (t === 'integer-scale' || t === 'email') return -15;
+      if (t === 'integer-scale' || t === 'email' || t === 'drive-file') return -15;
       return 0;
     case 'reason':
       if (t === 'long-text') return 6;
       if (t === 'medium-text') return 3;
-      if (t === 'integer-scale' || t === 'email') return -15;
+      if (t === 'integer-scale' || t === 'email' || t === 'drive-file') return -15;
       return 0;
     case 'name':
       if (t === 'short-text' && stats.avgLength <= 8) return 8;
-      if (t === 'email' || t === 'integer-scale') return -15;
+      if (t === 'email' || t === 'integer-scale' || t === 'continuous-numeric' || t === 'drive-file') return -15;
       return 0;
     case 'class':
       if (t === 'short-text' && stats.avgLength <= 10) return 5;
       // クラスは値数が少ない (1-1, 1-2, …) ことが多い → 低カーディナリティを軽く後押し。
       if (stats.cardinality > 0 && stats.cardinality <= 10 && stats.sampleCount >= 5) return 5;
-      if (t === 'integer-scale') return -10;
+      if (t === 'integer-scale' || t === 'drive-file') return -10;
       return 0;
+    case 'image':
+      return t === 'drive-file' ? 15 : 0;
     default:
       return 0;
   }
@@ -255,9 +335,13 @@ function __boardModeBoost(role, boardMode) {
   switch (boardMode) {
     case 'pie':
     case 'wordcloud':
+    case 'cluster':
+    case 'ranking':
+    case 'qa':
       return role === 'answer' ? 5 : 0;
     case 'numberline':
     case 'matrix':
+    case 'distribution':
     case 'board':
     case 'auto':
     default:
@@ -279,7 +363,7 @@ function __boardModeBoost(role, boardMode) {
  * @param {Array<string>} [options.fields]
  * @param {Object} [options.existingMapping] - 既存マッピング (固定)
  * @param {boolean} [options.includeNumericScale=true] - numericX/Y を mapping に含めるか
- * @returns {{ mapping, confidence, columns, numericScaleCandidates }}
+ * @returns {{ mapping, confidence, columns, numericScaleCandidates, continuousNumericCandidates }}
  */
 function inferColumnRoles(headers, sampleData = [], options = {}) {
   const roles = (options.fields && options.fields.length) ? options.fields : __DEFAULT_ROLES;
@@ -288,7 +372,7 @@ function inferColumnRoles(headers, sampleData = [], options = {}) {
   const includeNumericScale = options.includeNumericScale !== false;
 
   if (!Array.isArray(headers) || headers.length === 0) {
-    return { mapping: {}, confidence: {}, columns: [], numericScaleCandidates: [] };
+    return { mapping: {}, confidence: {}, columns: [], numericScaleCandidates: [], continuousNumericCandidates: [] };
   }
 
   // 各列のサンプル統計を 1 回計算しキャッシュ
@@ -319,6 +403,9 @@ function inferColumnRoles(headers, sampleData = [], options = {}) {
     const cands = [];
     for (const col of columns) {
       if (col.isSystem) continue;
+      // Why: 「絵」「図」 は自由記述の問い (「図を見て気づいたこと」) にも出る。 image は
+      //   実データが Drive URL の列に限り、 回答がまだ無い列は教師の手動選択に任せる。
+      if (role === 'image' && col.stats.dataType !== 'drive-file') continue;
       const headerScore = __headerPatternScore(col.header, role);
       const dataBoost = __dataTypeBoost(col.stats, role);
       const modeBoost = __boardModeBoost(role, boardMode);
@@ -393,9 +480,19 @@ function inferColumnRoles(headers, sampleData = [], options = {}) {
 
   // 線形尺度候補 (L2 で integer-scale 判定された列)
   const numericScaleCandidates = __collectNumericScaleCandidates(columns);
+  // 連続数値候補 (L2 で continuous-numeric 判定された列)
+  const continuousNumericCandidates = __collectContinuousNumericCandidates(columns);
 
   // numericX/Y を mapping に自動マージ (Greedy で未割当 + 信頼度 >= 80)
-  if (includeNumericScale) {
+  // Why: distribution は教師が明示的に選ぶモードなので閾値を 70 に下げ、連続数値列を優先する。
+  //      連続数値列が無ければ線形尺度列でも分布は描けるのでフォールバックする。
+  if (includeNumericScale && boardMode === 'distribution') {
+    const best = continuousNumericCandidates[0] || numericScaleCandidates[0];
+    if (best && typeof mapping.numericX !== 'number' && best.confidence >= 70) {
+      mapping.numericX = best.index;
+      confidence.numericX = best.confidence;
+    }
+  } else if (includeNumericScale) {
     if (numericScaleCandidates.length >= 1
         && typeof mapping.numericX !== 'number'
         && numericScaleCandidates[0].confidence >= 80) {
@@ -419,7 +516,7 @@ function inferColumnRoles(headers, sampleData = [], options = {}) {
     }
   }
 
-  return { mapping, confidence, columns, numericScaleCandidates };
+  return { mapping, confidence, columns, numericScaleCandidates, continuousNumericCandidates };
 }
 
 // =====================================================================
@@ -453,6 +550,36 @@ function __collectNumericScaleCandidates(columns) {
   return candidates;
 }
 
+// 測定・見積もりを問うヘッダーに現れやすい語 (L1 相当の弱い後押し)
+const __CONTINUOUS_HEADER_REGEX = /(数値|値|長さ|重さ|高さ|温度|時間|距離|速さ|面積|体積|測定|予想|推定|およそ|cm|mm|kg|℃)/i;
+
+function __collectContinuousNumericCandidates(columns) {
+  const candidates = [];
+  for (const col of columns) {
+    if (col.isSystem) continue;
+    const s = col.stats;
+    if (!s || s.dataType !== 'continuous-numeric') continue;
+
+    let conf = 55;
+    if (s.sampleCount >= 5) conf += 10;
+    if (s.sampleCount >= 15) conf += 10;
+    // 小数を含む列は線形尺度でも ID でもなく、ほぼ確実に測定値
+    if (s.hasDecimal) conf += 15;
+    if (__CONTINUOUS_HEADER_REGEX.test(String(col.header || ''))) conf += 10;
+
+    candidates.push({
+      index: col.index,
+      header: String(col.header || '').trim(),
+      min: s.numericMin,
+      max: s.numericMax,
+      sampleCount: s.sampleCount,
+      confidence: Math.min(conf, 95)
+    });
+  }
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  return candidates;
+}
+
 function detectNumericScaleColumns(headers, sampleData) {
   if (!Array.isArray(headers) || !Array.isArray(sampleData)) return [];
   const columns = headers.map((header, index) => {
@@ -540,6 +667,7 @@ function performIntegratedColumnDiagnostics(originalHeaders, options = {}) {
       recommendedMapping,
       confidence: conf,
       numericScaleCandidates: inferred.numericScaleCandidates,
+      continuousNumericCandidates: inferred.continuousNumericCandidates,
       columnIntelligence: inferred.columns.map(c => ({
         index: c.index, header: c.header,
         role: c.role, confidence: c.confidence,
@@ -560,6 +688,7 @@ function performIntegratedColumnDiagnostics(originalHeaders, options = {}) {
       headers: originalHeaders,
       recommendedMapping: {},
       numericScaleCandidates: [],
+      continuousNumericCandidates: [],
       confidence: {}
     };
   }
@@ -3,7 +3,7 @@
  *   動的 URL 生成 / profiles・profileHistory のサニタイズ。
  */
 
-/* global getCurrentEmail, findUserById, updateUser, SYSTEM_LIMITS, validateConfig, validateSpreadsheetId, openSpreadsheet, getSheetInfo, DEFAULT_DISPLAY_SETTINGS, getCachedProperty, logError_ */
+/* global getCurrentEmail, findUserById, updateUser, SYSTEM_LIMITS, validateConfig, validateSpreadsheetId, openSpreadsheet, getSheetInfo, DEFAULT_DISPLAY_SETTINGS, getCachedProperty, sanitizeReactionSet, sanitizeRubric, sanitizeModerationOverride, sanitizePhaseTimerState, logError_ */
 
 /**
  * デフォルト設定取得
@@ -242,6 +242,31 @@ function validateAndSanitizeConfig(config, userId) {
     if ('allowResubmit' in sanitized) {
       sanitized.allowResubmit = Boolean(sanitized.allowResubmit);
     }
+    if ('correctValue' in sanitized) {
+      const v = sanitizeCorrectValue(sanitized.correctValue);
+      if (v !== null) sanitized.correctValue = v; else delete sanitized.correctValue;
+    }
+    // リアクション語彙 (ReactionService.sanitizeReactionSet)。 既定の 3 種に戻したら config から消す。
+    if ('reactionSet' in sanitized) {
+      const v = sanitizeReactionSet(sanitized.reactionSet);
+      if (v) sanitized.reactionSet = v; else delete sanitized.reactionSet;
+    }
+    // ルーブリック相互評価 (ReactionService.sanitizeRubric)。 観点が 2 個未満なら相互評価なし。
+    if ('rubric' in sanitized) {
+      const v = sanitizeRubric(sanitized.rubric);
+      if (v) sanitized.rubric = v; else delete sanitized.rubric;
+    }
+    // NG ワードのボードごとの上書き (ModerationService.sanitizeModerationOverride)。 空なら学校のルールのまま。
+    if ('moderation' in sanitized) {
+      const v = sanitizeModerationOverride(sanitized.moderation);
+      if (v) sanitized.moderation = v; else delete sanitized.moderation;
+    }
+
+    // 授業のフェーズのタイマー (LessonService.sanitizePhaseTimerState)。 壊れた値なら消す (ボードはタイマー無し表示)。
+    if ('phaseTimer' in sanitized && typeof sanitizePhaseTimerState === 'function') {
+      const v = sanitizePhaseTimerState(sanitized.phaseTimer);
+      if (v) sanitized.phaseTimer = v; else delete sanitized.phaseTimer;
+    }
 
     // multi-board: profiles 配列とアクティブプロファイル名
     // Why: 1 ユーザーが複数 Forms を切替えて使えるよう、設定スナップショットを保持。
@@ -333,6 +358,8 @@ function sanitizeDisplaySettings(displaySettings) {
   const sanitized = {
     showNames: __strictBool(displaySettings.showNames),
     showReactions: __strictBool(displaySettings.showReactions),
+    // ボード上の入力パネルから直接回答させるか (既定 OFF。フォームだけで回答を集める既存運用を変えない)。
+    directSubmission: __strictBool(displaySettings.directSubmission),
     theme: String(displaySettings.theme || 'default').substring(0, SYSTEM_LIMITS.PREVIEW_LENGTH),
     pageSize: Math.min(Math.max(Number(displaySettings.pageSize) || SYSTEM_LIMITS.DEFAULT_PAGE_SIZE, 1), SYSTEM_LIMITS.MAX_PAGE_SIZE)
   };
@@ -354,7 +381,8 @@ function sanitizeMapping(columnMapping) {
   const sanitized = {};
   // Why: numericX/numericY は可視化モード用の数値列指標。
   //      Forms「線形尺度」列を指す。answer/reason と独立して任意設定可能。
-  const validFields = ['answer', 'reason', 'class', 'name', 'timestamp', 'email', 'numericX', 'numericY'];
+  //      image は画像回答 (Forms のアップロード / お絵かき) の列。
+  const validFields = ['answer', 'reason', 'class', 'name', 'timestamp', 'email', 'numericX', 'numericY', 'image'];
 
   validFields.forEach(field => {
     const index = columnMapping[field];
@@ -379,6 +407,16 @@ function sanitizeAxisLabels(input) {
   return out;
 }
 
+/**
+ * distribution モードの正解値をサニタイズ。有限数値以外 (空欄・null・文字列) は null。
+ * Why: 空欄で保存されたら config から消したいので、0 と「未設定」を区別して返す。
+ */
+function sanitizeCorrectValue(input) {
+  if (input === null || input === undefined || input === '') return null;
+  const n = typeof input === 'number' ? input : Number(input);
+  return Number.isFinite(n) ? n : null;
+}
+
 function sanitizeQuadrantLabels(input) {
   if (!input || typeof input !== 'object') return null;
   const cap = (v) => String(v == null ? '' : v).substring(0, 40);
@@ -487,6 +525,12 @@ function sanitizeProfiles(input) {
     const q = sanitizeQuadrantLabels(p.matrixQuadrantLabels);
     if (q) cleaned.matrixQuadrantLabels = q;
     if (typeof p.allowResubmit !== 'undefined') cleaned.allowResubmit = Boolean(p.allowResubmit);
+    const cv = sanitizeCorrectValue(p.correctValue);
+    if (cv !== null) cleaned.correctValue = cv;
+    const rs = sanitizeReactionSet(p.reactionSet);
+    if (rs) cleaned.reactionSet = rs;
+    const rubric = sanitizeRubric(p.rubric);
+    if (rubric) cleaned.rubric = rubric;
 
     out.push(cleaned);
     if (out.length >= MAX_PROFILES) break;
@@ -4,7 +4,7 @@
  *   依存関係は下の global 宣言を参照。
  */
 
-/* global getCurrentEmail, isAdministrator, findUserById, findUserByEmail, findPublishedBoardOwner, getUserConfig, getConfigOrDefault, DEFAULT_DISPLAY_SETTINGS, saveUserConfig, openSpreadsheet, getSheetInfo, getUserSheetData, getBatchedAdminAuth, getFormInfo, invalidateSheetHeadersCache, performIntegratedColumnDiagnostics, applySpreadsheetSharingDefaults, validateAccess, createAuthError, createUserNotFoundError, createErrorResponse, createExceptionResponse, emailToShortHash, sanitizeProfileHistory, safeJsonParse_ */
+/* global getCurrentEmail, isAdministrator, findUserById, findUserByEmail, findPublishedBoardOwner, getUserConfig, getConfigOrDefault, DEFAULT_DISPLAY_SETTINGS, saveUserConfig, openSpreadsheet, getSheetInfo, getUserSheetData, getBatchedAdminAuth, getFormInfo, invalidateSheetHeadersCache, performIntegratedColumnDiagnostics, applySpreadsheetSharingDefaults, validateAccess, createAuthError, createUserNotFoundError, createErrorResponse, createExceptionResponse, emailToShortHash, sanitizeProfileHistory, safeJsonParse_, listDirectAnswerFields_, sanitizeReactionSet, reactionKeysOf_, sanitizeRubric, sanitizePhaseTimerState, canActOnTargetBoard, parseDriveFileIds, fetchDriveImageViaServiceAccount_, addServiceAccountsAsViewers, buildPiiMatcher_, maskPiiInItem_, getRoleCapabilitiesFor_ */
 // GAS built-ins (DriveApp, SpreadsheetApp, ScriptApp, URL, FormApp, UrlFetchApp, Utilities, Session)
 // は eslint.config.js の globals に登録済み — ここで再宣言しない。
 
@@ -40,26 +40,9 @@ function uploadLessonImage(base64Data, filename) {
   try {
     const email = getCurrentEmail();
     if (!email) return createAuthError();
-    if (typeof base64Data !== 'string' || base64Data.length === 0) {
-      return createErrorResponse('画像データが指定されていません');
-    }
-    // data URL prefix を剥がして MIME / payload を分離
-    let mimeType = '';
-    let payload = base64Data;
-    const dataUrlMatch = base64Data.match(/^data:([\w\/\-+.]+);base64,(.+)$/);
-    if (dataUrlMatch) {
-      mimeType = dataUrlMatch[1].toLowerCase();
-      payload = dataUrlMatch[2];
-    }
-    if (!mimeType || !LESSON_IMAGE_ALLOWED_MIMES[mimeType]) {
-      return createErrorResponse('対応していない画像形式です (png/jpeg/gif/webp のみ)');
-    }
-    // base64 のおおよそのサイズ (4 文字 → 3 bytes)
-    const approxBytes = Math.floor(payload.length * 3 / 4);
-    if (approxBytes > LESSON_IMAGE_MAX_BYTES) {
-      return createErrorResponse(`画像サイズが大きすぎます (${Math.round(approxBytes / 1024 / 1024)} MB) — 5 MB 以下にしてください`);
-    }
-    const bytes = Utilities.base64Decode(payload);
+    const decoded = decodeImageDataUrl_(base64Data);
+    if (decoded.error) return createErrorResponse(decoded.error);
+    const { mimeType, bytes, approxBytes } = decoded;
     const ext = LESSON_IMAGE_ALLOWED_MIMES[mimeType];
     // 許可文字: ASCII 英数記号 + Hiragana/Katakana/CJK Ideographs。
     //   範囲は ぁ (ぁ) から 鿿 (CJK 末端)。ASCII 制御文字や全角空白は除外。
@@ -82,6 +65,188 @@ function uploadLessonImage(base64Data, filename) {
   }
 }
 
+/**
+ * 「data:image/png;base64,...」 を検証して bytes にする (教材画像・お絵かき回答で共用)。
+ * @param {string} base64Data
+ * @returns {{mimeType:string, bytes:Array<number>, approxBytes:number}|{error:string}}
+ */
+function decodeImageDataUrl_(base64Data) {
+  if (typeof base64Data !== 'string' || base64Data.length === 0) {
+    return { error: '画像データが指定されていません' };
+  }
+  // data URL prefix を剥がして MIME / payload を分離
+  let mimeType = '';
+  let payload = base64Data;
+  const dataUrlMatch = base64Data.match(/^data:([\w\/\-+.]+);base64,(.+)$/);
+  if (dataUrlMatch) {
+    mimeType = dataUrlMatch[1].toLowerCase();
+    payload = dataUrlMatch[2];
+  }
+  if (!mimeType || !LESSON_IMAGE_ALLOWED_MIMES[mimeType]) {
+    return { error: '対応していない画像形式です (png/jpeg/gif/webp のみ)' };
+  }
+  // base64 のおおよそのサイズ (4 文字 → 3 bytes)
+  const approxBytes = Math.floor(payload.length * 3 / 4);
+  if (approxBytes > LESSON_IMAGE_MAX_BYTES) {
+    return { error: `画像サイズが大きすぎます (${Math.round(approxBytes / 1024 / 1024)} MB) — 5 MB 以下にしてください` };
+  }
+  return { mimeType, bytes: Utilities.base64Decode(payload), approxBytes };
+}
+
+// =========================================================================
+// 画像回答 (Forms のファイルアップロード列 / ボードのお絵かき)
+// =========================================================================
+//
+// セルには Drive file ID (Forms は open?id= URL) だけが入る。 viewer には Drive 権限を
+// 渡さず、 getAnswerImage が SA pool 経由で読んだ画像を data URL で返す。
+//   - お絵かき: 児童本人の「みんなの回答ボード」 フォルダに保存し、 SA pool だけに共有する。
+//   - Forms アップロード: 教師の Drive にある。 教師がボードで画像を開いたときに、
+//     その親フォルダを SA pool に共有する (以後の児童のアップロードも同じフォルダに入る)。
+
+const ANSWER_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+// CacheService の 1 値上限 (100KB) に収まる縮小版だけ cache する。
+const ANSWER_IMAGE_CACHE_MAX_CHARS = 95 * 1024;
+const ANSWER_IMAGE_CACHE_TTL_SEC = 6 * 60 * 60;
+const ANSWER_IMAGE_CACHE_KEYS_ = {
+  DATA: 'answer_img:',          // data URL (key: variant + fileId)
+  MEMBER: 'answer_img_member:', // fileId がボードの画像列にあるか (key: ssId + fileId)
+  SHARED: 'answer_img_shared:'  // 親フォルダを SA pool に共有済み (key: folderId)
+};
+const DRIVE_FILE_ID_FORMAT_ = /^[\w-]{20,100}$/;
+
+/**
+ * お絵かき回答を児童本人の Drive に保存し、 SA pool を閲覧者に追加する。
+ * @param {string} dataUrl - 「data:image/png;base64,...」
+ * @returns {{fileId:string}|{error:string}}
+ */
+function saveAnswerImage_(dataUrl) {
+  const decoded = decodeImageDataUrl_(dataUrl);
+  if (decoded.error) return { error: decoded.error };
+  const ext = LESSON_IMAGE_ALLOWED_MIMES[decoded.mimeType];
+  const folder = createUserFolder();
+  if (!folder) return { error: 'Drive フォルダ作成に失敗しました' };
+  const file = folder.createFile(Utilities.newBlob(decoded.bytes, decoded.mimeType, `answer-${Date.now()}.${ext}`));
+  // SA に共有できないと誰にも見えない回答になる。 file を残したまま失敗を返す。
+  const shared = addServiceAccountsAsViewers(file.getId(), 'file');
+  if (!shared.success) {
+    logError_('saveAnswerImage_', new Error(shared.errors.join('; ')), { fileId: file.getId() });
+    return { error: '画像を共有できませんでした。しばらくしてから再度お試しください。' };
+  }
+  return { fileId: file.getId() };
+}
+
+/**
+ * fileId がボードの画像列に載っているか。 任意の fileId を読ませない (SA が閲覧者に
+ *   なっている別ボードの画像や教材を、 ID を知っているだけで取り出されないようにする)。
+ */
+function isBoardAnswerImage_(config, fileId) {
+  const cache = CacheService.getScriptCache();
+  const memberKey = `${ANSWER_IMAGE_CACHE_KEYS_.MEMBER}${config.spreadsheetId}:${fileId}`;
+  if (cache.get(memberKey)) return true;
+
+  const imageIndex = config.columnMapping && config.columnMapping.image;
+  if (typeof imageIndex !== 'number' || imageIndex < 0) return false;
+  const dataAccess = openSpreadsheet(config.spreadsheetId, { context: 'answer_image' });
+  const sheet = dataAccess && dataAccess.spreadsheet && dataAccess.spreadsheet.getSheetByName(config.sheetName);
+  if (!sheet) return false;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return false;
+  const cells = sheet.getRange(2, imageIndex + 1, lastRow - 1, 1).getValues();
+  const found = cells.some((cell) => Array.isArray(cell) && parseDriveFileIds(cell[0]).includes(fileId));
+  if (found) cache.put(memberKey, '1', ANSWER_IMAGE_CACHE_TTL_SEC);
+  return found;
+}
+
+/**
+ * 教師のセッションで Drive から直接読む (Forms のアップロードは教師の Drive にある)。
+ *   読めたら親フォルダを SA pool に共有し、 以後は児童の端末からも SA 経由で読めるようにする。
+ */
+function readAnswerImageAsOwner_(fileId, thumbnail) {
+  const file = DriveApp.getFileById(fileId);
+  const mimeType = String(file.getMimeType() || '');
+  if (mimeType.indexOf('image/') !== 0) return { error: 'NOT_IMAGE' };
+  if (!thumbnail && file.getSize() > ANSWER_IMAGE_MAX_BYTES) return { error: 'TOO_LARGE' };
+
+  const cache = CacheService.getScriptCache();
+  const parents = file.getParents();
+  while (parents.hasNext()) {
+    const folderId = parents.next().getId();
+    const sharedKey = ANSWER_IMAGE_CACHE_KEYS_.SHARED + folderId;
+    if (cache.get(sharedKey)) continue;
+    if (addServiceAccountsAsViewers(folderId, 'folder').success) {
+      cache.put(sharedKey, '1', ANSWER_IMAGE_CACHE_TTL_SEC);
+    }
+  }
+
+  const blob = thumbnail ? (file.getThumbnail() || file.getBlob()) : file.getBlob();
+  return { mimeType: String(blob.getContentType() || mimeType), bytes: blob.getBytes() };
+}
+
+/**
+ * 画像回答を data URL で返す (カードの縮小版 / ライトボックスの元画像)。
+ *
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {string} fileId - Drive file ID (行データの images[])
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - true で元画像、 既定はカード用の縮小版
+ * @returns {Object} { success, dataUrl?, message?, error? }
+ */
+function getAnswerImage(targetUserId, fileId, options = {}) {
+  try {
+    const viewerEmail = getCurrentEmail();
+    if (!viewerEmail) return createAuthError();
+    if (typeof fileId !== 'string' || !DRIVE_FILE_ID_FORMAT_.test(fileId)) {
+      return createErrorResponse('画像の ID が正しくありません');
+    }
+
+    const isAdmin = isAdministrator(viewerEmail);
+    const targetUser = findPublishedBoardOwner(targetUserId, viewerEmail, { preloadedAuth: { email: viewerEmail, isAdmin } });
+    if (!targetUser) return createUserNotFoundError();
+    const config = getConfigOrDefault(targetUserId, targetUser);
+    if (!config.spreadsheetId || !config.sheetName) {
+      return createErrorResponse('Board configuration incomplete');
+    }
+    if (!canActOnTargetBoard(viewerEmail, targetUser, config, { isAdmin })) {
+      return createErrorResponse('Access denied to target board');
+    }
+
+    // data URL の cache は fileId 単位なので、 先にこのボードの画像かを確かめる。
+    if (!isBoardAnswerImage_(config, fileId)) {
+      return createErrorResponse('このボードの画像ではありません');
+    }
+
+    const thumbnail = !(options && options.full === true);
+    const cache = CacheService.getScriptCache();
+    const dataKey = `${ANSWER_IMAGE_CACHE_KEYS_.DATA}${thumbnail ? 't' : 'f'}:${fileId}`;
+    const cached = cache.get(dataKey);
+    if (cached) return createSuccessResponse('ok', null, { dataUrl: cached });
+
+    let image = fetchDriveImageViaServiceAccount_(fileId, { thumbnail, maxBytes: ANSWER_IMAGE_MAX_BYTES });
+    // SA に未共有の Forms アップロードは、 教師 (owner / 共同編集者) が開いたときだけ直接読む。
+    if (image.error === 'NOT_SHARED' || image.error === 'SA_POOL_EMPTY') {
+      const isEditor = canActOnTargetBoard(viewerEmail, targetUser, config, { isAdmin, requireEditor: true });
+      if (isEditor) image = readAnswerImageAsOwner_(fileId, thumbnail);
+    }
+    if (image.error) {
+      const messages = {
+        NOT_SHARED: '先生がボードを開くと表示されます',
+        NOT_IMAGE: '画像ではないファイルです',
+        TOO_LARGE: '画像が大きすぎて表示できません'
+      };
+      return createErrorResponse(messages[image.error] || '画像を読み込めませんでした', null, { error: image.error });
+    }
+
+    const dataUrl = `data:${image.mimeType};base64,${Utilities.base64Encode(image.bytes)}`;
+    if (dataUrl.length <= ANSWER_IMAGE_CACHE_MAX_CHARS) {
+      try { cache.put(dataKey, dataUrl, ANSWER_IMAGE_CACHE_TTL_SEC); } catch (_) { /* ignore */ }
+    }
+    return createSuccessResponse('ok', null, { dataUrl });
+  } catch (error) {
+    logError_('getAnswerImage', error);
+    return createExceptionResponse(error);
+  }
+}
+
 function createUserFolder() {
   try {
     const folderName = 'みんなの回答ボード';
@@ -171,7 +336,10 @@ const TEMPLATE_LABELS = Object.freeze({
   board: '掲示板',
   numberline: '数直線',
   matrix: 'マトリクス',
-  pie: '円グラフ'
+  pie: '円グラフ',
+  ranking: 'ランキング',
+  qa: 'Q&A',
+  rubric: '相互評価'
 });
 
 function addScaleItemTo_(form, { title, helpText, lowLabel, highLabel, scalePoints }) {
@@ -192,6 +360,9 @@ function addScaleItemTo_(form, { title, helpText, lowLabel, highLabel, scalePoin
  *   - 'board'      (既定): クラス / 名前 / 回答(選択肢) / 理由            — 既存掲示板モード
  *   - 'numberline' (M1)  : クラス / 名前 / 立場(線形尺度1-5) / 理由       — 数直線可視化
  *   - 'matrix'     (M2)  : クラス / 名前 / X軸(線形尺度) / Y軸(線形尺度) / 理由 — 散布図
+ *   - 'ranking'           : クラス / 名前 / アイデア(記述) / 理由・説明         — リアクション順位表
+ *   - 'qa'                : クラス / 名前 / 質問(記述) / くわしく             — 質問箱 + 先生の回答
+ *   - 'rubric'            : クラス / 名前 / 考え(段落) / 理由・根拠           — 掲示板 + ルーブリック相互評価
  *
  * Why M1/M2 テンプレートを用意するか: detectNumericScaleColumns は実データから
  *   線形尺度列を検出するが、空のフォームでは検出できないので教師に手動で
@@ -200,7 +371,7 @@ function addScaleItemTo_(form, { title, helpText, lowLabel, highLabel, scalePoin
  *
  * ベストプラクティス: https://developers.google.com/apps-script/reference/forms/form
  *
- * @param {string} [templateType='board'] - 'board' | 'numberline' | 'matrix'
+ * @param {string} [templateType='board'] - 'board' | 'numberline' | 'matrix' | 'pie' | 'ranking' | 'qa' | 'rubric'
  * @returns {Object} 作成結果（フォームURL、スプレッドシートID等）
  */
 function createTemplateForm(templateType, templateOptions) {
@@ -367,6 +538,42 @@ function createTemplateForm(templateType, templateOptions) {
         .setTitle('理由')
         .setRequired(true)
         .setHelpText(isPie ? 'そう選んだ理由を書いてください' : '選んだ理由を書いてください');
+    } else if (type === 'ranking') {
+      // ranking は「児童のアイデア 1 件 = 1 行」をリアクション数で順位付けする。
+      //   選択肢にすると同じ値が複数行に割れて票が分散するので、answer は短い記述式。
+      //   説明は任意 (アイデアだけ出して他の児童の票を待つ使い方を妨げない)。
+      form.addTextItem()
+        .setTitle(safeStr(opts.ideaTitle, question || phaseName || 'あなたのアイデア', 60))
+        .setRequired(true)
+        .setHelpText('ひとことで書いてください');
+      // title に「理由」を含めて ColumnMappingService の reason 推論に乗せる。
+      form.addParagraphTextItem()
+        .setTitle('理由・説明')
+        .setRequired(false)
+        .setHelpText('アイデアのくわしい説明があれば書いてください');
+    } else if (type === 'qa') {
+      // qa は「児童の質問 1 件 = 1 カード」に先生が回答する。 質問文は段落にすると
+      //   カードが縦に伸びて一覧性が落ちるので短い記述式、 背景説明は任意の段落。
+      form.addTextItem()
+        .setTitle(safeStr(opts.questionTitle, question || phaseName || '先生への質問', 60))
+        .setRequired(true)
+        .setHelpText('質問をひとことで書いてください');
+      // title に「理由」 は質問箱として不自然なので、 reason キーワードの「どうして」 で推論に乗せる。
+      form.addParagraphTextItem()
+        .setTitle('くわしく（どうしてそう思ったか）')
+        .setRequired(false)
+        .setHelpText('質問の背景があれば書いてください');
+    } else if (type === 'rubric') {
+      // rubric は児童どうしが観点ごとに採点する。 採点するには読み比べられるだけの量が
+      //   要るので answer は段落。 根拠の観点で見られるよう理由欄も必須にする。
+      form.addParagraphTextItem()
+        .setTitle(safeStr(opts.answerTitle, question || phaseName || 'あなたの考え', 60))
+        .setRequired(true)
+        .setHelpText('友だちが読んで分かるように書いてください');
+      form.addParagraphTextItem()
+        .setTitle('理由・根拠')
+        .setRequired(true)
+        .setHelpText('そう考えた理由や根拠を書いてください');
     }
 
     // ----- 送信後の確認メッセージ: 児童に達成感を与え、再投稿可否も伝える -----
@@ -877,6 +1084,14 @@ function validateHeaderIntegrity(targetUserId) {
  * so any viewer could read peers' emails via DevTools. We now filter on the
  * server so the wire never sees the identity when identity is not permitted.
  * Admins and board owners always see everything (they can see raw sheet anyway).
+ * A school_admin / grade_leader role (RoleService, viewerContext.roleCanViewIdentity)
+ * also gets the identity columns, but nothing else the owner sees.
+ *
+ * Why mask answer text: the name *column* is not the only place a name appears —
+ * students write classmates' names, emails and phone numbers into the reason.
+ * Those are replaced (PiiMaskingService) unless the owner/admin turned on admin
+ * mode (viewerContext.adminMode), because the owner's normal view is the one on
+ * the projector. Names are only masked when showNames is off.
  */
 // getUserSheetData 失敗時に viewer へ返す標準 empty-board response。
 //   複数の read 経路で同一だったのを集約。
@@ -893,9 +1108,22 @@ function buildSheetDataErrorResult_(result) {
 function buildSafePublishedDataResult(result, config, viewerContext = {}) {
   const displaySettings = (config && config.displaySettings) || DEFAULT_DISPLAY_SETTINGS;
   const includeIdentity = Boolean(
-    viewerContext.isAdmin || viewerContext.isOwnBoard || displaySettings.showNames
+    viewerContext.isAdmin || viewerContext.isOwnBoard || viewerContext.roleCanViewIdentity ||
+    displaySettings.showNames
   );
-  const rows = Array.isArray(result.data) ? result.data : [];
+  // Why: NG ワードに当たって先生の判断待ちの回答 (moderation.status='held') は、 閲覧者だけでなく
+  //      先生の画面からも外す。 先生の画面はそのままプロジェクターに映るので、 判断は AdminPanel の
+  //      承認待ち一覧 (ModerationService.getModerationQueue) でだけ行う。 held は getUserSheetData の
+  //      時点で行に載っているので、 board data cache から返した行でもここで落ちる。
+  const allRows = Array.isArray(result.data) ? result.data : [];
+  const rows = allRows.filter(item => !isModerationHeld_(item));
+  // 閲覧者が所有者/管理者かどうか。client の UI 表示判定に使う。
+  const isPrivilegedViewer = Boolean(viewerContext.isAdmin || viewerContext.isOwnBoard);
+  // 名簿は伏せる前の行 (name 付き) から作る。 held 行の名前も名簿には入れる。
+  const revealPii = isPrivilegedViewer && viewerContext.adminMode === true;
+  const piiMatcher = !revealPii && typeof buildPiiMatcher_ === 'function'
+    ? buildPiiMatcher_(allRows, { names: !displaySettings.showNames })
+    : null;
 
   // Why: 可視化モード（M1/M2）で同一児童の再投稿を「揺らぎ」として追跡するために
   //      仮名化された emailHash を全モードで wire に乗せる。生メアドは showNames=false なら除去。
@@ -906,6 +1134,11 @@ function buildSafePublishedDataResult(result, config, viewerContext = {}) {
     const rawEmail = item.email;
     for (const key in item) {
       if (!includeIdentity && (key === 'email' || key === 'name')) continue;
+      // Why: 相互評価の平均・ばらつきは教師だけに見せる。児童の端末に点数が並ぶと
+      //      「低く付けられた」 回答が特定でき、 評価が人気投票になる。
+      if (key === 'rubric' && !isPrivilegedViewer) continue;
+      // 伏せ字 / 承認済みの印は先生向け。 児童の端末には「どの回答が引っかかったか」 を残さない。
+      if (key === 'moderation' && !isPrivilegedViewer) continue;
       const v = item[key];
       cleaned[key] = v instanceof Date ? v.toISOString() : v;
     }
@@ -913,6 +1146,7 @@ function buildSafePublishedDataResult(result, config, viewerContext = {}) {
     if (typeof rawEmail === 'string' && rawEmail) {
       cleaned.emailHash = emailToShortHash(rawEmail);
     }
+    if (piiMatcher) maskPiiInItem_(cleaned, piiMatcher);
     return cleaned;
   });
 
@@ -943,9 +1177,11 @@ function buildSafePublishedDataResult(result, config, viewerContext = {}) {
     defaultMin: 1,
     defaultMax: 5
   };
-
-  // 閲覧者が所有者/管理者かどうか。client の UI 表示判定に使う。
-  const isPrivilegedViewer = Boolean(viewerContext.isAdmin || viewerContext.isOwnBoard);
+  // Why: distribution の正解値は児童の端末に送ると DevTools で答えが見えてしまう。
+  //      教師画面 (= 投影側) にだけ載せ、表示も教師の「正解を表示」操作まで伏せる。
+  if (isPrivilegedViewer && config && typeof config.correctValue === 'number') {
+    axisConfig.correctValue = config.correctValue;
+  }
 
   // viewer がティーチャー権限を持つかの最終フラグ。client 側で UI 表示判定に使う。
   // server 側で判定する方が改ざんに強い（client の window.isEditor は信用しない）。
@@ -960,18 +1196,60 @@ function buildSafePublishedDataResult(result, config, viewerContext = {}) {
     formTitle: (config && typeof config.formTitle === 'string') ? config.formTitle : ''
   };
 
+  // ボードからの直接回答。入力パネルの欄は実シートの header から決める (列の無い欄は出さない)。
+  //   過去の profile を閲覧中は、書き込み先が「いまのボード」になってしまうので出さない。
+  const directFields = (displaySettings.directSubmission === true && !viewerContext.viewingPastProfile &&
+      typeof listDirectAnswerFields_ === 'function')
+    ? listDirectAnswerFields_(result.headers, columnMapping)
+    : [];
+  const directSubmission = {
+    enabled: directFields.length > 0,
+    fields: directFields,
+    allowResubmit: Boolean(config && config.allowResubmit)
+  };
+
   return {
     success: true,
     data: safeData,
     header: String(result.header || result.sheetName || '回答一覧'),
     sheetName: String(result.sheetName || 'Sheet1'),
     displaySettings: { ...displaySettings, boardMode: effectiveMode },
+    // リアクションボタンの語彙 (key / label / icon)。 null は既定の 3 種。 行の reactions もこの key で集計済み。
+    reactionSet: typeof sanitizeReactionSet === 'function' ? sanitizeReactionSet(config && config.reactionSet) : null,
+    // 相互評価の観点と段階。 null なら相互評価なし (採点 UI を出さない)。
+    rubric: typeof sanitizeRubric === 'function' ? sanitizeRubric(config && config.rubric) : null,
     axisConfig,
     formMeta,
-    viewerIsTeacher
+    directSubmission,
+    viewerIsTeacher,
+    // 承認待ちの件数 (先生にだけ)。 児童には 0 を返し、 隠れた回答があること自体も伝えない。
+    moderationHeldCount: isPrivilegedViewer ? allRows.length - rows.length : 0,
+    // 授業のフェーズのタイマー。 投影画面と児童の端末が同じ残り時間を出せるよう、 端末の時計ではなく
+    //   serverTime との差で数える。
+    phaseTimer: buildPhaseTimerWire_(config),
+    serverTime: Date.now()
   };
 }
 
+/**
+ * ボードに配るフェーズのタイマー。 授業中 (activeLessonId あり) の config だけ。
+ * @param {Object} config
+ * @returns {Object|null} { phaseIndex, durationSec, onExpire, startedAt, endsAt, expiredAt }
+ */
+function buildPhaseTimerWire_(config) {
+  if (!config || !config.activeLessonId || !config.phaseTimer) return null;
+  return typeof sanitizePhaseTimerState === 'function' ? sanitizePhaseTimerState(config.phaseTimer) : null;
+}
+
+/**
+ * 先生の判断待ちで画面に出さない行か (ModerationService.applyModerationToItem_ が印を付ける)。
+ * @param {Object} item - getUserSheetData の行
+ * @returns {boolean}
+ */
+function isModerationHeld_(item) {
+  return Boolean(item && item.moderation && item.moderation.status === 'held');
+}
+
 // =========================================================================
 // board data cache (viewer 経路の SA トラフィック削減)
 // =========================================================================
@@ -993,7 +1271,8 @@ const BOARD_DATA_CACHE_TTL_SEC = 12;
 // Board cache key prefixes (集約。 hardcoded string を排除して typo 防止)。
 const BOARD_CACHE_KEYS_ = {
   DATA: 'board_data:',       // viewer ごとの board read 結果 (key: ssId + version + filter + sort)
-  DATA_VERSION: 'board_data_ver:'  // ボード単位の cache invalidator (key: userId)
+  DATA_VERSION: 'board_data_ver:', // ボード単位の cache invalidator (key: userId)
+  DELTA: 'board_delta:'            // 差分 polling の基準 snapshot (key: userId + cursor)
 };
 
 function getBoardDataVersion_(userId) {
@@ -1088,22 +1367,33 @@ function withBoardDataCache_(userId, options, loader) {
  * @param {string} targetUserId
  * @param {string} email - 呼び出し元 (viewer) email
  * @param {boolean} isAdmin - システム管理者か (事前計算済を渡す)
- * @returns {{ok:true, targetUser:Object, config:Object, isOwnBoard:boolean} | {ok:false, reason:('not_found'|'denied')}}
+ *   roleCapabilities は viewer が役割 (RoleService) でこのボードに持つ capability。 viewBoard が
+ *   あれば未公開でも読める (読み取り専用。 書き込み系 endpoint はこの関数を通らない)。
+ * @returns {{ok:true, targetUser:Object, config:Object, isOwnBoard:boolean, roleCapabilities:Array<string>} | {ok:false, reason:('not_found'|'denied')}}
  */
 function resolveViewerBoardAccess_(targetUserId, email, isAdmin) {
   const targetUser = findPublishedBoardOwner(targetUserId, email, { preloadedAuth: { email, isAdmin } });
   if (!targetUser) return { ok: false, reason: 'not_found' };
   const config = getConfigOrDefault(targetUser.userId, targetUser);
   const isOwnBoard = sameEmail_(targetUser.userEmail, email);
-  if (!isAdmin && !isOwnBoard && !config.isPublished) return { ok: false, reason: 'denied' };
-  return { ok: true, targetUser, config, isOwnBoard };
+  // 役割が効くのは未公開ボードと名前を隠したボードだけ。 公開 + showNames のボードを見る児童の
+  //   polling では roles 表 (ScriptCache) を引かない。
+  const showNames = Boolean(config.displaySettings && config.displaySettings.showNames);
+  const roleCapabilities = (!isAdmin && !isOwnBoard && (!config.isPublished || !showNames)
+      && typeof getRoleCapabilitiesFor_ === 'function')
+    ? getRoleCapabilitiesFor_(email, targetUser)
+    : [];
+  if (!isAdmin && !isOwnBoard && !config.isPublished && !roleCapabilities.includes('viewBoard')) {
+    return { ok: false, reason: 'denied' };
+  }
+  return { ok: true, targetUser, config, isOwnBoard, roleCapabilities };
 }
 
 /**
  * 統合API: フロントエンド用データ取得（最適化版・クロスユーザー対応）
  * @param {string} classFilter - クラスフィルター
  * @param {string} sortOrder - ソート順
- * @param {boolean} adminMode - 管理者モード
+ * @param {boolean} adminMode - 管理者モード (所有者 / 管理者なら本文の個人情報を伏せずに返す)
  * @param {string} targetUserId - 対象ユーザーID
  * @returns {Object} フロントエンド期待形式のデータ
  */
@@ -1136,7 +1426,7 @@ function getPublishedSheetData(classFilter, sortOrder, adminMode, targetUserId)
         }
         return { success: false, error: 'このボードは未公開です', data: [], sheetName: '', header: '未公開' };
       }
-      const { targetUser, config: targetUserConfig, isOwnBoard } = access;
+      const { targetUser, config: targetUserConfig, isOwnBoard, roleCapabilities } = access;
 
       const options = {
         classFilter: classFilter !== 'すべて' ? classFilter : undefined,
@@ -1161,10 +1451,16 @@ function getPublishedSheetData(classFilter, sortOrder, adminMode, targetUserId)
 
       if (!result || !result.success) return buildSheetDataErrorResult_(result);
 
-      return buildSafePublishedDataResult(result, targetUserConfig, {
+      const safeResult = buildSafePublishedDataResult(result, targetUserConfig, {
         isAdmin: isSystemAdmin,
-        isOwnBoard
+        isOwnBoard,
+        roleCanViewIdentity: roleCapabilities.includes('viewIdentity'),
+        adminMode: adminMode === true
       });
+      // 次の polling から getBoardDelta で差分だけを受け取るための基準。 null なら従来の
+      //   getNotificationUpdate で polling する。
+      safeResult.boardCursor = saveBoardDeltaSnapshot_(targetUser.userId, safeResult.data);
+      return safeResult;
     }
 
     const user = findUserByEmail(viewerEmail, {
@@ -1202,7 +1498,8 @@ function getPublishedSheetData(classFilter, sortOrder, adminMode, targetUserId)
 
     return buildSafePublishedDataResult(result, userConfig, {
       isAdmin: isSystemAdmin,
-      isOwnBoard: true
+      isOwnBoard: true,
+      adminMode: adminMode === true
     });
   } catch (error) {
     logError_('getPublishedSheetData', error, {
@@ -1235,9 +1532,10 @@ function getPublishedSheetData(classFilter, sortOrder, adminMode, targetUserId)
  * @param {string} profileName
  * @param {string} [classFilter]
  * @param {string} [sortOrder]
+ * @param {boolean} [adminMode] - getPublishedSheetData と同じ (所有者 / 管理者なら本文の個人情報を伏せない)
  * @returns {Object} buildSafePublishedDataResult 形式 + viewingPastProfile
  */
-function getPublishedSheetDataForProfile(targetUserId, profileName, classFilter, sortOrder) {
+function getPublishedSheetDataForProfile(targetUserId, profileName, classFilter, sortOrder, adminMode) {
   try {
     if (!targetUserId || typeof targetUserId !== 'string') {
       return { success: false, error: 'targetUserId is required', data: [] };
@@ -1261,7 +1559,7 @@ function getPublishedSheetDataForProfile(targetUserId, profileName, classFilter,
         data: []
       };
     }
-    const { targetUser, config: targetConfig, isOwnBoard } = access;
+    const { targetUser, config: targetConfig, isOwnBoard, roleCapabilities } = access;
 
     // history gate: students (非 owner / 非 admin) は profileHistory にある名前のみ閲覧可。
     //   owner/admin は profiles[] にあれば全部読めるようにする（preview 用途）。
@@ -1301,6 +1599,9 @@ function getPublishedSheetDataForProfile(targetUserId, profileName, classFilter,
       yAxisLabels: p.yAxisLabels || null,
       matrixQuadrantLabels: p.matrixQuadrantLabels || null,
       allowResubmit: !!p.allowResubmit,
+      correctValue: typeof p.correctValue === 'number' ? p.correctValue : null,
+      reactionSet: Array.isArray(p.reactionSet) ? p.reactionSet : null,
+      rubric: p.rubric || null,
       // 検索用の anchor。active のままにしておくと「viewingPastProfile=null かつ active も同じ」と
       //   混乱するので、明示的に override する。
       activeProfile: targetConfig.activeProfile || null
@@ -1321,6 +1622,8 @@ function getPublishedSheetDataForProfile(targetUserId, profileName, classFilter,
     return buildSafePublishedDataResult(result, synthesized, {
       isAdmin: isSystemAdmin,
       isOwnBoard,
+      roleCanViewIdentity: roleCapabilities.includes('viewIdentity'),
+      adminMode: adminMode === true,
       viewingPastProfile: profileName
     });
   } catch (error) {
@@ -1359,8 +1662,21 @@ function saveConfig(config, options = {}) {
       { isDraft: true } :
       { isMainConfig: true };
 
+    const previousReactionKeys = boardReactionKeys_(getConfigOrDefault(user.userId, user));
     const result = saveUserConfig(user.userId, config, saveOptions);
 
+    // リアクションの語彙を差し替えたら、 新しい key の列を先に作っておく
+    //   (最初のリアクションで lazy provisioning を待つと、 その 1 回だけ遅くなるため)。
+    const nextReactionKeys = boardReactionKeys_(config);
+    if (result && result.success && config && config.spreadsheetId && config.sheetName &&
+        nextReactionKeys.some(key => !previousReactionKeys.includes(key))) {
+      try {
+        setupReactionAndHighlightColumns(config.spreadsheetId, config.sheetName, [], { reactionKeys: nextReactionKeys });
+      } catch (columnError) {
+        console.warn('saveConfig: reaction column setup failed:', columnError.message);
+      }
+    }
+
     return result;
 
   } catch (error) {
@@ -1421,7 +1737,9 @@ function getNotificationUpdate(targetUserId, options = {}) {
     }
 
     const lastUpdate = new Date(options.lastUpdateTime || 0);
+    // 承認待ちの回答は画面に出ないので「新着あり」 にも数えない (再読込しても何も増えない)。
     const newItems = (userData.data || []).filter(item => {
+      if (isModerationHeld_(item)) return false;
       const itemTime = new Date(item.timestamp || 0);
       return itemTime > lastUpdate;
     });
@@ -1434,11 +1752,17 @@ function getNotificationUpdate(targetUserId, options = {}) {
       success: true,
       hasNewContent: newItems.length > 0,
       newItemsCount: newItems.length,
+      // ranking モードは新着投稿が無くても票の増減で順位が変わる (qa モードは先生の回答が増える)。
+      //   client は前回値と比較して変化があれば再読込する (hasNewContent は投稿時刻しか見ない)。
+      reactionSignature: computeReactionSignature_(userData.data),
       formMeta: {
         formUrl: (targetConfig && typeof targetConfig.formUrl === 'string') ? targetConfig.formUrl : '',
         formTitle: (targetConfig && typeof targetConfig.formTitle === 'string') ? targetConfig.formTitle : ''
       },
-      activeProfile: (targetConfig && targetConfig.activeProfile) || null
+      activeProfile: (targetConfig && targetConfig.activeProfile) || null,
+      // タイマーの時間切れ / 次のフェーズのタイマーも 5 秒 polling で追従させる。
+      phaseTimer: buildPhaseTimerWire_(targetConfig),
+      serverTime: Date.now()
     };
 
   } catch (error) {
@@ -1447,6 +1771,265 @@ function getNotificationUpdate(targetUserId, options = {}) {
   }
 }
 
+/**
+ * ボードのリアクション key (ReactionService.reactionKeysOf_)。 DataApis だけを読み込む
+ *   単体テストでも既定の 3 種として動くよう typeof で守る。
+ * @param {Object} [config]
+ * @returns {Array<string>}
+ */
+function boardReactionKeys_(config) {
+  return typeof reactionKeysOf_ === 'function' ? reactionKeysOf_(config) : ['UNDERSTAND', 'LIKE', 'CURIOUS'];
+}
+
+/**
+ * 行ごとのリアクション数 / ハイライトを 1 本の文字列に畳む (polling の変化検知用)。
+ *   合計値だけだと「A から 1 票外して B に 1 票」の付け替えを見逃すので行単位で並べる。
+ *   リアクションもハイライトも Q&A 回答も無い行は省くので、投稿数に比例して伸びることはない。
+ *   Q&A 回答は件数を `/n` で付ける (削除→追加の同数入れ替えは次の投稿か手動更新で拾えば十分)。
+ *   先生が承認 / 伏せ字にした行は `~a` / `~m` を付ける。 投稿時刻は古いままなので、 これが無いと
+ *   承認した回答が児童の画面に出るのは次の新着投稿のときになる。 承認待ちの行は並べない。
+ * @param {Array<Object>} rows - getUserSheetData の data
+ * @returns {string}
+ */
+function computeReactionSignature_(rows) {
+  const parts = [];
+  for (const r of Array.isArray(rows) ? rows : []) {
+    if (!r || isModerationHeld_(r)) continue;
+    const re = r.reactions || {};
+    // key はボードの reactionSet 次第なので、 行に載っている reaction を順に並べる。
+    const keys = Object.keys(re).length > 0 ? Object.keys(re) : boardReactionKeys_(null);
+    const counts = keys.map(t => (re[t] && re[t].count) || 0);
+    const qaCount = Array.isArray(r.qaAnswers) ? r.qaAnswers.length : 0;
+    const decided = r.moderation ? `~${r.moderation.status === 'masked' ? 'm' : 'a'}` : '';
+    if (!r.highlight && qaCount === 0 && !decided && counts.every(c => c === 0)) continue;
+    parts.push(`${r.rowIndex}:${counts.join('.')}${r.highlight ? '*' : ''}${qaCount > 0 ? `/${qaCount}` : ''}${decided}`);
+  }
+  return parts.join(',');
+}
+
+// =========================================================================
+// 差分 polling (getBoardDelta)
+// =========================================================================
+//
+// 設計:
+//   - 全件読込 (getPublishedSheetData) の結果から行ごとの digest を作り、 ScriptCache に
+//     snapshot として置く。 cursor = `${getBoardDataVersion_}.${digest 全体の hash}`
+//   - client は cursor を持って getBoardDelta を呼び、 server は今の行と cursor の snapshot を
+//     比べて「追加行 / 本文が変わった行 / 票・ハイライトだけ変わった行 / 消えた行」 だけを返す
+//   - 行の読込は getPublishedSheetData と同じ board data cache を共有し、 伏せ字なども同じ
+//     buildSafePublishedDataResult を通す (差分だけ別の見え方になるのを防ぐ)
+//   - snapshot が cache から消えていれば resync=true。 client は全件読込をやり直す
+//
+// 効果: 回答が増えない間の poll は cursor の一致だけで終わり、 全件の転送と再描画が無くなる。
+
+// 静かな授業でも 30 分は差分で追える。 アイドル時の polling は最長 5 分間隔 (page.js.html)。
+const BOARD_DELTA_SNAPSHOT_TTL_SEC = 1800;
+
+// 32bit FNV-1a。 暗号用途ではなく snapshot の同一性判定だけに使う (Utilities.computeDigest より軽い)。
+function boardDeltaHash_(text) {
+  let h = 0x811c9dc5;
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/**
+ * 行の票数 ({key: count}) だけを取り出す。 reacted は閲覧者ごとの値なので差分には載せない。
+ * @param {Object} row
+ * @returns {Object<string, number>}
+ */
+function boardDeltaCounts_(row) {
+  const counts = {};
+  const re = (row && row.reactions) || {};
+  Object.keys(re).forEach((key) => { counts[key] = (re[key] && re[key].count) || 0; });
+  return counts;
+}
+
+/**
+ * 行ごとの digest ({rowIndex: 'bodyHash~票数とハイライト'}) を作る。
+ *   本文 (reactions / highlight 以外の全項目) が変われば bodyHash が、 票やハイライトだけが
+ *   変われば ~ の後ろが変わる。 rowIndex の無い行は差分で追えないので含めない。
+ * @param {Array<Object>} rows - buildSafePublishedDataResult 済みの行
+ * @returns {Object<string, string>}
+ */
+function buildBoardDeltaDigest_(rows) {
+  const digest = {};
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || row.rowIndex === undefined || row.rowIndex === null) continue;
+    const body = {};
+    Object.keys(row).forEach((key) => {
+      if (key !== 'reactions' && key !== 'highlight') body[key] = row[key];
+    });
+    const counts = boardDeltaCounts_(row);
+    const countsPart = Object.keys(counts).map(key => `${key}=${counts[key]}`).join('.');
+    digest[String(row.rowIndex)] = `${boardDeltaHash_(JSON.stringify(body))}~${countsPart}${row.highlight ? '*' : ''}`;
+  }
+  return digest;
+}
+
+function boardDeltaCursor_(userId, digest) {
+  return `${getBoardDataVersion_(userId)}.${boardDeltaHash_(JSON.stringify(digest))}`;
+}
+
+/**
+ * 行の digest を snapshot として保存し、 その cursor を返す。
+ *   保存できなければ (CacheService 無し / 100KB 超) null。 client は従来の polling に戻る。
+ * @param {string} userId
+ * @param {Array<Object>} rows - buildSafePublishedDataResult 済みの行
+ * @returns {string|null}
+ */
+function saveBoardDeltaSnapshot_(userId, rows) {
+  if (!userId || typeof CacheService === 'undefined') return null;
+  try {
+    const digest = buildBoardDeltaDigest_(rows);
+    const cursor = boardDeltaCursor_(userId, digest);
+    return saveToCacheWithSizeCheck(`${BOARD_CACHE_KEYS_.DELTA}${userId}:${cursor}`, digest, BOARD_DELTA_SNAPSHOT_TTL_SEC)
+      ? cursor
+      : null;
+  } catch (error) {
+    logError_('saveBoardDeltaSnapshot_', error, { userId });
+    return null;
+  }
+}
+
+function loadBoardDeltaSnapshot_(userId, cursor) {
+  if (!userId || !cursor || typeof CacheService === 'undefined') return null;
+  try {
+    const cached = CacheService.getScriptCache().get(`${BOARD_CACHE_KEYS_.DELTA}${userId}:${cursor}`);
+    const parsed = cached ? safeJsonParse_(cached, null) : null;
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 2 つの digest と今の行から差分を組み立てる (純関数)。
+ * @param {Object<string, string>} sinceDigest - client が持っている状態
+ * @param {Object<string, string>} digest - 今の状態
+ * @param {Array<Object>} rows - 今の行 (digest の元)
+ * @returns {{added: Array<Object>, updated: Array<Object>, changed: Array<{rowIndex:*, reactions:Object<string, number>, highlight:boolean}>, deleted: Array<*>}}
+ */
+function diffBoardDelta_(sinceDigest, digest, rows) {
+  const added = [];
+  const updated = [];
+  const changed = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || row.rowIndex === undefined || row.rowIndex === null) continue;
+    const id = String(row.rowIndex);
+    const before = sinceDigest[id];
+    const now = digest[id];
+    if (before === undefined) {
+      added.push(row);
+    } else if (before !== now) {
+      if (before.split('~')[0] !== now.split('~')[0]) {
+        updated.push(row);
+      } else {
+        changed.push({ rowIndex: row.rowIndex, reactions: boardDeltaCounts_(row), highlight: Boolean(row.highlight) });
+      }
+    }
+  }
+  // digest の key は文字列なので、 client の rowIndex (数値) と揃えて返す。
+  const deleted = Object.keys(sinceDigest)
+    .filter(id => digest[id] === undefined)
+    .map(id => (/^\d+$/.test(id) ? Number(id) : id));
+  return { added, updated, changed, deleted };
+}
+
+/**
+ * 差分 polling: client の cursor 以降に増えた行・変わった行・消えた行だけを返す。
+ *
+ * Why: getNotificationUpdate は「新着があるか」 しか返さず、 client はそのたびに loadSheetData で
+ *   ボード全体を取り直していた。 700 viewer では 10 秒 cache を挟んでもこれが quota の大半を占める。
+ *   cursor (getBoardDataVersion_ + 行 digest の hash) が一致すれば空の差分だけを返し、
+ *   ずれていれば snapshot と比べた差分だけを返す。 client は updateAnswerCard で
+ *   カードをその場で書き換える。
+ *
+ * @param {string} targetUserId
+ * @param {Object} [options] - { cursor, classFilter, sortOrder, adminMode }
+ *   classFilter / sortOrder / adminMode は cursor を受け取った全件読込と同じ値を渡す。
+ * @returns {Object} { success, cursor, resync, added, updated, changed, deleted, formMeta, activeProfile, phaseTimer, serverTime }
+ *   cursor=null なら差分を追えない (snapshot を保存できない) ので getNotificationUpdate に戻る。
+ */
+function getBoardDelta(targetUserId, options = {}) {
+  try {
+    if (!targetUserId || typeof targetUserId !== 'string') {
+      return { success: false, message: 'Invalid request' };
+    }
+    const adminAuth = getBatchedAdminAuth({ allowNonAdmin: true });
+    if (!adminAuth.success || !adminAuth.authenticated) {
+      return { success: false, message: 'Authentication required' };
+    }
+    const { email, isAdmin } = adminAuth;
+
+    // getPublishedSheetData / getNotificationUpdate と同じ認可プリアンブルを共有 (DRY)。
+    const access = resolveViewerBoardAccess_(targetUserId, email, isAdmin);
+    if (!access.ok) {
+      return { success: false, message: access.reason === 'not_found' ? 'User not found' : 'Access denied' };
+    }
+    const { targetUser, config: targetConfig, isOwnBoard, roleCapabilities } = access;
+
+    const dataOptions = {
+      classFilter: options.classFilter && options.classFilter !== 'すべて' ? options.classFilter : undefined,
+      sortBy: options.sortOrder || 'newest',
+      includeTimestamp: true,
+      adminMode: isAdmin || isOwnBoard,
+      requestingUser: email,
+      preloadedAuth: { email, isAdmin }
+    };
+    // viewer は getPublishedSheetData と同一 cache entry を共有する (同じ key 構成)。
+    const isViewerOnly = !isAdmin && !isOwnBoard;
+    const userData = isViewerOnly
+      ? withBoardDataCache_(targetUser.userId, dataOptions, () =>
+          getUserSheetData(targetUser.userId, dataOptions, targetUser, targetConfig))
+      : getUserSheetData(targetUser.userId, dataOptions, targetUser, targetConfig);
+    if (!userData || !userData.success) {
+      return { success: false, message: 'Data access failed' };
+    }
+
+    const safeResult = buildSafePublishedDataResult(userData, targetConfig, {
+      isAdmin,
+      isOwnBoard,
+      roleCanViewIdentity: roleCapabilities.includes('viewIdentity'),
+      adminMode: options.adminMode === true
+    });
+    const rows = safeResult.data;
+    const digest = buildBoardDeltaDigest_(rows);
+    const cursor = boardDeltaCursor_(targetUser.userId, digest);
+
+    const response = {
+      success: true,
+      cursor,
+      resync: false,
+      added: [],
+      updated: [],
+      changed: [],
+      deleted: [],
+      // フェーズ切替の検知は getNotificationUpdate と同じ形で載せる (client の判定を共通化)。
+      formMeta: safeResult.formMeta,
+      activeProfile: (targetConfig && targetConfig.activeProfile) || null,
+      phaseTimer: safeResult.phaseTimer,
+      serverTime: safeResult.serverTime
+    };
+    // 大半の poll はここで終わる。 snapshot の読み書きもしない。
+    if (options.cursor === cursor) return response;
+
+    const sinceDigest = loadBoardDeltaSnapshot_(targetUser.userId, options.cursor);
+    if (!saveToCacheWithSizeCheck(`${BOARD_CACHE_KEYS_.DELTA}${targetUser.userId}:${cursor}`, digest, BOARD_DELTA_SNAPSHOT_TTL_SEC)) {
+      return { ...response, cursor: null };
+    }
+    if (!sinceDigest) return { ...response, resync: true };
+
+    return { ...response, ...diffBoardDelta_(sinceDigest, digest, rows) };
+  } catch (error) {
+    logError_('getBoardDelta', error);
+    return { success: false, message: error.message };
+  }
+}
+
 /**
  * 呼び出し元が当該スプレッドシートへの正当なアクセス権を持つか検証する。
  *
@@ -1587,6 +2170,7 @@ function processDataSourceOperations(spreadsheetId, sheetName, operations) {
  * @param {string} sheetName
  * @param {Object} [options]
  * @param {string} [options.boardMode='auto'] - 表示モード (auto/board/pie/numberline/matrix/wordcloud)
+ * @param {Array<Object>} [options.reactionSet] - 管理画面で編集中のリアクション語彙 (列の事前作成用)
  * @returns {Object} 列分析結果
  */
 function getColumnAnalysis(spreadsheetId, sheetName, options = {}) {
@@ -1656,11 +2240,17 @@ function getColumnAnalysis(spreadsheetId, sheetName, options = {}) {
     const numericCandidates = Array.isArray(diagnostics.numericScaleCandidates)
       ? diagnostics.numericScaleCandidates
       : [];
+    const continuousCandidates = Array.isArray(diagnostics.continuousNumericCandidates)
+      ? diagnostics.continuousNumericCandidates
+      : [];
 
     let resultHeaders = headers;
     let columnsAdded = [];
     try {
-      const columnSetupResult = setupReactionAndHighlightColumns(spreadsheetId, sheetName, headers);
+      const columnSetupResult = setupReactionAndHighlightColumns(spreadsheetId, sheetName, headers, {
+        includeQaAnswer: boardMode === 'qa',
+        reactionKeys: boardReactionKeys_({ reactionSet: options.reactionSet })
+      });
       if (columnSetupResult.columnsAdded && columnSetupResult.columnsAdded.length > 0) {
         columnsAdded = columnSetupResult.columnsAdded;
         resultHeaders = [...headers, ...columnsAdded];
@@ -1677,6 +2267,7 @@ function getColumnAnalysis(spreadsheetId, sheetName, options = {}) {
       mapping: mergedMapping,
       confidence: mergedConfidence,
       numericScaleCandidates: numericCandidates,
+      continuousNumericCandidates: continuousCandidates,
       columnIntelligence: diagnostics.columnIntelligence || [],
       columnsAdded
     };
@@ -1691,11 +2282,20 @@ function getColumnAnalysis(spreadsheetId, sheetName, options = {}) {
  * @param {string} spreadsheetId - スプレッドシートID
  * @param {string} sheetName - シート名
  * @param {Array} currentHeaders - 現在のヘッダー配列
+ * @param {Object} [options]
+ * @param {boolean} [options.includeQaAnswer=false] Q&A モード用の QA_ANSWER 列も用意する
+ * @param {Array<string>} [options.reactionKeys] ボードのリアクション key (reactionKeysOf_)。 省略時は既定 3 種
  * @returns {Object} 追加結果
  */
-function setupReactionAndHighlightColumns(spreadsheetId, sheetName, currentHeaders = []) {
+function setupReactionAndHighlightColumns(spreadsheetId, sheetName, currentHeaders = [], options = {}) {
   try {
-    const requiredColumns = ['UNDERSTAND', 'LIKE', 'CURIOUS', 'HIGHLIGHT'];
+    // QA_ANSWER は Q&A モードのボードだけに足す。 他モードのシートに空列を増やさないため
+    //   (モードを後から切り替えた場合は answerQuestion 側の lazy provisioning が拾う)。
+    const reactionKeys = Array.isArray(options.reactionKeys) && options.reactionKeys.length > 0
+      ? options.reactionKeys
+      : boardReactionKeys_(null);
+    const requiredColumns = reactionKeys.concat(['HIGHLIGHT'])
+      .concat(options.includeQaAnswer === true ? ['QA_ANSWER'] : []);
 
     // Why strict equality: processReactionDirect looks up reaction columns with
     //   `header.trim() === 'UNDERSTAND'` etc. If this existence check is looser
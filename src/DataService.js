@@ -3,7 +3,7 @@
  *   シート寸法/ヘッダー取得（キャッシュ付き）、適応型バッチ読込。
  */
 
-/* global formatTimestamp, getQuestionText, findUserById, openSpreadsheet, getUserConfig, getConfigOrDefault, normalizeHeader, CACHE_DURATION, getCurrentEmail, isAdministrator, resolveColumnIndex, extractReactions, extractHighlight, createDataServiceErrorResponse, logError_, sameEmail_ */
+/* global formatTimestamp, getQuestionText, findUserById, openSpreadsheet, getUserConfig, getConfigOrDefault, normalizeHeader, CACHE_DURATION, getCurrentEmail, isAdministrator, resolveColumnIndex, extractReactions, extractHighlight, reactionKeysOf_, extractQaAnswers, sanitizeRubric, extractRubricScores, buildModerationMatcher_, applyModerationToItem_, parseNumericAnswer, parseDriveFileIds, createDataServiceErrorResponse, logError_, sameEmail_ */
 
 /**
  * ユーザーのスプレッドシートデータ取得
@@ -170,13 +170,35 @@ function getSheetHeaders(sheet) {
 function invalidateSheetHeadersCache(spreadsheetId, sheetName) {
   if (!spreadsheetId || !sheetName) return;
   try {
-    const cacheKey = `sheet_headers_${spreadsheetId}_${sheetName}`;
-    CacheService.getScriptCache().remove(cacheKey);
+    // getSheetRowCount と同じく、 SA proxy の sheet (viewer 経路) は getParent を持たず key が 'unknown' になる。
+    //   owner 側で列を足しても viewer の cache が古いヘッダを返し続けないよう両方消す。
+    const cache = CacheService.getScriptCache();
+    cache.remove(`sheet_headers_${spreadsheetId}_${sheetName}`);
+    cache.remove(`sheet_headers_unknown_${sheetName}`);
   } catch (error) {
     console.warn('invalidateSheetHeadersCache: Cache remove failed:', error.message);
   }
 }
 
+/**
+ * 行数キャッシュを明示的に無効化
+ * Why: ボードからの直接回答 (submitBoardAnswer) は書いた直後の polling で新着として
+ *      見せたい。30 秒キャッシュが残ると、その間は追記した行が lastRow の外に落ちる。
+ */
+function invalidateSheetRowCountCache(spreadsheetId, sheetName) {
+  if (!spreadsheetId || !sheetName) return;
+  try {
+    // SA proxy の sheet は getParent を持たず getSheetRowCount の key が 'unknown' になる。
+    //   viewer (proxy) と owner (native) の両方の key を消す。
+    CacheService.getScriptCache().removeAll([
+      `sheet_rows_${spreadsheetId}_${sheetName}`,
+      `sheet_rows_unknown_${sheetName}`
+    ]);
+  } catch (error) {
+    console.warn('invalidateSheetRowCountCache: Cache remove failed:', error.message);
+  }
+}
+
 /**
  * シート行数取得（30秒キャッシュ — 新規フォーム投稿を即時反映するため短期）。
  * @param {Sheet} sheet
@@ -259,21 +281,32 @@ function processBatchData(ctx) {
   const columnMapping = config.columnMapping || {};
   // Why: numericX/Y はパターン検出がない（教師が手動 or detectNumericScaleColumns で選ぶ）。
   //      columnMapping に明示インデックスがあるときだけ取り込む。-1 のとき item は null を入れる。
+  //      image も同じ扱い (見出しの「絵」「図」 だけで自由記述列を画像列と取り違えないため)。
+  const mappedIndex = (key) => (typeof columnMapping[key] === 'number' && columnMapping[key] >= 0 && columnMapping[key] < headers.length)
+    ? columnMapping[key]
+    : -1;
   const fieldIndices = {
     answer: resolveColumnIndex(headers, 'answer', columnMapping).index,
     reason: resolveColumnIndex(headers, 'reason', columnMapping).index,
     class: resolveColumnIndex(headers, 'class', columnMapping).index,
     name: resolveColumnIndex(headers, 'name', columnMapping).index,
     email: resolveColumnIndex(headers, 'email', columnMapping).index,
-    numericX: (typeof columnMapping.numericX === 'number' && columnMapping.numericX >= 0 && columnMapping.numericX < headers.length) ? columnMapping.numericX : -1,
-    numericY: (typeof columnMapping.numericY === 'number' && columnMapping.numericY >= 0 && columnMapping.numericY < headers.length) ? columnMapping.numericY : -1
+    numericX: mappedIndex('numericX'),
+    numericY: mappedIndex('numericY'),
+    image: mappedIndex('image')
   };
   const tsIndex = resolveTimestampIndex(headers);
   // reaction/highlight 列も batch 中不変。 1 度だけ解決して全行へ渡す (M2)。 typeof guard は
   //   GAS single-file test load 時に ReactionService 未読込でも落ちないように (extract* は別途 stub)。
+  //   リアクションの key はボードの reactionSet から (未設定なら既定 3 種)。
+  const reactionKeys = (typeof reactionKeysOf_ === 'function') ? reactionKeysOf_(config) : null;
   const reactionIndices = (typeof resolveReactionColumns_ === 'function')
-    ? resolveReactionColumns_(headers)
+    ? resolveReactionColumns_(headers, reactionKeys)
     : null;
+  // 相互評価の観点 (config.rubric)。 相互評価でないボードは null で、 行にも集計を載せない。
+  const rubric = (typeof sanitizeRubric === 'function') ? sanitizeRubric(config.rubric) : null;
+  // NG ワード / 正規表現 (学校全体 + config.moderation)。 ルールが無ければ null で判定を省く。
+  const moderationMatcher = (typeof buildModerationMatcher_ === 'function') ? buildModerationMatcher_(config) : null;
 
   for (let startRow = 2; startRow <= lastRow; ) {
     const currentBatchSize = getAdaptiveBatchSize(consecutiveErrors);
@@ -285,7 +318,7 @@ function processBatchData(ctx) {
       const batchProcessed = processRawDataBatch({
         batchRows, headers, options,
         startOffset: startRow - 2,
-        fieldIndices, tsIndex, reactionIndices
+        fieldIndices, tsIndex, reactionIndices, reactionKeys, rubric, moderationMatcher
       });
 
       // push(...batchProcessed) は in-place で O(n)。concat は新 array を毎回作るので O(n²)。
@@ -380,11 +413,11 @@ function fetchSpreadsheetData(config, options = {}) {
 
 /**
  * バッチ処理用データ変換（メモリ効率重視）。
- * @param {Object} ctx - {batchRows, headers, options, startOffset, fieldIndices, tsIndex, reactionIndices}
+ * @param {Object} ctx - {batchRows, headers, options, startOffset, fieldIndices, tsIndex, reactionIndices, reactionKeys, rubric, moderationMatcher}
  * @returns {Array} 処理済みバッチデータ
  */
 function processRawDataBatch(ctx) {
-  const { batchRows, headers, options, startOffset, fieldIndices, tsIndex, reactionIndices } = ctx;
+  const { batchRows, headers, options, startOffset, fieldIndices, tsIndex, reactionIndices, reactionKeys, rubric, moderationMatcher } = ctx;
   try {
     const processedBatch = [];
     // Normalize empty/missing cells to null to match the prior
@@ -409,15 +442,13 @@ function processRawDataBatch(ctx) {
         const nameValue = getCell(row, fieldIndices.name);
         const emailValue = getCell(row, fieldIndices.email);
 
-        // Why: numericX/Y は Forms「線形尺度」を想定。整数として正規化、
-        //      非数値や空欄は null（描画側で除外判定に使う）。
-        const toScaleNumber = (raw) => {
-          if (raw === null || raw === undefined || raw === '') return null;
-          const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
-          return Number.isFinite(n) ? n : null;
-        };
-        const numericXValue = fieldIndices.numericX >= 0 ? toScaleNumber(row[fieldIndices.numericX]) : null;
-        const numericYValue = fieldIndices.numericY >= 0 ? toScaleNumber(row[fieldIndices.numericY]) : null;
+        // Why: numericX/Y は Forms「線形尺度」に加え、distribution モードの自由記述数値
+        //      (全角数字・単位付き) も受ける。非数値や空欄は null（描画側で除外判定に使う）。
+        const numericXValue = fieldIndices.numericX >= 0 ? parseNumericAnswer(row[fieldIndices.numericX]) : null;
+        const numericYValue = fieldIndices.numericY >= 0 ? parseNumericAnswer(row[fieldIndices.numericY]) : null;
+
+        // 画像回答は Drive file ID だけを wire に載せる。 画像本体は getAnswerImage が SA 経由で返す。
+        const imageIds = fieldIndices.image >= 0 ? parseDriveFileIds(row[fieldIndices.image]) : [];
 
         const tsValue = tsIndex >= 0 && tsIndex < row.length ? (row[tsIndex] || '') : '';
 
@@ -434,22 +465,35 @@ function processRawDataBatch(ctx) {
           name: nameValue || '',
           numericX: numericXValue,
           numericY: numericYValue,
+          images: imageIds,
 
           formattedTimestamp: formatTimestamp(tsValue),
           isEmpty: isEmptyRow(row),
 
-          reactions: extractReactions(row, headers, viewerEmail, reactionIndices),
-          highlight: extractHighlight(row, headers, reactionIndices ? reactionIndices.HIGHLIGHT : null)
+          reactions: extractReactions(row, headers, viewerEmail, reactionIndices, reactionKeys),
+          highlight: extractHighlight(row, headers, reactionIndices ? reactionIndices.HIGHLIGHT : null),
+          // Q&A モードの先生回答。 QA_ANSWER 列が無いボードでは常に []。
+          qaAnswers: extractQaAnswers(row, headers, reactionIndices ? reactionIndices.QA_ANSWER : null),
+          // 相互評価の集計 ({count, averages, spreads, mine})。 教師以外への出し分けは DataApis 側。
+          rubric: (rubric && typeof extractRubricScores === 'function')
+            ? extractRubricScores(row, headers, rubric, viewerEmail, reactionIndices ? reactionIndices.RUBRIC : null)
+            : null
         };
 
         // Why: answer/reason は board モードの必須コンテンツ。両方空ならスキップ。
         //      ただし numericX/Y が入っているならビジュアル化対象として残す
-        //      （Forms 線形尺度のみで自由記述なし、もありうる）。
+        //      （Forms 線形尺度のみで自由記述なし、もありうる）。 絵だけの回答も残す。
         const hasNumeric = numericXValue !== null || numericYValue !== null;
-        if (!answerValue && !reasonValue && !hasNumeric) {
+        if (!answerValue && !reasonValue && !hasNumeric && imageIds.length === 0) {
           return;
         }
 
+        // 先生の判断 (MODERATION 列) と NG 判定。 held の行は buildSafePublishedDataResult が外す。
+        if (typeof applyModerationToItem_ === 'function') {
+          const moderationIndex = reactionIndices && typeof reactionIndices.MODERATION === 'number' ? reactionIndices.MODERATION : -1;
+          applyModerationToItem_(item, moderationIndex >= 0 ? row[moderationIndex] : undefined, moderationMatcher || null);
+        }
+
         if (options.includeTimestamp === false) {
           delete item.timestamp;
           delete item.formattedTimestamp;
@@ -502,7 +546,9 @@ function shouldIncludeRow(item, options = {}) {
 
     if (options.requireAnswer !== false) {
       const answerStr = item.answer ? String(item.answer).trim() : '';
-      if (!answerStr) {
+      // 絵・写真だけの回答は本文が空でも回答として数える。
+      const hasImage = Array.isArray(item.images) && item.images.length > 0;
+      if (!answerStr && !hasImage) {
         return false;
       }
     }
@@ -561,7 +607,8 @@ function applySortAndLimit(data, options = {}) {
             return {
               item,
               highlight: item.highlight ? 1 : 0,
-              score: (r?.LIKE?.count || 0) + (r?.UNDERSTAND?.count || 0) + (r?.CURIOUS?.count || 0),
+              // ボードごとの語彙でも数えられるよう、 載っている reaction を全部足す。
+              score: Object.values(r || {}).reduce((sum, v) => sum + ((v && v.count) || 0), 0),
               ts: new Date(item.timestamp || 0).getTime(),
             };
           });
@@ -0,0 +1,488 @@
+/**
+ * @fileoverview DataSubjectService - 1 人の児童のデータの書き出しと、削除・匿名化 (保護者・本人からの開示 / 削除の依頼)。
+ *
+ * Why: 保護者から「うちの子のデータを見せて / 消して」と頼まれると、管理者は全ボードの
+ *   スプレッドシートを 1 つずつ検索するしかなかった。
+ *
+ * 児童はメールで特定する。探す場所:
+ *   - ボード: getAllBoardSheetRefs_ (全 users.config と旧 profiles) と、授業の各 phase のシート。
+ *     本人の回答行 (email 列が一致)、ほかの回答に付けた本人のリアクション・採点 (RUBRIC 列)
+ *   - アーカイブ (lesson_responses): 氏名・メールを持たないので、次のどちらかで本人の行と見なす
+ *     - 意見の流れを追う授業の studentKey (emailToShortHash(email, lessonId))
+ *     - その phase のボードにある本人の回答行と、rowIndex と時刻 (formatTimestamp) が一致する
+ *   - lessonJson の旧形式 snapshot (rows 同居): email か、上と同じ rowIndex + 時刻で一致する行
+ *
+ * 削除 (action):
+ *   - delete: ボードの本人の行は全セルを空に、アーカイブの行は墓標 (RetentionService と同じ)
+ *   - anonymize: ボードの本人の行は email・名前を消して本文の連絡先を伏せ、アーカイブの行は anonymizeArchiveRow_
+ *   どちらも、ほかの児童の回答に付けた本人のリアクション・採点は外す。
+ *   commit: true を付けない限り何も書かない (試算)。
+ *
+ * Why ボードの行を deleteRows しない: 授業中の画面とリアクションは行番号で行を指す。繰り上げると、
+ *   開いている画面からのリアクションが別の児童の行に付く。全セルが空の行は画面に出ない (isEmptyRow)。
+ *   Google フォーム側の回答記録は SA から消せないので、報告の notes で先生に頼む。
+ */
+
+/* global getAllBoardSheetRefs_, openSpreadsheetViaServiceAccount, __readAllLessons_, __getResponsesSheet_, __updateLessonRow_, __retentionRowCells_, __retentionTombstoneCells_, __retentionWritableCells_, __sameRetentionCells_, __retentionDateOnly_, anonymizeArchiveRow_, RETENTION_FIRST_WRITTEN_COL, resolveColumnIndex, resolveTimestampIndex, filterSystemColumns, formatTimestamp, normalizeReactionEmail_, acquireRowLock_, REACTION_KEY_PATTERN, maskPiiText_, emailToShortHash, validateEmail, bumpBoardDataVersion_, requireAdmin, recordAuditEvent_, deepClone, safeJsonParse_, createAdminRequiredError, createErrorResponse, createSuccessResponse, createExceptionResponse, logError_ */
+
+const DATA_SUBJECT_ACTIONS = Object.freeze(['delete', 'anonymize']);
+const DATA_SUBJECT_DEFAULT_SHEET_NAME = 'フォームの回答 1';
+// GAS の 6 分上限に対し、これを過ぎたら残りのボードを読まない (incomplete で返す。もう一度実行すれば続きを拾う)。
+const DATA_SUBJECT_TIME_BUDGET_MS = 4 * 60 * 1000;
+// ボードの行を書き換える間に取る行ロック。executeBoardRowOperation の各操作と同じ key (`<prefix>_<ssId>_<row>`)。
+const DATA_SUBJECT_ROW_LOCK_PREFIXES = Object.freeze(['reaction', 'highlight', 'qa', 'rubric', 'moderation']);
+const DATA_SUBJECT_CSV_HEADERS = Object.freeze(['kind', 'spreadsheetId', 'sheetName', 'rowNumber', 'lessonId', 'phaseIndex', 'timestamp', 'field', 'value']);
+const DATA_SUBJECT_FORM_NOTE = 'Google フォーム側の回答記録は残ります。先生にフォームの「回答」タブから削除を依頼してください';
+
+function __boardRefKey_(spreadsheetId, sheetName) {
+  return spreadsheetId + '\u0000' + sheetName;
+}
+
+// 全 users.config のボードに、授業の phase のシート (今の config から外れた過去の phase) を足す。
+function __collectStudentBoardRefs_(lessons) {
+  const refs = [];
+  const seen = new Set();
+  const add = (userId, src) => {
+    if (!src || !src.spreadsheetId || typeof src.spreadsheetId !== 'string') return;
+    const sheetName = src.sheetName || DATA_SUBJECT_DEFAULT_SHEET_NAME;
+    const key = __boardRefKey_(src.spreadsheetId, sheetName);
+    if (seen.has(key)) return;
+    seen.add(key);
+    refs.push({ userId, spreadsheetId: src.spreadsheetId, sheetName, columnMapping: src.columnMapping || {} });
+  };
+  getAllBoardSheetRefs_().forEach((ref) => add(ref.userId, ref));
+  (lessons || []).forEach((lesson) => {
+    const phases = (lesson.lessonJson && Array.isArray(lesson.lessonJson.phases)) ? lesson.lessonJson.phases : [];
+    phases.forEach((phase) => add(lesson.userId, phase));
+  });
+  return refs;
+}
+
+// ヘッダーから、本人の特定と書き換えに使う列を 1 度だけ解決する。
+function __studentBoardLayout_(headers, columnMapping) {
+  const indexOf = (field) => resolveColumnIndex(headers, field, columnMapping).index;
+  const reactionCols = [];
+  let rubricIdx = -1;
+  headers.forEach((h, i) => {
+    const key = String(h || '').toUpperCase().trim();
+    if (REACTION_KEY_PATTERN.test(key)) reactionCols.push({ idx: i, key });
+    else if (key === 'RUBRIC') rubricIdx = i;
+  });
+  return {
+    emailIdx: indexOf('email'),
+    nameIdx: indexOf('name'),
+    answerIdx: indexOf('answer'),
+    reasonIdx: indexOf('reason'),
+    tsIdx: resolveTimestampIndex(headers),
+    fieldIdx: filterSystemColumns(headers).indexMap,
+    reactionCols,
+    rubricIdx
+  };
+}
+
+/**
+ * 1 行に対する本人分の書き換えを、変わるセルだけ { 列 (0 始まり): 値 } で返す。
+ * 書き込み直前に読み直した行にもう一度かけるので、副作用を持たない。
+ * @returns {{own: boolean, edits: Object<number, *>}}
+ */
+function __studentRowEdits_(row, layout, target, action) {
+  const edits = {};
+  const cell = (i) => (i >= 0 && row[i] !== null && row[i] !== undefined ? row[i] : '');
+  const own = layout.emailIdx >= 0 && normalizeReactionEmail_(cell(layout.emailIdx)) === target;
+  if (own && action === 'delete') {
+    row.forEach((v, i) => { if (String(cell(i)) !== '') edits[i] = ''; });
+    return { own, edits };
+  }
+  if (own) {
+    [layout.emailIdx, layout.nameIdx].forEach((i) => { if (i >= 0 && String(cell(i)) !== '') edits[i] = ''; });
+    [layout.answerIdx, layout.reasonIdx].forEach((i) => {
+      if (i < 0 || typeof row[i] !== 'string') return;
+      const masked = maskPiiText_(row[i]);
+      if (masked !== row[i]) edits[i] = masked;
+    });
+  }
+  layout.reactionCols.forEach(({ idx }) => {
+    const voters = String(cell(idx)).split('|').filter((e) => e.trim());
+    const kept = voters.filter((e) => normalizeReactionEmail_(e) !== target);
+    if (kept.length !== voters.length) edits[idx] = kept.join('|');
+  });
+  if (layout.rubricIdx >= 0) {
+    // parseRubricCell_ は不正な採点を落とすので使わない (ほかの児童の採点はセルのまま残す)。
+    const scores = safeJsonParse_(cell(layout.rubricIdx), null);
+    if (scores && typeof scores === 'object' && !Array.isArray(scores)
+        && Object.prototype.hasOwnProperty.call(scores, target)) {
+      delete scores[target];
+      edits[layout.rubricIdx] = Object.keys(scores).length > 0 ? JSON.stringify(scores) : '';
+    }
+  }
+  return { own, edits };
+}
+
+// アーカイブ・旧形式 snapshot の時刻は capture 時に formatTimestamp したもの。ボード側も同じ整形で比べる。
+function __sameAnswerTime_(archived, boardFormatted) {
+  if (!boardFormatted || boardFormatted === '-' || !archived) return false;
+  return String(archived) === boardFormatted || formatTimestamp(archived) === boardFormatted;
+}
+
+/**
+ * 今の DB (グローバルか、今の学校) から 1 人の児童のデータを探す。何も書かない。
+ * @param {string} target - normalizeReactionEmail_ 済みの email
+ * @param {Object} [options] - { now }
+ * @returns {Object} found (書き換えに使う内部情報を含む)
+ */
+function __findStudentData_(target, options = {}) {
+  const started = options.now || Date.now();
+  const found = {
+    boardsScanned: 0, skippedBoards: [], answers: [], reactions: [], rubricScores: [],
+    archive: [], inlineRows: [], incomplete: false, boards: [], archiveSheet: null, lessons: null
+  };
+  // アーカイブを先に読む (RetentionService と同じ順: 読んだ行の授業は lessons に必ず居る)。
+  const archiveSheet = __getResponsesSheet_();
+  const archive = archiveSheet ? (archiveSheet.getDataRange().getValues() || []) : [];
+  const lessons = __readAllLessons_();
+  found.archiveSheet = archiveSheet;
+  found.lessons = lessons;
+
+  // 1. ボード
+  const ownRowTimes = new Map();
+  const refs = __collectStudentBoardRefs_(lessons);
+  for (const ref of refs) {
+    if (Date.now() - started > DATA_SUBJECT_TIME_BUDGET_MS) {
+      found.incomplete = true;
+      found.skippedBoards.push({ spreadsheetId: ref.spreadsheetId, sheetName: ref.sheetName, reason: 'TIME_BUDGET' });
+      continue;
+    }
+    const skip = (reason) => found.skippedBoards.push({ spreadsheetId: ref.spreadsheetId, sheetName: ref.sheetName, reason });
+    const spreadsheet = openSpreadsheetViaServiceAccount(ref.spreadsheetId);
+    if (!spreadsheet) { skip('OPEN_FAILED'); continue; }
+    const sheet = spreadsheet.getSheetByName(ref.sheetName);
+    if (!sheet) { skip('SHEET_NOT_FOUND'); continue; }
+    const data = sheet.getDataRange().getValues() || [];
+    // SA proxy は読込失敗を [] で返す。見つからなかったのか読めなかったのかを取り違えない。
+    if (data.length === 0) { skip('READ_FAILED'); continue; }
+    found.boardsScanned++;
+    const headers = data[0].map((h) => String(h || ''));
+    const layout = __studentBoardLayout_(headers, ref.columnMapping);
+    // email 列が無いボードは本人の回答行を特定できない (リアクション・採点は email で持つので探せる)。
+    if (layout.emailIdx < 0) skip('NO_EMAIL_COLUMN');
+    const board = { ref, sheet, layout, width: Math.max(...data.map((r) => r.length)), rows: [] };
+    const times = new Map();
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      // 'anonymize' で見る: 'delete' だと本人の行の全セルが edits に入り、本人の採点と区別できない。
+      const { own, edits } = __studentRowEdits_(row, layout, target, 'anonymize');
+      if (!own && Object.keys(edits).length === 0) continue;
+      const rowNumber = i + 1;
+      const at = { spreadsheetId: ref.spreadsheetId, sheetName: ref.sheetName, rowNumber };
+      if (own) {
+        const timestamp = layout.tsIdx >= 0 ? row[layout.tsIdx] : '';
+        const fields = {};
+        layout.fieldIdx.forEach((c) => { fields[headers[c]] = row[c] === undefined ? '' : row[c]; });
+        found.answers.push({ ...at, ownerUserId: ref.userId, timestamp, fields });
+        times.set(rowNumber, formatTimestamp(timestamp));
+      }
+      layout.reactionCols.forEach(({ idx, key }) => {
+        if (String(row[idx] || '').split('|').some((e) => normalizeReactionEmail_(e) === target)) {
+          found.reactions.push({ ...at, reaction: key });
+        }
+      });
+      if (layout.rubricIdx >= 0 && Object.prototype.hasOwnProperty.call(edits, layout.rubricIdx)) {
+        const scores = safeJsonParse_(row[layout.rubricIdx], {});
+        found.rubricScores.push({ ...at, scores: scores[target] });
+      }
+      board.rows.push(rowNumber);
+    }
+    if (times.size > 0) ownRowTimes.set(__boardRefKey_(ref.spreadsheetId, ref.sheetName), times);
+    if (board.rows.length > 0) found.boards.push(board);
+  }
+
+  // 2. アーカイブと旧形式 snapshot
+  if (!lessons) return found;
+  const lessonsById = new Map(lessons.map((l) => [String(l.lessonId), l]));
+  const studentKeys = new Map();
+  const studentKeyFor = (lesson) => {
+    if (!studentKeys.has(lesson.lessonId)) {
+      const tracked = Boolean(lesson.lessonJson && lesson.lessonJson.trackStudentFlow === true);
+      studentKeys.set(lesson.lessonId, tracked ? emailToShortHash(target, lesson.lessonId) : null);
+    }
+    return studentKeys.get(lesson.lessonId);
+  };
+  const boardTimeFor = (lesson, phaseIndex, rowIndex) => {
+    const phases = (lesson.lessonJson && lesson.lessonJson.phases) || [];
+    const phase = phases[phaseIndex];
+    if (!phase || !phase.spreadsheetId) return null;
+    const times = ownRowTimes.get(__boardRefKey_(phase.spreadsheetId, phase.sheetName || DATA_SUBJECT_DEFAULT_SHEET_NAME));
+    return times ? times.get(Number(rowIndex)) || null : null;
+  };
+  for (let i = 1; i < archive.length; i++) {
+    const row = archive[i];
+    const lesson = lessonsById.get(String((row && row[0]) || ''));
+    if (!lesson) continue;
+    const key = studentKeyFor(lesson);
+    let matchedBy = null;
+    if (key && String(row[9] || '') === key) matchedBy = 'studentKey';
+    else if (row[2] !== '' && __sameAnswerTime_(row[3], boardTimeFor(lesson, Number(row[1]), row[2]))) matchedBy = 'boardRow';
+    if (!matchedBy) continue;
+    found.archive.push({
+      lessonId: lesson.lessonId, lessonName: lesson.name || '', phaseIndex: Number(row[1]), sheetRow: i + 1,
+      timestamp: row[3], class: row[4], answer: row[5], reason: row[6], numericX: row[7], numericY: row[8],
+      matchedBy, row
+    });
+  }
+  lessons.forEach((lesson) => {
+    const snapshots = (lesson.lessonJson && Array.isArray(lesson.lessonJson.snapshots)) ? lesson.lessonJson.snapshots : [];
+    snapshots.forEach((sn) => {
+      (sn && Array.isArray(sn.rows) ? sn.rows : []).forEach((r, index) => {
+        if (!r) return;
+        const byEmail = normalizeReactionEmail_(r.email) === target;
+        const key = studentKeyFor(lesson);
+        const byKey = Boolean(key) && r.studentKey === key;
+        const byRow = r.rowIndex !== undefined && __sameAnswerTime_(r.formattedTimestamp || r.timestamp, boardTimeFor(lesson, sn.phaseIndex, r.rowIndex));
+        if (!byEmail && !byKey && !byRow) return;
+        found.inlineRows.push({
+          lessonId: lesson.lessonId, lessonName: lesson.name || '', phaseIndex: sn.phaseIndex, index,
+          timestamp: r.formattedTimestamp || r.timestamp || '', class: r.class || '', answer: r.answer || '', reason: r.reason || '',
+          numericX: r.numericX, numericY: r.numericY
+        });
+      });
+    });
+  });
+  return found;
+}
+
+// 書き出す形 (書き換え用の内部情報を落とす)。
+function __studentExportPayload_(target, found) {
+  const strip = ({ row, ...rest }) => rest;
+  return {
+    studentHash: emailToShortHash(target),
+    incomplete: found.incomplete,
+    boardsScanned: found.boardsScanned,
+    skippedBoards: found.skippedBoards,
+    answers: found.answers,
+    reactions: found.reactions,
+    rubricScores: found.rubricScores,
+    archive: found.archive.map(strip),
+    lessonSnapshotRows: found.inlineRows
+  };
+}
+
+// 表計算ソフトが数式として実行しないよう、=+-@ で始まる値には ' を前置する。
+function __studentCsvCell_(value) {
+  let text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * 書き出しを 1 値 1 行の CSV にする (ボードごとに列が違っても 1 つの表にまとまる)。
+ * 先頭の BOM は Excel で開いたときの文字化け対策。
+ */
+function __studentDataToCsv_(payload) {
+  const lines = [DATA_SUBJECT_CSV_HEADERS.join(',')];
+  const push = (kind, at, field, value) => {
+    lines.push([kind, at.spreadsheetId || '', at.sheetName || '', at.rowNumber || '', at.lessonId || '',
+      at.phaseIndex === undefined ? '' : at.phaseIndex, at.timestamp || '', field, value].map(__studentCsvCell_).join(','));
+  };
+  const lessonFields = ['class', 'answer', 'reason', 'numericX', 'numericY'];
+  payload.answers.forEach((a) => Object.keys(a.fields).forEach((field) => push('answer', a, field, a.fields[field])));
+  payload.reactions.forEach((r) => push('reaction', r, 'reaction', r.reaction));
+  payload.rubricScores.forEach((r) => push('rubric', r, 'scores', r.scores));
+  payload.archive.forEach((a) => lessonFields.forEach((field) => push('archive', a, field, a[field])));
+  payload.lessonSnapshotRows.forEach((a) => lessonFields.forEach((field) => push('lessonSnapshot', a, field, a[field])));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function __resolveStudentTarget_(studentEmail) {
+  const target = normalizeReactionEmail_(studentEmail);
+  return validateEmail(target).isValid ? target : null;
+}
+
+/**
+ * 1 人の児童の回答・リアクション・採点・授業アーカイブをまとめて書き出す (管理者専用)。
+ * 学校の管理者は学校の DB に登録されたボードだけを探す (getAllUsers がテナントの DB を読む)。
+ * @param {string} studentEmail
+ * @param {Object} [options] - { format: 'json' | 'csv' }
+ * @returns {Object} { success, data: { export, csv? } }
+ */
+function exportStudentData(studentEmail, options = {}) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+    const target = __resolveStudentTarget_(studentEmail);
+    if (!target) return createErrorResponse('児童のメールアドレスが不正です');
+    const format = options.format === 'csv' ? 'csv' : 'json';
+
+    const payload = __studentExportPayload_(target, __findStudentData_(target));
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('student.export', {
+        target: 'student:' + payload.studentHash,
+        after: { format, answers: payload.answers.length, reactions: payload.reactions.length, archiveRows: payload.archive.length }
+      });
+    }
+    const data = { export: payload };
+    if (format === 'csv') data.csv = __studentDataToCsv_(payload);
+    return createSuccessResponse(payload.incomplete
+      ? '時間内に探しきれなかったボードがあります (skippedBoards)。もう一度実行してください'
+      : '児童のデータを書き出しました', data);
+  } catch (error) {
+    logError_('exportStudentData', error);
+    return createExceptionResponse(error);
+  }
+}
+
+// ボードの 1 行を行ロックの中で読み直し、本人分だけ書き換える。ロックが取れなければ deferred。
+function __applyStudentRowEdits_(board, rowNumber, target, action, cache, actorEmail) {
+  const held = [];
+  try {
+    for (const prefix of DATA_SUBJECT_ROW_LOCK_PREFIXES) {
+      const lockKey = `${prefix}_${board.ref.spreadsheetId}_${rowNumber}`;
+      if (!acquireRowLock_(cache, lockKey, actorEmail)) return { deferred: true };
+      held.push(lockKey);
+    }
+    const fresh = board.sheet.getRange(rowNumber, 1, 1, board.width).getValues()[0] || [];
+    const { own, edits } = __studentRowEdits_(fresh, board.layout, target, action);
+    const cols = Object.keys(edits).map(Number).sort((a, b) => a - b);
+    if (own && action === 'delete') {
+      board.sheet.getRange(rowNumber, 1, 1, board.width).setValues([new Array(board.width).fill('')]);
+    } else {
+      // セル単位で書く (ReactionService と同じ)。本人分以外のセルには触れない。
+      cols.forEach((c) => board.sheet.getRange(rowNumber, c + 1).setValue(edits[c]));
+    }
+    return { own, changed: cols.length > 0 };
+  } finally {
+    held.forEach((lockKey) => { try { cache.remove(lockKey); } catch (_) { /* TTL で消える */ } });
+  }
+}
+
+// 旧形式 snapshot の 1 行を匿名化する (アーカイブ行と同じ列の意味で扱う)。
+function __anonymizeInlineRow_(r) {
+  const out = { ...r };
+  delete out.email;
+  delete out.name;
+  delete out.rowIndex;
+  delete out.studentKey;
+  out.timestamp = __retentionDateOnly_(r.formattedTimestamp || r.timestamp);
+  delete out.formattedTimestamp;
+  out.answer = maskPiiText_(r.answer);
+  out.reason = maskPiiText_(r.reason);
+  return out;
+}
+
+/**
+ * 1 人の児童のデータを全ボードとアーカイブから削除 / 匿名化する (管理者専用)。
+ * commit: true を付けない限り何も書かず、消す予定の件数だけ返す。
+ * 何度実行しても同じ結果になる (消し終えた行は見つからない) ので、incomplete / deferredRows は再実行で拾う。
+ * @param {string} studentEmail
+ * @param {Object} [options] - { action: 'delete' | 'anonymize', commit }
+ * @returns {Object} { success, data: { report } }
+ */
+function deleteStudentData(studentEmail, options = {}) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+    const target = __resolveStudentTarget_(studentEmail);
+    if (!target) return createErrorResponse('児童のメールアドレスが不正です');
+    const action = options.action || 'delete';
+    if (!DATA_SUBJECT_ACTIONS.includes(action)) return createErrorResponse('action は delete か anonymize で指定してください');
+    const dryRun = options.commit !== true;
+
+    const found = __findStudentData_(target);
+    const report = {
+      dryRun, action, studentHash: emailToShortHash(target), incomplete: found.incomplete,
+      boardsScanned: found.boardsScanned, skippedBoards: found.skippedBoards,
+      answerRows: found.answers.length, reactions: found.reactions.length, rubricScores: found.rubricScores.length,
+      archiveRows: found.archive.length, lessonSnapshotRows: found.inlineRows.length,
+      deferredRows: 0, errors: 0, notes: []
+    };
+    if (found.answers.length > 0) report.notes.push(DATA_SUBJECT_FORM_NOTE);
+    if (!found.lessons) report.notes.push('授業の一覧を読めなかったため、授業アーカイブは探していません');
+    if (dryRun) {
+      return createSuccessResponse('試算しました (まだ何も書き換えていません)', { report });
+    }
+
+    // 1. アーカイブ。連続する行をまとめて書く (RetentionService の sweep と同じ)。
+    const runs = [];
+    found.archive.forEach((a) => {
+      const cells = action === 'delete' ? __retentionTombstoneCells_() : anonymizeArchiveRow_(a.row);
+      if (__sameRetentionCells_(__retentionRowCells_(a.row), cells)) return;
+      const last = runs[runs.length - 1];
+      if (last && last.startRow + last.cells.length === a.sheetRow) last.cells.push(cells);
+      else runs.push({ startRow: a.sheetRow, cells: [cells] });
+    });
+    runs.forEach((run) => {
+      try {
+        found.archiveSheet.getRange(run.startRow, RETENTION_FIRST_WRITTEN_COL + 1, run.cells.length, run.cells[0].length)
+          .setValues(run.cells.map(__retentionWritableCells_));
+      } catch (writeErr) {
+        logError_('deleteStudentData:archive', writeErr, { startRow: run.startRow });
+        report.errors++;
+      }
+    });
+
+    // 2. 旧形式 snapshot。etag 付きで、同時に編集された授業は上書きしない (再実行で拾う)。
+    const inlineByLesson = new Map();
+    found.inlineRows.forEach((r) => {
+      if (!inlineByLesson.has(r.lessonId)) inlineByLesson.set(r.lessonId, []);
+      inlineByLesson.get(r.lessonId).push(r);
+    });
+    (found.lessons || []).forEach((lesson) => {
+      const hits = inlineByLesson.get(lesson.lessonId);
+      if (!hits) return;
+      const lessonJson = deepClone(lesson.lessonJson);
+      hits.forEach((hit) => {
+        const sn = lessonJson.snapshots.find((s) => s && s.phaseIndex === hit.phaseIndex);
+        if (sn && sn.rows[hit.index]) sn.rows[hit.index] = action === 'delete' ? null : __anonymizeInlineRow_(sn.rows[hit.index]);
+      });
+      lessonJson.snapshots.forEach((sn) => {
+        if (sn && Array.isArray(sn.rows)) {
+          sn.rows = sn.rows.filter(Boolean);
+          if (action === 'delete') sn.rowCount = sn.rows.length;
+        }
+      });
+      const result = __updateLessonRow_(lesson.lessonId, { lessonJson }, lesson.etag);
+      if (!result || !result.success) report.errors++;
+    });
+
+    // 3. ボード (最後: アーカイブとの突き合わせはボードの行を読んだ時点の値で済んでいる)
+    //   アーカイブの行はボードの行 (rowIndex + タイムスタンプ) から辿る。1・2 で書けなかった行が
+    //   残っているうちにボードを消すと、再実行でその行を見つけられなくなるので、ボードは次の実行に回す。
+    const cache = CacheService.getScriptCache();
+    const touchedOwners = new Set();
+    const boards = report.errors > 0 ? [] : found.boards;
+    if (report.errors > 0 && found.boards.length > 0) {
+      report.incomplete = true;
+      report.notes.push('授業アーカイブを書き換えられなかったため、ボードの行はまだ消していません');
+    }
+    boards.forEach((board) => {
+      board.rows.forEach((rowNumber) => {
+        try {
+          const result = __applyStudentRowEdits_(board, rowNumber, target, action, cache, auth.email);
+          if (result.deferred) report.deferredRows++;
+          else if (result.changed) touchedOwners.add(board.ref.userId);
+        } catch (writeErr) {
+          logError_('deleteStudentData:board', writeErr, { rowNumber });
+          report.errors++;
+        }
+      });
+    });
+    if (typeof bumpBoardDataVersion_ === 'function') touchedOwners.forEach((userId) => bumpBoardDataVersion_(userId));
+
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('student.delete', {
+        target: 'student:' + report.studentHash,
+        after: {
+          action, answerRows: report.answerRows, reactions: report.reactions, rubricScores: report.rubricScores,
+          archiveRows: report.archiveRows, lessonSnapshotRows: report.lessonSnapshotRows,
+          deferredRows: report.deferredRows, errors: report.errors, incomplete: report.incomplete
+        }
+      });
+    }
+    const unfinished = report.incomplete || report.deferredRows > 0 || report.errors > 0;
+    return createSuccessResponse(unfinished
+      ? '一部を処理できませんでした。もう一度実行すると残りを処理します'
+      : (action === 'delete' ? '児童のデータを削除しました' : '児童のデータを匿名化しました'), { report });
+  } catch (error) {
+    logError_('deleteStudentData', error);
+    return createExceptionResponse(error);
+  }
+}
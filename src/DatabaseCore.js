@@ -3,7 +3,7 @@
  *   ブレーカー、Service Account JWT による安全なアクセス基盤。
  */
 
-/* global validateEmail, CACHE_DURATION, getCurrentEmail, isAdministrator, getUserConfig, executeWithRetry, getCachedProperty, clearPropertyCache, simpleHash, saveToCacheWithSizeCheck, DEFAULT_DISPLAY_SETTINGS, safeJsonParse_, logError_, sameEmail_ */
+/* global validateEmail, CACHE_DURATION, getCurrentEmail, isAdministrator, getUserConfig, executeWithRetry, getCachedProperty, clearPropertyCache, simpleHash, saveToCacheWithSizeCheck, DEFAULT_DISPLAY_SETTINGS, safeJsonParse_, logError_, sameEmail_, hasRoleAccess_, tenantCacheKey_, getTenantServiceAccountSlots_, isCurrentTenantSuspended_ */
 
 /**
  * Sheets API 呼び出しラッパー (適応型 backoff + circuit breaker + SA pool failover)。
@@ -164,6 +164,9 @@ const SA_COOLDOWN_TTL_SEC = 30;
 const SA_TOKEN_TTL_SEC_ = 50 * 60;
 const SA_VERIFY_TTL_OK_SEC_ = 600;
 const SA_VERIFY_TTL_NO_SEC_ = 120;
+const SA_SCOPE_SHEETS_ = 'https://www.googleapis.com/auth/spreadsheets';
+// 画像回答の読み出し専用。 Drive の書き込み権限は SA に持たせない。
+const SA_SCOPE_DRIVE_READONLY_ = 'https://www.googleapis.com/auth/drive.readonly';
 
 // Cache key prefixes (集約。 scattered string literal を排除)。
 const SA_CACHE_KEYS_ = {
@@ -206,11 +209,18 @@ function parseServiceAccountCredsSoft_(raw) {
 
 /**
  * 設定されている SA を全て返す (primary + secondaries, validate 済)。
+ * テナント (TenantService.js) の人には、 その学校に割り当てたスロットだけを返す。
+ * @param {Object} [options]
+ * @param {Array<number>|null} [options.slots] - 使うスロット番号。 省略時は呼び出し元のテナントの割り当て
  * @returns {Object[]} array of SA objects (empty if none configured)
  */
-function getAllServiceAccounts_() {
+function getAllServiceAccounts_(options = {}) {
+  const slots = options.slots !== undefined
+    ? options.slots
+    : (typeof getTenantServiceAccountSlots_ === 'function' ? getTenantServiceAccountSlots_() : null);
   const out = [];
   for (let n = 1; n <= SERVICE_ACCOUNT_POOL_MAX_; n++) {
+    if (slots && !slots.includes(n)) continue;
     const sa = parseServiceAccountCredsSoft_(getCachedProperty(serviceAccountPoolSlotKey_(n)));
     if (sa) out.push(sa);
   }
@@ -341,9 +351,10 @@ function getServiceAccount() {
  */
 const saTokenCache_ = Object.create(null);
 
-function getServiceAccountAccessToken_(sa) {
+function getServiceAccountAccessToken_(sa, scope = SA_SCOPE_SHEETS_) {
   if (!sa || !sa.client_email || !sa.private_key) return null;
-  const cacheKey = sa.client_email;
+  // Sheets 用 token の key は従来どおり client_email のまま (既存 cache をそのまま使う)。
+  const cacheKey = scope === SA_SCOPE_SHEETS_ ? sa.client_email : `${sa.client_email}|${scope}`;
   const now = Date.now();
 
   // Tier 1: in-memory
@@ -391,7 +402,7 @@ function getServiceAccountAccessToken_(sa) {
     { alg: 'RS256', typ: 'JWT' },
     {
       iss: sa.client_email,
-      scope: 'https://www.googleapis.com/auth/spreadsheets',
+      scope,
       aud: 'https://oauth2.googleapis.com/token',
       exp: nowSec + 3600,
       iat: nowSec
@@ -505,25 +516,42 @@ function makeProxyAuthResolver_(sheetId, initialToken, initialSaEmail) {
  * @returns {string[]}
  */
 function getAllBoardSpreadsheetIds() {
+  return Array.from(new Set(getAllBoardSheetRefs_().map((ref) => ref.spreadsheetId)));
+}
+
+/**
+ * 全 users.config の board シート (今の config と旧 profiles) を、 読むのに要る情報ごと返す。
+ * 同じ spreadsheetId + sheetName は 1 件にまとめる (先に見つかった config を使う)。
+ * @returns {Array<{userId: string, spreadsheetId: string, sheetName: string, columnMapping: Object}>}
+ */
+function getAllBoardSheetRefs_() {
   try {
     if (typeof getAllUsers !== 'function') return [];
     const users = getAllUsers({ activeOnly: false }, { forceServiceAccount: true });
     if (!Array.isArray(users)) return [];
-    const ids = new Set();
+    const refs = new Map();
+    const add = (userId, src) => {
+      if (!src || !src.spreadsheetId || typeof src.spreadsheetId !== 'string') return;
+      const sheetName = typeof src.sheetName === 'string' ? src.sheetName : '';
+      const key = src.spreadsheetId + '\u0000' + sheetName;
+      if (refs.has(key)) return;
+      refs.set(key, {
+        userId,
+        spreadsheetId: src.spreadsheetId,
+        sheetName,
+        columnMapping: (src.columnMapping && typeof src.columnMapping === 'object') ? src.columnMapping : {}
+      });
+    };
     for (const u of users) {
       if (!u || !u.configJson) continue;
       const cfg = safeJsonParse_(u.configJson, null);
       if (!cfg) continue;
-      if (cfg.spreadsheetId && typeof cfg.spreadsheetId === 'string') ids.add(cfg.spreadsheetId);
-      if (Array.isArray(cfg.profiles)) {
-        for (const p of cfg.profiles) {
-          if (p && p.spreadsheetId && typeof p.spreadsheetId === 'string') ids.add(p.spreadsheetId);
-        }
-      }
+      add(u.userId, cfg);
+      if (Array.isArray(cfg.profiles)) cfg.profiles.forEach((p) => add(u.userId, p));
     }
-    return Array.from(ids);
+    return Array.from(refs.values());
   } catch (err) {
-    if (typeof logError_ === 'function') logError_('getAllBoardSpreadsheetIds', err);
+    if (typeof logError_ === 'function') logError_('getAllBoardSheetRefs_', err);
     return [];
   }
 }
@@ -889,6 +917,11 @@ function validateServiceAccountUsage(spreadsheetId, useServiceAccount, context =
     // するチキン&エッグ問題があるため、 既に取得済の `targetUser.configJson` を直接 parse する。
     // (`findUserBySpreadsheetId` は admin 経路で取得しており、 configJson は信頼できる)
     const isPublished = isUserBoardPublished(targetUser);
+    // 役割 (RoleService) で範囲内の先生のボードを読む人は未公開でも SA 経由で読める。
+    //   役割を外した後もこの allow は最長 60s 残るが、閲覧 API は手前の resolveViewerBoardAccess_ で止まる。
+    if (!isPublished && typeof hasRoleAccess_ === 'function' && hasRoleAccess_(currentEmail, targetUser, 'viewBoard')) {
+      return cacheAndReturn({ allowed: true, reason: 'Role access (read-only)', accessMode: 'sa' });
+    }
     if (!isPublished) {
       console.warn('SA_VALIDATION: Non-owner access to unpublished board:', {
         currentEmail: currentEmail ? `${currentEmail.split('@')[0]}@***` : 'unknown',
@@ -907,11 +940,17 @@ function validateServiceAccountUsage(spreadsheetId, useServiceAccount, context =
 /**
  * データベーススプレッドシートを開く（CLAUDE.md準拠 - Editor→Admin共有DB）
  * DATABASE_SPREADSHEET_IDは常にサービスアカウントでアクセス（セキュリティ要件）
+ * 学校 (TenantService.js) のドメインの人には getCachedProperty が学校の DB の ID を返す。
  * @param {Object} options - オプション設定
  * @returns {Object|null} Database spreadsheet object
  */
 function openDatabase(options = {}) {
   try {
+    // 停止中の学校 (TenantService.js) は学校の DB を開かない。 グローバルの DB にも落とさない。
+    if (typeof isCurrentTenantSuspended_ === 'function' && isCurrentTenantSuspended_()) {
+      console.warn('openDatabase: tenant suspended');
+      return null;
+    }
     const dbId = getCachedProperty('DATABASE_SPREADSHEET_ID');
     if (!dbId) {
       console.warn('openDatabase: DATABASE_SPREADSHEET_ID not configured');
@@ -1078,6 +1117,67 @@ function openSpreadsheetViaServiceAccount(sheetId) {
   }
 }
 
+/**
+ * 画像回答の Drive file を SA pool 経由で読む。 viewer 本人には Drive 権限を渡さない。
+ *   file は SA pool に「閲覧者」 で共有済みのものだけ読める (addServiceAccountsAsViewers)。
+ *   共有されている SA が pool の一部だけのこともあるので、 403/404 は次の SA で試す。
+ *
+ * @param {string} fileId
+ * @param {Object} [options]
+ * @param {boolean} [options.thumbnail=false] - true なら Drive の縮小版 (thumbnailLink) を読む
+ * @param {number} [options.maxBytes] - 元画像の上限。 超えたら TOO_LARGE
+ * @returns {{mimeType:string, bytes:Array<number>}|{error:string}}
+ *   error: SA_POOL_EMPTY / NOT_SHARED / NOT_IMAGE / TOO_LARGE / FETCH_FAILED
+ */
+function fetchDriveImageViaServiceAccount_(fileId, options = {}) {
+  const pool = getAllServiceAccounts_();
+  if (pool.length === 0) return { error: 'SA_POOL_EMPTY' };
+  const preferred = pickServiceAccount_();
+  const baseIdx = preferred && pool.indexOf(preferred) >= 0 ? pool.indexOf(preferred) : 0;
+  const fileUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}`;
+  let denied = false;
+
+  for (let step = 0; step < pool.length; step++) {
+    const sa = pool[(baseIdx + step) % pool.length];
+    if (pool.length > 1 && isServiceAccountCoolingDown_(sa.client_email)) continue;
+    const token = getServiceAccountAccessToken_(sa, SA_SCOPE_DRIVE_READONLY_);
+    if (!token) continue;
+    const fetchOpts = { headers: { 'Authorization': `Bearer ${token}` }, muteHttpExceptions: true };
+    try {
+      const metaRes = UrlFetchApp.fetch(`${fileUrl}?fields=mimeType,size,thumbnailLink&supportsAllDrives=true`, fetchOpts);
+      const metaCode = metaRes.getResponseCode();
+      if (metaCode === 429) { markServiceAccountCoolingDown_(sa.client_email); continue; }
+      if (metaCode === 403 || metaCode === 404) { denied = true; continue; }
+      if (metaCode !== 200) continue;
+
+      const meta = JSON.parse(metaRes.getContentText());
+      if (!meta || typeof meta.mimeType !== 'string' || meta.mimeType.indexOf('image/') !== 0) {
+        return { error: 'NOT_IMAGE' };
+      }
+      if (options.maxBytes && Number(meta.size) > options.maxBytes && !(options.thumbnail && meta.thumbnailLink)) {
+        return { error: 'TOO_LARGE' };
+      }
+      // thumbnailLink は末尾の「=s220」 で縮小幅を指定する。 カード用に 480px 幅へ差し替える。
+      const mediaUrl = (options.thumbnail && meta.thumbnailLink)
+        ? meta.thumbnailLink.replace(/=s\d+$/, '=s480')
+        : `${fileUrl}?alt=media&supportsAllDrives=true`;
+      const mediaRes = UrlFetchApp.fetch(mediaUrl, fetchOpts);
+      const mediaCode = mediaRes.getResponseCode();
+      if (mediaCode === 429) { markServiceAccountCoolingDown_(sa.client_email); continue; }
+      if (mediaCode !== 200) continue;
+      const blob = mediaRes.getBlob();
+      const mimeType = String(blob.getContentType() || meta.mimeType);
+      return {
+        mimeType: mimeType.indexOf('image/') === 0 ? mimeType : meta.mimeType,
+        bytes: blob.getBytes()
+      };
+    } catch (error) {
+      console.warn('fetchDriveImageViaServiceAccount_: fetch failed:', error && error.message);
+    }
+  }
+  return { error: denied ? 'NOT_SHARED' : 'FETCH_FAILED' };
+}
+
 function createServiceAccountJWT(header, payload, privateKey) {
   const headerB64 = Utilities.base64EncodeWebSafe(JSON.stringify(header)).replace(/=/g, '');
   const payloadB64 = Utilities.base64EncodeWebSafe(JSON.stringify(payload)).replace(/=/g, '');
@@ -1194,12 +1294,12 @@ function createServiceAccountSheetProxy(sheetId, sheetName, accessToken, additio
     }
   }
 
-  // setValue(s) 共通の RAW PUT。 resource (range or sheetName) / values / label のみ可変。
+  // setValue(s) 共通の PUT (既定は RAW)。 resource (range or sheetName) / values / label のみ可変。
   //   getRange().setValue/setValues と getDataRange().setValues の 3 箇所で共有。
-  const putValuesViaApi = (resource, values, label) => {
+  const putValuesViaApi = (resource, values, label, inputOption = 'RAW') => {
     const auth = resolveAuth();
     return fetchSheetsAPIWithRetry(
-      `${baseUrl}/values/${resource}?valueInputOption=RAW`,
+      `${baseUrl}/values/${resource}?valueInputOption=${inputOption}`,
       {
         method: 'PUT',
         headers: { 'Authorization': `Bearer ${auth.token}`, 'Content-Type': 'application/json' },
@@ -1314,10 +1414,20 @@ function createServiceAccountSheetProxy(sheetId, sheetName, accessToken, additio
     //   1 行ずつ appendRow すると、別授業の同時 capture と行が交錯して範囲が壊れる。
     //   :append は 1 呼び出し分の values を必ず連続で書き、書いた範囲を応答で返すので、
     //   getLastRow → 書込 の 2 手に分けたときの race が存在しない (lock 不要)。
+    //
+    //   Date のセルはフォームが書く行と同じ日時セルにする。 RAW では Date が文字列のまま残るので、
+    //   表示と同じ書式の文字列で追記してから、 その列だけ USER_ENTERED で書き直して日付として解釈させる
+    //   (書き直すのはサーバーが作った日時だけ。 回答の文字列は RAW のまま = 数式として評価されない)。
     appendRows: (values) => {
       try {
         const auth = resolveAuth();
-        const payload = { values };
+        // 書き直すのは全行が Date の列だけ (同じ列の回答文字列を USER_ENTERED に通さない)。
+        const dateColumns = (values[0] || []).map((_, col) => col)
+          .filter(col => values.every(row => row[col] instanceof Date));
+        const rows = values.map(row => row.map(cell => (cell instanceof Date
+          ? Utilities.formatDate(cell, Session.getScriptTimeZone(), 'yyyy/MM/dd H:mm:ss')
+          : cell)));
+        const payload = { values: rows };
         const response = fetchSheetsAPIWithRetry(
           `${baseUrl}/values/${sheetName}:append?valueInputOption=RAW`,
           {
@@ -1332,9 +1442,23 @@ function createServiceAccountSheetProxy(sheetId, sheetName, accessToken, additio
         // updates.updatedRange 例: "'lesson_responses'!A5:I100" → 開始行 5
         const body = safeJsonParse_(response.getContentText(), {});
         const range = (body && body.updates && body.updates.updatedRange) || '';
-        const m = /![A-Z]+([0-9]+)/.exec(range);
+        const m = /!([A-Z]+)([0-9]+)/.exec(range);
+        const startRow = m ? Number(m[2]) : -1;
+        if (m && dateColumns.length > 0) {
+          const startCol = m[1].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+          dateColumns.forEach((col) => {
+            const c = startCol + col;
+            try {
+              putValuesViaApi(`${sheetName}!R${startRow}C${c}:R${startRow + rows.length - 1}C${c}`,
+                rows.map(row => [row[col]]), `appendRows.dates(${sheetName})`, 'USER_ENTERED');
+            } catch (error) {
+              // 行は書けている。 日時が文字列のまま残るだけなので追記は成功として返す。
+              console.warn('appendRows: date cells stayed as text:', error.message);
+            }
+          });
+        }
         return {
-          startRow: m ? Number(m[1]) : -1,
+          startRow,
           rowCount: values.length,
           updatedRange: range
         };
@@ -1430,8 +1554,15 @@ function canAccessTargetUser(targetUser, context = {}) {
     return true;
   }
 
-  if (context.allowPublishedRead === true) {
-    return isUserBoardPublished(targetUser);
+  if (context.allowPublishedRead === true && isUserBoardPublished(targetUser)) {
+    return true;
+  }
+
+  // Why: school_admin / grade_leader / observer (RoleService.js) は範囲内の先生のボードを
+  //   未公開でも読める。roles 表は cache 1 回で引けるが、公開ボードの polling では上で返るので
+  //   ここまで来るのは未公開ボード・授業の参照 (allowRoleRead) だけ。
+  if (context.allowPublishedRead === true || context.allowRoleRead === true) {
+    return typeof hasRoleAccess_ === 'function' && hasRoleAccess_(requestingUser, targetUser, 'viewBoard');
   }
 
   return false;
@@ -1533,6 +1664,11 @@ function findUserByGoogleId(googleId, context = {}) {
   return findUserByField('googleId', googleId, { ...context, cacheKeyPrefix: null, label: 'findUserByGoogleId' });
 }
 
+// ユーザー表の cache は DB ごと。 テナント (TenantService.js) の人は学校の DB を読むので key を分ける。
+function __tenantUserCacheKey_(key) {
+  return typeof tenantCacheKey_ === 'function' ? tenantCacheKey_(key) : key;
+}
+
 /**
  * findUserBy*系の共通実装。
  * 探索は (1) individual cache → (2) getAllUsers キャッシュ → (3) 直接DB の順。
@@ -1549,7 +1685,7 @@ function findUserByField(fieldName, fieldValue, context = {}) {
     let individualCacheKey = null;
     if (cacheKeyPrefix) {
       const cacheVersion = getCachedProperty('USER_CACHE_VERSION') || '0';
-      individualCacheKey = `${cacheKeyPrefix}_v${cacheVersion}_${fieldValue}`;
+      individualCacheKey = __tenantUserCacheKey_(`${cacheKeyPrefix}_v${cacheVersion}_${fieldValue}`);
       try {
         const cached = CacheService.getScriptCache().get(individualCacheKey);
         if (cached) {
@@ -1803,7 +1939,7 @@ function getAllUsers(options = {}, context = {}) {
     }
 
     const cacheVersion = getCachedProperty('USER_CACHE_VERSION') || '0';
-    const cacheKey = `all_users_v${cacheVersion}_${simpleHash(options)}_${context.forceServiceAccount ? 'sa' : 'norm'}`;
+    const cacheKey = __tenantUserCacheKey_(`all_users_v${cacheVersion}_${simpleHash(options)}_${context.forceServiceAccount ? 'sa' : 'norm'}`);
     const skipCache = context.skipCache || false;
 
     if (!skipCache) {
@@ -2028,7 +2164,7 @@ function findUserBySpreadsheetId(spreadsheetId, context = {}) {
     }
 
     const cacheVersion = getCachedProperty('USER_CACHE_VERSION') || '0';
-    const cacheKey = `user_by_sheet_v${cacheVersion}_${spreadsheetId}`;
+    const cacheKey = __tenantUserCacheKey_(`user_by_sheet_v${cacheVersion}_${spreadsheetId}`);
     const skipCache = context.skipCache || false;
 
     if (!skipCache) {
@@ -4,7 +4,7 @@
  *   owner-only auth (管理者は listLessons のみ全件取得可)。
  */
 
-/* global openDatabase, getCurrentEmail, isAdministrator, findUserByEmail, findUserById, createTemplateForm, applyConfigPatch_, getPublishedSheetData, getPublishedSheetDataForProfile, getAllUsers, getConfigOrDefault, getCachedProperty, LESSONS_SHEET_HEADERS, LESSON_RESPONSES_SHEET_HEADERS, deepClone, createSuccessResponse, createErrorResponse, createExceptionResponse, createUserNotFoundError, createAuthError, isBoardCollaborator, logError_ */
+/* global openDatabase, getCurrentEmail, isAdministrator, findUserByEmail, findUserById, createTemplateForm, applyConfigPatch_, getPublishedSheetData, getPublishedSheetDataForProfile, getAllUsers, getConfigOrDefault, getCachedProperty, setCachedProperty, clearPropertyCache, emailToShortHash, LESSONS_SHEET_HEADERS, LESSON_RESPONSES_SHEET_HEADERS, deepClone, createSuccessResponse, createErrorResponse, createExceptionResponse, createUserNotFoundError, createAuthError, isBoardCollaborator, hasRoleAccess_, getRoleGrant_, sanitizeRubric, DEFAULT_RUBRIC, buildPiiMatcher_, maskPiiInItem_, runForEachTenant_, getCurrentTenant_, safeJsonParse_, logError_ */
 
 // schemaVersion を bump するときは migration 計画を必ず書く。Phase 1 = 1。
 const LESSON_SCHEMA_VERSION = 1;
@@ -23,6 +23,32 @@ const LESSON_AUTO_ARCHIVE_MIN_MS = 5 * 60 * 1000;        // < 5 分 = テスト
 const LESSON_AUTO_ARCHIVE_MIN_RESPONSES = 1;             // 0 回答 = 授業として成立してない
 const LESSON_DAILY_STALE_HOURS = 4;                      // 最終回答から 4h 経過 = もう授業終了とみなす
 const LESSON_DAILY_TRIGGER_HOUR = 23;                    // 23:00 JST に sweep
+// フェーズのタイマー。時間切れの動き: advance = 次のフェーズへ / close = Form を締め切る / notify = 知らせるだけ。
+const LESSON_PHASE_TIMER_ACTIONS = Object.freeze(['advance', 'close', 'notify']);
+const LESSON_PHASE_TIMER_MIN_SEC = 10;
+const LESSON_PHASE_TIMER_MAX_SEC = 2 * 60 * 60;
+// 走っているタイマーの台帳 (script property)。教師のタブが閉じていても毎分の sweep が拾う。
+//   { [lessonId]: { userId, tenantId, phaseIndex, endsAt(ms) } }
+const LESSON_PHASE_TIMERS_PROPERTY = 'LESSON_PHASE_TIMERS';
+const LESSON_PHASE_TIMER_SWEEP_MINUTES = 1;
+// フェーズの分岐。条件は「次のフェーズへ」の瞬間のボード (全クラス合算) で判定する。
+//   割合 (topShare / choiceShare) は % (0-100)、meanX は数直線 / 横軸の目盛りの平均、responseCount は件数。
+const LESSON_BRANCH_METRICS = Object.freeze(['topShare', 'choiceShare', 'meanX', 'responseCount']);
+const LESSON_BRANCH_OPS = Object.freeze(['>', '>=', '<', '<=']);
+const LESSON_BRANCH_MAX_RULES = 3;
+// 予約開始の台帳 (script property)。{ [lessonId]: { userId, tenantId, startAt(ms) } }
+const LESSON_SCHEDULES_PROPERTY = 'LESSON_SCHEDULES';
+const LESSON_SCHEDULE_SWEEP_MINUTES = 1;
+// 予約時刻からこれ以上遅れたら自動では開始しない (1 コマの半分を過ぎた授業を勝手に始めない)。
+const LESSON_SCHEDULE_MAX_LATE_MS = 20 * 60 * 1000;
+// Form の事前準備は開始の 7 日前から、1 回の呼び出しで 2 授業まで。
+//   Form 1 つに数秒かかるので、くり返しの全回分を一度に作ると実行時間の上限に当たる。
+const LESSON_SCHEDULE_PREPARE_DAYS = 7;
+const LESSON_SCHEDULE_PREPARE_MAX_PER_CALL = 2;
+const LESSON_SERIES_MAX_OCCURRENCES = 20;
+// くり返しの曜日・時刻は学校の時刻 (JST) で解釈する。
+const LESSON_SCHEDULE_TZ_OFFSET_MS = 9 * 60 * 60 * 1000;
+const LESSON_WEEKDAY_LABELS = Object.freeze(['日', '月', '火', '水', '木', '金', '土']);
 
 // ----- 内部 CRUD: lessons シートに対する row-level 操作 -----
 
@@ -93,7 +119,8 @@ function __writeArchiveRows_(lessonId, phaseIndex, projectedRows) {
     (r.answer === null || r.answer === undefined) ? '' : r.answer,
     (r.reason === null || r.reason === undefined) ? '' : r.reason,
     (typeof r.numericX === 'number') ? r.numericX : '',
-    (typeof r.numericY === 'number') ? r.numericY : ''
+    (typeof r.numericY === 'number') ? r.numericY : '',
+    r.studentKey || ''
   ]);
   try {
     if (typeof sheet.appendRows === 'function') {
@@ -379,46 +406,56 @@ function __deleteLessonRow_(lessonId) {
   });
 }
 
-// ----- Authorization: owner OR admin (write) / owner OR admin OR collaborator (read) -----
+// ----- Authorization: owner OR admin (write) / owner OR admin OR collaborator OR role (read) -----
 // Why admin allowed: listLessons / getKnownClassesForUser など他の lesson read ops は
 //   admin に許可しているのに、advance / end / delete / updateDraft だけ admin 拒否すると
 //   admin API 経由のサポート操作 (生徒の質問対応や授業データ修復) ができない。SSOT で揃える。
 // Why collaborator (v2855+): ボード SS の editor として共有された共同教師は read 用途
 //   (getLessonForReview 等) なら lesson を閲覧してよい。 write 用途 (advance/end/delete/
 //   updateDraft) は引き続き owner / admin のみ — allowCollaborator=true で明示的に opt-in。
+// Why role: grade_leader / observer / school_admin (RoleService.js) は範囲内の先生の授業を
+//   一覧・振り返りできる。 allowRole に capability 名 ('reviewLessons') を渡した read 用途だけ。
+//   教育実習生は users シートに行が無いこともあるので、 役割があれば callerUser が無くても通す。
 
 function __requireLessonOwner_(userId, lessonId, options) {
   const allowCollaborator = !!(options && options.allowCollaborator);
+  const allowRole = (options && typeof options.allowRole === 'string') ? options.allowRole : '';
   const email = getCurrentEmail();
   if (!email) return { error: createAuthError() };
 
   const callerUser = findUserByEmail(email, { requestingUser: email });
-  if (!callerUser) return { error: createUserNotFoundError() };
+  if (!callerUser && !allowRole) return { error: createUserNotFoundError() };
 
   const isAdmin = isAdministrator(email);
   let isCollaborator = false;
-  if (!isAdmin && callerUser.userId !== userId) {
-    if (allowCollaborator) {
-      const targetUser = (typeof findUserById === 'function') ? findUserById(userId) : null;
-      if (targetUser && typeof isBoardCollaborator === 'function'
-          && isBoardCollaborator(targetUser, email)) {
-        isCollaborator = true;
-      }
+  let role = null;
+  if (!isAdmin && !(callerUser && callerUser.userId === userId)) {
+    const targetUser = ((allowCollaborator || allowRole) && typeof findUserById === 'function')
+      ? findUserById(userId, { requestingUser: email, allowRoleRead: !!allowRole })
+      : null;
+    if (callerUser && allowCollaborator && targetUser && typeof isBoardCollaborator === 'function'
+        && isBoardCollaborator(targetUser, email)) {
+      isCollaborator = true;
     }
-    if (!isCollaborator) {
+    if (!isCollaborator && allowRole && targetUser && typeof hasRoleAccess_ === 'function'
+        && hasRoleAccess_(email, targetUser, allowRole)) {
+      role = getRoleGrant_(email).role;
+    }
+    if (!isCollaborator && !role) {
+      if (!callerUser) return { error: createUserNotFoundError() };
       const resourceLabel = (options && options.resourceLabel) || 'lesson';
       return { error: createErrorResponse(`他ユーザーの ${resourceLabel} にはアクセスできません`) };
     }
   }
 
-  if (!lessonId) return { callerUser, isAdmin, isCollaborator };
+  if (!lessonId) return { callerUser, isAdmin, isCollaborator, role };
 
   const found = __findLessonById_(lessonId);
   if (!found) return { error: createErrorResponse('lesson が見つかりません') };
   if (found.lesson.userId !== userId) {
     return { error: createErrorResponse('lesson の所有者が一致しません') };
   }
-  return { callerUser, found, isAdmin, isCollaborator };
+  return { callerUser, found, isAdmin, isCollaborator, role };
 }
 
 // ----- Lesson テンプレート (Phase 1 は 1 種類固定) -----
@@ -511,12 +548,14 @@ function createLessonDraft(userId, name, template) {
         spreadsheetId: '',
         sheetName: '',
         columnMapping: {},
-        displaySettings: {}
+        displaySettings: {},
+        timer: p.timer || null
       })),
       profileTransitions: [],
       snapshots: [],
       meta: { schemaVersion: LESSON_SCHEMA_VERSION }
     };
+    __normalizePhaseTimers_(lessonJson);
 
     const record = {
       lessonId, userId,
@@ -560,16 +599,24 @@ function updateLessonDraft(userId, lessonId, fieldPath, value, expectedEtag) {
     if (found.lesson.state !== 'draft') {
       return createErrorResponse('FORBIDDEN_STATE: draft 状態でのみ編集できます');
     }
+    // 予約は台帳と一緒に動かす必要があるので scheduleLesson / createLessonSeries 経由に限る。
+    if (/^(schedule|series|formsPreparedAt)\b/.test(String(fieldPath))) {
+      return createErrorResponse('予約は scheduleLesson で変更してください');
+    }
 
     // top-level の name 列はシート列としても保持しているので別ルートで反映。
     const isNameField = fieldPath === 'name';
     const newName = isNameField
       ? (String(value || '').slice(0, 100) || '新しい授業')
       : found.lesson.name;
-    const lessonJson = isNameField
+    let lessonJson = isNameField
       ? { ...found.lesson.lessonJson }
       : deepClone(found.lesson.lessonJson || {});
-    if (!isNameField) __setByPath_(lessonJson, fieldPath, value);
+    if (!isNameField) {
+      __setByPath_(lessonJson, fieldPath, value);
+      __normalizePhaseTimers_(lessonJson);
+      __normalizePhaseBranches_(lessonJson);
+    }
 
     // Why: IME 入力中など、同じ値が複数回送られてくるケースがある。
     //   既存値と一致するなら sheet 書き込みを skip して I/O と etag 進行を抑制。
@@ -579,9 +626,18 @@ function updateLessonDraft(userId, lessonId, fieldPath, value, expectedEtag) {
       return createSuccessResponse('unchanged', { lesson: found.lesson });
     }
 
+    // 予約で先に作った Form は授業名・クラス・問いを焼き込んでいる。下書きを直したら捨てて、
+    //   次の事前準備 (prepareScheduledLessons) で作り直す。
+    const preparedFiles = __preparedFormFiles_(found.lesson.lessonJson);
+    if (preparedFiles.length > 0) {
+      lessonJson = deepClone(lessonJson);
+      __resetPreparedForms_(lessonJson);
+    }
+
     const patch = isNameField ? { lessonJson, name: newName } : { lessonJson };
     const result = __updateLessonRow_(lessonId, patch, expectedEtag);
     if (!result.success) return createErrorResponse(result.message || result.error, null, { error: result.error });
+    __trashDriveFiles_(preparedFiles);
     return createSuccessResponse('updated', { lesson: result.lesson });
   } catch (error) {
     logError_('updateLessonDraft', error);
@@ -636,7 +692,7 @@ function getActiveLessonNav(targetUserId) {
 
 function listLessons(userId) {
   try {
-    const access = __requireLessonOwner_(userId, null, { resourceLabel: 'lesson 一覧' });
+    const access = __requireLessonOwner_(userId, null, { resourceLabel: 'lesson 一覧', allowRole: 'reviewLessons' });
     if (access.error) return access.error;
 
     const lessons = __listLessonsForUser_(userId);
@@ -650,6 +706,10 @@ function listLessons(userId) {
       endedAt: l.endedAt,
       classes: (l.lessonJson && l.lessonJson.classes) || [],
       phaseCount: (l.lessonJson && Array.isArray(l.lessonJson.phases)) ? l.lessonJson.phases.length : 0,
+      // 予約 (draft のみ)。missed は自動で始められなかった予約 (reason に理由)
+      schedule: (l.state === 'draft' && l.lessonJson && l.lessonJson.schedule) || null,
+      formsReady: l.state === 'draft' ? __lessonFormsReady_(l.lessonJson) : true,
+      seriesId: (l.lessonJson && l.lessonJson.series && l.lessonJson.series.seriesId) || null,
       etag: l.etag
     }));
     return createSuccessResponse('listed', { lessons: summaries });
@@ -690,8 +750,8 @@ function getKnownClassesForUser(userId) {
 
 function getLessonForReview(userId, lessonId) {
   try {
-    // read 用途なので collaborator (ボード SS editor) にも許可 (v2855+)。
-    const auth = __requireLessonOwner_(userId, lessonId, { allowCollaborator: true });
+    // read 用途なので collaborator (ボード SS editor) と役割 (RoleService) にも許可 (v2855+)。
+    const auth = __requireLessonOwner_(userId, lessonId, { allowCollaborator: true, allowRole: 'reviewLessons' });
     if (auth.error) return auth.error;
     // active / completed どちらも review 可。draft は wizard で開く方が自然。
     // アーカイブ行はポインタ経由で読み戻す (クライアントは rows が埋まった snapshot を期待する)。
@@ -738,7 +798,9 @@ function __hydrateLessonSnapshots_(lesson) {
           answer: v[5],
           reason: v[6],
           numericX: toNum(v[7]),
-          numericY: toNum(v[8])
+          numericY: toNum(v[8]),
+          // 旧アーカイブ / opt-in なしの授業は空セル → キー自体を持たせない
+          ...(v[9] ? { studentKey: String(v[9]) } : {})
         }));
       if (sn.rows.length !== sn.rowCount) {
         sn.reason = 'ARCHIVE_POINTER_DRIFT:' + sn.rows.length + '/' + sn.rowCount;
@@ -756,48 +818,14 @@ function __hydrateLessonSnapshots_(lesson) {
  *   - phases の構造 (name / formTemplate / question / templateOptions) は引き継ぐ
  *   - Form / SS / classes / snapshots / profileTransitions は strip (新規授業 = 別 Form)
  *   - 旧版のクラス構成は明示的に引き継ぎたいケースもあるので options.copyClasses=true で復元
- *   - name は元 name + " (コピー)"。ユーザーは Step 1 で書き換えられる。
+ *   - name は元 name + " (コピー)"。ユーザーは Step 1 で書き換えられる (options.name で指定も可)
+ *   - options.classes を渡すとクラス構成をそれで置き換える (copyClasses より優先)
  */
 function duplicateLesson(userId, sourceLessonId, options) {
   try {
     const auth = __requireLessonOwner_(userId, sourceLessonId);
     if (auth.error) return auth.error;
-    const src = auth.found.lesson;
-    const opts = options || {};
-
-    const srcPhases = (src.lessonJson && src.lessonJson.phases) || [];
-    const newPhases = srcPhases.map((p) => ({
-      name: p.name,
-      formTemplate: p.formTemplate,
-      question: p.question,
-      // templateOptions (軸ラベル / 選択肢) は教師の意図そのものなので必ず引き継ぐ
-      templateOptions: p.templateOptions ? deepClone(p.templateOptions) : {},
-      // 以下は「新しい Form を作る」ために必ず空にする
-      formId: '', formUrl: '', spreadsheetId: '', sheetName: '',
-      columnMapping: {}, displaySettings: {}
-    }));
-
-    const newLessonId = 'lesson_' + Utilities.getUuid().slice(0, 12);
-    const now = new Date().toISOString();
-    const lessonJson = {
-      template: src.lessonJson && src.lessonJson.template || 'doutoku-3phase',
-      classes: opts.copyClasses ? ((src.lessonJson && src.lessonJson.classes) || []).slice() : [],
-      phases: newPhases,
-      profileTransitions: [],
-      snapshots: [],
-      meta: { schemaVersion: LESSON_SCHEMA_VERSION, duplicatedFrom: sourceLessonId }
-    };
-    const baseName = String(src.name || '新しい授業').slice(0, 80);
-    const record = {
-      lessonId: newLessonId, userId,
-      name: baseName + ' (コピー)',
-      state: 'draft',
-      createdAt: now, startedAt: null, endedAt: null,
-      lessonJson
-    };
-    // Why: __createLessonRow_ は record そのもの (etag/sizeBytes 付加) を返し、success フラグは無い。
-    //   失敗時は {success:false, message:...} を返すケースのみ。createLessonDraft と同じ慣用。
-    const written = __createLessonRow_(record);
+    const written = __cloneLessonDraft_(userId, auth.found.lesson, options || {});
     if (written && written.success === false) {
       return createErrorResponse(written.message || 'lesson 作成失敗');
     }
@@ -808,6 +836,54 @@ function duplicateLesson(userId, sourceLessonId, options) {
   }
 }
 
+// duplicateLesson の本体。くり返し予約は同じ元授業から何回分も作るので auth を 1 回で済ませる。
+//   opts.extra は新しい lessonJson に足す項目 (予約 / くり返しの印)。
+function __cloneLessonDraft_(userId, src, opts) {
+  const srcPhases = (src.lessonJson && src.lessonJson.phases) || [];
+  const newPhases = srcPhases.map((p) => ({
+    name: p.name,
+    formTemplate: p.formTemplate,
+    question: p.question,
+    // templateOptions (軸ラベル / 選択肢) は教師の意図そのものなので必ず引き継ぐ
+    templateOptions: p.templateOptions ? deepClone(p.templateOptions) : {},
+    // タイマー定義も授業設計の一部。走っていた状態 (lessonJson.phaseTimer) は引き継がない
+    timer: p.timer || null,
+    // 分岐は phase の添字で先を指す。複製は phases の並びをそのまま保つので添字も有効
+    branches: p.branches ? deepClone(p.branches) : null,
+    // 以下は「新しい Form を作る」ために必ず空にする
+    formId: '', formUrl: '', spreadsheetId: '', sheetName: '',
+    columnMapping: {}, displaySettings: {}
+  }));
+
+  const newLessonId = 'lesson_' + Utilities.getUuid().slice(0, 12);
+  const now = new Date().toISOString();
+  const srcClasses = (src.lessonJson && src.lessonJson.classes) || [];
+  const lessonJson = {
+    template: src.lessonJson && src.lessonJson.template || 'doutoku-3phase',
+    classes: Array.isArray(opts.classes) ? opts.classes.slice() : (opts.copyClasses ? srcClasses.slice() : []),
+    // 意見の流れ追跡の opt-in も授業設計の一部なので引き継ぐ (キーは新 lessonId で別物になる)
+    trackStudentFlow: __isStudentFlowTracked_(src.lessonJson),
+    phases: newPhases,
+    profileTransitions: [],
+    snapshots: [],
+    meta: { schemaVersion: LESSON_SCHEMA_VERSION, duplicatedFrom: src.lessonId },
+    ...(opts.extra || {})
+  };
+  __normalizePhaseTimers_(lessonJson);
+  __normalizePhaseBranches_(lessonJson);
+  const baseName = String(src.name || '新しい授業').slice(0, 80);
+  const record = {
+    lessonId: newLessonId, userId,
+    name: opts.name ? String(opts.name).slice(0, 100) : baseName + ' (コピー)',
+    state: 'draft',
+    createdAt: now, startedAt: null, endedAt: null,
+    lessonJson
+  };
+  // Why: __createLessonRow_ は record そのもの (etag/sizeBytes 付加) を返し、success フラグは無い。
+  //   失敗時は {success:false, message:...} を返すケースのみ。createLessonDraft と同じ慣用。
+  return __createLessonRow_(record);
+}
+
 // ----- Migration: 既存 profiles[] を「過去の lesson 記録」として lessons シートに取り込む -----
 
 // boardMode → formTemplate の逆引き (importLessonFromProfiles 用)。
@@ -818,7 +894,9 @@ function __boardModeToFormTemplate_(boardMode) {
   if (boardMode === 'numberline') return 'numberline';
   if (boardMode === 'matrix') return 'matrix';
   if (boardMode === 'board') return 'board';
-  // wordcloud / auto などはテンプレ既存形式に無いので 'board' (自由記述ベース) にマップ。
+  if (boardMode === 'ranking') return 'ranking';
+  if (boardMode === 'qa') return 'qa';
+  // wordcloud / cluster / distribution / auto などはテンプレ既存形式に無いので 'board' (自由記述ベース) にマップ。
   return 'board';
 }
 
@@ -841,6 +919,7 @@ function __profileToTemplateOptions_(profile) {
     if (yAxis) { opts.yLow = yAxis.min || ''; opts.yHigh = yAxis.max || ''; }
     if (quadrant) opts.matrixQuadrantLabels = quadrant;
   }
+  if (profile.rubric) opts.rubric = profile.rubric;
   return opts;
 }
 
@@ -856,6 +935,8 @@ function __extractFormPublishedId_(formUrl) {
 // ボード行を「実践報告書 / 過去授業 archive 用」の slim row に整形する。
 //   個人特定可能フィールド (name / email / emailHash / reactions / highlight / opinion / id) は除外。
 //   `includeName: true` で名前列も残せる (校内資料用)。
+//   本文の連絡先 (メール / 電話 / 住所) は常に、 名前は includeName でないとき伏せる (PiiMaskingService)。
+//   名簿は `piiMatcher` (= buildPiiMatcher_(全行)) で渡す。 無ければ連絡先だけ伏せる。
 //   exportBoardData (AdminApis.js) と snapshot capture (__captureSnapshot_ / import) で共用。
 function __projectBoardRowForExport_(row, options) {
   const includeName = options && options.includeName === true;
@@ -869,9 +950,17 @@ function __projectBoardRowForExport_(row, options) {
     numericY: row.numericY
   };
   if (includeName) out.name = row.name || '';
+  if (typeof maskPiiInItem_ === 'function') {
+    maskPiiInItem_(out, includeName ? null : (options && options.piiMatcher) || null);
+  }
   return out;
 }
 
+// 書き出す行全体から名簿を作る (1 行ずつ作ると他の児童の名前を拾えない)。
+function __buildExportPiiMatcher_(rows) {
+  return typeof buildPiiMatcher_ === 'function' ? buildPiiMatcher_(rows) : null;
+}
+
 
 function __extractClassesFromSnapshots_(snapshots) {
   const seen = new Set();
@@ -927,7 +1016,7 @@ function importLessonFromProfiles(userId, options) {
     // phases: profiles[] と同じ順序 (= 教師が AdminPanel で並べた順)
     const phases = profiles.map((p) => ({
       name: p.name || '',
-      formTemplate: __boardModeToFormTemplate_(p.displaySettings && p.displaySettings.boardMode),
+      formTemplate: p.rubric ? 'rubric' : __boardModeToFormTemplate_(p.displaySettings && p.displaySettings.boardMode),
       question: p.formTitle || p.name || '',
       formId: __extractFormPublishedId_(p.formUrl),
       formUrl: p.formUrl || '',
@@ -972,7 +1061,7 @@ function importLessonFromProfiles(userId, options) {
       }
       let fetched;
       try {
-        fetched = getPublishedSheetDataForProfile(userId, ph.name, null, 'newest');
+        fetched = getPublishedSheetDataForProfile(userId, ph.name, null, 'newest', true);
       } catch (e) {
         base.reason = 'CAPTURE_FAILED:' + ((e && e.message) || 'exception');
         return base;
@@ -982,7 +1071,8 @@ function importLessonFromProfiles(userId, options) {
         return base;
       }
       // live capture (__captureSnapshot_) と同じ経路: PII を落として lesson_responses へ。
-      const projected = fetched.data.map(r => __projectBoardRowForExport_(r));
+      const piiMatcher = __buildExportPiiMatcher_(fetched.data);
+      const projected = fetched.data.map(r => __projectBoardRowForExport_(r, { piiMatcher }));
       const pointer = __writeArchiveRows_(lessonId, idx, projected);
       if (!pointer) {
         base.reason = 'ARCHIVE_WRITE_FAILED';
@@ -1049,6 +1139,14 @@ function deleteLesson(userId, lessonId) {
     }
     const result = __deleteLessonRow_(lessonId);
     if (!result.success) return createErrorResponse(result.error || 'delete failed');
+    __auditLesson_('lesson.delete', userId, lessonId, {
+      state: { before: auth.found.lesson.state, after: null },
+      name: { before: auth.found.lesson.name || '', after: null }
+    });
+    if (auth.found.lesson.state === 'draft') {
+      __syncLessonScheduleRegistry_(lessonId);
+      __trashDriveFiles_(__preparedFormFiles_(auth.found.lesson.lessonJson));
+    }
     return createSuccessResponse('deleted', { lessonId });
   } catch (error) {
     logError_('deleteLesson', error);
@@ -1058,6 +1156,13 @@ function deleteLesson(userId, lessonId) {
 
 // ----- Lifecycle: startLesson / advanceLessonPhase / endLesson -----
 
+// 授業の状態遷移を監査ログに残す (AuditLogService.js)。下書き編集は記録しない — 教師の
+//   入力途中の保存まで積むと、授業 1 回で数十行になり遷移が埋もれる。
+function __auditLesson_(operation, userId, lessonId, diff) {
+  if (typeof recordAuditEvent_ !== 'function') return;
+  recordAuditEvent_(operation, { targetUserId: userId, lessonId, diff });
+}
+
 // Form の回答受付を on/off。テスト sandbox では FormApp が無いので silently fall through。
 function __setFormAcceptingResponses_(formId, accepting) {
   if (!formId) return false;
@@ -1071,6 +1176,58 @@ function __setFormAcceptingResponses_(formId, accepting) {
   }
 }
 
+// Form の持ち主は作った教師 (web アプリは USER_ACCESSING) で、毎分トリガーはデプロイの管理者として動く。
+//   トリガーが Form を開け閉めできなかったときは lessonJson.pendingFormStates = { [formId]: accepting } に
+//   保留し、教師の実行 (ボードの heartbeat = checkLessonPhaseTimer) で __flushPendingFormStates_ が当て直す。
+//   保留を書けなければ log だけ残す (ボードの進行は row が正)。
+function __setFormStatesOrDefer_(lessonId, states) {
+  const failed = states.filter(s => s.formId && !__setFormAcceptingResponses_(s.formId, s.accepting));
+  if (failed.length === 0) return 0;
+  const found = __findLessonById_(lessonId);
+  if (!found) return failed.length;
+  const lessonJson = deepClone(found.lesson.lessonJson || {});
+  lessonJson.pendingFormStates = Object.assign({}, lessonJson.pendingFormStates);
+  failed.forEach(s => { lessonJson.pendingFormStates[s.formId] = Boolean(s.accepting); });
+  const result = __updateLessonRow_(lessonId, { lessonJson }, found.lesson.etag);
+  if (!result.success) {
+    logError_('__setFormStatesOrDefer_', new Error(result.error || 'write_failed'), { lessonId });
+  }
+  return failed.length;
+}
+
+// 教師がその場で開け閉めする Form の保留は、これから行う操作の方が新しいので捨てる。
+function __dropPendingFormStates_(lessonJson, formIds) {
+  if (!lessonJson.pendingFormStates) return;
+  formIds.forEach(formId => { if (formId) delete lessonJson.pendingFormStates[formId]; });
+  if (Object.keys(lessonJson.pendingFormStates).length === 0) delete lessonJson.pendingFormStates;
+}
+
+/**
+ * 保留中の Form の開閉を教師の実行で当て直す。当てられなかったものは保留に残す。
+ * @returns {Object} { applied, remaining }
+ */
+function __flushPendingFormStates_(lessonId) {
+  const found = __findLessonById_(lessonId);
+  const pending = found && found.lesson.lessonJson && found.lesson.lessonJson.pendingFormStates;
+  if (!pending || Object.keys(pending).length === 0) return { applied: 0, remaining: 0 };
+  const remaining = {};
+  let applied = 0;
+  Object.keys(pending).forEach((formId) => {
+    if (__setFormAcceptingResponses_(formId, pending[formId])) applied++;
+    else remaining[formId] = pending[formId];
+  });
+  // 1 つも当てられない実行 (= 持ち主でない人) では row を書かない
+  if (applied === 0) return { applied, remaining: Object.keys(remaining).length };
+  const lessonJson = deepClone(found.lesson.lessonJson);
+  if (Object.keys(remaining).length > 0) lessonJson.pendingFormStates = remaining;
+  else delete lessonJson.pendingFormStates;
+  const result = __updateLessonRow_(lessonId, { lessonJson }, found.lesson.etag);
+  if (!result.success) {
+    logError_('__flushPendingFormStates_', new Error(result.error || 'write_failed'), { lessonId });
+  }
+  return { applied, remaining: Object.keys(remaining).length };
+}
+
 // startLesson / advanceLessonPhase の両方で使う「user config に phase を適用する」 patch shape。
 //   activeLessonId は後段 (autosave / publishApp) が lesson 駆動を判別するためのマーカー。
 // formTemplate ('pie' / 'board' 等) → boardMode マップ。
@@ -1081,6 +1238,10 @@ function __templateToBoardMode_(formTemplate) {
   if (formTemplate === 'numberline') return 'numberline';
   if (formTemplate === 'matrix') return 'matrix';
   if (formTemplate === 'board') return 'board';
+  if (formTemplate === 'ranking') return 'ranking';
+  if (formTemplate === 'qa') return 'qa';
+  // 相互評価は掲示板のカードに採点 UI を足すだけなので board で表示する。
+  if (formTemplate === 'rubric') return 'board';
   return 'auto';
 }
 
@@ -1129,6 +1290,13 @@ function __buildPhaseConfigPatch_(phase, lessonJson, lessonId) {
   };
   if (xAxisLabels) patch.xAxisLabels = xAxisLabels;
   if (yAxisLabels) patch.yAxisLabels = yAxisLabels;
+  // 相互評価 phase だけ観点を載せる。 それ以外の phase では null (= deepMerge_ で削除) にして、
+  //   前の phase の採点 UI が次の phase に残らないようにする。
+  patch.rubric = (phase.formTemplate === 'rubric' && typeof sanitizeRubric === 'function')
+    ? (sanitizeRubric(opts.rubric) || sanitizeRubric(DEFAULT_RUBRIC))
+    : null;
+  // タイマーの無い phase では null (= 削除) にして、前の phase のカウントダウンを残さない。
+  patch.phaseTimer = (lessonJson && lessonJson.phaseTimer) || null;
   return patch;
 }
 
@@ -1142,12 +1310,14 @@ function __buildPhaseConfigPatch_(phase, lessonJson, lessonId) {
  * 行は __projectBoardRowForExport_ で PII (name / email / reactions) を落としてから書く。
  * Why: 旧実装は live capture だけ生 row を凍結しており、import 経路 (PII 除去済み) と
  *   非対称だった。アーカイブに児童の氏名・メールを持つ理由はない。
+ *   lessonJson.trackStudentFlow=true の授業だけ、授業単位の仮名 studentKey を添える
+ *   (振り返りの「意見の流れ」図で phase 間の移動を結ぶため)。
  *
  * 劣化系: fetch 失敗 / アーカイブ書込失敗時は rows 無しの snapshot に reason を残して返す
  * (授業の進行を止めない)。元データは先生の spreadsheet に残っているので、後から
  * lesson.recaptureArchive で焼き直せる。
  */
-function __captureSnapshot_(userId, lessonJson, phaseIdx, lessonId) {
+function __captureSnapshot_(userId, lessonJson, phaseIdx, lessonId, collectRows) {
   const phases = (lessonJson && lessonJson.phases) || [];
   const phase = phases[phaseIdx] || {};
   const baseSnapshot = {
@@ -1175,7 +1345,18 @@ function __captureSnapshot_(userId, lessonJson, phaseIdx, lessonId) {
     return baseSnapshot;
   }
 
-  const projected = rawRows.map(r => __projectBoardRowForExport_(r));
+  const trackFlow = __isStudentFlowTracked_(lessonJson);
+  const piiMatcher = __buildExportPiiMatcher_(rawRows);
+  const projected = rawRows.map(r => {
+    const row = __projectBoardRowForExport_(r, { piiMatcher });
+    if (trackFlow) {
+      const key = __studentFlowKey_(r.email, lessonId);
+      if (key) row.studentKey = key;
+    }
+    return row;
+  });
+  // 分岐の判定は焼いたのと同じ行で行う (ボードを 2 回読まない / 判定と記録がずれない)。
+  if (Array.isArray(collectRows)) projected.forEach(r => collectRows.push(r));
   const pointer = __writeArchiveRows_(lessonId, phaseIdx, projected);
   if (!pointer) {
     baseSnapshot.reason = 'ARCHIVE_WRITE_FAILED';
@@ -1187,6 +1368,23 @@ function __captureSnapshot_(userId, lessonJson, phaseIdx, lessonId) {
   return baseSnapshot;
 }
 
+// 意見の流れ (phase 間の移動) を追うための授業単位の仮名キー。教師が wizard で opt-in したときだけ付ける。
+//   Why lessonId scope: 全体共通の emailHash をアーカイブに残すと、授業をまたいで同一児童の
+//   回答履歴を突き合わせられてしまう。授業内の phase 間だけ追えれば研究目的には足りる。
+function __isStudentFlowTracked_(lessonJson) {
+  return Boolean(lessonJson && lessonJson.trackStudentFlow === true);
+}
+
+function __studentFlowKey_(email, lessonId) {
+  if (!email || !lessonId) return null;
+  try {
+    return emailToShortHash(email, lessonId);
+  } catch (err) {
+    logError_('__studentFlowKey_', err);
+    return null;
+  }
+}
+
 // snapshots[] への upsert: 同 phaseIndex があれば replace、なければ append。
 //   phaseIndex 昇順を維持 (replay の slider が時系列で歩けるように)。
 function __upsertSnapshot_(lessonJson, snapshot) {
@@ -1217,13 +1415,550 @@ function __activePhaseIndex_(lessonJson) {
   return Number(last.to) || 0;
 }
 
+// ----- フェーズのタイマー -----
+//
+// 定義は phases[i].timer = { durationSec, onExpire }、走っている状態は lessonJson.phaseTimer
+// (フェーズに入った時点で立て、lesson row と同じ write で確定させる)。ボードへは user config の
+// phaseTimer として配り、時間切れは毎分の sweep と教師画面の heartbeat の両方から処理する。
+
+/**
+ * phase.timer (授業設計の一部) を検証して正規化する。
+ * @param {Object} raw - { durationSec, onExpire }
+ * @returns {Object|null} { durationSec, onExpire }。時間が無ければ null
+ */
+function __sanitizePhaseTimer_(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const sec = Math.round(Number(raw.durationSec));
+  if (!Number.isFinite(sec) || sec <= 0) return null;
+  return {
+    durationSec: Math.min(LESSON_PHASE_TIMER_MAX_SEC, Math.max(LESSON_PHASE_TIMER_MIN_SEC, sec)),
+    // 未知の値で Form を閉じたり勝手に進めたりしない。
+    onExpire: LESSON_PHASE_TIMER_ACTIONS.includes(raw.onExpire) ? raw.onExpire : 'notify'
+  };
+}
+
+// phases[].timer を一括で正規化する (無効な定義は key ごと消す)。draft の作成 / 編集から呼ぶ。
+function __normalizePhaseTimers_(lessonJson) {
+  const phases = (lessonJson && Array.isArray(lessonJson.phases)) ? lessonJson.phases : [];
+  phases.forEach((p) => {
+    if (!p || typeof p !== 'object' || !('timer' in p)) return;
+    const timer = __sanitizePhaseTimer_(p.timer);
+    if (timer) p.timer = timer; else delete p.timer;
+  });
+}
+
+/**
+ * 走っているタイマー (lessonJson.phaseTimer / user config の phaseTimer) を検証する。
+ *   ConfigService.validateAndSanitizeConfig からも呼ばれる。
+ * @param {Object} raw
+ * @returns {Object|null} { phaseIndex, durationSec, onExpire, startedAt, endsAt, expiredAt }
+ */
+function sanitizePhaseTimerState(raw) {
+  const def = __sanitizePhaseTimer_(raw);
+  if (!def) return null;
+  const phaseIndex = Number(raw.phaseIndex);
+  const startedAt = Date.parse(raw.startedAt);
+  const endsAt = Date.parse(raw.endsAt);
+  if (!Number.isInteger(phaseIndex) || phaseIndex < 0 || !Number.isFinite(startedAt) || !Number.isFinite(endsAt)) {
+    return null;
+  }
+  const expiredAt = raw.expiredAt ? Date.parse(raw.expiredAt) : NaN;
+  return {
+    phaseIndex,
+    durationSec: def.durationSec,
+    onExpire: def.onExpire,
+    startedAt: new Date(startedAt).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    expiredAt: Number.isFinite(expiredAt) ? new Date(expiredAt).toISOString() : null
+  };
+}
+
+// phaseIdx に入った時点のタイマーを lessonJson.phaseTimer に立てる。定義の無い phase なら消す。
+function __armPhaseTimer_(lessonJson, phaseIdx) {
+  const phase = (lessonJson.phases || [])[phaseIdx];
+  const def = __sanitizePhaseTimer_(phase && phase.timer);
+  if (!def) {
+    delete lessonJson.phaseTimer;
+    return null;
+  }
+  const now = Date.now();
+  lessonJson.phaseTimer = {
+    phaseIndex: phaseIdx,
+    durationSec: def.durationSec,
+    onExpire: def.onExpire,
+    startedAt: new Date(now).toISOString(),
+    endsAt: new Date(now + def.durationSec * 1000).toISOString(),
+    expiredAt: null
+  };
+  return lessonJson.phaseTimer;
+}
+
+// 時間切れ処理を待っているタイマー。active な授業の現フェーズで、まだ切れていないものだけ。
+function __pendingPhaseTimer_(lesson) {
+  if (!lesson || lesson.state !== 'active') return null;
+  const timer = sanitizePhaseTimerState(lesson.lessonJson && lesson.lessonJson.phaseTimer);
+  if (!timer || timer.expiredAt || timer.phaseIndex !== __activePhaseIndex_(lesson.lessonJson)) return null;
+  return timer;
+}
+
+// 台帳は毎分の sweep が読む JSON 1 個。runtime cache は読む前に捨てる:
+//   lock の中で別実行 (教師の操作 / sweep) の書込みを読み直す必要がある。
+function __readLessonRegistry_(propertyKey) {
+  clearPropertyCache(propertyKey);
+  const parsed = safeJsonParse_(getCachedProperty(propertyKey), {});
+  return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+}
+
+/**
+ * lesson row の現状に合わせて台帳の 1 件を書き直す。遷移 (開始 / 切替 / 再開 / 終了 / 時間切れ
+ * / 予約) の row write の後に呼ぶ。
+ *   Why row を読み直す: 遷移は別実行と並走しうる。手元の lessonJson で書くと、後から来た遷移の
+ *   登録を古い値で上書きしうる。lock の中で最新 row から決めれば呼ばれた順序に依らない。
+ *
+ * @param {string} propertyKey - 台帳の script property
+ * @param {string} lessonId
+ * @param {Function} entryFor - (lesson) => 台帳に載せる値 (userId / tenantId 以外)。載せないなら null
+ */
+function __syncLessonRegistry_(propertyKey, lessonId, entryFor) {
+  if (typeof setCachedProperty !== 'function') return;
+  try {
+    const result = __withLessonLock_(() => {
+      const found = __findLessonById_(lessonId);
+      const entry = found ? entryFor(found.lesson) : null;
+      const registry = __readLessonRegistry_(propertyKey);
+      if (entry) {
+        const tenant = typeof getCurrentTenant_ === 'function' ? getCurrentTenant_() : null;
+        registry[lessonId] = Object.assign({
+          userId: found.lesson.userId,
+          tenantId: (tenant && tenant.id) || null
+        }, entry);
+      } else if (registry[lessonId]) {
+        delete registry[lessonId];
+      } else {
+        return { success: true };
+      }
+      setCachedProperty(propertyKey, JSON.stringify(registry));
+      return { success: true };
+    });
+    if (result && result.success === false) console.warn('__syncLessonRegistry_: ' + result.error + ' (' + propertyKey + ' ' + lessonId + ')');
+  } catch (error) {
+    logError_('__syncLessonRegistry_', error, { propertyKey, lessonId });
+  }
+}
+
+// 台帳に載らなくても、教師画面が開いていれば heartbeat が時間切れを処理する。
+function __syncPhaseTimerRegistry_(lessonId) {
+  __syncLessonRegistry_(LESSON_PHASE_TIMERS_PROPERTY, lessonId, (lesson) => {
+    const timer = __pendingPhaseTimer_(lesson);
+    return timer ? { phaseIndex: timer.phaseIndex, endsAt: Date.parse(timer.endsAt) } : null;
+  });
+}
+
+/**
+ * 台帳から期限の来た登録を拾って fire に渡す (毎分の cron entry の共通部)。
+ *   台帳が空 / 期限前だけなら property を 1 回読んで返る (毎分走るので軽さが最優先)。
+ *   学校ごとに DB が違うので、登録時の tenantId ごとに runForEachTenant_ の中で処理する。
+ *
+ * @param {string} propertyKey - 台帳の script property
+ * @param {string} dueField - 期限 (ms) を持つ項目名
+ * @param {Function} fire - (lessonId) => 処理したら true
+ * @param {string} label - ログ用の呼び出し元名
+ * @returns {Object} { due, fired, errors }
+ */
+function __sweepLessonRegistry_(propertyKey, dueField, fire, label) {
+  const summary = { due: 0, fired: 0, errors: 0 };
+  try {
+    const now = Date.now();
+    const registry = __readLessonRegistry_(propertyKey);
+    const due = Object.keys(registry).filter(id => registry[id] && Number(registry[id][dueField]) <= now);
+    summary.due = due.length;
+    if (due.length === 0) return summary;
+
+    const fireForTenant = (tenant) => {
+      const tenantId = (tenant && tenant.id) || null;
+      due.filter(id => (registry[id].tenantId || null) === tenantId).forEach((id) => {
+        try {
+          if (fire(id)) summary.fired++;
+        } catch (error) {
+          summary.errors++;
+          logError_(label, error, { lessonId: id });
+        }
+      });
+    };
+    const outcomes = typeof runForEachTenant_ === 'function'
+      ? runForEachTenant_(fireForTenant)
+      : [{ tenantId: null, result: fireForTenant(null) }];
+    outcomes.forEach((outcome) => { if (outcome.error) summary.errors++; });
+  } catch (error) {
+    logError_(label, error);
+    summary.errors++;
+  }
+  return summary;
+}
+
+// 毎分トリガーを冪等にインストールする (handler 名で重複を判定)。
+function __installMinuteTrigger_(handlerName, minutes) {
+  if (typeof ScriptApp === 'undefined' || !ScriptApp.getProjectTriggers) return;
+  const already = ScriptApp.getProjectTriggers()
+    .some(t => t.getHandlerFunction && t.getHandlerFunction() === handlerName);
+  if (already) return;
+  ScriptApp.newTrigger(handlerName)
+    .timeBased()
+    .everyMinutes(minutes)
+    .create();
+}
+
+/**
+ * 時間切れのタイマーを処理する。毎分の sweep (教師のタブが閉じていても動く) と
+ * 教師画面の heartbeat の共通経路。
+ *   - advance: 次のフェーズへ (snapshot → row → Form 開閉 → config は手動の切替と同じ経路)。
+ *              最後のフェーズでは授業を勝手に終えず close と同じ扱い (終了は教師が決める)。
+ *   - close:   現フェーズの Form を締め切り、snapshot を焼く。
+ *   - notify:  時間切れの印だけ付ける (ボードが「時間です」を出す)。
+ * row write は読んだ時点の etag で gate するので、教師の操作と同時に走っても二重に進まない。
+ * Form の開閉は教師の Form に対する操作。管理者として開けなければ保留し (pendingForms)、教師の実行で当て直す。
+ *
+ * @param {string} lessonId
+ * @returns {Object} { fired, action?, activePhaseIndex?, pendingForms?, reason? }
+ */
+function __firePhaseTimer_(lessonId) {
+  const now = Date.now();
+  const found = __findLessonById_(lessonId);
+  const timer = found ? __pendingPhaseTimer_(found.lesson) : null;
+  if (!timer) {
+    // 台帳に残っていた古い登録 (遷移後に消し損ねたもの) はここで掃除される。
+    __syncPhaseTimerRegistry_(lessonId);
+    return { fired: false, reason: 'not_running' };
+  }
+  if (Date.parse(timer.endsAt) > now) return { fired: false, reason: 'not_due' };
+
+  const userId = found.lesson.userId;
+  const lessonJson = deepClone(found.lesson.lessonJson || {});
+  const phases = Array.isArray(lessonJson.phases) ? lessonJson.phases : [];
+  const idx = timer.phaseIndex;
+  const hasBranches = Boolean(__sanitizePhaseBranches_(phases[idx] && phases[idx].branches, phases.length, idx));
+  const action = (timer.onExpire === 'advance' && idx + 1 >= phases.length && !hasBranches) ? 'close' : timer.onExpire;
+
+  if (action === 'advance') {
+    // 「次へ」と同じく分岐を判定する (時間切れで進むときも授業設計どおりの行き先へ)。
+    const moved = __advanceLessonPhaseCore_(userId, lessonId, lessonJson, idx, idx + 1,
+      { expectedEtag: found.lesson.etag, via: 'timer', branch: true });
+    if (!moved.success) return { fired: false, reason: moved.error || 'advance_failed' };
+    return { fired: true, action, activePhaseIndex: moved.toIdx, branch: moved.branch || null,
+      pendingForms: moved.pendingForms || 0 };
+  }
+
+  const formId = phases[idx] && phases[idx].formId;
+  if (action === 'close') {
+    __upsertSnapshot_(lessonJson, __captureSnapshot_(userId, lessonJson, idx, lessonId));
+    __dropPendingFormStates_(lessonJson, [formId]);
+  }
+  lessonJson.phaseTimer = Object.assign({}, timer, { expiredAt: new Date(now).toISOString() });
+  const result = __updateLessonRow_(lessonId, { lessonJson }, found.lesson.etag);
+  if (!result.success) return { fired: false, reason: result.error || 'write_failed' };
+  __auditLesson_('lesson.timer', userId, lessonId, { phaseIndex: idx, onExpire: action });
+  __syncPhaseTimerRegistry_(lessonId);
+
+  const pendingForms = action === 'close' ? __setFormStatesOrDefer_(lessonId, [{ formId, accepting: false }]) : 0;
+  // ボードの「時間です」は config の phaseTimer を見て出す。
+  const patchResult = applyConfigPatch_(userId, { phaseTimer: lessonJson.phaseTimer }, { publish: false });
+  if (!patchResult.success) logError_('__firePhaseTimer_:configPatch', new Error(patchResult.message || 'unknown'), { lessonId });
+  return { fired: true, action, activePhaseIndex: idx, pendingForms };
+}
+
+// ----- フェーズの分岐 -----
+//
+// 定義は phases[i].branches = { rules: [{ metric, op, value, goTo, choice? }], otherwise }。
+// 「次のフェーズへ」(教師 / タイマーの advance) のときだけ、上から順に最初に当たった rule の goTo へ、
+// どれにも当たらなければ otherwise へ進む。添字を指定したジャンプと「戻す」は分岐を見ない。
+// 判定は全クラス合算: 1 つの Form / ボードを全クラスで共有しているので、クラス別には分岐できない。
+
+// 割合の metric か (value を 0-100 に丸める対象)。
+function __isBranchShareMetric_(metric) {
+  return metric === 'topShare' || metric === 'choiceShare';
+}
+
+/**
+ * phase.branches を検証して正規化する。
+ *   otherwise は省略時に次の phase。最後の phase で otherwise が無ければ分岐自体を無効にする
+ *   (= 分岐のある phase からは必ずどこかへ進める)。
+ * @returns {Object|null} { rules, otherwise }
+ */
+function __sanitizePhaseBranches_(raw, phaseCount, selfIdx) {
+  if (!raw || typeof raw !== 'object') return null;
+  const target = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return (Number.isInteger(n) && n >= 0 && n < phaseCount && n !== selfIdx) ? n : null;
+  };
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).slice(0, LESSON_BRANCH_MAX_RULES).map((r) => {
+    if (!r || typeof r !== 'object') return null;
+    if (!LESSON_BRANCH_METRICS.includes(r.metric) || !LESSON_BRANCH_OPS.includes(r.op)) return null;
+    const value = Number(r.value);
+    const goTo = target(r.goTo);
+    if (r.value === '' || r.value === null || !Number.isFinite(value) || goTo === null) return null;
+    const rule = {
+      metric: r.metric,
+      op: r.op,
+      value: __isBranchShareMetric_(r.metric) ? Math.min(100, Math.max(0, value)) : value,
+      goTo
+    };
+    if (r.metric === 'choiceShare') {
+      const choice = String(r.choice || '').trim().slice(0, 100);
+      if (!choice) return null;
+      rule.choice = choice;
+    }
+    return rule;
+  }).filter(Boolean);
+  if (rules.length === 0) return null;
+  let otherwise = target(raw.otherwise);
+  if (otherwise === null && selfIdx + 1 < phaseCount) otherwise = selfIdx + 1;
+  if (otherwise === null) return null;
+  return { rules, otherwise };
+}
+
+// phases[].branches を一括で正規化する (無効な定義は key ごと消す)。phase の増減で先が消えた分岐もここで落ちる。
+function __normalizePhaseBranches_(lessonJson) {
+  const phases = (lessonJson && Array.isArray(lessonJson.phases)) ? lessonJson.phases : [];
+  phases.forEach((p, i) => {
+    if (!p || typeof p !== 'object' || !('branches' in p)) return;
+    const branches = __sanitizePhaseBranches_(p.branches, phases.length, i);
+    if (branches) p.branches = branches; else delete p.branches;
+  });
+}
+
+// 1 つの rule の観測値。回答が無ければ割合は 0、平均は null (= どの条件にも当たらない)。
+function __measureBranchMetric_(rule, rows) {
+  if (rule.metric === 'responseCount') return { observed: rows.length };
+  if (rule.metric === 'meanX') {
+    const nums = rows.map(r => Number(r && r.numericX)).filter(Number.isFinite);
+    if (nums.length === 0) return { observed: null };
+    return { observed: Math.round(nums.reduce((a, b) => a + b, 0) / nums.length * 100) / 100 };
+  }
+  const answers = rows.map(r => String((r && r.answer != null) ? r.answer : '').trim()).filter(Boolean);
+  const share = (count) => answers.length > 0 ? Math.round(count / answers.length * 1000) / 10 : 0;
+  if (rule.metric === 'choiceShare') {
+    return { observed: share(answers.filter(a => a === rule.choice).length) };
+  }
+  const counts = new Map();
+  answers.forEach(a => counts.set(a, (counts.get(a) || 0) + 1));
+  let topAnswer = null;
+  let topCount = 0;
+  counts.forEach((count, answer) => { if (count > topCount) { topAnswer = answer; topCount = count; } });
+  return { observed: share(topCount), topAnswer: topAnswer ? topAnswer.slice(0, 40) : null };
+}
+
+function __compareBranchValue_(observed, op, value) {
+  if (observed === null || observed === undefined || !Number.isFinite(Number(observed))) return false;
+  if (op === '>') return observed > value;
+  if (op === '>=') return observed >= value;
+  if (op === '<') return observed < value;
+  return observed <= value;
+}
+
+// 判定結果の説明文。ランナーと振り返りはこれをそのまま出す (表記を 1 か所に集める)。
+function __describeBranchDecision_(rule, measured, matched) {
+  const unit = __isBranchShareMetric_(rule.metric) ? '%' : rule.metric === 'responseCount' ? '件' : '';
+  const label = rule.metric === 'topShare'
+    ? '最も多い回答' + (measured.topAnswer ? '「' + measured.topAnswer + '」' : '') + 'の割合'
+    : rule.metric === 'choiceShare' ? '「' + rule.choice + '」の割合'
+      : rule.metric === 'meanX' ? '平均' : '回答数';
+  const observed = measured.observed === null ? '回答なし' : measured.observed + unit;
+  const condition = '条件: ' + rule.op + ' ' + rule.value + unit;
+  return matched
+    ? `${label} ${observed} (${condition})`
+    : `条件に当たらず (${label} ${observed}、${condition})`;
+}
+
+/**
+ * 分岐を判定する。rows は切替の瞬間に焼いた snapshot と同じ行 (__captureSnapshot_ の collectRows)。
+ * @returns {Object} { toIdx, ruleIndex (どれにも当たらなければ null), metric, op, value, choice?,
+ *   observed, topAnswer?, responseCount, summary }
+ */
+function __evaluatePhaseBranches_(branches, rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const decide = (rule, ruleIndex, measured, toIdx) => {
+    const decision = {
+      toIdx,
+      ruleIndex,
+      metric: rule.metric,
+      op: rule.op,
+      value: rule.value,
+      observed: measured.observed,
+      responseCount: list.length,
+      summary: __describeBranchDecision_(rule, measured, ruleIndex !== null)
+    };
+    if (rule.choice) decision.choice = rule.choice;
+    if (measured.topAnswer) decision.topAnswer = measured.topAnswer;
+    return decision;
+  };
+  for (let i = 0; i < branches.rules.length; i++) {
+    const rule = branches.rules[i];
+    const measured = __measureBranchMetric_(rule, list);
+    if (__compareBranchValue_(measured.observed, rule.op, rule.value)) return decide(rule, i, measured, rule.goTo);
+  }
+  const first = branches.rules[0];
+  return decide(first, null, __measureBranchMetric_(first, list), branches.otherwise);
+}
+
+// 開始前の検証。Form を作る前に弾く (予約時にも同じ条件で検証する)。
+//   @returns {string|null} エラーメッセージ。開始できるなら null
+function __validateLessonStartable_(lessonJson) {
+  const phases = Array.isArray(lessonJson && lessonJson.phases) ? lessonJson.phases : [];
+  if (!Array.isArray(lessonJson && lessonJson.classes) || lessonJson.classes.length === 0) {
+    return '対象クラスを少なくとも 1 つ指定してください';
+  }
+  if (phases.length === 0) return 'phase が定義されていません';
+  for (let i = 0; i < phases.length; i++) {
+    const p = phases[i];
+    if (!p || !p.name || !p.formTemplate) {
+      return `phase ${i + 1} の必須項目 (name / formTemplate) が不足しています`;
+    }
+  }
+  return null;
+}
+
+// 全 phase の Form が揃っているか (= 開始時に Form 生成を待たなくてよいか)。
+function __lessonFormsReady_(lessonJson) {
+  const phases = Array.isArray(lessonJson && lessonJson.phases) ? lessonJson.phases : [];
+  return phases.length > 0 && phases.every(p => p && p.formId);
+}
+
+// double-click 6-form 防止 lock。取れなければ null を返す (LockService が無い環境では no-op lock)。
+function __acquireLessonStartLock_(label) {
+  try {
+    if (typeof LockService !== 'undefined' && LockService.getScriptLock) {
+      const lock = LockService.getScriptLock();
+      return lock.tryLock(LESSON_START_LOCK_TIMEOUT_MS) ? lock : null;
+    }
+  } catch (lockErr) {
+    logError_(label + ':lock', lockErr);
+    // ロック失敗時も続行 (test sandbox 等で LockService が無いケース)
+  }
+  return {};
+}
+
+function __releaseLessonStartLock_(lock) {
+  if (lock && lock.releaseLock) {
+    try { lock.releaseLock(); } catch (_) {}
+  }
+}
+
+/**
+ * 未作成の phase の Form を作る (lessonJson を in-place 更新)。startLesson と予約の事前準備の共通経路。
+ *   - phases[i].formId が既にあれば skip (= partial failure 後の resume 可能)
+ *   - Form 生成 1 回ごとに lessonJson に書き戻し (= 途中失敗でも進捗を失わない)。
+ *     最後の phase は呼び出し側の write でまとめて書く
+ *   - 受付中にするのは phase 0 のみ。予約の事前準備でも同じ:
+ *     Why: 予約の開始は管理者の毎分トリガーで走るので、教師の Form を開ける保証が無い。
+ *     URL はボードが phase 0 を出すまで生徒に届かないので、先に開けておいても回答は来ない。
+ *
+ * @returns {Object} { success } または { success:false, message, completedPhases }
+ */
+function __createLessonForms_(lessonId, lessonJson, lessonName) {
+  // templateOptions には UI の wizard で教師が入力した値を 100% 流す:
+  //   - lessonName + phaseName: Form タイトル "<lesson> / <phase>" に
+  //   - question: Form 全体の description に + scaleTitle / choiceTitle の fallback
+  //   - classChoices: クラス選択肢 (lesson.classes そのまま)
+  //   - lowLabel/highLabel/xLow/xHigh/yLow/yHigh: 線形尺度の両端ラベル
+  //   - choices: pie/board の選択肢
+  const phases = lessonJson.phases;
+  const sharedClasses = Array.isArray(lessonJson.classes) ? lessonJson.classes : [];
+  // 揺らぎ追跡: lesson レベルの allowResubmit を全 phase に適用 (議論前後の意見変化を取りたい)。
+  //   phase 個別に templateOptions.allowResubmit があればそれを優先。
+  const lessonAllowResubmit = Boolean(lessonJson.allowResubmit);
+  for (let i = 0; i < phases.length; i++) {
+    const phase = phases[i];
+    if (phase.formId) continue; // resume: 既に作成済みは skip
+
+    const phaseAllowResubmit = phase.templateOptions && phase.templateOptions.allowResubmit;
+    const formOpts = Object.assign({}, phase.templateOptions || {}, {
+      lessonName: lessonName || '',
+      phaseName: phase.name || '',
+      question: phase.question || '',
+      classChoices: sharedClasses,
+      allowResubmit: phaseAllowResubmit != null ? Boolean(phaseAllowResubmit) : lessonAllowResubmit
+    });
+    const formResult = createTemplateForm(phase.formTemplate, formOpts);
+    if (!formResult || !formResult.success) {
+      // Partial failure: ここまでの進捗を draft のまま保存して resumable に。
+      __updateLessonRow_(lessonId, { lessonJson });
+      return {
+        success: false,
+        completedPhases: i,
+        message: `phase ${i + 1} (${phase.name}) の Form 作成に失敗しました: ${(formResult && (formResult.error || formResult.message)) || 'unknown'}`
+      };
+    }
+
+    phase.formId = formResult.formId || formResult.formData?.formId || '';
+    phase.formUrl = formResult.formUrl || formResult.formData?.formUrl || '';
+    phase.spreadsheetId = formResult.spreadsheetId || '';
+    phase.sheetName = formResult.sheetName || 'フォームの回答 1';
+
+    __setFormAcceptingResponses_(phase.formId, i === 0);
+
+    if (i < phases.length - 1) {
+      __updateLessonRow_(lessonId, { lessonJson });
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Form が揃った draft を active にする (phase 0 を user config に反映 → state=active)。
+ *   startLesson と予約の自動開始の共通経路。予約は開始した時点で消す。
+ *
+ * @param {Object} options - { expectedEtag?, via? } via は監査ログに残す開始の経路 ('schedule' 等)
+ * @returns {Object} { success, lesson } または { success:false, error, message }
+ */
+function __activateLesson_(userId, lessonId, lessonJson, options) {
+  const opts = options || {};
+  const phases = lessonJson.phases;
+
+  // Phase 0 を user config に反映 → 既存 view 経路で即座に board 表示可能。
+  //   publishApp を呼ばず applyConfigPatch_ で直接 merge (高速 + lifecycle 干渉なし)。
+  //   タイマーは config に載せるので patch より先に立てる。
+  __armPhaseTimer_(lessonJson, 0);
+  const patchResult = applyConfigPatch_(userId, __buildPhaseConfigPatch_(phases[0], lessonJson, lessonId), { publish: false });
+  if (!patchResult.success) {
+    return {
+      success: false,
+      error: 'PHASE_ACTIVATE_FAILED',
+      message: `phase 0 の active 化に失敗しました: ${patchResult.message || 'unknown'}`
+    };
+  }
+
+  const hadSchedule = Boolean(lessonJson.schedule);
+  delete lessonJson.schedule;
+
+  // 初回 transition を記録 (phase 0 開始)
+  lessonJson.profileTransitions = lessonJson.profileTransitions || [];
+  lessonJson.profileTransitions.push({ ts: new Date().toISOString(), from: null, to: 0 });
+
+  // state を active に遷移 + startedAt 記録
+  const startedAt = new Date().toISOString();
+  const finalResult = __updateLessonRow_(lessonId, {
+    state: 'active',
+    startedAt,
+    lessonJson
+  }, opts.expectedEtag);
+  if (!finalResult.success) {
+    return { success: false, error: finalResult.error, message: finalResult.message || finalResult.error };
+  }
+  const diff = { state: { before: 'draft', after: 'active' } };
+  if (opts.via) diff.via = opts.via;
+  __auditLesson_('lesson.start', userId, lessonId, diff);
+  __syncPhaseTimerRegistry_(lessonId);
+  if (hadSchedule) __syncLessonScheduleRegistry_(lessonId);
+  return { success: true, lesson: finalResult.lesson };
+}
+
 /**
  * Lesson を draft → active に遷移させ、全 phase の Form を生成する。
  *
  * 設計:
  *   - LockService で double-click 6-form 防止
- *   - phases[i].formId が既にあれば skip (= partial failure 後の resume 可能)
- *   - Form 生成 1 回ごとに lessonJson に書き戻し (= 途中失敗でも進捗を失わない)
+ *   - Form 生成は __createLessonForms_ (作成済みの phase は skip = resume / 予約の事前準備を再利用)
  *   - 全 phase 成功後に state='active' + phase 0 を user config に activate
  */
 function startLesson(userId, lessonId) {
@@ -1240,119 +1975,35 @@ function startLesson(userId, lessonId) {
     }
 
     const lessonJson = deepClone(found.lesson.lessonJson || {});
-    const phases = Array.isArray(lessonJson.phases) ? lessonJson.phases : [];
 
     // Pre-flight 検証
-    if (!Array.isArray(lessonJson.classes) || lessonJson.classes.length === 0) {
-      return createErrorResponse('対象クラスを少なくとも 1 つ指定してください');
-    }
-    if (phases.length === 0) {
-      return createErrorResponse('phase が定義されていません');
-    }
-    for (let i = 0; i < phases.length; i++) {
-      const p = phases[i];
-      if (!p || !p.name || !p.formTemplate) {
-        return createErrorResponse(`phase ${i + 1} の必須項目 (name / formTemplate) が不足しています`);
-      }
-    }
+    const invalid = __validateLessonStartable_(lessonJson);
+    if (invalid) return createErrorResponse(invalid);
 
-    // double-click 6-form 防止 lock。失敗時は LESSON_BUSY を返す。
-    let lock = null;
-    try {
-      if (typeof LockService !== 'undefined' && LockService.getScriptLock) {
-        lock = LockService.getScriptLock();
-        if (!lock.tryLock(LESSON_START_LOCK_TIMEOUT_MS)) {
-          return createErrorResponse('LESSON_BUSY: 別の startLesson 処理が実行中です。少し待ってから再試行してください。');
-        }
-      }
-    } catch (lockErr) {
-      logError_('startLesson:lock', lockErr);
-      // ロック失敗時も続行 (test sandbox 等で LockService が無いケース)
+    const lock = __acquireLessonStartLock_('startLesson');
+    if (!lock) {
+      return createErrorResponse('LESSON_BUSY: 別の startLesson 処理が実行中です。少し待ってから再試行してください。');
     }
 
     try {
-      // Form 生成ループ (i=0..N-1)
-      //   templateOptions には UI の wizard で教師が入力した値を 100% 流す:
-      //     - lessonName + phaseName: Form タイトル "<lesson> / <phase>" に
-      //     - question: Form 全体の description に + scaleTitle / choiceTitle の fallback
-      //     - classChoices: クラス選択肢 (lesson.classes そのまま)
-      //     - lowLabel/highLabel/xLow/xHigh/yLow/yHigh: 線形尺度の両端ラベル
-      //     - choices: pie/board の選択肢
-      const lessonName = (found && found.lesson && found.lesson.name) || '';
-      const sharedClasses = (lessonJson && Array.isArray(lessonJson.classes)) ? lessonJson.classes : [];
-      // 揺らぎ追跡: lesson レベルの allowResubmit を全 phase に適用 (議論前後の意見変化を取りたい)。
-      //   phase 個別に templateOptions.allowResubmit があればそれを優先。
-      const lessonAllowResubmit = Boolean(lessonJson && lessonJson.allowResubmit);
-      for (let i = 0; i < phases.length; i++) {
-        const phase = phases[i];
-        if (phase.formId) continue; // resume: 既に作成済みは skip
-
-        const phaseAllowResubmit = phase.templateOptions && phase.templateOptions.allowResubmit;
-        const formOpts = Object.assign({}, phase.templateOptions || {}, {
-          lessonName,
-          phaseName: phase.name || '',
-          question: phase.question || '',
-          classChoices: sharedClasses,
-          allowResubmit: phaseAllowResubmit != null ? Boolean(phaseAllowResubmit) : lessonAllowResubmit
-        });
-        const formResult = createTemplateForm(phase.formTemplate, formOpts);
-        if (!formResult || !formResult.success) {
-          // Partial failure: ここまでの進捗を draft のまま保存して resumable に。
-          __updateLessonRow_(lessonId, { lessonJson });
-          return createErrorResponse(
-            `phase ${i + 1} (${phase.name}) の Form 作成に失敗しました: ${(formResult && (formResult.error || formResult.message)) || 'unknown'}`,
-            null,
-            { error: 'FORM_CREATE_FAILED', completedPhases: i, lessonId }
-          );
-        }
-
-        phase.formId = formResult.formId || formResult.formData?.formId || '';
-        phase.formUrl = formResult.formUrl || formResult.formData?.formUrl || '';
-        phase.spreadsheetId = formResult.spreadsheetId || '';
-        phase.sheetName = formResult.sheetName || 'フォームの回答 1';
-
-        // Form を「受付中」にするのは phase 0 のみ。i>0 は close。
-        __setFormAcceptingResponses_(phase.formId, i === 0);
+      const created = __createLessonForms_(lessonId, lessonJson, found.lesson.name || '');
+      if (!created.success) {
+        return createErrorResponse(created.message, null,
+          { error: 'FORM_CREATE_FAILED', completedPhases: created.completedPhases, lessonId });
+      }
 
-        // 進捗を逐次永続化 (次クリックで resume 可能)。
-        //   最後の phase は次の applyConfigPatch_ + state=active の write でまとめて書くので skip。
-        if (i < phases.length - 1) {
+      const activated = __activateLesson_(userId, lessonId, lessonJson);
+      if (!activated.success) {
+        if (activated.error === 'PHASE_ACTIVATE_FAILED') {
+          // Patch 失敗時も Form は既に作成済み。state は draft のまま、lessonJson は最新で書く。
           __updateLessonRow_(lessonId, { lessonJson });
+          return createErrorResponse(activated.message, null, { error: activated.error, lessonId });
         }
+        return createErrorResponse(activated.message);
       }
-
-      // Phase 0 を user config に反映 → 既存 view 経路で即座に board 表示可能。
-      //   publishApp を呼ばず applyConfigPatch_ で直接 merge (高速 + lifecycle 干渉なし)。
-      const patchResult = applyConfigPatch_(userId, __buildPhaseConfigPatch_(phases[0], lessonJson, lessonId), { publish: false });
-      if (!patchResult.success) {
-        // Patch 失敗時も Form は既に作成済み。state は draft のまま、lessonJson は最新で書く。
-        __updateLessonRow_(lessonId, { lessonJson });
-        return createErrorResponse(
-          `phase 0 の active 化に失敗しました: ${patchResult.message || 'unknown'}`,
-          null,
-          { error: 'PHASE_ACTIVATE_FAILED', lessonId }
-        );
-      }
-
-      // 初回 transition を記録 (phase 0 開始)
-      lessonJson.profileTransitions = lessonJson.profileTransitions || [];
-      lessonJson.profileTransitions.push({ ts: new Date().toISOString(), from: null, to: 0 });
-
-      // state を active に遷移 + startedAt 記録
-      const startedAt = new Date().toISOString();
-      const finalResult = __updateLessonRow_(lessonId, {
-        state: 'active',
-        startedAt,
-        lessonJson
-      });
-      if (!finalResult.success) {
-        return createErrorResponse(finalResult.message || finalResult.error);
-      }
-      return createSuccessResponse('lesson 開始しました', { lesson: finalResult.lesson });
+      return createSuccessResponse('lesson 開始しました', { lesson: activated.lesson });
     } finally {
-      if (lock && lock.releaseLock) {
-        try { lock.releaseLock(); } catch (_) {}
-      }
+      __releaseLessonStartLock_(lock);
     }
   } catch (error) {
     logError_('startLesson', error);
@@ -1385,54 +2036,36 @@ function advanceLessonPhase(userId, lessonId, direction, targetIndex) {
     //   遷移の中身 (snapshot → row write → Form 開閉 → config patch) は from/to が
     //   何であっても同じなので、経路は 1 本のまま添字の決め方だけを分ける。
     let toIdx;
+    let branch = false;
     if (targetIndex !== undefined && targetIndex !== null && targetIndex !== '') {
       toIdx = Number(targetIndex);
       if (!Number.isInteger(toIdx)) return createErrorResponse('targetIndex が不正です');
       if (toIdx === fromIdx) return createErrorResponse('既にそのフェーズです');
     } else {
       toIdx = direction === 'previous' ? fromIdx - 1 : fromIdx + 1;
+      // 分岐のある phase の「次へ」は行き先を core が決める (最後の phase からでも戻る先がある)。
+      branch = direction !== 'previous'
+        && Boolean(__sanitizePhaseBranches_(phases[fromIdx] && phases[fromIdx].branches, phases.length, fromIdx));
     }
 
     if (toIdx < 0) return createErrorResponse('既に最初のフェーズです');
-    if (toIdx >= phases.length) return createErrorResponse('既に最後のフェーズです (終了するには「⏹ 終了」を押してください)');
-
-    // Why: 移行 *前* に outgoing phase の rows を freeze する。順序を逆にすると
-    //   user config が次 phase の columnMapping を指した状態で capture することになり、
-    //   replay が破綻する。capture は config 切替より前 (= 現状 fromIdx) で行う。
-    __upsertSnapshot_(lessonJson, __captureSnapshot_(userId, lessonJson, fromIdx, lessonId));
+    if (toIdx >= phases.length && !branch) return createErrorResponse('既に最後のフェーズです (終了するには「⏹ 終了」を押してください)');
 
-    lessonJson.profileTransitions = lessonJson.profileTransitions || [];
-    lessonJson.profileTransitions.push({ ts: new Date().toISOString(), from: fromIdx, to: toIdx });
-
-    // Why この順序: lesson row (= 「今どのフェーズか」 の真実) を etag 検証付きで *先に* 確定する。
-    //   旧実装は Form/config を先に切替えてから row write していたため、 最後の write が
-    //   etag_mismatch で失敗すると「config は次 phase・lessonJson は前 phase」 の不整合が残り
-    //   __activePhaseIndex_ がズレた。 row write を concurrency gate にし、 成功後に
-    //   *冪等な* 副作用 (Form open/close, config patch — 二重適用しても無害) を適用する。
-    const result = __updateLessonRow_(lessonId, { lessonJson });
-    if (!result.success) {
+    const moved = __advanceLessonPhaseCore_(userId, lessonId, lessonJson, fromIdx, toIdx, { branch });
+    if (!moved.success) {
       // Why error preservation: __updateLessonRow_ は 'etag_mismatch' を error フィールドで返す。
       //   旧来は createErrorResponse(message || error) のみで wrap し error code を捨てて
       //   いたため、frontend の auto-retry-on-mismatch ロジックが triggers されなかった
       //   (Error envelope audit F4)。
-      return createErrorResponse(result.message || result.error, null,
-        result.error ? { error: result.error, currentEtag: result.currentEtag } : null);
+      if (moved.error === 'PHASE_PATCH_FAILED') return createErrorResponse(moved.message);
+      return createErrorResponse(moved.message || moved.error, null,
+        moved.error ? { error: moved.error, currentEtag: moved.currentEtag } : null);
     }
 
-    // 現フェーズ Form を close、次フェーズ Form を open (冪等)。
-    __setFormAcceptingResponses_(phases[fromIdx].formId, false);
-    __setFormAcceptingResponses_(phases[toIdx].formId, true);
-
-    // user config を次フェーズに切替 (board が即座に新フェーズに対応; 冪等)
-    const target = phases[toIdx];
-    const patchResult = applyConfigPatch_(userId, __buildPhaseConfigPatch_(target, lessonJson, lessonId), { publish: false });
-    if (!patchResult.success) {
-      return createErrorResponse(`フェーズ切替に失敗しました: ${patchResult.message || 'unknown'}`);
-    }
-
-    return createSuccessResponse(`フェーズ ${toIdx + 1}: ${target.name} に切替えました`, {
-      lesson: result.lesson,
-      activePhaseIndex: toIdx
+    return createSuccessResponse(`フェーズ ${moved.toIdx + 1}: ${phases[moved.toIdx].name} に切替えました`, {
+      lesson: moved.lesson,
+      activePhaseIndex: moved.toIdx,
+      branch: moved.branch || null
     });
   } catch (error) {
     logError_('advanceLessonPhase', error);
@@ -1440,6 +2073,84 @@ function advanceLessonPhase(userId, lessonId, direction, targetIndex) {
   }
 }
 
+/**
+ * fromIdx → toIdx の遷移本体。教師の切替 (advanceLessonPhase) とタイマーの自動切替
+ * (__firePhaseTimer_) の共通経路。lessonJson は呼び出し側で deepClone 済みのものを渡す。
+ *
+ * @param {Object} [options] - { expectedEtag, via, branch }。タイマーは読んだ時点の etag で gate する。
+ *   branch=true なら fromIdx の分岐 (あれば) を判定し、toIdx をその結果で置き換える
+ * @returns {Object} { success, lesson, toIdx, branch, pendingForms } / { success:false, error, message, currentEtag? }
+ */
+function __advanceLessonPhaseCore_(userId, lessonId, lessonJson, fromIdx, toIdx, options) {
+  const opts = options || {};
+  const phases = lessonJson.phases || [];
+  const branches = opts.branch
+    ? __sanitizePhaseBranches_(phases[fromIdx] && phases[fromIdx].branches, phases.length, fromIdx)
+    : null;
+
+  // Why: 移行 *前* に outgoing phase の rows を freeze する。順序を逆にすると
+  //   user config が次 phase の columnMapping を指した状態で capture することになり、
+  //   replay が破綻する。capture は config 切替より前 (= 現状 fromIdx) で行う。
+  const capturedRows = branches ? [] : null;
+  __upsertSnapshot_(lessonJson, __captureSnapshot_(userId, lessonJson, fromIdx, lessonId, capturedRows));
+
+  // 分岐は焼いた行で判定し、どちらへ進んだかを遷移の記録に残す (振り返りに出す)。
+  let branch = null;
+  if (branches) {
+    const decision = __evaluatePhaseBranches_(branches, capturedRows);
+    toIdx = decision.toIdx;
+    branch = Object.assign({}, decision);
+    delete branch.toIdx;
+  }
+
+  lessonJson.profileTransitions = lessonJson.profileTransitions || [];
+  const transition = { ts: new Date().toISOString(), from: fromIdx, to: toIdx };
+  if (branch) transition.branch = branch;
+  lessonJson.profileTransitions.push(transition);
+  // 入った phase のタイマーを立て直す (戻ったときも満了から数え直す)。
+  __armPhaseTimer_(lessonJson, toIdx);
+
+  // 現フェーズ Form を close、次フェーズ Form を open。タイマー (管理者の実行) で開け閉め
+  //   できなかった分は保留し、教師の操作ではそれまでの保留もまとめて当てる。
+  const formStates = [
+    { formId: phases[fromIdx].formId, accepting: false },
+    { formId: phases[toIdx].formId, accepting: true }
+  ];
+  __dropPendingFormStates_(lessonJson, formStates.map(s => s.formId));
+  if (opts.via !== 'timer' && lessonJson.pendingFormStates) {
+    Object.keys(lessonJson.pendingFormStates).forEach((formId) => {
+      formStates.push({ formId, accepting: lessonJson.pendingFormStates[formId] });
+    });
+    delete lessonJson.pendingFormStates;
+  }
+
+  // Why この順序: lesson row (= 「今どのフェーズか」 の真実) を etag 検証付きで *先に* 確定する。
+  //   旧実装は Form/config を先に切替えてから row write していたため、 最後の write が
+  //   etag_mismatch で失敗すると「config は次 phase・lessonJson は前 phase」 の不整合が残り
+  //   __activePhaseIndex_ がズレた。 row write を concurrency gate にし、 成功後に
+  //   *冪等な* 副作用 (Form open/close, config patch — 二重適用しても無害) を適用する。
+  const result = __updateLessonRow_(lessonId, { lessonJson }, opts.expectedEtag);
+  if (!result.success) return result;
+
+  const diff = { activePhaseIndex: { before: fromIdx, after: toIdx } };
+  if (opts.via) diff.via = opts.via;
+  if (branch) diff.branch = { ruleIndex: branch.ruleIndex, observed: branch.observed };
+  __auditLesson_('lesson.advance', userId, lessonId, diff);
+  __syncPhaseTimerRegistry_(lessonId);
+
+  // Form の開閉は冪等。
+  let pendingForms = 0;
+  if (opts.via === 'timer') pendingForms = __setFormStatesOrDefer_(lessonId, formStates);
+  else formStates.forEach(s => __setFormAcceptingResponses_(s.formId, s.accepting));
+
+  // user config を次フェーズに切替 (board が即座に新フェーズに対応; 冪等)
+  const patchResult = applyConfigPatch_(userId, __buildPhaseConfigPatch_(phases[toIdx], lessonJson, lessonId), { publish: false });
+  if (!patchResult.success) {
+    return { success: false, error: 'PHASE_PATCH_FAILED', message: `フェーズ切替に失敗しました: ${patchResult.message || 'unknown'}` };
+  }
+  return { success: true, lesson: result.lesson, toIdx, branch, pendingForms };
+}
+
 /**
  * 完了した授業を再開する (completed → active)。
  *
@@ -1468,12 +2179,16 @@ function reopenLesson(userId, lessonId) {
     const phases = Array.isArray(lessonJson.phases) ? lessonJson.phases : [];
     if (phases.length === 0) return createErrorResponse('phase が定義されていません');
     const idx = Math.min(__activePhaseIndex_(lessonJson), phases.length - 1);
+    // 再開した phase のタイマーは満了から数え直す。
+    __armPhaseTimer_(lessonJson, idx);
 
     const result = __updateLessonRow_(lessonId, { state: 'active', endedAt: '', lessonJson });
     if (!result.success) {
       return createErrorResponse(result.message || result.error, null,
         result.error ? { error: result.error, currentEtag: result.currentEtag } : null);
     }
+    __auditLesson_('lesson.reopen', userId, lessonId, { state: { before: 'completed', after: 'active' } });
+    __syncPhaseTimerRegistry_(lessonId);
 
     // 再開 phase の Form だけ受付再開 (他 phase は advance が通過時に開閉する)。
     __setFormAcceptingResponses_(phases[idx].formId, true);
@@ -1525,6 +2240,10 @@ function endLesson(userId, lessonId) {
     //   が積まれ、endLesson 自体は成功する (lesson は必ず completed に遷移する原則)。
     const currentIdx = __activePhaseIndex_(lessonJson);
     __upsertSnapshot_(lessonJson, __captureSnapshot_(userId, lessonJson, currentIdx, lessonId));
+    const hadTimer = Boolean(lessonJson.phaseTimer);
+    delete lessonJson.phaseTimer;
+    // 全 Form をここで閉じたので、タイマーが残した保留は不要。
+    delete lessonJson.pendingFormStates;
 
     const endedAt = new Date().toISOString();
     const result = __updateLessonRow_(lessonId, {
@@ -1537,6 +2256,13 @@ function endLesson(userId, lessonId) {
       return createErrorResponse(result.message || result.error, null,
         result.error ? { error: result.error, currentEtag: result.currentEtag } : null);
     }
+    __auditLesson_('lesson.end', userId, lessonId, { state: { before: 'active', after: 'completed' } });
+    if (hadTimer) {
+      __syncPhaseTimerRegistry_(lessonId);
+      // 終了後のボードにカウントダウンを残さない (formUrl 等は従来どおり触らない)。
+      const patchResult = applyConfigPatch_(userId, { phaseTimer: null }, { publish: false });
+      if (!patchResult.success) logError_('endLesson:clearPhaseTimer', new Error(patchResult.message || 'unknown'), { lessonId });
+    }
     return createSuccessResponse('lesson を終了しました。振り返り画面でいつでも再生できます。', {
       lesson: result.lesson,
       reviewUrl: '?mode=review&lessonId=' + encodeURIComponent(lessonId)
@@ -1689,6 +2415,409 @@ function installLessonTriggers() {
   }
 }
 
+/**
+ * 毎分の cron entry。台帳から時間切れのタイマーを拾って __firePhaseTimer_ に渡す。
+ * @returns {Object} { due, fired, errors }
+ */
+function lessonPhaseTimerSweep() {
+  return __sweepLessonRegistry_(LESSON_PHASE_TIMERS_PROPERTY, 'endsAt',
+    (lessonId) => __firePhaseTimer_(lessonId).fired, 'lessonPhaseTimerSweep');
+}
+
+/**
+ * lessonPhaseTimerSweep の毎分トリガーを冪等にインストール。setupApp から呼ばれる。
+ *   Why setupApp から: web アプリは USER_ACCESSING で動くので、授業の開始時に作ると
+ *   その教師のトリガーになってしまう。台帳は全員分を管理者のトリガー 1 本で回す。
+ */
+function installLessonPhaseTimerTrigger() {
+  try {
+    __installMinuteTrigger_('lessonPhaseTimerSweep', LESSON_PHASE_TIMER_SWEEP_MINUTES);
+  } catch (error) {
+    logError_('installLessonPhaseTimerTrigger', error);
+  }
+}
+
+/**
+ * 教師のボードでカウントダウンが 0 になったときの heartbeat。sweep (最大 1 分遅れ) を待たずに
+ * 時間切れを処理する。期限前 / 処理済みなら何もしない (fired=false は正常系)。
+ *
+ * @param {string} targetUserId - ボードの持ち主
+ * @returns {Object} data: { fired, action?, activePhaseIndex?, reason? }
+ */
+function checkLessonPhaseTimer(targetUserId) {
+  try {
+    const userId = targetUserId || null;
+    if (!userId) return createErrorResponse('userId is required');
+    const auth = __requireLessonOwner_(userId, null);
+    if (auth.error) return auth.error;
+
+    const active = __listLessonsForUser_(userId).find(l => l && l.state === 'active');
+    if (!active) return createSuccessResponse('no active lesson', { fired: false, reason: 'not_running' });
+    const outcome = __firePhaseTimer_(active.lessonId);
+    // ここは教師の実行なので、管理者のトリガーが開け閉めできなかった Form を当て直す。
+    const flushed = __flushPendingFormStates_(active.lessonId);
+    if (flushed.applied > 0 || flushed.remaining > 0) outcome.pendingForms = flushed.remaining;
+    return createSuccessResponse(outcome.fired ? 'phase timer fired' : 'phase timer not fired', outcome);
+  } catch (error) {
+    logError_('checkLessonPhaseTimer', error);
+    return createExceptionResponse(error);
+  }
+}
+
+// ----- 予約開始とくり返し -----
+//
+// 予約は draft のまま lessonJson.schedule = { startAt, status, reason? } に持つ。
+// Form は教師の実行 (予約した時 / 管理画面を開いた時) に先に作る: web アプリは USER_ACCESSING なので
+// Form の持ち主は呼んだ教師になる。管理者の毎分トリガーは台帳から期限の来た予約を拾い、
+// Form を作らずに phase 0 をボードに出すだけにする (= 授業の頭に Form 生成を待たない)。
+
+// 自動開始を待っている予約。draft で status='scheduled' のものだけ。
+function __pendingLessonSchedule_(lesson) {
+  if (!lesson || lesson.state !== 'draft') return null;
+  const schedule = lesson.lessonJson && lesson.lessonJson.schedule;
+  if (!schedule || schedule.status !== 'scheduled') return null;
+  const startAtMs = Date.parse(schedule.startAt);
+  return Number.isFinite(startAtMs) ? Object.assign({}, schedule, { startAtMs }) : null;
+}
+
+function __syncLessonScheduleRegistry_(lessonId) {
+  __syncLessonRegistry_(LESSON_SCHEDULES_PROPERTY, lessonId, (lesson) => {
+    const schedule = __pendingLessonSchedule_(lesson);
+    return schedule ? { startAt: schedule.startAtMs } : null;
+  });
+}
+
+// 事前準備で作った Form / 回答 SS の file id。準備していない draft (= startLesson の途中失敗の
+//   残り) は対象外: そちらは resume で使い回す前提なので捨てない。
+function __preparedFormFiles_(lessonJson) {
+  if (!lessonJson || !lessonJson.formsPreparedAt) return [];
+  const phases = Array.isArray(lessonJson.phases) ? lessonJson.phases : [];
+  const ids = [];
+  phases.forEach((p) => {
+    if (p && p.formId) ids.push(p.formId);
+    if (p && p.spreadsheetId) ids.push(p.spreadsheetId);
+  });
+  return ids;
+}
+
+function __resetPreparedForms_(lessonJson) {
+  (lessonJson.phases || []).forEach((p) => {
+    if (!p || typeof p !== 'object') return;
+    p.formId = ''; p.formUrl = ''; p.spreadsheetId = ''; p.sheetName = '';
+  });
+  delete lessonJson.formsPreparedAt;
+}
+
+// 即削除でなく Drive ゴミ箱へ (30 日猶予)。失敗しても下書きの編集 / 削除は止めない。
+function __trashDriveFiles_(fileIds) {
+  if (!fileIds || fileIds.length === 0 || typeof DriveApp === 'undefined') return;
+  fileIds.forEach((id) => {
+    try { DriveApp.getFileById(id).setTrashed(true); } catch (error) {
+      logError_('__trashDriveFiles_', error, { fileId: id });
+    }
+  });
+}
+
+/**
+ * 予約した draft の Form を先に作る (教師の実行から呼ぶこと)。
+ * @returns {Object} { success, lesson } または { success:false, error, message }
+ */
+function __prepareLessonForms_(lessonId) {
+  const lock = __acquireLessonStartLock_('__prepareLessonForms_');
+  if (!lock) return { success: false, error: 'LESSON_BUSY', message: '別の開始処理が実行中です' };
+  try {
+    const found = __findLessonById_(lessonId);
+    if (!found || found.lesson.state !== 'draft') {
+      return { success: false, error: 'FORBIDDEN_STATE', message: 'draft でない授業は準備できません' };
+    }
+    const lessonJson = deepClone(found.lesson.lessonJson || {});
+    if (__lessonFormsReady_(lessonJson)) return { success: true, lesson: found.lesson };
+    const invalid = __validateLessonStartable_(lessonJson);
+    if (invalid) return { success: false, error: 'NOT_STARTABLE', message: invalid };
+
+    // 途中で失敗しても、作れた分は「準備済み」として編集時に捨てられるよう先に印を付ける。
+    lessonJson.formsPreparedAt = new Date().toISOString();
+    const created = __createLessonForms_(lessonId, lessonJson, found.lesson.name || '');
+    if (!created.success) return { success: false, error: 'FORM_CREATE_FAILED', message: created.message };
+    const written = __updateLessonRow_(lessonId, { lessonJson });
+    if (!written.success) return { success: false, error: written.error, message: written.message };
+    return { success: true, lesson: written.lesson };
+  } finally {
+    __releaseLessonStartLock_(lock);
+  }
+}
+
+// 開始が近い (LESSON_SCHEDULE_PREPARE_DAYS 以内) のに Form の無い予約を、近い順に準備する。
+function __prepareDueScheduledLessons_(userId) {
+  const horizon = Date.now() + LESSON_SCHEDULE_PREPARE_DAYS * 24 * 60 * 60 * 1000;
+  const targets = __listLessonsForUser_(userId)
+    .map(lesson => ({ lesson, schedule: __pendingLessonSchedule_(lesson) }))
+    .filter(t => t.schedule && t.schedule.startAtMs <= horizon && !__lessonFormsReady_(t.lesson.lessonJson))
+    .sort((a, b) => a.schedule.startAtMs - b.schedule.startAtMs);
+  const summary = { prepared: [], failed: [], remaining: Math.max(0, targets.length - LESSON_SCHEDULE_PREPARE_MAX_PER_CALL) };
+  targets.slice(0, LESSON_SCHEDULE_PREPARE_MAX_PER_CALL).forEach((t) => {
+    const result = __prepareLessonForms_(t.lesson.lessonId);
+    if (result.success) summary.prepared.push(t.lesson.lessonId);
+    else summary.failed.push({ lessonId: t.lesson.lessonId, error: result.error, message: result.message });
+  });
+  return summary;
+}
+
+/**
+ * draft を指定日時に自動で開始するよう予約する (startAt=null で予約を外す)。
+ *   開始が近ければ Form もこの呼び出しの中で作る (教師の実行 = 教師の Form になる)。
+ *
+ * @param {string|null} startAt - ISO 8601。今より後であること
+ * @returns {Object} data: { lesson, formsReady, prepare? }
+ */
+function scheduleLesson(userId, lessonId, startAt, expectedEtag) {
+  try {
+    const auth = __requireLessonOwner_(userId, lessonId);
+    if (auth.error) return auth.error;
+    const { found } = auth;
+    if (found.lesson.state !== 'draft') {
+      return createErrorResponse('FORBIDDEN_STATE: draft 状態でのみ予約できます');
+    }
+
+    const lessonJson = deepClone(found.lesson.lessonJson || {});
+    const before = (lessonJson.schedule && lessonJson.schedule.startAt) || null;
+    const unschedule = startAt === null || startAt === undefined || startAt === '';
+    if (unschedule) {
+      if (!lessonJson.schedule) return createSuccessResponse('unchanged', { lesson: found.lesson, formsReady: __lessonFormsReady_(lessonJson) });
+      // 準備済みの Form は残す: 予約を外してすぐ手動で始める場合にそのまま使える。
+      delete lessonJson.schedule;
+    } else {
+      const startAtMs = Date.parse(startAt);
+      if (!Number.isFinite(startAtMs)) return createErrorResponse('開始日時が読み取れません');
+      if (startAtMs <= Date.now()) return createErrorResponse('開始日時は今より後を指定してください');
+      const invalid = __validateLessonStartable_(lessonJson);
+      if (invalid) return createErrorResponse(invalid);
+      lessonJson.schedule = { startAt: new Date(startAtMs).toISOString(), status: 'scheduled' };
+    }
+
+    const result = __updateLessonRow_(lessonId, { lessonJson }, expectedEtag);
+    if (!result.success) return createErrorResponse(result.message || result.error, null, { error: result.error });
+    __auditLesson_('lesson.schedule', userId, lessonId, {
+      startAt: { before, after: unschedule ? null : lessonJson.schedule.startAt }
+    });
+    __syncLessonScheduleRegistry_(lessonId);
+    if (unschedule) {
+      return createSuccessResponse('unscheduled', { lesson: result.lesson, formsReady: __lessonFormsReady_(lessonJson) });
+    }
+
+    const prepare = __prepareDueScheduledLessons_(userId);
+    const latest = __findLessonById_(lessonId);
+    const lesson = latest ? latest.lesson : result.lesson;
+    return createSuccessResponse('scheduled', {
+      lesson,
+      formsReady: __lessonFormsReady_(lesson.lessonJson),
+      prepare
+    });
+  } catch (error) {
+    logError_('scheduleLesson', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 開始の近い予約の Form を先に作る。管理画面が授業一覧を開いたときに呼ぶ
+ * (トリガーは管理者の実行なので Form を作れない。教師が画面を開いた機会に作り溜める)。
+ * @returns {Object} data: { prepared: lessonId[], failed: [{lessonId, error, message}], remaining }
+ */
+function prepareScheduledLessons(userId) {
+  try {
+    const access = __requireLessonOwner_(userId, null, { resourceLabel: '授業の予約' });
+    if (access.error) return access.error;
+    const summary = __prepareDueScheduledLessons_(userId);
+    return createSuccessResponse('prepared', summary);
+  } catch (error) {
+    logError_('prepareScheduledLessons', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 期限の来た予約を開始する (毎分の sweep から)。
+ *   - Form が揃っていない / 別の授業が実行中なら、遅れの許容 (LESSON_SCHEDULE_MAX_LATE_MS) の間は
+ *     次の分に再試行する (教師が画面を開けば Form が準備され、前の授業が終われば始まる)
+ *   - 許容を過ぎたら status='missed' にして台帳から外す (教師は一覧で見て手動で始められる)
+ * row write は読んだ時点の etag で gate するので、教師の手動開始と同時に走っても二重に始めない。
+ *
+ * @returns {Object} { started, reason? }
+ */
+function __startScheduledLesson_(lessonId) {
+  const now = Date.now();
+  const found = __findLessonById_(lessonId);
+  const schedule = found ? __pendingLessonSchedule_(found.lesson) : null;
+  if (!schedule) {
+    __syncLessonScheduleRegistry_(lessonId);
+    return { started: false, reason: 'not_scheduled' };
+  }
+  if (schedule.startAtMs > now) return { started: false, reason: 'not_due' };
+
+  const userId = found.lesson.userId;
+  const lessonJson = deepClone(found.lesson.lessonJson || {});
+  let blocked = __validateLessonStartable_(lessonJson) ? 'not_startable'
+    : !__lessonFormsReady_(lessonJson) ? 'forms_not_ready'
+      : __listLessonsForUser_(userId).some(l => l && l.state === 'active') ? 'another_active'
+        : null;
+  if (!blocked) {
+    const activated = __activateLesson_(userId, lessonId, lessonJson, { expectedEtag: found.lesson.etag, via: 'schedule' });
+    if (activated.success) return { started: true };
+    blocked = activated.error || 'activate_failed';
+  }
+  if (blocked !== 'not_startable' && now - schedule.startAtMs <= LESSON_SCHEDULE_MAX_LATE_MS) {
+    return { started: false, reason: blocked };
+  }
+
+  // 自動では始めない。理由を残して台帳から外す。
+  const missed = deepClone(found.lesson.lessonJson || {});
+  missed.schedule = { startAt: schedule.startAt, status: 'missed', reason: blocked };
+  const written = __updateLessonRow_(lessonId, { lessonJson: missed }, found.lesson.etag);
+  if (!written.success) return { started: false, reason: written.error || 'write_failed' };
+  __auditLesson_('lesson.schedule', userId, lessonId, { status: { before: 'scheduled', after: 'missed' }, reason: blocked });
+  __syncLessonScheduleRegistry_(lessonId);
+  return { started: false, reason: blocked };
+}
+
+/**
+ * 毎分の cron entry。台帳から期限の来た予約を拾って __startScheduledLesson_ に渡す。
+ * @returns {Object} { due, fired, errors }
+ */
+function lessonScheduleSweep() {
+  return __sweepLessonRegistry_(LESSON_SCHEDULES_PROPERTY, 'startAt',
+    (lessonId) => __startScheduledLesson_(lessonId).started, 'lessonScheduleSweep');
+}
+
+// lessonScheduleSweep の毎分トリガー。installLessonPhaseTimerTrigger と同じく setupApp から入れる。
+function installLessonScheduleTrigger() {
+  try {
+    __installMinuteTrigger_('lessonScheduleSweep', LESSON_SCHEDULE_SWEEP_MINUTES);
+  } catch (error) {
+    logError_('installLessonScheduleTrigger', error);
+  }
+}
+
+// startDate (JST の日付) 以降で weekday に当たる日の hour:minute (JST) を count 回分。
+//   過去の回 (今日のもう過ぎた時刻) は数えずに飛ばす。
+function __seriesOccurrences_(startDate, weekday, hour, minute, count, nowMs) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const [y, m, d] = startDate.split('-').map(Number);
+  let day = Date.UTC(y, m - 1, d);
+  day += ((weekday - new Date(day).getUTCDay() + 7) % 7) * dayMs;
+  const out = [];
+  while (out.length < count) {
+    const startAtMs = day + (hour * 60 + minute) * 60 * 1000 - LESSON_SCHEDULE_TZ_OFFSET_MS;
+    if (startAtMs > nowMs) {
+      const date = new Date(day);
+      out.push({ startAtMs, label: `${date.getUTCMonth() + 1}/${date.getUTCDate()}(${LESSON_WEEKDAY_LABELS[weekday]})` });
+    }
+    day += 7 * dayMs;
+  }
+  return out;
+}
+
+/**
+ * 元の授業をテンプレートに、毎週同じ曜日・時刻のくり返し予約を作る (例: 毎週火曜 3 時間目の 5-2)。
+ *   各回は duplicateLesson と同じ複製 + 日付入りの名前 ("道徳 5/19(火) 3時間目") で、
+ *   それぞれ普通の予約として自動開始される。同じ seriesId で束ね、cancelLessonSeries でまとめて消せる。
+ *
+ * @param {Object} options - { weekday: 0(日)-6(土), time: 'HH:MM' (JST), count, startDate?: 'YYYY-MM-DD',
+ *   classes?: string[] (省略時は元の授業のクラス), label?: 名前の末尾 ('3時間目' 等), baseName? }
+ * @returns {Object} data: { seriesId, lessons: [{lessonId, name, startAt}], prepare }
+ */
+function createLessonSeries(userId, sourceLessonId, options) {
+  try {
+    const auth = __requireLessonOwner_(userId, sourceLessonId);
+    if (auth.error) return auth.error;
+    const src = auth.found.lesson;
+    const opts = options || {};
+
+    const weekday = Number(opts.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return createErrorResponse('weekday は 0 (日) 〜 6 (土) で指定してください');
+    const time = String(opts.time || '').match(/^(\d{1,2}):(\d{2})$/);
+    const hour = time ? Number(time[1]) : NaN;
+    const minute = time ? Number(time[2]) : NaN;
+    if (!time || hour > 23 || minute > 59) return createErrorResponse('time は HH:MM で指定してください');
+    const timeLabel = String(hour).padStart(2, '0') + ':' + time[2];
+    const count = Number(opts.count);
+    if (!Number.isInteger(count) || count < 1 || count > LESSON_SERIES_MAX_OCCURRENCES) {
+      return createErrorResponse(`count は 1 〜 ${LESSON_SERIES_MAX_OCCURRENCES} で指定してください`);
+    }
+    const now = Date.now();
+    const startDate = opts.startDate || new Date(now + LESSON_SCHEDULE_TZ_OFFSET_MS).toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !Number.isFinite(Date.parse(startDate))) {
+      return createErrorResponse('startDate は YYYY-MM-DD で指定してください');
+    }
+    const classes = Array.isArray(opts.classes) && opts.classes.length > 0
+      ? opts.classes.map(c => String(c || '').trim()).filter(Boolean)
+      : ((src.lessonJson && src.lessonJson.classes) || []).slice();
+    const invalid = __validateLessonStartable_(Object.assign({}, src.lessonJson, { classes }));
+    if (invalid) return createErrorResponse(invalid);
+
+    const label = String(opts.label || '').trim().slice(0, 20);
+    const baseName = String(opts.baseName || src.name || '新しい授業').trim().slice(0, 60);
+    const seriesId = 'series_' + Utilities.getUuid().slice(0, 12);
+    const occurrences = __seriesOccurrences_(startDate, weekday, hour, minute, count, now);
+
+    const lessons = [];
+    for (let i = 0; i < occurrences.length; i++) {
+      const occ = occurrences[i];
+      const startAt = new Date(occ.startAtMs).toISOString();
+      const written = __cloneLessonDraft_(userId, src, {
+        name: [baseName, occ.label, label].filter(Boolean).join(' '),
+        classes,
+        extra: {
+          schedule: { startAt, status: 'scheduled' },
+          series: { seriesId, index: i + 1, total: count, weekday, time: timeLabel, label }
+        }
+      });
+      if (written && written.success === false) {
+        // 作れた回は残す (それぞれ普通の予約として動く)。まとめて消すなら cancelLessonSeries。
+        return createErrorResponse(
+          `${i + 1} 回目の作成に失敗しました: ${written.message || 'unknown'}`,
+          null,
+          { error: 'SERIES_PARTIAL', seriesId, created: lessons.length }
+        );
+      }
+      __syncLessonScheduleRegistry_(written.lessonId);
+      lessons.push({ lessonId: written.lessonId, name: written.name, startAt });
+    }
+    __auditLesson_('lesson.series', userId, sourceLessonId, {
+      seriesId, count: lessons.length, weekday, time: timeLabel, classes
+    });
+    const prepare = __prepareDueScheduledLessons_(userId);
+    return createSuccessResponse('series created', { seriesId, lessons, prepare });
+  } catch (error) {
+    logError_('createLessonSeries', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * くり返し予約のうち、まだ始まっていない回 (draft) をまとめて消す。始まった回は残る。
+ * @returns {Object} data: { seriesId, deleted }
+ */
+function cancelLessonSeries(userId, seriesId) {
+  try {
+    const access = __requireLessonOwner_(userId, null, { resourceLabel: '授業の予約' });
+    if (access.error) return access.error;
+    if (!seriesId) return createErrorResponse('seriesId が必要です');
+
+    const targets = __listLessonsForUser_(userId).filter(l => l && l.state === 'draft'
+      && l.lessonJson && l.lessonJson.series && l.lessonJson.series.seriesId === seriesId);
+    let deleted = 0;
+    targets.forEach((l) => {
+      const result = deleteLesson(userId, l.lessonId);
+      if (result && result.success) deleted++;
+    });
+    return createSuccessResponse('series cancelled', { seriesId, deleted });
+  } catch (error) {
+    logError_('cancelLessonSeries', error);
+    return createExceptionResponse(error);
+  }
+}
+
 /**
  * phase の並び順を入れ替える (保守オペレーション)。
  *
@@ -1733,6 +2862,20 @@ function reorderLessonPhases(userId, lessonId, order) {
     if (lessonJson.meta && Array.isArray(lessonJson.meta.profileNames)) {
       lessonJson.meta.profileNames = lessonJson.phases.map(p => p.name);
     }
+    if (lessonJson.phaseTimer && Number.isInteger(lessonJson.phaseTimer.phaseIndex)) {
+      lessonJson.phaseTimer.phaseIndex = newIndexOf[lessonJson.phaseTimer.phaseIndex];
+    }
+    // 分岐の行き先は phase そのものを指し続ける (並び替えで行き先が変わらないように)
+    lessonJson.phases.forEach(p => {
+      if (!p || !p.branches || typeof p.branches !== 'object') return;
+      p.branches = {
+        ...p.branches,
+        rules: (Array.isArray(p.branches.rules) ? p.branches.rules : [])
+          .map(r => ({ ...r, goTo: newIndexOf[r.goTo] })),
+        otherwise: newIndexOf[p.branches.otherwise]
+      };
+    });
+    __normalizePhaseBranches_(lessonJson);
 
     lessonJson.snapshots = (lessonJson.snapshots || []).map(sn => {
       const newIdx = newIndexOf[sn.phaseIndex];
@@ -1787,7 +2930,8 @@ function migrateLessonArchive(userId, lessonId) {
         skipped.push({ phaseIndex: sn && sn.phaseIndex, reason: 'no-inline-rows' });
         continue;
       }
-      const projected = sn.rows.map(r => __projectBoardRowForExport_(r));
+      const piiMatcher = __buildExportPiiMatcher_(sn.rows);
+      const projected = sn.rows.map(r => __projectBoardRowForExport_(r, { piiMatcher }));
       const pointer = __writeArchiveRows_(lessonId, sn.phaseIndex, projected);
       if (!pointer) {
         skipped.push({ phaseIndex: sn.phaseIndex, reason: 'archive-write-failed' });
@@ -1834,6 +2978,10 @@ function recaptureLessonArchive(userId, lessonId, phaseIndex) {
     if (!Number.isInteger(idx) || idx < 0 || idx >= phases.length) {
       return createErrorResponse('phaseIndex が不正です');
     }
+    // 保存期間 (RetentionService.js) で消去・匿名化した授業に、元 SS の生の回答を書き戻さない。
+    if (lessonJson.retentionStatus && lessonJson.retentionStatus.appliedAt) {
+      return createErrorResponse('保存期間を過ぎて消去・匿名化した授業は焼き直せません');
+    }
     const snapshot = __captureSnapshot_(userId, lessonJson, idx, lessonId);
     if (snapshot.reason) {
       return createErrorResponse('再取得失敗: ' + snapshot.reason);
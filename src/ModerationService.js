@@ -0,0 +1,535 @@
+/**
+ * @fileoverview ModerationService - 児童の回答を表示前に NG ワード / 正規表現で判定し、
+ *   当たった回答を先生が判断する (承認 / 伏せ字にして公開 / 削除) まで画面に出さない。
+ *
+ * ルールは 2 段:
+ *   - 学校 (テナント) 全体: Script Property MODERATION_RULES に { words, patterns, updatedAt }。
+ *     管理者が dispatchAdminOperation の setModerationRules で更新する。
+ *   - ボードごと: config.moderation = { words, allowWords }。 学校のリストに足す語と、
+ *     学校の語のうちこのボードでは許す語 (理科の「死骸」など)。 正規表現は学校側だけに置く
+ *     (重い pattern を書ける人を管理者に限る)。
+ *
+ * 先生の判断は回答シートの MODERATION 列に 1 行 1 セルの JSON で持つ (HIGHLIGHT / QA_ANSWER と同じ)。
+ *   NG 判定は読み出しのたびに DataService.processRawDataBatch がやり直し、 結果を行に載せる。
+ *   viewer 用 board data cache (12 秒) にも「held」 のまま入るので、 cache から返しても
+ *   buildSafePublishedDataResult が外す。 判断を書いたら bumpBoardDataVersion_ で cache を捨てる。
+ */
+
+/* global validateText, getCurrentEmail, isAdministrator, findUserById, getConfigOrDefault, getUserSheetData, getCachedProperty, setCachedProperty, requireAdmin, executeBoardRowOperation, resolveTimestampIndex, toComparableTimestamp_, invalidateSheetHeadersCache, recordAuditEvent_, createAdminRequiredError, createErrorResponse, createSuccessResponse, createExceptionResponse, logError_, sameEmail_ */
+
+const MODERATION_COLUMN = 'MODERATION';
+const MODERATION_RULES_PROPERTY = 'MODERATION_RULES';
+const MODERATION_WORDS_MAX = 300;
+const MODERATION_WORD_MAX_LENGTH = 30;
+const MODERATION_PATTERNS_MAX = 30;
+const MODERATION_PATTERN_MAX_LENGTH = 100;
+// Script Property 1 値の上限 (9KB) に対する余裕込みの上限。
+const MODERATION_RULES_MAX_CHARS = 8000;
+// ボードごとの追加語 / 許可語。 config JSON を肥大させない。
+const MODERATION_BOARD_WORDS_MAX = 50;
+// 判定と伏せ字の対象。 名前欄も showNames で投影されうる自由記述。
+const MODERATION_TEXT_FIELDS = Object.freeze(['answer', 'reason', 'name']);
+// 伏せ字にした本文の上限 (ボードからの直接回答と同じ)。
+const MODERATION_MASKED_MAX_LENGTH = 1000;
+const MODERATION_MASK_CHAR = '＊';
+// 入れ子の量指定子 ((a+)+ / (\w*)* など)。 V8 の正規表現はバックトラックするので、
+//   1 行の回答で数秒止まる pattern を保存させない。
+const MODERATION_NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/;
+
+/**
+ * 照合用に文字列を畳む: NFKC (全角英数・半角カナ → 標準形) → 小文字 → カタカナをひらがなへ。
+ *   「バカ」「ﾊﾞｶ」「ばか」 を 1 語の登録で拾うため。
+ * @param {*} text
+ * @returns {string}
+ */
+function foldModerationText_(text) {
+  return String(text == null ? '' : text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+// NG ワードの照合キー。 「ば か」 のような空白挟みも拾えるよう空白を詰める。
+function moderationWordKey_(word) {
+  return foldModerationText_(word).replace(/\s+/g, '');
+}
+
+// 配列でも改行 / 読点区切りの文字列でも受ける (管理画面の textarea をそのまま渡せる)。
+function sanitizeModerationWords_(input, max) {
+  const raw = Array.isArray(input)
+    ? input
+    : (typeof input === 'string' ? input.split(/[\n、,，]/) : []);
+  const out = [];
+  const seen = new Set();
+  for (const item of raw) {
+    if (typeof item !== 'string') continue;
+    const word = item.trim().substring(0, MODERATION_WORD_MAX_LENGTH);
+    const key = moderationWordKey_(word);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(word);
+    if (out.length >= max) break;
+  }
+  return out;
+}
+
+/**
+ * 正規表現 1 つを検証する。
+ * @param {string} source
+ * @returns {string|null} 使えない理由。 使えるなら null
+ */
+function moderationPatternError_(source) {
+  if (typeof source !== 'string' || !source.trim()) return '空の正規表現';
+  if (source.length > MODERATION_PATTERN_MAX_LENGTH) {
+    return `正規表現は ${MODERATION_PATTERN_MAX_LENGTH} 字までです: ${source.substring(0, 20)}…`;
+  }
+  if (MODERATION_NESTED_QUANTIFIER.test(source)) {
+    return `入れ子の繰り返しは使えません: ${source}`;
+  }
+  try {
+    new RegExp(source, 'i');
+  } catch (error) {
+    return `正規表現として読めません: ${source}`;
+  }
+  return null;
+}
+
+/**
+ * 学校全体のルールのサニタイズ。 使えない正規表現は落とす (保存時は setModerationRules が先に弾く)。
+ * @param {*} input - { words, patterns }
+ * @returns {{words: Array<string>, patterns: Array<string>}}
+ */
+function sanitizeModerationRules(input) {
+  const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const patterns = (Array.isArray(src.patterns) ? src.patterns : [])
+    .filter(p => moderationPatternError_(p) === null)
+    .map(p => p.trim())
+    .filter((p, i, all) => all.indexOf(p) === i)
+    .slice(0, MODERATION_PATTERNS_MAX);
+  return {
+    words: sanitizeModerationWords_(src.words, MODERATION_WORDS_MAX),
+    patterns
+  };
+}
+
+/**
+ * config.moderation (ボードごとの上書き) のサニタイズ。 どちらも空なら null
+ *   (null は「学校のルールのまま」。 config に書かないことで既存ボードと同じ形を保つ)。
+ * @param {*} input - { words, allowWords }
+ * @returns {{words: Array<string>, allowWords: Array<string>}|null}
+ */
+function sanitizeModerationOverride(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const words = sanitizeModerationWords_(input.words, MODERATION_BOARD_WORDS_MAX);
+  const allowWords = sanitizeModerationWords_(input.allowWords, MODERATION_BOARD_WORDS_MAX);
+  if (words.length === 0 && allowWords.length === 0) return null;
+  return { words, allowWords };
+}
+
+/**
+ * 学校全体のルール (Script Property)。 未設定・壊れた JSON は空ルール。
+ * @returns {{words: Array<string>, patterns: Array<string>, updatedAt: string|null}}
+ */
+function getSchoolModerationRules_() {
+  let parsed = null;
+  try {
+    const raw = getCachedProperty(MODERATION_RULES_PROPERTY);
+    parsed = raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('getSchoolModerationRules_: MODERATION_RULES を読めません', error.message);
+  }
+  return {
+    ...sanitizeModerationRules(parsed),
+    updatedAt: parsed && typeof parsed.updatedAt === 'string' ? parsed.updatedAt : null
+  };
+}
+
+/**
+ * ボードに効くルールを照合用に組み立てる。 ルールが 1 つも無ければ null (判定を丸ごと省く)。
+ * @param {Object} config - ボードの config (config.moderation を見る)
+ * @returns {{words: Array<{label:string, key:string}>, patterns: Array<{label:string, re:RegExp}>}|null}
+ */
+function buildModerationMatcher_(config) {
+  const school = getSchoolModerationRules_();
+  const board = sanitizeModerationOverride(config && config.moderation) || { words: [], allowWords: [] };
+  const allowed = new Set(board.allowWords.map(moderationWordKey_));
+  const words = [];
+  const seen = new Set();
+  school.words.concat(board.words).forEach((label) => {
+    const key = moderationWordKey_(label);
+    if (!key || allowed.has(key) || seen.has(key)) return;
+    seen.add(key);
+    words.push({ label, key });
+  });
+  const patterns = school.patterns.map(source => ({ label: `/${source}/`, re: new RegExp(source, 'i') }));
+  if (words.length === 0 && patterns.length === 0) return null;
+  return { words, patterns };
+}
+
+/**
+ * 文字列群に当たったルールの一覧 (重複なし、 登録順)。
+ * @param {Object} matcher - buildModerationMatcher_ の戻り値
+ * @param {Array<*>} texts
+ * @returns {Array<string>} NG ワードそのもの / 正規表現は「/source/」
+ */
+function findModerationMatches_(matcher, texts) {
+  const labels = [];
+  if (!matcher) return labels;
+  (Array.isArray(texts) ? texts : []).forEach((text) => {
+    if (text === null || text === undefined || text === '') return;
+    const folded = foldModerationText_(text);
+    const compact = folded.replace(/\s+/g, '');
+    matcher.words.forEach((w) => {
+      if (compact.indexOf(w.key) !== -1 && !labels.includes(w.label)) labels.push(w.label);
+    });
+    matcher.patterns.forEach((p) => {
+      if (p.re.test(folded) && !labels.includes(p.label)) labels.push(p.label);
+    });
+  });
+  return labels;
+}
+
+/**
+ * 当たった箇所を「＊」に置き換えた文字列 (伏せ字の下書き)。 先生が編集してから公開する。
+ *
+ * Why 1 文字ずつ畳む: NFKC は 1 文字を複数文字にすることがある (「㍿」 → 「株式会社」)。
+ *   畳んだ後の位置から元の文字位置へ戻せるよう、 畳んだ文字ごとに元の index を覚える。
+ *   半角カナの濁点 (「ﾊﾞ」) は前の文字とまとめて畳まないと「ば」にならないので 1 単位にする。
+ * @param {Object} matcher
+ * @param {*} text
+ * @returns {string}
+ */
+function maskModerationText_(matcher, text) {
+  const source = String(text == null ? '' : text);
+  if (!matcher || !source) return source;
+  const units = [];
+  Array.from(source).forEach((ch) => {
+    if (units.length > 0 && /[\uFF9E\uFF9F\u3099\u309A]/.test(ch)) units[units.length - 1] += ch;
+    else units.push(ch);
+  });
+  let folded = '';
+  let compact = '';
+  const foldedMap = [];
+  const compactMap = [];
+  units.forEach((unit, i) => {
+    const f = foldModerationText_(unit);
+    for (let k = 0; k < f.length; k++) {
+      folded += f[k];
+      foldedMap.push(i);
+      if (!/\s/.test(f[k])) {
+        compact += f[k];
+        compactMap.push(i);
+      }
+    }
+  });
+
+  const hit = new Array(units.length).fill(false);
+  const mark = (map, start, length) => {
+    for (let k = start; k < start + length; k++) hit[map[k]] = true;
+  };
+  matcher.words.forEach((w) => {
+    for (let at = compact.indexOf(w.key); at !== -1; at = compact.indexOf(w.key, at + w.key.length)) {
+      mark(compactMap, at, w.key.length);
+    }
+  });
+  matcher.patterns.forEach((p) => {
+    const re = new RegExp(p.re.source, 'gi');
+    let m;
+    while ((m = re.exec(folded)) !== null) {
+      if (m[0].length === 0) { re.lastIndex++; continue; }
+      mark(foldedMap, m.index, m[0].length);
+    }
+  });
+  return units.map((unit, i) => (hit[i] && !/\s/.test(unit) ? MODERATION_MASK_CHAR : unit)).join('');
+}
+
+/**
+ * MODERATION セルの JSON を検証付きでパースする。 手編集等で壊れたセルは「判断なし」 扱い
+ *   (= NG ワードに当たれば再び held。 安全側に倒す)。
+ * @param {*} cellValue
+ * @returns {{status:'approved', at:string}|{status:'masked', at:string, fields:Object}|null}
+ */
+function parseModerationCell_(cellValue) {
+  if (typeof cellValue !== 'string' || !cellValue.trim()) return null;
+  try {
+    const parsed = JSON.parse(cellValue);
+    if (!parsed || typeof parsed !== 'object') return null;
+    const at = typeof parsed.at === 'string' ? parsed.at : '';
+    if (parsed.status === 'approved') return { status: 'approved', at };
+    if (parsed.status === 'masked' && parsed.fields && typeof parsed.fields === 'object') {
+      const fields = {};
+      MODERATION_TEXT_FIELDS.forEach((field) => {
+        if (typeof parsed.fields[field] === 'string') fields[field] = parsed.fields[field];
+      });
+      return { status: 'masked', at, fields };
+    }
+    return null;
+  } catch (error) {
+    console.warn('ModerationService.parseModerationCell_: 不正な JSON', error.message);
+    return null;
+  }
+}
+
+/**
+ * 行 item に先生の判断と NG 判定を反映する (processRawDataBatch から行ごとに呼ぶ)。
+ *   - masked: 本文を伏せ字版に差し替える (シートの元の回答は残す)
+ *   - approved: そのまま出す
+ *   - 判断なしで NG に当たる: item.moderation = { status: 'held', matches }
+ *   何も当たらない行には moderation キーを付けない (wire を太らせない)。
+ * @param {Object} item
+ * @param {*} cellValue - MODERATION 列の値 (列が無ければ undefined)
+ * @param {Object|null} matcher
+ * @returns {Object} item
+ */
+function applyModerationToItem_(item, cellValue, matcher) {
+  const decision = parseModerationCell_(cellValue);
+  if (decision && decision.status === 'masked') {
+    Object.keys(decision.fields).forEach((field) => { item[field] = decision.fields[field]; });
+    if ('answer' in decision.fields) item.opinion = decision.fields.answer;
+    item.moderation = { status: 'masked' };
+    return item;
+  }
+  if (decision && decision.status === 'approved') {
+    item.moderation = { status: 'approved' };
+    return item;
+  }
+  if (!matcher) return item;
+  const matches = findModerationMatches_(matcher, MODERATION_TEXT_FIELDS.map(field => item[field]));
+  if (matches.length > 0) item.moderation = { status: 'held', matches };
+  return item;
+}
+
+// 伏せ字の本文を検証する。 表示側は textContent で描画するので allowHtml (processQaAnswerDirect と同じ)。
+function normalizeMaskedFields_(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const fields = {};
+  MODERATION_TEXT_FIELDS.forEach((field) => {
+    if (src[field] === undefined || src[field] === null) return;
+    const validation = validateText(String(src[field]), { maxLength: MODERATION_MASKED_MAX_LENGTH, allowHtml: true });
+    if (!validation.isValid) {
+      throw new Error(validation.errors && validation.errors.length > 0 ? validation.errors.join(', ') : '入力内容が不正です');
+    }
+    fields[field] = String(validation.sanitized || '').trim();
+  });
+  if (Object.keys(fields).length === 0) throw new Error('伏せ字にした本文を入力してください');
+  return fields;
+}
+
+/**
+ * 先生の判断を MODERATION 列に書く (executeBoardRowOperation のクリティカルセクション内)。
+ *
+ * @param {Sheet} sheet
+ * @param {number} rowNumber
+ * @param {Object} decision - { action: 'approve' | 'mask', fields?, expectedTimestamp? }
+ *   expectedTimestamp は deleteAnswerRow と同じ identity verification。 承認待ちを開いた後に
+ *   上の行が消されて行がずれると、 見ていない回答を承認してしまうので照合して止める。
+ * @param {Array} [preloadedHeaders]
+ * @returns {{action:string, fields?:Object, message?:string}}
+ */
+function processModerationDirect(sheet, rowNumber, decision, preloadedHeaders) {
+  const d = decision || {};
+  if (d.action !== 'approve' && d.action !== 'mask') {
+    throw new Error(`Invalid moderation action: ${d.action}`);
+  }
+  const fields = d.action === 'mask' ? normalizeMaskedFields_(d.fields) : null;
+
+  const headers = Array.isArray(preloadedHeaders) && preloadedHeaders.length > 0
+    ? preloadedHeaders.slice()
+    : (sheet.getDataRange().getValues()[0] || []);
+  if (!headers || headers.length === 0) {
+    return {
+      action: 'unavailable',
+      message: '回答シートを読み込めませんでした。しばらくしてから再度お試しください。'
+    };
+  }
+
+  if (d.expectedTimestamp !== undefined && d.expectedTimestamp !== null && d.expectedTimestamp !== '') {
+    const tsIndex = typeof resolveTimestampIndex === 'function' ? resolveTimestampIndex(headers) : -1;
+    const [[actualTs]] = sheet.getRange(rowNumber, (tsIndex >= 0 ? tsIndex : 0) + 1, 1, 1).getValues();
+    const actual = toComparableTimestamp_(actualTs);
+    const expected = toComparableTimestamp_(d.expectedTimestamp);
+    if (actual && expected && actual !== expected) {
+      throw new Error('対象の回答が変更されています。画面を更新してからもう一度お試しください。');
+    }
+  }
+
+  let colIndex = headers.findIndex(header => String(header).toUpperCase().trim() === MODERATION_COLUMN);
+  if (colIndex === -1) {
+    // processReactionDirect と同じく、 cache 由来の headers が古いだけかを fresh に読み直して確かめる。
+    const freshHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] || [];
+    colIndex = freshHeaders.findIndex(header => String(header).toUpperCase().trim() === MODERATION_COLUMN);
+    if (colIndex === -1) {
+      console.warn('processModerationDirect: lazy-provisioning MODERATION column', {
+        currentHeaderCount: freshHeaders.length,
+        rowNumber
+      });
+      try {
+        colIndex = freshHeaders.length;
+        sheet.getRange(1, colIndex + 1, 1, 1).setValues([[MODERATION_COLUMN]]);
+      } catch (provError) {
+        logError_('processModerationDirect.provisioning', provError);
+        throw new Error(`判断列の追加に失敗しました: ${provError.message}`);
+      }
+      // 読み出し側 (getSheetHeaders の cache) が新しい列を見ないと、 承認しても held のまま残る。
+      if (typeof invalidateSheetHeadersCache === 'function') {
+        try { invalidateSheetHeadersCache(sheet.getParent().getId(), sheet.getName()); }
+        catch (_) { /* best effort */ }
+      }
+    }
+  }
+
+  const at = new Date().toISOString();
+  const cell = d.action === 'approve'
+    ? { status: 'approved', at }
+    : { status: 'masked', at, fields };
+  sheet.getRange(rowNumber, colIndex + 1, 1, 1).setValues([[JSON.stringify(cell)]]);
+
+  return d.action === 'approve'
+    ? { action: 'approved' }
+    : { action: 'masked', fields };
+}
+
+/**
+ * 承認待ちの回答を承認する / 伏せ字にして公開する (マルチテナント対応)。
+ *   削除は deleteAnswerRow をそのまま使う。
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {number|string} rowIndex - 行番号または 'row_#'
+ * @param {Object} decision - { action: 'approve' | 'mask', fields?: { answer?, reason?, name? }, expectedTimestamp? }
+ */
+function moderateAnswer(targetUserId, rowIndex, decision) {
+  return executeBoardRowOperation({
+    targetUserId,
+    rowIndex,
+    lockKeyPrefix: 'moderation',
+    label: 'moderateAnswer',
+    openContext: 'moderation_processing',
+    concurrentMessage: '同じ回答を処理中です。お待ちください。',
+    requireEditor: true,
+    process: (sheet, rowNumber, _actorEmail, preloadedHeaders, actor) => {
+      // Why: 共同編集者はハイライトや Q&A の回答はできても、 隠された回答を全員に出す判断は
+      //      ボードの持ち主 (と管理者) に限る。 deleteAnswerRow と同じ線引き。
+      if (actor.role !== 'owner' && actor.role !== 'admin') {
+        throw new Error('回答の承認はボードの所有者だけが行えます');
+      }
+      const result = processModerationDirect(sheet, rowNumber, decision, preloadedHeaders);
+      if (result.action !== 'unavailable' && typeof recordAuditEvent_ === 'function') {
+        recordAuditEvent_(`moderation.${decision.action}`, {
+          targetUserId,
+          target: `${sheet.getName()}!${rowNumber}`,
+          diff: result.fields ? { fields: { before: null, after: result.fields } } : {}
+        });
+      }
+      return result;
+    },
+    formatSuccess: (result) => ({
+      success: result.action !== 'unavailable',
+      action: result.action,
+      message: result.message || (result.action === 'approved' ? '回答を承認しました' : '伏せ字にして公開しました')
+    })
+  });
+}
+
+/**
+ * 承認待ちの回答一覧 (AdminPanel のモデレーションキュー)。 所有者と管理者だけが読める。
+ *
+ * @param {string} userId - ボード所有者の userId
+ * @returns {Object} { success, data: { items: [{ rowIndex, timestamp, answer, reason, name, class, matches, suggestion }], count } }
+ *   suggestion は当たった箇所を伏せた下書き ({ answer, reason, name })。
+ */
+function getModerationQueue(userId) {
+  try {
+    const currentEmail = getCurrentEmail();
+    const user = findUserById(userId, { requestingUser: currentEmail });
+    if (!user) return createErrorResponse('ユーザーが見つかりません');
+    if (!sameEmail_(user.userEmail, currentEmail) && !isAdministrator(currentEmail)) {
+      return createErrorResponse('承認待ちの回答を見る権限がありません');
+    }
+
+    const config = getConfigOrDefault(userId, user);
+    const empty = { items: [], count: 0 };
+    if (!config.spreadsheetId || !config.sheetName) {
+      return createSuccessResponse('ボードが設定されていません', empty);
+    }
+
+    const result = getUserSheetData(userId, {
+      includeTimestamp: true,
+      sortBy: 'oldest',
+      adminMode: true,
+      requestingUser: currentEmail
+    }, user, config);
+    if (!result || !result.success) {
+      return createErrorResponse((result && result.message) || '回答を読み込めませんでした');
+    }
+
+    const matcher = buildModerationMatcher_(config);
+    const items = (result.data || [])
+      .filter(item => item && item.moderation && item.moderation.status === 'held')
+      .map(item => ({
+        rowIndex: item.rowIndex,
+        // google.script.run は Date を返せない。 deleteAnswerRow の照合にもこの値を渡す。
+        timestamp: item.timestamp instanceof Date ? item.timestamp.toISOString() : String(item.timestamp || ''),
+        answer: String(item.answer || ''),
+        reason: String(item.reason || ''),
+        name: String(item.name || ''),
+        class: String(item.class || ''),
+        matches: item.moderation.matches,
+        suggestion: {
+          answer: maskModerationText_(matcher, item.answer),
+          reason: maskModerationText_(matcher, item.reason),
+          name: maskModerationText_(matcher, item.name)
+        }
+      }));
+
+    return createSuccessResponse(
+      items.length > 0 ? `承認待ちの回答が ${items.length} 件あります` : '承認待ちの回答はありません',
+      { items, count: items.length }
+    );
+  } catch (error) {
+    logError_('getModerationQueue', error, { userId });
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 学校全体の NG ワード / 正規表現 (管理者専用)。
+ * @returns {Object} { success, data: { rules: { words, patterns, updatedAt } } }
+ */
+function getModerationRules() {
+  try {
+    if (!requireAdmin()) return createAdminRequiredError();
+    return createSuccessResponse('NG ワードを取得しました', { rules: getSchoolModerationRules_() });
+  } catch (error) {
+    logError_('getModerationRules', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 学校全体の NG ワード / 正規表現を丸ごと置き換える (管理者専用)。
+ *   使えない正規表現が 1 つでもあれば保存せずに理由を返す (黙って落とすと効いていると誤解する)。
+ * @param {Object} rules - { words: Array<string>|string, patterns: Array<string> }
+ * @returns {Object} { success, data: { rules } }
+ */
+function setModerationRules(rules) {
+  try {
+    if (!requireAdmin()) return createAdminRequiredError();
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return createErrorResponse('rules (object) is required');
+    }
+    const patternErrors = (Array.isArray(rules.patterns) ? rules.patterns : [])
+      .map(moderationPatternError_)
+      .filter(Boolean);
+    if (patternErrors.length > 0) return createErrorResponse(patternErrors.join(' / '));
+
+    const next = { ...sanitizeModerationRules(rules), updatedAt: new Date().toISOString() };
+    const json = JSON.stringify(next);
+    if (json.length > MODERATION_RULES_MAX_CHARS) {
+      return createErrorResponse(`NG ワードが多すぎます (合計 ${MODERATION_RULES_MAX_CHARS} 字まで)`);
+    }
+    setCachedProperty(MODERATION_RULES_PROPERTY, json);
+    return createSuccessResponse('NG ワードを保存しました', { rules: next });
+  } catch (error) {
+    logError_('setModerationRules', error);
+    return createExceptionResponse(error);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview PiiMaskingService - 回答本文 (answer / reason) に書かれた個人情報を伏せる。
+ *
+ * Why: showNames=false は名前「欄」を隠すだけで、 理由の中の「田中さんと同じで」 は
+ *   そのまま児童の端末と投影画面に出ていた (保護者からの苦情で最も多い)。
+ *   検出するのは次の 4 種類で、 見つけた箇所を「［名前］」 等の札に置き換える。
+ *     - 名前: そのボードの名前列に出てくる名前 (= 名簿)。 姓・名の片方だけでも当てる
+ *     - メールアドレス
+ *     - 電話番号 (10〜11 桁。 全角数字・ハイフン揺れも)
+ *     - 住所 (〒郵便番号 / 「○○市△△町 1-2-3」 のような番地まで書いたもの)
+ *
+ * 伏せるのは表示と書き出しだけで、 シートの回答はそのまま残す。 先生は管理モード
+ *   (page.js の管理モード切替 = getPublishedSheetData の adminMode) で元の文を見られる。
+ *   使うのは DataApis.buildSafePublishedDataResult と LessonService.__projectBoardRowForExport_。
+ */
+
+// 伏せる本文の欄。 name 欄そのものは showNames / includeName が扱う。
+const PII_TEXT_FIELDS = Object.freeze(['answer', 'opinion', 'reason']);
+const PII_PLACEHOLDERS = Object.freeze({
+  name: '［名前］',
+  email: '［メール］',
+  phone: '［電話番号］',
+  address: '［住所］'
+});
+// 名簿の上限。 1 ボードの回答者数より十分大きく、 正規表現を肥大させない。
+const PII_ROSTER_MAX = 500;
+// 1 文字の姓・名 (「林」 「翼」 など) は普通の語と区別できないので当てない。
+const PII_NAME_PART_MIN_LENGTH = 2;
+
+const PII_DIGIT_ = '[0-9０-９]';
+const PII_DASH_ = '[-‐－ー−]';
+const PII_JA_CHAR_ = '[\\u3005\\u3041-\\u3096\\u30A1-\\u30F6\\u4E00-\\u9FFF]';
+
+const PII_EMAIL_PATTERN = /[A-Za-z0-9._%+-]+[@＠][A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// 桁数は replace の中で数える (区切りの位置が自由な分、 正規表現では数えきれない)。
+const PII_PHONE_PATTERN = new RegExp(
+  `(?<![0-9０-９])(?:[+＋](?:81|８１)${PII_DASH_}?|[0０])${PII_DIGIT_}{1,4}(?:${PII_DASH_}|\\s)?${PII_DIGIT_}{1,4}(?:${PII_DASH_}|\\s)?${PII_DIGIT_}{3,4}(?![0-9０-９])`,
+  'g'
+);
+// 数式の「123-4567」 と区別が付かないので、 郵便番号は〒付きだけ。
+const PII_POSTAL_PATTERN = new RegExp(`〒\\s*${PII_DIGIT_}{3}${PII_DASH_}?${PII_DIGIT_}{4}`, 'g');
+// 「○○市△△町」 だけでは学区の話と区別できないので、 番地 (丁目・番・号 / 1-2-3) まで書いたものに限る。
+const PII_ADDRESS_PATTERN = new RegExp(
+  `(?:${PII_JA_CHAR_}{2,3}[都道府県])?${PII_JA_CHAR_}{1,6}[市区町村郡]${PII_JA_CHAR_}{0,8}` +
+  `[0-9０-９一二三四五六七八九十]+(?:丁目|番地|番|号|${PII_DASH_}${PII_DIGIT_}+)` +
+  `(?:${PII_DASH_}?${PII_DIGIT_}+(?:番地|番|号)?)*`,
+  'g'
+);
+
+function escapePiiRegExp_(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 回答行の名前欄から名簿の正規表現を作る。 「田中 太郎」 は「田中太郎」「田中 太郎」「田中」「太郎」 で当てる。
+ * @param {Array<Object>} rows - name を持つ行 (getUserSheetData の data)
+ * @returns {RegExp|null}
+ */
+function buildPiiRosterPattern_(rows) {
+  const alternatives = new Set();
+  const seen = new Set();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const raw = row && typeof row.name === 'string' ? row.name.trim() : '';
+    if (!raw || seen.has(raw)) continue;
+    seen.add(raw);
+    if (seen.size > PII_ROSTER_MAX) break;
+    const parts = raw.split(/\s+/).filter(Boolean);
+    if (parts.join('').length >= PII_NAME_PART_MIN_LENGTH) {
+      alternatives.add(parts.map(escapePiiRegExp_).join('\\s*'));
+    }
+    if (parts.length > 1) {
+      parts.filter(part => part.length >= PII_NAME_PART_MIN_LENGTH)
+        .forEach(part => alternatives.add(escapePiiRegExp_(part)));
+    }
+  }
+  if (alternatives.size === 0) return null;
+  // 長い方から試す (「田中太郎」 を「田中」+「太郎」 の 2 札にしない)。
+  const sorted = Array.from(alternatives).sort((a, b) => b.length - a.length);
+  return new RegExp(sorted.join('|'), 'g');
+}
+
+/**
+ * 本文を伏せるための matcher。
+ * @param {Array<Object>} rows - 名簿の元になる行
+ * @param {Object} [options]
+ * @param {boolean} [options.names=true] - false なら名前は伏せない (showNames=true のボード等)
+ * @returns {{roster: RegExp|null}}
+ */
+function buildPiiMatcher_(rows, options) {
+  const maskNames = !options || options.names !== false;
+  return { roster: maskNames ? buildPiiRosterPattern_(rows) : null };
+}
+
+/**
+ * 文字列中の個人情報を札に置き換える。 連絡先 (メール・住所・電話) を先に、 名前を最後に伏せる
+ *   (メールアドレスの中の「tanaka」 を名前として半端に伏せない)。
+ * @param {*} text
+ * @param {{roster: RegExp|null}} [matcher]
+ * @returns {*} 文字列以外はそのまま
+ */
+function maskPiiText_(text, matcher) {
+  if (typeof text !== 'string' || !text) return text;
+  let out = text
+    .replace(PII_EMAIL_PATTERN, PII_PLACEHOLDERS.email)
+    .replace(PII_POSTAL_PATTERN, PII_PLACEHOLDERS.address)
+    .replace(PII_ADDRESS_PATTERN, PII_PLACEHOLDERS.address)
+    .replace(PII_PHONE_PATTERN, (match) => {
+      const digits = match.normalize('NFKC').replace(/\D/g, '').replace(/^81/, '0');
+      return digits.length === 10 || digits.length === 11 ? PII_PLACEHOLDERS.phone : match;
+    });
+  if (matcher && matcher.roster) {
+    out = out.replace(matcher.roster, PII_PLACEHOLDERS.name);
+  }
+  return out;
+}
+
+/**
+ * 行の本文欄 (answer / opinion / reason) を伏せる。 item をその場で書き換える。
+ * @param {Object} item
+ * @param {{roster: RegExp|null}} [matcher]
+ * @returns {Object} item
+ */
+function maskPiiInItem_(item, matcher) {
+  if (!item || typeof item !== 'object') return item;
+  PII_TEXT_FIELDS.forEach((field) => {
+    if (typeof item[field] === 'string') item[field] = maskPiiText_(item[field], matcher);
+  });
+  return item;
+}
@@ -1,9 +1,11 @@
 /**
- * @fileoverview ReactionService - リアクション (UNDERSTAND/LIKE/CURIOUS) と
- *   ハイライト機能。viewer/editor で権限分離（canActOnTargetBoard）。
+ * @fileoverview ReactionService - リアクション (既定は UNDERSTAND/LIKE/CURIOUS、 ボードごとに
+ *   config.reactionSet で差し替え可) とハイライト機能、 Q&A モードの先生回答 (QA_ANSWER)、
+ *   ルーブリック相互評価 (RUBRIC)、 ボードからの直接回答 (submitBoardAnswer)。
+ *   viewer/editor で権限分離（canActOnTargetBoard）。
  */
 
-/* global getCurrentEmail, findPublishedBoardOwner, getConfigOrDefault, openSpreadsheet, createErrorResponse, createExceptionResponse, isAdministrator, invalidateSheetHeadersCache, bumpBoardDataVersion_, isBoardCollaborator, logError_, sameEmail_ */
+/* global validateText, getCurrentEmail, findPublishedBoardOwner, getConfigOrDefault, openSpreadsheet, openSpreadsheetViaServiceAccount, createErrorResponse, createSuccessResponse, createExceptionResponse, getSheetHeaders, resolveColumnIndex, resolveTimestampIndex, invalidateSheetRowCountCache, parseNumericAnswer, saveAnswerImage_, isAdministrator, invalidateSheetHeadersCache, bumpBoardDataVersion_, isBoardCollaborator, logError_, sameEmail_ */
 
 // TTL は process() (sheet read→modify→write の RMW) の最悪ケースより長く取る。
 // 旧値 10s は、 process 内の Sheets API が 429 backoff (最大 ~60s) を踏むと lock が
@@ -13,6 +15,83 @@
 const ROW_LOCK_TTL_SECONDS = 35;
 const ROW_LOCK_ACQUIRE_TIMEOUT_MS = 800;  // ScriptLock critical section の最大待機時間
 
+// Q&A 回答は 1 セルに JSON 配列で保持する。 Sheets のセル上限 (50,000 字) に対し
+// 500 字 × 20 件 + JSON overhead で十分な余裕を残す。
+const QA_ANSWER_MAX_LENGTH = 500;
+const QA_MAX_ANSWERS_PER_QUESTION = 20;
+
+// リアクションの語彙。 config.reactionSet を持たない既存ボードはこの 3 種のまま。
+//   key は列見出しそのもの。 既定 3 種以外は REACTION_ で始める
+//   (ColumnMappingService の system header 判定で回答列と取り違えないため)。
+//   icon は SharedIcons の sprite 名。 空文字なら label をそのままボタンに出す (絵文字など)。
+//   並びは列を作る順 (既存シートと同じ)。 ボタンの並びは page.js.html の既定 (LIKE が先頭) に従う。
+const DEFAULT_REACTION_SET = Object.freeze([
+  Object.freeze({ key: 'UNDERSTAND', label: 'なるほど！', icon: 'lightbulb' }),
+  Object.freeze({ key: 'LIKE', label: 'いいね！', icon: 'hand-thumb-up' }),
+  Object.freeze({ key: 'CURIOUS', label: 'もっと知りたい！', icon: 'magnifying-glass-plus' })
+]);
+const DEFAULT_REACTION_KEYS = Object.freeze(DEFAULT_REACTION_SET.map(r => r.key));
+// カード 1 枚のボタン列が折り返さずに収まる上限。
+const REACTION_SET_MAX = 6;
+const REACTION_LABEL_MAX_LENGTH = 12;
+const REACTION_KEY_PATTERN = /^(UNDERSTAND|LIKE|CURIOUS|REACTION_[A-Z0-9]{1,16})$/;
+// addReaction の options.intent。 省略時は切替 (ボタンを押した回数だけ反転する従来の動作)。
+const REACTION_INTENTS = Object.freeze(['set', 'clear']);
+// 管理画面で選べるアイコン (SharedIcons に実在するものだけ)。
+const REACTION_ICON_NAMES = Object.freeze([
+  'hand-thumb-up', 'lightbulb', 'magnifying-glass-plus', 'star', 'check-circle', 'x',
+  'message-circle-question', 'hand', 'sparkles', 'circle-dot', 'trophy', 'alert-triangle'
+]);
+
+/**
+ * config.reactionSet のサニタイズ。 既定と同じか使える項目が無ければ null
+ *   (null は「既定の 3 種」 の意味。 config に書かないことで既存ボードと同じ形を保つ)。
+ * @param {*} input - [{ key, label, icon }]
+ * @returns {Array<{key:string, label:string, icon:string}>|null}
+ */
+function sanitizeReactionSet(input) {
+  if (!Array.isArray(input)) return null;
+  const out = [];
+  const seen = new Set();
+  for (const item of input) {
+    if (!item || typeof item !== 'object') continue;
+    const key = String(item.key == null ? '' : item.key).trim().toUpperCase();
+    if (!REACTION_KEY_PATTERN.test(key) || seen.has(key)) continue;
+    const label = String(item.label == null ? '' : item.label).trim().substring(0, REACTION_LABEL_MAX_LENGTH);
+    if (!label) continue;
+    const icon = REACTION_ICON_NAMES.includes(item.icon) ? item.icon : '';
+    seen.add(key);
+    out.push({ key, label, icon });
+    if (out.length >= REACTION_SET_MAX) break;
+  }
+  if (out.length === 0) return null;
+  const isDefault = out.length === DEFAULT_REACTION_SET.length &&
+    out.every((r, i) => r.key === DEFAULT_REACTION_SET[i].key &&
+      r.label === DEFAULT_REACTION_SET[i].label && r.icon === DEFAULT_REACTION_SET[i].icon);
+  return isDefault ? null : out;
+}
+
+/**
+ * ボードで有効なリアクションの key (= 列見出し)。
+ * @param {Object} [config]
+ * @returns {Array<string>}
+ */
+function reactionKeysOf_(config) {
+  const custom = sanitizeReactionSet(config && config.reactionSet);
+  return custom ? custom.map(r => r.key) : DEFAULT_REACTION_KEYS.slice();
+}
+
+/**
+ * 全 key が count 0 のリアクション集計。
+ * @param {Array<string>} reactionKeys
+ * @returns {Object<string, {count:number, reacted:boolean}>}
+ */
+function emptyReactions_(reactionKeys) {
+  const reactions = {};
+  reactionKeys.forEach(key => { reactions[key] = { count: 0, reacted: false }; });
+  return reactions;
+}
+
 // email identity の正規化 (case-insensitive, trim)。 reaction の membership/removal/add/reacted
 //   判定と canonical 保存はすべてこの 1 関数を通すことで「同一投票者」の定義を一致させる
 //   (sameEmail_ と同じ規約 / M1)。 別 case の綴りが混入しても二重カウントしない。
@@ -103,9 +182,15 @@ function canActOnTargetBoard(actorEmail, targetUser, config, options = {}) {
  * @param {string} reactionType
  * @param {string} actorEmail
  * @param {Array} [preloadedHeaders] - 呼び出し側でキャッシュ済みなら渡す（再取得を回避）
+ * @param {Array<string>} [reactionKeys] - ボードのリアクション key (reactionKeysOf_)。 省略時は既定 3 種
+ * @param {string} [intent] - 'set' (reactionType を付けた状態にする) / 'clear' (reactionType を外した状態にする)。
+ *   省略時は従来どおりの切替。 オフライン中に貯めた操作の再送 (page.offline.js) は「押した結果」 を
+ *   intent で送るので、 同じ操作が 2 回届いても / 別端末で先に反映済みでも票が反転しない。
  */
-function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, preloadedHeaders) {
-  const reactionTypes = ['UNDERSTAND', 'LIKE', 'CURIOUS'];
+function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, preloadedHeaders, reactionKeys, intent) {
+  const reactionTypes = Array.isArray(reactionKeys) && reactionKeys.length > 0
+    ? reactionKeys
+    : DEFAULT_REACTION_KEYS;
 
   if (!reactionTypes.includes(reactionType)) {
     throw new Error('Invalid reaction type');
@@ -127,11 +212,7 @@ function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, prelo
     return {
       action: 'unavailable',
       userReaction: null,
-      reactions: {
-        UNDERSTAND: { count: 0, reacted: false },
-        LIKE: { count: 0, reacted: false },
-        CURIOUS: { count: 0, reacted: false }
-      },
+      reactions: emptyReactions_(reactionTypes),
       message: 'リアクション機能が一時的に利用できません。しばらくしてから再度お試しください。'
     };
   }
@@ -155,7 +236,8 @@ function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, prelo
   });
 
   // Why (scope): 「現在の操作に必要な列」だけを provision する。HIGHLIGHT は
-  //   processHighlightDirect 側で別途 lazy-provision するので、ここでは reaction 3 種のみ。
+  //   processHighlightDirect 側で別途 lazy-provision するので、ここでは reaction 列のみ。
+  //   教師が語彙を差し替えたボードでは、 新しい key の列もここで初めて作られる。
   //   余計な provisioning は test の sheet._writes 期待値を壊し、生産現場でも不必要な書込み。
   const missingForProvision = missingTypes.slice();
 
@@ -253,6 +335,19 @@ function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, prelo
     }
   });
 
+  // 目的の状態に既になっていれば書かない (intent 付きの再送を冪等にする)。
+  if ((intent === 'set' && userCurrentReaction === reactionType) ||
+      (intent === 'clear' && userCurrentReaction !== reactionType)) {
+    const unchanged = {};
+    reactionTypes.forEach(type => {
+      unchanged[type] = {
+        count: currentReactions[type].length,
+        reacted: currentReactions[type].some(u => normEmail_(u) === actorNorm)
+      };
+    });
+    return { action: 'unchanged', userReaction: userCurrentReaction, reactions: unchanged };
+  }
+
   let action = 'added';
   let newUserReaction = reactionType;
 
@@ -279,7 +374,7 @@ function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, prelo
   // 旧実装は minCol..maxCol の span を 1 回の setValues で書き戻していたため、 reaction 列が
   // 非連続 (教師が手動で列を並べ替え、 間に name/class 等が挟まる) だと、 read 時点の
   // 中間列の stale 値で上書きし、 その間に走った非 reaction 経路の更新を飲み込む恐れがあった。
-  // 個別 write なら reaction 3 列以外には一切触れない (最大 3 RPC、 row lock 下で十分軽量)。
+  // 個別 write なら reaction 列以外には一切触れない (最大 REACTION_SET_MAX RPC、 row lock 下で十分軽量)。
   reactionTypes.forEach(type => {
     const col = reactionColumns[type];
     const users = updatedReactions[type];
@@ -309,8 +404,9 @@ function processReactionDirect(sheet, rowNumber, reactionType, actorEmail, prelo
  * @param {Sheet} sheet
  * @param {number} rowNumber
  * @param {Array} [preloadedHeaders]
+ * @param {boolean} [desired] - 指定時は切替ではなくその状態にする (既にそうなら書かない)
  */
-function processHighlightDirect(sheet, rowNumber, preloadedHeaders) {
+function processHighlightDirect(sheet, rowNumber, preloadedHeaders, desired) {
   const headers = Array.isArray(preloadedHeaders) && preloadedHeaders.length > 0
     ? preloadedHeaders
     : (sheet.getDataRange().getValues()[0] || []);
@@ -352,6 +448,9 @@ function processHighlightDirect(sheet, rowNumber, preloadedHeaders) {
   const highlightRange = sheet.getRange(rowNumber, highlightCol, 1, 1);
   const [[currentValue = '']] = highlightRange.getValues();
   const isHighlighted = String(currentValue).toUpperCase() === 'TRUE';
+  if (typeof desired === 'boolean' && desired === isHighlighted) {
+    return { highlighted: isHighlighted, unchanged: true };
+  }
   const newValue = isHighlighted ? 'FALSE' : 'TRUE';
 
   highlightRange.setValues([[newValue]]);
@@ -361,6 +460,110 @@ function processHighlightDirect(sheet, rowNumber, preloadedHeaders) {
   };
 }
 
+/**
+ * Q&A 回答の追加/削除。 QA_ANSWER 列に JSON 配列 `[{id,text,at,role}]` で保持する。
+ *
+ * Why (role のみ保存): 回答者 email をセルに残すと公開ボード経由で先生の PII が
+ *   漏れる経路が増える。 表示に必要なのは「先生 / 共同編集者」 の区別だけなので
+ *   role だけ保存し、 email は保持しない。
+ *
+ * @param {Sheet} sheet
+ * @param {number} rowNumber
+ * @param {Object} operation - { action: 'add', text } | { action: 'delete', answerId }
+ * @param {string} actorRole - 'owner' | 'collaborator' | 'admin'
+ * @param {Array} [preloadedHeaders]
+ * @returns {{answers: Array, action: string}}
+ */
+function processQaAnswerDirect(sheet, rowNumber, operation, actorRole, preloadedHeaders) {
+  const op = operation || {};
+  if (op.action !== 'add' && op.action !== 'delete') {
+    throw new Error(`Invalid Q&A operation: ${op.action}`);
+  }
+
+  let cleanText = '';
+  if (op.action === 'add') {
+    // allowHtml: 表示側は textContent で描画するので escape 済み文字列を保存すると
+    //   「&lt;」 がそのまま見えてしまう。 危険パターン除去と長さ検証だけ validateText に任せる。
+    const validation = validateText(op.text, {
+      maxLength: QA_ANSWER_MAX_LENGTH,
+      minLength: 1,
+      allowHtml: true
+    });
+    cleanText = validation.isValid ? String(validation.sanitized || '').trim() : '';
+    if (!cleanText) {
+      throw new Error(validation.errors && validation.errors.length > 0
+        ? validation.errors.join(', ')
+        : '回答を入力してください');
+    }
+  }
+
+  const headers = Array.isArray(preloadedHeaders) && preloadedHeaders.length > 0
+    ? preloadedHeaders
+    : (sheet.getDataRange().getValues()[0] || []);
+
+  if (!headers || headers.length === 0) {
+    console.warn('⚠️ processQaAnswerDirect: Headers unavailable (likely due to API quota). Q&A answers temporarily disabled.', {
+      rowNumber,
+      context: 'graceful-degradation'
+    });
+    return {
+      answers: [],
+      action: 'unavailable',
+      message: '回答機能が一時的に利用できません。しばらくしてから再度お試しください。'
+    };
+  }
+
+  let qaColIndex = headers.findIndex(header => String(header).toUpperCase().trim() === 'QA_ANSWER');
+
+  // processHighlightDirect と同じ lazy provisioning。 Q&A 以外のモードで作られたボードを
+  //   途中から Q&A に切り替えた場合でも、 最初の回答で列が用意される。
+  if (qaColIndex === -1) {
+    if (op.action === 'delete') {
+      return { answers: [], action: 'deleted' };
+    }
+    console.warn('processQaAnswerDirect: lazy-provisioning QA_ANSWER column', {
+      currentHeaderCount: headers.length,
+      rowNumber
+    });
+    try {
+      const newCol = headers.length + 1;
+      sheet.getRange(1, newCol, 1, 1).setValues([['QA_ANSWER']]);
+      headers.push('QA_ANSWER');
+      qaColIndex = newCol - 1;
+    } catch (provError) {
+      logError_('processQaAnswerDirect.provisioning', provError);
+      throw new Error(`回答列の追加に失敗しました: ${provError.message}`);
+    }
+  }
+
+  const qaRange = sheet.getRange(rowNumber, qaColIndex + 1, 1, 1);
+  const [[currentValue = '']] = qaRange.getValues();
+  const answers = parseQaAnswerCell_(currentValue);
+
+  let next;
+  if (op.action === 'add') {
+    if (answers.length >= QA_MAX_ANSWERS_PER_QUESTION) {
+      throw new Error(`1 つの質問への回答は ${QA_MAX_ANSWERS_PER_QUESTION} 件までです`);
+    }
+    const answerId = Utilities.getUuid().replace(/-/g, '').substring(0, 12);
+    next = answers.concat([{
+      id: answerId,
+      text: cleanText,
+      at: new Date().toISOString(),
+      role: actorRole
+    }]);
+  } else {
+    next = answers.filter(answer => answer.id !== String(op.answerId || ''));
+  }
+
+  qaRange.setValues([[next.length > 0 ? JSON.stringify(next) : '']]);
+
+  return {
+    answers: next,
+    action: op.action === 'add' ? 'added' : 'deleted'
+  };
+}
+
 /**
  * ヘッダー行から reaction / highlight 列のインデックスを 1 パスで解決する。
  *
@@ -369,10 +572,13 @@ function processHighlightDirect(sheet, rowNumber, preloadedHeaders) {
  *   hot path で純粋に無駄だった。 batch の冒頭で 1 度だけ解決し、 各行へ index を渡す。
  *
  * @param {Array} headers
- * @returns {{UNDERSTAND:number, LIKE:number, CURIOUS:number, HIGHLIGHT:number}} 見つからない列は -1
+ * @param {Array<string>} [reactionKeys] - ボードのリアクション key。 省略時は既定 3 種
+ * @returns {Object<string, number>} reaction key ごと + HIGHLIGHT + QA_ANSWER + RUBRIC + MODERATION の index。 見つからない列は -1
  */
-function resolveReactionColumns_(headers) {
-  const map = { UNDERSTAND: -1, LIKE: -1, CURIOUS: -1, HIGHLIGHT: -1 };
+function resolveReactionColumns_(headers, reactionKeys) {
+  const keys = Array.isArray(reactionKeys) && reactionKeys.length > 0 ? reactionKeys : DEFAULT_REACTION_KEYS;
+  const map = { HIGHLIGHT: -1, QA_ANSWER: -1, RUBRIC: -1, MODERATION: -1 };
+  keys.forEach(key => { map[key] = -1; });
   if (!Array.isArray(headers)) return map;
   for (let i = 0; i < headers.length; i++) {
     const h = String(headers[i] == null ? '' : headers[i]).toUpperCase().trim();
@@ -386,18 +592,15 @@ function resolveReactionColumns_(headers) {
  * @param {Array} row - データ行
  * @param {Array} headers - ヘッダー行
  * @param {string} userEmail - ユーザーメール（オプション）
- * @param {Object} [precomputedIndices] - {UNDERSTAND,LIKE,CURIOUS} 列 index。未指定なら header 走査。
+ * @param {Object} [precomputedIndices] - resolveReactionColumns_ の結果。未指定なら header 走査。
+ * @param {Array<string>} [reactionKeys] - ボードのリアクション key。 省略時は既定 3 種
  * @returns {Object} リアクション情報
  */
-function extractReactions(row, headers, userEmail = null, precomputedIndices = null) {
+function extractReactions(row, headers, userEmail = null, precomputedIndices = null, reactionKeys = null) {
+  const reactionTypes = Array.isArray(reactionKeys) && reactionKeys.length > 0 ? reactionKeys : DEFAULT_REACTION_KEYS;
   try {
-    const reactions = {
-      UNDERSTAND: { count: 0, reacted: false },
-      LIKE: { count: 0, reacted: false },
-      CURIOUS: { count: 0, reacted: false }
-    };
+    const reactions = emptyReactions_(reactionTypes);
 
-    const reactionTypes = ['UNDERSTAND', 'LIKE', 'CURIOUS'];
     // email identity は case-insensitive (normalizeReactionEmail_ = sameEmail_ と同じ規約 / M1)。
     const viewerNorm = userEmail ? normalizeReactionEmail_(userEmail) : null;
 
@@ -422,11 +625,7 @@ function extractReactions(row, headers, userEmail = null, precomputedIndices = n
     return reactions;
   } catch (error) {
     console.warn('ReactionService.extractReactions: エラー', error.message);
-    return {
-      UNDERSTAND: { count: 0, reacted: false },
-      LIKE: { count: 0, reacted: false },
-      CURIOUS: { count: 0, reacted: false }
-    };
+    return emptyReactions_(reactionTypes);
   }
 }
 
@@ -455,13 +654,54 @@ function extractHighlight(row, headers, precomputedIndex = null) {
   }
 }
 
+/**
+ * QA_ANSWER セルの JSON 配列を検証付きでパースする。 手編集等で壊れたセルは空扱い。
+ * @param {*} cellValue
+ * @returns {Array<{id:string, text:string, at:string, role:string}>}
+ */
+function parseQaAnswerCell_(cellValue) {
+  if (typeof cellValue !== 'string' || !cellValue.trim()) return [];
+  try {
+    const parsed = JSON.parse(cellValue);
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter(answer => answer && typeof answer.id === 'string' && typeof answer.text === 'string')
+      .map(answer => ({
+        id: answer.id,
+        text: answer.text,
+        at: typeof answer.at === 'string' ? answer.at : '',
+        role: typeof answer.role === 'string' ? answer.role : 'owner'
+      }));
+  } catch (error) {
+    console.warn('ReactionService.parseQaAnswerCell_: 不正な JSON', error.message);
+    return [];
+  }
+}
+
+/**
+ * Q&A 回答抽出
+ * @param {Array} row - データ行
+ * @param {Array} headers - ヘッダー行
+ * @param {number} [precomputedIndex] - QA_ANSWER 列 index。未指定なら header 走査。
+ * @returns {Array} 回答一覧（列なし/空セルは []）
+ */
+function extractQaAnswers(row, headers, precomputedIndex = null) {
+  const columnIndex = (typeof precomputedIndex === 'number')
+    ? precomputedIndex
+    : headers.findIndex(header => String(header).toUpperCase().trim() === 'QA_ANSWER');
+  if (columnIndex === -1) return [];
+  return parseQaAnswerCell_(row[columnIndex]);
+}
+
 /**
  * リアクション送信（マルチテナント対応）。
  * @param {string} targetUserId - ボード所有者の userId
  * @param {number|string} rowIndex - 行番号または 'row_#'
  * @param {string} reactionType
+ * @param {Object} [options] - { intent: 'set' | 'clear' } (processReactionDirect を参照。 省略時は切替)
  */
-function addReaction(targetUserId, rowIndex, reactionType) {
+function addReaction(targetUserId, rowIndex, reactionType, options = {}) {
+  const intent = options && REACTION_INTENTS.includes(options.intent) ? options.intent : undefined;
   return executeBoardRowOperation({
     targetUserId,
     rowIndex,
@@ -469,14 +709,15 @@ function addReaction(targetUserId, rowIndex, reactionType) {
     label: 'addReaction',
     openContext: 'reaction_processing',
     concurrentMessage: '同時リアクション処理中です。お待ちください。',
-    process: (sheet, rowNumber, actorEmail, preloadedHeaders) =>
-      processReactionDirect(sheet, rowNumber, reactionType, actorEmail, preloadedHeaders),
+    process: (sheet, rowNumber, actorEmail, preloadedHeaders, actor) =>
+      processReactionDirect(sheet, rowNumber, reactionType, actorEmail, preloadedHeaders, reactionKeysOf_(actor.config), intent),
     formatSuccess: (result) => ({
       success: true,
       reactions: result.reactions,
       userReaction: result.userReaction,
       action: result.action,
-      message: result.action === 'added' ? 'リアクションを追加しました' : 'リアクションを削除しました'
+      message: result.action === 'added' ? 'リアクションを追加しました'
+        : result.action === 'unchanged' ? 'リアクションは反映済みです' : 'リアクションを削除しました'
     })
   });
 }
@@ -485,8 +726,10 @@ function addReaction(targetUserId, rowIndex, reactionType) {
  * ハイライト切り替え（マルチテナント対応）。
  * @param {string} targetUserId - ボード所有者の userId
  * @param {number|string} rowIndex - 行番号または 'row_#'
+ * @param {Object} [options] - { highlighted: boolean } 指定時は切替ではなくその状態にする (オフライン再送用)
  */
-function toggleHighlight(targetUserId, rowIndex) {
+function toggleHighlight(targetUserId, rowIndex, options = {}) {
+  const desired = options && typeof options.highlighted === 'boolean' ? options.highlighted : undefined;
   return executeBoardRowOperation({
     targetUserId,
     rowIndex,
@@ -499,17 +742,71 @@ function toggleHighlight(targetUserId, rowIndex) {
     //      サーバー側で editor 限定のゲートを張る。
     requireEditor: true,
     process: (sheet, rowNumber, _actorEmail, preloadedHeaders) =>
-      processHighlightDirect(sheet, rowNumber, preloadedHeaders),
+      processHighlightDirect(sheet, rowNumber, preloadedHeaders, desired),
     formatSuccess: (result) => ({
       success: true,
       highlighted: result.highlighted,
+      unchanged: result.unchanged === true,
       message: result.highlighted ? 'ハイライトしました' : 'ハイライトを解除しました'
     })
   });
 }
 
 /**
- * addReaction / toggleHighlight の共通実行フレーム。
+ * Q&A の質問カードに先生の回答を追加する（マルチテナント対応）。
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {number|string} rowIndex - 行番号または 'row_#'
+ * @param {string} text - 回答本文
+ */
+function answerQuestion(targetUserId, rowIndex, text) {
+  return executeBoardRowOperation({
+    targetUserId,
+    rowIndex,
+    lockKeyPrefix: 'qa',
+    label: 'answerQuestion',
+    openContext: 'qa_answer_processing',
+    concurrentMessage: '同じ質問に回答を保存中です。お待ちください。',
+    // toggleHighlight と同じく owner / admin / 共同編集者だけに限定する。
+    requireEditor: true,
+    process: (sheet, rowNumber, _actorEmail, preloadedHeaders, actor) =>
+      processQaAnswerDirect(sheet, rowNumber, { action: 'add', text }, actor.role, preloadedHeaders),
+    formatSuccess: (result) => ({
+      success: result.action !== 'unavailable',
+      qaAnswers: result.answers,
+      action: result.action,
+      message: result.message || '回答を投稿しました'
+    })
+  });
+}
+
+/**
+ * Q&A の回答を削除する（マルチテナント対応）。
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {number|string} rowIndex - 行番号または 'row_#'
+ * @param {string} answerId - 削除する回答の id
+ */
+function deleteQuestionAnswer(targetUserId, rowIndex, answerId) {
+  return executeBoardRowOperation({
+    targetUserId,
+    rowIndex,
+    lockKeyPrefix: 'qa',
+    label: 'deleteQuestionAnswer',
+    openContext: 'qa_answer_processing',
+    concurrentMessage: '同じ質問に回答を保存中です。お待ちください。',
+    requireEditor: true,
+    process: (sheet, rowNumber, _actorEmail, preloadedHeaders, actor) =>
+      processQaAnswerDirect(sheet, rowNumber, { action: 'delete', answerId }, actor.role, preloadedHeaders),
+    formatSuccess: (result) => ({
+      success: result.action !== 'unavailable',
+      qaAnswers: result.answers,
+      action: result.action,
+      message: result.message || '回答を削除しました'
+    })
+  });
+}
+
+/**
+ * addReaction / toggleHighlight / answerQuestion の共通実行フレーム。
  *
  * 1. 認証・ユーザー/設定/権限の検証
  * 2. rowIndex パース
@@ -520,11 +817,12 @@ function toggleHighlight(targetUserId, rowIndex) {
  * @param {Object} options
  * @param {string} options.targetUserId - ボード所有者のuserId
  * @param {number|string} options.rowIndex - 行番号または 'row_#' 形式
- * @param {string} options.lockKeyPrefix - キャッシュキーのプレフィックス ('reaction' | 'highlight')
+ * @param {string} options.lockKeyPrefix - キャッシュキーのプレフィックス ('reaction' | 'highlight' | 'qa')
  * @param {string} options.label - ログ/エラー文脈名（'addReaction' | 'toggleHighlight'）
  * @param {string} options.openContext - openSpreadsheet の context 識別子
  * @param {string} options.concurrentMessage - cache ヒット時に返すユーザー向けメッセージ
- * @param {function(sheet, rowNumber, actorEmail): Object} options.process - クリティカルセクション内で実行する処理
+ * @param {function(sheet, rowNumber, actorEmail, preloadedHeaders, actor): Object} options.process - クリティカルセクション内で実行する処理。
+ *   actor.role は 'owner' | 'admin' | 'collaborator' | 'viewer'、 actor.config はボードの config
  * @param {function(result): Object} options.formatSuccess - process の戻り値から API レスポンスを組み立て
  * @param {boolean} [options.requireEditor] editor 権限を要求する（true: ハイライト等の editor-only 操作）
  * @returns {Object} API レスポンス
@@ -598,7 +896,8 @@ function executeBoardRowOperation(options) {
     const cache = CacheService.getScriptCache();
 
     const acquired = acquireRowLock_(cache, lockKey, actorEmail);
-    if (!acquired) return createErrorResponse(concurrentMessage);
+    // error: 'CONCURRENT' は「少し待てば通る」の印 (オフラインの再送はこれで送り直しを判断する)。
+    if (!acquired) return createErrorResponse(concurrentMessage, null, { error: 'CONCURRENT' });
 
     try {
       // Race protection: lock acquire 中に教師が unpublish した可能性がある。 lock 取得後
@@ -610,7 +909,10 @@ function executeBoardRowOperation(options) {
           return createErrorResponse('ボードの公開が終了しました');
         }
       }
-      const result = process(sheet, rowNumber, actorEmail, preloadedHeaders);
+      const result = process(sheet, rowNumber, actorEmail, preloadedHeaders, {
+        role: resolveActorRole_(actorEmail, targetUser, isAdmin, requireEditor === true),
+        config
+      });
       // board data cache を即時 stale 化 (viewer の次 polling で fresh fetch)。
       if (typeof bumpBoardDataVersion_ === 'function') {
         try { bumpBoardDataVersion_(targetUserId); } catch (_) { /* ignore */ }
@@ -624,3 +926,468 @@ function executeBoardRowOperation(options) {
     return createExceptionResponse(error);
   }
 }
+
+/**
+ * canActOnTargetBoard 通過後の actor 種別。 owner を admin より優先する
+ * （自分のボードに回答した管理者は「先生」 として表示したい）。
+ * @param {string} actorEmail
+ * @param {Object} targetUser
+ * @param {boolean} isAdmin
+ * @param {boolean} requireEditor - true なら owner/admin 以外は collaborator 確定
+ * @returns {string}
+ */
+function resolveActorRole_(actorEmail, targetUser, isAdmin, requireEditor) {
+  if (sameEmail_(targetUser.userEmail, actorEmail)) return 'owner';
+  if (isAdmin) return 'admin';
+  return requireEditor ? 'collaborator' : 'viewer';
+}
+
+// =====================================================================
+// ルーブリック相互評価 (児童どうしが回答を観点ごとに採点する)
+// =====================================================================
+
+// 観点は 2〜4 個、 段階は 3〜5。 config.rubric = { criteria: ['根拠', ...], scale: 4 }。
+const RUBRIC_CRITERIA_MIN = 2;
+const RUBRIC_CRITERIA_MAX = 4;
+const RUBRIC_LABEL_MAX_LENGTH = 12;
+const RUBRIC_SCALES = Object.freeze([3, 4, 5]);
+const RUBRIC_DEFAULT_SCALE = 4;
+// 授業 phase の「相互評価」 で観点を指定しなかったときの既定。
+const DEFAULT_RUBRIC = Object.freeze({
+  criteria: Object.freeze(['根拠', '具体性', '多面的']),
+  scale: RUBRIC_DEFAULT_SCALE
+});
+
+/**
+ * config.rubric を検証して保存形に揃える。
+ * @param {*} input - { criteria: Array<string|{label}>, scale }
+ * @returns {{criteria: Array<string>, scale: number}|null} 観点が 2 個未満なら null (= 相互評価なし)
+ */
+function sanitizeRubric(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.criteria)) return null;
+  const criteria = [];
+  for (const item of input.criteria) {
+    const raw = item && typeof item === 'object' ? item.label : item;
+    const label = String(raw == null ? '' : raw).trim().substring(0, RUBRIC_LABEL_MAX_LENGTH);
+    if (!label || criteria.includes(label)) continue;
+    criteria.push(label);
+    if (criteria.length >= RUBRIC_CRITERIA_MAX) break;
+  }
+  if (criteria.length < RUBRIC_CRITERIA_MIN) return null;
+  const scale = RUBRIC_SCALES.includes(Number(input.scale)) ? Number(input.scale) : RUBRIC_DEFAULT_SCALE;
+  return { criteria, scale };
+}
+
+/**
+ * RUBRIC セルの JSON `{ "<email>": [score, ...] }` を検証付きでパースする。
+ *   email は normalizeReactionEmail_ 済みの形で保存するので、 読み出しもそのまま比較できる。
+ * @param {*} cellValue
+ * @returns {Object<string, Array<number>>}
+ */
+function parseRubricCell_(cellValue) {
+  if (typeof cellValue !== 'string' || !cellValue.trim()) return {};
+  try {
+    const parsed = JSON.parse(cellValue);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    const scores = {};
+    Object.keys(parsed).forEach(email => {
+      const entry = parsed[email];
+      if (Array.isArray(entry) && entry.every(n => Number.isInteger(n))) scores[email] = entry;
+    });
+    return scores;
+  } catch (error) {
+    console.warn('ReactionService.parseRubricCell_: 不正な JSON', error.message);
+    return {};
+  }
+}
+
+/**
+ * 1 行分の採点を観点ごとに集計する。
+ *   段階数を後から減らした場合に備え、 範囲外の点と観点数の合わない採点は数えない。
+ * @param {Object<string, Array<number>>} scores
+ * @param {{criteria: Array<string>, scale: number}} rubric
+ * @param {string} [viewerEmail]
+ * @returns {{count:number, averages:Array<number|null>, spreads:Array<Object|null>, mine:Array<number>|null}}
+ *   spreads[i] = { min, max, sd }。 採点 0 件の観点は averages / spreads とも null。
+ */
+function summarizeRubricScores_(scores, rubric, viewerEmail) {
+  const size = rubric.criteria.length;
+  const valid = Object.keys(scores)
+    .map(email => ({ email, values: scores[email] }))
+    .filter(entry => entry.values.length === size && entry.values.every(n => n >= 1 && n <= rubric.scale));
+  const round1 = (n) => Math.round(n * 10) / 10;
+  const averages = [];
+  const spreads = [];
+  for (let i = 0; i < size; i++) {
+    const column = valid.map(entry => entry.values[i]);
+    if (column.length === 0) {
+      averages.push(null);
+      spreads.push(null);
+      continue;
+    }
+    const mean = column.reduce((sum, n) => sum + n, 0) / column.length;
+    const variance = column.reduce((sum, n) => sum + (n - mean) * (n - mean), 0) / column.length;
+    averages.push(round1(mean));
+    spreads.push({ min: Math.min(...column), max: Math.max(...column), sd: round1(Math.sqrt(variance)) });
+  }
+  const viewerNorm = viewerEmail ? normalizeReactionEmail_(viewerEmail) : '';
+  const mine = valid.find(entry => viewerNorm && entry.email === viewerNorm);
+  return { count: valid.length, averages, spreads, mine: mine ? mine.values.slice() : null };
+}
+
+/**
+ * 採点の保存 / 取り消し。 RUBRIC 列に 1 行 1 セルで全員分を JSON で持つ。
+ *
+ * Why email をキーにする: 同じ児童が採点し直したときに上書きするため
+ *   (リアクション列と同じく email はセルに残るが、 wire には集計値しか載せない)。
+ *
+ * @param {Sheet} sheet
+ * @param {number} rowNumber
+ * @param {Array<number>|null} scores - 観点順の点数。 null は自分の採点を取り消す
+ * @param {string} actorEmail
+ * @param {{criteria: Array<string>, scale: number}} rubric - sanitizeRubric 済み
+ * @param {Array} [preloadedHeaders]
+ * @param {number} [authorEmailIndex] - 回答者 email 列。 自分の回答の採点を弾くのに使う
+ * @returns {{action: string, rubric?: Object, message?: string}}
+ */
+function processRubricScoreDirect(sheet, rowNumber, scores, actorEmail, rubric, preloadedHeaders, authorEmailIndex) {
+  const actorNorm = normalizeReactionEmail_(actorEmail);
+  if (!actorNorm) throw new Error('採点にはログインが必要です');
+  if (scores !== null) {
+    if (!Array.isArray(scores) || scores.length !== rubric.criteria.length ||
+        !scores.every(n => Number.isInteger(n) && n >= 1 && n <= rubric.scale)) {
+      throw new Error(`すべての観点を 1〜${rubric.scale} で採点してください`);
+    }
+  }
+
+  const headers = Array.isArray(preloadedHeaders) && preloadedHeaders.length > 0
+    ? preloadedHeaders
+    : (sheet.getDataRange().getValues()[0] || []);
+  if (!headers || headers.length === 0) {
+    console.warn('⚠️ processRubricScoreDirect: Headers unavailable (likely due to API quota). Rubric scoring temporarily disabled.', {
+      rowNumber,
+      context: 'graceful-degradation'
+    });
+    return {
+      action: 'unavailable',
+      message: '採点機能が一時的に利用できません。しばらくしてから再度お試しください。'
+    };
+  }
+
+  if (typeof authorEmailIndex === 'number' && authorEmailIndex >= 0) {
+    const [[authorEmail = '']] = sheet.getRange(rowNumber, authorEmailIndex + 1, 1, 1).getValues();
+    if (authorEmail && normalizeReactionEmail_(authorEmail) === actorNorm) {
+      throw new Error('自分の回答は採点できません');
+    }
+  }
+
+  let rubricColIndex = headers.findIndex(header => String(header).toUpperCase().trim() === 'RUBRIC');
+  // processQaAnswerDirect と同じ lazy provisioning。 途中から相互評価を始めたボードでも
+  //   最初の採点で列が用意される。
+  if (rubricColIndex === -1) {
+    if (scores === null) return { action: 'removed', rubric: summarizeRubricScores_({}, rubric, actorEmail) };
+    try {
+      const newCol = headers.length + 1;
+      sheet.getRange(1, newCol, 1, 1).setValues([['RUBRIC']]);
+      headers.push('RUBRIC');
+      rubricColIndex = newCol - 1;
+    } catch (provError) {
+      logError_('processRubricScoreDirect.provisioning', provError);
+      throw new Error(`採点列の追加に失敗しました: ${provError.message}`);
+    }
+  }
+
+  const rubricRange = sheet.getRange(rowNumber, rubricColIndex + 1, 1, 1);
+  const [[currentValue = '']] = rubricRange.getValues();
+  const stored = parseRubricCell_(currentValue);
+  if (scores === null) {
+    delete stored[actorNorm];
+  } else {
+    stored[actorNorm] = scores.slice();
+  }
+  rubricRange.setValues([[Object.keys(stored).length > 0 ? JSON.stringify(stored) : '']]);
+
+  return {
+    action: scores === null ? 'removed' : 'scored',
+    rubric: summarizeRubricScores_(stored, rubric, actorEmail)
+  };
+}
+
+/**
+ * 行の採点集計。 RUBRIC 列が無い / ボードが相互評価でなければ null。
+ * @param {Array} row
+ * @param {Array} headers
+ * @param {Object} rubric - sanitizeRubric 済み
+ * @param {string} [userEmail]
+ * @param {number} [precomputedIndex] - RUBRIC 列 index。 未指定なら header 走査。
+ * @returns {Object|null} summarizeRubricScores_ の結果
+ */
+function extractRubricScores(row, headers, rubric, userEmail = null, precomputedIndex = null) {
+  if (!rubric) return null;
+  const columnIndex = (typeof precomputedIndex === 'number')
+    ? precomputedIndex
+    : headers.findIndex(header => String(header).toUpperCase().trim() === 'RUBRIC');
+  const scores = columnIndex === -1 ? {} : parseRubricCell_(row[columnIndex]);
+  return summarizeRubricScores_(scores, rubric, userEmail);
+}
+
+/**
+ * 回答をルーブリックで採点する（マルチテナント対応）。 公開ボードの閲覧者なら誰でも採点できるが、
+ * 自分の回答は採点できない。
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {number|string} rowIndex - 行番号または 'row_#'
+ * @param {Array<number>|null} scores - 観点順の点数。 null で自分の採点を取り消す
+ */
+function submitRubricScore(targetUserId, rowIndex, scores) {
+  return executeBoardRowOperation({
+    targetUserId,
+    rowIndex,
+    lockKeyPrefix: 'rubric',
+    label: 'submitRubricScore',
+    openContext: 'rubric_processing',
+    concurrentMessage: '同じ回答の採点を保存中です。お待ちください。',
+    process: (sheet, rowNumber, actorEmail, preloadedHeaders, actor) => {
+      const rubric = sanitizeRubric(actor.config.rubric);
+      if (!rubric) throw new Error('このボードでは相互評価を行っていません');
+      const headers = Array.isArray(preloadedHeaders) && preloadedHeaders.length > 0
+        ? preloadedHeaders
+        : (sheet.getDataRange().getValues()[0] || []);
+      const authorEmailIndex = headers.length > 0 && typeof resolveColumnIndex === 'function'
+        ? resolveColumnIndex(headers, 'email', actor.config.columnMapping || {}).index
+        : -1;
+      const result = processRubricScoreDirect(sheet, rowNumber, scores, actorEmail, rubric, headers, authorEmailIndex);
+      // Why: 平均やばらつきは先生だけに見せる (board data と同じ)。 児童には自分の点だけ返す。
+      if (result.rubric && actor.role === 'viewer') {
+        result.rubric = { mine: result.rubric.mine };
+      }
+      return result;
+    },
+    formatSuccess: (result) => ({
+      success: result.action !== 'unavailable',
+      rubric: result.rubric || null,
+      action: result.action,
+      message: result.message || (result.action === 'scored' ? '採点しました' : '採点を取り消しました')
+    })
+  });
+}
+
+// =====================================================================
+// ボードからの直接回答 (Google フォームを経由しない投稿)
+// =====================================================================
+
+// フォームの段落テキスト相当。 1 回答でセルを肥大させない。
+const DIRECT_ANSWER_MAX_LENGTH = 1000;
+// クラス / 名前の短い欄。
+const DIRECT_ANSWER_SHORT_MAX_LENGTH = 100;
+// 入力パネルに出せる役割。 timestamp / email は server が埋める。 image はお絵かき欄。
+const DIRECT_ANSWER_FIELDS = ['answer', 'reason', 'class', 'name', 'numericX', 'numericY', 'image'];
+
+/**
+ * 直接回答の行をどの列に書くかを header から解決する。
+ *   DataService の読み出し (processBatchData) と同じ解決規則に揃えるので、 書いた行は
+ *   フォーム由来の行と区別なく読まれる。
+ * @param {Array} headers
+ * @param {Object} columnMapping
+ * @returns {{timestamp:number, email:number, answer:number, reason:number, class:number, name:number, numericX:number, numericY:number, image:number}}
+ */
+function resolveDirectAnswerLayout_(headers, columnMapping) {
+  const mapping = columnMapping || {};
+  const numericIndex = (key) => (typeof mapping[key] === 'number' && mapping[key] >= 0 && mapping[key] < headers.length)
+    ? mapping[key]
+    : -1;
+  const tsIndex = typeof resolveTimestampIndex === 'function' ? resolveTimestampIndex(headers) : -1;
+  return {
+    // フォームは常に A 列に timestamp を書く。 見出しが改名されていても A 列に置く。
+    timestamp: tsIndex >= 0 ? tsIndex : 0,
+    email: resolveColumnIndex(headers, 'email', mapping).index,
+    answer: resolveColumnIndex(headers, 'answer', mapping).index,
+    reason: resolveColumnIndex(headers, 'reason', mapping).index,
+    class: resolveColumnIndex(headers, 'class', mapping).index,
+    name: resolveColumnIndex(headers, 'name', mapping).index,
+    numericX: numericIndex('numericX'),
+    numericY: numericIndex('numericY'),
+    image: numericIndex('image')
+  };
+}
+
+/**
+ * 入力パネルに出す欄の一覧 (buildSafePublishedDataResult が wire に載せる)。
+ * @param {Array} headers
+ * @param {Object} columnMapping
+ * @returns {Array<string>} DIRECT_ANSWER_FIELDS の部分集合。 回答欄が無ければ空。
+ */
+function listDirectAnswerFields_(headers, columnMapping) {
+  if (!Array.isArray(headers) || headers.length === 0) return [];
+  const layout = resolveDirectAnswerLayout_(headers, columnMapping);
+  if (layout.answer < 0 && layout.numericX < 0 && layout.image < 0) return [];
+  return DIRECT_ANSWER_FIELDS.filter((field) => layout[field] >= 0);
+}
+
+// payload を検証して書き込む値に揃える。 失敗時は { error } を返す。
+function normalizeDirectAnswer_(payload) {
+  const values = {};
+  const textOf = (key, maxLength) => {
+    const raw = payload[key];
+    if (raw === undefined || raw === null || raw === '') return '';
+    // allowHtml: 表示側は textContent で描画する (processQaAnswerDirect と同じ理由)。
+    const validation = validateText(String(raw), { maxLength, allowHtml: true });
+    if (!validation.isValid) {
+      throw new Error(validation.errors && validation.errors.length > 0 ? validation.errors.join(', ') : '入力内容が不正です');
+    }
+    return String(validation.sanitized || '').trim();
+  };
+  try {
+    values.answer = textOf('answer', DIRECT_ANSWER_MAX_LENGTH);
+    values.reason = textOf('reason', DIRECT_ANSWER_MAX_LENGTH);
+    values.class = textOf('class', DIRECT_ANSWER_SHORT_MAX_LENGTH);
+    values.name = textOf('name', DIRECT_ANSWER_SHORT_MAX_LENGTH);
+  } catch (validationError) {
+    return { error: validationError.message };
+  }
+  for (const key of ['numericX', 'numericY']) {
+    const raw = payload[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    // 全角数字・単位付き (「１２ｃｍ」) は読み出し側と同じ parseNumericAnswer で数値にする。
+    const n = typeof raw === 'number' ? raw : parseNumericAnswer(raw);
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { error: '数値を入力してください' };
+    values[key] = n;
+  }
+  // お絵かきは data URL のまま受け取り、 1 人 1 回答の判定を通ってから Drive に保存する。
+  if (payload.image !== undefined && payload.image !== null && payload.image !== '') {
+    if (typeof payload.image !== 'string' || payload.image.indexOf('data:image/') !== 0) {
+      return { error: '画像の形式が正しくありません' };
+    }
+    values.image = payload.image;
+  }
+  if (!values.answer && values.numericX === undefined && !values.image) {
+    return { error: '回答を入力してください' };
+  }
+  return { values };
+}
+
+// メール列に actor の行が既にあるか (1 人 1 回答の判定)。
+function hasSubmittedAnswer_(sheet, emailIndex, actorEmail) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return false;
+  const cells = sheet.getRange(2, emailIndex + 1, lastRow - 1, 1).getValues();
+  return cells.some((cell) => Array.isArray(cell) && sameEmail_(cell[0], actorEmail));
+}
+
+/**
+ * ボード上の入力パネルから、 フォームと同じ列構成の 1 行を追記する。
+ *
+ * @param {string} targetUserId - ボード所有者の userId
+ * @param {Object} payload - { answer, reason?, class?, name?, numericX?, numericY?, image? }
+ *   image はお絵かきの「data:image/png;base64,...」。
+ * @returns {Object} { success, message, rowIndex?, allowResubmit? }
+ *
+ * 書き込みは SA proxy の appendRows (values:append / RAW) を通す。 RAW なので「=」 始まりの
+ * 回答が数式として評価されることはない。 owner が開いた native Sheet (proxy でない) だけ
+ * appendRow で書く。 timestamp は proxy 経由だとテキストになるので、 フォーム行を proxy で
+ * 読んだときと同じ「yyyy/MM/dd H:mm:ss」 で書き、 読み出し側の並び替えと揃える。
+ */
+function submitBoardAnswer(targetUserId, payload) {
+  const actorEmail = getCurrentEmail();
+  try {
+    if (!actorEmail) return createErrorResponse('Authentication required');
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return createErrorResponse('Answer payload must be an object');
+    }
+
+    const isAdmin = isAdministrator(actorEmail);
+    const targetUser = findPublishedBoardOwner(targetUserId, actorEmail, { preloadedAuth: { email: actorEmail, isAdmin } });
+    if (!targetUser) return createErrorResponse('Target user not found');
+
+    const config = getConfigOrDefault(targetUserId, targetUser);
+    if (!config.spreadsheetId || !config.sheetName) {
+      return createErrorResponse('Board configuration incomplete');
+    }
+    if (!canActOnTargetBoard(actorEmail, targetUser, config, { isAdmin })) {
+      return createErrorResponse('Access denied to target board');
+    }
+    // Why: パネルを出さないだけでは google.script.run を直接叩ける。 教師が有効にしたボードに限る。
+    if (!(config.displaySettings && config.displaySettings.directSubmission === true)) {
+      return createErrorResponse('このボードはボードからの直接回答を受け付けていません');
+    }
+
+    const normalized = normalizeDirectAnswer_(payload);
+    if (normalized.error) return createErrorResponse(normalized.error);
+
+    const dataAccess = openSpreadsheet(config.spreadsheetId, { context: 'direct_submission' });
+    if (!dataAccess) return createErrorResponse('Failed to access target spreadsheet');
+    let sheet = dataAccess.spreadsheet.getSheetByName(config.sheetName);
+    if (!sheet) return createErrorResponse('Target sheet not found');
+    // Why: 追記は必ず SA proxy の appendRows (RAW) で行う。 教師本人は openById の native Sheet を
+    //   受け取るが、 native の appendRow は文字列を入力として解釈し、 '=' で始まる回答を数式にしてしまう。
+    if (typeof sheet.appendRows !== 'function') {
+      const proxy = typeof openSpreadsheetViaServiceAccount === 'function'
+        ? openSpreadsheetViaServiceAccount(config.spreadsheetId)
+        : null;
+      sheet = proxy ? proxy.getSheetByName(config.sheetName) : null;
+      if (!sheet) return createErrorResponse('Failed to access target spreadsheet');
+    }
+
+    const headerInfo = getSheetHeaders(sheet);
+    const headers = headerInfo && Array.isArray(headerInfo.headers) ? headerInfo.headers : [];
+    if (headers.length === 0) {
+      return createErrorResponse('回答シートを読み込めませんでした。しばらくしてから再度お試しください。');
+    }
+    const layout = resolveDirectAnswerLayout_(headers, config.columnMapping);
+    if (normalized.values.answer && layout.answer < 0) return createErrorResponse('回答列が見つかりません');
+    if (normalized.values.numericX !== undefined && layout.numericX < 0) return createErrorResponse('数値の列が見つかりません');
+    if (normalized.values.image && layout.image < 0) return createErrorResponse('画像の列が見つかりません');
+
+    // 1 人 1 回答はメール列の既存行で判定する。 メール列が無いと誰の回答か分からないので、
+    //   その場合は再投稿を許可したボードでだけ受け付ける。
+    const allowResubmit = Boolean(config.allowResubmit);
+    if (!allowResubmit && layout.email < 0) {
+      return createErrorResponse('メールアドレスを集めていないボードでは、再投稿を許可したときだけ直接回答できます');
+    }
+
+    // 同じ児童の連打 (二重送信) を弾く。 判定 → 追記の間に自分の別リクエストが割り込まないようにする。
+    const lockKey = `submit_${config.spreadsheetId}_${normalizeReactionEmail_(actorEmail)}`;
+    const cache = CacheService.getScriptCache();
+    if (!acquireRowLock_(cache, lockKey, actorEmail)) {
+      return createErrorResponse('回答を送信中です。お待ちください。');
+    }
+
+    try {
+      if (!allowResubmit && hasSubmittedAnswer_(sheet, layout.email, actorEmail)) {
+        return createErrorResponse('このボードにはもう回答しています', null, { error: 'ALREADY_SUBMITTED' });
+      }
+
+      // セルには Drive file ID だけを書く (Forms のアップロード列と同じく読み出し側で画像にする)。
+      if (normalized.values.image) {
+        const saved = saveAnswerImage_(normalized.values.image);
+        if (saved.error) return createErrorResponse(saved.error);
+        normalized.values.image = saved.fileId;
+      }
+
+      // タイムスタンプはフォームの行と同じ日時セルにする (proxy の appendRows が Date を日時として書く)。
+      const row = new Array(headers.length).fill('');
+      row[layout.timestamp] = new Date();
+      if (layout.email >= 0) row[layout.email] = actorEmail;
+      for (const field of DIRECT_ANSWER_FIELDS) {
+        const value = normalized.values[field];
+        if (layout[field] >= 0 && value !== undefined && value !== '') row[layout[field]] = value;
+      }
+
+      const res = sheet.appendRows([row]);
+      const rowIndex = res && res.startRow > 0 ? res.startRow : null;
+
+      // 行数 cache (30s) と viewer の board data cache を即時 stale 化し、 次の polling で新着として拾わせる。
+      if (typeof invalidateSheetRowCountCache === 'function') {
+        invalidateSheetRowCountCache(config.spreadsheetId, config.sheetName);
+      }
+      if (typeof bumpBoardDataVersion_ === 'function') {
+        try { bumpBoardDataVersion_(targetUserId); } catch (_) { /* ignore */ }
+      }
+      return createSuccessResponse('回答を送信しました', null, { rowIndex, allowResubmit });
+    } finally {
+      try { cache.remove(lockKey); } catch (e) { console.warn('submitBoardAnswer: Cache cleanup failed:', e.message); }
+    }
+  } catch (error) {
+    logError_('submitBoardAnswer', error);
+    return createExceptionResponse(error);
+  }
+}
@@ -0,0 +1,615 @@
+/**
+ * @fileoverview RetentionService - 授業の回答アーカイブ (lesson_responses) の保存期間と、期限切れ行の消去・匿名化。
+ *
+ * Why: アーカイブは追記のみで、授業を削除しても行が孤児として残り続けていた。学校は児童の回答を
+ *   「年度末まで」など決まった期間で消す必要がある。
+ *
+ * 設定は 2 段 (NG ワードと同じ形)。
+ *   - 学校全体: Script Property RETENTION_POLICY = { enabled, basis, days, action, updatedAt }
+ *     (テナントの中では RETENTION_POLICY@<id>。TenantService の SUFFIXED キー)
+ *   - 授業ごと: lessonJson.retention = { keep: true } か { basis?, days?, action? } (学校全体を上書き)
+ * 期限は授業の終了 (endedAt) から数える。basis 'days' は終了 + days 日、'schoolYear' は終了した年度の
+ *   翌 4/1 0:00 (JST) + days 日。完了 (completed) した授業だけが対象。
+ *
+ * 方式:
+ *   - purge: 行の中身を消し、lessonId / phaseIndex だけ残す (墓標)。授業のポインタも外す
+ *   - anonymize: rowIndex (元の回答行) と studentKey を消し、timestamp を日付に丸め、
+ *     本文のメール・電話・住所を maskPiiText_ で伏せる。振り返りの分布はそのまま見られる
+ *   - 削除済みの授業の行 (孤児) は方針に関係なく purge する
+ *
+ * Why 行を物理削除しない: 削除すると後ろの行が繰り上がり、ほかの授業のポインタ {startRow} がずれる。
+ *   さらに appendRows (values:append) は空行を「表の切れ目」と見なして途中に書き込みうる。
+ *   墓標なら行番号も表の連続も変わらない。行数そのものを減らすのは年次シート分割 (LessonService の
+ *   LESSON_RESPONSES_SHEET の注記) の役目。
+ *
+ * dailyRetentionSweep は 1 日 1 回、グローバルの DB と稼働中の各学校の DB を順に処理し、
+ *   それぞれの retention_log に 1 回 1 行の報告を残す。
+ */
+
+/* global openDatabase, getCachedProperty, setCachedProperty, requireAdmin, emailToShortHash, maskPiiText_, runForEachTenant_, __getResponsesSheet_, __getLessonsSheet_, __rowToLesson_, __updateLessonRow_, __requireLessonOwner_, __dbSheetExists_, deepClone, recordAuditEvent_, RETENTION_LOG_SHEET_HEADERS, LESSON_RESPONSES_SHEET_HEADERS, createAdminRequiredError, createSuccessResponse, createErrorResponse, createExceptionResponse, logError_, safeJsonParse_ */
+
+const RETENTION_POLICY_PROPERTY = 'RETENTION_POLICY';
+const RETENTION_LOG_SHEET = 'retention_log';
+const RETENTION_BASES = Object.freeze(['days', 'schoolYear']);
+const RETENTION_ACTIONS = Object.freeze(['purge', 'anonymize']);
+const RETENTION_MAX_DAYS = 3650;
+// 年度は 4/1 始まり。日付の境目は JST で数える (UTC だと 3/31 9:00 に年度が変わる)。
+const RETENTION_SCHOOL_YEAR_START_MONTH = 4;
+const RETENTION_JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const RETENTION_DAY_MS = 24 * 60 * 60 * 1000;
+// 23:00 の授業回収 (dailyLessonArchiveSweep) の後、授業の無い深夜に回す。
+const RETENTION_TRIGGER_HOUR = 2;
+// 1 回の sweep で行う書込 (行範囲の setValues + lessons 行の更新) の上限。残りは翌日の sweep が拾う。
+const RETENTION_MAX_WRITES_PER_SWEEP = 300;
+// GAS の 6 分上限に対し、これを過ぎたら次の学校を始めない。
+const RETENTION_SWEEP_TIME_BUDGET_MS = 4 * 60 * 1000;
+// retention_log の detailJson に並べる授業の上限 (Sheets 1 セル 50,000 字対策)。
+const RETENTION_DETAIL_MAX_LESSONS = 200;
+const RETENTION_REPORT_DEFAULT_LIMIT = 10;
+const RETENTION_REPORT_MAX_LIMIT = 100;
+// lesson_responses の列 (0 始まり)。墓標・匿名化で書き換えるのは rowIndex 〜 studentKey。
+const RETENTION_FIRST_WRITTEN_COL = 2;
+const RETENTION_NUMERIC_COLS = Object.freeze([7, 8]);
+
+// ── 方針 ──────────────────────────────────────────────────────
+
+/**
+ * 保存期間の入力を検証して正規化する。
+ *
+ * @param {Object} input - { enabled?, basis?, days?, action? } (授業ごとは { keep: true } も可)
+ * @param {Object} [options]
+ * @param {boolean} [options.forLesson] - 授業ごとの上書き。省略した項目は学校全体の値を使う
+ * @returns {{policy: Object}|{error: string}}
+ */
+function sanitizeRetentionPolicy_(input, options = {}) {
+  const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const forLesson = options.forLesson === true;
+  if (forLesson && src.keep === true) return { policy: { keep: true } };
+
+  const policy = {};
+  const given = (v) => v !== undefined && v !== null && v !== '';
+  if (given(src.basis)) {
+    if (!RETENTION_BASES.includes(src.basis)) return { error: 'basis は days か schoolYear で指定してください' };
+    policy.basis = src.basis;
+  }
+  if (given(src.days)) {
+    const days = Number(src.days);
+    if (!Number.isInteger(days) || days < 0 || days > RETENTION_MAX_DAYS) {
+      return { error: `days は 0〜${RETENTION_MAX_DAYS} の整数で指定してください` };
+    }
+    policy.days = days;
+  }
+  if (given(src.action)) {
+    if (!RETENTION_ACTIONS.includes(src.action)) return { error: 'action は purge か anonymize で指定してください' };
+    policy.action = src.action;
+  }
+
+  if (forLesson) {
+    if (Object.keys(policy).length === 0) return { error: 'keep か basis / days / action を指定してください' };
+    return { policy };
+  }
+  const normalized = {
+    enabled: src.enabled !== false && src.enabled !== 'false',
+    basis: policy.basis || 'schoolYear',
+    days: policy.days !== undefined ? policy.days : 0,
+    action: policy.action || 'purge'
+  };
+  // 「終了から 0 日」を学校全体に掛けると、終わった授業が毎晩すぐ消える。授業ごとの上書きでだけ許す。
+  if (normalized.basis === 'days' && normalized.days === 0) {
+    return { error: '終了からの日数は 1 以上で指定してください' };
+  }
+  return { policy: normalized };
+}
+
+/**
+ * 今の DB (学校) の保存期間。未設定・壊れた値なら null (= 期限なし、消さない)。
+ * @returns {Object|null}
+ */
+function getRetentionPolicy_() {
+  const stored = safeJsonParse_(getCachedProperty(RETENTION_POLICY_PROPERTY), null);
+  if (!stored) return null;
+  const sanitized = sanitizeRetentionPolicy_(stored);
+  if (sanitized.error) return null;
+  return { ...sanitized.policy, updatedAt: String(stored.updatedAt || '') };
+}
+
+/**
+ * 期限の時刻 (ms)。
+ * @param {number} endedMs - 授業の終了時刻
+ * @param {{basis: string, days: number}} rule
+ * @returns {number}
+ */
+function computeRetentionExpiry_(endedMs, rule) {
+  let start = endedMs;
+  if (rule.basis === 'schoolYear') {
+    const jst = new Date(endedMs + RETENTION_JST_OFFSET_MS);
+    const year = jst.getUTCMonth() + 1 >= RETENTION_SCHOOL_YEAR_START_MONTH
+      ? jst.getUTCFullYear() + 1
+      : jst.getUTCFullYear();
+    start = Date.UTC(year, RETENTION_SCHOOL_YEAR_START_MONTH - 1, 1) - RETENTION_JST_OFFSET_MS;
+  }
+  return start + (Number(rule.days) || 0) * RETENTION_DAY_MS;
+}
+
+/**
+ * 授業に効く保存期間 (学校全体 + 授業ごとの上書き)。期限の無い授業は null。
+ * @param {Object} lesson - __rowToLesson_ の形
+ * @param {Object|null} policy - getRetentionPolicy_()
+ * @returns {{action: string, basis: string, days: number, expiresAt: number}|null}
+ */
+function resolveLessonRetention_(lesson, policy) {
+  if (!lesson || lesson.state !== 'completed') return null;
+  const override = (lesson.lessonJson && lesson.lessonJson.retention) || null;
+  if (override && override.keep === true) return null;
+  const base = policy && policy.enabled ? policy : null;
+  const hasOverride = Boolean(override && (override.basis || override.days !== undefined || override.action));
+  if (!base && !hasOverride) return null;
+
+  const rule = { basis: 'days', days: 0, action: 'purge' };
+  if (base) Object.assign(rule, { basis: base.basis, days: base.days, action: base.action });
+  if (hasOverride) {
+    if (override.basis) rule.basis = override.basis;
+    if (override.days !== undefined) rule.days = override.days;
+    if (override.action) rule.action = override.action;
+  }
+  // 取り込んだ過去授業などで endedAt が無ければ、開始・作成の時刻で数える。
+  const endedMs = new Date(lesson.endedAt || lesson.startedAt || lesson.createdAt).getTime();
+  if (!Number.isFinite(endedMs)) return null;
+  return { ...rule, expiresAt: computeRetentionExpiry_(endedMs, rule) };
+}
+
+// ── 行の書き換え ──────────────────────────────────────────────
+
+function __retentionRowCells_(row) {
+  const width = LESSON_RESPONSES_SHEET_HEADERS.length;
+  const cells = [];
+  for (let c = RETENTION_FIRST_WRITTEN_COL; c < width; c++) {
+    const v = row && row[c];
+    cells.push(v === null || v === undefined ? '' : v);
+  }
+  return cells;
+}
+
+function __retentionTombstoneCells_() {
+  return new Array(LESSON_RESPONSES_SHEET_HEADERS.length - RETENTION_FIRST_WRITTEN_COL).fill('');
+}
+
+// 'YYYY-MM-DD' (JST)。日付に丸めた値をもう一度丸めても同じ日付になる (冪等)。
+function __retentionDateOnly_(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const ms = new Date(text).getTime();
+  if (Number.isFinite(ms)) return new Date(ms + RETENTION_JST_OFFSET_MS).toISOString().slice(0, 10);
+  const m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/.exec(text);
+  return m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : '';
+}
+
+/**
+ * アーカイブ 1 行 (全列) を匿名化した、rowIndex 〜 studentKey の値を返す。
+ * 残すのは class・本文 (連絡先は伏せる)・数値軸。振り返りの分布と本文の傾向は見られる。
+ * @param {Array} row
+ * @returns {Array}
+ */
+function anonymizeArchiveRow_(row) {
+  const cells = __retentionRowCells_(row);
+  const at = (col) => col - RETENTION_FIRST_WRITTEN_COL;
+  cells[at(2)] = '';
+  cells[at(3)] = __retentionDateOnly_(cells[at(3)]);
+  cells[at(5)] = maskPiiText_(cells[at(5)]);
+  cells[at(6)] = maskPiiText_(cells[at(6)]);
+  cells[at(9)] = '';
+  return cells;
+}
+
+// SA proxy の values.get は数値も文字列で返す。書き戻す数値軸だけ数値に戻す (RAW で文字列になるのを防ぐ)。
+function __retentionWritableCells_(cells) {
+  return cells.map((v, i) => {
+    const col = i + RETENTION_FIRST_WRITTEN_COL;
+    if (RETENTION_NUMERIC_COLS.includes(col) && typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) {
+      return Number(v);
+    }
+    return v;
+  });
+}
+
+function __sameRetentionCells_(a, b) {
+  return a.length === b.length && a.every((v, i) => String(v) === String(b[i]));
+}
+
+// 授業の lessonJson に適用済みの印を付け、purge ならポインタと旧形式の同居 rows も外す。
+//   更新が要らなければ null。
+function __applyRetentionToLessonJson_(lessonJson, action, appliedAt) {
+  const status = lessonJson.retentionStatus;
+  const snaps = Array.isArray(lessonJson.snapshots) ? lessonJson.snapshots : [];
+  const hasData = (sn) => sn && ((sn.startRow > 0) || (Array.isArray(sn.rows) && sn.rows.length > 0));
+  const pendingInline = snaps.some((sn) => sn && Array.isArray(sn.rows) && sn.rows.length > 0);
+  const done = status && status.action === action
+    && (action === 'purge' ? !snaps.some(hasData) : !pendingInline || status.inlineAnonymized === true);
+  if (done) return null;
+
+  const next = deepClone(lessonJson);
+  (next.snapshots || []).forEach((sn) => {
+    if (!sn) return;
+    if (action === 'purge') {
+      sn.sheet = null;
+      sn.startRow = -1;
+      sn.rowCount = 0;
+      sn.rows = [];
+      sn.reason = 'RETENTION_PURGED';
+    } else if (Array.isArray(sn.rows)) {
+      // 旧形式 (rows 同居) の snapshot はここで匿名化する。アーカイブ行と同じ列の意味で扱う。
+      sn.rows = sn.rows.map((r) => {
+        const out = { ...r };
+        delete out.rowIndex;
+        delete out.studentKey;
+        out.timestamp = __retentionDateOnly_(r.timestamp);
+        out.answer = maskPiiText_(r.answer);
+        out.reason = maskPiiText_(r.reason);
+        return out;
+      });
+    }
+  });
+  next.retentionStatus = { action, appliedAt, ...(action === 'anonymize' ? { inlineAnonymized: true } : {}) };
+  return next;
+}
+
+// ── sweep ────────────────────────────────────────────────────
+
+// audit_log と同じ lazy bootstrap。setup 済みテナントは setupApp / tenants.provision で作成済み。
+function __getRetentionLogSheet_(opts) {
+  const spreadsheet = openDatabase();
+  if (!spreadsheet) return null;
+  if (!__dbSheetExists_(spreadsheet, RETENTION_LOG_SHEET)) {
+    if (!opts || !opts.createIfMissing) return null;
+    try {
+      const newSheet = spreadsheet.insertSheet(RETENTION_LOG_SHEET);
+      if (newSheet && newSheet.appendRow) newSheet.appendRow(RETENTION_LOG_SHEET_HEADERS);
+    } catch (createErr) {
+      logError_('__getRetentionLogSheet_:create', createErr);
+      return null;
+    }
+  }
+  return spreadsheet.getSheetByName(RETENTION_LOG_SHEET) || null;
+}
+
+function __readAllLessons_() {
+  const sheet = __getLessonsSheet_();
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues() || [];
+  // SA proxy は読込失敗を [] で返す。空の一覧を「授業が 1 つも無い」と読むと、全行を孤児として消してしまう。
+  //   ヘッダーが読めた上で行が無いのは本当に授業が 0 件 (全部削除された) なので [] を返す。
+  if (data.length === 0) return null;
+  const cols = {};
+  data[0].forEach((h, i) => { cols[String(h)] = i; });
+  if (cols.lessonId === undefined || cols.lessonJson === undefined) return null;
+  return data.slice(1).filter((r) => r && r[cols.lessonId]).map((r) => __rowToLesson_(r, cols));
+}
+
+/**
+ * 今の DB (グローバルか、今の学校) の lesson_responses に保存期間を適用する。
+ *
+ * 読む順が安全の要: アーカイブを先に読み、lessons を後に読む。読んだ行の授業はそれより前に
+ *   作られているので、lessons に居なければ本当に削除済み (新しい授業の行を孤児と誤認しない)。
+ * 行は読んだ範囲のうち変わる行だけを、連続する範囲ごとに rowIndex 〜 studentKey の列へ書き戻す。
+ *   アーカイブは追記のみなので、読んでから書くまでに既存の行が書き換わることはない。
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - 何も書かずに件数だけ数える
+ * @param {string} [options.trigger='schedule'] - retention_log の trigger 列
+ * @param {number} [options.now]
+ * @returns {Object} report
+ */
+function __sweepRetention_(options = {}) {
+  const now = options.now || Date.now();
+  const dryRun = options.dryRun === true;
+  const policy = getRetentionPolicy_();
+  const report = {
+    dryRun, policy, expiredLessons: 0, purgedRows: 0, anonymizedRows: 0, orphanRows: 0,
+    deferredRows: 0, errors: 0, lessons: [], orphanLessonIds: []
+  };
+  if (!openDatabase()) return { ...report, skipped: 'no_database' };
+
+  const responsesSheet = __getResponsesSheet_();
+  const archive = responsesSheet ? (responsesSheet.getDataRange().getValues() || []) : [];
+  const lessons = __readAllLessons_();
+  const lessonsById = new Map((lessons || []).map((l) => [String(l.lessonId), l]));
+  const resolved = new Map();
+  const resolveFor = (lesson) => {
+    if (!resolved.has(lesson.lessonId)) resolved.set(lesson.lessonId, resolveLessonRetention_(lesson, policy));
+    return resolved.get(lesson.lessonId);
+  };
+  const isExpired = (rule) => Boolean(rule) && rule.expiresAt <= now;
+
+  // 1. 変える行を決める
+  const changes = [];
+  const orphanIds = new Set();
+  for (let i = 1; i < archive.length; i++) {
+    const row = archive[i];
+    const lessonId = String((row && row[0]) || '');
+    if (!lessonId) continue;
+    const lesson = lessonsById.get(lessonId);
+    let kind;
+    let next;
+    if (!lesson) {
+      if (!lessons) continue;
+      kind = 'orphan';
+      next = __retentionTombstoneCells_();
+    } else {
+      const rule = resolveFor(lesson);
+      if (!isExpired(rule)) continue;
+      kind = rule.action;
+      next = rule.action === 'purge' ? __retentionTombstoneCells_() : anonymizeArchiveRow_(row);
+    }
+    if (__sameRetentionCells_(__retentionRowCells_(row), next)) continue;
+    changes.push({ sheetRow: i + 1, lessonId, kind, cells: next });
+  }
+
+  // 2. 連続する行をまとめて書く
+  const runs = [];
+  changes.forEach((change) => {
+    const last = runs[runs.length - 1];
+    if (last && last.startRow + last.items.length === change.sheetRow) last.items.push(change);
+    else runs.push({ startRow: change.sheetRow, items: [change] });
+  });
+  let writes = 0;
+  const perLesson = new Map();
+  const count = (change) => {
+    if (change.kind === 'orphan') {
+      report.orphanRows++;
+      orphanIds.add(change.lessonId);
+      return;
+    }
+    if (change.kind === 'purge') report.purgedRows++;
+    else report.anonymizedRows++;
+    perLesson.set(change.lessonId, (perLesson.get(change.lessonId) || 0) + 1);
+  };
+  for (const run of runs) {
+    if (!dryRun && writes >= RETENTION_MAX_WRITES_PER_SWEEP) {
+      report.deferredRows += run.items.length;
+      continue;
+    }
+    if (!dryRun) {
+      try {
+        responsesSheet.getRange(run.startRow, RETENTION_FIRST_WRITTEN_COL + 1, run.items.length, run.items[0].cells.length)
+          .setValues(run.items.map((c) => __retentionWritableCells_(c.cells)));
+        writes++;
+      } catch (writeErr) {
+        logError_('__sweepRetention_:writeRows', writeErr, { startRow: run.startRow });
+        report.errors++;
+        continue;
+      }
+    }
+    run.items.forEach(count);
+  }
+
+  // 3. 期限切れの授業に適用済みの印 (purge はポインタも外す)
+  const appliedAt = new Date(now).toISOString();
+  for (const lesson of (lessons || [])) {
+    const rule = resolveFor(lesson);
+    if (!isExpired(rule)) continue;
+    let updated = false;
+    if (!lesson.parseError) {
+      const nextJson = __applyRetentionToLessonJson_(lesson.lessonJson || {}, rule.action, appliedAt);
+      if (nextJson && (dryRun || writes < RETENTION_MAX_WRITES_PER_SWEEP)) {
+        if (dryRun) {
+          updated = true;
+        } else {
+          // etag 付き: 同時に編集された授業は上書きせず、翌日の sweep でやり直す。
+          const result = __updateLessonRow_(lesson.lessonId, { lessonJson: nextJson }, lesson.etag);
+          writes++;
+          if (result && result.success) updated = true;
+          else report.errors++;
+        }
+      }
+    }
+    const rows = perLesson.get(lesson.lessonId) || 0;
+    if (!updated && rows === 0) continue;
+    report.expiredLessons++;
+    report.lessons.push({ lessonId: lesson.lessonId, action: rule.action, rows });
+  }
+  report.orphanLessonIds = Array.from(orphanIds);
+
+  if (!dryRun) __appendRetentionReport_(report, options.trigger || 'schedule', appliedAt);
+  return report;
+}
+
+function __appendRetentionReport_(report, trigger, timestamp) {
+  try {
+    const sheet = __getRetentionLogSheet_({ createIfMissing: true });
+    if (!sheet) return false;
+    const detail = {
+      lessons: report.lessons.slice(0, RETENTION_DETAIL_MAX_LESSONS),
+      orphanLessonIds: report.orphanLessonIds.slice(0, RETENTION_DETAIL_MAX_LESSONS),
+      deferredRows: report.deferredRows,
+      truncated: report.lessons.length > RETENTION_DETAIL_MAX_LESSONS
+        || report.orphanLessonIds.length > RETENTION_DETAIL_MAX_LESSONS
+    };
+    sheet.appendRow([
+      timestamp,
+      trigger,
+      JSON.stringify(report.policy || null),
+      report.expiredLessons,
+      report.purgedRows,
+      report.anonymizedRows,
+      report.orphanRows,
+      report.errors,
+      JSON.stringify(detail)
+    ]);
+    return true;
+  } catch (error) {
+    logError_('__appendRetentionReport_', error);
+    return false;
+  }
+}
+
+/**
+ * 1 日 1 回の cron entry。グローバルの DB と稼働中の各学校の DB に保存期間を適用する。
+ * 時間切れで毎日同じ学校が漏れないよう、学校を回り始める位置を日ごとにずらす。
+ * @returns {Object} { databases, expiredLessons, purgedRows, anonymizedRows, orphanRows, errors, skipped }
+ */
+function dailyRetentionSweep() {
+  const started = Date.now();
+  const summary = { databases: 0, expiredLessons: 0, purgedRows: 0, anonymizedRows: 0, orphanRows: 0, errors: 0, skipped: 0 };
+  try {
+    const sweep = () => __sweepRetention_({ trigger: 'schedule' });
+    const outcomes = typeof runForEachTenant_ === 'function'
+      ? runForEachTenant_(sweep, {
+        startIndex: Math.floor(started / RETENTION_DAY_MS),
+        shouldStop: () => Date.now() - started > RETENTION_SWEEP_TIME_BUDGET_MS
+      })
+      : [{ tenantId: null, result: sweep() }];
+    outcomes.forEach((outcome) => {
+      if (outcome.error) { summary.errors++; return; }
+      if (outcome.skipped || !outcome.result || outcome.result.skipped) { summary.skipped++; return; }
+      const r = outcome.result;
+      summary.databases++;
+      summary.expiredLessons += r.expiredLessons;
+      summary.purgedRows += r.purgedRows;
+      summary.anonymizedRows += r.anonymizedRows;
+      summary.orphanRows += r.orphanRows;
+      summary.errors += r.errors;
+    });
+  } catch (error) {
+    logError_('dailyRetentionSweep', error);
+    summary.errors++;
+  }
+  return summary;
+}
+
+/**
+ * dailyRetentionSweep の time-based trigger を冪等にインストール。setupApp から呼ばれる。
+ */
+function installRetentionTrigger() {
+  try {
+    if (typeof ScriptApp === 'undefined' || !ScriptApp.getProjectTriggers) return;
+    const already = ScriptApp.getProjectTriggers()
+      .some(t => t.getHandlerFunction && t.getHandlerFunction() === 'dailyRetentionSweep');
+    if (already) return;
+    ScriptApp.newTrigger('dailyRetentionSweep')
+      .timeBased()
+      .everyDays(1)
+      .atHour(RETENTION_TRIGGER_HOUR)
+      .create();
+  } catch (error) {
+    logError_('installRetentionTrigger', error);
+  }
+}
+
+// ── 管理者 / 授業の所有者の操作 ───────────────────────────────
+
+function __retentionReportRowToObject_(row) {
+  return {
+    timestamp: String(row[0] || ''),
+    trigger: String(row[1] || ''),
+    policy: safeJsonParse_(row[2], null),
+    expiredLessons: Number(row[3]) || 0,
+    purgedRows: Number(row[4]) || 0,
+    anonymizedRows: Number(row[5]) || 0,
+    orphanRows: Number(row[6]) || 0,
+    errors: Number(row[7]) || 0,
+    detail: safeJsonParse_(row[8], {})
+  };
+}
+
+/**
+ * 保存期間の設定と、retention_log の新しい報告 (管理者専用。学校の管理者は学校の分)。
+ * @param {Object} [options] - { limit } (既定 10、最大 100)
+ * @returns {Object} { success, data: { policy, reports } }
+ */
+function getRetentionSettings(options = {}) {
+  try {
+    if (!requireAdmin()) return createAdminRequiredError();
+    const limit = Math.max(1, Math.min(Number(options.limit) || RETENTION_REPORT_DEFAULT_LIMIT, RETENTION_REPORT_MAX_LIMIT));
+    const sheet = __getRetentionLogSheet_();
+    // 1 日 1 行なので全体を読んでも数百行。values.get は末尾の空行を返さない。
+    const rows = sheet ? (sheet.getDataRange().getValues() || []).slice(1).filter((r) => r && r[0]) : [];
+    const reports = rows.slice(-limit).reverse().map(__retentionReportRowToObject_);
+    return createSuccessResponse('loaded', { policy: getRetentionPolicy_(), reports });
+  } catch (error) {
+    logError_('getRetentionSettings', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 学校全体の保存期間を保存する (管理者専用)。enabled: false で止める (授業ごとの上書きは残る)。
+ * @param {Object} policy - { enabled, basis: 'days'|'schoolYear', days, action: 'purge'|'anonymize' }
+ * @returns {Object} { success, data: { policy } }
+ */
+function setRetentionPolicy(policy) {
+  try {
+    if (!requireAdmin()) return createAdminRequiredError();
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return createErrorResponse('policy (object) is required');
+    }
+    const sanitized = sanitizeRetentionPolicy_(policy);
+    if (sanitized.error) return createErrorResponse(sanitized.error);
+    const before = getRetentionPolicy_();
+    const next = { ...sanitized.policy, updatedAt: new Date().toISOString() };
+    setCachedProperty(RETENTION_POLICY_PROPERTY, JSON.stringify(next));
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('retention.policy', { target: RETENTION_POLICY_PROPERTY, before, after: next });
+    }
+    return createSuccessResponse('保存期間を保存しました', { policy: next });
+  } catch (error) {
+    logError_('setRetentionPolicy', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 保存期間を今すぐ適用する (管理者専用)。dryRun なら何も書かずに件数だけ返す。
+ * @param {Object} [options] - { dryRun }
+ * @returns {Object} { success, data: { report } }
+ */
+function runRetentionSweep(options = {}) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const report = __sweepRetention_({ dryRun, trigger: 'manual:' + emailToShortHash(auth.email) });
+    if (report.skipped) return createErrorResponse('データベースを開けません');
+    return createSuccessResponse(dryRun ? '試算しました (まだ何も消していません)' : '保存期間を適用しました', { report });
+  } catch (error) {
+    logError_('runRetentionSweep', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 授業ごとの保存期間を設定する。null で上書きを外し、学校全体の設定に戻す。
+ * @param {string} userId - 授業の所有者
+ * @param {string} lessonId
+ * @param {Object|null} retention - { keep: true } か { basis?, days?, action? }
+ * @returns {Object} { success, data: { lessonId, retention } }
+ */
+function setLessonRetention(userId, lessonId, retention) {
+  try {
+    const auth = __requireLessonOwner_(userId, lessonId);
+    if (auth.error) return auth.error;
+    const { found } = auth;
+    let next = null;
+    if (retention !== null && retention !== undefined) {
+      const sanitized = sanitizeRetentionPolicy_(retention, { forLesson: true });
+      if (sanitized.error) return createErrorResponse(sanitized.error);
+      next = sanitized.policy;
+    }
+    const lessonJson = deepClone(found.lesson.lessonJson || {});
+    const before = lessonJson.retention || null;
+    if (next) lessonJson.retention = next;
+    else delete lessonJson.retention;
+    const result = __updateLessonRow_(lessonId, { lessonJson }, found.lesson.etag);
+    if (!result.success) {
+      return createErrorResponse(result.message || result.error, null,
+        result.error ? { error: result.error, currentEtag: result.currentEtag } : null);
+    }
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('lesson.retention', { targetUserId: userId, lessonId, before: { retention: before }, after: { retention: next } });
+    }
+    return createSuccessResponse(next ? '授業の保存期間を設定しました' : '学校全体の保存期間に戻しました', { lessonId, retention: next });
+  } catch (error) {
+    logError_('setLessonRetention', error);
+    return createExceptionResponse(error);
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview RoleService - 管理者 / 所有者 / 共同編集者の間に入る「見るだけ」の役割を DB SS の roles シートで持つ。
+ *
+ * Why: 認可はこれまで isAdministrator (ADMIN_EMAIL 1 人) ・ボード所有者・ボード SS の
+ *   editor (isBoardCollaborator) の 3 段だけで、 学校には次の 3 つが足りなかった。
+ *     - school_admin: ドメイン内の全ボードを見る (教頭・情報担当)
+ *     - grade_leader: 指定した先生のボードと授業を見て振り返れるが、 編集はしない (学年主任)
+ *     - observer:     指定した先生のボードと授業を見るだけ。 児童の名前は見せない (教育実習生)
+ *   どの役割も読み取り専用。 書き込み (設定変更・授業の進行・削除) は引き続き所有者 / 管理者だけ。
+ *
+ * 参照するのは canAccessTargetUser (未公開ボードの読み取り)、 resolveViewerBoardAccess_ (名前の表示)、
+ *   __requireLessonOwner_ (授業一覧・振り返り) と dispatchAdminOperation (roles.boards)。
+ *   役割の付与・解除は管理者だけが AppSetupPage / admin-api CLI から行う。
+ *
+ * roles シートは 1 人 1 行 (email で upsert)。 表は小さく読まれる回数が多いので、 全体を
+ *   ScriptCache に載せ、 書き込みのたびに捨てる。 解除は行を消さずに role / scopeJson を空にする。
+ */
+
+/* global openDatabase, getCurrentEmail, isAdministrator, requireAdmin, validateEmail, emailToShortHash, getAllUsers, isUserBoardPublished, getWebAppUrl, ROLES_SHEET_HEADERS, __dbSheetExists_, recordAuditEvent_, tenantCacheKey_, createAuthError, createAdminRequiredError, createSuccessResponse, createErrorResponse, createExceptionResponse, logError_ */
+
+const ROLES_SHEET = 'roles';
+const ROLE_TABLE_CACHE_KEY = 'role_table_v1';
+const ROLE_TABLE_CACHE_TTL = 300; // 秒。 書き込み時は明示的に捨てるので、 TTL は手編集の反映待ち上限
+// 1 つの役割に並べられる先生の上限。 学年 1 つ分より十分大きく、 scopeJson を 1 セルに収める。
+const ROLE_MAX_TEACHERS = 200;
+
+// capability:
+//   viewBoard     - 未公開でもボードを読める (書き込みは不可)
+//   viewIdentity  - showNames=false のボードでも回答者の名前・メールを見る
+//   reviewLessons - 授業一覧と振り返り (lesson.list / lesson.review) を開ける
+const ROLE_DEFINITIONS = Object.freeze({
+  school_admin: Object.freeze({
+    label: '学校管理者',
+    scope: 'domain',
+    capabilities: Object.freeze(['viewBoard', 'viewIdentity', 'reviewLessons'])
+  }),
+  grade_leader: Object.freeze({
+    label: '学年主任',
+    scope: 'teachers',
+    capabilities: Object.freeze(['viewBoard', 'viewIdentity', 'reviewLessons'])
+  }),
+  observer: Object.freeze({
+    label: '参観者 (教育実習生)',
+    scope: 'teachers',
+    capabilities: Object.freeze(['viewBoard', 'reviewLessons'])
+  })
+});
+
+// 1 実行内のメモ。 polling 1 回で canAccessTargetUser と resolveViewerBoardAccess_ が続けて引く。
+//   cache key (= テナント) ごとに持つ。 runForEachTenant_ の 1 実行で別の学校の表を答えないように。
+const __roleTableMemo_ = {};
+
+function __normalizeRoleEmail_(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// audit_log と同じ lazy bootstrap。 setup 済みテナントは setupApp で作成済み。
+function __getRolesSheet_(opts) {
+  const spreadsheet = openDatabase();
+  if (!spreadsheet) return null;
+  if (!__dbSheetExists_(spreadsheet, ROLES_SHEET)) {
+    if (!opts || !opts.createIfMissing) return null;
+    try {
+      const newSheet = spreadsheet.insertSheet(ROLES_SHEET);
+      if (newSheet && newSheet.appendRow) newSheet.appendRow(ROLES_SHEET_HEADERS);
+    } catch (createErr) {
+      logError_('__getRolesSheet_:create', createErr);
+      return null;
+    }
+  }
+  return spreadsheet.getSheetByName(ROLES_SHEET) || null;
+}
+
+function __parseRoleRow_(row) {
+  const email = __normalizeRoleEmail_(row[0]);
+  const role = String(row[1] || '').trim();
+  if (!email || !ROLE_DEFINITIONS[role]) return null;
+  let scope = {};
+  try { scope = JSON.parse(row[2] || '{}') || {}; } catch (_) { scope = {}; }
+  return {
+    email,
+    role,
+    scope: sanitizeRoleScope_(role, scope, email),
+    grantedBy: String(row[3] || ''),
+    updatedAt: row[4] instanceof Date ? row[4].toISOString() : String(row[4] || '')
+  };
+}
+
+function __readRoleTableFromSheet_() {
+  const sheet = __getRolesSheet_();
+  if (!sheet) return {};
+  const values = sheet.getDataRange().getValues();
+  const table = {};
+  values.slice(1).forEach((row) => {
+    const grant = __parseRoleRow_(row);
+    if (grant) table[grant.email] = grant;
+  });
+  return table;
+}
+
+/**
+ * email → grant の表。 ScriptCache → roles シートの順に読む。
+ *   読めないとき (DB 未設定・quota) は空の表 = 役割なしで扱う (fail-closed)。
+ * @returns {Object<string, Object>}
+ */
+// 表は DB (= テナント) ごと。 TenantService.js の学校の人は学校の roles シートを読む。
+function __roleTableCacheKey_() {
+  return typeof tenantCacheKey_ === 'function' ? tenantCacheKey_(ROLE_TABLE_CACHE_KEY) : ROLE_TABLE_CACHE_KEY;
+}
+
+function getRoleTable_() {
+  const cacheKey = __roleTableCacheKey_();
+  if (__roleTableMemo_[cacheKey]) return __roleTableMemo_[cacheKey];
+  let cache = null;
+  try { cache = CacheService.getScriptCache(); } catch (_) { cache = null; }
+  if (cache) {
+    const hit = cache.get(cacheKey);
+    if (hit) {
+      try {
+        __roleTableMemo_[cacheKey] = JSON.parse(hit);
+        return __roleTableMemo_[cacheKey];
+      } catch (_) { /* 壊れた entry は読み直す */ }
+    }
+  }
+  let table = {};
+  try {
+    table = __readRoleTableFromSheet_();
+  } catch (error) {
+    logError_('getRoleTable_', error);
+    return {};
+  }
+  if (cache) {
+    try { cache.put(cacheKey, JSON.stringify(table), ROLE_TABLE_CACHE_TTL); } catch (_) { /* 次回読み直す */ }
+  }
+  __roleTableMemo_[cacheKey] = table;
+  return table;
+}
+
+function invalidateRoleTableCache_() {
+  const cacheKey = __roleTableCacheKey_();
+  delete __roleTableMemo_[cacheKey];
+  try { CacheService.getScriptCache().remove(cacheKey); } catch (_) { /* TTL で切れる */ }
+}
+
+/**
+ * @param {string} email
+ * @returns {Object|null} { email, role, scope, grantedBy, updatedAt }
+ */
+function getRoleGrant_(email) {
+  const norm = __normalizeRoleEmail_(email);
+  if (!norm) return null;
+  return getRoleTable_()[norm] || null;
+}
+
+/**
+ * 役割の範囲を正規化する。 school_admin は domain (省略時は本人のドメイン)、
+ *   grade_leader / observer は teachers (メールの配列。 改行・読点区切りの文字列も受ける)。
+ * @param {string} role
+ * @param {Object} scope
+ * @param {string} [granteeEmail]
+ * @returns {Object}
+ */
+function sanitizeRoleScope_(role, scope, granteeEmail) {
+  const def = ROLE_DEFINITIONS[role];
+  const src = scope && typeof scope === 'object' ? scope : {};
+  if (!def) return {};
+  if (def.scope === 'domain') {
+    const fallback = __normalizeRoleEmail_(granteeEmail).split('@')[1] || '';
+    const domain = __normalizeRoleEmail_(src.domain).replace(/^@/, '') || fallback;
+    return domain ? { domain } : {};
+  }
+  const rawList = Array.isArray(src.teachers)
+    ? src.teachers
+    : String(src.teachers || '').split(/[\s,、]+/);
+  const teachers = [];
+  rawList.forEach((item) => {
+    const norm = __normalizeRoleEmail_(item);
+    if (norm && validateEmail(norm).isValid && !teachers.includes(norm)) teachers.push(norm);
+  });
+  return { teachers: teachers.slice(0, ROLE_MAX_TEACHERS) };
+}
+
+function __isInRoleScope_(grant, targetEmail) {
+  const target = __normalizeRoleEmail_(targetEmail);
+  if (!grant || !target) return false;
+  const scope = grant.scope || {};
+  if (scope.domain) return target.endsWith('@' + scope.domain);
+  return Array.isArray(scope.teachers) && scope.teachers.includes(target);
+}
+
+/**
+ * viewer が targetUser のボードに対して役割で持つ capability。 範囲外・役割なしは空配列。
+ * @param {string} email - viewer
+ * @param {Object} targetUser - users シートの行 (userEmail を見る)
+ * @returns {Array<string>}
+ */
+function getRoleCapabilitiesFor_(email, targetUser) {
+  if (!targetUser) return [];
+  const grant = getRoleGrant_(email);
+  if (!grant || !__isInRoleScope_(grant, targetUser.userEmail)) return [];
+  return ROLE_DEFINITIONS[grant.role].capabilities.slice();
+}
+
+/**
+ * @param {string} email
+ * @param {Object} targetUser
+ * @param {string} capability - 'viewBoard' | 'viewIdentity' | 'reviewLessons'
+ * @returns {boolean}
+ */
+function hasRoleAccess_(email, targetUser, capability) {
+  return getRoleCapabilitiesFor_(email, targetUser).includes(capability);
+}
+
+// 監査ログには生メアドを残さない (audit_log の方針)。 先生の一覧は人数だけ。
+function __summarizeRoleForAudit_(grant) {
+  if (!grant) return { role: null };
+  const scope = grant.scope || {};
+  return scope.domain
+    ? { role: grant.role, domain: scope.domain }
+    : { role: grant.role, teacherCount: Array.isArray(scope.teachers) ? scope.teachers.length : 0 };
+}
+
+function __findRoleRowIndex_(values, email) {
+  for (let i = 1; i < values.length; i++) {
+    if (__normalizeRoleEmail_(values[i][0]) === email) return i + 1;
+  }
+  return -1;
+}
+
+/**
+ * 役割の一覧 (管理者のみ)。 解除済み (role が空) の行は出さない。
+ * @returns {Object} { success, data: { roles, definitions } }
+ */
+function listRoles() {
+  try {
+    if (!requireAdmin()) return createAdminRequiredError();
+    invalidateRoleTableCache_();
+    const table = getRoleTable_();
+    const roles = Object.keys(table).sort().map((email) => ({
+      ...table[email],
+      label: ROLE_DEFINITIONS[table[email].role].label
+    }));
+    const definitions = Object.keys(ROLE_DEFINITIONS).map((key) => ({
+      role: key,
+      label: ROLE_DEFINITIONS[key].label,
+      scope: ROLE_DEFINITIONS[key].scope,
+      capabilities: ROLE_DEFINITIONS[key].capabilities.slice()
+    }));
+    return createSuccessResponse('listed', { roles, definitions });
+  } catch (error) {
+    logError_('listRoles', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 役割を付ける / 付け替える (管理者のみ。 email で upsert)。
+ * @param {string} email - 役割を持たせる人
+ * @param {string} role - ROLE_DEFINITIONS のキー
+ * @param {Object} [scope] - { domain } または { teachers: [email] }
+ * @returns {Object}
+ */
+function setRole(email, role, scope) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+    const norm = __normalizeRoleEmail_(email);
+    if (!norm || !validateEmail(norm).isValid) return createErrorResponse('メールアドレスが正しくありません');
+    if (isAdministrator(norm)) return createErrorResponse('管理者には役割を付けられません (すでに全ボードを見られます)');
+    const def = ROLE_DEFINITIONS[role];
+    if (!def) return createErrorResponse(`Invalid role: ${role}`);
+    const cleanScope = sanitizeRoleScope_(role, scope, norm);
+    if (def.scope === 'domain' && !cleanScope.domain) return createErrorResponse('ドメインを指定してください');
+    if (def.scope === 'teachers' && cleanScope.teachers.length === 0) {
+      return createErrorResponse('対象の先生のメールアドレスを 1 つ以上指定してください');
+    }
+
+    const sheet = __getRolesSheet_({ createIfMissing: true });
+    if (!sheet) return createErrorResponse('roles シートを開けませんでした');
+    const values = sheet.getDataRange().getValues();
+    const rowIndex = __findRoleRowIndex_(values, norm);
+    const before = rowIndex > 0 ? __parseRoleRow_(values[rowIndex - 1]) : null;
+    const updatedAt = new Date().toISOString();
+    const row = [norm, role, JSON.stringify(cleanScope), auth.email || '', updatedAt];
+    if (rowIndex > 0) {
+      sheet.getRange(rowIndex, 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+    invalidateRoleTableCache_();
+
+    const grant = { email: norm, role, scope: cleanScope, grantedBy: auth.email || '', updatedAt };
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('role.set', {
+        target: `role:${emailToShortHash(norm)}`,
+        before: __summarizeRoleForAudit_(before),
+        after: __summarizeRoleForAudit_(grant)
+      });
+    }
+    return createSuccessResponse('saved', { role: { ...grant, label: def.label } });
+  } catch (error) {
+    logError_('setRole', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 役割を外す (管理者のみ)。 行は残し role / scopeJson を空にする (誰がいつ外したかを残す)。
+ * @param {string} email
+ * @returns {Object}
+ */
+function removeRole(email) {
+  try {
+    const auth = requireAdmin();
+    if (!auth) return createAdminRequiredError();
+    const norm = __normalizeRoleEmail_(email);
+    if (!norm) return createErrorResponse('email is required');
+
+    const sheet = __getRolesSheet_();
+    const values = sheet ? sheet.getDataRange().getValues() : [];
+    const rowIndex = __findRoleRowIndex_(values, norm);
+    const before = rowIndex > 0 ? __parseRoleRow_(values[rowIndex - 1]) : null;
+    if (!before) return createErrorResponse('この人には役割が付いていません');
+
+    sheet.getRange(rowIndex, 1, 1, ROLES_SHEET_HEADERS.length)
+      .setValues([[norm, '', '', auth.email || '', new Date().toISOString()]]);
+    invalidateRoleTableCache_();
+
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('role.remove', {
+        target: `role:${emailToShortHash(norm)}`,
+        before: __summarizeRoleForAudit_(before),
+        after: __summarizeRoleForAudit_(null)
+      });
+    }
+    return createSuccessResponse('removed', { email: norm });
+  } catch (error) {
+    logError_('removeRole', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * 呼び出した人が役割で見られるボードの一覧 (管理者は全員分)。 未公開のボードも含む。
+ * @returns {Object} { success, data: { role, boards: [{ userId, userEmail, isPublished, viewUrl }] } }
+ */
+function listRoleBoards() {
+  try {
+    const email = getCurrentEmail();
+    if (!email) return createAuthError();
+    const isAdmin = isAdministrator(email);
+    const grant = isAdmin ? null : getRoleGrant_(email);
+    if (!isAdmin && !grant) return createErrorResponse('役割が割り当てられていません');
+
+    const users = getAllUsers({ activeOnly: true }, { forceServiceAccount: true }) || [];
+    const baseUrl = getWebAppUrl();
+    const boards = users
+      .filter(u => u && u.userId && (isAdmin || __isInRoleScope_(grant, u.userEmail)))
+      .map(u => ({
+        userId: u.userId,
+        userEmail: u.userEmail,
+        isPublished: isUserBoardPublished(u),
+        viewUrl: baseUrl ? `${baseUrl}?mode=view&userId=${u.userId}` : ''
+      }));
+    return createSuccessResponse('listed', { role: grant ? grant.role : 'admin', boards });
+  } catch (error) {
+    logError_('listRoleBoards', error);
+    return createExceptionResponse(error);
+  }
+}
@@ -1,14 +1,14 @@
 /**
  * @fileoverview SecurityService - ドメイン制限 (組織内ドメインのみアクセス可) の判定。
  *   - extractDomainSafely / isSystemSetupComplete / shouldEnforceDomainRestrictions
- *   - validateDomainAccess (admin ドメインと一致するかチェック)
+ *   - validateDomainAccess (admin ドメイン、 または学校 (テナント) のドメインと一致するかチェック)
  *   - getDeployUserDomainInfo (LoginPage の domain badge 用)
  *
  * 入力検証は validators.js、 認可は main.js requireAdmin / DatabaseCore.js access control、
  * SA pool 管理は DatabaseCore.js に分離されている (混同しないこと)。
  */
 
-/* global getCurrentEmail, getCachedProperty, hasCoreSystemProps, logError_ */
+/* global getCurrentEmail, getCachedProperty, hasCoreSystemProps, getTenantForEmail_, logError_ */
 
 /**
  * 安全にメールアドレスからドメインを抽出する
@@ -86,6 +86,18 @@ function validateDomainAccess(email, options = {}) {
     };
   }
 
+  // 学校 (TenantService.js) のドメインは、 その学校が停止中でなければ通す。
+  const tenant = typeof getTenantForEmail_ === 'function' ? getTenantForEmail_(normalizedEmail) : null;
+  if (tenant) {
+    return {
+      allowed: !tenant.suspended,
+      userDomain,
+      tenantId: tenant.id,
+      message: tenant.suspended ? 'Tenant suspended' : 'Tenant domain allowed',
+      reason: tenant.suspended ? 'tenant_suspended' : 'tenant_domain'
+    };
+  }
+
   const adminEmail = getCachedProperty('ADMIN_EMAIL');
   const adminDomain = adminEmail ? extractDomainSafely(adminEmail) : null;
   if (!adminDomain) {
@@ -54,6 +54,44 @@ function addServiceAccountsAsEditors(spreadsheetId) {
   }
 }
 
+/**
+ * SA pool の全 SA を Drive の file / folder の閲覧者に追加する (冪等)。
+ *
+ * Why: 画像回答 (Forms のアップロード / お絵かき) は viewer に Drive 権限を渡さず、
+ *   getAnswerImage が SA pool 経由で読んで返す。 folder に付けると中の file
+ *   (あとから届くアップロードも) まで閲覧できるようになる。
+ *
+ * @param {string} itemId - Drive の file ID または folder ID
+ * @param {'file'|'folder'} [kind='file']
+ * @returns {{success:boolean, added:string[], errors:string[]}}
+ */
+function addServiceAccountsAsViewers(itemId, kind = 'file') {
+  const result = { success: false, added: [], errors: [] };
+  try {
+    const pool = (typeof getAllServiceAccounts_ === 'function') ? getAllServiceAccounts_() : [];
+    if (pool.length === 0) {
+      result.errors.push('SA pool not configured');
+      return result;
+    }
+    const item = kind === 'folder' ? DriveApp.getFolderById(itemId) : DriveApp.getFileById(itemId);
+    for (let i = 0; i < pool.length; i++) {
+      const sa = pool[i];
+      try {
+        item.addViewer(sa.client_email);
+        result.added.push(sa.client_email);
+      } catch (err) {
+        result.errors.push(`${sa.client_email}: ${err.message}`);
+      }
+    }
+    result.success = result.added.length > 0;
+    return result;
+  } catch (err) {
+    logError_('addServiceAccountsAsViewers', err);
+    result.errors.push(err && err.message ? err.message : String(err));
+    return result;
+  }
+}
+
 /**
  * 新規作成 SS に共有デフォルトを一括適用する。 SA pool 全員を editor 追加 (未設定だと
  * viewer 経路が 403)。
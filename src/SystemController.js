@@ -11,7 +11,7 @@
  * unpublishBoard / toggleUserBoardStatus) のみ。 __applyPublishStateChange に集約。
  */
 
-/* global getCurrentEmail, createExceptionResponse, createAuthError, createAdminRequiredError, findUserByEmail, openSpreadsheet, getUserConfig, saveUserConfig, isAdministrator, getAllUsers, openDatabase, getCachedProperty, setCachedProperty, getSheetInfo, hasCoreSystemProps, validateDomainAccess, validateEmail, sanitizeDisplaySettings, sanitizeMapping, getConfigOrDefault, installLessonTriggers, logError_, clearDatabaseUserCache, clearPropertyCache */
+/* global __rejectTenantAdmin_, getCurrentEmail, createExceptionResponse, createAuthError, createAdminRequiredError, findUserByEmail, openSpreadsheet, getUserConfig, saveUserConfig, isAdministrator, getAllUsers, openDatabase, getCachedProperty, setCachedProperty, getSheetInfo, hasCoreSystemProps, validateDomainAccess, validateEmail, sanitizeDisplaySettings, sanitizeMapping, getConfigOrDefault, installLessonTriggers, installRetentionTrigger, installLessonPhaseTimerTrigger, installLessonScheduleTrigger, logError_, clearDatabaseUserCache, clearPropertyCache, getCurrentTenant_ */
 
 /**
  * キャッシュ期間 (秒)
@@ -38,8 +38,23 @@ const LESSONS_SHEET_HEADERS = ['lessonId', 'userId', 'name', 'state', 'createdAt
  * Why 別シート: lessonJson (1 セル) に回答を同居させると Sheets の 1 セル 50,000 字上限で
  *   破裂し、本文が段階的に切り詰められていた。回答は「無界・追記一回きり」のデータなので
  *   1 件 1 行で持ち、lessonJson 側は範囲ポインタ {sheet, startRow, rowCount} だけを持つ。
+ * studentKey は末尾追加列 (授業単位の仮名、opt-in 時のみ値が入る)。読み出しは列位置で行うので、
+ *   9 列ヘッダのまま運用中の既存シートでも追記・読み戻しはそのまま動く。
  */
-const LESSON_RESPONSES_SHEET_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY'];
+const LESSON_RESPONSES_SHEET_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY', 'studentKey'];
+
+// audit_log シート: admin 操作 / ボード・授業の状態遷移の監査ログ (AuditLogService.js)。
+//   1 イベント 1 行・追記のみ。actor は emailToShortHash で仮名化し、生メアドは残さない。
+//   target は userId / lessonId で表せない対象 (spreadsheetId/sheetName、Property 名など)。
+const AUDIT_LOG_SHEET_HEADERS = ['timestamp', 'actorHash', 'operation', 'targetUserId', 'lessonId', 'target', 'diffJson'];
+
+// roles シート: school_admin / grade_leader / observer の割り当て (RoleService.js)。
+//   1 人 1 行 (email で upsert)。scopeJson は {domain} か {teachers: [email]}。解除は role を空にする。
+const ROLES_SHEET_HEADERS = ['email', 'role', 'scopeJson', 'grantedBy', 'updatedAt'];
+
+// retention_log シート: 保存期間の sweep (RetentionService.js) 1 回 = 1 行の報告。追記のみ。
+//   trigger は 'schedule' (日次トリガー) か 'manual:<actorHash>'。detailJson は授業ごとの件数 (上限あり)。
+const RETENTION_LOG_SHEET_HEADERS = ['timestamp', 'trigger', 'policyJson', 'expiredLessons', 'purgedRows', 'anonymizedRows', 'orphanRows', 'errors', 'detailJson'];
 
 /**
  * プロパティキャッシュTTL (ミリ秒)
@@ -258,6 +273,9 @@ function testSystemDiagnosis() {
     if (!adminAuth.success) {
       return adminAuth.authError || adminAuth.adminError || createAuthError();
     }
+    // 診断 / 修復は Script Property とデプロイ全体に触れる。学校 (テナント) の管理者からは呼べない
+    const tenantRejection = typeof __rejectTenantAdmin_ === 'function' ? __rejectTenantAdmin_() : null;
+    if (tenantRejection) return tenantRejection;
 
     const diagnostics = [];
 
@@ -543,6 +561,9 @@ function performAutoRepair() {
     if (!adminAuth.success) {
       return adminAuth.authError || adminAuth.adminError || createAuthError();
     }
+    // 診断 / 修復は Script Property とデプロイ全体に触れる。学校 (テナント) の管理者からは呼べない
+    const tenantRejection = typeof __rejectTenantAdmin_ === 'function' ? __rejectTenantAdmin_() : null;
+    if (tenantRejection) return tenantRejection;
 
     const repairResults = {
       timestamp: new Date().toISOString(),
@@ -757,7 +778,7 @@ function publishApp(publishConfig) {
     // matrix/numberline モードでは answer は numericX を兼ねる (AdminPanel.js.html
     // getColumnMapping が自動的に answer=numericX をセット)。ここで answer のみ厳格に
     // 要求すると matrix/numberline ユーザーの publish が壊れる (Edge case audit #1)。
-    // - matrix / numberline: numericX 必須 (Y は matrix のみ必須)
+    // - matrix / numberline / distribution: numericX 必須 (Y は matrix のみ必須)
     // - それ以外: answer 必須
     const boardMode = (safePublishConfig.displaySettings && safePublishConfig.displaySettings.boardMode)
       || (currentConfig.displaySettings && currentConfig.displaySettings.boardMode)
@@ -767,7 +788,7 @@ function publishApp(publishConfig) {
     if (boardMode === 'matrix') {
       if (!hasValidIndex('numericX')) return { success: false, message: 'X軸の数値列が設定されていません' };
       if (!hasValidIndex('numericY')) return { success: false, message: 'Y軸の数値列が設定されていません' };
-    } else if (boardMode === 'numberline') {
+    } else if (boardMode === 'numberline' || boardMode === 'distribution') {
       if (!hasValidIndex('numericX')) return { success: false, message: 'X軸の数値列が設定されていません' };
     } else {
       if (!hasValidIndex('answer')) return { success: false, message: 'メイン質問列が設定されていません' };
@@ -820,6 +841,9 @@ function publishApp(publishConfig) {
     if (typeof invalidateBoardCaches_ === 'function') {
       invalidateBoardCaches_(updatedConfig, user.userId);
     }
+    if (typeof recordAuditEvent_ === 'function') {
+      recordAuditEvent_('board.publish', { targetUserId: user.userId, before: currentConfig, after: updatedConfig });
+    }
 
     return {
       success: true,
@@ -1327,7 +1351,10 @@ function __buildFormInfoResult_(access, spreadsheetId, sheetName) {
 function __requirePerfAdmin_() {
   // admin 判定は canonical な requireAdmin() を再利用。 失敗時のみ perf API 用の
   //   timestamp 付き error response を返す (createAdminRequiredError とは別 shape)。
-  if (requireAdmin()) return null;
+  if (requireAdmin()) {
+    // 性能計測はデプロイ全体の値。学校 (テナント) の管理者には出さない
+    return typeof __rejectTenantAdmin_ === 'function' ? __rejectTenantAdmin_() : null;
+  }
   return {
     success: false,
     error: 'Administrator権限が必要です',
@@ -1811,6 +1838,10 @@ function __checkSetupAuth_(currentEmail, normalizedAdminEmail) {
 
   if (alreadyConfigured) {
     if (!isAdministrator(currentEmail)) return { ok: false, error: createAdminRequiredError() };
+    // 学校 (TenantService.js) の管理者はデプロイ全体の DB / SA / 管理者を差し替えられない。
+    if (typeof getCurrentTenant_ === 'function' && getCurrentTenant_()) {
+      return fail('学校の管理者はデプロイ全体の初期設定を変更できません');
+    }
     if (typeof validateDomainAccess === 'function') {
       const domainCheck = validateDomainAccess(currentEmail, {
         allowIfAdminUnconfigured: false,
@@ -1833,7 +1864,7 @@ function __persistSetupProperties_(trimmedDatabaseId, normalizedAdminEmail, serv
   if (googleClientId) setCachedProperty('GOOGLE_CLIENT_ID', googleClientId);
 }
 
-// SA を editor として共有 + users / lessons シートを idempotent にセットアップ。
+// SA を editor として共有 + users / lessons / lesson_responses / audit_log / roles / retention_log シートを idempotent にセットアップ。
 function __ensureDatabaseSheets_(trimmedDatabaseId, parsedCredentials) {
   try {
     const ss = SpreadsheetApp.openById(trimmedDatabaseId);
@@ -1846,6 +1877,9 @@ function __ensureDatabaseSheets_(trimmedDatabaseId, parsedCredentials) {
     __ensureSheetWithHeaders_(ss, 'users', USERS_SHEET_HEADERS);
     __ensureSheetWithHeaders_(ss, 'lessons', LESSONS_SHEET_HEADERS);
     __ensureSheetWithHeaders_(ss, 'lesson_responses', LESSON_RESPONSES_SHEET_HEADERS);
+    __ensureSheetWithHeaders_(ss, 'audit_log', AUDIT_LOG_SHEET_HEADERS);
+    __ensureSheetWithHeaders_(ss, 'roles', ROLES_SHEET_HEADERS);
+    __ensureSheetWithHeaders_(ss, 'retention_log', RETENTION_LOG_SHEET_HEADERS);
   } catch (dbError) {
     console.warn('setupApp: Database initialization failed:', dbError.message);
   }
@@ -1866,6 +1900,12 @@ function __ensureSheetWithHeaders_(ss, sheetName, headers) {
 function __installLessonTriggersIfAvailable_() {
   try { installLessonTriggers(); }
   catch (triggerErr) { console.warn('setupApp: installLessonTriggers failed:', triggerErr.message); }
+  try { if (typeof installRetentionTrigger === 'function') installRetentionTrigger(); }
+  catch (triggerErr) { console.warn('setupApp: installRetentionTrigger failed:', triggerErr.message); }
+  try { if (typeof installLessonPhaseTimerTrigger === 'function') installLessonPhaseTimerTrigger(); }
+  catch (triggerErr) { console.warn('setupApp: installLessonPhaseTimerTrigger failed:', triggerErr.message); }
+  try { if (typeof installLessonScheduleTrigger === 'function') installLessonScheduleTrigger(); }
+  catch (triggerErr) { console.warn('setupApp: installLessonScheduleTrigger failed:', triggerErr.message); }
 }
 
 /**
@@ -1894,6 +1934,12 @@ function createDatabase() {
     lessonsSheet.appendRow(LESSONS_SHEET_HEADERS);
     const responsesSheet = ss.insertSheet('lesson_responses');
     responsesSheet.appendRow(LESSON_RESPONSES_SHEET_HEADERS);
+    const auditSheet = ss.insertSheet('audit_log');
+    auditSheet.appendRow(AUDIT_LOG_SHEET_HEADERS);
+    const rolesSheet = ss.insertSheet('roles');
+    rolesSheet.appendRow(ROLES_SHEET_HEADERS);
+    const retentionSheet = ss.insertSheet('retention_log');
+    retentionSheet.appendRow(RETENTION_LOG_SHEET_HEADERS);
 
     if (folder) {
       DriveApp.getFileById(ss.getId()).moveTo(folder);
@@ -0,0 +1,453 @@
+/**
+ * @fileoverview TenantService - 1 つのデプロイで複数の学校 (テナント) を、 学校ごとの DB SS に分けて動かす。
+ *
+ * Why: デプロイはこれまで DATABASE_SPREADSHEET_ID と ADMIN_EMAIL を 1 つずつしか持てず、
+ *   教育委員会が 40 校に配るには 40 個のデプロイ (と 40 回の更新作業) が要った。
+ *   テナントは呼び出し元メールのドメインで決まり、 学校ごとに次を持つ。
+ *     - DB SS (users / lessons / audit_log / roles …)。 他校の行はそもそも開かない
+ *     - 管理者 (複数可)
+ *     - ドメイン制限 (validateDomainAccess は学校のドメインだけを通す)
+ *     - SA pool の使うスロット (空なら全スロット)
+ *
+ * 切り替えは getCachedProperty の 1 か所で行う: テナントの人が DATABASE_SPREADSHEET_ID /
+ *   ADMIN_EMAIL / MODERATION_RULES を読むと、 グローバルの値ではなく学校の値が返る。 openDatabase 以下の
+ *   既存コードはそのまま学校の DB を開く。 ScriptCache はデプロイ全体で共有なので、 DB の中身を
+ *   載せる key (ユーザー表・役割表) は tenantCacheKey_ で学校ごとに分ける。
+ *
+ * 停止中の学校は openDatabase が null を返し、 DB を開く処理はすべて失敗する (グローバルの DB に落ちない)。
+ *   ID 自体は返し続ける (空にすると hasCoreSystemProps が「初期設定前」 と判定して SetupPage を出す)。
+ *   どのドメインにも当たらない人 (教育委員会の super-admin を含む) は従来どおりグローバルの設定で動く。
+ *
+ * 保存先は Script Properties。 1 校 1 キー (TENANT_<id>) にして 1 値 9KB の上限を避け、
+ *   ドメイン → id の索引 (TENANT_DOMAIN_INDEX) で引く。 提供・停止は super-admin
+ *   (グローバルの ADMIN_EMAIL) だけが AppSetupPage / admin-api CLI から行う。
+ */
+
+/* global getCachedProperty, setCachedProperty, getCurrentEmail, isAdministrator, validateEmail, extractDomainSafely, getAllServiceAccounts_, __ensureDatabaseSheets_, recordAuditEvent_, createAdminRequiredError, createSuccessResponse, createErrorResponse, createExceptionResponse, logError_, safeJsonParse_ */
+
+const TENANT_PROPERTY_PREFIX = 'TENANT_';
+const TENANT_DOMAIN_INDEX_KEY = 'TENANT_DOMAIN_INDEX';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const TENANT_MAX_DOMAINS = 5;
+const TENANT_MAX_ADMINS = 10;
+const TENANT_SA_SLOT_MAX = 10; // DatabaseCore の SERVICE_ACCOUNT_POOL_MAX_ と同じ
+// テナントの人が読むと学校の値に差し替わるキー。 これ以外の Script Property はデプロイ共通。
+//   - RECORD:   テナントの記録 (TENANT_<id>) から読む。 学校の中からは書けない
+//   - SUFFIXED: 学校ごとに `<key>@<id>` の別 Property に読み書きする (学校全体の NG ワード・保存期間)
+const TENANT_RECORD_PROPERTY_KEYS = Object.freeze(['DATABASE_SPREADSHEET_ID', 'ADMIN_EMAIL']);
+const TENANT_SUFFIXED_PROPERTY_KEYS = Object.freeze(['MODERATION_RULES', 'RETENTION_POLICY']);
+
+// 1 実行内のメモ。 API キー経路では途中で getCurrentEmail が変わるので、 メールごとに持つ。
+let __tenantMemo_ = null;
+// runForEachTenant_ の実行中だけ立つ。 時間主導トリガーには学校の人のメールが無いので、
+//   メールの代わりにこれで学校を決める。
+let __tenantOverride_ = null;
+
+function __tenantPropertyKey_(tenantId) {
+  return TENANT_PROPERTY_PREFIX + tenantId;
+}
+
+function __readTenantIndex_() {
+  const index = safeJsonParse_(getCachedProperty(TENANT_DOMAIN_INDEX_KEY), {});
+  return index && typeof index === 'object' && !Array.isArray(index) ? index : {};
+}
+
+function __normalizeTenantRecord_(tenantId, raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const lowerList = (value) => (Array.isArray(value) ? value : [])
+    .map((v) => String(v || '').trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    id: tenantId,
+    name: String(raw.name || tenantId),
+    domains: lowerList(raw.domains),
+    databaseId: String(raw.databaseId || ''),
+    adminEmails: lowerList(raw.adminEmails),
+    saSlots: (Array.isArray(raw.saSlots) ? raw.saSlots : [])
+      .map(Number)
+      .filter((n) => Number.isInteger(n) && n >= 1 && n <= TENANT_SA_SLOT_MAX),
+    suspended: raw.suspended === true,
+    suspendedReason: raw.suspendedReason ? String(raw.suspendedReason) : '',
+    updatedAt: String(raw.updatedAt || '')
+  };
+}
+
+/**
+ * id からテナントを読む。
+ * @param {string} tenantId
+ * @returns {Object|null}
+ */
+function getTenantById_(tenantId) {
+  if (!tenantId || !TENANT_ID_PATTERN.test(tenantId)) return null;
+  return __normalizeTenantRecord_(tenantId, safeJsonParse_(getCachedProperty(__tenantPropertyKey_(tenantId)), null));
+}
+
+/**
+ * メールのドメインが属するテナント。 どこにも属さなければ null (= グローバルの設定)。
+ * @param {string} email
+ * @returns {Object|null}
+ */
+function getTenantForEmail_(email) {
+  const domain = typeof extractDomainSafely === 'function' ? extractDomainSafely(email) : null;
+  if (!domain) return null;
+  const tenantId = __readTenantIndex_()[domain];
+  return tenantId ? getTenantById_(tenantId) : null;
+}
+
+/**
+ * 今の呼び出し元のテナント (1 実行内でメモ)。
+ * @returns {Object|null}
+ */
+function getCurrentTenant_() {
+  if (__tenantOverride_) return __tenantOverride_.tenant;
+  const email = typeof getCurrentEmail === 'function' ? getCurrentEmail() : null;
+  const key = String(email || '').toLowerCase();
+  if (__tenantMemo_ && __tenantMemo_.email === key) return __tenantMemo_.tenant;
+  let tenant = null;
+  try {
+    tenant = key ? getTenantForEmail_(key) : null;
+  } catch (error) {
+    logError_('getCurrentTenant_', error);
+  }
+  __tenantMemo_ = { email: key, tenant };
+  return tenant;
+}
+
+/** 提供・停止の直後に、 同じ実行内で古いテナントを見ないよう捨てる。 */
+function resetTenantMemo_() {
+  __tenantMemo_ = null;
+}
+
+/**
+ * getCachedProperty から呼ばれる差し替え。 テナントの外・対象外のキーなら undefined を返し、
+ * 呼び出し側はグローバルの値を読む。
+ * @param {string} key
+ * @returns {string|null|undefined}
+ */
+function getTenantScopedProperty_(key) {
+  const isRecordKey = TENANT_RECORD_PROPERTY_KEYS.includes(key);
+  if (!isRecordKey && !TENANT_SUFFIXED_PROPERTY_KEYS.includes(key)) return undefined;
+  const tenant = getCurrentTenant_();
+  if (!tenant) return undefined;
+  if (!isRecordKey) return getCachedProperty(`${key}@${tenant.id}`);
+  if (key === 'DATABASE_SPREADSHEET_ID') return tenant.databaseId || null;
+  return tenant.adminEmails[0] || null;
+}
+
+/**
+ * setCachedProperty から呼ばれる。 書き込み先のキーを返す。
+ * 学校の記録のキーは学校の中からは書かせない (初回ログインの管理者登録や setupApp が、
+ * 学校の管理者をデプロイ全体の管理者にしない)。
+ * @param {string} key
+ * @returns {string}
+ */
+function tenantPropertyWriteKey_(key) {
+  const isRecordKey = TENANT_RECORD_PROPERTY_KEYS.includes(key);
+  if (!isRecordKey && !TENANT_SUFFIXED_PROPERTY_KEYS.includes(key)) return key;
+  const tenant = getCurrentTenant_();
+  if (!tenant) return key;
+  if (isRecordKey) {
+    throw new Error(`${key} はテナント (学校) の中からは変更できません`);
+  }
+  return `${key}@${tenant.id}`;
+}
+
+/**
+ * fn をグローバルの DB と、 稼働中の各学校の DB の文脈で 1 回ずつ呼ぶ (時間主導トリガー専用)。
+ * 学校の回では getCurrentTenant_ がその学校を返し、 getCachedProperty / openDatabase / cache key が
+ * 学校のものになる。 停止中の学校は DB を開けないので飛ばす。
+ *
+ * @param {function(Object|null): *} fn - 引数は学校 (グローバルの回は null)
+ * @param {Object} [options]
+ * @param {number} [options.startIndex=0] - 学校を回り始める位置。 時間切れで毎回同じ学校が漏れないよう呼び出し側が回す
+ * @param {function(): boolean} [options.shouldStop] - true を返したら残りの学校は呼ばない
+ * @returns {Array<Object>} { tenantId, result } / { tenantId, error } / { tenantId, skipped }。 グローバルは tenantId: null
+ */
+function runForEachTenant_(fn, options = {}) {
+  const ids = Array.from(new Set(Object.values(__readTenantIndex_()))).sort();
+  const offset = ids.length > 0 ? Math.abs(Math.floor(Number(options.startIndex) || 0)) % ids.length : 0;
+  const order = [null, ...ids.slice(offset), ...ids.slice(0, offset)];
+  const outcomes = [];
+  for (const tenantId of order) {
+    if (tenantId && typeof options.shouldStop === 'function' && options.shouldStop()) {
+      outcomes.push({ tenantId, skipped: 'time_budget' });
+      continue;
+    }
+    const tenant = tenantId ? getTenantById_(tenantId) : null;
+    if (tenantId && (!tenant || tenant.suspended)) {
+      outcomes.push({ tenantId, skipped: tenant ? 'suspended' : 'not_found' });
+      continue;
+    }
+    __tenantOverride_ = { tenant };
+    try {
+      outcomes.push({ tenantId, result: fn(tenant) });
+    } catch (error) {
+      logError_('runForEachTenant_', error, { tenantId });
+      outcomes.push({ tenantId, error: error.message || String(error) });
+    } finally {
+      __tenantOverride_ = null;
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * DB の中身を載せる ScriptCache の key を学校ごとに分ける。 テナントの外ではそのまま。
+ * @param {string} key
+ * @returns {string}
+ */
+function tenantCacheKey_(key) {
+  const tenant = getCurrentTenant_();
+  return tenant ? `t:${tenant.id}:${key}` : key;
+}
+
+/**
+ * email の学校での管理者判定。 どの学校にも属さなければ null (呼び出し側がグローバルの ADMIN_EMAIL で判定)。
+ * @param {string} email
+ * @returns {boolean|null}
+ */
+function isTenantAdministrator_(email) {
+  const tenant = getTenantForEmail_(email);
+  if (!tenant) return null;
+  if (tenant.suspended) return false;
+  return tenant.adminEmails.includes(String(email || '').trim().toLowerCase());
+}
+
+/**
+ * 呼び出し元の学校が停止中か。 openDatabase が DB を開く前に見る。
+ * @returns {boolean}
+ */
+function isCurrentTenantSuspended_() {
+  const tenant = getCurrentTenant_();
+  return Boolean(tenant && tenant.suspended);
+}
+
+/**
+ * SA pool のうち、 今のテナントが使ってよいスロット番号。 制限なしなら null。
+ * @returns {Array<number>|null}
+ */
+function getTenantServiceAccountSlots_() {
+  const tenant = getCurrentTenant_();
+  return tenant && tenant.saSlots.length > 0 ? tenant.saSlots : null;
+}
+
+/**
+ * デプロイ全体を触る操作 (setupApp・Script Properties・SA pool・アプリ停止・テナント管理) の gate。
+ * 学校の管理者は通さない。
+ * @returns {boolean}
+ */
+function isDeploymentAdministrator_() {
+  if (getCurrentTenant_()) return false;
+  const email = getCurrentEmail();
+  return Boolean(email) && isAdministrator(email);
+}
+
+// ── 提供・停止 (super-admin) ─────────────────────────────────
+
+function __listStringInput_(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,、]+/);
+  return Array.from(new Set(list.map((v) => String(v || '').trim().toLowerCase()).filter(Boolean)));
+}
+
+function __validateTenantSpec_(spec, existing, index) {
+  const tenantId = String(spec.id || '').trim().toLowerCase();
+  if (!TENANT_ID_PATTERN.test(tenantId)) {
+    return { error: 'id は英小文字・数字・ハイフン (2〜40 文字) で指定してください' };
+  }
+
+  const domains = __listStringInput_(spec.domains !== undefined ? spec.domains : existing && existing.domains)
+    .map((d) => d.replace(/^@/, ''));
+  if (domains.length === 0 || domains.length > TENANT_MAX_DOMAINS) {
+    return { error: `ドメインは 1〜${TENANT_MAX_DOMAINS} 個で指定してください` };
+  }
+  if (domains.some((d) => !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(d))) {
+    return { error: 'ドメインの形式が不正です' };
+  }
+  const globalAdmin = getCachedProperty('ADMIN_EMAIL');
+  const superDomain = globalAdmin ? extractDomainSafely(globalAdmin) : null;
+  if (superDomain && domains.includes(superDomain)) {
+    return { error: `${superDomain} はデプロイ管理者のドメインなので、 学校には割り当てられません` };
+  }
+  const claimed = domains.find((d) => index[d] && index[d] !== tenantId);
+  if (claimed) return { error: `${claimed} は別の学校 (${index[claimed]}) に割り当て済みです` };
+
+  const databaseId = String(spec.databaseId !== undefined ? spec.databaseId : (existing && existing.databaseId) || '').trim();
+  if (!/^[a-zA-Z0-9-_]{40,60}$/.test(databaseId)) {
+    return { error: 'データベーススプレッドシートIDの形式が不正です' };
+  }
+  if (databaseId === getCachedProperty('DATABASE_SPREADSHEET_ID')) {
+    return { error: 'デプロイ全体の DB は学校の DB にできません' };
+  }
+  const sharedWith = Object.values(index).find((otherId) => otherId !== tenantId
+    && (getTenantById_(otherId) || {}).databaseId === databaseId);
+  if (sharedWith) return { error: `その DB は別の学校 (${sharedWith}) が使っています` };
+
+  const adminEmails = __listStringInput_(spec.adminEmails !== undefined ? spec.adminEmails : existing && existing.adminEmails);
+  if (adminEmails.length === 0 || adminEmails.length > TENANT_MAX_ADMINS) {
+    return { error: `管理者は 1〜${TENANT_MAX_ADMINS} 人で指定してください` };
+  }
+  // 管理者は学校のドメインの人に限る (他ドメインの人は別のテナントに解決され、 ここの管理者になれない)。
+  const invalidAdmin = adminEmails.find((e) => !validateEmail(e).isValid || !domains.includes(extractDomainSafely(e)));
+  if (invalidAdmin) return { error: `${invalidAdmin} は学校のドメインのメールアドレスではありません` };
+
+  const saSlots = Array.from(new Set(
+    (spec.saSlots !== undefined ? __listStringInput_(spec.saSlots) : (existing && existing.saSlots) || []).map(Number)
+  )).sort((a, b) => a - b);
+  if (saSlots.some((n) => !Number.isInteger(n) || n < 1 || n > TENANT_SA_SLOT_MAX)) {
+    return { error: `SA スロットは 1〜${TENANT_SA_SLOT_MAX} の番号で指定してください` };
+  }
+
+  return {
+    tenant: {
+      id: tenantId,
+      name: String(spec.name || (existing && existing.name) || tenantId).trim().slice(0, 100),
+      domains,
+      databaseId,
+      adminEmails,
+      saSlots,
+      suspended: existing ? existing.suspended : false,
+      suspendedReason: existing ? existing.suspendedReason : '',
+      updatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// 監査ログには管理者のメールを残さず人数だけ。
+function __summarizeTenantForAudit_(tenant) {
+  if (!tenant) return null;
+  return {
+    name: tenant.name,
+    domains: tenant.domains,
+    databaseId: tenant.databaseId,
+    adminCount: tenant.adminEmails.length,
+    saSlots: tenant.saSlots,
+    suspended: tenant.suspended
+  };
+}
+
+function __writeTenant_(tenant) {
+  const record = { ...tenant };
+  delete record.id;
+  setCachedProperty(__tenantPropertyKey_(tenant.id), JSON.stringify(record));
+}
+
+/**
+ * 全テナントの一覧 (super-admin 専用)。
+ * @returns {Object} { success, data: { tenants } }
+ */
+function listTenants() {
+  try {
+    if (!isDeploymentAdministrator_()) return createAdminRequiredError();
+    const ids = Array.from(new Set(Object.values(__readTenantIndex_())));
+    const tenants = ids.map(getTenantById_).filter(Boolean)
+      .sort((a, b) => a.id.localeCompare(b.id));
+    return createSuccessResponse('listed', { tenants });
+  } catch (error) {
+    logError_('listTenants', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * テナントを作る / 設定を変える (id で upsert)。 DB SS に SA を共有し、 必要なシートを作る。
+ *
+ * @param {Object} spec
+ * @param {string} spec.id - 英小文字・数字・ハイフン
+ * @param {string} [spec.name] - 表示名 (学校名)
+ * @param {Array<string>|string} spec.domains
+ * @param {string} spec.databaseId - 学校の DB SS (空のものを用意しておく)
+ * @param {Array<string>|string} spec.adminEmails - 学校のドメインの人
+ * @param {Array<number>|string} [spec.saSlots] - 使う SA スロット番号 (省略 = 全スロット)
+ * 更新時に省略した項目は今の値を引き継ぐ。
+ * @returns {Object} { success, data: { tenant } }
+ */
+function provisionTenant(spec) {
+  if (!isDeploymentAdministrator_()) return createAdminRequiredError();
+  if (!spec || typeof spec !== 'object') return createErrorResponse('tenant (object) is required');
+
+  const lock = LockService.getScriptLock();
+  try {
+    if (!lock.tryLock(10000)) {
+      return createErrorResponse('ほかの管理操作と重なりました。 もう一度お試しください');
+    }
+    const index = __readTenantIndex_();
+    const existing = getTenantById_(String(spec.id || '').trim().toLowerCase());
+    const validated = __validateTenantSpec_(spec, existing, index);
+    if (validated.error) return createErrorResponse(validated.error);
+    const tenant = validated.tenant;
+
+    // 学校の SA スロット (指定なしなら全スロット) を DB の editor にし、 シートを揃える。
+    const slotAccounts = typeof getAllServiceAccounts_ === 'function'
+      ? getAllServiceAccounts_({ slots: tenant.saSlots.length > 0 ? tenant.saSlots : null })
+      : [];
+    if (slotAccounts.length === 0) {
+      return createErrorResponse('指定した SA スロットに有効なサービスアカウントがありません');
+    }
+    slotAccounts.forEach((sa) => __ensureDatabaseSheets_(tenant.databaseId, sa));
+
+    __writeTenant_(tenant);
+    Object.keys(index).forEach((domain) => {
+      if (index[domain] === tenant.id) delete index[domain];
+    });
+    tenant.domains.forEach((domain) => { index[domain] = tenant.id; });
+    setCachedProperty(TENANT_DOMAIN_INDEX_KEY, JSON.stringify(index));
+    resetTenantMemo_();
+
+    recordAuditEvent_(existing ? 'tenant.update' : 'tenant.provision', {
+      target: `tenant:${tenant.id}`,
+      before: __summarizeTenantForAudit_(existing),
+      after: __summarizeTenantForAudit_(tenant)
+    });
+    return createSuccessResponse(existing ? 'updated' : 'provisioned', { tenant });
+  } catch (error) {
+    logError_('provisionTenant', error);
+    return createExceptionResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function __setTenantSuspended_(tenantId, suspended, reason) {
+  if (!isDeploymentAdministrator_()) return createAdminRequiredError();
+  try {
+    const before = getTenantById_(String(tenantId || '').trim().toLowerCase());
+    if (!before) return createErrorResponse('Tenant not found');
+    if (before.suspended === suspended) {
+      return createErrorResponse(suspended ? 'すでに停止しています' : '停止していません');
+    }
+    const after = {
+      ...before,
+      suspended,
+      suspendedReason: suspended ? String(reason || '').trim().slice(0, 200) : '',
+      updatedAt: new Date().toISOString()
+    };
+    __writeTenant_(after);
+    resetTenantMemo_();
+    recordAuditEvent_(suspended ? 'tenant.suspend' : 'tenant.resume', {
+      target: `tenant:${after.id}`,
+      before: { suspended: before.suspended },
+      after: { suspended: after.suspended, reason: after.suspendedReason || null }
+    });
+    return createSuccessResponse(suspended ? 'suspended' : 'resumed', { tenant: after });
+  } catch (error) {
+    logError_('setTenantSuspended', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * テナントを停止する。 学校の人は DB を開けなくなり、 ページには停止中の案内が出る。 データは消さない。
+ * @param {string} tenantId
+ * @param {string} [reason]
+ */
+function suspendTenant(tenantId, reason) {
+  return __setTenantSuspended_(tenantId, true, reason);
+}
+
+/**
+ * 停止したテナントを再開する。
+ * @param {string} tenantId
+ */
+function resumeTenant(tenantId) {
+  return __setTenantSuspended_(tenantId, false, '');
+}
@@ -3,13 +3,19 @@
  *   認証ショートカット、emailToShortHash（仮名化）。
  */
 
-/* global PROPERTY_CACHE_TTL, getCurrentEmail, isAdministrator, getUserConfig */
+/* global PROPERTY_CACHE_TTL, getCurrentEmail, isAdministrator, getUserConfig, getTenantScopedProperty_, tenantPropertyWriteKey_ */
 
 const RUNTIME_PROPERTIES_CACHE = {};
 const MAX_CACHE_SIZE = 50; // 最大キャッシュエントリ数
 
 // PropertiesService のメモリキャッシュ付きアクセス（30秒 TTL / 最大 50 エントリ LRU）。
 function getCachedProperty(key) {
+  // テナント (TenantService.js) の人には学校の DB / 管理者 / ルールを返す。
+  if (typeof getTenantScopedProperty_ === 'function') {
+    const scoped = getTenantScopedProperty_(key);
+    if (scoped !== undefined) return scoped;
+  }
+
   const now = Date.now();
   const cached = RUNTIME_PROPERTIES_CACHE[key];
 
@@ -68,6 +74,7 @@ function clearPropertyCache(key = null) {
  * @param {string} value - プロパティ値
  */
 function setCachedProperty(key, value) {
+  if (typeof tenantPropertyWriteKey_ === 'function') key = tenantPropertyWriteKey_(key);
   PropertiesService.getScriptProperties().setProperty(key, value);
   delete RUNTIME_PROPERTIES_CACHE[key];
 }
@@ -299,10 +306,14 @@ const DEFAULT_DISPLAY_SETTINGS = { showNames: false, showReactions: false, theme
  *      DB に元メアドは残るため、教師端末では同一児童の追跡が可能。
  *      児童端末側に送る wire ペイロードは showNames=false なら名前/メアド除去 + emailHash のみ。
  *
+ *      scope を渡すとその文字列を digest 入力に混ぜる。授業アーカイブの studentKey は
+ *      lessonId を scope にし、授業をまたいだ同一児童の突き合わせをできなくする。
+ *
  * @param {string} email - メールアドレス
+ * @param {string} [scope] - 仮名の有効範囲 (省略時はスクリプト全体で共通)
  * @returns {string|null} 8文字hex、入力空ならnull
  */
-function emailToShortHash(email) {
+function emailToShortHash(email, scope) {
   if (!email || typeof email !== 'string') return null;
   const trimmed = email.trim().toLowerCase();
   if (!trimmed) return null;
@@ -339,7 +350,7 @@ function emailToShortHash(email) {
   try {
     const bytes = Utilities.computeDigest(
       Utilities.DigestAlgorithm.SHA_1,
-      salt + ':' + trimmed,
+      scope ? salt + ':' + scope + ':' + trimmed : salt + ':' + trimmed,
       Utilities.Charset.UTF_8
     );
     // 4 bytes → 8 hex chars
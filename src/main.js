@@ -3,7 +3,7 @@
  *   isAdministrator、レトライ/バッチ認証ユーティリティ。
  */
 
-/* global VALIDATOR_BOARD_MODES, migrateLegacyProfilesToLesson_, createErrorResponse, createSuccessResponse, createAuthError, createUserNotFoundError, createAdminRequiredError, createExceptionResponse, hasCoreSystemProps, getUserSheetData, addReaction, toggleHighlight, findUserByEmail, findUserById, findPublishedBoardOwner, getConfigOrDefault, getCachedProperty, enhanceConfigWithDynamicUrls, shouldEnforceDomainRestrictions, validateDomainAccess, dispatchAdminOperation, timingSafeEqual, setCachedProperty, getQuestionText, getWebAppUrl, publishApp, getLessonForReview, isBoardCollaborator */
+/* global VALIDATOR_BOARD_MODES, migrateLegacyProfilesToLesson_, createErrorResponse, createSuccessResponse, createAuthError, createUserNotFoundError, createAdminRequiredError, createExceptionResponse, hasCoreSystemProps, getUserSheetData, addReaction, toggleHighlight, findUserByEmail, findUserById, findPublishedBoardOwner, getConfigOrDefault, getCachedProperty, enhanceConfigWithDynamicUrls, shouldEnforceDomainRestrictions, validateDomainAccess, dispatchAdminOperation, timingSafeEqual, setCachedProperty, getQuestionText, getWebAppUrl, publishApp, getLessonForReview, isBoardCollaborator, hasRoleAccess_, submitBoardAnswer, isTenantAdministrator_ */
 // isAdministrator は本ファイル内で関数として定義されているため /* global */ には載せない。
 
 /**
@@ -131,7 +131,9 @@ function doGet(e) {
       return createAccessRestrictedTemplate(
         currentEmail,
         false,
-        '管理者と同一ドメインのアカウントでアクセスしてください。'
+        domainRestriction.reason === 'tenant_suspended'
+          ? 'この学校での利用は停止されています。教育委員会の担当者にお問い合わせください。'
+          : '管理者と同一ドメインのアカウントでアクセスしてください。'
       );
     }
 
@@ -258,6 +260,13 @@ function handleAppSetupMode_(params, currentEmail) {
   return template.evaluate().setTitle('システム設定');
 }
 
+// ?class=5-1 で開いたボードはそのクラスの回答だけを出す (複数クラスで同じ授業をするときの、クラスごとのプロジェクター用)。
+//   ボード上のクラス選択と同じ表示の絞り込みで、見える範囲は広げない。値は長さだけ整える。
+function pinnedClassFromParams_(params) {
+  const raw = (params && typeof params.class === 'string') ? params.class.trim() : '';
+  return raw && raw !== 'すべて' ? raw.slice(0, 50) : null;
+}
+
 function handleViewMode_(params, currentEmail) {
   if (!currentEmail) {
     return createRedirectTemplate('ErrorBoundary.html', 'ログインが必要です。トップページに戻ってログインしてください。');
@@ -288,13 +297,22 @@ function handleViewMode_(params, currentEmail) {
     return template.evaluate().setTitle('未公開');
   }
 
-  if (!isPublished) {
+  // 役割 (RoleService: school_admin / grade_leader / observer) を持つ人は範囲内の先生のボードを
+  //   未公開でも読める。 進行操作はさせないので isEditor は立てない。
+  const isRoleViewer = !isAdminUser && !isOwnBoard
+    && (typeof hasRoleAccess_ === 'function' && hasRoleAccess_(currentEmail, targetUser, 'viewBoard'));
+
+  if (!isPublished && !isRoleViewer) {
     const template = HtmlService.createTemplateFromFile('Unpublished.html');
     template.isEditor = isAdminUser || isOwnBoard;
     template.editorName = targetUser.userName || targetUser.userEmail || '';
     template.userId = targetUserId;
     const baseUrl = getWebAppUrl();
-    template.boardUrl = baseUrl ? `${baseUrl}?mode=view&userId=${targetUserId}` : '';
+    const pinnedClass = pinnedClassFromParams_(params);
+    // 公開後に開き直すプロジェクターも同じクラスのボードに戻す
+    template.boardUrl = baseUrl
+      ? `${baseUrl}?mode=view&userId=${targetUserId}` + (pinnedClass ? `&class=${encodeURIComponent(pinnedClass)}` : '')
+      : '';
     return template.evaluate().setTitle('未公開');
   }
 
@@ -328,6 +346,7 @@ function handleViewMode_(params, currentEmail) {
     formUrl: config.formUrl || '',
     showDetails: config.showDetails !== false,
     displaySettings: config.displaySettings || DEFAULT_DISPLAY_SETTINGS,
+    pinnedClass: pinnedClassFromParams_(params),
     // 表示モードの許可値。validators.js の BOARD_MODES を唯一の定義とし、
     //   client 側に一覧をコピーしないための注入。
     boardModes: VALIDATOR_BOARD_MODES
@@ -500,6 +519,22 @@ function doPostHandleToggleHighlight(request) {
   return toggleHighlight(request.userId, request.rowId);
 }
 
+/**
+ * submitAnswer ハンドラ — ボードの入力パネルからの直接回答 (フォームを経由しない)。
+ *   有効化フラグ・1 人 1 回答・本文検証は submitBoardAnswer が行う。 ここでは payload の型だけ見る。
+ * @param {Object} request - { userId, answer: { answer, reason?, class?, name?, numericX?, numericY? } }
+ * @returns {Object} response
+ */
+function doPostHandleSubmitAnswer(request) {
+  if (!request.userId || typeof request.userId !== 'string' || !request.userId.trim()) {
+    return createErrorResponse('Target user ID required for answer submission');
+  }
+  if (!isPlainObject(request.answer)) {
+    return createErrorResponse('Answer payload must be a JSON object');
+  }
+  return submitBoardAnswer(request.userId, request.answer);
+}
+
 /**
  * publishApp ハンドラ — ボード公開（owner 認証は publishApp 内で行う）。
  */
@@ -620,11 +655,12 @@ function doPost(e) {
     // (3) 各 case 内で request fields の input validation を必ず行うこと（CLAUDE.md より）。
     //   - getData / refreshData : 公開ボードの閲覧（ドメイン認証のみ、API key 不要）
     //   - addReaction / toggleHighlight : 児童/教師の interaction（rowId validate 必須）
+    //   - submitAnswer : ボードからの直接回答（教師が有効にしたボードのみ、本文は validateText）
     //   - publishApp : ボード公開（owner 認証 + etag conflict 検出）
     //   - adminApi : 管理者全 op（APIキー + timingSafeEqual 比較）
     //   - setupApiKey : 初回 APIキー設定（一度だけ、管理者のみ）
     //   - reportClientError : フロントエンドエラー → Cloud Logging へ
-    const allowedActions = ['getData', 'addReaction', 'toggleHighlight', 'refreshData', 'publishApp', 'adminApi', 'setupApiKey', 'reportClientError'];
+    const allowedActions = ['getData', 'addReaction', 'toggleHighlight', 'submitAnswer', 'refreshData', 'publishApp', 'adminApi', 'setupApiKey', 'reportClientError'];
     if (!allowedActions.includes(action)) {
       return jsonResponse({
         success: false,
@@ -735,6 +771,7 @@ const DO_POST_ACTION_HANDLERS = {
   refreshData: (req, email, action) => doPostHandleGetData(req, email, action),
   addReaction: (req) => doPostHandleAddReaction(req),
   toggleHighlight: (req) => doPostHandleToggleHighlight(req),
+  submitAnswer: (req) => doPostHandleSubmitAnswer(req),
   publishApp: (req) => doPostHandlePublishApp(req),
   reportClientError: (req, email) => handleClientErrorReport(email, req.payload)
 };
@@ -877,6 +914,10 @@ function isAdministrator(email) {
   }
 
   try {
+    // 学校 (TenantService.js) の人は、 その学校の管理者の一覧で判定する。
+    const tenantAdmin = typeof isTenantAdministrator_ === 'function' ? isTenantAdministrator_(email) : null;
+    if (tenantAdmin !== null) return tenantAdmin;
+
     const adminEmail = getCachedProperty('ADMIN_EMAIL');
     if (!adminEmail) {
       console.warn('isAdministrator: ADMIN_EMAIL設定が見つかりません');
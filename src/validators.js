@@ -29,7 +29,11 @@ const BOARD_MODES = Object.freeze([
   Object.freeze({ key: 'numberline', label: '数直線',                 templateable: true,  requires: Object.freeze(['numericX']) }),
   Object.freeze({ key: 'matrix',     label: 'マトリクス（散布図）',   templateable: true,  requires: Object.freeze(['numericX', 'numericY']) }),
   Object.freeze({ key: 'wordcloud',  label: 'ワードランキング',       templateable: false, requires: Object.freeze(['answer']) }),
-  Object.freeze({ key: 'pie',        label: '円グラフ',               templateable: true,  requires: Object.freeze(['answer']) })
+  Object.freeze({ key: 'pie',        label: '円グラフ',               templateable: true,  requires: Object.freeze(['answer']) }),
+  Object.freeze({ key: 'ranking',    label: 'ランキング',             templateable: true,  requires: Object.freeze(['answer']) }),
+  Object.freeze({ key: 'qa',         label: 'Q&A（質問箱）',          templateable: true,  requires: Object.freeze(['answer']) }),
+  Object.freeze({ key: 'cluster',    label: 'グループ分け（似た意見）', templateable: false, requires: Object.freeze(['answer']) }),
+  Object.freeze({ key: 'distribution', label: '分布（ヒストグラム・箱ひげ図）', templateable: false, requires: Object.freeze(['numericX']) })
 ]);
 
 // boardMode の許可値。BOARD_MODES から導出するので単独で編集しない。
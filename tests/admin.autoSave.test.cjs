@@ -113,7 +113,7 @@ test('表示モードの一覧は validators.js の BOARD_MODES 1 箇所だけ
   // 唯一の定義が存在する
   assert.match(VALIDATORS, /const BOARD_MODES = Object\.freeze\(\[/,
     'validators.js に BOARD_MODES の定義が無い');
-  for (const key of ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie']) {
+  for (const key of ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie', 'ranking', 'qa', 'cluster', 'distribution']) {
     assert.ok(VALIDATORS.includes(`key: '${key}'`), `BOARD_MODES に ${key} が無い`);
   }
 
@@ -44,7 +44,7 @@ function loadConfigContext(overrides = {}) {
     SYSTEM_LIMITS: { PREVIEW_LENGTH: 100, DEFAULT_PAGE_SIZE: 20, MAX_PAGE_SIZE: 100 },
     DEFAULT_DISPLAY_SETTINGS: { showNames: false, showReactions: true, theme: 'default', pageSize: 20 },
     validateConfig: () => ({ isValid: true, sanitized: {}, errors: [] }),
-    VALIDATOR_BOARD_MODES: ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie'],
+    VALIDATOR_BOARD_MODES: ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie', 'ranking', 'qa', 'cluster', 'distribution'],
     CacheService: { getScriptCache: () => ({ get: () => null, put: () => {}, remove: () => {}, removeAll: () => {} }) },
     PropertiesService: { getScriptProperties: () => ({ getProperty: () => null }) },
     getCachedProperty: () => null,
@@ -326,6 +326,30 @@ test('setUserConfig: preserves boardMode through sanitization pipeline', () => {
   assert.equal(saved.displaySettings.boardMode, 'numberline');
 });
 
+test('setUserConfig: 保存前後の config を監査ログに渡す', () => {
+  const events = [];
+  const ctx = loadAdminContext({ recordAuditEvent_: (operation, fields) => { events.push({ operation, ...fields }); return true; } });
+  ctx.dispatchAdminOperation('setUserConfig', {
+    userId: 'u1', patch: { displaySettings: { boardMode: 'numberline' } }
+  });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].operation, 'setUserConfig');
+  assert.equal(events[0].targetUserId, 'u1');
+  assert.equal(events[0].before.displaySettings.boardMode, 'auto');
+  assert.equal(events[0].after.displaySettings.boardMode, 'numberline');
+});
+
+test('setUserConfig: 保存に失敗した patch は監査ログに残さない', () => {
+  const events = [];
+  const ctx = loadAdminContext({
+    recordAuditEvent_: (operation) => { events.push(operation); return true; },
+    saveUserConfig: () => ({ success: false, message: 'quota' })
+  });
+  const res = ctx.dispatchAdminOperation('setUserConfig', { userId: 'u1', patch: { allowResubmit: true } });
+  assert.equal(res.success, false);
+  assert.equal(events.length, 0);
+});
+
 // (boardMode invalid-value rejection is tested at the validators.js layer in
 //  tests/validators.test.cjs, since saveUserConfig is stubbed at this layer.)
 
@@ -370,6 +394,22 @@ test('bulkSetUserConfig: applies patch to matched users', () => {
   assert.equal(ctx.__savedConfigs.size, 1);
 });
 
+test('bulkSetUserConfig: 対象ユーザーごとに 1 イベント、監査ログの追記は 1 回にまとめる', () => {
+  const batches = [];
+  const ctx = loadAdminContext({ recordAuditEvents_: (events) => { batches.push(events); return true; } });
+  ctx.getAdminUsers = () => ({ success: true, users: ctx.getAllUsers() });
+  ctx.dispatchAdminOperation('bulkSetUserConfig', {
+    patch: { allowResubmit: true },
+    filter: { isActive: true }
+  });
+  assert.equal(batches.length, 1);
+  assert.deepEqual(Array.from(batches[0], (e) => [e.operation, e.targetUserId]), [
+    ['bulkSetUserConfig', 'u1'], ['bulkSetUserConfig', 'u2']
+  ]);
+  assert.equal(batches[0][0].before.allowResubmit, undefined);
+  assert.equal(batches[0][0].after.allowResubmit, true);
+});
+
 test('bulkSetUserConfig: rejects non-object patch', () => {
   const ctx = loadAdminContext();
   const res = ctx.dispatchAdminOperation('bulkSetUserConfig', { patch: null });
@@ -536,6 +576,17 @@ test('createForm: matrix template also sets boardMode', () => {
   assert.equal(saved.displaySettings.boardMode, 'matrix');
 });
 
+test('createForm: ranking template also sets boardMode (templateable モードは列挙不要)', () => {
+  const ctx = loadAdminContext();
+  const res = ctx.dispatchAdminOperation('createForm', {
+    userId: 'u1', templateType: 'ranking'
+  });
+  assert.equal(res.success, true);
+  assert.equal(res.data.templateType, 'ranking');
+  const saved = ctx.__savedConfigs.get('u1').config;
+  assert.equal(saved.displaySettings.boardMode, 'ranking');
+});
+
 test('createForm: invalid templateType falls back to board', () => {
   const ctx = loadAdminContext();
   const res = ctx.dispatchAdminOperation('createForm', {
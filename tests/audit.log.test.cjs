@@ -0,0 +1,140 @@
+/**
+ * AuditLogService (audit_log シートへの追記と getAuditLog の絞り込み) のテスト。
+ *
+ * Why: 監査ログは「1 イベント 1 行・追記のみ」と「書けなくても本来の操作を止めない」の
+ *      2 つが崩れると意味を失う。DB SS は SA proxy 相当の appendRows を持つ fake で差し替える。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('path');
+const vm = require('vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+const HEADERS = ['timestamp', 'actorHash', 'operation', 'targetUserId', 'lessonId', 'target', 'diffJson'];
+
+// SA proxy と同じ面だけ持つ fake: appendRows は 1 呼び出し = 連続範囲、getRange は範囲読み。
+function fakeDatabase({ rows = [], failAppend = false } = {}) {
+  const sheetRows = [HEADERS.slice(), ...rows];
+  const appendCalls = [];
+  const sheet = {
+    getName: () => 'audit_log',
+    getLastRow: () => sheetRows.length,
+    appendRows: (values) => {
+      if (failAppend) throw new Error('429 quota');
+      appendCalls.push(values);
+      const startRow = sheetRows.length + 1;
+      values.forEach((v) => sheetRows.push(v));
+      return { startRow, rowCount: values.length };
+    },
+    getRange: (row, col, numRows) => ({
+      getValues: () => sheetRows.slice(row - 1, row - 1 + numRows)
+    })
+  };
+  const spreadsheet = {
+    getSheets: () => [sheet],
+    getSheetByName: (name) => (name === 'audit_log' ? sheet : null)
+  };
+  return { spreadsheet, sheetRows, appendCalls };
+}
+
+function loadAuditContext({ db = fakeDatabase(), email = 'admin@example.com', isAdmin = true } = {}) {
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    ...gasResponseStubs(),
+    AUDIT_LOG_SHEET_HEADERS: HEADERS,
+    openDatabase: () => db.spreadsheet,
+    __dbSheetExists_: (ss, name) => ss.getSheets().some((s) => s.getName() === name),
+    getCurrentEmail: () => email,
+    emailToShortHash: (e) => (e ? 'h_' + String(e).split('@')[0] : null),
+    requireAdmin: () => (isAdmin ? { email, isAdmin: true } : null)
+  };
+  vm.createContext(context);
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/AuditLogService.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'AuditLogService.js' });
+  return { ctx: context, db };
+}
+
+function row(timestamp, operation, fields = {}) {
+  return [timestamp, fields.actorHash || 'h_admin', operation, fields.targetUserId || '', fields.lessonId || '', fields.target || '', '{}'];
+}
+
+// ── 追記 ──────────────────────────────────────────────────────
+
+test('recordAuditEvents_: N イベントを 1 回の appendRows で N 行として書く', () => {
+  const { ctx, db } = loadAuditContext();
+  const ok = ctx.recordAuditEvents_([
+    { operation: 'bulkSetUserConfig', targetUserId: 'u1', before: { a: 1, etag: 'x' }, after: { a: 2, etag: 'y' } },
+    { operation: 'bulkSetUserConfig', targetUserId: 'u2', before: { a: 1 }, after: { a: 1, b: true } }
+  ]);
+  assert.equal(ok, true);
+  assert.equal(db.appendCalls.length, 1);
+  const [first, second] = db.appendCalls[0];
+  assert.deepEqual(Array.from(first.slice(1, 6)), ['h_admin', 'bulkSetUserConfig', 'u1', '', '']);
+  // etag のような保存ごとに変わるキーは差分に出さない
+  assert.deepEqual(JSON.parse(first[6]), { a: { before: 1, after: 2 } });
+  assert.deepEqual(JSON.parse(second[6]), { b: { before: null, after: true } });
+});
+
+test('recordAuditEvents_: 書込失敗は false を返すだけで throw しない', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ failAppend: true }) });
+  assert.equal(ctx.recordAuditEvent_('clearDataRows', { target: 'ss/sheet', diff: {} }), false);
+});
+
+test('recordAuditEvent_: 実行ユーザーが取れないトリガー実行は actor を system にする', () => {
+  const { ctx, db } = loadAuditContext({ email: '' });
+  ctx.recordAuditEvent_('lesson.end', { targetUserId: 'u1', lessonId: 'lesson_1', diff: {} });
+  assert.equal(db.appendCalls[0][0][1], 'system');
+  assert.equal(db.appendCalls[0][0][4], 'lesson_1');
+});
+
+test('recordAuditEvent_: 1 セル上限を超える diff は変更キー名だけ残す', () => {
+  const { ctx, db } = loadAuditContext();
+  ctx.recordAuditEvent_('setUserConfig', { before: { big: '' }, after: { big: 'x'.repeat(50000) } });
+  assert.deepEqual(JSON.parse(db.appendCalls[0][0][6]), { truncated: true, keys: ['big'] });
+});
+
+// ── 参照 ──────────────────────────────────────────────────────
+
+const SEEDED = [
+  row('2026-04-01T00:00:00.000Z', 'setUserConfig', { targetUserId: 'u1' }),
+  row('2026-04-02T00:00:00.000Z', 'lesson.start', { targetUserId: 'u1', lessonId: 'L1' }),
+  row('2026-04-03T00:00:00.000Z', 'lesson.end', { targetUserId: 'u1', lessonId: 'L1', actorHash: 'h_teacher' }),
+  row('2026-04-04T00:00:00.000Z', 'setUserConfig', { targetUserId: 'u2' })
+];
+
+test('getAuditLog: 新しい順に返し、末尾 . の operation は前方一致', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ rows: SEEDED }) });
+  const res = ctx.getAuditLog({ operation: 'lesson.' });
+  assert.equal(res.success, true);
+  assert.deepEqual(Array.from(res.data.events, (e) => e.operation), ['lesson.end', 'lesson.start']);
+  assert.equal(res.data.events[0].rowIndex, 4);
+});
+
+test('getAuditLog: actorEmail は同じ salt でハッシュ化して照合する', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ rows: SEEDED }) });
+  const res = ctx.getAuditLog({ actorEmail: 'teacher@example.com' });
+  assert.deepEqual(Array.from(res.data.events, (e) => e.operation), ['lesson.end']);
+});
+
+test('getAuditLog: since で打ち切り、limit を超えた分は hasMore で知らせる', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ rows: SEEDED }) });
+  const res = ctx.getAuditLog({ since: '2026-04-02T00:00:00Z', limit: 2 });
+  assert.deepEqual(Array.from(res.data.events, (e) => e.timestamp.slice(0, 10)), ['2026-04-04', '2026-04-03']);
+  assert.equal(res.data.hasMore, true);
+
+  const byUser = ctx.getAuditLog({ targetUserId: 'u2' });
+  assert.equal(byUser.data.count, 1);
+});
+
+test('getAuditLog: 日付として読めない since は拒否する', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ rows: SEEDED }) });
+  assert.equal(ctx.getAuditLog({ since: 'yesterday-ish' }).success, false);
+});
+
+test('getAuditLog: 管理者以外は読めない', () => {
+  const { ctx } = loadAuditContext({ db: fakeDatabase({ rows: SEEDED }), isAdmin: false });
+  const res = ctx.getAuditLog({});
+  assert.equal(res.success, false);
+  assert.match(res.message, /管理者/);
+});
@@ -211,6 +211,30 @@ test('inferColumnRoles: L3 — pie mode boosts answer score (measurable diff vs
   );
 });
 
+test('inferColumnRoles: L3 — ranking mode も answer を後押しし、「アイデア」見出しを answer と推論', () => {
+  const ctx = loadCtx();
+  const headers = ['ts', '実験について気づいたことを書きましょう'];
+  const rankingResult = ctx.inferColumnRoles(headers, [], { boardMode: 'ranking' });
+  const boardResult = ctx.inferColumnRoles(headers, [], { boardMode: 'board' });
+  assert.ok(rankingResult.confidence.answer > boardResult.confidence.answer);
+
+  // createTemplateForm('ranking') が作る見出し構成
+  const tpl = ctx.inferColumnRoles(['タイムスタンプ', 'クラス', '名前', 'あなたのアイデア', '理由・説明'], [], { boardMode: 'ranking' });
+  assert.equal(tpl.mapping.answer, 3);
+  assert.equal(tpl.mapping.reason, 4);
+});
+
+test('inferColumnRoles: qa テンプレートの見出しを answer/reason と推論し、QA_ANSWER 列は system 扱い', () => {
+  const ctx = loadCtx();
+  // createTemplateForm('qa') + setupReactionAndHighlightColumns({ includeQaAnswer }) 後の構成
+  const headers = ['タイムスタンプ', 'クラス', '名前', '先生への質問', 'くわしく（どうしてそう思ったか）',
+    'UNDERSTAND', 'LIKE', 'CURIOUS', 'HIGHLIGHT', 'QA_ANSWER'];
+  const res = ctx.inferColumnRoles(headers, [], { boardMode: 'qa' });
+  assert.equal(res.mapping.answer, 3);
+  assert.equal(res.mapping.reason, 4);
+  assert.ok(!Object.values(res.mapping).includes(9), 'QA_ANSWER が役割列に割り当てられた');
+});
+
 // =====================================================================
 // Enriched output: columns[]
 // =====================================================================
@@ -228,6 +252,99 @@ test('inferColumnRoles: columns[] reports per-column dataType (UI 用)', () => {
   assert.equal(scaleCol.stats.dataType, 'integer-scale');
 });
 
+// =====================================================================
+// L2: continuous-numeric (distribution モード用の測定値・見積もり列)
+// =====================================================================
+
+test('inferColumnRoles: Forms のアップロード列 (Drive URL) を image にし、 「図」 の問いは image にしない', () => {
+  const ctx = loadCtx();
+  const headers = ['タイムスタンプ', '図を見て気づいたことを書きましょう', '観察した植物の写真'];
+  const url = (n) => `https://drive.google.com/open?id=1AbCdEfGhIjKlMnOpQrStUvWx${n}`;
+  const sample = [
+    ['t', '葉のうらに毛がたくさんあった', url(1)],
+    ['t', 'くきが思ったより太かった', url(2)],
+    ['t', '花びらが 5 まいあった', `${url(3)}, ${url(4)}`]
+  ];
+  const r = ctx.inferColumnRoles(headers, sample);
+  assert.equal(r.mapping.answer, 1);
+  assert.equal(r.mapping.image, 2);
+
+  const noData = ctx.inferColumnRoles(headers);
+  assert.equal(noData.mapping.image, undefined, '回答が無い列は見出しだけで image にしない');
+});
+
+test('parseDriveFileIds: Forms の URL 列と bare file ID を ID 配列にする', () => {
+  const ctx = loadCtx();
+  const id = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+  assert.deepEqual(Array.from(ctx.parseDriveFileIds(`https://drive.google.com/open?id=${id}`)), [id]);
+  assert.deepEqual(Array.from(ctx.parseDriveFileIds(`https://drive.google.com/file/d/${id}/view, ${id}`)), [id]);
+  assert.deepEqual(Array.from(ctx.parseDriveFileIds(id)), [id]);
+  assert.equal(ctx.parseDriveFileIds('葉っぱの絵').length, 0);
+  assert.equal(ctx.parseDriveFileIds('https://example.com/open?id=' + id).length, 0);
+  assert.equal(ctx.parseDriveFileIds(42).length, 0);
+});
+
+test('parseNumericAnswer: accepts full-width digits, units and thousands separators', () => {
+  const ctx = loadCtx();
+  assert.equal(ctx.parseNumericAnswer(12.5), 12.5);
+  assert.equal(ctx.parseNumericAnswer('１２．５'), 12.5);
+  assert.equal(ctx.parseNumericAnswer('12.5cm'), 12.5);
+  assert.equal(ctx.parseNumericAnswer('約 300 g'), 300);
+  assert.equal(ctx.parseNumericAnswer('-3.2℃'), -3.2);
+  assert.equal(ctx.parseNumericAnswer('1,200'), 1200);
+  // 日付・範囲・文章は数値扱いしない
+  assert.equal(ctx.parseNumericAnswer('2024/1/1'), null);
+  assert.equal(ctx.parseNumericAnswer('3-5'), null);
+  assert.equal(ctx.parseNumericAnswer('わからない'), null);
+  assert.equal(ctx.parseNumericAnswer(''), null);
+  assert.equal(ctx.parseNumericAnswer(NaN), null);
+});
+
+test('inferColumnRoles: L2 — decimal / unit column is continuous-numeric, not integer-scale', () => {
+  const ctx = loadCtx();
+  const headers = ['タイムスタンプ', '名前', '振り子の長さの予想', '理由'];
+  const sample = [
+    ['t', '山田', '12.5cm', '糸が長いから'],
+    ['t', '佐藤', '30', '前に測ったから'],
+    ['t', '鈴木', '８', 'なんとなくそう思った'],
+    ['t', '高橋', '15.2', '教科書の図を見て'],
+    ['t', '伊藤', '120', '大きく見えたから']
+  ];
+  const r = ctx.inferColumnRoles(headers, sample);
+  const col = r.columns.find(c => c.index === 2);
+  assert.equal(col.stats.dataType, 'continuous-numeric');
+  assert.equal(col.stats.numericMin, 8);
+  assert.equal(col.stats.numericMax, 120);
+  assert.equal(r.numericScaleCandidates.length, 0);
+  assert.equal(r.continuousNumericCandidates.length, 1);
+  assert.equal(r.continuousNumericCandidates[0].index, 2);
+  // 連続値列は線形尺度ではないので、既定モードでは numericX にしない
+  assert.equal(r.mapping.numericX, undefined);
+  assert.equal(r.mapping.name, 1);
+});
+
+test('inferColumnRoles: L3 — distribution mode maps the continuous column to numericX', () => {
+  const ctx = loadCtx();
+  const headers = ['タイムスタンプ', '名前', '振り子の長さの予想', '自信 (1-5)'];
+  const sample = [
+    ['t', '山田', '12.5', 3], ['t', '佐藤', '30.1', 4], ['t', '鈴木', '8', 2],
+    ['t', '高橋', '15.2', 5], ['t', '伊藤', '120', 1]
+  ];
+  const r = ctx.inferColumnRoles(headers, sample, { boardMode: 'distribution' });
+  assert.equal(r.mapping.numericX, 2);
+  assert.ok(r.confidence.numericX >= 70);
+  // distribution は 1 軸なので線形尺度列を numericY に流し込まない
+  assert.equal(r.mapping.numericY, undefined);
+});
+
+test('inferColumnRoles: L3 — distribution mode falls back to an integer-scale column', () => {
+  const ctx = loadCtx();
+  const headers = ['タイムスタンプ', '評価'];
+  const sample = [['t', 1], ['t', 5], ['t', 3], ['t', 4], ['t', 2]];
+  const r = ctx.inferColumnRoles(headers, sample, { boardMode: 'distribution' });
+  assert.equal(r.mapping.numericX, 1);
+});
+
 // =====================================================================
 // Empty inputs
 // =====================================================================
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+const FILE_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+const OTHER_FILE_ID = '1ZzZzZzZzZzZzZzZzZzZzZzZzZz999999';
+
+function createImageSheet(cells) {
+  return {
+    getLastRow: () => cells.length + 1,
+    getRange: (row, col, numRows) => ({
+      getValues: () => cells.slice(row - 2, row - 2 + numRows).map((v) => [v])
+    })
+  };
+}
+
+function loadAnswerImageContext(overrides = {}) {
+  const cacheStore = new Map();
+  const calls = { saFetch: [], ownerRead: [] };
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    URL,
+    ...gasResponseStubs(),
+    getCurrentEmail: () => 'viewer@example.com',
+    isAdministrator: () => false,
+    findPublishedBoardOwner: () => ({ userId: 'owner-1', userEmail: 'owner@example.com' }),
+    getConfigOrDefault: () => ({
+      spreadsheetId: 'ss-1',
+      sheetName: 'フォームの回答 1',
+      columnMapping: { answer: 1, image: 2 }
+    }),
+    canActOnTargetBoard: (email, owner, config, opts = {}) => !opts.requireEditor,
+    openSpreadsheet: () => ({
+      spreadsheet: {
+        getSheetByName: () => createImageSheet([
+          `https://drive.google.com/open?id=${FILE_ID}`,
+          ''
+        ])
+      }
+    }),
+    parseDriveFileIds: (raw) => (typeof raw === 'string'
+      ? Array.from(raw.matchAll(/[\w-]{25,}/g), (m) => m[0])
+      : []),
+    fetchDriveImageViaServiceAccount_: (fileId, opts) => {
+      calls.saFetch.push({ fileId, thumbnail: opts.thumbnail });
+      return { mimeType: 'image/png', bytes: [1, 2, 3] };
+    },
+    addServiceAccountsAsViewers: () => ({ success: true, added: 1, errors: [] }),
+    DriveApp: {
+      getFileById: (fileId) => {
+        calls.ownerRead.push(fileId);
+        return {
+          getMimeType: () => 'image/jpeg',
+          getSize: () => 1000,
+          getParents: () => ({ hasNext: () => false }),
+          getThumbnail: () => ({ getContentType: () => 'image/jpeg', getBytes: () => [9] }),
+          getBlob: () => ({ getContentType: () => 'image/jpeg', getBytes: () => [9, 9] })
+        };
+      }
+    },
+    Utilities: { base64Encode: (bytes) => Buffer.from(bytes).toString('base64') },
+    CacheService: {
+      getScriptCache: () => ({
+        get: (k) => (cacheStore.has(k) ? cacheStore.get(k) : null),
+        put: (k, v) => { cacheStore.set(k, v); },
+        remove: (k) => { cacheStore.delete(k); }
+      })
+    },
+    PropertiesService: { getScriptProperties: () => ({ getProperty: () => null, setProperty: () => {} }) },
+    Session: { getActiveUser: () => ({ getEmail: () => 'viewer@example.com' }) },
+    CACHE_DURATION: { SHORT: 10, MEDIUM: 30, LONG: 300, DATABASE_LONG: 600, FORM_DATA: 30 },
+    ...overrides
+  };
+  vm.createContext(context);
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/DataApis.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'DataApis.js' });
+  return { ctx: context, calls, cacheStore };
+}
+
+// =====================================================================
+// getAnswerImage: 画像回答の取得
+// Why: 閲覧者は Drive 権限を持たないので SA pool 経由で読む。 ボードの画像列に
+//      載っていない fileId は (SA が読めても) 返してはいけない。
+// =====================================================================
+
+test('getAnswerImage: returns a thumbnail data URL via the service account pool', () => {
+  const { ctx, calls } = loadAnswerImageContext();
+  const result = ctx.getAnswerImage('owner-1', FILE_ID);
+  assert.equal(result.success, true);
+  assert.equal(result.dataUrl, 'data:image/png;base64,AQID');
+  assert.equal(calls.saFetch.length, 1);
+  assert.equal(calls.saFetch[0].thumbnail, true);
+});
+
+test('getAnswerImage: rejects a file ID that is not in the board image column', () => {
+  const { ctx, calls } = loadAnswerImageContext();
+  const result = ctx.getAnswerImage('owner-1', OTHER_FILE_ID);
+  assert.equal(result.success, false);
+  assert.equal(calls.saFetch.length, 0);
+});
+
+test('getAnswerImage: rejects a malformed file ID before touching the board', () => {
+  let opened = false;
+  const { ctx } = loadAnswerImageContext({
+    findPublishedBoardOwner: () => { opened = true; return null; }
+  });
+  const result = ctx.getAnswerImage('owner-1', '../etc');
+  assert.equal(result.success, false);
+  assert.equal(opened, false);
+});
+
+test('getAnswerImage: viewers get NOT_SHARED when the upload is not shared with the pool', () => {
+  const { ctx, calls } = loadAnswerImageContext({
+    fetchDriveImageViaServiceAccount_: () => ({ error: 'NOT_SHARED' })
+  });
+  const result = ctx.getAnswerImage('owner-1', FILE_ID, { full: true });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'NOT_SHARED');
+  assert.equal(calls.ownerRead.length, 0);
+});
+
+test('getAnswerImage: editors fall back to reading the upload from their own Drive', () => {
+  const { ctx, calls } = loadAnswerImageContext({
+    canActOnTargetBoard: () => true,
+    fetchDriveImageViaServiceAccount_: () => ({ error: 'NOT_SHARED' })
+  });
+  const result = ctx.getAnswerImage('owner-1', FILE_ID, { full: true });
+  assert.equal(result.success, true);
+  assert.equal(result.dataUrl, 'data:image/jpeg;base64,CQk=');
+  assert.deepEqual(calls.ownerRead, [FILE_ID]);
+});
@@ -123,6 +123,92 @@ test('boardMode: explicit non-auto value is preserved', () => {
   assert.equal(result.displaySettings.boardMode, 'board');
 });
 
+test('distribution: correctValue is sent to the owner but never to student viewers', () => {
+  const ctx = loadDataApisContext();
+  const cfg = { displaySettings: { boardMode: 'distribution' }, columnMapping: { numericX: 2 }, correctValue: 12.5 };
+  const asStudent = ctx.buildSafePublishedDataResult(
+    { data: [{ id: 'row_2', numericX: 11 }], header: 'q', sheetName: 's' },
+    cfg,
+    { isAdmin: false, isOwnBoard: false }
+  );
+  assert.equal(asStudent.displaySettings.boardMode, 'distribution');
+  assert.equal(asStudent.axisConfig.correctValue, undefined, '正解値が児童の端末に漏れない');
+
+  const asOwner = ctx.buildSafePublishedDataResult(
+    { data: [{ id: 'row_2', numericX: 11 }], header: 'q', sheetName: 's' },
+    cfg,
+    { isAdmin: false, isOwnBoard: true }
+  );
+  assert.equal(asOwner.axisConfig.correctValue, 12.5);
+});
+
+test('rubric: per-answer scores reach the owner but are stripped for student viewers', () => {
+  const rubric = { criteria: ['根拠', '具体性'], scale: 4 };
+  const ctx = loadDataApisContext({ sanitizeRubric: (r) => r || null });
+  const cfg = { displaySettings: { boardMode: 'board' }, columnMapping: {}, rubric };
+  const rows = () => [{ id: 'row_2', answer: 'はい', rubric: { count: 2, averages: [3, 2.5], spreads: [], mine: null } }];
+
+  const asStudent = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: false });
+  assert.equal(asStudent.data[0].rubric, undefined, '平均点が児童に漏れない');
+  assert.deepEqual(Array.from(asStudent.rubric.criteria), ['根拠', '具体性'], '採点 UI 用に観点は送る');
+
+  const asOwner = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: true });
+  assert.equal(asOwner.data[0].rubric.count, 2);
+});
+
+test('moderation: held answers are hidden from everyone, and only the owner gets the held count', () => {
+  const ctx = loadDataApisContext();
+  const cfg = { displaySettings: { boardMode: 'board' }, columnMapping: {} };
+  const rows = () => [
+    { id: 'row_2', answer: 'ふつう' },
+    { id: 'row_3', answer: 'ばか', moderation: { status: 'held', matches: ['ばか'] } },
+    { id: 'row_4', answer: '＊＊', moderation: { status: 'masked' } }
+  ];
+
+  const asStudent = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: false });
+  assert.deepEqual(Array.from(asStudent.data, (r) => r.id), ['row_2', 'row_4']);
+  assert.equal(asStudent.data[1].moderation, undefined, '伏せ字の印は児童に残さない');
+  assert.equal(asStudent.moderationHeldCount, 0);
+
+  // 先生の画面 (= 投影画面) にも held は出さない。 件数だけ知らせる。
+  const asOwner = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: true });
+  assert.deepEqual(Array.from(asOwner.data, (r) => r.id), ['row_2', 'row_4']);
+  assert.equal(asOwner.data[1].moderation.status, 'masked');
+  assert.equal(asOwner.moderationHeldCount, 1);
+});
+
+test('pii: names and contacts in answer text are masked unless the owner is in admin mode', () => {
+  const piiCtx = vm.createContext({});
+  vm.runInContext(fs.readFileSync(path.resolve(__dirname, '../src/PiiMaskingService.js'), 'utf8'), piiCtx);
+  const ctx = loadDataApisContext({ buildPiiMatcher_: piiCtx.buildPiiMatcher_, maskPiiInItem_: piiCtx.maskPiiInItem_ });
+  const cfg = { displaySettings: { boardMode: 'board', showNames: false }, columnMapping: {} };
+  const rows = () => [
+    { id: 'row_2', name: '田中 太郎', answer: '賛成', reason: '佐藤さんと同じ' },
+    { id: 'row_3', name: '佐藤 花子', answer: '反対', reason: '090-1234-5678 に電話して聞いた' }
+  ];
+
+  const asStudent = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: false, adminMode: true });
+  assert.deepEqual(Array.from(asStudent.data, (r) => r.reason), ['［名前］さんと同じ', '［電話番号］ に電話して聞いた']);
+
+  // 先生の通常画面 (= 投影画面) も伏せる。 管理モードでだけ元の文。
+  const projector = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: true, adminMode: false });
+  assert.equal(projector.data[0].reason, '［名前］さんと同じ');
+  const adminView = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' }, cfg,
+    { isAdmin: false, isOwnBoard: true, adminMode: true });
+  assert.equal(adminView.data[0].reason, '佐藤さんと同じ');
+
+  // 名前を出すボードでは本文の名前も出す (連絡先は伏せる)
+  const named = ctx.buildSafePublishedDataResult({ data: rows(), header: 'q', sheetName: 's' },
+    { ...cfg, displaySettings: { boardMode: 'board', showNames: true } }, { isAdmin: false, isOwnBoard: false });
+  assert.deepEqual(Array.from(named.data, (r) => r.reason), ['佐藤さんと同じ', '［電話番号］ に電話して聞いた']);
+});
+
 // =====================================================================
 // emailHash inclusion
 // =====================================================================
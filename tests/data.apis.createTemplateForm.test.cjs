@@ -437,6 +437,35 @@ test('createTemplateForm: pie → question を multipleChoice title に + choice
   assert.deepEqual(Array.from(mc.choices), ['正直に話す', '友だちを守る', 'まよう']);
 });
 
+test('createTemplateForm: ranking → アイデア記述 (必須) + 理由・説明 (任意)、選択肢は作らない', () => {
+  const ctx = loadCtx();
+  const res = ctx.createTemplateForm('ranking', { question: '学級目標のアイデアは？' });
+  assert.equal(res.success, true);
+  assert.equal(res.templateType, 'ranking');
+  const items = ctx.__lastForm._state().items;
+  assert.ok(!items.find(i => i.kind === 'mc'), 'ranking は多肢選択を作らない (票が値ごとに割れる)');
+  const idea = items.find(i => i.kind === 'text' && i.title === '学級目標のアイデアは？');
+  assert.ok(idea, 'question が記述式 item の title に入っていない');
+  assert.equal(idea.required, true);
+  const reason = items.find(i => i.kind === 'paragraph');
+  assert.equal(reason.title, '理由・説明');
+  assert.equal(reason.required, false);
+});
+
+test('createTemplateForm: qa → 質問記述 (必須) + くわしく (任意)、既定タイトルは「先生への質問」', () => {
+  const ctx = loadCtx();
+  const res = ctx.createTemplateForm('qa');
+  assert.equal(res.success, true);
+  assert.equal(res.templateType, 'qa');
+  const items = ctx.__lastForm._state().items;
+  assert.ok(!items.find(i => i.kind === 'mc'));
+  const question = items.find(i => i.kind === 'text' && i.title === '先生への質問');
+  assert.ok(question, '質問の記述式 item が無い');
+  assert.equal(question.required, true);
+  const detail = items.find(i => i.kind === 'paragraph');
+  assert.equal(detail.required, false);
+});
+
 test('createTemplateForm: board → question を multipleChoice title に + choices 反映', () => {
   const ctx = loadCtx();
   ctx.createTemplateForm('board', {
@@ -422,6 +422,43 @@ test('getNotificationUpdate: reports hasNewContent=false when no items newer tha
   assert.equal(result.newItemsCount, 0);
 });
 
+test('getNotificationUpdate: reactionSignature は行ごとの票の付け替えも区別する', () => {
+  const rowsWith = (a, b) => [
+    { rowIndex: 2, timestamp: '2026-04-18T10:00:00Z', reactions: { LIKE: { count: a } } },
+    { rowIndex: 3, timestamp: '2026-04-18T10:00:00Z', reactions: { LIKE: { count: b } } },
+    { rowIndex: 4, timestamp: '2026-04-18T10:00:00Z' }
+  ];
+  const sigFor = (rows) => loadDataApisContext({
+    getCurrentEmail: () => 'viewer@example.com',
+    findUserById: () => ({ userId: 'u1', userEmail: 'owner@example.com' }),
+    getConfigOrDefault: () => ({ isPublished: true }),
+    getUserSheetData: () => ({ success: true, data: rows })
+  }).getNotificationUpdate('u1', { lastUpdateTime: '2026-04-19T00:00:00Z' }).reactionSignature;
+
+  const before = sigFor(rowsWith(1, 0));
+  const moved = sigFor(rowsWith(0, 1));
+  assert.equal(typeof before, 'string');
+  assert.notEqual(before, moved, '合計が同じでも行が違えば署名は変わる');
+  assert.equal(sigFor(rowsWith(1, 0)), before, '同じ状態なら同じ署名');
+  assert.ok(!before.includes('4:'), 'リアクションの無い行は署名に含めない');
+});
+
+test('getNotificationUpdate: reactionSignature は Q&A 回答の件数変化も拾う', () => {
+  const sigFor = (qaAnswers) => loadDataApisContext({
+    getCurrentEmail: () => 'viewer@example.com',
+    findUserById: () => ({ userId: 'u1', userEmail: 'owner@example.com' }),
+    getConfigOrDefault: () => ({ isPublished: true }),
+    getUserSheetData: () => ({
+      success: true,
+      data: [{ rowIndex: 2, timestamp: '2026-04-18T10:00:00Z', qaAnswers }]
+    })
+  }).getNotificationUpdate('u1', { lastUpdateTime: '2026-04-19T00:00:00Z' }).reactionSignature;
+
+  assert.equal(sigFor([]), '', '回答もリアクションも無い行は署名に含めない');
+  assert.equal(sigFor([{ id: 'a', text: 'x' }]), '2:0.0.0/1');
+  assert.notEqual(sigFor([{ id: 'a', text: 'x' }]), sigFor([{ id: 'a', text: 'x' }, { id: 'b', text: 'y' }]));
+});
+
 test('getNotificationUpdate: reports hasNewContent=true when items newer than lastUpdateTime', () => {
   const ctx = loadDataApisContext({
     getCurrentEmail: () => 'viewer@example.com',
@@ -500,6 +537,135 @@ test('getNotificationUpdate: owner is NOT cached (reads fresh for immediate edit
   assert.equal(loaderCalls, 1, 'owner must bypass cache and read fresh');
 });
 
+// =====================================================================
+// getBoardDelta — 差分 polling
+// =====================================================================
+
+// 行の読込と ScriptCache を共有する最小の板。 rows を差し替えてから poll する。
+function makeDeltaBoard(initialRows, overrides = {}) {
+  const store = new Map();
+  const board = { rows: initialRows, loaderCalls: 0 };
+  board.ctx = loadDataApisContext({
+    findUserById: () => ({ userId: 'u1', userEmail: 'owner@example.com' }),
+    getConfigOrDefault: () => ({ isPublished: true, displaySettings: { showNames: false }, formUrl: 'https://forms/1', formTitle: '導入' }),
+    safeJsonParse_: (s, fb) => { try { return JSON.parse(s); } catch (_) { return fb; } },
+    logError_: () => {},
+    CacheService: {
+      getScriptCache: () => ({
+        get: (k) => (store.has(k) ? store.get(k) : null),
+        put: (k, v) => { store.set(k, v); },
+        remove: (k) => { store.delete(k); }
+      })
+    },
+    saveToCacheWithSizeCheck: (k, v) => { store.set(k, JSON.stringify(v)); return true; },
+    getUserSheetData: () => { board.loaderCalls++; return { success: true, data: JSON.parse(JSON.stringify(board.rows)) }; },
+    ...overrides
+  });
+  board.store = store;
+  // viewer の board data cache (12 秒) を外して、 rows の差し替えを次の poll で見せる。
+  board.expireBoardCache = () => {
+    for (const k of [...store.keys()]) if (k.indexOf('board_data:') === 0) store.delete(k);
+  };
+  return board;
+}
+
+const deltaRow = (rowIndex, extra = {}) => ({
+  rowIndex,
+  timestamp: `2026-04-18T10:0${rowIndex}:00Z`,
+  opinion: `意見${rowIndex}`,
+  reactions: { LIKE: { count: 0, reacted: false } },
+  highlight: false,
+  ...extra
+});
+
+test('getBoardDelta: 全件読込の cursor と同じなら空の差分だけを返し、 snapshot を読み書きしない', () => {
+  const board = makeDeltaBoard([deltaRow(2), deltaRow(3)]);
+  const full = board.ctx.getPublishedSheetData(null, 'newest', false, 'u1');
+  assert.equal(full.success, true);
+  assert.equal(typeof full.boardCursor, 'string');
+  assert.match(full.boardCursor, /^0\./, 'cursor は getBoardDataVersion_ を頭に持つ');
+
+  const keysBefore = [...board.store.keys()].sort();
+  const delta = board.ctx.getBoardDelta('u1', { cursor: full.boardCursor, sortOrder: 'newest' });
+  assert.equal(delta.success, true);
+  assert.equal(delta.cursor, full.boardCursor);
+  assert.equal(delta.resync, false);
+  assert.deepEqual([delta.added.length, delta.updated.length, delta.changed.length, delta.deleted.length], [0, 0, 0, 0]);
+  assert.deepEqual([...board.store.keys()].sort(), keysBefore);
+  assert.equal(delta.formMeta.formUrl, 'https://forms/1');
+});
+
+test('getBoardDelta: 追加行・本文の変化・票とハイライトだけの変化・削除を分けて返す', () => {
+  const board = makeDeltaBoard([deltaRow(2), deltaRow(3), deltaRow(4)]);
+  const full = board.ctx.getPublishedSheetData(null, 'newest', false, 'u1');
+
+  board.rows = [
+    deltaRow(2, { reactions: { LIKE: { count: 2, reacted: true } }, highlight: true }),
+    deltaRow(3, { opinion: '書き直した意見' }),
+    deltaRow(5)
+  ];
+  board.expireBoardCache();
+  const delta = board.ctx.getBoardDelta('u1', { cursor: full.boardCursor });
+  assert.equal(delta.success, true);
+  assert.notEqual(delta.cursor, full.boardCursor);
+  assert.deepEqual(Array.from(delta.added, r => r.rowIndex), [5]);
+  assert.deepEqual(Array.from(delta.updated, r => r.opinion), ['書き直した意見']);
+  assert.deepEqual(JSON.parse(JSON.stringify(delta.changed)), [{ rowIndex: 2, reactions: { LIKE: 2 }, highlight: true }],
+    '票の変化は数だけ (reacted は閲覧者ごとの値なので載せない)');
+  assert.deepEqual(Array.from(delta.deleted), [4]);
+
+  // 返した cursor が次の基準になる。
+  const next = board.ctx.getBoardDelta('u1', { cursor: delta.cursor });
+  assert.equal(next.cursor, delta.cursor);
+  assert.equal(next.added.length + next.updated.length + next.changed.length + next.deleted.length, 0);
+});
+
+test('getBoardDelta: 差分の行も全件読込と同じく名前を伏せ、 承認待ちの行は追加に数えない', () => {
+  const board = makeDeltaBoard([deltaRow(2, { name: '田中', email: 'tanaka@example.com' })]);
+  const full = board.ctx.getPublishedSheetData(null, 'newest', false, 'u1');
+  board.rows = [
+    deltaRow(2, { name: '田中', email: 'tanaka@example.com' }),
+    deltaRow(3, { name: '佐藤', email: 'sato@example.com' }),
+    deltaRow(4, { moderation: { status: 'held' } })
+  ];
+  board.expireBoardCache();
+  const delta = board.ctx.getBoardDelta('u1', { cursor: full.boardCursor });
+  assert.deepEqual(Array.from(delta.added, r => r.rowIndex), [3]);
+  assert.equal(delta.added[0].name, undefined);
+  assert.equal(delta.added[0].email, undefined);
+  assert.equal(delta.updated.length, 0, '同じ見え方の行は変化なし');
+});
+
+test('getBoardDelta: viewer は getPublishedSheetData と同じ board data cache を共有する', () => {
+  const board = makeDeltaBoard([deltaRow(2)]);
+  const full = board.ctx.getPublishedSheetData(null, 'newest', false, 'u1');
+  board.ctx.getBoardDelta('u1', { cursor: full.boardCursor, sortOrder: 'newest' });
+  assert.equal(board.loaderCalls, 1, 'cache hit なら poll でシートを読まない');
+});
+
+test('getBoardDelta: 基準の snapshot が消えていれば resync、 保存できなければ cursor=null', () => {
+  const board = makeDeltaBoard([deltaRow(2)]);
+  const lost = board.ctx.getBoardDelta('u1', { cursor: '0.gone' });
+  assert.equal(lost.success, true);
+  assert.equal(lost.resync, true);
+  assert.equal(typeof lost.cursor, 'string');
+
+  const tooLarge = makeDeltaBoard([deltaRow(2)], { saveToCacheWithSizeCheck: () => false });
+  const full = tooLarge.ctx.getPublishedSheetData(null, 'newest', false, 'u1');
+  assert.equal(full.boardCursor, null, '保存できない板は従来の通知 polling に戻す');
+  tooLarge.rows = [deltaRow(2), deltaRow(3)];
+  tooLarge.expireBoardCache();
+  assert.equal(tooLarge.ctx.getBoardDelta('u1', { cursor: '0.x' }).cursor, null);
+});
+
+test('getBoardDelta: 未公開ボード・不正な引数は拒否する', () => {
+  const board = makeDeltaBoard([deltaRow(2)], { getConfigOrDefault: () => ({ isPublished: false }) });
+  const denied = board.ctx.getBoardDelta('u1', { cursor: '0.x' });
+  assert.equal(denied.success, false);
+  assert.match(denied.message, /Access denied/);
+  assert.equal(board.ctx.getBoardDelta(null, {}).success, false);
+});
+
 // =====================================================================
 // processFormUrlInput — URL validation (doesn't require FormApp)
 // =====================================================================
@@ -1101,6 +1267,60 @@ test('setupReactionAndHighlightColumns: "UNDERSTANDING YOUR ANSWER" does NOT cou
   assert.deepEqual(added, ['UNDERSTAND', 'LIKE', 'CURIOUS', 'HIGHLIGHT']);
 });
 
+test('setupReactionAndHighlightColumns: includeQaAnswer で QA_ANSWER 列も追加する (既定では追加しない)', () => {
+  const run = (options) => {
+    const addedValues = [];
+    const sheetHeaders = ['Q1', 'UNDERSTAND', 'LIKE', 'CURIOUS', 'HIGHLIGHT'];
+    const sheet = {
+      getLastColumn: () => sheetHeaders.length,
+      getRange: () => ({
+        setValues: (vals) => { addedValues.push(...vals[0]); },
+        setValue: (v) => { addedValues.push(v); },
+        getValues: () => [sheetHeaders]
+      })
+    };
+    const ctx = loadDataApisContext({
+      openSpreadsheet: () => ({ spreadsheet: { getSheetByName: () => sheet } }),
+      getSheetInfo: () => ({ lastCol: sheetHeaders.length, lastRow: 1, headers: [] }),
+      invalidateSheetHeadersCache: () => {},
+      LockService: { getScriptLock: () => ({ tryLock: () => true, releaseLock: () => {} }) }
+    });
+    return { result: ctx.setupReactionAndHighlightColumns('ss-1', 'Sheet1', sheetHeaders, options), addedValues };
+  };
+
+  const qa = run({ includeQaAnswer: true });
+  assert.equal(qa.result.success, true, JSON.stringify(qa.result));
+  assert.deepEqual(Array.from(qa.addedValues), ['QA_ANSWER']);
+
+  const plain = run(undefined);
+  assert.equal(plain.result.alreadyExists, 4);
+  assert.deepEqual(Array.from(plain.addedValues), []);
+});
+
+test('setupReactionAndHighlightColumns: reactionKeys でボード独自語彙の列だけを追加する', () => {
+  const addedValues = [];
+  const sheetHeaders = ['Q1', 'UNDERSTAND', 'LIKE', 'CURIOUS', 'HIGHLIGHT'];
+  const sheet = {
+    getLastColumn: () => sheetHeaders.length,
+    getRange: () => ({
+      setValues: (vals) => { addedValues.push(...vals[0]); },
+      setValue: (v) => { addedValues.push(v); },
+      getValues: () => [sheetHeaders]
+    })
+  };
+  const ctx = loadDataApisContext({
+    openSpreadsheet: () => ({ spreadsheet: { getSheetByName: () => sheet } }),
+    getSheetInfo: () => ({ lastCol: sheetHeaders.length, lastRow: 1, headers: [] }),
+    invalidateSheetHeadersCache: () => {},
+    LockService: { getScriptLock: () => ({ tryLock: () => true, releaseLock: () => {} }) }
+  });
+  const result = ctx.setupReactionAndHighlightColumns('ss-1', 'Sheet1', sheetHeaders, {
+    reactionKeys: ['REACTION_AGREE', 'REACTION_DISAGREE']
+  });
+  assert.equal(result.success, true, JSON.stringify(result));
+  assert.deepEqual(Array.from(addedValues), ['REACTION_AGREE', 'REACTION_DISAGREE']);
+});
+
 test('setupReactionAndHighlightColumns: detects lowercase/whitespace-padded headers', () => {
   const sheet = {
     getRange: () => ({ setValues: () => {}, setValue: () => {} })
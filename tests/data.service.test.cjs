@@ -78,6 +78,7 @@ function loadDataServiceContext(overrides = {}) {
     normalizeHeader: (h) => String(h || '').toLowerCase().trim(),
     extractReactions: () => ({}),
     extractHighlight: () => false,
+    extractQaAnswers: () => [],
     getQuestionText: () => '',
     formatTimestamp: (v) => String(v || ''),
     getCachedProperty: () => null,
@@ -207,6 +208,19 @@ test('invalidateSheetHeadersCache: removes the exact cache key', () => {
   assert.equal(cache._store.has('sheet_rows_ss-1_Sheet1'), true);
 });
 
+test('invalidateSheetHeadersCache: also removes the SA proxy key used by viewer reads', () => {
+  const cache = createMockCache({
+    'sheet_headers_unknown_Sheet1': 'cached-by-viewer',
+    'sheet_headers_unknown_Other': 'other'
+  });
+  const ctx = loadDataServiceContext({ cache });
+
+  ctx.invalidateSheetHeadersCache('ss-1', 'Sheet1');
+
+  assert.equal(cache._store.has('sheet_headers_unknown_Sheet1'), false);
+  assert.equal(cache._store.has('sheet_headers_unknown_Other'), true);
+});
+
 test('invalidateSheetHeadersCache: no-op when either arg is missing', () => {
   const cache = createMockCache({ 'sheet_headers_ss-1_Sheet1': 'cached' });
   const ctx = loadDataServiceContext({ cache });
@@ -521,6 +535,38 @@ test('processBatchData: batch read error is handled gracefully (regression: erro
   assert.equal(result.length, 0, '読めなかったバッチはスキップされ 0 行になる');
 });
 
+test('processBatchData: 画像列は Drive file ID の配列にし、 絵だけの回答も残す', () => {
+  // parseDriveFileIds は ColumnMappingService の本物を使う (Forms の URL 形式ごと検証する)。
+  const cms = { console, normalizeHeader: (h) => String(h || '').toLowerCase().trim() };
+  vm.createContext(cms);
+  vm.runInContext(fs.readFileSync(path.resolve(__dirname, '../src/ColumnMappingService.js'), 'utf8'), cms);
+  const ctx = loadDataServiceContext({
+    resolveColumnIndex: (headers, type, mapping) => ({
+      index: mapping && typeof mapping[type] === 'number' ? mapping[type] : -1
+    }),
+    parseDriveFileIds: cms.parseDriveFileIds
+  });
+  const idA = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+  const idB = '1ZyXwVuTsRqPoNmLkJiHgFeDcBa987654';
+  const headers = ['Timestamp', 'Answer', '写真'];
+  const sheet = createMockSheet({
+    headers,
+    rows: [
+      ['2026-04-21', 'テキスト', ''],
+      ['2026-04-21', '', `https://drive.google.com/open?id=${idA}, https://drive.google.com/open?id=${idB}`],
+      ['2026-04-21', '', idA]
+    ]
+  });
+
+  const result = ctx.processBatchData({
+    sheet, headers, lastRow: 4, lastCol: 3,
+    config: { columnMapping: { answer: 1, image: 2 } },
+    options: {}, user: null, startTime: Date.now()
+  });
+
+  assert.deepEqual(Array.from(result, (r) => Array.from(r.images)), [[], [idA, idB], [idA]]);
+});
+
 // =====================================================================
 // deleteLinkedFormResponseByTimestamp
 // =====================================================================
@@ -0,0 +1,274 @@
+/**
+ * DataSubjectService (児童 1 人のデータの書き出し・削除 / 匿名化) のテスト。
+ *
+ * Why: 「本人のデータが残る」 と 「ほかの児童のデータを消す / 書き出す」 の両方が事故になる。
+ *      ReactionService / ColumnMappingService (列の解決・行ロック) と LessonService / RetentionService
+ *      (アーカイブ・墓標) を同じ vm に読み込み、 ボードは SA proxy と同じ getDataRange / getRange を持つ fake。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+const LESSONS_HEADERS = ['lessonId', 'userId', 'name', 'state', 'createdAt', 'startedAt', 'endedAt', 'schemaVersion', 'sizeBytes', 'etag', 'lessonJson'];
+const RESPONSES_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY', 'studentKey'];
+const TARO = 'taro@s.example.jp';
+
+function fakeSheet(name, rows) {
+  const data = rows.map((r) => r.slice());
+  const range = (row, col, numRows, numCols) => ({
+    getValues: () => data.slice(row - 1, row - 1 + numRows).map((r) => {
+      const out = [];
+      for (let c = col - 1; c < col - 1 + numCols; c++) out.push(r[c] === undefined ? '' : r[c]);
+      return out;
+    }),
+    setValues: (values) => values.forEach((v, i) => {
+      if (!data[row - 1 + i]) data[row - 1 + i] = [];
+      v.forEach((cell, j) => { data[row - 1 + i][col - 1 + j] = cell; });
+    }),
+    setValue: (value) => { data[row - 1][col - 1] = value; }
+  });
+  return {
+    data,
+    getName: () => name,
+    getLastRow: () => data.length,
+    getLastColumn: () => data[0].length,
+    getDataRange: () => ({ getValues: () => data.map((r) => r.slice()) }),
+    getRange: (row, col, numRows = 1, numCols = 1) => range(row, col, numRows, numCols),
+    appendRow: (row) => { data.push(row.slice()); }
+  };
+}
+
+const shortHash = (email, scope) => 'h' + Buffer.from(String(email).toLowerCase() + '|' + (scope || '')).toString('hex');
+
+function lessonRow(lessonId, lessonJson) {
+  return [lessonId, 'u1', '授業 ' + lessonId, 'completed', '2026-07-01T00:00:00Z', '2026-07-10T02:00:00Z',
+    '2026-07-10T03:00:00Z', 1, 0, 'etag-' + lessonId, JSON.stringify(lessonJson)];
+}
+
+function loadContext({ email = 'admin@s.example.jp', cacheSeed = {} } = {}) {
+  const boards = {
+    ssA: {
+      'フォームの回答 1': fakeSheet('フォームの回答 1', [
+        ['タイムスタンプ', 'メールアドレス', '名前', 'クラス', '回答', '理由', 'UNDERSTAND', 'LIKE', 'RUBRIC'],
+        ['2026/07/10 11:10:00', TARO, '山田太郎', '5-1', '連絡は taro@s.example.jp まで', '=1+1', 'hanako@s.example.jp', '', ''],
+        ['2026/07/10 11:11:00', 'hanako@s.example.jp', '佐藤花子', '5-1', '花子の意見', '', 'Taro@S.example.jp|jiro@s.example.jp', TARO,
+          JSON.stringify({ [TARO]: [3, 4], 'jiro@s.example.jp': [2, 2] })]
+      ])
+    },
+    // 授業の過去の phase のシート (今の config からは外れている)
+    ssB: {
+      'フォームの回答 1': fakeSheet('フォームの回答 1', [
+        ['タイムスタンプ', 'メールアドレス', '回答'],
+        ['2026/07/10 11:20:00', 'TARO@s.example.jp', '太郎の回答'],
+        ['2026/07/10 11:21:00', 'jiro@s.example.jp', '次郎の回答']
+      ])
+    }
+  };
+  const sheets = {
+    lessons: fakeSheet('lessons', [
+      LESSONS_HEADERS,
+      lessonRow('L1', { phases: [{ spreadsheetId: 'ssB', sheetName: 'フォームの回答 1' }], snapshots: [{ phaseIndex: 0, sheet: 'lesson_responses', startRow: 2, rowCount: 2, rows: [] }] }),
+      lessonRow('L2', { trackStudentFlow: true, phases: [{ spreadsheetId: 'ssGone', sheetName: 'フォームの回答 1' }], snapshots: [] }),
+      lessonRow('L3', { phases: [], snapshots: [{ phaseIndex: 0, rows: [
+        { email: TARO, name: '山田太郎', rowIndex: 9, timestamp: '2026-06-01T02:00:00Z', answer: '旧形式の回答', class: '5-1' },
+        { email: 'jiro@s.example.jp', rowIndex: 10, timestamp: '2026-06-01T02:01:00Z', answer: '次郎の旧形式', class: '5-1' }
+      ] }] })
+    ]),
+    lesson_responses: fakeSheet('lesson_responses', [
+      RESPONSES_HEADERS,
+      ['L1', 0, 2, '2026/07/10 11:20', '5-1', '太郎の回答', '', '', '', ''],
+      ['L1', 0, 3, '2026/07/10 11:21', '5-1', '次郎の回答', '', '', '', ''],
+      ['L2', 0, 4, '2026/07/11 10:00', '5-2', '追跡される回答', '', '3', '', shortHash(TARO, 'L2')],
+      ['L2', 0, 5, '2026/07/11 10:01', '5-2', 'ほかの子', '', '', '', shortHash('jiro@s.example.jp', 'L2')]
+    ])
+  };
+  const cacheStore = new Map(Object.entries(cacheSeed));
+  const audit = [];
+  const bumped = [];
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    ...gasResponseStubs(),
+    LESSONS_SHEET_HEADERS: LESSONS_HEADERS,
+    LESSON_RESPONSES_SHEET_HEADERS: RESPONSES_HEADERS,
+    openDatabase: () => ({ getSheets: () => Object.values(sheets), getSheetByName: (name) => sheets[name] || null }),
+    getAllBoardSheetRefs_: () => [
+      { userId: 'u1', spreadsheetId: 'ssA', sheetName: 'フォームの回答 1', columnMapping: {} },
+      { userId: 'u2', spreadsheetId: 'ssUnshared', sheetName: 'フォームの回答 1', columnMapping: {} }
+    ],
+    openSpreadsheetViaServiceAccount: (id) => (boards[id] ? { getSheetByName: (name) => boards[id][name] || null } : null),
+    normalizeHeader: (h) => String(h || '').toLowerCase().trim(),
+    resolveTimestampIndex: (headers) => headers.findIndex((h) => /タイムスタンプ|timestamp/i.test(String(h))),
+    formatTimestamp: (ts) => {
+      const d = new Date(ts);
+      if (!ts || isNaN(d.getTime())) return '-';
+      const p = (n) => String(n).padStart(2, '0');
+      return `${d.getFullYear()}/${p(d.getMonth() + 1)}/${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}`;
+    },
+    validateEmail: (e) => ({ isValid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(e || '')) }),
+    emailToShortHash: shortHash,
+    getCachedProperty: () => null,
+    getCurrentEmail: () => email,
+    isAdministrator: (e) => e === 'admin@s.example.jp',
+    requireAdmin: () => (email === 'admin@s.example.jp' ? { email, isAdmin: true } : null),
+    findUserByEmail: (e) => ({ userId: 'u0', userEmail: e }),
+    deepClone: (v) => (v === null || v === undefined ? v : JSON.parse(JSON.stringify(v))),
+    safeJsonParse_: (text, fallback) => { try { return JSON.parse(text); } catch (_) { return fallback; } },
+    recordAuditEvent_: (operation, fields) => { audit.push({ operation, ...fields }); return true; },
+    bumpBoardDataVersion_: (userId) => { bumped.push(userId); },
+    logError_: () => {},
+    CacheService: { getScriptCache: () => ({
+      get: (k) => (cacheStore.has(k) ? cacheStore.get(k) : null),
+      put: (k, v) => { cacheStore.set(k, v); },
+      remove: (k) => { cacheStore.delete(k); }
+    }) },
+    LockService: { getScriptLock: () => ({ tryLock: () => true, releaseLock: () => {} }) },
+    Utilities: { getUuid: () => 'uuid' }
+  };
+  vm.createContext(context);
+  for (const file of ['ColumnMappingService.js', 'ReactionService.js', 'PiiMaskingService.js', 'LessonService.js', 'RetentionService.js', 'DataSubjectService.js']) {
+    const source = fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  return { ctx: context, boards, sheets, audit, bumped, cacheStore };
+}
+
+const boardRows = (boards, id) => boards[id]['フォームの回答 1'].data;
+const lessonJsonOf = (sheets, lessonId) => JSON.parse(sheets.lessons.data.find((r) => r[0] === lessonId)[10]);
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+// ── 書き出し ──────────────────────────────────────────────────
+
+test('export: 本人の回答行・リアクション・採点・アーカイブを集め、 ほかの児童のデータは含めない', () => {
+  const { ctx, audit } = loadContext();
+  const res = ctx.exportStudentData(' Taro@S.example.jp ');
+  assert.equal(res.success, true, res.message);
+  const out = plain(res.data.export);
+
+  assert.deepEqual(out.answers.map((a) => [a.spreadsheetId, a.rowNumber]), [['ssA', 2], ['ssB', 2]]);
+  assert.deepEqual(Object.keys(out.answers[0].fields), ['メールアドレス', '名前', 'クラス', '回答', '理由'], 'リアクション列などは書き出さない');
+  assert.deepEqual(out.reactions.map((r) => [r.rowNumber, r.reaction]), [[3, 'UNDERSTAND'], [3, 'LIKE']]);
+  assert.deepEqual(out.rubricScores, [{ spreadsheetId: 'ssA', sheetName: 'フォームの回答 1', rowNumber: 3, scores: [3, 4] }]);
+  assert.deepEqual(out.archive.map((a) => [a.lessonId, a.sheetRow, a.matchedBy]), [['L1', 2, 'boardRow'], ['L2', 4, 'studentKey']]);
+  assert.deepEqual(out.lessonSnapshotRows.map((r) => [r.lessonId, r.answer]), [['L3', '旧形式の回答']]);
+  assert.deepEqual(out.skippedBoards.map((b) => [b.spreadsheetId, b.reason]), [['ssUnshared', 'OPEN_FAILED'], ['ssGone', 'OPEN_FAILED']]);
+
+  const text = JSON.stringify(out);
+  assert.equal(/hanako|jiro|次郎|花子|ほかの子/.test(text), false);
+  assert.deepEqual(audit.map((e) => e.operation), ['student.export']);
+  assert.equal(JSON.stringify(audit).includes('taro'), false, '監査ログにメールを残さない');
+});
+
+test('export csv: 1 値 1 行で、 数式になる値は先頭に \' を付ける', () => {
+  const { ctx } = loadContext();
+  const { csv } = ctx.exportStudentData(TARO, { format: 'csv' }).data;
+  const lines = csv.replace(/^﻿/, '').trim().split('\r\n');
+  assert.equal(csv.charCodeAt(0), 0xFEFF);
+  assert.equal(lines[0], 'kind,spreadsheetId,sheetName,rowNumber,lessonId,phaseIndex,timestamp,field,value');
+  assert.ok(lines.includes("answer,ssA,フォームの回答 1,2,,,2026/07/10 11:10:00,理由,'=1+1"));
+  assert.ok(lines.includes('rubric,ssA,フォームの回答 1,3,,,,scores,"[3,4]"'));
+  assert.ok(lines.some((l) => l.startsWith('archive,,,,L2,0,2026/07/11 10:00,answer,追跡される回答')));
+});
+
+// ── 削除 ──────────────────────────────────────────────────────
+
+test('delete: commit を付けなければ何も書かずに件数だけ返す', () => {
+  const { ctx, boards, sheets } = loadContext();
+  const before = JSON.stringify([boards, sheets]);
+  const res = ctx.deleteStudentData(TARO, { action: 'delete' });
+  assert.equal(res.success, true, res.message);
+  const report = plain(res.data.report);
+  assert.equal(report.dryRun, true);
+  assert.deepEqual([report.answerRows, report.reactions, report.rubricScores, report.archiveRows, report.lessonSnapshotRows], [2, 2, 1, 2, 1]);
+  assert.equal(JSON.stringify([boards, sheets]), before);
+});
+
+test('delete commit: 本人の行は空に、 アーカイブは墓標に、 ほかの児童のリアクション・採点・行は残す', () => {
+  const { ctx, boards, sheets, bumped, cacheStore, audit } = loadContext();
+  const res = ctx.deleteStudentData(TARO, { action: 'delete', commit: true });
+  assert.equal(res.success, true, res.message);
+  assert.match(res.data.report.notes.join(), /フォーム/);
+
+  const a = boardRows(boards, 'ssA');
+  assert.deepEqual(a[1], new Array(9).fill(''));
+  assert.deepEqual(a[2].slice(6), ['jiro@s.example.jp', '', JSON.stringify({ 'jiro@s.example.jp': [2, 2] })]);
+  assert.equal(a[2][1], 'hanako@s.example.jp');
+  assert.deepEqual(boardRows(boards, 'ssB')[1], ['', '', '']);
+  assert.equal(boardRows(boards, 'ssB')[2][2], '次郎の回答');
+
+  const archive = sheets.lesson_responses.data;
+  assert.deepEqual(archive[1], ['L1', 0, '', '', '', '', '', '', '', '']);
+  assert.equal(archive[2][5], '次郎の回答');
+  assert.deepEqual(archive[3].slice(2), ['', '', '', '', '', '', '', '']);
+  assert.equal(archive[4][5], 'ほかの子');
+  assert.deepEqual(lessonJsonOf(sheets, 'L3').snapshots[0].rows.map((r) => r.answer), ['次郎の旧形式']);
+
+  assert.deepEqual(bumped, ['u1']);
+  assert.equal(cacheStore.size, 0, '行ロックは外す');
+  assert.equal(audit.at(-1).operation, 'student.delete');
+
+  const again = plain(ctx.deleteStudentData(TARO, { action: 'delete', commit: true }).data.report);
+  assert.deepEqual([again.answerRows, again.reactions, again.rubricScores, again.archiveRows, again.lessonSnapshotRows], [0, 0, 0, 0, 0]);
+});
+
+test('anonymize commit: 本人の行は email・名前を消して本文を伏せ、 アーカイブは匿名化して残す', () => {
+  const { ctx, boards, sheets } = loadContext();
+  const res = ctx.deleteStudentData(TARO, { action: 'anonymize', commit: true });
+  assert.equal(res.success, true, res.message);
+
+  const row = boardRows(boards, 'ssA')[1];
+  assert.deepEqual(row.slice(1, 4), ['', '', '5-1']);
+  assert.equal(row[4].includes('taro@'), false);
+  assert.match(row[4], /連絡は/);
+  assert.equal(row[6], 'hanako@s.example.jp', 'ほかの児童が付けたリアクションは本人の行でも残す');
+  assert.deepEqual(sheets.lesson_responses.data[3].slice(2, 8), ['', '2026-07-11', '5-2', '追跡される回答', '', 3]);
+  assert.equal(sheets.lesson_responses.data[3][9], '');
+  const inline = lessonJsonOf(sheets, 'L3').snapshots[0].rows[0];
+  assert.equal(inline.email, undefined);
+  assert.equal(inline.answer, '旧形式の回答');
+
+  const after = plain(ctx.exportStudentData(TARO).data.export);
+  assert.equal(after.answers.length + after.reactions.length + after.archive.length + after.lessonSnapshotRows.length, 0);
+});
+
+test('delete commit: 行ロック中の行は書かずに deferredRows に数え、 再実行を促す', () => {
+  const { ctx, boards } = loadContext({ cacheSeed: { 'reaction_ssA_3': 'someone@s.example.jp' } });
+  const res = ctx.deleteStudentData(TARO, { action: 'delete', commit: true });
+  assert.equal(res.data.report.deferredRows, 1);
+  assert.match(res.message, /もう一度実行/);
+  assert.equal(boardRows(boards, 'ssA')[2][7], TARO);
+  assert.deepEqual(boardRows(boards, 'ssA')[1], new Array(9).fill(''));
+});
+
+test('delete commit: アーカイブを書けなかったらボードは消さず、 再実行でアーカイブから続きを処理する', () => {
+  const { ctx, boards, sheets } = loadContext();
+  const archiveSheet = sheets.lesson_responses;
+  const getRange = archiveSheet.getRange;
+  archiveSheet.getRange = () => ({ setValues: () => { throw new Error('quota'); } });
+
+  const first = ctx.deleteStudentData(TARO, { action: 'delete', commit: true });
+  const report = plain(first.data.report);
+  assert.equal(report.incomplete, true);
+  assert.ok(report.errors > 0);
+  assert.match(first.message, /もう一度実行/);
+  assert.equal(boardRows(boards, 'ssB')[1][2], '太郎の回答', 'アーカイブの行を辿れるようにボードを残す');
+
+  archiveSheet.getRange = getRange;
+  const again = ctx.deleteStudentData(TARO, { action: 'delete', commit: true });
+  assert.equal(again.data.report.errors, 0);
+  assert.deepEqual(sheets.lesson_responses.data[1], ['L1', 0, '', '', '', '', '', '', '', '']);
+  assert.deepEqual(boardRows(boards, 'ssB')[1], ['', '', '']);
+});
+
+test('管理者以外・不正なメール・不正な action は断る', () => {
+  const teacher = loadContext({ email: 'teacher@s.example.jp' });
+  assert.equal(teacher.ctx.exportStudentData(TARO).success, false);
+  assert.equal(teacher.ctx.deleteStudentData(TARO, { commit: true }).success, false);
+  assert.equal(boardRows(teacher.boards, 'ssA')[1][1], TARO);
+
+  const { ctx } = loadContext();
+  assert.match(ctx.exportStudentData('taro').message, /メールアドレス/);
+  assert.match(ctx.deleteStudentData(TARO, { action: 'erase' }).message, /delete か anonymize/);
+});
@@ -351,3 +351,30 @@ test('fetchSheetsAPIWithRetry: 429 時の Utilities.sleep は 15s 〜 60s の範
   assert.equal(ctx.__sleeps.length, 1);
   assert.equal(ctx.__sleeps[0], 15000);
 });
+
+// =====================================================================
+// SA proxy appendRows: Date はフォームの行と同じ日時セルにする
+// =====================================================================
+
+test('appendRows: 回答は RAW で追記し、 Date の列だけ USER_ENTERED で日時セルに書き直す', () => {
+  const ctx = loadCtx({
+    fetchSequence: [
+      makeResponse(200, JSON.stringify({ updates: { updatedRange: "'Sheet1'!A5:C5" } })),
+      makeResponse(200, '{}')
+    ],
+    safeJsonParse_: (text, fallback) => { try { return JSON.parse(text); } catch (_) { return fallback; } }
+  });
+  ctx.Utilities.formatDate = () => '2026/04/01 9:05:00';
+  ctx.Session.getScriptTimeZone = () => 'Asia/Tokyo';
+  const sheet = ctx.createServiceAccountSheetProxy('ss-1', 'Sheet1', 'token', {}, 'sa@x');
+  const now = vm.runInContext('new Date()', ctx);
+
+  const res = sheet.appendRows([[now, 'student@example.com', '=SUM(A1)']]);
+  assert.equal(res.startRow, 5);
+  const [append, dates] = ctx.__fetchCalls;
+  assert.match(append.url, /:append\?valueInputOption=RAW$/);
+  assert.deepEqual(JSON.parse(append.opts.payload).values, [['2026/04/01 9:05:00', 'student@example.com', '=SUM(A1)']]);
+  assert.match(dates.url, /\/values\/Sheet1!R5C1:R5C1\?valueInputOption=USER_ENTERED$/);
+  assert.deepEqual(JSON.parse(dates.opts.payload).values, [['2026/04/01 9:05:00']]);
+  assert.equal(ctx.__fetchCalls.length, 2, '回答の列は書き直さない');
+});
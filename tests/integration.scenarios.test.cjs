@@ -0,0 +1,392 @@
+/**
+ * src/*.js を 1 つのグローバルスコープに載せた状態での、ファイル横断シナリオテスト。
+ *
+ * Why: 他の tests/*.test.cjs は 1 ファイルずつ vm に読み込み、相手側の関数をスタブで
+ *      置き換える。DatabaseCore → DataApis → ReactionService → LessonService と渡る値の
+ *      形がずれても (例: __buildPhaseConfigPatch_ の軸ラベルが保存往復で消えた件)
+ *      スタブが「正しい形」を返すので通ってしまう。ここでは scripts/lib/gas-emulator の
+ *      ランタイムで全ファイルを本番と同じ順に読み込み、教師・生徒の操作を実行単位で再現する。
+ *
+ *      各 rt.run は GAS の 1 実行 (= google.script.run 1 回) に相当し、グローバル変数は
+ *      持ち越さない。キャッシュ・シート・フォームは実行をまたいで共有される。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGasRuntime, seed } = require('../scripts/lib/gas-emulator');
+
+const TEACHER = 'teacher@example.com';
+const STUDENTS = ['student1@example.com', 'student2@example.com', 'student3@example.com'];
+// 回答直後のシートは行数キャッシュ (CACHE_DURATION.FORM_DATA = 30s) と閲覧キャッシュ
+// (BOARD_DATA_CACHE_TTL_SEC = 12s) の向こうにある。本番と同じく時計を進めて待つ。
+const CACHE_EXPIRY_MS = 31 * 1000;
+
+function boot() {
+  const rt = createGasRuntime({ onLog: () => {} });
+  const { users } = seed(rt);
+  return { rt, userId: users[TEACHER] };
+}
+
+const asTeacher = { as: TEACHER };
+
+/** 教師の管理画面と同じ順: テンプレートフォーム作成 → 設定保存 → データソース接続 → 公開 */
+function createAndPublishBoard(rt) {
+  const form = rt.run('createTemplateForm', ['board', { lessonName: '給食のおかわり' }], asTeacher);
+  assert.equal(form.success, true, form.error);
+  const { spreadsheetId, sheetName, formUrl, formId } = form;
+
+  const saved = rt.run('saveConfig', [{ spreadsheetId, sheetName, formUrl }], asTeacher);
+  assert.equal(saved.success, true, saved.message);
+
+  const target = { spreadsheetId, sheetName };
+  const connected = rt.run('connectDataSource', [spreadsheetId, sheetName, [
+    { type: 'validateAccess', ...target },
+    { type: 'getFormInfo', ...target },
+    { type: 'connectDataSource', ...target }
+  ]], asTeacher);
+  assert.equal(connected.success, true, connected.error);
+  assert.equal(connected.batchResults.formInfo.status, 'FORM_LINK_FOUND');
+
+  STUDENTS.forEach((email, i) => rt.submitFormResponse(formId, {
+    email,
+    answers: { 'クラス': 'クラス1', '名前': `児童${i + 1}`, '回答': ['賛成', '反対'][i % 2], '理由': `理由${i + 1}` }
+  }));
+  rt.advanceClock(CACHE_EXPIRY_MS);
+
+  const published = rt.run('publishApp', [{
+    spreadsheetId, sheetName, formUrl, columnMapping: connected.mapping, etag: saved.etag
+  }], asTeacher);
+  assert.equal(published.success, true, published.message);
+  return { formId, spreadsheetId, sheetName };
+}
+
+function boardRows(rt, userId, as) {
+  const res = rt.run('getPublishedSheetData', [null, 'oldest', false, userId], { as });
+  assert.equal(res.success, true, res.error || res.message);
+  return res;
+}
+
+/**
+ * viewer A の addReaction がシートを書いている最中 (行ロック保持中) に、others を割り込ませる。
+ *   GAS では別実行が本当に並走する。ここでは A の processReactionDirect を包み、
+ *   書き込み直前に他の viewer の実行を差し込むことで同じ重なりを作る。
+ */
+function reactWhileHoldingRow(rt, userId, first, others) {
+  const interleaved = [];
+  const result = rt.execute(first.as, (ctx) => {
+    const original = ctx.processReactionDirect;
+    ctx.processReactionDirect = function () {
+      others.forEach((o) => interleaved.push(rt.run('addReaction', [userId, o.rowIndex, o.reaction], { as: o.as })));
+      return original.apply(this, arguments);
+    };
+    return JSON.parse(JSON.stringify(ctx.addReaction(userId, first.rowIndex, first.reaction)));
+  });
+  return { first: result, others: interleaved };
+}
+
+// ── ボード公開 → リアクション ─────────────────────────────────
+
+test('scenario: 作成した教師のボードを公開すると、生徒 3 人が回答を閲覧できる', () => {
+  const { rt, userId } = boot();
+  assert.ok(userId, 'processLoginAction で users 行が作られる');
+  createAndPublishBoard(rt);
+
+  const board = boardRows(rt, userId, STUDENTS[0]);
+  assert.deepEqual(board.data.map((r) => r.reason), ['理由1', '理由2', '理由3']);
+  assert.equal(board.viewerIsTeacher, false);
+  // 生徒に他の児童のメールアドレスは渡らない
+  board.data.forEach((row) => assert.equal(row.email, undefined));
+
+  const view = rt.doGet({ mode: 'view', userId }, { as: STUDENTS[1] });
+  assert.equal(view.title, '回答ボード');
+});
+
+test('scenario: 3 人が同じ回答に同時にリアクションすると、1 人目以外は待たされ、再送で全員分が数えられる', () => {
+  const { rt, userId } = boot();
+  createAndPublishBoard(rt);
+  const rowIndex = boardRows(rt, userId, STUDENTS[0]).data[0].rowIndex;
+
+  const { first, others } = reactWhileHoldingRow(rt, userId,
+    { as: STUDENTS[0], rowIndex, reaction: 'LIKE' },
+    [STUDENTS[1], STUDENTS[2]].map((as) => ({ as, rowIndex, reaction: 'LIKE' })));
+
+  assert.equal(first.success, true);
+  assert.equal(first.reactions.LIKE.count, 1);
+  others.forEach((res) => {
+    assert.equal(res.success, false);
+    assert.match(res.message, /同時リアクション処理中/);
+    assert.equal(res.error, 'CONCURRENT');
+  });
+
+  // 行ロックは 1 人目の完了で外れている (残っていると再送も弾かれる)
+  const retried = [STUDENTS[1], STUDENTS[2]].map((as) => rt.run('addReaction', [userId, rowIndex, 'LIKE'], { as }));
+  assert.deepEqual(retried.map((r) => r.success), [true, true]);
+  assert.equal(retried[1].reactions.LIKE.count, 3);
+
+  // bumpBoardDataVersion_ で閲覧キャッシュが無効化され、教師の次の読み込みに反映される
+  const row = boardRows(rt, userId, TEACHER).data.find((r) => r.rowIndex === rowIndex);
+  assert.equal(row.reactions.LIKE.count, 3);
+});
+
+test('scenario: 別々の回答への同時リアクションは互いに待たない', () => {
+  const { rt, userId } = boot();
+  createAndPublishBoard(rt);
+  const rows = boardRows(rt, userId, STUDENTS[0]).data.map((r) => r.rowIndex);
+
+  const { first, others } = reactWhileHoldingRow(rt, userId,
+    { as: STUDENTS[0], rowIndex: rows[0], reaction: 'LIKE' },
+    [{ as: STUDENTS[1], rowIndex: rows[1], reaction: 'CURIOUS' }, { as: STUDENTS[2], rowIndex: rows[2], reaction: 'UNDERSTAND' }]);
+
+  assert.equal(first.success, true);
+  assert.deepEqual(others.map((r) => r.success), [true, true]);
+  const counts = boardRows(rt, userId, TEACHER).data.map((r) => [r.reactions.LIKE.count, r.reactions.CURIOUS.count, r.reactions.UNDERSTAND.count]);
+  assert.deepEqual(counts, [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+});
+
+test('scenario: 公開を終了すると、生徒の閲覧とリアクションが止まる', () => {
+  const { rt, userId } = boot();
+  createAndPublishBoard(rt);
+  const rowIndex = boardRows(rt, userId, STUDENTS[0]).data[0].rowIndex;
+
+  const unpublished = rt.run('unpublishBoard', [userId], asTeacher);
+  assert.equal(unpublished.success, true, unpublished.message);
+  rt.advanceClock(CACHE_EXPIRY_MS);
+
+  const res = rt.run('getPublishedSheetData', [null, 'oldest', false, userId], { as: STUDENTS[0] });
+  assert.equal(res.success, false);
+  assert.equal(rt.run('addReaction', [userId, rowIndex, 'LIKE'], { as: STUDENTS[1] }).success, false);
+  // 教師自身は引き続き読める
+  assert.equal(boardRows(rt, userId, TEACHER).data.length, 3);
+
+  // 公開・非公開は audit_log (DB SS) に SA proxy 経由で 1 件 1 行残る
+  const audit = rt.run('getAuditLog', [{ targetUserId: userId }], { as: 'admin@example.com' });
+  assert.equal(audit.success, true, audit.message);
+  assert.deepEqual(audit.data.events.map((e) => e.operation), ['board.unpublish', 'board.publish']);
+  assert.deepEqual(audit.data.events[0].diff.isPublished, { before: true, after: false });
+  assert.equal(rt.run('getAuditLog', [{}], { as: STUDENTS[0] }).success, false);
+});
+
+
+// ── NG ワードの承認待ち ───────────────────────────────────────
+
+test('scenario: NG ワードに当たった回答は先生が伏せ字で公開するまで誰のボードにも出ない', () => {
+  const { rt, userId } = boot();
+  const { formId } = createAndPublishBoard(rt);
+  const rules = rt.run('dispatchAdminOperation', ['setModerationRules', { rules: { words: ['ばか'] } }], { as: 'admin@example.com' });
+  assert.equal(rules.success, true, rules.message);
+
+  rt.submitFormResponse(formId, {
+    email: 'student4@example.com',
+    answers: { 'クラス': 'クラス1', '名前': '児童4', '回答': '賛成', '理由': 'バカみたいに長い' }
+  });
+  rt.advanceClock(CACHE_EXPIRY_MS);
+
+  // 生徒の閲覧で board data cache に held 行ごと載る
+  assert.equal(boardRows(rt, userId, STUDENTS[0]).data.length, 3);
+  const teacherBoard = boardRows(rt, userId, TEACHER);
+  assert.equal(teacherBoard.data.length, 3, '投影される先生の画面にも出さない');
+  assert.equal(teacherBoard.moderationHeldCount, 1);
+
+  const queue = rt.run('getModerationQueue', [userId], asTeacher);
+  assert.equal(queue.success, true, queue.message);
+  assert.equal(rt.run('getModerationQueue', [userId], { as: STUDENTS[0] }).success, false);
+  const [held] = queue.data.items;
+  assert.deepEqual(held.matches, ['ばか']);
+  assert.equal(held.suggestion.reason, '＊＊みたいに長い');
+
+  const masked = rt.run('moderateAnswer', [userId, held.rowIndex, {
+    action: 'mask', fields: held.suggestion, expectedTimestamp: held.timestamp
+  }], asTeacher);
+  assert.equal(masked.success, true, masked.message);
+
+  // 時計を進めなくても、判断の書込で cache が捨てられて生徒に届く
+  const after = boardRows(rt, userId, STUDENTS[0]);
+  assert.deepEqual(after.data.map((r) => r.reason), ['理由1', '理由2', '理由3', '＊＊みたいに長い']);
+  assert.equal(rt.run('getModerationQueue', [userId], asTeacher).data.count, 0);
+});
+
+// ── 役割 (school_admin / grade_leader / observer) ──────────────
+
+test('scenario: 学年主任と教育実習生は未公開のボードと授業を見られるが、書き換えはできない', () => {
+  const { rt, userId } = boot();
+  createAndPublishBoard(rt);
+  assert.equal(rt.run('unpublishBoard', [userId], asTeacher).success, true);
+  const draft = rt.run('createLessonDraft', [userId, '学年の研究授業', 'doutoku-3phase'], asTeacher);
+  assert.equal(draft.success, true, draft.message);
+  rt.advanceClock(CACHE_EXPIRY_MS);
+
+  const LEADER = 'leader@example.com';
+  const INTERN = 'intern@example.com';
+  const asAdmin = { as: 'admin@example.com' };
+  for (const [email, role] of [[LEADER, 'grade_leader'], [INTERN, 'observer']]) {
+    const set = rt.run('dispatchAdminOperation', ['roles.set', { email, role, scope: { teachers: [TEACHER] } }], asAdmin);
+    assert.equal(set.success, true, set.message);
+  }
+  assert.equal(rt.run('dispatchAdminOperation', ['roles.set', { email: STUDENTS[0], role: 'observer', scope: {} }], asAdmin).success, false);
+  assert.equal(rt.run('dispatchAdminOperation', ['roles.list', {}], { as: LEADER }).success, false);
+
+  // 学年主任は名前付き、実習生は名前なしで読める。生徒には未公開のまま
+  assert.deepEqual(boardRows(rt, userId, LEADER).data.map((r) => r.name), ['児童1', '児童2', '児童3']);
+  const internRows = boardRows(rt, userId, INTERN).data;
+  assert.equal(internRows.length, 3);
+  assert.equal(internRows[0].name, undefined);
+  assert.equal(rt.run('getPublishedSheetData', [null, 'oldest', false, userId], { as: STUDENTS[0] }).success, false);
+  assert.equal(rt.doGet({ mode: 'view', userId }, { as: INTERN }).title, '回答ボード');
+  assert.notEqual(rt.doGet({ mode: 'view', userId }, { as: STUDENTS[0] }).title, '回答ボード');
+
+  const boards = rt.run('dispatchAdminOperation', ['roles.boards', {}], { as: INTERN });
+  assert.equal(boards.success, true, boards.message);
+  assert.deepEqual(boards.data.boards.map((b) => [b.userId, b.isPublished]), [[userId, false]]);
+
+  // 授業は一覧できるが、書き換え・公開操作はできない
+  const lessons = rt.run('listLessons', [userId], { as: LEADER });
+  assert.equal(lessons.success, true, lessons.message);
+  assert.deepEqual(lessons.data.lessons.map((l) => l.name), ['学年の研究授業']);
+  const lessonId = draft.data.lesson.lessonId;
+  assert.equal(rt.run('updateLessonDraft', [userId, lessonId, 'name', '改題'], { as: LEADER }).success, false);
+  assert.equal(rt.run('deleteLesson', [userId, lessonId], { as: INTERN }).success, false);
+  assert.equal(rt.run('republishMyBoard', [{}], { as: LEADER }).success, false);
+
+  // 役割を外すと、時計を進めなくても次の実行から見られなくなる
+  assert.equal(rt.run('dispatchAdminOperation', ['roles.remove', { email: INTERN }], asAdmin).success, true);
+  assert.equal(rt.run('getPublishedSheetData', [null, 'oldest', false, userId], { as: INTERN }).success, false);
+  assert.equal(rt.run('listLessons', [userId], { as: INTERN }).success, false);
+  const audit = rt.run('getAuditLog', [{ operation: 'role.' }], asAdmin);
+  assert.deepEqual(audit.data.events.map((e) => e.operation), ['role.remove', 'role.set', 'role.set']);
+});
+
+// ── 学校 (テナント) ──────────────────────────────────────────
+
+test('scenario: 学校 (テナント) の人は学校の DB だけを使い、停止するとアプリを開けない', () => {
+  const { rt } = boot();
+  const asAdmin = { as: 'admin@example.com' };
+  const SCHOOL_ADMIN = 'kyoto@minami.example.ed.jp';
+  const SCHOOL_TEACHER = 'tanaka@minami.example.ed.jp';
+
+  const db = rt.run('createDatabase', [], asAdmin);
+  assert.equal(db.success, true, db.message);
+  const tenant = { id: 'minami-es', name: '南小学校', domains: ['minami.example.ed.jp'], databaseId: db.spreadsheetId, adminEmails: [SCHOOL_ADMIN] };
+  const provisioned = rt.run('dispatchAdminOperation', ['tenants.provision', { tenant }], asAdmin);
+  assert.equal(provisioned.success, true, provisioned.message);
+  // 別の学校に同じドメインは割り当てられない
+  const clash = rt.run('dispatchAdminOperation', ['tenants.provision', { tenant: { ...tenant, id: 'kita-es' } }], asAdmin);
+  assert.match(clash.message, /割り当て済み/);
+
+  for (const email of [SCHOOL_ADMIN, SCHOOL_TEACHER]) {
+    const login = rt.run('processLoginAction', [], { as: email });
+    assert.equal(login.success, true, login.message);
+  }
+
+  // 学校の管理者には学校の DB の人だけ、デプロイの管理者には元の DB の人だけが見える
+  const schoolUsers = rt.run('getAdminUsers', [], { as: SCHOOL_ADMIN });
+  assert.equal(schoolUsers.success, true, schoolUsers.message);
+  assert.deepEqual(schoolUsers.users.map((u) => u.userEmail).sort(), [SCHOOL_ADMIN, SCHOOL_TEACHER]);
+  const globalUsers = rt.run('getAdminUsers', [], asAdmin).users.map((u) => u.userEmail);
+  assert.equal(globalUsers.includes(SCHOOL_TEACHER), false);
+  assert.equal(globalUsers.includes(TEACHER), true);
+
+  // 学校の管理者はデプロイ全体の設定には触れない。他校の先生は管理者ではない
+  for (const op of ['listProperties', 'tenants.list', 'disableApp', 'listServiceAccountPool',
+    'getLogs', 'systemDiagnosis', 'autoRepair', 'perfMetrics', 'perfDiagnosis']) {
+    assert.equal(rt.run('dispatchAdminOperation', [op, {}], { as: SCHOOL_ADMIN }).error, 'DEPLOYMENT_ADMIN_REQUIRED', op);
+  }
+  // security_log_* はデプロイ全体 (他校の分も入る)。google.script.run から直接呼んでも読めない
+  const schoolLogs = rt.run('getLogs', [{}], { as: SCHOOL_ADMIN });
+  assert.equal(schoolLogs.success, false);
+  assert.equal(schoolLogs.error, 'DEPLOYMENT_ADMIN_REQUIRED');
+  assert.equal(rt.run('getLogs', [{}], asAdmin).success, true);
+  assert.equal(rt.run('getAdminUsers', [], { as: SCHOOL_TEACHER }).success, false);
+  assert.equal(rt.run('getAdminUsers', [], { as: TEACHER }).success, false);
+
+  // 停止すると学校の人は開けず、DB も読めない。再開すれば戻る
+  assert.equal(rt.run('dispatchAdminOperation', ['tenants.suspend', { tenantId: 'minami-es', reason: '年度末' }], asAdmin).success, true);
+  assert.match(rt.doGet({}, { as: SCHOOL_TEACHER }).content, /停止されています/);
+  assert.equal(rt.run('getAdminUsers', [], { as: SCHOOL_ADMIN }).success, false);
+  assert.doesNotMatch(rt.doGet({}, { as: TEACHER }).content, /停止されています/);
+
+  assert.equal(rt.run('dispatchAdminOperation', ['tenants.resume', { tenantId: 'minami-es' }], asAdmin).success, true);
+  assert.doesNotMatch(rt.doGet({}, { as: SCHOOL_TEACHER }).content, /停止されています/);
+  assert.equal(rt.run('getAdminUsers', [], { as: SCHOOL_ADMIN }).success, true);
+
+  const audit = rt.run('getAuditLog', [{ operation: 'tenant.' }], asAdmin);
+  assert.deepEqual(audit.data.events.map((e) => e.operation), ['tenant.resume', 'tenant.suspend', 'tenant.provision']);
+});
+
+// ── 授業 (lesson) ─────────────────────────────────────────────
+
+function answerPhase(rt, phase, answers) {
+  answers.forEach(([email, className, value]) => rt.submitFormResponse(phase.formId, {
+    email,
+    answers: { 'クラス': className, '名前': email.split('@')[0], [phase.question]: value, '理由': `${email} の理由` }
+  }));
+}
+
+test('scenario: 授業を開始 → フェーズを進める → 終了 → 振り返りで各フェーズの回答が読める', () => {
+  const { rt, userId } = boot();
+  createAndPublishBoard(rt);
+
+  const draft = rt.run('createLessonDraft', [userId, '道徳: 二通の手紙', 'before-after-2phase'], asTeacher);
+  assert.equal(draft.success, true, draft.message);
+  const lessonId = draft.data.lesson.lessonId;
+  for (const [field, value] of [
+    ['classes', ['1組', '2組']],
+    ['phases[0].templateOptions', { lowLabel: '規則を守る', highLabel: '思いやり' }],
+    ['phases[1].templateOptions', { lowLabel: 'きまり', highLabel: 'こころ' }]
+  ]) {
+    const updated = rt.run('updateLessonDraft', [userId, lessonId, field, value], asTeacher);
+    assert.equal(updated.success, true, updated.message);
+  }
+
+  const started = rt.run('startLesson', [userId, lessonId], asTeacher);
+  assert.equal(started.success, true, started.message);
+  const phases = started.data.lesson.lessonJson.phases;
+  assert.deepEqual(phases.map((p) => rt.store.forms.get(p.formId).acceptingResponses), [true, false]);
+  assert.deepEqual(rt.store.forms.get(phases[0].formId).items.find((i) => i.title === 'クラス').choices, ['1組', '2組']);
+
+  // フェーズ 1: 軸ラベルがボードの config (トップレベル) まで届く
+  answerPhase(rt, phases[0], [[STUDENTS[0], '1組', 1], [STUDENTS[1], '1組', 3], [STUDENTS[2], '2組', 5]]);
+  rt.advanceClock(CACHE_EXPIRY_MS);
+  const first = boardRows(rt, userId, STUDENTS[0]);
+  assert.deepEqual(first.axisConfig.xAxisLabels, { min: '規則を守る', max: '思いやり' });
+  assert.equal(first.displaySettings.boardMode, 'numberline');
+  assert.equal(first.data.length, 3);
+  assert.throws(() => answerPhase(rt, phases[1], [[STUDENTS[0], '1組', 2]]), /no longer accepting responses/);
+
+  const advanced = rt.run('advanceLessonPhase', [userId, lessonId, 'next'], asTeacher);
+  assert.equal(advanced.success, true, advanced.message);
+  assert.equal(advanced.data.activePhaseIndex, 1);
+  assert.deepEqual(phases.map((p) => rt.store.forms.get(p.formId).acceptingResponses), [false, true]);
+
+  // フェーズ 2: 前フェーズのラベルが残らず、保存往復 (saveUserConfig) を経ても消えない
+  answerPhase(rt, phases[1], [[STUDENTS[0], '1組', 4], [STUDENTS[2], '2組', 5]]);
+  rt.advanceClock(CACHE_EXPIRY_MS);
+  const second = boardRows(rt, userId, STUDENTS[1]);
+  assert.deepEqual(second.axisConfig.xAxisLabels, { min: 'きまり', max: 'こころ' });
+  assert.equal(second.data.length, 2);
+  // 切替ピルの情報は教師にだけ返す
+  assert.equal(rt.run('getActiveLessonNav', [userId], { as: STUDENTS[1] }).success, false);
+  const nav = rt.run('getActiveLessonNav', [userId], asTeacher);
+  assert.equal(nav.success, true, nav.message);
+  assert.equal(nav.data.activePhaseIndex, 1);
+
+  const ended = rt.run('endLesson', [userId, lessonId], asTeacher);
+  assert.equal(ended.success, true, ended.message);
+  assert.deepEqual(phases.map((p) => rt.store.forms.get(p.formId).acceptingResponses), [false, false]);
+
+  const review = rt.run('getLessonForReview', [userId, lessonId], asTeacher);
+  assert.equal(review.success, true, review.message);
+  assert.equal(review.data.lesson.state, 'completed');
+  const snapshots = review.data.lesson.lessonJson.snapshots;
+  assert.deepEqual(snapshots.map((s) => [s.phaseIndex, s.rows.length]), [[0, 3], [1, 2]]);
+  assert.deepEqual(snapshots[0].rows.map((r) => r.class), ['1組', '1組', '2組']);
+  // アーカイブには氏名・メールを残さない
+  snapshots.forEach((s) => s.rows.forEach((row) => {
+    assert.equal(row.name, undefined);
+    assert.equal(row.email, undefined);
+  }));
+
+  const page = rt.doGet({ mode: 'review', userId, lessonId }, asTeacher);
+  assert.equal(page.title, '振り返り: 道徳: 二通の手紙');
+
+  const audit = rt.run('getAuditLog', [{ lessonId }], { as: 'admin@example.com' });
+  assert.deepEqual(audit.data.events.map((e) => e.operation), ['lesson.end', 'lesson.advance', 'lesson.start']);
+});
@@ -84,7 +84,7 @@ function createFakeLessonsSheet(headers) {
 
 function loadLessonContext(overrides = {}) {
   const LESSONS_HEADERS = ['lessonId', 'userId', 'name', 'state', 'createdAt', 'startedAt', 'endedAt', 'schemaVersion', 'sizeBytes', 'etag', 'lessonJson'];
-  const RESPONSES_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY'];
+  const RESPONSES_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY', 'studentKey'];
   const lessonsSheet = overrides.lessonsSheet || createFakeLessonsSheet(LESSONS_HEADERS);
   // アーカイブ側。appendRows (SA proxy 専用) は持たせず getLastRow + setValues の
   //   fallback 経路を通す = native Sheet 相当の挙動でテストする。
@@ -92,6 +92,9 @@ function loadLessonContext(overrides = {}) {
   const formCreations = [];
   const formCloses = [];
   const configPatches = [];
+  const audits = [];
+  // script properties (フェーズのタイマーの台帳)。
+  const properties = overrides.properties || {};
 
   let uuidCounter = 0;
   const context = {
@@ -111,7 +114,15 @@ function loadLessonContext(overrides = {}) {
     LESSON_RESPONSES_SHEET_HEADERS: RESPONSES_HEADERS,
     // helpers.js の deepClone を test 環境にも提供 (LessonService が依存)。
     deepClone: (v) => (v === null || v === undefined) ? v : JSON.parse(JSON.stringify(v)),
-    getCachedProperty: (k) => k === 'DATABASE_SPREADSHEET_ID' ? 'db-id' : null,
+    getCachedProperty: (k) => k === 'DATABASE_SPREADSHEET_ID' ? 'db-id' : (k in properties ? properties[k] : null),
+    setCachedProperty: (k, v) => { properties[k] = String(v); },
+    clearPropertyCache: () => {},
+    safeJsonParse_: (text, fallback) => {
+      try { return text ? JSON.parse(text) : fallback; } catch (_) { return fallback; }
+    },
+    recordAuditEvent_: (operation, detail) => { audits.push({ operation, detail }); },
+    // helpers.js の scope 付き仮名化を再現 (scope が違えば別キーになることだけが重要)
+    emailToShortHash: (email, scope) => email ? `k_${scope || ''}_${email.slice(0, 3)}` : null,
     getCurrentEmail: () => 'teacher@example.com',
     isAdministrator: (email) => email === 'admin@example.com',
     findUserByEmail: (email) => email === 'teacher@example.com' ? { userId: 'u1', userEmail: email } : null,
@@ -142,8 +153,8 @@ function loadLessonContext(overrides = {}) {
         timeBased: () => ({ everyDays: () => ({ atHour: () => ({ create: () => {} }) }) })
       })
     },
-    Date: Date,
-    FormApp: {
+    Date: overrides.Date || Date,
+    FormApp: overrides.FormApp || {
       openById: (formId) => ({
         setAcceptingResponses: (b) => { formCloses.push({ formId, accepting: b }); }
       })
@@ -172,7 +183,7 @@ function loadLessonContext(overrides = {}) {
   vm.createContext(context);
   vm.runInContext(LESSON_SOURCE, context, { filename: 'LessonService.js' });
 
-  return { context, lessonsSheet, responsesSheet, formCreations, formCloses, configPatches };
+  return { context, lessonsSheet, responsesSheet, formCreations, formCloses, configPatches, audits, properties };
 }
 
 // =====================================================================
@@ -369,6 +380,53 @@ test('startLesson: pie テンプレートのフェーズ → displaySettings.boa
     'pie テンプレ phase は displaySettings.boardMode=pie で公開されるべき');
 });
 
+test('startLesson: ranking テンプレートのフェーズ → displaySettings.boardMode=ranking', () => {
+  const { context, configPatches, formCreations } = loadLessonContext();
+  const created = context.createLessonDraft('u1', 'アイデア授業', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1']);
+  context.updateLessonDraft('u1', lessonId, 'phases', [
+    { name: 'アイデア出し', formTemplate: 'ranking', question: '学級目標のアイデアは？' }
+  ]);
+
+  const res = context.startLesson('u1', lessonId);
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(formCreations[0].templateType, 'ranking');
+  assert.equal(configPatches[0].patch.displaySettings.boardMode, 'ranking');
+});
+
+test('startLesson: 相互評価フェーズ → board モードで観点を載せ、 他のフェーズでは rubric を消す', () => {
+  const { context, configPatches, formCreations } = loadLessonContext();
+  // sanitizeRubric / DEFAULT_RUBRIC は ReactionService.js にある。 本物を別 context で読んで渡す。
+  const rctx = { console: { log: () => {}, warn: () => {}, error: () => {} } };
+  vm.createContext(rctx);
+  vm.runInContext(fs.readFileSync(path.resolve(__dirname, '../src/ReactionService.js'), 'utf8') +
+    '\nthis.DEFAULT_RUBRIC = DEFAULT_RUBRIC;', rctx);
+  context.sanitizeRubric = rctx.sanitizeRubric;
+  context.DEFAULT_RUBRIC = rctx.DEFAULT_RUBRIC;
+
+  const created = context.createLessonDraft('u1', '相互評価の授業', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1']);
+  context.updateLessonDraft('u1', lessonId, 'phases', [
+    { name: '相互評価', formTemplate: 'rubric', question: '友だちの考えを読もう',
+      templateOptions: { rubric: { criteria: ['根拠', '具体性'], scale: 5 } } },
+    { name: 'ふりかえり', formTemplate: 'numberline', question: 'いまの考えは？' }
+  ]);
+
+  const res = context.startLesson('u1', lessonId);
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(formCreations[0].templateType, 'rubric');
+  const patch = configPatches[0].patch;
+  assert.equal(patch.displaySettings.boardMode, 'board');
+  assert.deepEqual(JSON.parse(JSON.stringify(patch.rubric)), { criteria: ['根拠', '具体性'], scale: 5 });
+
+  context.advanceLessonPhase('u1', lessonId, 'next');
+  const next = configPatches[configPatches.length - 1].patch;
+  assert.equal(next.displaySettings.boardMode, 'numberline');
+  assert.equal(next.rubric, null, '前の phase の採点 UI を残さない');
+});
+
 test('updateLessonDraft: phases を 1 フェーズに減らせる', () => {
   const { context } = loadLessonContext();
   const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
@@ -694,6 +752,39 @@ test('endLesson: rows は lesson_responses へ書き、snapshot はポインタ
   assert.equal(hydrated.rows[0].numericY, 5);
 });
 
+test('capture: trackStudentFlow の授業だけ授業単位の studentKey をアーカイブし、hydrate で読み戻す', () => {
+  const liveRow = {
+    rowIndex: 2, name: '児童A', email: 'kid@example.com', emailHash: 'h1',
+    answer: '回答1', reason: '', class: '5-1', numericX: 2, numericY: null
+  };
+  const { context, responsesSheet } = loadLessonContext({
+    getPublishedSheetData: () => ({ success: true, data: [liveRow] })
+  });
+  const tracked = context.createLessonDraft('u1', '追跡あり', 'before-after-2phase').data.lesson.lessonId;
+  context.updateLessonDraft('u1', tracked, 'classes', ['5-1']);
+  context.updateLessonDraft('u1', tracked, 'trackStudentFlow', true);
+  context.startLesson('u1', tracked);
+  context.endLesson('u1', tracked);
+
+  const plain = context.createLessonDraft('u1', '追跡なし', 'before-after-2phase').data.lesson.lessonId;
+  context.updateLessonDraft('u1', plain, 'classes', ['5-1']);
+  context.startLesson('u1', plain);
+  context.endLesson('u1', plain);
+
+  const trackedRow = responsesSheet._data.find(r => r[0] === tracked);
+  const plainRow = responsesSheet._data.find(r => r[0] === plain);
+  assert.equal(trackedRow[9], `k_${tracked}_kid`);
+  assert.equal(plainRow[9], '');
+  // 生メアド / 全体共通の emailHash はどちらにも残らない
+  assert.equal(JSON.stringify(trackedRow).includes('kid@example.com'), false);
+  assert.equal(trackedRow.includes('h1'), false);
+
+  const trackedSnap = context.getLessonForReview('u1', tracked).data.lesson.lessonJson.snapshots[0];
+  assert.equal(trackedSnap.rows[0].studentKey, `k_${tracked}_kid`);
+  const plainSnap = context.getLessonForReview('u1', plain).data.lesson.lessonJson.snapshots[0];
+  assert.equal('studentKey' in plainSnap.rows[0], false);
+});
+
 test('endLesson: capture 失敗時も lesson は completed に遷移 (reason 付き空 snapshot)', () => {
   const { context } = loadLessonContext({
     getPublishedSheetData: () => ({ success: false, error: 'sheet read failed' })
@@ -1178,3 +1269,649 @@ test('reorderLessonPhases: 順列でない order は reject / 恒等順は no-op
   assert.equal(noop.success, true);
   assert.equal(noop.data.changed, false);
 });
+
+test('__projectBoardRowForExport_: 本文の連絡先は常に、 名前は includeName でないとき名簿から伏せる', () => {
+  const { context } = loadLessonContext();
+  vm.runInContext(fs.readFileSync(path.resolve(__dirname, '../src/PiiMaskingService.js'), 'utf8'), context);
+  const rows = [
+    { rowIndex: 2, name: '田中 太郎', answer: '賛成', reason: '佐藤さんと同じ' },
+    { rowIndex: 3, name: '佐藤 花子', answer: '反対', reason: 'hanako@example.com に送った' }
+  ];
+  const piiMatcher = context.buildPiiMatcher_(rows);
+
+  const slim = rows.map((r) => context.__projectBoardRowForExport_(r, { piiMatcher }));
+  assert.deepEqual(slim.map((r) => r.reason), ['［名前］さんと同じ', '［メール］ に送った']);
+  assert.equal(slim[0].name, undefined);
+
+  const named = context.__projectBoardRowForExport_(rows[0], { includeName: true, piiMatcher });
+  assert.equal(named.reason, '佐藤さんと同じ', '名前を残す書き出しでは本文の名前も残す');
+  assert.equal(named.name, '田中 太郎');
+});
+
+// =====================================================================
+// フェーズのタイマー (phases[].timer → lessonJson.phaseTimer → 台帳 → sweep / heartbeat)
+// =====================================================================
+
+// Date.now() / new Date() だけを差し替える時計。Date.parse 等は本物を使う。
+function createFakeClock(startIso) {
+  let nowMs = Date.parse(startIso);
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(nowMs);
+      else super(...args);
+    }
+    static now() { return nowMs; }
+  }
+  return { Date: FakeDate, advance: (sec) => { nowMs += sec * 1000; } };
+}
+
+function startTimedLesson(context, timers) {
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1']);
+  timers.forEach((timer, i) => {
+    if (timer) context.updateLessonDraft('u1', lessonId, `phases[${i}].timer`, timer);
+  });
+  const started = context.startLesson('u1', lessonId);
+  assert.equal(started.success, true, JSON.stringify(started));
+  return lessonId;
+}
+
+const readLessonJson = (context, lessonId) =>
+  JSON.parse(JSON.stringify(context.__findLessonById_(lessonId).lesson.lessonJson));
+const readRegistry = (properties) => JSON.parse(properties.LESSON_PHASE_TIMERS || '{}');
+
+test('updateLessonDraft: phase timer を正規化し、時間の無い定義は消す', () => {
+  const { context } = loadLessonContext();
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+
+  context.updateLessonDraft('u1', lessonId, 'phases[0].timer', { durationSec: 3, onExpire: 'explode' });
+  context.updateLessonDraft('u1', lessonId, 'phases[1].timer', { durationSec: 99999, onExpire: 'advance' });
+  let lj = readLessonJson(context, lessonId);
+  assert.deepEqual(lj.phases[0].timer, { durationSec: 10, onExpire: 'notify' });
+  assert.deepEqual(lj.phases[1].timer, { durationSec: 7200, onExpire: 'advance' });
+
+  context.updateLessonDraft('u1', lessonId, 'phases[0].timer', { durationSec: 0, onExpire: 'close' });
+  lj = readLessonJson(context, lessonId);
+  assert.equal('timer' in lj.phases[0], false);
+});
+
+test('startLesson: phase 0 のタイマーを立て、config と台帳に載せる', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, configPatches, properties } = loadLessonContext({ Date: clock.Date });
+  const lessonId = startTimedLesson(context, [{ durationSec: 300, onExpire: 'advance' }]);
+
+  const lj = readLessonJson(context, lessonId);
+  assert.equal(lj.phaseTimer.phaseIndex, 0);
+  assert.equal(lj.phaseTimer.endsAt, '2026-05-15T00:05:00.000Z');
+  assert.equal(lj.phaseTimer.expiredAt, null);
+  assert.equal(configPatches[0].patch.phaseTimer.endsAt, '2026-05-15T00:05:00.000Z');
+  assert.deepEqual(readRegistry(properties)[lessonId],
+    { userId: 'u1', tenantId: null, phaseIndex: 0, endsAt: Date.parse('2026-05-15T00:05:00Z') });
+});
+
+test('startLesson: タイマーの無い phase では config の phaseTimer を null (= 削除) にする', () => {
+  const { context, configPatches, properties } = loadLessonContext();
+  startTimedLesson(context, []);
+  assert.equal(configPatches[0].patch.phaseTimer, null);
+  assert.deepEqual(readRegistry(properties), {});
+});
+
+test('lessonPhaseTimerSweep: advance は snapshot を焼いて次のフェーズへ進め、次のタイマーを立てる', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, configPatches, formCloses, audits, properties } = loadLessonContext({
+    Date: clock.Date,
+    getPublishedSheetData: () => ({ success: true, data: [{ rowIndex: 2, answer: 'a' }] })
+  });
+  const lessonId = startTimedLesson(context, [
+    { durationSec: 60, onExpire: 'advance' },
+    { durationSec: 120, onExpire: 'notify' }
+  ]);
+
+  clock.advance(30);
+  assert.equal(context.lessonPhaseTimerSweep().due, 0, '期限前は何もしない');
+
+  clock.advance(30);
+  const summary = context.lessonPhaseTimerSweep();
+  assert.equal(summary.fired, 1);
+
+  const lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 1);
+  assert.equal(lj.snapshots.length, 1);
+  assert.equal(lj.snapshots[0].phaseIndex, 0);
+  assert.equal(lj.snapshots[0].rowCount, 1);
+  assert.equal(lj.phaseTimer.phaseIndex, 1);
+  assert.equal(lj.phaseTimer.endsAt, '2026-05-15T00:03:00.000Z');
+
+  assert.deepEqual(formCloses.slice(-2).map(f => [f.formId, f.accepting]), [['form_1', false], ['form_2', true]]);
+  const lastPatch = configPatches[configPatches.length - 1].patch;
+  assert.equal(lastPatch.formUrl, 'https://forms.example/2');
+  assert.equal(lastPatch.phaseTimer.phaseIndex, 1);
+  const advanceAudit = audits.find(a => a.operation === 'lesson.advance');
+  assert.equal(advanceAudit.detail.diff.via, 'timer');
+  assert.equal(readRegistry(properties)[lessonId].phaseIndex, 1);
+
+  // 同じ時間切れを二度処理しない
+  assert.equal(context.lessonPhaseTimerSweep().fired, 0);
+});
+
+test('lessonPhaseTimerSweep: close は Form を締め切って snapshot を焼き、フェーズは進めない', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, configPatches, formCloses, properties } = loadLessonContext({
+    Date: clock.Date,
+    getPublishedSheetData: () => ({ success: true, data: [{ rowIndex: 2, answer: 'a' }] })
+  });
+  const lessonId = startTimedLesson(context, [{ durationSec: 60, onExpire: 'close' }]);
+  clock.advance(61);
+
+  assert.equal(context.lessonPhaseTimerSweep().fired, 1);
+  const lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 0);
+  assert.equal(lj.snapshots[0].phaseIndex, 0);
+  assert.equal(lj.phaseTimer.expiredAt, '2026-05-15T00:01:01.000Z');
+  assert.deepEqual(formCloses[formCloses.length - 1], { formId: 'form_1', accepting: false });
+  assert.equal(configPatches[configPatches.length - 1].patch.phaseTimer.expiredAt, '2026-05-15T00:01:01.000Z');
+  assert.deepEqual(readRegistry(properties), {}, '処理済みのタイマーは台帳から消える');
+});
+
+// 毎分トリガーは管理者として動くので、教師が持ち主の Form は開けない。
+function createFlakyFormApp() {
+  const state = { down: false, toggles: [] };
+  const FormApp = {
+    openById: (formId) => {
+      if (state.down) throw new Error('You do not have permission to access the requested document.');
+      return {
+        setAcceptingResponses: (b) => { state.toggles.push({ formId, accepting: b }); }
+      };
+    }
+  };
+  return { state, FormApp };
+}
+
+test('lessonPhaseTimerSweep: Form を開けなかった close は保留し、教師の heartbeat で締め切る', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const flaky = createFlakyFormApp();
+  const { context } = loadLessonContext({ Date: clock.Date, FormApp: flaky.FormApp });
+  const lessonId = startTimedLesson(context, [{ durationSec: 60, onExpire: 'close' }]);
+  clock.advance(61);
+
+  flaky.state.down = true;
+  assert.equal(context.lessonPhaseTimerSweep().fired, 1);
+  let lj = readLessonJson(context, lessonId);
+  assert.equal(lj.phaseTimer.expiredAt, '2026-05-15T00:01:01.000Z', 'ボードの時間切れは進める');
+  assert.deepEqual(lj.pendingFormStates, { form_1: false });
+
+  // 開けない実行では保留を残したまま row を書かない
+  const etag = context.__findLessonById_(lessonId).lesson.etag;
+  assert.equal(context.checkLessonPhaseTimer('u1').data.pendingForms, 1);
+  assert.equal(context.__findLessonById_(lessonId).lesson.etag, etag);
+
+  flaky.state.down = false;
+  const beat = context.checkLessonPhaseTimer('u1');
+  assert.equal(beat.data.pendingForms, 0);
+  assert.deepEqual(flaky.state.toggles[flaky.state.toggles.length - 1], { formId: 'form_1', accepting: false });
+  lj = readLessonJson(context, lessonId);
+  assert.equal('pendingFormStates' in lj, false);
+});
+
+test('lessonPhaseTimerSweep: Form を開けなかった advance は保留し、教師が次に進めるときにまとめて当てる', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const flaky = createFlakyFormApp();
+  const { context } = loadLessonContext({ Date: clock.Date, FormApp: flaky.FormApp });
+  const lessonId = startTimedLesson(context, [{ durationSec: 60, onExpire: 'advance' }]);
+  clock.advance(60);
+
+  flaky.state.down = true;
+  assert.equal(context.lessonPhaseTimerSweep().fired, 1);
+  let lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 1);
+  assert.deepEqual(lj.pendingFormStates, { form_1: false, form_2: true });
+
+  flaky.state.down = false;
+  const advanced = context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(advanced.success, true, JSON.stringify(advanced));
+  lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 2);
+  assert.equal('pendingFormStates' in lj, false);
+  // form_2 の open は教師の操作の方が新しいので捨て、form_1 の close だけ当てる
+  assert.deepEqual(JSON.parse(JSON.stringify(flaky.state.toggles.slice(-3))), [
+    { formId: 'form_2', accepting: false },
+    { formId: 'form_3', accepting: true },
+    { formId: 'form_1', accepting: false }
+  ]);
+});
+
+test('lessonPhaseTimerSweep: notify は時間切れの印だけ付ける / 最後のフェーズの advance は close 扱い', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, formCloses } = loadLessonContext({ Date: clock.Date });
+  const lessonId = startTimedLesson(context, [
+    { durationSec: 60, onExpire: 'notify' }, null, { durationSec: 60, onExpire: 'advance' }
+  ]);
+  const closesBefore = formCloses.length;
+  clock.advance(60);
+  context.lessonPhaseTimerSweep();
+  let lj = readLessonJson(context, lessonId);
+  assert.equal(typeof lj.phaseTimer.expiredAt, 'string');
+  assert.equal(formCloses.length, closesBefore);
+  assert.equal(lj.snapshots.length, 0);
+
+  context.advanceLessonPhase('u1', lessonId, null, 2);
+  clock.advance(60);
+  const fired = context.checkLessonPhaseTimer('u1');
+  assert.equal(fired.data.action, 'close');
+  lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 2);
+  assert.equal(context.__findLessonById_(lessonId).lesson.state, 'active', '授業の終了は教師が決める');
+});
+
+test('checkLessonPhaseTimer: 期限前は not_due、期限後に 1 回だけ処理する', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context } = loadLessonContext({ Date: clock.Date });
+  startTimedLesson(context, [{ durationSec: 60, onExpire: 'advance' }]);
+
+  const early = context.checkLessonPhaseTimer('u1');
+  assert.equal(early.success, true);
+  assert.equal(early.data.fired, false);
+  assert.equal(early.data.reason, 'not_due');
+
+  clock.advance(60);
+  const fired = context.checkLessonPhaseTimer('u1');
+  assert.equal(fired.data.fired, true);
+  assert.equal(fired.data.activePhaseIndex, 1);
+  assert.equal(context.checkLessonPhaseTimer('u1').data.fired, false);
+});
+
+test('checkLessonPhaseTimer: 他人のボードは拒否', () => {
+  const { context } = loadLessonContext();
+  const res = context.checkLessonPhaseTimer('someone-else');
+  assert.equal(res.success, false);
+});
+
+test('手動の切替 / 終了で台帳が追従し、終了後のボードにタイマーを残さない', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, configPatches, properties } = loadLessonContext({ Date: clock.Date });
+  const lessonId = startTimedLesson(context, [
+    { durationSec: 300, onExpire: 'advance' }, { durationSec: 600, onExpire: 'close' }
+  ]);
+  clock.advance(10);
+  context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(readRegistry(properties)[lessonId].endsAt, Date.parse('2026-05-15T00:10:10Z'));
+
+  context.endLesson('u1', lessonId);
+  assert.deepEqual(readRegistry(properties), {});
+  assert.equal('phaseTimer' in readLessonJson(context, lessonId), false);
+  assert.equal(configPatches[configPatches.length - 1].patch.phaseTimer, null);
+
+  // 消し損ねた登録が残っていても sweep が掃除する
+  properties.LESSON_PHASE_TIMERS = JSON.stringify({ [lessonId]: { userId: 'u1', tenantId: null, phaseIndex: 1, endsAt: 0 } });
+  assert.equal(context.lessonPhaseTimerSweep().fired, 0);
+  assert.deepEqual(readRegistry(properties), {});
+});
+
+test('installLessonPhaseTimerTrigger: 毎分トリガーを 1 つだけ作る', () => {
+  const created = [];
+  let minutes = null;
+  const triggers = [];
+  const { context } = loadLessonContext({
+    ScriptApp: {
+      getProjectTriggers: () => triggers,
+      newTrigger: (fn) => ({
+        timeBased: () => ({
+          everyMinutes: (m) => {
+            minutes = m;
+            return { create: () => { created.push(fn); triggers.push({ getHandlerFunction: () => fn }); } };
+          }
+        })
+      })
+    }
+  });
+  context.installLessonPhaseTimerTrigger();
+  context.installLessonPhaseTimerTrigger();
+  assert.deepEqual(created, ['lessonPhaseTimerSweep']);
+  assert.equal(minutes, 1);
+});
+
+// =====================================================================
+// 予約開始とくり返し (scheduleLesson → 事前準備 → 台帳 → lessonScheduleSweep)
+// =====================================================================
+
+const readSchedules = (properties) => JSON.parse(properties.LESSON_SCHEDULES || '{}');
+
+function createStartableDraft(context, name) {
+  const created = context.createLessonDraft('u1', name || '道徳', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-2']);
+  return lessonId;
+}
+
+test('scheduleLesson: 開始が近ければ Form を先に作り (phase 0 だけ受付)、台帳に載せる', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, formCreations, formCloses, configPatches, properties, audits } = loadLessonContext({ Date: clock.Date });
+  const lessonId = createStartableDraft(context);
+
+  const res = context.scheduleLesson('u1', lessonId, '2026-05-19T01:45:00Z');
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(res.data.formsReady, true);
+  assert.equal(res.data.lesson.state, 'draft');
+  assert.equal(formCreations.length, 3);
+  assert.deepEqual(formCloses.map(f => f.accepting), [true, false, false]);
+  // 開始前なのでボードには何も出さない
+  assert.equal(configPatches.length, 0);
+  assert.deepEqual(readSchedules(properties), {
+    [lessonId]: { userId: 'u1', tenantId: null, startAt: Date.parse('2026-05-19T01:45:00Z') }
+  });
+  assert.ok(audits.some(a => a.operation === 'lesson.schedule'));
+
+  const listed = context.listLessons('u1').data.lessons.find(l => l.lessonId === lessonId);
+  assert.equal(listed.schedule.status, 'scheduled');
+  assert.equal(listed.formsReady, true);
+});
+
+test('scheduleLesson: 過去の日時 / クラス未設定は reject、予約の外しは台帳からも消す', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, properties } = loadLessonContext({ Date: clock.Date });
+  const bare = context.createLessonDraft('u1', '道徳', 'doutoku-3phase').data.lesson.lessonId;
+  assert.match(context.scheduleLesson('u1', bare, '2026-05-19T01:45:00Z').message, /対象クラス/);
+
+  const lessonId = createStartableDraft(context);
+  assert.match(context.scheduleLesson('u1', lessonId, '2026-05-14T01:45:00Z').message, /今より後/);
+  assert.equal(context.scheduleLesson('u1', lessonId, '2026-05-19T01:45:00Z').success, true);
+  assert.equal(context.scheduleLesson('u1', lessonId, null).success, true);
+  assert.deepEqual(readSchedules(properties), {});
+  assert.equal('schedule' in readLessonJson(context, lessonId), false);
+  // 予約は updateLessonDraft からは触れない (台帳とずれるため)
+  assert.equal(context.updateLessonDraft('u1', lessonId, 'schedule', { startAt: 'x', status: 'scheduled' }).success, false);
+});
+
+test('scheduleLesson: 1 週間より先の予約は Form を作らず、近づいてから prepareScheduledLessons で作る', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, formCreations } = loadLessonContext({ Date: clock.Date });
+  const lessonId = createStartableDraft(context);
+
+  const res = context.scheduleLesson('u1', lessonId, '2026-06-10T01:45:00Z');
+  assert.equal(res.success, true);
+  assert.equal(res.data.formsReady, false);
+  assert.equal(formCreations.length, 0);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(context.prepareScheduledLessons('u1').data.prepared)), []);
+  clock.advance(20 * 24 * 60 * 60);
+  const prepared = context.prepareScheduledLessons('u1');
+  assert.deepEqual(JSON.parse(JSON.stringify(prepared.data.prepared)), [lessonId]);
+  assert.equal(formCreations.length, 3);
+});
+
+test('lessonScheduleSweep: 期限が来たら Form を作らずに phase 0 を出して active にする', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, formCreations, configPatches, properties, audits } = loadLessonContext({ Date: clock.Date });
+  const lessonId = createStartableDraft(context);
+  context.scheduleLesson('u1', lessonId, '2026-05-15T01:45:00Z');
+  assert.equal(formCreations.length, 3);
+
+  assert.equal(context.lessonScheduleSweep().due, 0);
+  clock.advance(105 * 60);
+  const summary = context.lessonScheduleSweep();
+  assert.equal(summary.fired, 1, JSON.stringify(summary));
+  assert.equal(formCreations.length, 3);
+  assert.equal(configPatches.length, 1);
+  assert.equal(configPatches[0].patch.formUrl, 'https://forms.example/1');
+
+  const lesson = context.__findLessonById_(lessonId).lesson;
+  assert.equal(lesson.state, 'active');
+  assert.equal('schedule' in lesson.lessonJson, false);
+  assert.deepEqual(readSchedules(properties), {});
+  const start = audits.find(a => a.operation === 'lesson.start');
+  assert.equal(start.detail.diff.via, 'schedule');
+  // 2 回目の sweep は何もしない
+  assert.equal(context.lessonScheduleSweep().due, 0);
+});
+
+test('lessonScheduleSweep: 別の授業が実行中なら待ち、遅れの許容を過ぎたら missed にして台帳から外す', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, properties } = loadLessonContext({ Date: clock.Date });
+  const running = createStartableDraft(context, '前の授業');
+  const lessonId = createStartableDraft(context);
+  context.scheduleLesson('u1', lessonId, '2026-05-15T00:10:00Z');
+  assert.equal(context.startLesson('u1', running).success, true);
+
+  clock.advance(11 * 60);
+  assert.equal(context.lessonScheduleSweep().fired, 0);
+  assert.equal(context.__findLessonById_(lessonId).lesson.state, 'draft');
+  assert.ok(readSchedules(properties)[lessonId]);
+
+  clock.advance(30 * 60);
+  assert.equal(context.lessonScheduleSweep().fired, 0);
+  const lj = readLessonJson(context, lessonId);
+  assert.deepEqual(lj.schedule, { startAt: '2026-05-15T00:10:00.000Z', status: 'missed', reason: 'another_active' });
+  assert.deepEqual(readSchedules(properties), {});
+  // 教師は手動で始められる (予約の印は消える)
+  context.endLesson('u1', running);
+  assert.equal(context.startLesson('u1', lessonId).success, true);
+  assert.equal('schedule' in readLessonJson(context, lessonId), false);
+});
+
+test('updateLessonDraft: 準備済みの Form は編集で捨て、次の準備で作り直す', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, formCreations } = loadLessonContext({ Date: clock.Date });
+  const lessonId = createStartableDraft(context);
+  context.scheduleLesson('u1', lessonId, '2026-05-19T01:45:00Z');
+  assert.equal(formCreations.length, 3);
+
+  context.updateLessonDraft('u1', lessonId, 'phases[0].question', '新しい問い');
+  const lj = readLessonJson(context, lessonId);
+  assert.equal(lj.phases[0].formId, '');
+  assert.equal('formsPreparedAt' in lj, false);
+  assert.equal(lj.schedule.status, 'scheduled');
+
+  context.prepareScheduledLessons('u1');
+  assert.equal(formCreations.length, 6);
+  assert.equal(formCreations[3].templateOptions.question, '新しい問い');
+});
+
+test('createLessonSeries: 毎週同じ曜日・時刻 (JST) の予約を日付入りの名前で作り、cancelLessonSeries で残りを消す', () => {
+  // 2026-05-15 は金曜。次の火曜は 5/19
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, properties, formCreations } = loadLessonContext({ Date: clock.Date });
+  const template = createStartableDraft(context, '道徳');
+
+  const res = context.createLessonSeries('u1', template, {
+    weekday: 2, time: '10:45', count: 3, classes: ['5-2'], label: '3時間目'
+  });
+  assert.equal(res.success, true, JSON.stringify(res));
+  const lessons = JSON.parse(JSON.stringify(res.data.lessons));
+  assert.deepEqual(lessons.map(l => l.name), [
+    '道徳 5/19(火) 3時間目', '道徳 5/26(火) 3時間目', '道徳 6/2(火) 3時間目'
+  ]);
+  // 10:45 JST = 01:45 UTC
+  assert.deepEqual(lessons.map(l => l.startAt), [
+    '2026-05-19T01:45:00.000Z', '2026-05-26T01:45:00.000Z', '2026-06-02T01:45:00.000Z'
+  ]);
+  assert.equal(Object.keys(readSchedules(properties)).length, 3);
+  // 1 週間以内の 5/19 だけ Form を先に作る
+  assert.equal(formCreations.length, 3);
+  const first = readLessonJson(context, lessons[0].lessonId);
+  assert.deepEqual(first.classes, ['5-2']);
+  assert.equal(first.series.seriesId, res.data.seriesId);
+
+  // 1 回目を始めてから取り消す → 始まった回は残る
+  clock.advance((4 * 24 * 60 + 105) * 60);
+  assert.equal(context.lessonScheduleSweep().fired, 1);
+  const cancelled = context.cancelLessonSeries('u1', res.data.seriesId);
+  assert.equal(cancelled.data.deleted, 2);
+  assert.deepEqual(readSchedules(properties), {});
+  assert.equal(context.__findLessonById_(lessons[0].lessonId).lesson.state, 'active');
+});
+
+test('createLessonSeries: 曜日 / 時刻 / 回数の範囲外は reject、今日の過ぎた時刻は飛ばす', () => {
+  const clock = createFakeClock('2026-05-15T03:00:00Z'); // 金曜 12:00 JST
+  const { context } = loadLessonContext({ Date: clock.Date });
+  const template = createStartableDraft(context);
+  assert.equal(context.createLessonSeries('u1', template, { weekday: 7, time: '10:45', count: 1 }).success, false);
+  assert.equal(context.createLessonSeries('u1', template, { weekday: 5, time: '25:00', count: 1 }).success, false);
+  assert.equal(context.createLessonSeries('u1', template, { weekday: 5, time: '10:45', count: 21 }).success, false);
+
+  const res = context.createLessonSeries('u1', template, { weekday: 5, time: '10:45', count: 1 });
+  assert.equal(res.data.lessons[0].startAt, '2026-05-22T01:45:00.000Z');
+});
+
+test('installLessonScheduleTrigger: 毎分トリガーを 1 つだけ作る', () => {
+  const created = [];
+  const triggers = [];
+  const { context } = loadLessonContext({
+    ScriptApp: {
+      getProjectTriggers: () => triggers,
+      newTrigger: (fn) => ({
+        timeBased: () => ({
+          everyMinutes: () => ({ create: () => { created.push(fn); triggers.push({ getHandlerFunction: () => fn }); } })
+        })
+      })
+    }
+  });
+  context.installLessonScheduleTrigger();
+  context.installLessonScheduleTrigger();
+  assert.deepEqual(created, ['lessonScheduleSweep']);
+});
+
+// ----- フェーズの分岐 -----
+
+const PIE_ROWS = (answers) => ({
+  success: true,
+  data: answers.map((answer, i) => ({ rowIndex: i + 2, answer }))
+});
+
+test('updateLessonDraft: 分岐を正規化し、行き先の無い条件や自分自身への分岐は落とす', () => {
+  const { context } = loadLessonContext();
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+
+  context.updateLessonDraft('u1', lessonId, 'phases[0].branches', {
+    rules: [
+      { metric: 'topShare', op: '>', value: 150, goTo: 2 },
+      { metric: 'topShare', op: '>', value: 50, goTo: 0 },
+      { metric: 'choiceShare', op: '>=', value: 30, goTo: 2 },
+      { metric: 'unknown', op: '>', value: 1, goTo: 2 }
+    ]
+  });
+  // 最後の phase で otherwise が無いと進み先が決まらないので分岐ごと無効
+  context.updateLessonDraft('u1', lessonId, 'phases[2].branches', {
+    rules: [{ metric: 'responseCount', op: '<', value: 5, goTo: 1 }]
+  });
+  const lj = readLessonJson(context, lessonId);
+  assert.deepEqual(lj.phases[0].branches, {
+    rules: [{ metric: 'topShare', op: '>', value: 100, goTo: 2 }],
+    otherwise: 1
+  });
+  assert.equal('branches' in lj.phases[2], false);
+});
+
+test('advanceLessonPhase: 分岐の条件に当たれば行き先へ飛び、判定を遷移と監査に残す', () => {
+  const { context, audits } = loadLessonContext({
+    getPublishedSheetData: () => PIE_ROWS(['A', 'A', 'A', 'A', 'B'])
+  });
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1', '5-2']);
+  context.updateLessonDraft('u1', lessonId, 'phases[0].branches', {
+    rules: [{ metric: 'topShare', op: '>', value: 70, goTo: 2 }]
+  });
+  context.startLesson('u1', lessonId);
+
+  const res = context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(res.data.activePhaseIndex, 2);
+  assert.equal(res.data.branch.ruleIndex, 0);
+  assert.equal(res.data.branch.observed, 80);
+  assert.equal(res.data.branch.topAnswer, 'A');
+  assert.equal(res.data.branch.summary, '最も多い回答「A」の割合 80% (条件: > 70%)');
+
+  const lj = readLessonJson(context, lessonId);
+  const last = lj.profileTransitions[lj.profileTransitions.length - 1];
+  assert.equal(last.from, 0);
+  assert.equal(last.to, 2);
+  assert.equal(last.branch.responseCount, 5);
+  assert.equal('toIdx' in last.branch, false);
+  // 分岐の判定に使った行がそのまま phase 0 の snapshot になる
+  assert.equal(lj.snapshots[0].rowCount, 5);
+  const audit = audits.find(a => a.operation === 'lesson.advance');
+  assert.deepEqual(JSON.parse(JSON.stringify(audit.detail.diff)), {
+    activePhaseIndex: { before: 0, after: 2 },
+    branch: { ruleIndex: 0, observed: 80 }
+  });
+});
+
+test('advanceLessonPhase: 条件に当たらなければ otherwise へ、最後の phase でも分岐があれば進める', () => {
+  const { context } = loadLessonContext({
+    getPublishedSheetData: () => PIE_ROWS(['A', 'B', 'C'])
+  });
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1']);
+  context.updateLessonDraft('u1', lessonId, 'phases[0].branches', {
+    rules: [{ metric: 'choiceShare', choice: 'A', op: '>=', value: 50, goTo: 2 }]
+  });
+  context.updateLessonDraft('u1', lessonId, 'phases[2].branches', {
+    rules: [{ metric: 'responseCount', op: '<', value: 10, goTo: 0 }],
+    otherwise: 1
+  });
+  context.startLesson('u1', lessonId);
+
+  let res = context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(res.data.activePhaseIndex, 1);
+  assert.equal(res.data.branch.ruleIndex, null);
+  assert.equal(res.data.branch.summary, '条件に当たらず (「A」の割合 33.3%、条件: >= 50%)');
+
+  // 分岐の無い phase の「次へ」はこれまでどおり (branch は null)
+  res = context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(res.data.activePhaseIndex, 2);
+  assert.equal(res.data.branch, null);
+
+  res = context.advanceLessonPhase('u1', lessonId, 'next');
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(res.data.activePhaseIndex, 0);
+
+  // 添字を指定したジャンプと「戻す」は分岐を見ない
+  res = context.advanceLessonPhase('u1', lessonId, null, 1);
+  assert.equal(res.data.activePhaseIndex, 1);
+  assert.equal(res.data.branch, null);
+});
+
+test('lessonPhaseTimerSweep: 時間切れの advance も分岐を判定し、最後の phase でも close にしない', () => {
+  const clock = createFakeClock('2026-05-15T00:00:00Z');
+  const { context, audits } = loadLessonContext({
+    Date: clock.Date,
+    getPublishedSheetData: () => PIE_ROWS([])
+  });
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'classes', ['5-1']);
+  context.updateLessonDraft('u1', lessonId, 'phases[0].timer', { durationSec: 60, onExpire: 'advance' });
+  context.updateLessonDraft('u1', lessonId, 'phases[0].branches', {
+    rules: [{ metric: 'responseCount', op: '<', value: 1, goTo: 2 }]
+  });
+  context.startLesson('u1', lessonId);
+
+  clock.advance(60);
+  assert.equal(context.lessonPhaseTimerSweep().fired, 1);
+  const lj = readLessonJson(context, lessonId);
+  assert.equal(context.__activePhaseIndex_(lj), 2);
+  assert.equal(lj.profileTransitions[lj.profileTransitions.length - 1].branch.summary, '回答数 0件 (条件: < 1件)');
+  const audit = audits.find(a => a.operation === 'lesson.advance');
+  assert.equal(audit.detail.diff.via, 'timer');
+});
+
+test('reorderLessonPhases: 分岐の行き先は同じ phase を指し続ける', () => {
+  const { context } = loadLessonContext();
+  const created = context.createLessonDraft('u1', '5/15', 'doutoku-3phase');
+  const lessonId = created.data.lesson.lessonId;
+  context.updateLessonDraft('u1', lessonId, 'phases[0].branches', {
+    rules: [{ metric: 'meanX', op: '<=', value: 2, goTo: 2 }]
+  });
+  const names = readLessonJson(context, lessonId).phases.map(p => p.name);
+
+  const res = context.reorderLessonPhases('u1', lessonId, [2, 0, 1]);
+  assert.equal(res.success, true);
+  const lj = readLessonJson(context, lessonId);
+  const branches = lj.phases[1].branches;
+  assert.equal(lj.phases[branches.rules[0].goTo].name, names[2]);
+  assert.equal(lj.phases[branches.otherwise].name, names[1]);
+});
@@ -0,0 +1,101 @@
+// scripts/lib/gas-emulator (npm run emulator のローカル GAS ランタイム) のテスト。
+// サービス単体は直接 require、全体は src/*.js を実際に読み込んで起動を確認する。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileTemplate } = require('../scripts/lib/gas-emulator/html');
+const { createStore, MIME } = require('../scripts/lib/gas-emulator/store');
+const { createGoogleApis, issueToken } = require('../scripts/lib/gas-emulator/google-apis');
+const { newSheetDoc, parseRange, coerceUserEntered } = require('../scripts/lib/gas-emulator/spreadsheet');
+const { serializeForClient } = require('../scripts/lib/gas-emulator/runtime');
+const { createGasRuntime, seed } = require('../scripts/lib/gas-emulator');
+
+// ── helpers ───────────────────────────────────────────────────
+
+function sheetFixture(values) {
+  const store = createStore();
+  const file = store.createFile({ name: 'fixture', mimeType: MIME.SPREADSHEET, owner: 'owner@example.com' });
+  const sheet = newSheetDoc(0, 'data');
+  sheet.values = values;
+  store.addSpreadsheet({ id: file.id, title: 'fixture', timeZone: 'Asia/Tokyo', sheets: [sheet] });
+  return { store, id: file.id };
+}
+
+function valuesGet(store, id, who) {
+  const apis = createGoogleApis(store, {});
+  const res = apis.handle({
+    url: `https://sheets.googleapis.com/v4/spreadsheets/${id}/values/${encodeURIComponent("'data'!A1:C2")}`,
+    method: 'GET',
+    headers: { Authorization: `Bearer ${issueToken({ email: who, kind: 'user' })}` }
+  });
+  return { code: res.code, body: JSON.parse(res.body.toString('utf8')) };
+}
+
+// ── template ──────────────────────────────────────────────────
+
+test('compileTemplate: <?= は escape、<?!= は raw、末尾の ; は落とす', () => {
+  const code = compileTemplate('<p><?= title; ?></p><?!= include("x") ?>');
+  assert.match(code, /__out\.push\(__esc\(title\)\);/);
+  assert.match(code, /__out\.push\(__raw\(include\("x"\)\)\);/);
+});
+
+// ── spreadsheet ───────────────────────────────────────────────
+
+test('parseRange: 3 文字を超える英字はシート名として扱う', () => {
+  assert.equal(parseRange('users').sheetName, 'users');
+  assert.deepEqual(parseRange("'フォームの回答 1'!A2:C"), { sheetName: 'フォームの回答 1', r1: 2, c1: 1, r2: null, c2: 3 });
+});
+
+test('coerceUserEntered: 数値文字列は数値、先頭 \' は文字列のまま', () => {
+  assert.equal(coerceUserEntered('42'), 42);
+  assert.equal(coerceUserEntered('TRUE'), true);
+  assert.equal(coerceUserEntered("'42"), '42');
+});
+
+// ── Sheets REST ───────────────────────────────────────────────
+
+test('values.get: 既定は FORMATTED_VALUE (真偽値は TRUE/FALSE、日付は表示形式)', () => {
+  const { store, id } = sheetFixture([['a', true, new Date('2026-04-01T00:05:06Z')]]);
+  const { code, body } = valuesGet(store, id, 'owner@example.com');
+  assert.equal(code, 200);
+  assert.deepEqual(body.values, [['a', 'TRUE', '2026/04/01 9:05:06']]);
+});
+
+test('values.get: 共有されていない相手には 403 PERMISSION_DENIED', () => {
+  const { store, id } = sheetFixture([['a']]);
+  const { code, body } = valuesGet(store, id, 'stranger@example.com');
+  assert.equal(code, 403);
+  assert.equal(body.error.status, 'PERMISSION_DENIED');
+});
+
+// ── google.script.run ─────────────────────────────────────────
+
+test('serializeForClient: Date を含む戻り値は null になる', () => {
+  assert.deepEqual(serializeForClient({ a: 1, b: undefined }), { value: { a: 1 } });
+  assert.equal(serializeForClient({ at: new Date() }).value, null);
+});
+
+// ── runtime (src/*.js 全体) ───────────────────────────────────
+
+test('runtime: 初期設定 → 管理画面の描画まで通る', () => {
+  const rt = createGasRuntime({ onLog: () => {} });
+  const { users } = seed(rt);
+  const teacher = 'teacher@example.com';
+
+  const page = rt.doGet({ mode: 'admin', userId: users[teacher] }, { as: teacher });
+  assert.equal(page.title, '管理');
+  assert.doesNotMatch(page.content, /<\?/);
+  assert.equal(rt.run('getCurrentEmail', [], { as: teacher }), teacher);
+});
+
+test('runtime: 末尾 _ の関数は google.script.run から呼べない', () => {
+  const rt = createGasRuntime({ onLog: () => {} });
+  assert.throws(() => rt.run('logError_', []), /Script function not found: logError_/);
+  assert.ok(!rt.publicFunctions().includes('logError_'));
+});
+
+test('runtime: グローバル変数は実行ごとに初期化される', () => {
+  const rt = createGasRuntime({ onLog: () => {} });
+  rt.execute('', (ctx) => { ctx.__emulatorProbe = 1; });
+  assert.equal(rt.execute('', (ctx) => ctx.__emulatorProbe), undefined);
+});
@@ -113,6 +113,15 @@ test('doGet: view with failed data fetch returns error page', () => {
   assert.ok(templates.includes('ErrorBoundary.html'));
 });
 
+test('pinnedClassFromParams_: ?class= はクラスごとのボードとして渡し、空 / すべて は全クラス', () => {
+  const { context } = loadDoGetContext();
+  assert.equal(context.pinnedClassFromParams_({ class: ' 5-1 ' }), '5-1');
+  assert.equal(context.pinnedClassFromParams_({ class: 'x'.repeat(80) }).length, 50);
+  assert.equal(context.pinnedClassFromParams_({ class: 'すべて' }), null);
+  assert.equal(context.pinnedClassFromParams_({ class: '' }), null);
+  assert.equal(context.pinnedClassFromParams_({}), null);
+});
+
 // --- mode=appSetup ---
 
 test('doGet: appSetup without auth returns error page', () => {
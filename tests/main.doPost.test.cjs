@@ -114,6 +114,25 @@ test('doPost: addReaction requires rowId and reactionType', () => {
   assert.match(missingReactionResponse.message, /Reaction type required/);
 });
 
+test('doPost: submitAnswer requires userId and an answer object', () => {
+  const calls = [];
+  const context = loadMainContext({
+    submitBoardAnswer: (userId, answer) => { calls.push({ userId, answer }); return { success: true, rowIndex: 5 }; }
+  });
+  const missingUser = parseResponse(context.doPost(createPostEvent({ action: 'submitAnswer', answer: { answer: 'a' } })));
+  assert.equal(missingUser.success, false);
+  const badAnswer = parseResponse(context.doPost(createPostEvent({ action: 'submitAnswer', userId: 'u1', answer: 'a' })));
+  assert.equal(badAnswer.success, false);
+  assert.match(badAnswer.message, /JSON object/);
+  assert.equal(calls.length, 0);
+
+  const ok = parseResponse(context.doPost(createPostEvent({ action: 'submitAnswer', userId: 'u1', answer: { answer: '賛成' } })));
+  assert.equal(ok.success, true);
+  assert.equal(ok.rowIndex, 5);
+  assert.equal(calls[0].userId, 'u1');
+  assert.equal(calls[0].answer.answer, '賛成');
+});
+
 test('doPost: publishApp requires config object', () => {
   const context = loadMainContext();
   const event = createPostEvent({ action: 'publishApp' });
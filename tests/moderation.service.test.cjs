@@ -0,0 +1,187 @@
+/**
+ * ModerationService (NG ワード判定・伏せ字・先生の判断の保存) のテスト。
+ *
+ * Why: 判定をすり抜ける表記ゆれ (カタカナ / 半角 / 空白挟み) と、 承認したはずの回答が
+ *      held のまま残る / 見ていない行を承認する、 の 2 種類の事故を固定する。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+function createMockSheet({ headers = [], rows = [], name = 'フォームの回答 1' } = {}) {
+  const data = [headers.slice(), ...rows.map((r) => r.slice())];
+  const makeRange = (row, col, numRows, numCols) => ({
+    getValues() {
+      const out = [];
+      for (let r = row - 1; r < row - 1 + numRows; r += 1) {
+        const rowArr = [];
+        for (let c = col - 1; c < col - 1 + numCols; c += 1) {
+          rowArr.push(data[r] && data[r][c] !== undefined ? data[r][c] : '');
+        }
+        out.push(rowArr);
+      }
+      return out;
+    },
+    setValues(values) {
+      values.forEach((v, r) => {
+        if (!data[row - 1 + r]) data[row - 1 + r] = [];
+        v.forEach((cell, c) => { data[row - 1 + r][col - 1 + c] = cell; });
+      });
+    }
+  });
+  return {
+    getName: () => name,
+    getDataRange: () => makeRange(1, 1, data.length, data[0] ? data[0].length : 0),
+    getRange: (row, col, numRows = 1, numCols = 1) => makeRange(row, col, numRows, numCols),
+    getLastColumn: () => (data[0] ? data[0].length : 0),
+    getParent: () => ({ getId: () => 'mock-ss-id' }),
+    _data: data
+  };
+}
+
+function loadModerationContext({ schoolRules = null, isAdmin = true } = {}) {
+  const props = new Map();
+  if (schoolRules) props.set('MODERATION_RULES', JSON.stringify(schoolRules));
+  const invalidated = [];
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    ...gasResponseStubs(),
+    getCachedProperty: (key) => (props.has(key) ? props.get(key) : null),
+    setCachedProperty: (key, value) => { props.set(key, value); },
+    requireAdmin: () => (isAdmin ? { email: 'admin@example.com', isAdmin: true } : null),
+    validateText: (text) => ({ isValid: true, sanitized: text, errors: [] }),
+    resolveTimestampIndex: (headers) => headers.indexOf('タイムスタンプ'),
+    toComparableTimestamp_: (v) => {
+      const d = v instanceof Date ? v : new Date(v);
+      return Number.isFinite(d.getTime()) ? String(d.getTime()) : '';
+    },
+    invalidateSheetHeadersCache: (ssId, sheetName) => { invalidated.push([ssId, sheetName]); }
+  };
+  vm.createContext(context);
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/ModerationService.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'ModerationService.js' });
+  return { ctx: context, props, invalidated };
+}
+
+// ── 判定 ──────────────────────────────────────────────────────
+
+test('buildModerationMatcher_: カタカナ・半角カナ・空白挟みも 1 語の登録で拾う', () => {
+  const { ctx } = loadModerationContext({ schoolRules: { words: ['ばか'], patterns: [] } });
+  const matcher = ctx.buildModerationMatcher_({});
+  assert.deepEqual(Array.from(ctx.findModerationMatches_(matcher, ['お前バカだな'])), ['ばか']);
+  assert.deepEqual(Array.from(ctx.findModerationMatches_(matcher, ['ﾊﾞｶ'])), ['ばか']);
+  assert.deepEqual(Array.from(ctx.findModerationMatches_(matcher, ['ば か'])), ['ばか']);
+  assert.equal(ctx.findModerationMatches_(matcher, ['はかる']).length, 0);
+});
+
+test('buildModerationMatcher_: ボードの追加語は足し、 許可語は学校の語から外す', () => {
+  const { ctx } = loadModerationContext({ schoolRules: { words: ['死骸', 'きもい'], patterns: ['\\d{3}-\\d{4}-\\d{4}'] } });
+  const matcher = ctx.buildModerationMatcher_({ moderation: { words: ['うざい'], allowWords: ['死骸'] } });
+  assert.deepEqual(Array.from(matcher.words, (w) => w.label), ['きもい', 'うざい']);
+  assert.deepEqual(
+    Array.from(ctx.findModerationMatches_(matcher, ['セミの死骸', '電話は 090-1234-5678'])),
+    ['/\\d{3}-\\d{4}-\\d{4}/']
+  );
+  assert.equal(loadModerationContext().ctx.buildModerationMatcher_({}), null, 'ルールが無ければ判定しない');
+});
+
+test('maskModerationText_: 当たった文字だけ伏せ、 表記ゆれと空白は元の文字位置で処理する', () => {
+  const { ctx } = loadModerationContext({ schoolRules: { words: ['ばか'], patterns: ['\\d{3}-\\d{4}-\\d{4}'] } });
+  const matcher = ctx.buildModerationMatcher_({});
+  assert.equal(ctx.maskModerationText_(matcher, 'ﾊﾞｶじゃない'), '＊＊じゃない');
+  assert.equal(ctx.maskModerationText_(matcher, 'バ カ だ'), '＊ ＊ だ');
+  assert.equal(ctx.maskModerationText_(matcher, '番号 090-1234-5678 です'), '番号 ＊＊＊＊＊＊＊＊＊＊＊＊＊ です');
+});
+
+test('sanitizeModerationRules: 入れ子の繰り返し・読めない正規表現は落とし、 語は区切り文字列も受ける', () => {
+  const { ctx } = loadModerationContext();
+  const out = ctx.sanitizeModerationRules({ words: 'ばか、 バカ\nきもい', patterns: ['(a+)+$', '[', 'ok\\d+'] });
+  assert.deepEqual(Array.from(out.words), ['ばか', 'きもい']);
+  assert.deepEqual(Array.from(out.patterns), ['ok\\d+']);
+  assert.equal(ctx.sanitizeModerationOverride({ words: [], allowWords: ' ' }), null);
+});
+
+// ── 行への反映 ────────────────────────────────────────────────
+
+test('applyModerationToItem_: 判断なしで当たれば held、 承認済みは出し、 伏せ字は本文を差し替える', () => {
+  const { ctx } = loadModerationContext({ schoolRules: { words: ['ばか'] } });
+  const matcher = ctx.buildModerationMatcher_({});
+
+  const held = ctx.applyModerationToItem_({ answer: 'ばか', reason: '', name: '' }, '', matcher);
+  assert.equal(held.moderation.status, 'held');
+  assert.deepEqual(Array.from(held.moderation.matches), ['ばか']);
+
+  const approved = ctx.applyModerationToItem_({ answer: 'ばか' }, JSON.stringify({ status: 'approved', at: 'x' }), matcher);
+  assert.equal(approved.moderation.status, 'approved');
+
+  const masked = ctx.applyModerationToItem_(
+    { answer: 'ばか', opinion: 'ばか', reason: 'r' },
+    JSON.stringify({ status: 'masked', at: 'x', fields: { answer: '＊＊' } }),
+    matcher
+  );
+  assert.equal(masked.answer, '＊＊');
+  assert.equal(masked.opinion, '＊＊');
+  assert.equal(masked.reason, 'r');
+
+  const clean = ctx.applyModerationToItem_({ answer: 'よい' }, undefined, matcher);
+  assert.equal('moderation' in clean, false);
+  // 手編集で壊れたセルは判断なし扱い (= 安全側で held)
+  assert.equal(ctx.applyModerationToItem_({ answer: 'ばか' }, '{broken', matcher).moderation.status, 'held');
+});
+
+// ── 判断の保存 ────────────────────────────────────────────────
+
+const TS = '2026-05-01T01:00:00.000Z';
+
+test('processModerationDirect: MODERATION 列を lazy-provision し、 header cache を捨てる', () => {
+  const { ctx, invalidated } = loadModerationContext();
+  const sheet = createMockSheet({ headers: ['タイムスタンプ', 'Q1'], rows: [[new Date(TS), 'ばか']] });
+
+  const result = ctx.processModerationDirect(sheet, 2, { action: 'mask', fields: { answer: ' ＊＊ ' }, expectedTimestamp: TS });
+
+  assert.equal(result.action, 'masked');
+  assert.equal(sheet._data[0][2], 'MODERATION');
+  const cell = JSON.parse(sheet._data[1][2]);
+  assert.equal(cell.status, 'masked');
+  assert.deepEqual(cell.fields, { answer: '＊＊' });
+  assert.deepEqual(invalidated, [['mock-ss-id', 'フォームの回答 1']]);
+});
+
+test('processModerationDirect: 行の timestamp が違えば書かずに止める', () => {
+  const { ctx } = loadModerationContext();
+  const sheet = createMockSheet({
+    headers: ['タイムスタンプ', 'Q1', 'MODERATION'],
+    rows: [[new Date('2026-05-01T02:00:00.000Z'), '別の回答', '']]
+  });
+  assert.throws(() => ctx.processModerationDirect(sheet, 2, { action: 'approve', expectedTimestamp: TS }),
+    /変更されています/);
+  assert.equal(sheet._data[1][2], '');
+  assert.throws(() => ctx.processModerationDirect(sheet, 2, { action: 'mask', fields: {} }), /伏せ字/);
+  assert.throws(() => ctx.processModerationDirect(sheet, 2, { action: 'publish' }), /Invalid moderation action/);
+});
+
+// ── 学校全体のルール ──────────────────────────────────────────
+
+test('setModerationRules: 使えない正規表現があれば保存せず理由を返す', () => {
+  const { ctx, props } = loadModerationContext();
+  const bad = ctx.setModerationRules({ words: ['ばか'], patterns: ['(\\w*)*x'] });
+  assert.equal(bad.success, false);
+  assert.match(bad.message, /入れ子/);
+  assert.equal(props.has('MODERATION_RULES'), false);
+
+  const ok = ctx.setModerationRules({ words: ['ばか', 'バカ'], patterns: ['\\d{3}-\\d{4}'] });
+  assert.equal(ok.success, true);
+  const stored = JSON.parse(props.get('MODERATION_RULES'));
+  assert.deepEqual(stored.words, ['ばか']);
+  assert.equal(typeof stored.updatedAt, 'string');
+  assert.deepEqual(Array.from(ctx.getModerationRules().data.rules.patterns), ['\\d{3}-\\d{4}']);
+});
+
+test('setModerationRules / getModerationRules: 管理者以外は触れない', () => {
+  const { ctx } = loadModerationContext({ isAdmin: false });
+  assert.equal(ctx.setModerationRules({ words: ['ばか'] }).success, false);
+  assert.equal(ctx.getModerationRules().success, false);
+});
@@ -0,0 +1,345 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Tests for page.offline.js.html (保存済みボードの表示と outbox の再送)。
+ *
+ * Why: 教室の Wi-Fi が落ちた授業中にしか通らない経路なので、 手動確認では漏れやすい。
+ *      outbox の畳み込み (同じ行は最後の操作だけ) と再送時の残す / 捨てるの判定、
+ *      保存したボードを出す条件を tests で固定する。
+ *
+ * page.viz.js のテストと同じく <script> を剥がして vm に流し込み、 dummy class の
+ * prototype に method を足させる。 IndexedDB は Map で置き換える。
+ */
+
+const OFFLINE_HTML = fs.readFileSync(path.resolve(__dirname, '../src/page.offline.js.html'), 'utf8');
+
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: (name, options) => { stores.set(name, { keyPath: options.keyPath, rows: new Map() }); },
+    transaction: (name) => {
+      const store = stores.get(name);
+      const pending = [];
+      const request = (fn) => {
+        const req = {};
+        pending.push(() => { req.result = fn(); if (req.onsuccess) req.onsuccess(); });
+        return req;
+      };
+      const tx = {
+        objectStore: () => ({
+          get: key => request(() => clone(store.rows.get(key))),
+          getAll: () => request(() => [...store.rows.values()].map(clone)),
+          put: value => request(() => { store.rows.set(value[store.keyPath], clone(value)); return value[store.keyPath]; }),
+          delete: key => request(() => { store.rows.delete(key); })
+        })
+      };
+      setImmediate(() => {
+        pending.forEach(run => run());
+        if (tx.oncomplete) tx.oncomplete();
+      });
+      return tx;
+    }
+  };
+  return {
+    stores,
+    open: () => {
+      const req = { result: db };
+      setImmediate(() => {
+        if (stores.size === 0 && req.onupgradeneeded) req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    }
+  };
+}
+
+function rowsOf(fake, storeName) {
+  const store = fake.stores.get(storeName);
+  return store ? [...store.rows.values()] : [];
+}
+
+async function settle() {
+  for (let i = 0; i < 6; i += 1) await new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * page.offline.js を読み込んだ dummy app を返す。 同じ fake IndexedDB を渡せば「再読込」になる。
+ */
+function loadOfflineApp({ indexedDB = createFakeIndexedDB(), online = false, email = 'student@example.com' } = {}) {
+  class StudyQuestApp {
+    constructor() {
+      this.state = { userId: 'owner-1', currentAnswers: [], pendingAnswers: [], boardSource: null, boardCursor: null };
+      this.gasCalls = [];
+      this.gasQueue = [];
+      this.toasts = [];
+      this.notices = [];
+      this.applied = [];
+      this.loads = [];
+      this.uiUpdates = 0;
+    }
+    showToast(message) { this.toasts.push(message); }
+    showNotification(message) { this.notices.push(message); }
+    updateReactionUI() { this.uiUpdates += 1; }
+    applyUpdates() { this.uiUpdates += 1; }
+    validateAndFixReactionExclusivity(reactions) { return JSON.parse(JSON.stringify(reactions)); }
+    simulateServerExclusiveReaction(item, reaction) {
+      const reactions = JSON.parse(JSON.stringify(item.reactions || {}));
+      const current = Object.keys(reactions).find(key => reactions[key].reacted) || null;
+      if (current) {
+        reactions[current].reacted = false;
+        reactions[current].count -= 1;
+      }
+      if (current !== reaction) {
+        reactions[reaction] = reactions[reaction] || { count: 0, reacted: false };
+        reactions[reaction].reacted = true;
+        reactions[reaction].count += 1;
+      }
+      return { changed: true, reactions, userReaction: current === reaction ? null : reaction };
+    }
+    runGas(funcName, ...args) {
+      this.gasCalls.push([funcName, ...args]);
+      const next = this.gasQueue.shift();
+      return typeof next === 'function' ? next() : Promise.resolve(next);
+    }
+    buildLoadConfiguration(config) {
+      return { isInitialLoad: config.isInitialLoad, selectedClass: 'すべて', sortOrder: 'newest' };
+    }
+    prepareFetchParameters(config) {
+      return { userId: this.state.userId, classFilter: null, sortOrder: config.sortOrder, showAdminFeatures: false };
+    }
+    async applyBoardResult(result) {
+      this.applied.push(JSON.parse(JSON.stringify(result)));
+      this.state.currentAnswers = result.data;
+    }
+    async loadSheetData(options) { this.loads.push(options); }
+  }
+
+  const navigator = { onLine: online };
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    window: { StudyQuestApp, UNIFIED_CONFIG: { email } },
+    navigator,
+    indexedDB
+  };
+  vm.createContext(context);
+  vm.runInContext(OFFLINE_HTML.match(/<script>([\s\S]*?)<\/script>/)[1], context, { filename: 'page.offline.js.html' });
+  return { app: new StudyQuestApp(), navigator, indexedDB };
+}
+
+function answer(rowIndex, reactions = {}, extra = {}) {
+  return { rowIndex, answer: 'answer-' + rowIndex, highlight: false, reactions, ...extra };
+}
+
+test('offlineQueueReaction: オフライン中は楽観更新して outbox に積み、 同じ行は最後の操作だけ残す', async () => {
+  const { app, indexedDB } = loadOfflineApp();
+  const item = answer(2, { LIKE: { count: 1, reacted: false } });
+  app.state.currentAnswers = [item];
+
+  assert.equal(app.offlineQueueReaction(item, 'LIKE'), true);
+  assert.equal(item.reactions.LIKE.count, 2);
+  assert.equal(item.reactions.LIKE.reacted, true);
+
+  // もう一度押すと取消。 outbox は同じ行の 1 件が clear に置き換わる。
+  assert.equal(app.offlineQueueReaction(item, 'LIKE'), true);
+  assert.equal(item.reactions.LIKE.count, 1);
+  await settle();
+
+  const stored = rowsOf(indexedDB, 'outbox');
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].reaction, 'LIKE');
+  assert.equal(stored[0].intent, 'clear');
+  assert.equal(stored[0].id, 'student@example.com|owner-1|reaction|2');
+  assert.equal(app.toasts.length, 1, 'オフラインの案内は 1 回だけ');
+});
+
+test('offlineQueueReaction / offlineDeferReaction: online で未送信分が無ければ積まない', () => {
+  const { app } = loadOfflineApp({ online: true });
+  const item = answer(2, { LIKE: { count: 1, reacted: true } });
+  app.state.currentAnswers = [item];
+
+  assert.equal(app.offlineQueueReaction(item, 'LIKE'), false);
+  assert.equal(app.offlineDeferReaction(2, 'LIKE'), false);
+  assert.equal(app.offlineQueueHighlight(2), false);
+  assert.equal(item.reactions.LIKE.count, 1, '楽観更新もしない (通常の送信経路に任せる)');
+});
+
+test('offlineDeferReaction: 送信中に切れたら楽観更新済みの状態を目的にして積む', () => {
+  const { app } = loadOfflineApp();
+  app.state.currentAnswers = [answer(3, { LIKE: { count: 2, reacted: true } })];
+
+  assert.equal(app.offlineDeferReaction(3, 'LIKE'), true);
+  assert.equal(app.offlineDeferReaction(99, 'LIKE'), false, '画面に無い行は積まない');
+  const entries = [...app._offlineOutbox.values()];
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].intent, 'set');
+});
+
+test('offlineReplayOutbox: intent / highlighted 付きで送り、 結果を画面に当てて outbox から消す', async () => {
+  const { app, navigator, indexedDB } = loadOfflineApp();
+  const item = answer(2, { LIKE: { count: 1, reacted: false } });
+  app.state.currentAnswers = [item, answer(4)];
+  app.offlineQueueReaction(item, 'LIKE');
+  app.offlineQueueHighlight(4);
+  await settle();
+
+  navigator.onLine = true;
+  app.gasQueue.push(
+    { success: true, action: 'unchanged', reactions: { LIKE: { count: 3, reacted: true } } },
+    { success: true, highlighted: true }
+  );
+  await app.offlineReplayOutbox();
+  await settle();
+
+  assert.deepEqual(JSON.parse(JSON.stringify(app.gasCalls)), [
+    ['addReaction', 'owner-1', 2, 'LIKE', { intent: 'set' }],
+    ['toggleHighlight', 'owner-1', 4, { highlighted: true }]
+  ]);
+  assert.equal(item.reactions.LIKE.count, 3, 'サーバの集計で置き換える');
+  assert.equal(app.state.currentAnswers[1].highlight, true);
+  assert.equal(rowsOf(indexedDB, 'outbox').length, 0);
+  assert.equal(app._offlineOutbox.size, 0);
+});
+
+test('offlineReplayOutbox: 通信失敗とロック競合は残してやめ、 断られた操作は捨てて知らせる', async () => {
+  const { app, navigator } = loadOfflineApp();
+  app.state.currentAnswers = [answer(2), answer(3), answer(5)];
+  app.offlineQueueReaction(app.state.currentAnswers[0], 'LIKE');
+  app.offlineQueueReaction(app.state.currentAnswers[1], 'CURIOUS');
+  app.offlineQueueReaction(app.state.currentAnswers[2], 'LIKE');
+  navigator.onLine = true;
+
+  // 1 件目: 回答が削除されていた → 捨てる。 2 件目: ロック競合 → 残してやめる。
+  app.gasQueue.push(
+    { success: false, message: '指定された行が見つかりません' },
+    { success: false, message: '文言が変わっても', error: 'CONCURRENT' }
+  );
+  await app.offlineReplayOutbox();
+  assert.equal(app.gasCalls.length, 2);
+  assert.deepEqual([...app._offlineOutbox.values()].map(e => e.rowIndex), [3, 5]);
+  assert.equal(app.notices.length, 1);
+  assert.match(app.notices[0], /1 件/);
+
+  // 通信失敗 (例外) でも残す。
+  app.gasQueue.push(() => Promise.reject(new Error('NetworkError')));
+  await app.offlineReplayOutbox();
+  assert.equal(app._offlineOutbox.size, 2);
+});
+
+test('offlineReplayOutbox: 送信中に同じ行がまた押されたら新しい操作を残して続けて送る', async () => {
+  const { app, navigator } = loadOfflineApp({ online: true });
+  const item = answer(2, { LIKE: { count: 0, reacted: false } });
+  app.state.currentAnswers = [item];
+  navigator.onLine = false;
+  app.offlineQueueReaction(item, 'LIKE');
+  navigator.onLine = true;
+
+  let release;
+  app.gasQueue.push(() => new Promise((resolve) => { release = resolve; }));
+  const replay = app.offlineReplayOutbox();
+  await settle();
+  // 1 件目の送信中に取消を押す (未送信分があるので online でも outbox に積まれる)。
+  app.gasQueue.push({ success: true, action: 'removed', reactions: { LIKE: { count: 0, reacted: false } } });
+  assert.equal(app.offlineQueueReaction(item, 'LIKE'), true);
+  release({ success: true, action: 'added', reactions: { LIKE: { count: 1, reacted: true } } });
+  await replay;
+  await settle();
+
+  assert.deepEqual(JSON.parse(JSON.stringify(app.gasCalls.map(call => call[4]))), [{ intent: 'set' }, { intent: 'clear' }]);
+  assert.equal(item.reactions.LIKE.reacted, false, '古い応答で新しい楽観状態を上書きしない');
+  assert.equal(app._offlineOutbox.size, 0);
+});
+
+test('offlineRestoreBoard: 保存したボードに未送信の操作を重ねて描画し、 別の閲覧者には出さない', async () => {
+  const first = loadOfflineApp({ online: true });
+  first.app.offlineSaveBoard({
+    success: true,
+    boardCursor: 'v1.abc',
+    data: [answer(2, { LIKE: { count: 1, reacted: false } }), answer(3)]
+  }, { classFilter: null, sortOrder: 'newest', showAdminFeatures: false });
+  first.app.state.currentAnswers = [answer(2, { LIKE: { count: 1, reacted: false } })];
+  first.navigator.onLine = false;
+  first.app.offlineQueueReaction(first.app.state.currentAnswers[0], 'LIKE');
+  await settle();
+
+  // 再読込 (同じ IndexedDB、 オフライン)。
+  const reopened = loadOfflineApp({ indexedDB: first.indexedDB, online: false });
+  assert.equal(await reopened.app.offlineRestoreBoard(), true);
+  assert.equal(reopened.app.state.boardSource, 'offline');
+  const shown = reopened.app.applied[0];
+  assert.equal(shown.boardCursor, 'v1.abc');
+  assert.equal(shown.data[0].reactions.LIKE.count, 2, 'outbox の操作を重ねる');
+  assert.equal(shown.data[0].reactions.LIKE.reacted, true);
+  assert.match(reopened.app.toasts[0], /時点のボードを表示しています/);
+
+  // 同じ端末でも別の閲覧者には出さない。
+  const other = loadOfflineApp({ indexedDB: first.indexedDB, email: 'other@example.com' });
+  assert.equal(await other.app.offlineRestoreBoard(), false);
+});
+
+test('offlineRenderSnapshot: サーバの応答を表示済み / 条件違いなら描画しない', async () => {
+  const { app, indexedDB } = loadOfflineApp();
+  app.offlineSaveBoard({ success: true, data: [answer(2)] }, { classFilter: '1-A', sortOrder: 'newest' });
+  await settle();
+
+  const loadConfig = { isInitialLoad: false };
+  assert.equal(await app.offlineRenderSnapshot(loadConfig, { classFilter: null, sortOrder: 'newest' }, []), false);
+  app.state.boardSource = 'live';
+  assert.equal(await app.offlineRenderSnapshot(loadConfig, { classFilter: '1-A', sortOrder: 'newest' }, []), false);
+  app.state.boardSource = null;
+  assert.equal(await app.offlineRenderSnapshot(loadConfig, { classFilter: '1-A', sortOrder: 'newest' }, []), true);
+  assert.equal(rowsOf(indexedDB, 'boards').length, 1);
+});
+
+test('offlineSaveBoard: 個人情報を伏せずに見ている結果は保存しない', async () => {
+  const { app, indexedDB } = loadOfflineApp();
+  app.offlineSaveBoard({ success: true, data: [answer(2, {}, { name: '山田' })] }, { classFilter: null, sortOrder: 'newest', showAdminFeatures: true });
+  await settle();
+  assert.equal(rowsOf(indexedDB, 'boards').length, 0);
+});
+
+test('offlineSaveCurrentBoard: 差分で cursor が進んだら保留中の新着ごと保存し直す', async () => {
+  const { app, indexedDB } = loadOfflineApp({ online: true });
+  app.offlineSaveBoard({ success: true, boardCursor: 'v1.a', data: [answer(2)], header: 'Q' }, { classFilter: null, sortOrder: 'newest' });
+  app.state.boardSource = 'live';
+  app.state.boardCursor = 'v1.a';
+  app.offlineSaveCurrentBoard();
+  await settle();
+  assert.equal(rowsOf(indexedDB, 'boards')[0].result.data.length, 1, 'cursor が同じなら書かない');
+
+  app.state.boardCursor = 'v1.b';
+  app.state.currentAnswers = [answer(2, { LIKE: { count: 1, reacted: false } })];
+  app.state.pendingAnswers = [answer(7)];
+  app.offlineSaveCurrentBoard();
+  await settle();
+  const saved = rowsOf(indexedDB, 'boards')[0].result;
+  assert.deepEqual(saved.data.map(row => row.rowIndex), [7, 2]);
+  assert.equal(saved.boardCursor, 'v1.b');
+  assert.equal(saved.header, 'Q');
+});
+
+test('offlineHandleOnline: 保存済みのボードを出していたら送信後に最新を取り直す', async () => {
+  const { app, navigator } = loadOfflineApp();
+  app.state.currentAnswers = [answer(2)];
+  app.offlineQueueHighlight(2);
+  app.state.boardSource = 'offline';
+  navigator.onLine = true;
+  app.gasQueue.push({ success: true, highlighted: true });
+
+  await app.offlineHandleOnline();
+  assert.equal(app.gasCalls.length, 1);
+  assert.equal(app.loads.length, 1);
+  assert.equal(app.loads[0].bypassCache, true);
+});
+
+test('page.offline.js は Page.html で page.js の後に読み込まれる', () => {
+  const page = fs.readFileSync(path.resolve(__dirname, '../src/Page.html'), 'utf8');
+  const main = page.indexOf("include('page.js')");
+  const offline = page.indexOf("include('page.offline.js')");
+  assert.ok(main >= 0 && offline > main);
+});
@@ -604,6 +604,22 @@ test('populateClassFilter: falls back to すべて when selection missing + sync
   assert.equal(persisted, 'すべて', 'sessionStorage も同期されて次回 fetch も整合');
 });
 
+test('populateClassFilter: クラスごとのボード (pinnedClass) は選択肢を固定し、取得条件もそのクラスにする', () => {
+  const { instance } = makeInstance();
+  const cf = makeFilterMock();
+  cf.value = 'すべて';
+  instance.state.pinnedClass = '5-2';
+  instance.elements = { classFilter: cf };
+  instance.persistClassFilter = () => { throw new Error('固定中は前回の選択を書き換えない'); };
+  instance.populateClassFilter([{ class: '5-1' }, { class: '5-2' }]);
+  assert.equal(cf.value, '5-2');
+  assert.equal(cf.disabled, true);
+  assert.equal(cf.innerHTML.includes('5-1'), false);
+  // 他のクラスを選んでいた sessionStorage より固定が勝つ
+  assert.equal(instance.loadPersistedClassFilter(), '5-2');
+  assert.equal(instance.getCurrentFilterState().classFilter, '5-2');
+});
+
 
 // =====================================================================
 // updateDisplaySettingsFromAPI: profile 切替時の UNIFIED_CONFIG 同期
@@ -661,3 +677,128 @@ test('updateDisplaySettingsFromAPI: 無効入力は何もしない', () => {
   instance.updateDisplaySettingsFromAPI('not-object');
   assert.equal(ctx.window.UNIFIED_CONFIG.displaySettings.showNames, false, '不変');
 });
+
+
+// =====================================================================
+// 差分 polling (getBoardDelta): 全件を取り直さずにカードをその場で書き換える
+// =====================================================================
+
+const deltaAnswer = (rowIndex, extra = {}) => ({
+  rowIndex, opinion: `意見${rowIndex}`, highlight: false,
+  reactions: { LIKE: { count: 0, reacted: false } }, ...extra
+});
+
+function makeDeltaInstance(boardMode) {
+  const { instance, ctx, timers } = makeInstance();
+  const calls = { updated: [], rendered: 0, banner: null, loads: 0 };
+  instance.state = {
+    userId: 'u1', boardMode, isLoading: false, boardCursor: '0.a', deltaParams: { sortOrder: 'newest' },
+    pendingAnswers: [],
+    currentAnswers: [deltaAnswer(2, { reactions: { LIKE: { count: 1, reacted: true } } }), deltaAnswer(3), deltaAnswer(4)]
+  };
+  const cards = new Map(instance.state.currentAnswers.map(r => [String(r.rowIndex), {
+    dataset: { rowIndex: String(r.rowIndex) },
+    removed: false,
+    remove() { this.removed = true; }
+  }]));
+  instance.elements = {
+    sortOrder: { value: 'newest' },
+    answersContainer: {
+      querySelectorAll: () => [...cards.values()].filter(c => !c.removed),
+      querySelector: (sel) => {
+        const m = sel.match(/data-row-index="(\d+)"/);
+        return m ? cards.get(m[1]) || null : null;
+      }
+    }
+  };
+  instance.updateAnswerCard = (card, row, oldRow) => { calls.updated.push({ card, row, oldRow }); };
+  instance.updateAnswerCount = () => {};
+  instance.renderBoard = async () => { calls.rendered++; };
+  instance.renderEmptyState = async () => {};
+  instance.showNewContentBanner = (n) => { calls.banner = n; };
+  instance.dismissNewContentBanner = () => {};
+  instance.updateLastSeenTimestamp = () => {};
+  instance.loadSheetData = async () => { calls.loads++; };
+  return { instance, ctx, timers, calls, cards };
+}
+
+const sampleDelta = () => ({
+  success: true, cursor: '0.b', resync: false,
+  added: [deltaAnswer(5, { reactions: { LIKE: { count: 3, reacted: true } } })],
+  updated: [deltaAnswer(3, { opinion: '書き直し' })],
+  changed: [{ rowIndex: 2, reactions: { LIKE: 4 }, highlight: true }],
+  deleted: [4]
+});
+
+test('mergeBoardDelta: 削除・本文差し替え・票数の更新を当て、 reacted は手元の値を残す', () => {
+  const { instance } = makeDeltaInstance('board');
+  const merged = instance.mergeBoardDelta(instance.state.currentAnswers, sampleDelta());
+  assert.equal(merged.touched, true);
+  assert.deepEqual(Array.from(merged.rows.map(r => r.rowIndex)), [2, 3]);
+  assert.deepEqual(JSON.parse(JSON.stringify(merged.rows[0].reactions)), { LIKE: { count: 4, reacted: true } });
+  assert.equal(merged.rows[0].highlight, true);
+  assert.equal(merged.rows[1].opinion, '書き直し');
+  assert.deepEqual(Array.from(merged.added.map(r => r.rowIndex)), [5]);
+  assert.equal(merged.added[0].reactions.LIKE.reacted, false, '共有 cache 由来の他人の reacted を持ち込まない');
+  assert.equal(instance.mergeBoardDelta([deltaAnswer(2)], { added: [], updated: [], changed: [], deleted: [] }).touched, false);
+});
+
+test('applyBoardDelta (board): 変わったカードだけを updateAnswerCard で書き換え、 新着はバナーで保留する', async () => {
+  const { instance, calls, cards } = makeDeltaInstance('board');
+  await instance.applyBoardDelta(sampleDelta());
+  assert.equal(instance.state.boardCursor, '0.b');
+  assert.equal(calls.rendered, 0, '全件の再描画はしない');
+  assert.equal(calls.loads, 0, 'サーバへ全件を取りに行かない');
+  assert.equal(cards.get('4').removed, true, '消えた行のカードを外す');
+  assert.deepEqual(calls.updated.map(u => u.row.rowIndex).sort(), [2, 3]);
+  assert.deepEqual(Array.from(instance.state.currentAnswers.map(r => r.rowIndex)), [2, 3]);
+  assert.deepEqual(Array.from(instance.state.pendingAnswers.map(r => r.rowIndex)), [5]);
+  assert.equal(calls.banner, 1);
+});
+
+test('applyBoardDelta: 送信中のリアクションがある行はカードを書き換えない', async () => {
+  const { instance, calls } = makeDeltaInstance('board');
+  instance.pendingReactions.set('2-LIKE', { rowIndex: 2 });
+  await instance.applyBoardDelta(sampleDelta());
+  assert.deepEqual(calls.updated.map(u => u.row.rowIndex), [3]);
+});
+
+test('applyBoardDelta (可視化モード): 差分を当てて描画し直す (新着は newest なら先頭)', async () => {
+  const { instance, calls } = makeDeltaInstance('matrix');
+  await instance.applyBoardDelta(sampleDelta());
+  assert.equal(calls.rendered, 1);
+  assert.equal(calls.loads, 0);
+  assert.deepEqual(Array.from(instance.state.currentAnswers.map(r => r.rowIndex)), [5, 2, 3]);
+  assert.equal(instance.state.pendingAnswers.length, 0);
+});
+
+test('applyBoardDelta: resync は全件を取り直し、 cursor=null は通知 polling に戻す', async () => {
+  const resync = makeDeltaInstance('board');
+  await resync.instance.applyBoardDelta({ success: true, cursor: '0.c', resync: true });
+  assert.equal(resync.calls.loads, 1);
+
+  const fallback = makeDeltaInstance('board');
+  await fallback.instance.applyBoardDelta({ success: true, cursor: null });
+  assert.equal(fallback.instance.state.boardCursor, null);
+  assert.equal(fallback.calls.loads, 0);
+});
+
+test('schedulePollingCheck: cursor があれば getBoardDelta を呼び、 loadSheetData しない', async () => {
+  const { instance, timers, calls } = makeDeltaInstance('board');
+  const gasCalls = [];
+  instance.runGas = async (name, ...args) => {
+    gasCalls.push({ name, args });
+    return sampleDelta();
+  };
+  instance.polling.isActive = true;
+  instance.schedulePollingCheck();
+  const [timerId, timer] = [...timers.entries()][0];
+  timers.delete(timerId);
+  await timer.fn();
+  assert.equal(gasCalls.length, 1);
+  assert.equal(gasCalls[0].name, 'getBoardDelta');
+  assert.deepEqual(JSON.parse(JSON.stringify(gasCalls[0].args)), ['u1', { sortOrder: 'newest', cursor: '0.a' }]);
+  assert.equal(instance.state.boardCursor, '0.b');
+  assert.equal(calls.loads, 0);
+  instance.stopSimplePolling();
+});
@@ -0,0 +1,57 @@
+/**
+ * PiiMaskingService (回答本文の名前・連絡先の伏せ字) のテスト。
+ *
+ * Why: 伏せ漏れは保護者からの苦情に直結し、 伏せ過ぎは数式や地名の答えを壊す。
+ *      どちらの境界もここで固定する。 ボード表示 (buildSafePublishedDataResult) と
+ *      書き出し (__projectBoardRowForExport_) の両方から使われる。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadPiiContext() {
+  const context = { console: { log: () => {}, warn: () => {}, error: () => {} } };
+  vm.createContext(context);
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/PiiMaskingService.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'PiiMaskingService.js' });
+  return context;
+}
+
+const ROSTER = [{ name: '田中 太郎' }, { name: '佐藤花子' }, { name: '林' }, { name: '' }];
+
+test('maskPiiText_: 名簿の名前はフルネームでも姓・名の片方でも伏せる', () => {
+  const ctx = loadPiiContext();
+  const matcher = ctx.buildPiiMatcher_(ROSTER);
+  assert.equal(ctx.maskPiiText_('田中太郎さんと同じ意見', matcher), '［名前］さんと同じ意見');
+  assert.equal(ctx.maskPiiText_('田中 太郎さん', matcher), '［名前］さん');
+  assert.equal(ctx.maskPiiText_('太郎くんが言ったように', matcher), '［名前］くんが言ったように');
+  assert.equal(ctx.maskPiiText_('佐藤花子さんへ', matcher), '［名前］さんへ');
+  // 1 文字の名前は普通の語と区別できない
+  assert.equal(ctx.maskPiiText_('林の中で', matcher), '林の中で');
+});
+
+test('maskPiiText_: メール・電話・住所は名簿が無くても伏せる', () => {
+  const ctx = loadPiiContext();
+  assert.equal(ctx.maskPiiText_('連絡は tanaka@example.com まで'), '連絡は ［メール］ まで');
+  assert.equal(ctx.maskPiiText_('電話 090-1234-5678'), '電話 ［電話番号］');
+  assert.equal(ctx.maskPiiText_('０３－１２３４－５６７８'), '［電話番号］');
+  assert.equal(ctx.maskPiiText_('〒105-0011 港区芝公園4丁目2-8'), '［住所］ ［住所］');
+  assert.equal(ctx.maskPiiText_('横浜市中区山下町1-2に住んでいる'), '［住所］に住んでいる');
+});
+
+test('maskPiiText_: 数式・桁数の合わない数字・番地の無い地名は伏せない', () => {
+  const ctx = loadPiiContext();
+  ['答えは 12-34-5678 です', '計算 100-2345', '大阪市に行った', '3.14159265358', '1234567890']
+    .forEach((text) => assert.equal(ctx.maskPiiText_(text), text));
+});
+
+test('buildPiiMatcher_: names=false なら名前は伏せず、 連絡先だけ伏せる', () => {
+  const ctx = loadPiiContext();
+  const matcher = ctx.buildPiiMatcher_(ROSTER, { names: false });
+  const item = ctx.maskPiiInItem_({ answer: '田中さん', reason: 'a@b.jp に送った', name: '田中 太郎' }, matcher);
+  assert.equal(item.answer, '田中さん');
+  assert.equal(item.reason, '［メール］ に送った');
+  assert.equal(item.name, '田中 太郎', '名前欄そのものは showNames / includeName の担当');
+});
@@ -354,6 +354,77 @@ test('processHighlightDirect: lazy-provisions missing HIGHLIGHT column (new beha
   assert.equal(result.highlighted, true);
 });
 
+test('processHighlightDirect: desired 指定時は切替ではなくその状態にし、 既にそうなら書かない', () => {
+  const ctx = loadReactionContext();
+  const sheet = createMockSheet({ headers: ['Q1', 'HIGHLIGHT'], rows: [['answer-a', 'TRUE']] });
+
+  const same = ctx.processHighlightDirect(sheet, 2, null, true);
+  assert.equal(same.highlighted, true);
+  assert.equal(same.unchanged, true);
+  assert.equal(sheet._writes.length, 0);
+
+  const off = ctx.processHighlightDirect(sheet, 2, null, false);
+  assert.equal(off.highlighted, false);
+  assert.equal(sheet._data[1][1], 'FALSE');
+});
+
+test('processReactionDirect: custom reaction set toggles only the board keys', () => {
+  const ctx = loadReactionContext();
+  const sheet = createMockSheet({
+    headers: ['Q1', 'REACTION_AGREE', 'REACTION_DISAGREE', 'HIGHLIGHT'],
+    rows: [['answer-a', 'other@example.com', '', '']]
+  });
+  const keys = ['REACTION_AGREE', 'REACTION_DISAGREE'];
+
+  const result = ctx.processReactionDirect(sheet, 2, 'REACTION_DISAGREE', 'actor@example.com', null, keys);
+
+  assert.equal(result.action, 'added');
+  assert.deepEqual(Object.keys(result.reactions), keys);
+  assert.equal(result.reactions.REACTION_AGREE.count, 1);
+  assert.equal(result.reactions.REACTION_DISAGREE.reacted, true);
+  assert.equal(sheet._data[1][2], 'actor@example.com');
+  assert.throws(
+    () => ctx.processReactionDirect(sheet, 2, 'LIKE', 'actor@example.com', null, keys),
+    /Invalid reaction type/
+  );
+});
+
+// =====================================================================
+// sanitizeReactionSet — ボードごとのリアクション語彙
+// =====================================================================
+
+test('sanitizeReactionSet: the default vocabulary collapses to null', () => {
+  const ctx = loadReactionContext();
+  assert.equal(ctx.sanitizeReactionSet(null), null);
+  assert.equal(ctx.sanitizeReactionSet([]), null);
+  assert.equal(ctx.sanitizeReactionSet([
+    { key: 'UNDERSTAND', label: 'なるほど！', icon: 'lightbulb' },
+    { key: 'LIKE', label: 'いいね！', icon: 'hand-thumb-up' },
+    { key: 'CURIOUS', label: 'もっと知りたい！', icon: 'magnifying-glass-plus' }
+  ]), null);
+});
+
+test('sanitizeReactionSet: drops invalid keys, duplicates and unknown icons, caps at 6', () => {
+  const ctx = loadReactionContext();
+  const input = [
+    { key: 'reaction_agree', label: '賛成', icon: 'check-circle' },
+    { key: 'REACTION_AGREE', label: '重複', icon: 'star' },
+    { key: 'Timestamp', label: '列名の乗っ取り', icon: 'star' },
+    { key: 'REACTION_X', label: '   ', icon: 'star' },
+    { key: 'REACTION_Q', label: 'とても長いラベルは途中で切られます', icon: '<svg>' }
+  ];
+  for (let i = 1; i <= 8; i++) input.push({ key: 'REACTION_' + i, label: 'r' + i, icon: 'star' });
+
+  const out = Array.from(ctx.sanitizeReactionSet(input));
+
+  assert.equal(out.length, 6);
+  assert.deepEqual({ ...out[0] }, { key: 'REACTION_AGREE', label: '賛成', icon: 'check-circle' });
+  assert.equal(out[1].key, 'REACTION_Q');
+  assert.equal(out[1].label.length, 12);
+  assert.equal(out[1].icon, '');
+  assert.equal(out[5].key, 'REACTION_4');
+});
+
 // =====================================================================
 // extractReactions
 // =====================================================================
@@ -419,6 +490,17 @@ test('resolveReactionColumns_: resolves all 4 columns in one pass (M2)', () => {
   assert.equal(map.HIGHLIGHT, 5); // case-insensitive
 });
 
+test('extractReactions: counts only the board reaction keys when given', () => {
+  const ctx = loadReactionContext();
+  const headers = ['Q1', 'LIKE', 'REACTION_AGREE', 'REACTION_DISAGREE'];
+  const row = ['answer', 'a@x.com', 'a@x.com|b@x.com', ''];
+  const r = ctx.extractReactions(row, headers, 'b@x.com', null, ['REACTION_AGREE', 'REACTION_DISAGREE']);
+  assert.deepEqual(Object.keys(r), ['REACTION_AGREE', 'REACTION_DISAGREE']);
+  assert.equal(r.REACTION_AGREE.count, 2);
+  assert.equal(r.REACTION_AGREE.reacted, true);
+  assert.equal(r.REACTION_DISAGREE.count, 0);
+});
+
 test('resolveReactionColumns_: missing columns are -1', () => {
   const ctx = loadReactionContext();
   const map = ctx.resolveReactionColumns_(['ts', 'answer']);
@@ -620,6 +702,37 @@ test('addReaction: happy path returns success and writes to sheet', () => {
   assert.equal(sheet._writes.length, 3); // reaction 3 列を個別 write
 });
 
+test('addReaction: intent=set / clear は目的の状態なら書かずに unchanged を返す (オフライン再送の冪等性)', () => {
+  const sheet = createMockSheet({
+    headers: ['Q1', 'UNDERSTAND', 'LIKE', 'CURIOUS'],
+    rows: [['answer-a', '', 'actor@example.com|other@example.com', '']]
+  });
+  const ctx = buildAddReactionContext({ sheet });
+
+  const already = ctx.addReaction('owner-1', 2, 'LIKE', { intent: 'set' });
+  assert.equal(already.success, true);
+  assert.equal(already.action, 'unchanged');
+  assert.equal(already.userReaction, 'LIKE');
+  assert.equal(already.reactions.LIKE.count, 2);
+  assert.equal(already.reactions.LIKE.reacted, true);
+  assert.equal(sheet._writes.length, 0, '2 回届いても票は反転しない');
+
+  assert.equal(ctx.addReaction('owner-1', 2, 'CURIOUS', { intent: 'clear' }).action, 'unchanged',
+    '付けていない reaction の clear は何もしない');
+  assert.equal(sheet._writes.length, 0);
+
+  const cleared = ctx.addReaction('owner-1', 2, 'LIKE', { intent: 'clear' });
+  assert.equal(cleared.action, 'removed');
+  assert.equal(sheet._data[1][2], 'other@example.com');
+
+  const set = ctx.addReaction('owner-1', 2, 'CURIOUS', { intent: 'set' });
+  assert.equal(set.action, 'added');
+  assert.equal(set.userReaction, 'CURIOUS');
+
+  // 未知の intent は従来の切替として扱う。
+  assert.equal(ctx.addReaction('owner-1', 2, 'CURIOUS', { intent: 'bogus' }).action, 'removed');
+});
+
 test('addReaction: releases lock and removes cache key on success', () => {
   const cache = createMockCache();
   const lock = createMockLock();
@@ -725,6 +838,7 @@ test('addReaction: short-circuits when cache lock already held', () => {
 
   assert.equal(result.success, false);
   assert.match(result.message, /同時/);
+  assert.equal(result.error, 'CONCURRENT');
   // Cache key untouched (belongs to the other holder)
   assert.equal(cache._store.get('reaction_sheet-123_2'), 'other@example.com');
 });
@@ -940,3 +1054,418 @@ test('toggleHighlight: short-circuits when cache lock already held', () => {
   assert.equal(result.success, false);
   assert.match(result.message, /同時/);
 });
+
+// =====================================================================
+// Q&A — processQaAnswerDirect / extractQaAnswers / answerQuestion
+// =====================================================================
+
+// answerQuestion は validators.js の validateText を使う。 本物を別 context で読み込んで渡す。
+function loadValidateText() {
+  const vctx = { console: { log: () => {}, warn: () => {}, error: () => {} } };
+  vm.createContext(vctx);
+  vm.runInContext(fs.readFileSync(path.resolve(__dirname, '../src/validators.js'), 'utf8'), vctx);
+  return vctx.validateText;
+}
+
+function buildQaContext({ sheet, overrides = {} } = {}) {
+  let uuid = 0;
+  return buildToggleHighlightContext({
+    sheet: sheet || createMockSheet({
+      headers: ['Q1', 'LIKE', 'QA_ANSWER'],
+      rows: [['質問です', '', '']]
+    }),
+    overrides: {
+      validateText: loadValidateText(),
+      Utilities: { getUuid: () => `uuid-${++uuid}-aaaa-bbbb` },
+      ...overrides
+    }
+  });
+}
+
+test('answerQuestion: owner の回答を role=owner で JSON 追記し、 email は保存しない', () => {
+  const sheet = createMockSheet({
+    headers: ['Q1', 'LIKE', 'QA_ANSWER'],
+    rows: [['質問です', '', '']]
+  });
+  const ctx = buildQaContext({ sheet });
+
+  const first = ctx.answerQuestion('owner-1', 2, '  いい質問です <b>ね</b>  ');
+  assert.equal(first.success, true, JSON.stringify(first));
+  assert.equal(first.qaAnswers.length, 1);
+  assert.equal(first.qaAnswers[0].role, 'owner');
+  assert.equal(first.qaAnswers[0].text, 'いい質問です <b>ね</b>', 'textContent 描画なので escape せず保存');
+
+  ctx.answerQuestion('owner-1', 2, '補足です');
+  const stored = JSON.parse(sheet._data[1][2]);
+  assert.equal(stored.length, 2);
+  assert.ok(!sheet._data[1][2].includes('owner@example.com'), '回答者 email をセルに残さない');
+  assert.deepEqual(Array.from(ctx.extractQaAnswers(sheet._data[1], sheet._data[0]), a => a.text),
+    ['いい質問です <b>ね</b>', '補足です']);
+});
+
+test('answerQuestion: 共同編集者は role=collaborator、 公開ボードの生徒は拒否', () => {
+  const sheet = createMockSheet({
+    headers: ['Q1', 'QA_ANSWER'],
+    rows: [['質問です', '']]
+  });
+  const collab = buildQaContext({
+    sheet,
+    overrides: {
+      getCurrentEmail: () => 'co@example.com',
+      isBoardCollaborator: (_user, email) => email === 'co@example.com'
+    }
+  });
+  const ok = collab.answerQuestion('owner-1', 2, '共同の先生です');
+  assert.equal(ok.success, true, JSON.stringify(ok));
+  assert.equal(ok.qaAnswers[0].role, 'collaborator');
+
+  const student = buildQaContext({
+    sheet,
+    overrides: {
+      getCurrentEmail: () => 'student@example.com',
+      isBoardCollaborator: () => false
+    }
+  });
+  const denied = student.answerQuestion('owner-1', 2, '答えちゃう');
+  assert.equal(denied.success, false);
+  assert.match(denied.message, /Access denied/);
+  assert.equal(JSON.parse(sheet._data[1][1]).length, 1, '拒否時は書き込まない');
+});
+
+test('answerQuestion: 空文字と上限超過は拒否し、 ロックを解放する', () => {
+  const lock = createMockLock();
+  const cache = createMockCache();
+  const sheet = createMockSheet({ headers: ['Q1', 'QA_ANSWER'], rows: [['質問', '']] });
+  const ctx = buildToggleHighlightContext({
+    sheet, lock, cache,
+    overrides: { validateText: loadValidateText() }
+  });
+  assert.equal(ctx.answerQuestion('owner-1', 2, '   ').success, false);
+  assert.equal(ctx.answerQuestion('owner-1', 2, 'あ'.repeat(501)).success, false);
+  assert.equal(sheet._data[1][1], '');
+  assert.equal(lock.isHeld(), false);
+  assert.equal(cache._store.size, 0);
+});
+
+test('answerQuestion: QA_ANSWER 列が無ければ lazy-provision する', () => {
+  const sheet = createMockSheet({ headers: ['Q1', 'HIGHLIGHT'], rows: [['質問', '']] });
+  const ctx = buildQaContext({ sheet });
+  const res = ctx.answerQuestion('owner-1', 2, '回答');
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(sheet._data[0][2], 'QA_ANSWER');
+  assert.equal(JSON.parse(sheet._data[1][2])[0].text, '回答');
+});
+
+test('deleteQuestionAnswer: 指定 id だけ消し、 最後の 1 件でセルを空にする', () => {
+  const sheet = createMockSheet({ headers: ['Q1', 'QA_ANSWER'], rows: [['質問', '']] });
+  const ctx = buildQaContext({ sheet });
+  const a = ctx.answerQuestion('owner-1', 2, 'one').qaAnswers[0];
+  const b = ctx.answerQuestion('owner-1', 2, 'two').qaAnswers[1];
+
+  const afterFirst = ctx.deleteQuestionAnswer('owner-1', 2, a.id);
+  assert.equal(afterFirst.success, true);
+  assert.deepEqual(Array.from(afterFirst.qaAnswers, x => x.id), [b.id]);
+
+  ctx.deleteQuestionAnswer('owner-1', 2, b.id);
+  assert.equal(sheet._data[1][1], '');
+});
+
+test('extractQaAnswers: 壊れた JSON / 列なしは空配列', () => {
+  const ctx = loadReactionContext();
+  assert.equal(ctx.extractQaAnswers(['q', '{broken'], ['Q1', 'QA_ANSWER']).length, 0);
+  assert.equal(ctx.extractQaAnswers(['q'], ['Q1']).length, 0);
+  assert.equal(ctx.resolveReactionColumns_(['Q1', 'qa_answer']).QA_ANSWER, 1);
+});
+
+// =====================================================================
+// submitBoardAnswer — ボードからの直接回答
+// =====================================================================
+
+function buildDirectSubmitContext({ sheet, displaySettings = { directSubmission: true }, allowResubmit = false, overrides = {} } = {}) {
+  const bumped = [];
+  const ctx = buildToggleHighlightContext({
+    sheet,
+    overrides: {
+      getCurrentEmail: () => 'student@example.com',
+      getConfigOrDefault: () => ({
+        spreadsheetId: 'sheet-123',
+        sheetName: 'Sheet1',
+        isPublished: true,
+        allowResubmit,
+        displaySettings,
+        columnMapping: { email: 1, answer: 2, reason: 3 }
+      }),
+      getSheetHeaders: (s) => ({ headers: s._data[0].slice() }),
+      resolveColumnIndex: (_headers, type, mapping) => ({
+        index: typeof mapping[type] === 'number' ? mapping[type] : -1
+      }),
+      resolveTimestampIndex: () => 0,
+      parseNumericAnswer: (raw) => {
+        const n = Number(raw);
+        return Number.isFinite(n) ? n : null;
+      },
+      validateText: loadValidateText(),
+      invalidateSheetRowCountCache: () => {},
+      bumpBoardDataVersion_: (userId) => { bumped.push(userId); },
+      Utilities: { formatDate: () => '2026/04/01 9:05:00' },
+      Session: { getScriptTimeZone: () => 'Asia/Tokyo' },
+      ...overrides
+    }
+  });
+  ctx._bumped = bumped;
+  return ctx;
+}
+
+function createAppendableSheet(rows = []) {
+  const sheet = createMockSheet({ headers: ['タイムスタンプ', 'メールアドレス', '回答', '理由'], rows });
+  const appended = [];
+  sheet.getLastRow = () => sheet._data.length;
+  sheet.appendRows = (values) => {
+    const startRow = sheet._data.length + 1;
+    values.forEach((v) => { appended.push(v.slice()); sheet._data.push(v.slice()); });
+    return { startRow, rowCount: values.length };
+  };
+  sheet._appended = appended;
+  return sheet;
+}
+
+// vm の Date は別 realm なので instanceof では判定できない。
+const isDateCell = (v) => Object.prototype.toString.call(v) === '[object Date]';
+
+test('submitBoardAnswer: フォームと同じ列構成で RAW 追記し、 board data version を進める', () => {
+  const sheet = createAppendableSheet();
+  const ctx = buildDirectSubmitContext({ sheet });
+
+  const res = ctx.submitBoardAnswer('owner-1', { answer: '  =SUM(A1)  ', reason: 'なんとなく' });
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(res.rowIndex, 2);
+  const [row] = sheet._appended;
+  assert.ok(isDateCell(row[0]), 'タイムスタンプはフォームの行と同じ Date で渡す');
+  assert.deepEqual(Array.from(row.slice(1)), ['student@example.com', '=SUM(A1)', 'なんとなく']);
+  assert.deepEqual(ctx._bumped, ['owner-1']);
+  assert.equal(ctx._lock.isHeld(), false);
+  assert.equal(ctx._cache._store.size, 0, '二重送信ロックを解放する');
+});
+
+test('submitBoardAnswer: 教師が有効にしていないボードと空回答は拒否する', () => {
+  const sheet = createAppendableSheet();
+  const disabled = buildDirectSubmitContext({ sheet, displaySettings: {} });
+  assert.equal(disabled.submitBoardAnswer('owner-1', { answer: 'a' }).success, false);
+
+  const enabled = buildDirectSubmitContext({ sheet });
+  assert.equal(enabled.submitBoardAnswer('owner-1', { answer: '   ' }).success, false);
+  assert.equal(enabled.submitBoardAnswer('owner-1', ['a']).success, false);
+  assert.equal(sheet._appended.length, 0);
+});
+
+test('submitBoardAnswer: 1 人 1 回答のボードではメール列で送信済みを弾き、 再投稿許可なら通す', () => {
+  const existing = [['2026/04/01 9:00:00', 'Student@Example.com', '前の回答', '']];
+  const once = buildDirectSubmitContext({ sheet: createAppendableSheet(existing) });
+  const denied = once.submitBoardAnswer('owner-1', { answer: 'もう一回' });
+  assert.equal(denied.success, false);
+  assert.equal(denied.error, 'ALREADY_SUBMITTED');
+  assert.equal(once._cache._store.size, 0);
+
+  const sheet = createAppendableSheet(existing);
+  const resubmit = buildDirectSubmitContext({ sheet, allowResubmit: true });
+  const ok = resubmit.submitBoardAnswer('owner-1', { answer: 'もう一回' });
+  assert.equal(ok.success, true, JSON.stringify(ok));
+  assert.equal(ok.allowResubmit, true);
+  assert.equal(sheet._appended.length, 1);
+});
+
+test('submitBoardAnswer: native の Sheet (教師本人) でも SA proxy の appendRows で追記する', () => {
+  const native = createMockSheet({ headers: ['タイムスタンプ', 'メールアドレス', '回答', '理由'] });
+  const nativeAppends = [];
+  native.appendRow = (row) => { nativeAppends.push(row); };
+  const proxySheet = createAppendableSheet();
+  const ctx = buildDirectSubmitContext({
+    sheet: native,
+    overrides: {
+      openSpreadsheetViaServiceAccount: (id) => (id === 'sheet-123' ? { getSheetByName: () => proxySheet } : null)
+    }
+  });
+
+  const res = ctx.submitBoardAnswer('owner-1', { answer: '=IMPORTXML("x")' });
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.equal(nativeAppends.length, 0, 'native の appendRow は回答を数式として解釈する');
+  assert.equal(proxySheet._appended[0][2], '=IMPORTXML("x")');
+
+  const noPool = buildDirectSubmitContext({ sheet: native, overrides: { openSpreadsheetViaServiceAccount: () => null } });
+  assert.equal(noPool.submitBoardAnswer('owner-1', { answer: 'a' }).success, false);
+  assert.equal(nativeAppends.length, 0);
+});
+
+test('submitBoardAnswer: お絵かきは児童の Drive に保存し、 画像列に file ID を書く', () => {
+  const sheet = createMockSheet({ headers: ['タイムスタンプ', 'メールアドレス', '回答', '理由', '画像'] });
+  sheet.getLastRow = () => sheet._data.length;
+  sheet.appendRows = (values) => {
+    values.forEach((v) => sheet._data.push(v.slice()));
+    return { startRow: sheet._data.length, rowCount: values.length };
+  };
+  const saved = [];
+  const config = {
+    spreadsheetId: 'sheet-123',
+    sheetName: 'Sheet1',
+    isPublished: true,
+    displaySettings: { directSubmission: true },
+    columnMapping: { email: 1, answer: 2, reason: 3, image: 4 }
+  };
+  const ctx = buildDirectSubmitContext({
+    sheet,
+    overrides: {
+      getConfigOrDefault: () => config,
+      saveAnswerImage_: (dataUrl) => { saved.push(dataUrl); return { fileId: 'drawing-file-id' }; }
+    }
+  });
+
+  const res = ctx.submitBoardAnswer('owner-1', { image: 'data:image/png;base64,AAAA' });
+  assert.equal(res.success, true, JSON.stringify(res));
+  assert.deepEqual(saved, ['data:image/png;base64,AAAA']);
+  assert.ok(isDateCell(sheet._data[1][0]));
+  assert.deepEqual(Array.from(sheet._data[1].slice(1)), ['student@example.com', '', '', 'drawing-file-id']);
+
+  // 画像列の無いボードでは絵を受け付けない (保存しても表示先が無い)
+  delete config.columnMapping.image;
+  assert.equal(ctx.submitBoardAnswer('owner-1', { image: 'data:image/png;base64,AAAA' }).success, false);
+  assert.equal(saved.length, 1);
+});
+
+// =====================================================================
+// ルーブリック相互評価 — sanitizeRubric / processRubricScoreDirect / submitRubricScore
+// =====================================================================
+
+const RUBRIC = { criteria: ['根拠', '具体性', '多面的'], scale: 4 };
+
+test('sanitizeRubric: 観点は 2〜4 個に揃え、 空・重複を落とし、 段階は 3〜5 以外を既定 4 に戻す', () => {
+  const ctx = loadReactionContext();
+  assert.equal(ctx.sanitizeRubric(null), null);
+  assert.equal(ctx.sanitizeRubric({ criteria: ['根拠', '  ', '根拠'] }), null, '観点 1 個は相互評価にならない');
+
+  const out = ctx.sanitizeRubric({
+    criteria: ['根拠', { label: '具体性' }, '根拠', '', '多面的', '表現', '独自性'],
+    scale: 10
+  });
+  assert.deepEqual(Array.from(out.criteria), ['根拠', '具体性', '多面的', '表現']);
+  assert.equal(out.scale, 4);
+  assert.equal(ctx.sanitizeRubric({ criteria: ['a', 'b'], scale: '5' }).scale, 5);
+});
+
+test('processRubricScoreDirect: email ごとに採点を保存し、 採点し直しは上書き、 null で取り消す', () => {
+  const ctx = loadReactionContext();
+  const sheet = createMockSheet({
+    headers: ['Q1', 'メールアドレス', 'RUBRIC'],
+    rows: [['answer-a', 'author@example.com', JSON.stringify({ 'other@example.com': [2, 2, 4] })]]
+  });
+
+  const first = ctx.processRubricScoreDirect(sheet, 2, [4, 3, 2], 'Actor@Example.com', RUBRIC, null, 1);
+  assert.equal(first.action, 'scored');
+  assert.equal(first.rubric.count, 2);
+  assert.deepEqual(Array.from(first.rubric.averages), [3, 2.5, 3]);
+  assert.deepEqual({ ...first.rubric.spreads[0] }, { min: 2, max: 4, sd: 1 });
+  assert.deepEqual(Array.from(first.rubric.mine), [4, 3, 2]);
+
+  ctx.processRubricScoreDirect(sheet, 2, [1, 1, 1], 'actor@example.com', RUBRIC, null, 1);
+  assert.deepEqual(JSON.parse(sheet._data[1][2]), {
+    'other@example.com': [2, 2, 4],
+    'actor@example.com': [1, 1, 1]
+  });
+
+  const removed = ctx.processRubricScoreDirect(sheet, 2, null, 'actor@example.com', RUBRIC, null, 1);
+  assert.equal(removed.action, 'removed');
+  assert.equal(removed.rubric.count, 1);
+  assert.equal(removed.rubric.mine, null);
+});
+
+test('processRubricScoreDirect: 自分の回答・範囲外の点・観点数違いは拒否する', () => {
+  const ctx = loadReactionContext();
+  const sheet = createMockSheet({
+    headers: ['Q1', 'メールアドレス', 'RUBRIC'],
+    rows: [['answer-a', 'actor@example.com', '']]
+  });
+  assert.throws(() => ctx.processRubricScoreDirect(sheet, 2, [1, 2, 3], 'actor@example.com', RUBRIC, null, 1),
+    /自分の回答は採点できません/);
+  assert.throws(() => ctx.processRubricScoreDirect(sheet, 2, [1, 2, 5], 'x@example.com', RUBRIC, null, 1), /1〜4/);
+  assert.throws(() => ctx.processRubricScoreDirect(sheet, 2, [1, 2], 'x@example.com', RUBRIC, null, 1), /1〜4/);
+  assert.equal(sheet._writes.length, 0);
+});
+
+test('processRubricScoreDirect: RUBRIC 列が無ければ lazy-provision する', () => {
+  const ctx = loadReactionContext();
+  const sheet = createMockSheet({ headers: ['Q1', 'LIKE'], rows: [['answer-a', '']] });
+
+  const result = ctx.processRubricScoreDirect(sheet, 2, [3, 3, 3], 'actor@example.com', RUBRIC);
+
+  assert.equal(result.action, 'scored');
+  assert.equal(sheet._data[0][2], 'RUBRIC');
+  assert.deepEqual(JSON.parse(sheet._data[1][2]), { 'actor@example.com': [3, 3, 3] });
+});
+
+test('extractRubricScores: 段階を減らした後の範囲外の採点と壊れた JSON は数えない', () => {
+  const ctx = loadReactionContext();
+  const headers = ['Q1', 'RUBRIC'];
+  const row = ['answer-a', JSON.stringify({ 'a@example.com': [3, 3], 'b@example.com': [5, 1], 'c@example.com': [1] })];
+  const summary = ctx.extractRubricScores(row, headers, { criteria: ['根拠', '具体性'], scale: 4 }, 'A@example.com');
+  assert.equal(summary.count, 1);
+  assert.deepEqual(Array.from(summary.mine), [3, 3]);
+
+  const broken = ctx.extractRubricScores(['x', '{not json'], headers, RUBRIC);
+  assert.equal(broken.count, 0);
+  assert.deepEqual(Array.from(broken.averages), [null, null, null]);
+  assert.equal(ctx.extractRubricScores(row, headers, null), null);
+});
+
+function buildRubricContext({ sheet, actorEmail = 'student@example.com', rubric = RUBRIC } = {}) {
+  return buildAddReactionContext({
+    sheet,
+    overrides: {
+      getCurrentEmail: () => actorEmail,
+      getConfigOrDefault: () => ({
+        spreadsheetId: 'sheet-123',
+        sheetName: 'Sheet1',
+        isPublished: true,
+        rubric,
+        columnMapping: { email: 1 }
+      }),
+      findUserById: () => ({ userId: 'owner-1', userEmail: 'owner@example.com' }),
+      // ColumnMappingService の hot path と同じく、 columnMapping があればそれを使う。
+      resolveColumnIndex: (headers, fieldType, mapping) =>
+        ({ index: typeof mapping[fieldType] === 'number' ? mapping[fieldType] : -1 })
+    }
+  });
+}
+
+test('submitRubricScore: 児童には自分の点だけ返し、 先生には平均とばらつきを返す', () => {
+  const sheet = createMockSheet({
+    headers: ['Q1', 'メールアドレス', 'RUBRIC'],
+    rows: [['answer-a', 'author@example.com', '']]
+  });
+
+  const student = buildRubricContext({ sheet }).submitRubricScore('owner-1', 2, [4, 4, 3]);
+  assert.equal(student.success, true, JSON.stringify(student));
+  assert.equal(student.action, 'scored');
+  assert.deepEqual(Object.keys(student.rubric), ['mine']);
+  assert.deepEqual(Array.from(student.rubric.mine), [4, 4, 3]);
+
+  const teacher = buildRubricContext({ sheet, actorEmail: 'owner@example.com' }).submitRubricScore('owner-1', 2, [2, 2, 3]);
+  assert.equal(teacher.success, true, JSON.stringify(teacher));
+  assert.equal(teacher.rubric.count, 2);
+  assert.deepEqual(Array.from(teacher.rubric.averages), [3, 3, 3]);
+});
+
+test('submitRubricScore: 相互評価の無いボードと自分の回答は拒否し、 ロックを解放する', () => {
+  const sheet = createMockSheet({
+    headers: ['Q1', 'メールアドレス', 'RUBRIC'],
+    rows: [['answer-a', 'student@example.com', '']]
+  });
+
+  const noRubric = buildRubricContext({ sheet, rubric: null });
+  assert.equal(noRubric.submitRubricScore('owner-1', 2, [1, 1, 1]).success, false);
+
+  const own = buildRubricContext({ sheet });
+  const res = own.submitRubricScore('owner-1', 2, [1, 1, 1]);
+  assert.equal(res.success, false);
+  assert.equal(own._lock.isHeld(), false);
+  assert.equal(own._cache._store.size, 0);
+  assert.equal(sheet._data[1][2], '');
+});
@@ -0,0 +1,259 @@
+/**
+ * RetentionService (lesson_responses の保存期間と、期限切れ行・孤児行の消去 / 匿名化) のテスト。
+ *
+ * Why: 保存期間は「消すべき行が残る」 と「消してはいけない行を消す」 の両方が事故になる。
+ *      LessonService.js (lessons / アーカイブの読み書き・照合ガード) と PiiMaskingService.js を
+ *      同じ vm に読み込み、 DB の 3 シートは SA proxy と同じ getDataRange / getRange / appendRow を持つ fake。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+const LESSONS_HEADERS = ['lessonId', 'userId', 'name', 'state', 'createdAt', 'startedAt', 'endedAt', 'schemaVersion', 'sizeBytes', 'etag', 'lessonJson'];
+const RESPONSES_HEADERS = ['lessonId', 'phaseIndex', 'rowIndex', 'timestamp', 'class', 'answer', 'reason', 'numericX', 'numericY', 'studentKey'];
+const LOG_HEADERS = ['timestamp', 'trigger', 'policyJson', 'expiredLessons', 'purgedRows', 'anonymizedRows', 'orphanRows', 'errors', 'detailJson'];
+
+function fakeSheet(name, rows) {
+  const data = rows.map((r) => r.slice());
+  return {
+    data,
+    getName: () => name,
+    getLastRow: () => data.length,
+    getLastColumn: () => data[0].length,
+    getDataRange: () => ({ getValues: () => data.map((r) => r.slice()) }),
+    getRange: (row, col, numRows = 1, numCols = 1) => ({
+      getValues: () => data.slice(row - 1, row - 1 + numRows).map((r) => r.slice(col - 1, col - 1 + numCols)),
+      setValues: (values) => values.forEach((v, i) => {
+        if (!data[row - 1 + i]) data[row - 1 + i] = [];
+        v.forEach((cell, j) => { data[row - 1 + i][col - 1 + j] = cell; });
+      })
+    }),
+    appendRow: (row) => { data.push(row.slice()); }
+  };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2027-05-01T03:00:00Z');
+
+function lessonRow(lessonId, { state = 'completed', endedAt = '2026-07-10T03:00:00Z', lessonJson = {} } = {}) {
+  return [lessonId, 'u1', lessonId, state, '2026-07-01T00:00:00Z', '2026-07-10T02:00:00Z', endedAt, 1, 0, 'etag-' + lessonId, JSON.stringify(lessonJson)];
+}
+
+const POINTER = (phaseIndex, startRow, rowCount) => ({ phaseIndex, sheet: 'lesson_responses', startRow, rowCount, rows: [] });
+
+function loadRetentionContext({ lessons = [], archive = [], props = {}, email = 'admin@example.com', lessonsSheetRows } = {}) {
+  const store = new Map(Object.entries(props));
+  const sheets = {
+    lessons: fakeSheet('lessons', lessonsSheetRows || [LESSONS_HEADERS, ...lessons]),
+    lesson_responses: fakeSheet('lesson_responses', [RESPONSES_HEADERS, ...archive]),
+    retention_log: fakeSheet('retention_log', [LOG_HEADERS])
+  };
+  const audit = [];
+  let uuid = 0;
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    ...gasResponseStubs(),
+    LESSONS_SHEET_HEADERS: LESSONS_HEADERS,
+    LESSON_RESPONSES_SHEET_HEADERS: RESPONSES_HEADERS,
+    RETENTION_LOG_SHEET_HEADERS: LOG_HEADERS,
+    openDatabase: () => ({
+      getSheets: () => Object.values(sheets),
+      getSheetByName: (name) => sheets[name] || null
+    }),
+    getCachedProperty: (key) => (store.has(key) ? store.get(key) : null),
+    setCachedProperty: (key, value) => { store.set(key, value); },
+    getCurrentEmail: () => email,
+    isAdministrator: (e) => e === 'admin@example.com',
+    requireAdmin: () => (email === 'admin@example.com' ? { email, isAdmin: true } : null),
+    findUserByEmail: (e) => ({ userId: e === 'teacher@example.com' ? 'u1' : 'u0', userEmail: e }),
+    emailToShortHash: (e) => 'h_' + String(e).split('@')[0],
+    deepClone: (v) => (v === null || v === undefined ? v : JSON.parse(JSON.stringify(v))),
+    recordAuditEvent_: (operation, fields) => { audit.push({ operation, ...fields }); return true; },
+    LockService: { getScriptLock: () => ({ tryLock: () => true, releaseLock: () => {} }) },
+    Utilities: { getUuid: () => `uuid-${++uuid}` }
+  };
+  vm.createContext(context);
+  for (const file of ['PiiMaskingService.js', 'LessonService.js', 'RetentionService.js']) {
+    const source = fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  return { ctx: context, sheets, store, audit };
+}
+
+const lessonJsonOf = (sheets, lessonId) => JSON.parse(sheets.lessons.data.find((r) => r[0] === lessonId)[10]);
+
+// ── 期限 ──────────────────────────────────────────────────────
+
+test('schoolYear は JST の年度末で切る: 3/31 夜 (JST) の授業は翌 4/1、 4/1 朝の授業は 1 年後', () => {
+  const { ctx } = loadRetentionContext();
+  const rule = { basis: 'schoolYear', days: 0 };
+  assert.equal(ctx.computeRetentionExpiry_(Date.parse('2026-03-31T10:00:00Z'), rule), Date.parse('2026-03-31T15:00:00Z'));
+  assert.equal(ctx.computeRetentionExpiry_(Date.parse('2026-03-31T15:30:00Z'), rule), Date.parse('2027-03-31T15:00:00Z'));
+  assert.equal(ctx.computeRetentionExpiry_(Date.parse('2026-07-10T03:00:00Z'), { basis: 'schoolYear', days: 30 }),
+    Date.parse('2027-03-31T15:00:00Z') + 30 * DAY);
+  assert.equal(ctx.computeRetentionExpiry_(Date.parse('2026-07-10T03:00:00Z'), { basis: 'days', days: 10 }),
+    Date.parse('2026-07-20T03:00:00Z'));
+});
+
+test('resolveLessonRetention_: 学校全体 + 授業ごとの上書き。 keep・未完了・設定なしは期限なし', () => {
+  const { ctx } = loadRetentionContext();
+  const policy = { enabled: true, basis: 'schoolYear', days: 0, action: 'anonymize' };
+  const lesson = (json, state = 'completed') => ctx.__rowToLesson_(lessonRow('L', { state, lessonJson: json }),
+    Object.fromEntries(LESSONS_HEADERS.map((h, i) => [h, i])));
+
+  assert.equal(ctx.resolveLessonRetention_(lesson({}), policy).action, 'anonymize');
+  const overridden = ctx.resolveLessonRetention_(lesson({ retention: { basis: 'days', days: 7, action: 'purge' } }), policy);
+  assert.equal(overridden.action, 'purge');
+  assert.equal(overridden.expiresAt, Date.parse('2026-07-17T03:00:00Z'));
+  assert.equal(ctx.resolveLessonRetention_(lesson({ retention: { keep: true } }), policy), null);
+  assert.equal(ctx.resolveLessonRetention_(lesson({}, 'active'), policy), null);
+  assert.equal(ctx.resolveLessonRetention_(lesson({}), null), null);
+  assert.equal(ctx.resolveLessonRetention_(lesson({}), { ...policy, enabled: false }), null);
+  // 学校全体を止めていても、授業ごとに決めた期限は効く
+  assert.equal(ctx.resolveLessonRetention_(lesson({ retention: { days: 3 } }), null).action, 'purge');
+});
+
+test('sanitizeRetentionPolicy_: 不正な値と「終了から 0 日」 を学校全体では断る', () => {
+  const { ctx } = loadRetentionContext();
+  assert.deepEqual({ ...ctx.sanitizeRetentionPolicy_({}).policy }, { enabled: true, basis: 'schoolYear', days: 0, action: 'purge' });
+  assert.match(ctx.sanitizeRetentionPolicy_({ basis: 'days', days: 0 }).error, /1 以上/);
+  assert.match(ctx.sanitizeRetentionPolicy_({ days: 1.5 }).error, /整数/);
+  assert.match(ctx.sanitizeRetentionPolicy_({ action: 'delete' }).error, /purge か anonymize/);
+  assert.match(ctx.sanitizeRetentionPolicy_({}, { forLesson: true }).error, /keep/);
+  assert.deepEqual({ ...ctx.sanitizeRetentionPolicy_({ keep: true, days: 3 }, { forLesson: true }).policy }, { keep: true });
+});
+
+// ── sweep ────────────────────────────────────────────────────
+
+function purgeFixture() {
+  return loadRetentionContext({
+    props: { RETENTION_POLICY: JSON.stringify({ enabled: true, basis: 'schoolYear', days: 0, action: 'purge' }) },
+    lessons: [
+      lessonRow('old', { lessonJson: { phases: [{ question: 'Q' }], snapshots: [POINTER(0, 2, 2)] } }),
+      lessonRow('new', { endedAt: '2027-04-20T03:00:00Z', lessonJson: { snapshots: [POINTER(0, 6, 1)] } })
+    ],
+    archive: [
+      ['old', 0, 3, '2026-07-10T02:10:00Z', '5-1', '田中です', 'なぜなら', 2, '', 'k1'],
+      ['old', 0, 4, '2026-07-10T02:11:00Z', '5-1', 'いいと思う', '', 3, '', 'k2'],
+      ['gone', 1, 2, '2026-06-01T02:00:00Z', '5-2', '消した授業', '', '', '', ''],
+      ['gone', 1, 3, '2026-06-01T02:01:00Z', '5-2', '消した授業 2', '', '', '', ''],
+      ['new', 0, 2, '2027-04-20T02:00:00Z', '6-1', '今年の回答', '', '', '', '']
+    ]
+  });
+}
+
+test('purge: 期限切れの行と削除済み授業の行は lessonId / phaseIndex だけ残し、 今年の授業は触らない', () => {
+  const { ctx, sheets } = purgeFixture();
+  const report = ctx.__sweepRetention_({ now: NOW });
+
+  assert.equal(report.purgedRows, 2);
+  assert.equal(report.orphanRows, 2);
+  assert.equal(report.expiredLessons, 1);
+  assert.deepEqual(Array.from(report.orphanLessonIds), ['gone']);
+  const rows = sheets.lesson_responses.data;
+  assert.deepEqual(rows[1], ['old', 0, '', '', '', '', '', '', '', '']);
+  assert.deepEqual(rows[3], ['gone', 1, '', '', '', '', '', '', '', '']);
+  assert.equal(rows[5][5], '今年の回答');
+  assert.equal(rows.length, 6, '行は物理削除しない');
+
+  // purge した授業はポインタを外して印を付け、 焼き直しも断る
+  const json = lessonJsonOf(sheets, 'old');
+  assert.equal(json.snapshots[0].startRow, -1);
+  assert.equal(json.snapshots[0].reason, 'RETENTION_PURGED');
+  assert.equal(json.retentionStatus.action, 'purge');
+  assert.equal(lessonJsonOf(sheets, 'new').retentionStatus, undefined);
+  assert.match(ctx.recaptureLessonArchive('u1', 'old', 0).message, /焼き直せません/);
+
+  // 報告は retention_log に 1 行
+  const log = sheets.retention_log.data;
+  assert.equal(log.length, 2);
+  assert.deepEqual(Array.from(log[1].slice(1, 8)), ['schedule', log[1][2], 1, 2, 0, 2, 0]);
+  assert.equal(JSON.parse(log[1][2]).action, 'purge');
+});
+
+test('sweep は冪等: 2 回目は何も書き換えず、 報告の件数も 0', () => {
+  const { ctx, sheets } = purgeFixture();
+  ctx.__sweepRetention_({ now: NOW });
+  const before = JSON.stringify(sheets.lesson_responses.data);
+  const etag = sheets.lessons.data[1][9];
+  const second = ctx.__sweepRetention_({ now: NOW + DAY });
+  assert.equal(second.purgedRows + second.orphanRows + second.expiredLessons, 0);
+  assert.equal(JSON.stringify(sheets.lesson_responses.data), before);
+  assert.equal(sheets.lessons.data[1][9], etag, 'lessons 行も書き直さない');
+  assert.equal(sheets.retention_log.data.length, 3);
+});
+
+test('anonymize: 元の回答行・児童の記号・時刻と本文の連絡先を外し、 振り返りでは読める', () => {
+  const { ctx, sheets } = loadRetentionContext({
+    props: { RETENTION_POLICY: JSON.stringify({ enabled: true, basis: 'days', days: 30, action: 'anonymize' }) },
+    lessons: [lessonRow('L', { lessonJson: { snapshots: [POINTER(0, 2, 1)] } })],
+    archive: [['L', '0', '7', '2026-07-10T02:10:00Z', '5-1', '連絡は tanaka@example.com へ', '090-1234-5678 まで', '2.5', '', 'k1']]
+  });
+  const report = ctx.__sweepRetention_({ now: NOW });
+  assert.equal(report.anonymizedRows, 1);
+  const row = sheets.lesson_responses.data[1];
+  assert.deepEqual(row.slice(0, 5), ['L', '0', '', '2026-07-10', '5-1']);
+  assert.equal(row[5].includes('tanaka@example.com'), false);
+  assert.equal(row[6].includes('1234'), false);
+  assert.equal(row[7], 2.5, 'SA proxy の文字列の数値は数値で書き戻す');
+  assert.equal(row[9], '');
+
+  const found = ctx.__findLessonById_('L');
+  ctx.__hydrateLessonSnapshots_(found.lesson);
+  assert.equal(found.lesson.lessonJson.snapshots[0].rows.length, 1);
+  assert.equal(found.lesson.lessonJson.snapshots[0].reason, undefined, 'ポインタはずれない');
+});
+
+test('dryRun は何も書かずに件数だけ返す', () => {
+  const { ctx, sheets } = purgeFixture();
+  const before = JSON.stringify(sheets);
+  const report = ctx.__sweepRetention_({ now: NOW, dryRun: true });
+  assert.equal(report.purgedRows, 2);
+  assert.equal(report.orphanRows, 2);
+  assert.equal(JSON.stringify(sheets), before);
+});
+
+test('lessons が読めない (空が返る) ときは孤児を消さない', () => {
+  const { ctx, sheets } = loadRetentionContext({
+    lessonsSheetRows: [],
+    archive: [['gone', 0, 2, '2026-06-01T02:00:00Z', '5-2', '回答', '', '', '', '']]
+  });
+  const report = ctx.__sweepRetention_({ now: NOW });
+  assert.equal(report.orphanRows, 0);
+  assert.equal(sheets.lesson_responses.data[1][5], '回答');
+});
+
+test('授業を全部消した (ヘッダーだけの) lessons では、残った行を孤児として消す', () => {
+  const { ctx, sheets } = loadRetentionContext({
+    lessons: [],
+    archive: [['gone', 0, 2, '2026-06-01T02:00:00Z', '5-2', '回答', '', '', '', '']]
+  });
+  const report = ctx.__sweepRetention_({ now: NOW });
+  assert.equal(report.orphanRows, 1);
+  assert.deepEqual(sheets.lesson_responses.data[1], ['gone', 0, '', '', '', '', '', '', '', '']);
+});
+
+// ── 設定 ──────────────────────────────────────────────────────
+
+test('setRetentionPolicy / setLessonRetention: 管理者・所有者だけが保存でき、 監査ログに残る', () => {
+  const { ctx, store, audit, sheets } = loadRetentionContext({ lessons: [lessonRow('L')] });
+  const saved = ctx.setRetentionPolicy({ basis: 'days', days: 365, action: 'anonymize' });
+  assert.equal(saved.success, true, saved.message);
+  assert.equal(JSON.parse(store.get('RETENTION_POLICY')).days, 365);
+  assert.equal(ctx.getRetentionSettings().data.policy.action, 'anonymize');
+
+  const kept = ctx.setLessonRetention('u1', 'L', { keep: true });
+  assert.equal(kept.success, true, kept.message);
+  assert.deepEqual(lessonJsonOf(sheets, 'L').retention, { keep: true });
+  assert.equal(ctx.setLessonRetention('u1', 'L', null).success, true);
+  assert.equal(lessonJsonOf(sheets, 'L').retention, undefined);
+  assert.deepEqual(audit.map((e) => e.operation), ['retention.policy', 'lesson.retention', 'lesson.retention']);
+
+  const teacher = loadRetentionContext({ email: 'teacher@example.com', lessons: [lessonRow('L')] });
+  assert.equal(teacher.ctx.setRetentionPolicy({ basis: 'days', days: 1 }).success, false);
+  assert.equal(teacher.ctx.runRetentionSweep({ dryRun: true }).success, false);
+  assert.equal(teacher.store.has('RETENTION_POLICY'), false);
+});
@@ -0,0 +1,180 @@
+/**
+ * RoleService (roles シートの役割と、 範囲による capability 判定) のテスト。
+ *
+ * Why: 役割は「範囲外の先生のボードまで見える」 と「外したのに見え続ける」 の 2 つが
+ *      崩れると事故になる。 DB SS は SA proxy と同じ getDataRange / getRange / appendRow を持つ fake。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { gasResponseStubs } = require('./_helpers.cjs');
+
+const HEADERS = ['email', 'role', 'scopeJson', 'grantedBy', 'updatedAt'];
+
+function fakeDatabase(rows = []) {
+  const data = [HEADERS.slice(), ...rows.map((r) => r.slice())];
+  const sheet = {
+    getName: () => 'roles',
+    getDataRange: () => ({ getValues: () => data.map((r) => r.slice()) }),
+    getRange: (row, col, numRows, numCols) => ({
+      setValues: (values) => values.forEach((v, r) => {
+        v.slice(0, numCols).forEach((cell, c) => { data[row - 1 + r][col - 1 + c] = cell; });
+      })
+    }),
+    appendRow: (row) => { data.push(row.slice()); }
+  };
+  return {
+    data,
+    spreadsheet: {
+      getSheets: () => [sheet],
+      getSheetByName: (name) => (name === 'roles' ? sheet : null)
+    }
+  };
+}
+
+function loadRoleContext({ db = fakeDatabase(), email = 'admin@example.com', admins = ['admin@example.com'], extra = {} } = {}) {
+  const cacheStore = new Map();
+  const audit = [];
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    ...gasResponseStubs(),
+    ROLES_SHEET_HEADERS: HEADERS,
+    CacheService: {
+      getScriptCache: () => ({
+        get: (key) => (cacheStore.has(key) ? cacheStore.get(key) : null),
+        put: (key, value) => { cacheStore.set(key, value); },
+        remove: (key) => { cacheStore.delete(key); }
+      })
+    },
+    openDatabase: () => db.spreadsheet,
+    __dbSheetExists_: (ss, name) => ss.getSheets().some((s) => s.getName() === name),
+    getCurrentEmail: () => email,
+    isAdministrator: (e) => admins.includes(e),
+    requireAdmin: () => (admins.includes(email) ? { email, isAdmin: true } : null),
+    validateEmail: (e) => ({ isValid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) }),
+    emailToShortHash: (e) => 'h_' + String(e).split('@')[0],
+    recordAuditEvent_: (operation, fields) => { audit.push({ operation, ...fields }); return true; },
+    ...extra
+  };
+  vm.createContext(context);
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/RoleService.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'RoleService.js' });
+  return { ctx: context, db, cacheStore, audit };
+}
+
+const TEACHER = { userId: 'u1', userEmail: 'Teacher@school.ed.jp' };
+const OTHER = { userId: 'u2', userEmail: 'other@school.ed.jp' };
+const OUTSIDE = { userId: 'u3', userEmail: 'teacher@elsewhere.ed.jp' };
+
+// ── 範囲と capability ─────────────────────────────────────────
+
+test('getRoleCapabilitiesFor_: school_admin はドメイン内の全員、 grade_leader は指定した先生だけ', () => {
+  const { ctx } = loadRoleContext({
+    db: fakeDatabase([
+      ['kyoto@school.ed.jp', 'school_admin', JSON.stringify({ domain: 'school.ed.jp' }), 'admin@example.com', ''],
+      ['Leader@school.ed.jp', 'grade_leader', JSON.stringify({ teachers: ['teacher@school.ed.jp'] }), 'admin@example.com', '']
+    ])
+  });
+  assert.deepEqual(Array.from(ctx.getRoleCapabilitiesFor_('kyoto@school.ed.jp', OTHER)), ['viewBoard', 'viewIdentity', 'reviewLessons']);
+  assert.deepEqual(Array.from(ctx.getRoleCapabilitiesFor_('kyoto@school.ed.jp', OUTSIDE)), []);
+  assert.equal(ctx.hasRoleAccess_('leader@school.ed.jp', TEACHER, 'reviewLessons'), true, 'メールの大文字小文字は区別しない');
+  assert.equal(ctx.hasRoleAccess_('leader@school.ed.jp', OTHER, 'viewBoard'), false);
+  assert.equal(ctx.hasRoleAccess_('student@school.ed.jp', TEACHER, 'viewBoard'), false);
+});
+
+test('observer は名前 (viewIdentity) を持たず、 解除済み・未知の役割の行は無視する', () => {
+  const { ctx } = loadRoleContext({
+    db: fakeDatabase([
+      ['intern@school.ed.jp', 'observer', JSON.stringify({ teachers: ['teacher@school.ed.jp'] }), '', ''],
+      ['old@school.ed.jp', '', '', '', ''],
+      ['typo@school.ed.jp', 'principal', JSON.stringify({ domain: 'school.ed.jp' }), '', '']
+    ])
+  });
+  assert.deepEqual(Array.from(ctx.getRoleCapabilitiesFor_('intern@school.ed.jp', TEACHER)), ['viewBoard', 'reviewLessons']);
+  assert.equal(ctx.getRoleGrant_('old@school.ed.jp'), null);
+  assert.equal(ctx.getRoleGrant_('typo@school.ed.jp'), null);
+});
+
+test('sanitizeRoleScope_: 先生の一覧は区切り文字列も受けて重複と不正なメールを落とし、 domain は本人のドメインで補う', () => {
+  const { ctx } = loadRoleContext();
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(ctx.sanitizeRoleScope_('observer', { teachers: 'a@s.jp、 A@s.jp\nnot-an-email, b@s.jp' }))),
+    { teachers: ['a@s.jp', 'b@s.jp'] }
+  );
+  assert.deepEqual({ ...ctx.sanitizeRoleScope_('school_admin', {}, 'kyoto@school.ed.jp') }, { domain: 'school.ed.jp' });
+  assert.deepEqual({ ...ctx.sanitizeRoleScope_('school_admin', { domain: '@Other.jp' }, 'x@school.ed.jp') }, { domain: 'other.jp' });
+});
+
+// ── 付与・解除 ────────────────────────────────────────────────
+
+test('setRole: email で upsert し、 表の cache を捨てて次の判定から効かせる', () => {
+  const { ctx, db, audit } = loadRoleContext();
+  assert.equal(ctx.hasRoleAccess_('leader@school.ed.jp', TEACHER, 'viewBoard'), false);
+
+  const first = ctx.setRole('Leader@school.ed.jp', 'observer', { teachers: ['teacher@school.ed.jp'] });
+  assert.equal(first.success, true, first.message);
+  assert.equal(ctx.hasRoleAccess_('leader@school.ed.jp', TEACHER, 'viewIdentity'), false);
+
+  const second = ctx.setRole('leader@school.ed.jp', 'grade_leader', { teachers: ['teacher@school.ed.jp', 'other@school.ed.jp'] });
+  assert.equal(second.success, true, second.message);
+  assert.equal(db.data.length, 2, '同じ人は 1 行のまま');
+  assert.equal(db.data[1][1], 'grade_leader');
+  assert.equal(ctx.hasRoleAccess_('leader@school.ed.jp', OTHER, 'viewIdentity'), true);
+
+  // 監査ログには先生のメールを残さず人数だけ
+  assert.deepEqual(audit.map((e) => e.operation), ['role.set', 'role.set']);
+  assert.deepEqual({ ...audit[1].after }, { role: 'grade_leader', teacherCount: 2 });
+  assert.equal(audit[1].target, 'role:h_leader');
+});
+
+test('setRole: 範囲が空・未知の役割・管理者への付与は書かずに断る', () => {
+  const { ctx, db } = loadRoleContext();
+  assert.match(ctx.setRole('intern@school.ed.jp', 'observer', { teachers: [] }).message, /1 つ以上/);
+  assert.match(ctx.setRole('intern@school.ed.jp', 'principal', {}).message, /Invalid role/);
+  assert.equal(ctx.setRole('admin@example.com', 'school_admin', {}).success, false);
+  assert.equal(ctx.setRole('not-an-email', 'school_admin', {}).success, false);
+  assert.equal(db.data.length, 1);
+});
+
+test('removeRole: 行は残して役割だけ空にし、 以後は範囲内でも見られない', () => {
+  const { ctx, db, audit } = loadRoleContext({
+    db: fakeDatabase([['intern@school.ed.jp', 'observer', JSON.stringify({ teachers: ['teacher@school.ed.jp'] }), '', '']])
+  });
+  assert.equal(ctx.hasRoleAccess_('intern@school.ed.jp', TEACHER, 'viewBoard'), true);
+  const res = ctx.removeRole('intern@school.ed.jp');
+  assert.equal(res.success, true, res.message);
+  assert.deepEqual(db.data[1].slice(0, 4), ['intern@school.ed.jp', '', '', 'admin@example.com']);
+  assert.equal(ctx.hasRoleAccess_('intern@school.ed.jp', TEACHER, 'viewBoard'), false);
+  assert.equal(audit[0].operation, 'role.remove');
+  assert.equal(ctx.removeRole('intern@school.ed.jp').success, false, '2 回目は外す役割がない');
+});
+
+test('listRoles / setRole / removeRole: 管理者以外は触れない', () => {
+  const db = fakeDatabase([['intern@school.ed.jp', 'observer', JSON.stringify({ teachers: ['teacher@school.ed.jp'] }), '', '']]);
+  const { ctx } = loadRoleContext({ db, email: 'intern@school.ed.jp' });
+  assert.equal(ctx.listRoles().success, false);
+  assert.equal(ctx.setRole('intern@school.ed.jp', 'school_admin', {}).success, false);
+  assert.equal(ctx.removeRole('intern@school.ed.jp').success, false);
+  assert.equal(db.data[1][1], 'observer');
+});
+
+test('getRoleTable_: 1 実行内のメモはテナントごと。 別の学校の役割で判定しない', () => {
+  const schoolA = fakeDatabase([
+    ['kyoto@school.ed.jp', 'school_admin', JSON.stringify({ domain: 'school.ed.jp' }), 'admin@example.com', '']
+  ]);
+  const schoolB = fakeDatabase([]);
+  let tenant = 'a';
+  const { ctx } = loadRoleContext({
+    extra: {
+      openDatabase: () => (tenant === 'a' ? schoolA : schoolB).spreadsheet,
+      tenantCacheKey_: (key) => `t:${tenant}:${key}`
+    }
+  });
+  assert.equal(ctx.getRoleCapabilitiesFor_('kyoto@school.ed.jp', OTHER).length, 3);
+  tenant = 'b';
+  assert.deepEqual(Array.from(ctx.getRoleCapabilitiesFor_('kyoto@school.ed.jp', OTHER)), []);
+  tenant = 'a';
+  assert.equal(ctx.getRoleCapabilitiesFor_('kyoto@school.ed.jp', OTHER).length, 3);
+});
@@ -0,0 +1,212 @@
+/**
+ * TenantService (学校ごとの DB / 管理者 / ドメイン) と getCachedProperty の差し替えのテスト。
+ *
+ * Why: テナントは「他校の DB を開く」 「学校の管理者がデプロイ全体の管理者になる」 の 2 つが
+ *      崩れると事故になる。 helpers.js (getCachedProperty / setCachedProperty) と同じ vm に
+ *      読み込み、 Script Properties は Map の fake で持つ。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const GLOBAL_DB = 'G'.repeat(44);
+const SCHOOL_DB = 'S'.repeat(44);
+
+function loadTenantContext({ email = 'admin@board.example.jp', props = {}, serviceAccounts = [{ client_email: 'sa1@x.iam' }] } = {}) {
+  const store = new Map(Object.entries({
+    ADMIN_EMAIL: 'admin@board.example.jp',
+    DATABASE_SPREADSHEET_ID: GLOBAL_DB,
+    ...props
+  }));
+  const audit = [];
+  const ensured = [];
+  const state = { email };
+  const context = {
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    PROPERTY_CACHE_TTL: 30000,
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: (key) => (store.has(key) ? store.get(key) : null),
+        setProperty: (key, value) => { store.set(key, String(value)); }
+      })
+    },
+    LockService: { getScriptLock: () => ({ tryLock: () => true, releaseLock: () => {} }) },
+    getCurrentEmail: () => state.email,
+    validateEmail: (e) => ({ isValid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) }),
+    extractDomainSafely: (e) => {
+      const m = String(e || '').match(/^[^@]+@([^@]+)$/);
+      return m ? m[1].toLowerCase() : null;
+    },
+    getAllServiceAccounts_: () => serviceAccounts,
+    __ensureDatabaseSheets_: (dbId, sa) => { ensured.push([dbId, sa.client_email]); },
+    recordAuditEvent_: (operation, fields) => { audit.push({ operation, ...fields }); return true; },
+    logError_: () => {}
+  };
+  // main.js の isAdministrator と同じ順 (学校 → グローバルの ADMIN_EMAIL)。
+  context.isAdministrator = (e) => {
+    const tenantAdmin = context.isTenantAdministrator_(e);
+    if (tenantAdmin !== null) return tenantAdmin;
+    return String(e).toLowerCase() === context.getCachedProperty('ADMIN_EMAIL');
+  };
+  vm.createContext(context);
+  for (const file of ['helpers.js', 'TenantService.js']) {
+    const source = fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  return { ctx: context, store, audit, ensured, state };
+}
+
+const SCHOOL = {
+  id: 'minami-es',
+  name: '南小学校',
+  domains: ['minami.example.jp'],
+  databaseId: SCHOOL_DB,
+  adminEmails: ['kyoto@minami.example.jp']
+};
+
+function withSchool(options = {}) {
+  const loaded = loadTenantContext(options);
+  const res = loaded.ctx.provisionTenant(SCHOOL);
+  assert.equal(res.success, true, res.message);
+  loaded.ctx.clearPropertyCache();
+  return loaded;
+}
+
+// ── 解決と差し替え ────────────────────────────────────────────
+
+test('テナントが無ければ、 どのプロパティも cache key もグローバルのまま', () => {
+  const { ctx } = loadTenantContext({ email: 'teacher@minami.example.jp' });
+  assert.equal(ctx.getCurrentTenant_(), null);
+  assert.equal(ctx.getCachedProperty('DATABASE_SPREADSHEET_ID'), GLOBAL_DB);
+  assert.equal(ctx.tenantCacheKey_('all_users_v0'), 'all_users_v0');
+  assert.equal(ctx.isTenantAdministrator_('teacher@minami.example.jp'), null);
+});
+
+test('学校のドメインの人には学校の DB・管理者が返り、 学校全体のルールは学校ごとに読み書きする', () => {
+  const { ctx, store, state } = withSchool();
+  state.email = 'Tanaka@Minami.example.jp';
+  assert.equal(ctx.getCurrentTenant_().id, 'minami-es');
+  assert.equal(ctx.getCachedProperty('DATABASE_SPREADSHEET_ID'), SCHOOL_DB);
+  assert.equal(ctx.getCachedProperty('ADMIN_EMAIL'), 'kyoto@minami.example.jp');
+  assert.equal(ctx.tenantCacheKey_('role_table_v1'), 't:minami-es:role_table_v1');
+
+  ctx.setCachedProperty('MODERATION_RULES', '{"words":["ばか"]}');
+  assert.equal(store.get('MODERATION_RULES@minami-es'), '{"words":["ばか"]}');
+  assert.equal(store.has('MODERATION_RULES'), false, 'グローバルのルールには書かない');
+  assert.throws(() => ctx.setCachedProperty('ADMIN_EMAIL', 'tanaka@minami.example.jp'), /テナント/);
+  assert.equal(store.get('ADMIN_EMAIL'), 'admin@board.example.jp');
+
+  // 学校に属さない人 (デプロイの管理者) はグローバルのまま
+  state.email = 'admin@board.example.jp';
+  assert.equal(ctx.getCachedProperty('DATABASE_SPREADSHEET_ID'), GLOBAL_DB);
+  assert.equal(ctx.getCachedProperty('MODERATION_RULES'), null);
+});
+
+test('管理者は学校ごと: 学校の管理者はデプロイ全体の管理者ではなく、 デプロイの管理者も学校の管理者ではない', () => {
+  const { ctx, state } = withSchool();
+  assert.equal(ctx.isAdministrator('kyoto@minami.example.jp'), true);
+  assert.equal(ctx.isAdministrator('tanaka@minami.example.jp'), false);
+  assert.equal(ctx.isDeploymentAdministrator_(), true);
+
+  state.email = 'kyoto@minami.example.jp';
+  assert.equal(ctx.isAdministrator('admin@board.example.jp'), false);
+  assert.equal(ctx.isDeploymentAdministrator_(), false);
+  assert.equal(ctx.listTenants().success, false);
+  assert.equal(ctx.provisionTenant({ ...SCHOOL, adminEmails: ['tanaka@minami.example.jp'] }).success, false);
+});
+
+// ── 提供・停止 ────────────────────────────────────────────────
+
+test('provisionTenant: DB に学校の SA スロットを共有し、 更新では省略した項目を引き継ぐ', () => {
+  const { ctx, ensured, audit, store } = loadTenantContext({
+    props: {},
+    serviceAccounts: [{ client_email: 'sa2@x.iam' }, { client_email: 'sa3@x.iam' }]
+  });
+  const created = ctx.provisionTenant({ ...SCHOOL, saSlots: '3, 2' });
+  assert.equal(created.success, true, created.message);
+  assert.deepEqual(Array.from(created.data.tenant.saSlots), [2, 3]);
+  assert.deepEqual(ensured, [[SCHOOL_DB, 'sa2@x.iam'], [SCHOOL_DB, 'sa3@x.iam']]);
+  assert.deepEqual(JSON.parse(store.get('TENANT_DOMAIN_INDEX')), { 'minami.example.jp': 'minami-es' });
+
+  const renamed = ctx.provisionTenant({ id: 'minami-es', name: '南小', domains: ['minami.example.jp', 'st.minami.example.jp'] });
+  assert.equal(renamed.success, true, renamed.message);
+  assert.equal(renamed.data.tenant.databaseId, SCHOOL_DB);
+  assert.deepEqual(Array.from(renamed.data.tenant.adminEmails), ['kyoto@minami.example.jp']);
+  assert.deepEqual(Object.keys(JSON.parse(store.get('TENANT_DOMAIN_INDEX'))).sort(), ['minami.example.jp', 'st.minami.example.jp']);
+
+  // 監査ログには管理者のメールを残さず人数だけ
+  assert.deepEqual(audit.map((e) => e.operation), ['tenant.provision', 'tenant.update']);
+  assert.equal(audit[0].target, 'tenant:minami-es');
+  assert.equal(audit[0].after.adminCount, 1);
+  assert.equal(JSON.stringify(audit).includes('kyoto@'), false);
+});
+
+test('provisionTenant: デプロイ管理者のドメイン・割り当て済みのドメイン・共有 DB・ドメイン外の管理者は断る', () => {
+  const { ctx, store } = withSchool();
+  const before = store.get('TENANT_DOMAIN_INDEX');
+  const cases = [
+    [{ ...SCHOOL, id: 'honbu', domains: ['board.example.jp'], adminEmails: ['x@board.example.jp'] }, /デプロイ管理者のドメイン/],
+    [{ ...SCHOOL, id: 'kita-es', databaseId: 'K'.repeat(44) }, /割り当て済み/],
+    [{ ...SCHOOL, id: 'kita-es', domains: ['kita.example.jp'], adminEmails: ['a@kita.example.jp'] }, /別の学校/],
+    [{ ...SCHOOL, id: 'kita-es', domains: ['kita.example.jp'], databaseId: GLOBAL_DB, adminEmails: ['a@kita.example.jp'] }, /デプロイ全体の DB/],
+    [{ ...SCHOOL, id: 'kita-es', domains: ['kita.example.jp'], databaseId: 'K'.repeat(44), adminEmails: ['a@gmail.com'] }, /学校のドメイン/],
+    [{ ...SCHOOL, id: 'Kita ES' }, /英小文字/]
+  ];
+  for (const [spec, pattern] of cases) {
+    assert.match(ctx.provisionTenant(spec).message, pattern);
+  }
+  assert.equal(store.get('TENANT_DOMAIN_INDEX'), before);
+});
+
+test('suspendTenant: 学校の人は DB を開けず管理者でもなくなる。 resumeTenant で戻る', () => {
+  const { ctx, state, audit } = withSchool();
+  assert.equal(ctx.suspendTenant('minami-es', '年度末').success, true);
+  assert.equal(ctx.suspendTenant('minami-es').success, false, '2 回目は停止済み');
+
+  state.email = 'kyoto@minami.example.jp';
+  assert.equal(ctx.isCurrentTenantSuspended_(), true);
+  assert.equal(ctx.isAdministrator('kyoto@minami.example.jp'), false);
+  // ID は返し続ける (空にすると初期設定前と見なされる)。 DB を開かないのは openDatabase の役目
+  assert.equal(ctx.getCachedProperty('DATABASE_SPREADSHEET_ID'), SCHOOL_DB);
+
+  state.email = 'admin@board.example.jp';
+  assert.equal(ctx.resumeTenant('minami-es').success, true);
+  state.email = 'kyoto@minami.example.jp';
+  assert.equal(ctx.isCurrentTenantSuspended_(), false);
+  assert.equal(ctx.isAdministrator('kyoto@minami.example.jp'), true);
+  assert.deepEqual(audit.map((e) => e.operation), ['tenant.provision', 'tenant.suspend', 'tenant.resume']);
+});
+
+// ── 時間主導トリガー ──────────────────────────────────────────
+
+test('runForEachTenant_: グローバル → 稼働中の学校の順に、 その学校の DB とルールの文脈で呼ぶ', () => {
+  const { ctx, state } = withSchool();
+  assert.equal(ctx.provisionTenant({ ...SCHOOL, id: 'kita-es', domains: ['kita.example.jp'], databaseId: 'K'.repeat(44), adminEmails: ['a@kita.example.jp'] }).success, true);
+  assert.equal(ctx.suspendTenant('kita-es').success, true);
+  ctx.setCachedProperty('RETENTION_POLICY', 'global');
+  state.email = 'kyoto@minami.example.jp';
+  ctx.setCachedProperty('RETENTION_POLICY', 'minami');
+  // トリガーはデプロイの所有者 (どの学校にも属さない) として走る
+  state.email = 'admin@board.example.jp';
+
+  const seen = [];
+  const outcomes = ctx.runForEachTenant_(() => {
+    seen.push([ctx.getCachedProperty('DATABASE_SPREADSHEET_ID'), ctx.getCachedProperty('RETENTION_POLICY'), ctx.tenantCacheKey_('k')]);
+    if (seen.length === 2) throw new Error('boom');
+    return seen.length;
+  });
+  assert.deepEqual(seen, [[GLOBAL_DB, 'global', 'k'], [SCHOOL_DB, 'minami', 't:minami-es:k']]);
+  assert.deepEqual(Array.from(outcomes, (o) => ({ ...o })), [
+    { tenantId: null, result: 1 },
+    { tenantId: 'kita-es', skipped: 'suspended' },
+    { tenantId: 'minami-es', error: 'boom' }
+  ]);
+  // 例外のあとも文脈は元に戻る
+  assert.equal(ctx.getCurrentTenant_(), null);
+
+  const stopped = ctx.runForEachTenant_(() => 'ok', { startIndex: 1, shouldStop: () => true });
+  assert.deepEqual(Array.from(stopped, (o) => o.skipped || o.result), ['ok', 'time_budget', 'time_budget']);
+  assert.deepEqual(Array.from(stopped, (o) => o.tenantId), [null, 'minami-es', 'kita-es']);
+});
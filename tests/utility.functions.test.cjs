@@ -15,7 +15,7 @@ const vm = require('node:vm');
 function loadConfigCtx() {
   const context = {
     console: { log: () => {}, warn: () => {}, error: () => {} },
-    VALIDATOR_BOARD_MODES: ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie'],
+    VALIDATOR_BOARD_MODES: ['auto', 'board', 'numberline', 'matrix', 'wordcloud', 'pie', 'ranking', 'qa', 'cluster', 'distribution'],
     SYSTEM_LIMITS: {
       PREVIEW_LENGTH: 200,
       DEFAULT_PAGE_SIZE: 20,
@@ -148,6 +148,17 @@ test('emailToShortHash: returns 8 hex chars (4 bytes)', () => {
   assert.match(h, /^[0-9a-f]{8}$/);
 });
 
+test('emailToShortHash: scope separates keys for the same email', () => {
+  const ctx = loadHelpersCtx();
+  const unscoped = ctx.emailToShortHash('student@school.jp');
+  const lessonA = ctx.emailToShortHash('student@school.jp', 'lesson_a');
+  const lessonB = ctx.emailToShortHash('student@school.jp', 'lesson_b');
+  // 授業内では安定、授業間・非 scope とは一致しない (授業をまたいだ突き合わせ不可)
+  assert.equal(lessonA, ctx.emailToShortHash('Student@School.jp ', 'lesson_a'));
+  assert.notEqual(lessonA, lessonB);
+  assert.notEqual(lessonA, unscoped);
+});
+
 test('emailToShortHash: null/empty input returns null sentinel', () => {
   const ctx = loadHelpersCtx();
   // 仕様: invalid input → null (helpers.js:262 JSDoc 通り)
@@ -531,6 +531,262 @@ test('aggregateCategories: trims whitespace', () => {
 });
 
 
+// =====================================================================
+// rankRowsByReactions (M5 ランキング)
+// =====================================================================
+
+function reacted(rowIndex, answer, understand, like, curious) {
+  return {
+    rowIndex, answer,
+    reactions: {
+      UNDERSTAND: { count: understand }, LIKE: { count: like }, CURIOUS: { count: curious }
+    }
+  };
+}
+
+test('rankRowsByReactions: 合計の降順、同点は LIKE → UNDERSTAND → 投稿順', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const rank = StudyQuestApp.prototype.__rankRowsByReactions;
+  const rows = [
+    reacted(2, 'A', 2, 0, 0),
+    reacted(3, 'B', 0, 2, 0),
+    reacted(4, 'C', 1, 1, 3),
+    reacted(5, 'D', 2, 0, 0)
+  ];
+  const result = rank(rows, 'answer', 20);
+  assert.deepEqual(Array.from(result, r => r.row.answer), ['C', 'B', 'A', 'D']);
+  assert.deepEqual(Array.from(result, r => r.total), [5, 2, 2, 2]);
+});
+
+test('rankRowsByReactions: 合計が同じ行は同順位 (1, 2, 2, 2)', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const rank = StudyQuestApp.prototype.__rankRowsByReactions;
+  const result = rank([
+    reacted(2, 'A', 2, 0, 0), reacted(3, 'B', 0, 2, 0),
+    reacted(4, 'C', 1, 1, 3), reacted(5, 'D', 0, 0, 2)
+  ], 'answer', 20);
+  assert.deepEqual(Array.from(result, r => r.rank), [1, 2, 2, 2]);
+});
+
+test('rankRowsByReactions: 空回答を除外し limit で打ち切る', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const rank = StudyQuestApp.prototype.__rankRowsByReactions;
+  const rows = [reacted(2, '  ', 9, 9, 9), { rowIndex: 3, answer: 'reactions なし' }];
+  for (let i = 0; i < 30; i++) rows.push(reacted(10 + i, 'idea' + i, 0, i, 0));
+  const result = rank(rows, 'answer', 20);
+  assert.equal(result.length, 20);
+  assert.ok(!result.some(r => r.row.rowIndex === 2), '空白のみの回答は順位に入れない');
+  assert.equal(result[0].row.answer, 'idea29');
+});
+
+test('rankRowsByReactions: 独自語彙のボードは凡例の順で内訳を数え合計に含める', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const rank = StudyQuestApp.prototype.__rankRowsByReactions;
+  const legend = [
+    { type: 'REACTION_AGREE', label: '賛成' },
+    { type: 'REACTION_DISAGREE', label: '反対' }
+  ];
+  const rows = [
+    { rowIndex: 2, answer: 'A', reactions: { REACTION_AGREE: { count: 1 }, REACTION_DISAGREE: { count: 2 } } },
+    { rowIndex: 3, answer: 'B', reactions: { REACTION_AGREE: { count: 3 }, REACTION_DISAGREE: { count: 0 } } },
+    { rowIndex: 4, answer: 'C', reactions: { REACTION_AGREE: { count: 1 }, REACTION_DISAGREE: { count: 0 } } }
+  ];
+  const result = rank(rows, 'answer', 20, legend);
+  assert.deepEqual(Array.from(result, r => r.row.answer), ['B', 'A', 'C']);
+  assert.deepEqual(Array.from(result, r => r.total), [3, 3, 1]);
+  assert.equal(result[1].counts.REACTION_DISAGREE, 2);
+});
+
+// =====================================================================
+// clusterRows / applyClusterEdits (M6 グループ分け)
+// =====================================================================
+
+const CLUSTER_ROWS = [
+  { rowIndex: 2, answer: '友情を大切にしたい', reason: '友情は信頼' },
+  { rowIndex: 3, answer: '正直に話す', reason: '正直が一番' },
+  { rowIndex: 4, answer: '友情のために黙る', reason: '友情' },
+  { rowIndex: 5, answer: '正直でいたい', reason: '正直' },
+  { rowIndex: 6, answer: '天気', reason: '' },
+  { rowIndex: 7, answer: '', reason: '' }
+];
+
+test('clusterRows: 共有語でまとめ、種の rowIndex を key に、特徴語でラベルを付ける', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const clusters = StudyQuestApp.prototype.__clusterRows(CLUSTER_ROWS);
+  const summary = Array.from(clusters, c => c.key + ':' + Array.from(c.rows, r => r.rowIndex).join(','));
+  assert.deepEqual(summary, ['c2:2,4', 'c3:3,5', 'other:6,7']);
+  assert.match(clusters[0].label, /友情/);
+  assert.match(clusters[1].label, /正直/);
+  assert.equal(clusters[2].label, 'その他');
+});
+
+test('clusterRows: 後から回答が増えても既存グループの key は変わらない', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const more = CLUSTER_ROWS.concat([{ rowIndex: 8, answer: '友情を守る', reason: '' }]);
+  const keys = Array.from(StudyQuestApp.prototype.__clusterRows(more), c => c.key);
+  assert.deepEqual(keys, ['c2', 'c3', 'other']);
+});
+
+test('applyClusterEdits: 移動・改名を重ね、消えた移動先は先生の名前で作り直す', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const clusters = StudyQuestApp.prototype.__clusterRows(CLUSTER_ROWS);
+  const edited = StudyQuestApp.prototype.__applyClusterEdits(clusters, {
+    moves: { 6: 'c2', 7: 'u1' },
+    names: { c2: '友だちを守る', u1: '白紙', u2: '空の受け皿' }
+  });
+  const summary = Array.from(edited, c => c.key + ':' + Array.from(c.rows, r => r.rowIndex).join(','));
+  assert.deepEqual(summary, ['c2:2,4,6', 'c3:3,5', 'u1:7']);
+  assert.equal(edited[0].label, '友だちを守る');
+  assert.equal(edited[2].label, '白紙');
+  // 元の clusters は書き換えない (次の描画で再利用される)
+  assert.equal(clusters[0].rows.length, 2);
+});
+
+// =====================================================================
+// computeBins / computeBoxStats (M7 分布)
+// =====================================================================
+
+test('computeBoxStats: 線形補間の四分位、1.5×IQR の外を外れ値、ひげは内側の実測値', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const s = StudyQuestApp.prototype.__computeBoxStats([8, 1, 100, 3, 5, 2, 7, 4, 6]);
+  assert.equal(s.n, 9);
+  assert.equal(s.q1, 3);
+  assert.equal(s.median, 5);
+  assert.equal(s.q3, 7);
+  assert.equal(s.lowerWhisker, 1);
+  assert.equal(s.upperWhisker, 8);
+  assert.deepEqual(Array.from(s.outliers), [100]);
+  assert.equal(StudyQuestApp.prototype.__computeBoxStats([]), null);
+});
+
+test('computeBins: きりのよい幅で全件を漏れなく数え、境界に浮動小数の誤差を残さない', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const bins = StudyQuestApp.prototype.__computeBins([0.1, 0.2, 0.3]);
+  assert.deepEqual(Array.from(bins, b => [b.x0, b.x1, b.count]), [[0.1, 0.2, 1], [0.2, 0.3, 1], [0.3, 0.4, 1]]);
+
+  const values = [152.3, 148.9, 160.2, 155, 149.5, 151.1, 158.7, 162.4];
+  const heights = StudyQuestApp.prototype.__computeBins(values);
+  assert.equal(heights.reduce((n, b) => n + b.count, 0), values.length);
+  assert.equal(heights[0].x0, 145);
+  for (let i = 1; i < heights.length; i++) assert.equal(heights[i].x0, heights[i - 1].x1);
+});
+
+test('computeBins: 桁違いの外れ値があっても上限 20 本に収め、同じ値だけなら 1 本', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const bins = StudyQuestApp.prototype.__computeBins([1, 2, 3, 4, 5, 6, 7, 8, 100]);
+  assert.ok(bins.length <= 20 && bins.length >= 3);
+  assert.equal(bins[bins.length - 1].count, 1, '外れ値は最後のビン');
+  const same = StudyQuestApp.prototype.__computeBins([5, 5, 5]);
+  assert.equal(same.length, 1);
+  assert.equal(same[0].count, 3);
+});
+
+// =====================================================================
+// 到着順リプレイ (vizBuildReplayTimeline / vizReplayRowsAt / vizReplayMinuteMarks)
+// =====================================================================
+
+const REPLAY_ROWS = [
+  // 表示順は新着順 (page.js の currentAnswers と同じ)。
+  { rowIndex: 5, answer: 'e', timestamp: '2026-05-01T09:04:30.000Z' },
+  { rowIndex: 4, answer: 'd', timestamp: '' },
+  { rowIndex: 3, answer: 'c', timestamp: '2026-05-01T09:01:10.000Z' },
+  { rowIndex: 2, answer: 'b', timestamp: '2026-05-01T09:00:00.000Z' },
+  { rowIndex: 1, answer: 'a', timestamp: '2026-05-01T09:00:00.000Z' }
+];
+
+test('vizBuildReplayTimeline: 投稿順 (同時刻は行順) に並べ、時刻の無い行は数だけ持つ', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const timeline = StudyQuestApp.prototype.vizBuildReplayTimeline(REPLAY_ROWS);
+  assert.deepEqual(Array.from(timeline.events, e => e.row.answer), ['a', 'b', 'c', 'e']);
+  assert.equal(timeline.start, Date.parse('2026-05-01T09:00:00.000Z'));
+  assert.equal(timeline.end, Date.parse('2026-05-01T09:04:30.000Z'));
+  assert.equal(timeline.untimedCount, 1);
+  assert.equal(StudyQuestApp.prototype.vizBuildReplayTimeline([{ answer: 'x', timestamp: '' }]), null);
+  assert.equal(StudyQuestApp.prototype.vizBuildReplayTimeline(null), null);
+});
+
+test('vizReplayRowsAt: その時刻までの行を元の並び順のまま返し、時刻の無い行は最後のフレームだけ', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const proto = StudyQuestApp.prototype;
+  const timeline = proto.vizBuildReplayTimeline(REPLAY_ROWS);
+  const at = (iso) => Array.from(proto.vizReplayRowsAt(timeline, Date.parse(iso)), r => r.answer);
+  assert.deepEqual(at('2026-05-01T09:00:00.000Z'), ['b', 'a']);
+  assert.deepEqual(at('2026-05-01T09:03:00.000Z'), ['c', 'b', 'a']);
+  assert.deepEqual(at('2026-05-01T09:04:30.000Z'), ['e', 'd', 'c', 'b', 'a']);
+});
+
+test('vizReplayMinuteMarks: 1 分刻みの目盛にその時点までの件数を載せる / 経過時間は m:ss', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const proto = StudyQuestApp.prototype;
+  const timeline = proto.vizBuildReplayTimeline(REPLAY_ROWS);
+  const marks = proto.vizReplayMinuteMarks(timeline);
+  assert.deepEqual(Array.from(marks, m => [m.minute, m.count]), [[0, 2], [1, 2], [2, 3], [3, 3], [4, 3]]);
+  assert.equal(marks[2].t, timeline.start + 2 * 60 * 1000);
+  assert.equal(proto.vizFormatReplayClock(0), '0:00');
+  assert.equal(proto.vizFormatReplayClock(270 * 1000), '4:30');
+  assert.equal(proto.vizFormatReplayClock(75 * 60 * 1000 + 5000), '75:05');
+});
+
+// =====================================================================
+// buildPhaseFlow (振り返り: 意見の流れ)
+// =====================================================================
+
+const FLOW_PHASES = [
+  { index: 0, name: 'めあて', boardMode: 'numberline', templateOptions: { xLow: '反対', xHigh: '賛成' } },
+  { index: 1, name: 'みんなで考える', boardMode: 'board', templateOptions: {} },
+  { index: 2, name: 'ふりかえり', boardMode: 'numberline', templateOptions: { xLow: '反対', xHigh: '賛成' } }
+];
+
+test('buildPhaseFlow: 隣り合う流れ図対象 phase 間で児童の移動を数える (board phase は飛ばす)', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const flow = StudyQuestApp.prototype.__buildPhaseFlow(FLOW_PHASES, [
+    { phaseIndex: 0, studentKey: 'a', numericX: 1, timestamp: 't1' },
+    { phaseIndex: 0, studentKey: 'b', numericX: 1, timestamp: 't1' },
+    { phaseIndex: 0, studentKey: 'c', numericX: 4, timestamp: 't1' },
+    { phaseIndex: 1, studentKey: 'a', answer: '板書' },
+    { phaseIndex: 2, studentKey: 'a', numericX: 4, timestamp: 't2' },
+    { phaseIndex: 2, studentKey: 'b', numericX: 1, timestamp: 't2' },
+    { phaseIndex: 2, studentKey: 'c', numericX: 4, timestamp: 't2' }
+  ]);
+  assert.deepEqual(Array.from(flow.columns, c => c.phaseIndex), [0, 2]);
+  assert.deepEqual(Array.from(flow.columns[0].nodes, n => n.label + ':' + n.count), ['1 反対:2', '4:1']);
+  const links = Array.from(flow.links, l => l.source + '>' + l.target + '=' + l.value + (l.moved ? '*' : ''));
+  assert.deepEqual(links.sort(), ['0:n1>2:n1=1', '0:n1>2:n4=1*', '0:n4>2:n4=1']);
+  assert.equal(flow.studentCount, 3);
+});
+
+test('buildPhaseFlow: 再投稿は phase ごとに最新の 1 行、studentKey 無しの行は数えない', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const flow = StudyQuestApp.prototype.__buildPhaseFlow(FLOW_PHASES, [
+    { phaseIndex: 0, studentKey: 'a', numericX: 5, timestamp: '2026-05-15 10:00', rowIndex: 2 },
+    { phaseIndex: 0, studentKey: 'a', numericX: 2, timestamp: '2026-05-15 10:05', rowIndex: 3 },
+    { phaseIndex: 0, numericX: 5, timestamp: '2026-05-15 10:06', rowIndex: 4 },
+    { phaseIndex: 2, studentKey: 'a', numericX: 2, timestamp: '2026-05-15 10:30', rowIndex: 2 }
+  ]);
+  assert.deepEqual(Array.from(flow.columns[0].nodes, n => n.key + ':' + n.count), ['n2:1']);
+  assert.equal(flow.links.length, 1);
+  assert.equal(flow.links[0].moved, false);
+});
+
+test('buildPhaseFlow: matrix は象限ラベル、pie は選択肢ごとに束ねる (mode が違う帯は移動扱い)', () => {
+  const { StudyQuestApp } = loadVizContext();
+  const flow = StudyQuestApp.prototype.__buildPhaseFlow([
+    { index: 0, name: '出会う', boardMode: 'pie', templateOptions: {} },
+    { index: 1, name: 'ふかめる', boardMode: 'matrix',
+      templateOptions: { xLow: '自分', xHigh: '相手', yLow: '迷う', yHigh: '確信' } }
+  ], [
+    { phaseIndex: 0, studentKey: 'a', answer: 'いいえ' },
+    { phaseIndex: 0, studentKey: 'b', answer: 'はい' },
+    { phaseIndex: 0, studentKey: 'c', answer: 'はい' },
+    { phaseIndex: 1, studentKey: 'a', numericX: 5, numericY: 5 },
+    { phaseIndex: 1, studentKey: 'b', numericX: 1, numericY: 2 }
+  ]);
+  assert.deepEqual(Array.from(flow.columns[0].nodes, n => n.label), ['はい', 'いいえ']);
+  assert.deepEqual(Array.from(flow.columns[1].nodes, n => n.label), ['相手×確信', '自分×迷う']);
+  assert.ok(flow.links.every(l => l.moved));
+  assert.equal(flow.links.reduce((s, l) => s + l.value, 0), 2);
+});
+
 // =====================================================================
 // withTimelineSwap (async/await race regression test)
 // =====================================================================